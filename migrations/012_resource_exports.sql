@@ -0,0 +1,64 @@
+-- =====================================================
+-- RESOURCE EXPORTS
+-- Migration: 012
+-- Created: 2026-10-19
+-- Purpose: Store rendered PDF/DOCX/CSV/JSON resource exports for download
+-- =====================================================
+
+-- =====================================================
+-- 1. STORAGE BUCKET
+-- =====================================================
+-- Private bucket - files are only served through GET /api/exports/:exportId
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('resource-exports', 'resource-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- =====================================================
+-- 2. RESOURCE EXPORTS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS resource_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Public identifier used in download URLs
+  export_id TEXT NOT NULL UNIQUE,
+
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  resource_id TEXT NOT NULL,
+
+  -- File details
+  format TEXT NOT NULL CHECK (format IN ('pdf', 'docx', 'json', 'csv')),
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_size INTEGER NOT NULL CHECK (file_size >= 0),
+  storage_path TEXT NOT NULL,
+
+  -- Lifecycle
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_exports_user ON resource_exports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_exports_expires ON resource_exports(expires_at);
+
+-- Enable Row Level Security
+ALTER TABLE resource_exports ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own exports
+CREATE POLICY "Users can view their own resource_exports"
+  ON resource_exports
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Service role manages exports (backend API)
+CREATE POLICY "Service role can manage resource_exports"
+  ON resource_exports
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE resource_exports IS 'Rendered resource export files stored in the resource-exports storage bucket';
+COMMENT ON COLUMN resource_exports.export_id IS 'Identifier used in signed download URLs (/api/exports/:exportId)';
+COMMENT ON COLUMN resource_exports.storage_path IS 'Object path inside the resource-exports storage bucket';
@@ -0,0 +1,56 @@
+-- =====================================================
+-- API KEYS
+-- Migration: 013
+-- Created: 2026-10-19
+-- Purpose: Revocable, scoped API keys for external integrations
+-- =====================================================
+
+-- Keys are stored as SHA-256 hashes. The plaintext key is returned once
+-- by POST /api/auth/api-key and can't be recovered afterwards.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+
+  -- Lookup + display
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL, -- e.g. 'hsp_3f9a1c2b' (shown in key lists)
+
+  -- Authorization
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read']::TEXT[],
+
+  -- Lifecycle
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  revoked BOOLEAN NOT NULL DEFAULT FALSE,
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT api_keys_name_length CHECK (char_length(name) BETWEEN 1 AND 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own keys (hashes are useless without the plaintext)
+CREATE POLICY "Users can view their own api_keys"
+  ON api_keys
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Service role manages keys (backend API)
+CREATE POLICY "Service role can manage api_keys"
+  ON api_keys
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE api_keys IS 'Hashed, scoped and revocable API keys for external integrations';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 hex digest of the full API key';
+COMMENT ON COLUMN api_keys.scopes IS 'Permissions the key may use (subset of read, write, export, premium)';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Last successful authentication (updated at most once per minute)';
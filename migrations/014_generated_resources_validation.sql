@@ -0,0 +1,27 @@
+-- =====================================================
+-- GENERATED RESOURCE VALIDATION REPORTS
+-- Migration: 014
+-- Created: 2026-10-19
+-- Purpose: Store the schema validation/repair report with each generated resource
+-- =====================================================
+
+-- Report shape (see resourceGenerationService.buildValidationReport):
+-- {
+--   "valid": true,
+--   "checkedAt": "2026-10-19T12:00:00.000Z",
+--   "prompts": [
+--     { "promptId": "target-buyer-personas", "schemaFound": true, "valid": true,
+--       "repaired": true, "repairAttempts": 1,
+--       "initialErrors": ["Missing required field: personas[0].empathyMap"], "errors": [] }
+--   ]
+-- }
+
+ALTER TABLE generated_resources
+  ADD COLUMN IF NOT EXISTS validation_report JSONB;
+
+-- Find resources that were saved without passing validation
+CREATE INDEX IF NOT EXISTS idx_generated_resources_invalid
+  ON generated_resources(user_id, resource_id)
+  WHERE (validation_report->>'valid') = 'false';
+
+COMMENT ON COLUMN generated_resources.validation_report IS 'RESOURCE_CONTENT_SCHEMAS validation result per prompt, including automatic repair attempts';
@@ -0,0 +1,53 @@
+-- =====================================================
+-- PRODUCT EXTRACTION SNAPSHOTS
+-- Migration: 015
+-- Created: 2026-10-19
+-- Purpose: Keep the website pages read during product extraction
+-- =====================================================
+
+-- One row per page read (home page plus crawled pricing/product/customers/about
+-- pages). customer_assets.product_details.sources cites these pages by URL.
+
+CREATE TABLE IF NOT EXISTS product_extraction_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  domain TEXT NOT NULL,
+
+  -- Page
+  url TEXT NOT NULL,
+  page_type TEXT NOT NULL, -- home, pricing, product, customers, about
+  title TEXT,
+  meta_description TEXT,
+  headings TEXT,
+  page_text TEXT, -- Visible text, truncated (5,000 chars home / 3,000 other pages)
+
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT product_extraction_snapshots_page_type_check
+    CHECK (page_type IN ('home', 'pricing', 'product', 'customers', 'about'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_extraction_snapshots_user
+  ON product_extraction_snapshots(user_id, captured_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE product_extraction_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the pages extracted for them
+CREATE POLICY "Users can view their own product_extraction_snapshots"
+  ON product_extraction_snapshots
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Service role writes snapshots (product extraction worker)
+CREATE POLICY "Service role can manage product_extraction_snapshots"
+  ON product_extraction_snapshots
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE product_extraction_snapshots IS 'Website pages read during signup product extraction';
+COMMENT ON COLUMN product_extraction_snapshots.page_type IS 'Why the page was read: home page or a crawled pricing/product/customers/about link';
@@ -0,0 +1,95 @@
+-- =====================================================
+-- PROSPECT LISTS
+-- Migration: 016
+-- Created: 2026-10-19
+-- Purpose: Named lists of prospects with automatic ICP rating
+-- =====================================================
+
+-- Lists hold companies from prospect discovery, manual entry or CSV import.
+-- Every new entry is queued for ICP rating (company-rating queue); the rating
+-- worker copies the score and fit level back onto the entry.
+
+CREATE TABLE IF NOT EXISTS prospect_lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT prospect_lists_user_name_unique UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prospect_lists_user
+  ON prospect_lists(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS prospect_list_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  list_id UUID NOT NULL REFERENCES prospect_lists(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Company
+  company_name TEXT NOT NULL,
+  company_url TEXT NOT NULL, -- Normalized domain, e.g. "acme.io"
+  notes TEXT,
+  source TEXT NOT NULL DEFAULT 'manual', -- discovery, manual, csv
+  discovery_data JSONB, -- Prospect as returned by prospect discovery (evidence, confidence)
+
+  -- ICP rating (filled in by the rating worker)
+  rating_status TEXT NOT NULL DEFAULT 'pending', -- pending, queued, rated, failed
+  rating_job_id TEXT,
+  rating_id UUID, -- company_ratings.id of the latest rating
+  rating_score NUMERIC(5, 2),
+  fit_level TEXT,
+  rating_error TEXT,
+  rated_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT prospect_list_entries_list_company_unique UNIQUE (list_id, company_url),
+  CONSTRAINT prospect_list_entries_source_check
+    CHECK (source IN ('discovery', 'manual', 'csv')),
+  CONSTRAINT prospect_list_entries_rating_status_check
+    CHECK (rating_status IN ('pending', 'queued', 'rated', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prospect_list_entries_list_score
+  ON prospect_list_entries(list_id, rating_score DESC NULLS LAST);
+
+-- Enable Row Level Security
+ALTER TABLE prospect_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prospect_list_entries ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own lists and entries
+CREATE POLICY "Users can view their own prospect_lists"
+  ON prospect_lists
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view their own prospect_list_entries"
+  ON prospect_list_entries
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Service role manages lists (API) and writes ratings (rating worker)
+CREATE POLICY "Service role can manage prospect_lists"
+  ON prospect_lists
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage prospect_list_entries"
+  ON prospect_list_entries
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE prospect_lists IS 'Named lists of prospects saved from discovery, manual entry or CSV import';
+COMMENT ON TABLE prospect_list_entries IS 'Companies in a prospect list with their automatic ICP rating';
+COMMENT ON COLUMN prospect_list_entries.rating_status IS 'pending (not queued yet), queued (company-rating job submitted), rated, failed';
@@ -0,0 +1,164 @@
+-- =====================================================
+-- ORGANIZATIONS & TEAM WORKSPACES
+-- Migration: 017
+-- Created: 2026-10-19
+-- Purpose: Organizations, membership roles, invitations and org-scoped sharing
+-- =====================================================
+
+-- organizations, user_organizations and team_invitations keep the names and
+-- columns the Next.js handlers (app/api/organizations, app/api/invitations)
+-- already use, so both stacks read the same rows. The Express API adds
+-- token-based invitation acceptance (team_invitations.token_hash), member
+-- emails (user_organizations.email) and organization_shared_items for sharing
+-- generated resources, ICP frameworks and prospect (rating) lists.
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  description TEXT DEFAULT '',
+  owner_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  plan TEXT NOT NULL DEFAULT 'basic',
+  max_members INTEGER NOT NULL DEFAULT 5,
+  settings JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT, -- Member's email when they joined (auth.users isn't exposed to the API)
+  role TEXT NOT NULL DEFAULT 'member', -- owner, admin, manager, member
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  joined_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT user_organizations_user_org_unique UNIQUE (user_id, organization_id),
+  CONSTRAINT user_organizations_role_check
+    CHECK (role IN ('owner', 'admin', 'manager', 'member'))
+);
+
+ALTER TABLE user_organizations
+  ADD COLUMN IF NOT EXISTS email TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_organizations_org
+  ON user_organizations(organization_id)
+  WHERE is_active = TRUE;
+
+CREATE TABLE IF NOT EXISTS team_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL, -- Lowercased
+  role TEXT NOT NULL DEFAULT 'member',
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, accepted, declined, revoked, expired
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT team_invitations_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined', 'revoked', 'expired'))
+);
+
+-- SHA-256 of the invitation token emailed to the invitee (never stored in plaintext)
+ALTER TABLE team_invitations
+  ADD COLUMN IF NOT EXISTS token_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_invitations_token_hash
+  ON team_invitations(token_hash)
+  WHERE token_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_team_invitations_org_status
+  ON team_invitations(organization_id, status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS organization_shared_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  item_type TEXT NOT NULL, -- generated_resource, icp_framework, prospect_list
+  item_id UUID NOT NULL,
+  shared_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE, -- Owner of the item
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT organization_shared_items_unique UNIQUE (organization_id, item_type, item_id),
+  CONSTRAINT organization_shared_items_type_check
+    CHECK (item_type IN ('generated_resource', 'icp_framework', 'prospect_list'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_shared_items_item
+  ON organization_shared_items(item_type, item_id);
+
+-- Enable Row Level Security
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_shared_items ENABLE ROW LEVEL SECURITY;
+
+-- Members can see their organizations, their memberships and shared items
+-- (the membership policy must not query user_organizations itself: recursion)
+CREATE POLICY "Members can view their organizations"
+  ON organizations
+  FOR SELECT
+  USING (id IN (
+    SELECT organization_id FROM user_organizations
+    WHERE user_id = auth.uid() AND is_active = TRUE
+  ));
+
+CREATE POLICY "Users can view their own user_organizations"
+  ON user_organizations
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Members can view their organization shared items"
+  ON organization_shared_items
+  FOR SELECT
+  USING (organization_id IN (
+    SELECT organization_id FROM user_organizations
+    WHERE user_id = auth.uid() AND is_active = TRUE
+  ));
+
+-- Service role manages everything (invitations are only read through the API)
+CREATE POLICY "Service role can manage organizations"
+  ON organizations
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage user_organizations"
+  ON user_organizations
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage team_invitations"
+  ON team_invitations
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage organization_shared_items"
+  ON organization_shared_items
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE organizations IS 'Team workspaces; members share generated resources, ICP frameworks and prospect lists';
+COMMENT ON TABLE user_organizations IS 'Organization membership with role (owner > admin > manager > member)';
+COMMENT ON TABLE team_invitations IS 'Email invitations to join an organization, accepted with a single-use token';
+COMMENT ON TABLE organization_shared_items IS 'Items a member shared with their organization (read access for all members)';
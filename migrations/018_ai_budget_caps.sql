@@ -0,0 +1,90 @@
+-- =====================================================
+-- AI BUDGET CAPS & SPEND ALERTS
+-- Migration: 018
+-- Created: 2026-10-19
+-- Purpose: Configurable daily/monthly AI spend caps with soft-limit alerts
+-- =====================================================
+
+-- Caps apply to a user, to every user on a plan (subscription tier: free,
+-- trial, paid) or to an organization's pooled spend. A user's own cap
+-- replaces their plan cap; organization caps apply on top. Spend comes from
+-- ai_usage_metrics (see aiBudgetService).
+--
+-- Crossing a warning threshold (percent of the limit) sends one alert per
+-- cap, period and threshold; ai_budget_alerts records what was sent. At 100%
+-- a hard cap refuses further AI calls with 402 until the period resets.
+
+CREATE TABLE IF NOT EXISTS ai_budget_caps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  scope_type TEXT NOT NULL, -- user, plan, organization
+  scope_id TEXT NOT NULL, -- User ID, plan name or organization ID
+
+  -- NULL = no limit for that period
+  daily_limit_usd NUMERIC(10, 2),
+  monthly_limit_usd NUMERIC(10, 2),
+
+  warning_thresholds INTEGER[] NOT NULL DEFAULT '{50,80,90}', -- Percent of the limit
+  hard_cap BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE = warn only, never block
+  notes TEXT,
+
+  updated_by TEXT, -- Admin email
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT ai_budget_caps_scope_unique UNIQUE (scope_type, scope_id),
+  CONSTRAINT ai_budget_caps_scope_type_check
+    CHECK (scope_type IN ('user', 'plan', 'organization')),
+  CONSTRAINT ai_budget_caps_limits_check
+    CHECK (daily_limit_usd >= 0 AND monthly_limit_usd >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS ai_budget_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  cap_id UUID NOT NULL REFERENCES ai_budget_caps(id) ON DELETE CASCADE,
+  scope_type TEXT NOT NULL,
+  scope_id TEXT NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- Whose spend crossed the threshold (plan caps are per user)
+
+  period TEXT NOT NULL, -- daily, monthly
+  period_start DATE NOT NULL,
+  threshold INTEGER NOT NULL, -- Percent; 100 = limit reached
+  spent_usd NUMERIC(10, 6) NOT NULL,
+  limit_usd NUMERIC(10, 2) NOT NULL,
+  channels TEXT[] NOT NULL DEFAULT '{}', -- Where the alert was delivered (email, slack)
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT ai_budget_alerts_period_check CHECK (period IN ('daily', 'monthly'))
+);
+
+-- One alert per cap, subject, period and threshold
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_budget_alerts_unique
+  ON ai_budget_alerts(cap_id, COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid), period, period_start, threshold);
+
+CREATE INDEX IF NOT EXISTS idx_ai_budget_alerts_created
+  ON ai_budget_alerts(created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE ai_budget_caps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_budget_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Caps and alerts are managed through admin endpoints only
+CREATE POLICY "Service role can manage ai_budget_caps"
+  ON ai_budget_caps
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage ai_budget_alerts"
+  ON ai_budget_alerts
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE ai_budget_caps IS 'Daily/monthly AI spend caps per user, plan (subscription tier) or organization';
+COMMENT ON TABLE ai_budget_alerts IS 'Soft-limit and limit-reached alerts sent for ai_budget_caps (one per threshold per period)';
+COMMENT ON COLUMN ai_budget_caps.hard_cap IS 'TRUE: AI calls are refused (402) once a limit is reached; FALSE: alerts only';
@@ -0,0 +1,45 @@
+-- =====================================================
+-- SCHEDULED TASK RUNS
+-- Migration: 019
+-- Created: 2026-10-19
+-- Purpose: Run history for the built-in scheduler (lib/scheduler.js)
+-- =====================================================
+
+-- One row per run of a scheduled task (daily AI cost rollup, context cache
+-- cleanup, data retention). The admin scheduler status endpoint reads the
+-- latest run of each task; old runs are pruned by the data retention task.
+
+CREATE TABLE IF NOT EXISTS scheduled_task_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  task_name TEXT NOT NULL, -- e.g. 'ai-cost-rollup'
+  status TEXT NOT NULL, -- success, failed
+
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+  duration_ms INTEGER NOT NULL,
+
+  result JSONB, -- Task output, e.g. { "removed": 42 }
+  error_message TEXT,
+  instance TEXT, -- Host that ran the task
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT scheduled_task_runs_status_check CHECK (status IN ('success', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_task_runs_task
+  ON scheduled_task_runs(task_name, started_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE scheduled_task_runs ENABLE ROW LEVEL SECURITY;
+
+-- Written by the API, read through admin endpoints only
+CREATE POLICY "Service role can manage scheduled_task_runs"
+  ON scheduled_task_runs
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE scheduled_task_runs IS 'Run history of scheduled maintenance tasks (cost rollup, cache cleanup, data retention)';
@@ -0,0 +1,105 @@
+-- =====================================================
+-- BUSINESS CASE TEMPLATES
+-- Migration: 020
+-- Created: 2026-10-19
+-- Purpose: Editable, versioned business-case templates
+-- =====================================================
+
+-- A template is a named, typed (pilot/full) business case blueprint. Its
+-- content - sections, default phases, risks, next steps and ROI assumptions
+-- (including industry multipliers) - lives in immutable versions: every edit
+-- adds a version and moves latest_version. Generated business cases record
+-- the template id and version they were built from.
+--
+-- owner_user_id NULL = system template (managed by admins, visible to all).
+-- Users clone system or own templates into templates they own and edit.
+-- The built-in pilot/full templates ship in code (businessCaseTemplateService)
+-- and are used for a type until an admin marks a system template as default.
+
+CREATE TABLE IF NOT EXISTS business_case_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  owner_user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  case_type TEXT NOT NULL, -- pilot, full
+  is_default BOOLEAN NOT NULL DEFAULT FALSE, -- System template used when no template is chosen
+  latest_version INTEGER NOT NULL DEFAULT 1,
+
+  -- Clone source (template id or built-in id such as "builtin-pilot")
+  cloned_from_template_id TEXT,
+  cloned_from_version INTEGER,
+
+  created_by TEXT, -- Admin email or user id
+  archived_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT business_case_templates_type_check
+    CHECK (case_type IN ('pilot', 'full')),
+  CONSTRAINT business_case_templates_default_system_check
+    CHECK (NOT is_default OR owner_user_id IS NULL)
+);
+
+-- At most one active default per type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_case_templates_default
+  ON business_case_templates(case_type)
+  WHERE is_default AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_business_case_templates_owner
+  ON business_case_templates(owner_user_id, case_type)
+  WHERE archived_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS business_case_template_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  template_id UUID NOT NULL REFERENCES business_case_templates(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content JSONB NOT NULL, -- duration, investmentRange, sections, keyPoints, phases, risks, nextSteps, roiAssumptions
+  change_note TEXT,
+
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT business_case_template_versions_unique UNIQUE (template_id, version)
+);
+
+-- Enable Row Level Security
+ALTER TABLE business_case_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE business_case_template_versions ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read system templates; users can read their own
+CREATE POLICY "Users can view system and own business_case_templates"
+  ON business_case_templates
+  FOR SELECT
+  USING (owner_user_id IS NULL OR owner_user_id = auth.uid());
+
+CREATE POLICY "Users can view versions of visible business_case_templates"
+  ON business_case_template_versions
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM business_case_templates t
+      WHERE t.id = template_id
+        AND (t.owner_user_id IS NULL OR t.owner_user_id = auth.uid())
+    )
+  );
+
+-- Service role manages templates (API)
+CREATE POLICY "Service role can manage business_case_templates"
+  ON business_case_templates
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage business_case_template_versions"
+  ON business_case_template_versions
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE business_case_templates IS 'Business case templates: system (owner_user_id NULL) or user-owned clones';
+COMMENT ON TABLE business_case_template_versions IS 'Immutable template content; every edit adds a version';
+COMMENT ON COLUMN business_case_templates.latest_version IS 'Version used when a business case does not ask for a specific one';
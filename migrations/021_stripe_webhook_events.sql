@@ -0,0 +1,62 @@
+-- =====================================================
+-- STRIPE WEBHOOK EVENT LEDGER
+-- Migration: 021
+-- Created: 2026-10-19
+-- Purpose: Idempotent Stripe webhook processing with replay
+-- =====================================================
+
+-- Every verified Stripe event is stored once, keyed by Stripe's event id.
+-- Redeliveries of processed events are acknowledged without running the
+-- handler again; failed events are retried by Stripe or replayed by admins.
+-- customer.subscription.* events older than the last one applied to the same
+-- subscription (by Stripe's event timestamp) are skipped as stale.
+
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+
+  type TEXT NOT NULL,
+  object_id TEXT, -- data.object.id (cs_..., sub_..., in_...)
+  livemode BOOLEAN NOT NULL DEFAULT FALSE,
+  stripe_created_at TIMESTAMPTZ NOT NULL, -- event.created
+  payload JSONB NOT NULL, -- Full event as received
+
+  -- Processing
+  status TEXT NOT NULL DEFAULT 'processing', -- processing, processed, skipped, failed
+  attempts INTEGER NOT NULL DEFAULT 1,
+  result JSONB, -- Handler outcome
+  error_message TEXT,
+  locked_at TIMESTAMPTZ DEFAULT NOW(), -- Start of the current attempt
+  processed_at TIMESTAMPTZ,
+
+  -- Admin replays
+  last_replayed_at TIMESTAMPTZ,
+  last_replayed_by TEXT,
+
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT stripe_webhook_events_status_check
+    CHECK (status IN ('processing', 'processed', 'skipped', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status
+  ON stripe_webhook_events(status, received_at DESC);
+
+-- Latest applied event per subscription (stale event check)
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_object
+  ON stripe_webhook_events(object_id, stripe_created_at DESC)
+  WHERE status = 'processed';
+
+-- Enable Row Level Security
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Service role only (webhook endpoint and admin API)
+CREATE POLICY "Service role can manage stripe_webhook_events"
+  ON stripe_webhook_events
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE stripe_webhook_events IS 'Ledger of received Stripe webhook events and their processing outcome';
+COMMENT ON COLUMN stripe_webhook_events.status IS 'processing (attempt in progress), processed, skipped (stale or unhandled type), failed (retried by Stripe or admin replay)';
@@ -0,0 +1,69 @@
+-- =====================================================
+-- AI USAGE METERING
+-- Migration: 022
+-- Created: 2026-10-19
+-- Purpose: Ledger of AI usage reported to Stripe for metered billing
+-- =====================================================
+
+-- Usage recorded in ai_usage_metrics is aggregated per subscription billing
+-- period and reported to Stripe as billing meter events. Each row is one
+-- report of the difference between the period's recorded usage
+-- (cumulative_quantity) and what was already reported. The meter event
+-- identifier is derived from the cumulative quantity, so retrying a report
+-- never bills the same usage twice. Reconciliation compares the reported
+-- total with the recorded usage and Stripe's meter totals.
+
+CREATE TABLE IF NOT EXISTS ai_usage_meter_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  stripe_customer_id TEXT NOT NULL,
+  stripe_subscription_item_id TEXT NOT NULL, -- Metered item (si_...)
+
+  -- Subscription billing period the usage belongs to
+  period_start TIMESTAMPTZ NOT NULL,
+  period_end TIMESTAMPTZ NOT NULL,
+
+  unit TEXT NOT NULL, -- generations, tokens
+  quantity INTEGER NOT NULL, -- Reported in this meter event
+  cumulative_quantity INTEGER NOT NULL, -- Recorded usage for the period when reported
+
+  identifier TEXT NOT NULL UNIQUE, -- Stripe meter event identifier
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, reported, failed
+  error_message TEXT,
+  reported_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT ai_usage_meter_reports_status_check CHECK (status IN ('pending', 'reported', 'failed')),
+  CONSTRAINT ai_usage_meter_reports_unit_check CHECK (unit IN ('generations', 'tokens')),
+  CONSTRAINT ai_usage_meter_reports_quantity_check CHECK (quantity > 0 AND cumulative_quantity >= quantity)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_meter_reports_period
+  ON ai_usage_meter_reports(user_id, period_start DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_meter_reports_period_end
+  ON ai_usage_meter_reports(period_end DESC)
+  WHERE status = 'reported';
+
+-- Enable Row Level Security
+ALTER TABLE ai_usage_meter_reports ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own reports
+CREATE POLICY "Users can view their own ai_usage_meter_reports"
+  ON ai_usage_meter_reports
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Written by the scheduled metering task
+CREATE POLICY "Service role can manage ai_usage_meter_reports"
+  ON ai_usage_meter_reports
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE ai_usage_meter_reports IS 'AI usage reported to Stripe billing meters, per user and billing period';
+COMMENT ON COLUMN ai_usage_meter_reports.cumulative_quantity IS 'Recorded usage for the period at report time; quantity is the increase over earlier reports';
@@ -0,0 +1,87 @@
+-- =====================================================
+-- LIFECYCLE EMAIL SEQUENCES
+-- Migration: 023
+-- Created: 2026-10-19
+-- Purpose: Enrollments in scheduled email sequences and a record of each step
+-- =====================================================
+
+-- Approved beta users are enrolled in the beta onboarding sequence (see
+-- services/lifecycleEmailService.js). Each step is a delayed queue job that
+-- runs at the step's offset from enrollment; the outcome of every step -
+-- sent, skipped because the user unsubscribed or converted, or failed - is
+-- recorded once in email_sequence_sends.
+
+CREATE TABLE IF NOT EXISTS email_sequence_enrollments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  sequence_key TEXT NOT NULL, -- beta_onboarding
+  email TEXT NOT NULL,
+  full_name TEXT,
+  beta_signup_id UUID, -- beta_signups row that was approved
+
+  status TEXT NOT NULL DEFAULT 'active', -- active, paused, completed, unsubscribed, converted
+  enrolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Pending steps are pushed back by the time spent paused
+  paused_at TIMESTAMPTZ,
+  paused_by TEXT, -- Admin email
+  paused_seconds INTEGER NOT NULL DEFAULT 0,
+
+  unsubscribed_at TIMESTAMPTZ,
+  converted_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT email_sequence_enrollments_unique UNIQUE (sequence_key, email),
+  CONSTRAINT email_sequence_enrollments_status_check CHECK (status IN ('active', 'paused', 'completed', 'unsubscribed', 'converted'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_email
+  ON email_sequence_enrollments(email);
+
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_status
+  ON email_sequence_enrollments(status, enrolled_at DESC);
+
+CREATE TABLE IF NOT EXISTS email_sequence_sends (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  enrollment_id UUID NOT NULL REFERENCES email_sequence_enrollments(id) ON DELETE CASCADE,
+  step_key TEXT NOT NULL, -- week1_check_in, week2_nps_survey, ...
+
+  status TEXT NOT NULL, -- sent, skipped, failed
+  message_id TEXT,
+  skip_reason TEXT, -- unsubscribed, converted
+  error_message TEXT,
+  processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- A step is sent at most once; failed attempts are overwritten by the retry
+  CONSTRAINT email_sequence_sends_unique UNIQUE (enrollment_id, step_key),
+  CONSTRAINT email_sequence_sends_status_check CHECK (status IN ('sent', 'skipped', 'failed'))
+);
+
+-- Enable Row Level Security
+ALTER TABLE email_sequence_enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_sequence_sends ENABLE ROW LEVEL SECURITY;
+
+-- Written by the lifecycle email worker and admin endpoints only
+CREATE POLICY "Service role can manage email_sequence_enrollments"
+  ON email_sequence_enrollments
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+CREATE POLICY "Service role can manage email_sequence_sends"
+  ON email_sequence_sends
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE email_sequence_enrollments IS 'Users enrolled in scheduled lifecycle email sequences';
+COMMENT ON TABLE email_sequence_sends IS 'Outcome of each lifecycle email step, one row per enrollment and step';
+COMMENT ON COLUMN email_sequence_enrollments.paused_seconds IS 'Total time spent paused; pending steps are due at enrolled_at + step offset + paused_seconds';
@@ -0,0 +1,55 @@
+-- =====================================================
+-- BETA APPLICATION SCORING AND REVIEW
+-- Migration: 024
+-- Created: 2026-10-19
+-- Purpose: Score columns on beta_signups and an audit log of every decision
+-- =====================================================
+
+-- Applications are scored when they are submitted (see
+-- services/betaApplicationService.js). High and low scores are decided
+-- automatically; the middle band stays pending in the admin review queue.
+-- Every decision - automatic or by an admin - is written to
+-- beta_application_decisions with the email that was sent.
+
+-- beta_signups predates the numbered migrations; the scoring columns were
+-- written by scripts/processBetaApplications.js
+ALTER TABLE IF EXISTS beta_signups ADD COLUMN IF NOT EXISTS score INTEGER;
+ALTER TABLE IF EXISTS beta_signups ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+ALTER TABLE IF EXISTS beta_signups ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
+ALTER TABLE IF EXISTS beta_signups ADD COLUMN IF NOT EXISTS reviewed_by TEXT; -- Admin email, NULL for automatic decisions
+
+CREATE TABLE IF NOT EXISTS beta_application_decisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  beta_signup_id UUID NOT NULL,
+  email TEXT NOT NULL,
+
+  decision TEXT NOT NULL, -- approved, waitlist, rejected, review (queued for an admin)
+  score INTEGER,
+  decided_by TEXT NOT NULL, -- 'system' or admin email
+  notes TEXT,
+
+  -- Decision email (none for review)
+  email_sent BOOLEAN NOT NULL DEFAULT FALSE,
+  email_error TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT beta_application_decisions_decision_check CHECK (decision IN ('approved', 'waitlist', 'rejected', 'review'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_beta_application_decisions_signup
+  ON beta_application_decisions(beta_signup_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE beta_application_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Written by the API only
+CREATE POLICY "Service role can manage beta_application_decisions"
+  ON beta_application_decisions
+  FOR ALL
+  TO service_role
+  USING (TRUE)
+  WITH CHECK (TRUE);
+
+COMMENT ON TABLE beta_application_decisions IS 'Audit log of beta application decisions, automatic and by admins';
@@ -0,0 +1,58 @@
+-- =====================================================
+-- AI USAGE TOTALS
+-- Migration: 025
+-- Created: 2026-10-19
+-- Purpose: Aggregate metered AI usage in the database
+-- =====================================================
+
+-- PostgREST caps a select at 1000 rows, so summing ai_usage_metrics rows in
+-- the API undercounts heavy users. Usage metering (see
+-- services/usageMeteringService.js) aggregates with these functions instead.
+-- They run as the caller and are only granted to the service role.
+
+-- Successful AI usage of a user in [p_start, p_end)
+CREATE OR REPLACE FUNCTION get_ai_usage_totals(
+  p_user_id UUID,
+  p_start TIMESTAMPTZ,
+  p_end TIMESTAMPTZ
+)
+RETURNS TABLE (
+  generations BIGINT,
+  tokens BIGINT,
+  estimated_cost_usd DECIMAL(12, 6)
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COUNT(*) AS generations,
+    COALESCE(SUM(total_tokens), 0)::BIGINT AS tokens,
+    COALESCE(SUM(ai_usage_metrics.estimated_cost_usd), 0)::DECIMAL(12, 6) AS estimated_cost_usd
+  FROM ai_usage_metrics
+  WHERE user_id = p_user_id
+    AND success = TRUE
+    AND created_at >= p_start
+    AND created_at < p_end;
+$$;
+
+-- Users with successful AI usage since p_since, one row each (read in pages)
+CREATE OR REPLACE FUNCTION get_ai_usage_users(p_since TIMESTAMPTZ)
+RETURNS TABLE (user_id UUID)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT DISTINCT ai_usage_metrics.user_id
+  FROM ai_usage_metrics
+  WHERE ai_usage_metrics.user_id IS NOT NULL
+    AND success = TRUE
+    AND created_at >= p_since
+  ORDER BY ai_usage_metrics.user_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_ai_usage_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION get_ai_usage_users(TIMESTAMPTZ) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_ai_usage_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION get_ai_usage_users(TIMESTAMPTZ) TO service_role;
+
+COMMENT ON FUNCTION get_ai_usage_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ) IS 'Successful AI generations, tokens and cost of a user in a period (usage metering)';
+COMMENT ON FUNCTION get_ai_usage_users(TIMESTAMPTZ) IS 'Users with successful AI usage since a point in time (usage metering)';
@@ -0,0 +1,37 @@
+-- =====================================================
+-- AI SPEND TOTALS
+-- Migration: 026
+-- Created: 2026-10-19
+-- Purpose: Aggregate AI spend for budget enforcement in the database
+-- =====================================================
+
+-- The gateway's daily budgets and the AI budget caps (see
+-- services/aiCostTrackingService.js getSpendSince) need the spend since the
+-- start of a period. PostgREST caps a select at 1000 rows, so summing
+-- ai_usage_metrics rows in the API undercounts exactly the users and
+-- organizations a budget is meant to stop. This function sums in SQL.
+
+-- Spend since p_since for a group of users, or the platform when p_user_ids is NULL
+CREATE OR REPLACE FUNCTION get_ai_spend_since(
+  p_since TIMESTAMPTZ,
+  p_user_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  total_cost_usd DECIMAL(12, 6),
+  total_calls BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COALESCE(SUM(estimated_cost_usd), 0)::DECIMAL(12, 6) AS total_cost_usd,
+    COUNT(*) AS total_calls
+  FROM ai_usage_metrics
+  WHERE created_at >= p_since
+    AND (p_user_ids IS NULL OR user_id = ANY(p_user_ids));
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_ai_spend_since(TIMESTAMPTZ, UUID[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_ai_spend_since(TIMESTAMPTZ, UUID[]) TO service_role;
+
+COMMENT ON FUNCTION get_ai_spend_since(TIMESTAMPTZ, UUID[]) IS 'AI spend and call count since a point in time, for budget enforcement';
@@ -16,6 +16,15 @@ if (process.env.NODE_ENV === 'test') {
   dotenv.config({ override: true });
 }
 
+/**
+ * Integer environment variable, or the default when unset or not a number
+ * (unlike `parseInt(...) || default`, an explicit 0 is kept)
+ */
+function parseIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
 const config = {
   // Server Configuration
   server: {
@@ -68,6 +77,95 @@ const config = {
     },
     // Legacy JWT feature flag - default false (Supabase-only auth)
     enableLegacyJWT: process.env.ENABLE_LEGACY_JWT === 'true',
+    // Legacy stateless HMAC API keys - accepted (with a deprecation warning) until set to 'false'
+    enableLegacyApiKeys: process.env.ENABLE_LEGACY_API_KEYS !== 'false',
+  },
+
+  // Anthropic Gateway Configuration (see services/anthropicGatewayService.js)
+  ai: {
+    fallbackModel: process.env.AI_FALLBACK_MODEL || 'claude-3-5-haiku-20241022',
+    // Model for resource generation (services/resourceGenerationService.js)
+    resourceModel: process.env.AI_RESOURCE_MODEL || 'claude-sonnet-4-20250514',
+    requestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 120000,
+    // 0 turns retries off
+    maxRetries: parseIntEnv('AI_MAX_RETRIES', 3),
+    retryDelayMs: parseIntEnv('AI_RETRY_DELAY_MS', 1000),
+    // Daily budgets in USD - 0 disables the check
+    dailyUserBudgetUsd: parseFloat(process.env.AI_DAILY_USER_BUDGET_USD) || 0,
+    dailyPlatformBudgetUsd: parseFloat(process.env.AI_DAILY_PLATFORM_BUDGET_USD) || 0,
+    budgetCacheTtlMs: parseInt(process.env.AI_BUDGET_CACHE_TTL_MS) || 60000,
+  },
+
+  // Headless browser pool for website extraction (see lib/browserPool.js)
+  browser: {
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+    maxUsesPerBrowser: parseInt(process.env.BROWSER_MAX_USES) || 50,
+    idleTimeoutMs: parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS) || 60000,
+    acquireTimeoutMs: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 30000,
+    navigationTimeoutMs: parseInt(process.env.BROWSER_NAVIGATION_TIMEOUT_MS) || 30000,
+    evaluateTimeoutMs: parseInt(process.env.BROWSER_EVALUATE_TIMEOUT_MS) || 10000,
+  },
+
+  // Product extraction on signup (see services/productExtractionService.js)
+  productExtraction: {
+    // Follow same-domain pricing/product/customers/about links after the home page
+    crawlEnabled: process.env.PRODUCT_EXTRACTION_CRAWL !== 'false',
+    maxPages: parseInt(process.env.PRODUCT_EXTRACTION_MAX_PAGES) || 5,
+  },
+
+  // Scheduled maintenance tasks (see lib/scheduler.js)
+  scheduler: {
+    // Set SCHEDULER_ENABLED=false on all but one instance when running without Redis
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    contextCacheMaxAgeHours: parseInt(process.env.CONTEXT_CACHE_MAX_AGE_HOURS) || 24,
+    // Retention in days - 0 keeps rows forever. Nothing is deleted until a
+    // period is configured, so deploying the scheduler never prunes existing data.
+    retention: {
+      pageVisitsDays: parseInt(process.env.RETENTION_PAGE_VISITS_DAYS ?? '0'),
+      toolUsageDays: parseInt(process.env.RETENTION_TOOL_USAGE_DAYS ?? '0'),
+      taskRunsDays: parseInt(process.env.RETENTION_TASK_RUNS_DAYS ?? '0'),
+    },
+  },
+
+  // Self-serve billing (see services/billingService.js)
+  billing: {
+    // Plans customers can switch between: "plan_key:price_id,plan_key:price_id"
+    plans: Object.fromEntries(
+      (process.env.STRIPE_PLAN_PRICES || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([planKey, priceId]) => planKey && priceId)
+    ),
+    portalReturnUrl: process.env.STRIPE_PORTAL_RETURN_URL
+      || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings/billing`,
+  },
+
+  // Usage-based billing of AI generations (see services/usageMeteringService.js)
+  metering: {
+    enabled: process.env.STRIPE_METERING_ENABLED === 'true',
+    // 'generations' (successful AI calls) or 'tokens' (blocks of tokenBlockSize tokens)
+    unit: process.env.STRIPE_METERING_UNIT === 'tokens' ? 'tokens' : 'generations',
+    tokenBlockSize: parseInt(process.env.STRIPE_METERING_TOKEN_BLOCK_SIZE) || 1000,
+    // Stripe billing meter the metered price is attached to
+    meterEventName: process.env.STRIPE_METER_EVENT_NAME || 'ai_usage',
+    meterId: process.env.STRIPE_METER_ID || null, // mtr_... - enables Stripe totals in reconciliation
+  },
+
+  // Beta application scoring (see services/betaApplicationService.js)
+  // Scores out of 100: approved at autoApproveScore and above, admin review
+  // from reviewScore, waitlisted from waitlistScore, rejected below
+  betaApplications: {
+    autoApproveScore: parseInt(process.env.BETA_AUTO_APPROVE_SCORE ?? '80'),
+    reviewScore: parseInt(process.env.BETA_REVIEW_SCORE ?? '60'),
+    waitlistScore: parseInt(process.env.BETA_WAITLIST_SCORE ?? '40'),
+  },
+
+  // Beta lifecycle email sequences (see services/lifecycleEmailService.js)
+  lifecycleEmails: {
+    // Signs unsubscribe links - falls back to JWT_SECRET
+    unsubscribeSecret: process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET,
+    unsubscribeUrl: process.env.EMAIL_UNSUBSCRIBE_URL
+      || `${process.env.API_BASE_URL || 'http://localhost:3001'}/api/beta-signup/unsubscribe`,
   },
 
   // Logging Configuration
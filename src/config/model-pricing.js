@@ -0,0 +1,252 @@
+/**
+ * Model Pricing Registry
+ *
+ * Single source of truth for LLM token pricing. Every AI call site
+ * (controllers, workers, services) should compute cost through
+ * calculateCost() so ai_usage_metrics totals stay consistent.
+ *
+ * FEATURES:
+ * - Per-model input, output and cached-token prices (USD per 1M tokens)
+ * - Effective-dated price entries (a price change is a new entry, old
+ *   usage keeps being costed at the price that applied at the time)
+ * - Configuration override via AI_MODEL_PRICING_OVERRIDES (JSON)
+ *
+ * Override example (env):
+ *   AI_MODEL_PRICING_OVERRIDES='{"claude-3-5-haiku-20241022":{"input":0.8,"output":4,"effectiveFrom":"2024-11-04"}}'
+ *
+ * @module config/model-pricing
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Price entry for a model
+ * @typedef {Object} ModelPrice
+ * @property {string} effectiveFrom - ISO date the price applies from (inclusive)
+ * @property {number} input - USD per 1M input tokens
+ * @property {number} output - USD per 1M output tokens
+ * @property {number} [cacheWrite] - USD per 1M cache-creation input tokens
+ * @property {number} [cacheRead] - USD per 1M cache-read input tokens
+ */
+
+/**
+ * Anthropic prompt-caching multipliers (relative to the input price)
+ * Used when a price entry doesn't list cached-token prices explicitly.
+ */
+export const CACHE_WRITE_MULTIPLIER = 1.25;
+export const CACHE_READ_MULTIPLIER = 0.1;
+
+/**
+ * Model used when a model has no pricing entry and no family match.
+ * Opus is the most expensive model we call, so unknown models are never under-reported.
+ */
+export const FALLBACK_PRICING_MODEL = 'claude-3-opus-20240229';
+
+/**
+ * Built-in pricing table (USD per 1M tokens), oldest entry first per model
+ */
+export const MODEL_PRICING = {
+  'claude-3-opus-20240229': [
+    { effectiveFrom: '2024-02-29', input: 15, output: 75 }
+  ],
+  'claude-3-5-sonnet-20241022': [
+    { effectiveFrom: '2024-10-22', input: 3, output: 15 }
+  ],
+  'claude-3-5-haiku-20241022': [
+    { effectiveFrom: '2024-10-22', input: 0.25, output: 1.25 }
+  ],
+  'claude-sonnet-4-20250514': [
+    { effectiveFrom: '2025-05-14', input: 3, output: 15 }
+  ]
+};
+
+/**
+ * Normalize an override value (single entry or list) into a sorted entry list
+ * @private
+ */
+function normalizeEntries(model, value) {
+  const entries = Array.isArray(value) ? value : [value];
+
+  return entries
+    .filter(entry => {
+      const valid = entry
+        && typeof entry.input === 'number'
+        && typeof entry.output === 'number'
+        && entry.input >= 0
+        && entry.output >= 0;
+
+      if (!valid) {
+        logger.warn(`[ModelPricing] Ignoring invalid pricing override for ${model}`, { entry });
+      }
+      return valid;
+    })
+    .map(entry => ({ effectiveFrom: '1970-01-01', ...entry }))
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+}
+
+/**
+ * Parse AI_MODEL_PRICING_OVERRIDES
+ * @private
+ */
+function loadOverridesFromEnv() {
+  const raw = process.env.AI_MODEL_PRICING_OVERRIDES;
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed).map(([model, value]) => [model, normalizeEntries(model, value)])
+    );
+  } catch (error) {
+    logger.error('[ModelPricing] AI_MODEL_PRICING_OVERRIDES is not valid JSON - using built-in pricing', {
+      error: error.message
+    });
+    return {};
+  }
+}
+
+let pricingOverrides = loadOverridesFromEnv();
+
+/**
+ * Replace the active pricing overrides (e.g. from an admin setting or tests)
+ *
+ * Override entries are merged with the built-in entries for the same model;
+ * on the same effectiveFrom date the override wins.
+ *
+ * @param {Object} overrides - Map of model -> ModelPrice | ModelPrice[]
+ */
+export function setPricingOverrides(overrides = {}) {
+  pricingOverrides = Object.fromEntries(
+    Object.entries(overrides).map(([model, value]) => [model, normalizeEntries(model, value)])
+  );
+}
+
+/**
+ * Get all price entries for a model (built-in + overrides), oldest first
+ *
+ * @param {string} model - Model identifier
+ * @returns {ModelPrice[]} Entries (empty if model unknown)
+ */
+export function getPriceHistory(model) {
+  const builtIn = MODEL_PRICING[model] || [];
+  const overrides = pricingOverrides[model] || [];
+
+  const byDate = new Map();
+  for (const entry of [...builtIn, ...overrides]) {
+    byDate.set(entry.effectiveFrom, entry);
+  }
+
+  return [...byDate.values()].sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+}
+
+/**
+ * Resolve a model that has no pricing entry to a known model of the same family
+ * @private
+ */
+function resolvePricingModel(model) {
+  if (model && getPriceHistory(model).length > 0) {
+    return model;
+  }
+
+  const family = ['opus', 'sonnet', 'haiku'].find(name => model && model.includes(name));
+  if (family) {
+    const candidates = Object.keys({ ...MODEL_PRICING, ...pricingOverrides })
+      .filter(known => known.includes(family))
+      .sort((a, b) => {
+        const latestA = getPriceHistory(a).at(-1)?.effectiveFrom || '';
+        const latestB = getPriceHistory(b).at(-1)?.effectiveFrom || '';
+        return latestB.localeCompare(latestA);
+      });
+
+    if (candidates.length > 0) {
+      logger.warn(`[ModelPricing] Unknown model pricing: ${model}, using ${candidates[0]} (same family)`);
+      return candidates[0];
+    }
+  }
+
+  logger.warn(`[ModelPricing] Unknown model pricing: ${model}, using ${FALLBACK_PRICING_MODEL} as fallback`);
+  return FALLBACK_PRICING_MODEL;
+}
+
+/**
+ * Get the price that applied to a model at a point in time
+ *
+ * @param {string} model - Model identifier
+ * @param {Date|string} [at=new Date()] - When the usage happened
+ * @returns {{model: string, effectiveFrom: string, input: number, output: number, cacheWrite: number, cacheRead: number}}
+ */
+export function getModelPricing(model, at = new Date()) {
+  const pricingModel = resolvePricingModel(model);
+  const history = getPriceHistory(pricingModel);
+  const timestamp = new Date(at).getTime();
+
+  // Latest entry that was already effective; usage before the first entry uses the first entry
+  const entry = [...history].reverse().find(e => new Date(e.effectiveFrom).getTime() <= timestamp) || history[0];
+
+  return {
+    model: pricingModel,
+    effectiveFrom: entry.effectiveFrom,
+    input: entry.input,
+    output: entry.output,
+    cacheWrite: entry.cacheWrite ?? entry.input * CACHE_WRITE_MULTIPLIER,
+    cacheRead: entry.cacheRead ?? entry.input * CACHE_READ_MULTIPLIER
+  };
+}
+
+/**
+ * Calculate the USD cost of an LLM call
+ *
+ * Accepts our camelCase usage shape or Anthropic's raw snake_case usage object.
+ *
+ * @param {Object} usage - Token usage
+ * @param {number} [usage.inputTokens] - Uncached input tokens
+ * @param {number} [usage.outputTokens] - Output tokens
+ * @param {number} [usage.cacheCreationInputTokens] - Tokens written to the prompt cache
+ * @param {number} [usage.cacheReadInputTokens] - Tokens read from the prompt cache
+ * @param {string} model - Model identifier
+ * @param {Object} [options]
+ * @param {Date|string} [options.at] - When the call happened (defaults to now)
+ * @returns {number} Cost in USD (6 decimal precision)
+ *
+ * @example
+ * calculateCost({ inputTokens: 1200, outputTokens: 800 }, 'claude-3-5-sonnet-20241022');
+ * // 0.0156
+ */
+export function calculateCost(usage = {}, model, options = {}) {
+  const inputTokens = usage.inputTokens ?? usage.input_tokens ?? 0;
+  const outputTokens = usage.outputTokens ?? usage.output_tokens ?? 0;
+  const cacheWriteTokens = usage.cacheCreationInputTokens ?? usage.cache_creation_input_tokens ?? 0;
+  const cacheReadTokens = usage.cacheReadInputTokens ?? usage.cache_read_input_tokens ?? 0;
+
+  const pricing = getModelPricing(model, options.at);
+
+  const cost =
+    (inputTokens / 1_000_000) * pricing.input +
+    (outputTokens / 1_000_000) * pricing.output +
+    (cacheWriteTokens / 1_000_000) * pricing.cacheWrite +
+    (cacheReadTokens / 1_000_000) * pricing.cacheRead;
+
+  return parseFloat(cost.toFixed(6));
+}
+
+/**
+ * List current prices for every known model (for admin/cost dashboards)
+ *
+ * @returns {Object} Map of model -> current pricing
+ */
+export function listModelPricing() {
+  const models = new Set([...Object.keys(MODEL_PRICING), ...Object.keys(pricingOverrides)]);
+  return Object.fromEntries([...models].map(model => [model, getModelPricing(model)]));
+}
+
+export default {
+  MODEL_PRICING,
+  FALLBACK_PRICING_MODEL,
+  calculateCost,
+  getModelPricing,
+  getPriceHistory,
+  listModelPricing,
+  setPricingOverrides
+};
@@ -129,8 +129,27 @@ export const getQueueConnectionOptions = () => {
   return { connection };
 };
 
+/**
+ * Get the journal directory for the local SimpleQueue (used without Redis)
+ *
+ * QUEUE_DATA_DIR overrides the default of data/queues; QUEUE_PERSISTENCE=false
+ * keeps jobs in memory only. Tests default to in-memory.
+ *
+ * @returns {string|null} Directory path or null for in-memory queues
+ */
+export const getLocalQueueDataDir = () => {
+  if (process.env.QUEUE_PERSISTENCE === 'false') {
+    return null;
+  }
+  if (process.env.QUEUE_DATA_DIR) {
+    return process.env.QUEUE_DATA_DIR;
+  }
+  return process.env.NODE_ENV === 'test' ? null : 'data/queues';
+};
+
 export default {
   isRedisConfigured,
   getConnectionConfig,
   getQueueConnectionOptions,
+  getLocalQueueDataDir,
 };
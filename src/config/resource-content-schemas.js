@@ -26,6 +26,7 @@
  * @property {Object} structure - Expected JSON structure in content column
  * @property {string[]} requiredSections - Must be present for valid resource
  * @property {string[]} optionalSections - May be present depending on context
+ * @property {string[]} [requiredFields] - Nested paths that must be present (e.g. "personas[].empathyMap", [] = every item)
  * @property {Object} exampleQuery - SQL/JSONB query examples for common extractions
  */
 
@@ -174,6 +175,8 @@ export const RESOURCE_CONTENT_SCHEMAS = {
     },
     requiredSections: ['personas', 'summary'],
     optionalSections: ['buying_committee'],
+    // EmpathyContextExtractor reads the Core Worry from personas[0].empathyMap.thinkAndFeel
+    requiredFields: ['personas[].persona_name', 'personas[].empathyMap', 'personas[].empathyMap.thinkAndFeel'],
     exampleQuery: {
       sql: "SELECT content->'personas'->0 AS primary_persona FROM resources WHERE title = 'Target Buyer Personas'",
       javascript: "const primaryPersona = resource.content.personas[0]; const coreWorry = primaryPersona.empathyMap.thinkAndFeel[0]"
@@ -1274,11 +1277,109 @@ export function getResourceContentSchema(resourceId) {
   return RESOURCE_CONTENT_SCHEMAS[resourceId] || null;
 }
 
+/**
+ * Check whether a value counts as absent (null, empty string/array/object)
+ * @private
+ */
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Describe a value's type in schema terms
+ * @private
+ */
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Recursively compare present values against a structure definition.
+ * Missing keys are not type errors - required content is checked separately.
+ * @private
+ */
+function collectTypeErrors(expected, value, path, typeErrors) {
+  if (value === undefined || value === null) {
+    return;
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(value)) {
+      typeErrors.push({ path, expected: 'array', actual: describeType(value) });
+      return;
+    }
+    if (expected.length > 0) {
+      value.forEach((item, index) => collectTypeErrors(expected[0], item, `${path}[${index}]`, typeErrors));
+    }
+    return;
+  }
+
+  if (expected && typeof expected === 'object') {
+    if (describeType(value) !== 'object') {
+      typeErrors.push({ path, expected: 'object', actual: describeType(value) });
+      return;
+    }
+    for (const [key, childExpected] of Object.entries(expected)) {
+      collectTypeErrors(childExpected, value[key], `${path}.${key}`, typeErrors);
+    }
+    return;
+  }
+
+  if (typeof expected === 'string' && typeof value !== expected) {
+    typeErrors.push({ path, expected, actual: describeType(value) });
+  }
+}
+
+/**
+ * Find missing values for a required field path ("personas[].empathyMap")
+ * @private
+ */
+function collectMissingFields(value, parts, path, missing) {
+  if (parts.length === 0) {
+    if (isEmptyValue(value)) missing.push(path);
+    return;
+  }
+
+  if (value === undefined || value === null || typeof value !== 'object') {
+    missing.push(path ? `${path}.${parts.join('.')}` : parts.join('.'));
+    return;
+  }
+
+  const [part, ...rest] = parts;
+  const isArrayPart = part.endsWith('[]');
+  const key = isArrayPart ? part.slice(0, -2) : part;
+  const childPath = path ? `${path}.${key}` : key;
+  const child = value[key];
+
+  if (!isArrayPart) {
+    collectMissingFields(child, rest, childPath, missing);
+    return;
+  }
+
+  if (!Array.isArray(child) || child.length === 0) {
+    missing.push(childPath);
+    return;
+  }
+  child.forEach((item, index) => collectMissingFields(item, rest, `${childPath}[${index}]`, missing));
+}
+
 /**
  * Validate resource content against schema
+ *
+ * Checks required sections are present and non-empty, required nested
+ * fields (schema.requiredFields) exist, and present values match the
+ * types declared in schema.structure.
+ *
  * @param {string} resourceId - Resource identifier
  * @param {Object} content - Content to validate
- * @returns {Object} Validation result with valid flag and errors array
+ * @returns {Object} { valid, errors, missingSections, missingFields, typeErrors, invalidSections, schema }
+ *   invalidSections lists the top-level sections that need to be regenerated
  */
 export function validateResourceContent(resourceId, content) {
   const schema = getResourceContentSchema(resourceId);
@@ -1286,22 +1387,57 @@ export function validateResourceContent(resourceId, content) {
   if (!schema) {
     return {
       valid: false,
-      errors: [`No schema found for resource: ${resourceId}`]
+      errors: [`No schema found for resource: ${resourceId}`],
+      missingSections: [],
+      missingFields: [],
+      typeErrors: [],
+      invalidSections: []
     };
   }
 
+  const data = content && typeof content === 'object' && !Array.isArray(content) ? content : {};
   const errors = [];
 
   // Check required sections exist
-  for (const requiredSection of schema.requiredSections) {
-    if (!content[requiredSection]) {
-      errors.push(`Missing required section: ${requiredSection}`);
+  const missingSections = schema.requiredSections.filter(section => isEmptyValue(data[section]));
+  for (const section of missingSections) {
+    errors.push(`Missing required section: ${section}`);
+  }
+
+  // Check required nested fields (only inside sections that are present)
+  const missingFields = [];
+  for (const fieldPath of schema.requiredFields || []) {
+    const parts = fieldPath.split('.');
+    const section = parts[0].replace(/\[\]$/, '');
+    if (!missingSections.includes(section)) {
+      collectMissingFields(data, parts, '', missingFields);
     }
   }
+  for (const field of missingFields) {
+    errors.push(`Missing required field: ${field}`);
+  }
+
+  // Check types of everything that is present
+  const typeErrors = [];
+  for (const [section, expected] of Object.entries(schema.structure || {})) {
+    collectTypeErrors(expected, data[section], section, typeErrors);
+  }
+  for (const typeError of typeErrors) {
+    errors.push(`Wrong type at ${typeError.path}: expected ${typeError.expected}, got ${typeError.actual}`);
+  }
+
+  const invalidSections = [...new Set([
+    ...missingSections,
+    ...[...missingFields, ...typeErrors.map(typeError => typeError.path)].map(path => path.split(/[.[]/)[0])
+  ])];
 
   return {
     valid: errors.length === 0,
     errors,
+    missingSections,
+    missingFields,
+    typeErrors,
+    invalidSections,
     schema
   };
 }
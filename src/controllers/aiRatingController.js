@@ -4,16 +4,10 @@
  * Integrates with company research for comprehensive analysis
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
 import supabaseDataService from '../services/supabaseDataService.js';
 import logger from '../utils/logger.js';
-import { recordAIMetric } from '../middleware/performanceMonitoring.js';
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import anthropicGateway, { AIBudgetExceededError } from '../services/anthropicGatewayService.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -245,42 +239,20 @@ SCORING GUIDE:
     const startTime = Date.now();
 
     // ===== STEP 4: CALL ANTHROPIC API =====
-    const response = await anthropic.messages.create({
+    const response = await anthropicGateway.createMessage({
+      prompt,
       model: 'claude-3-opus-20240229',
       max_tokens: 2048,
       temperature: 0.5, // Lower temperature for more consistent scoring
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+      operation: 'rateCompany',
+      userId
     });
 
     const apiDuration = Date.now() - startTime;
     logger.info(`[AI Rating] Claude API responded in ${apiDuration}ms`);
 
-    // ===== EXTRACT TOKEN USAGE =====
-    const usage = response.usage;
-    const estimatedCost = calculateCost(
-      usage.input_tokens,
-      usage.output_tokens,
-      'claude-3-opus-20240229'
-    );
-
-    // Record AI metric with token tracking
-    recordAIMetric({
-      operation: 'rateCompany',
-      duration: apiDuration,
-      success: true,
-      customerId: userId,
-      inputTokens: usage.input_tokens,
-      outputTokens: usage.output_tokens,
-      totalTokens: usage.input_tokens + usage.output_tokens,
-      estimatedCost: estimatedCost,
-      model: 'claude-3-opus-20240229'
-    });
-
     // ===== STEP 5: PARSE AI RESPONSE =====
-    const responseText = response.content[0].text;
+    const responseText = response.text;
 
     let ratingResult;
     try {
@@ -379,6 +351,15 @@ SCORING GUIDE:
     });
 
     // Handle specific error types
+    if (error instanceof AIBudgetExceededError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        budget: error.budget
+      });
+    }
+
     if (error.status === 429) {
       return res.status(429).json({
         success: false,
@@ -677,28 +658,3 @@ export const rateBatch = async (req, res, next) => {
     });
   }
 };
-/**
- * Calculate cost in USD based on token usage
- * Model pricing per 1M tokens:
- * - Claude 3 Opus: $15 input / $75 output
- * - Claude 3.5 Sonnet: $3 input / $15 output
- * - Claude 3.5 Haiku: $0.25 input / $1.25 output
- */
-function calculateCost(inputTokens, outputTokens, model) {
-  const pricing = {
-    'claude-3-opus-20240229': { input: 15, output: 75 },
-    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-    'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-  };
-
-  const modelPricing = pricing[model];
-  if (!modelPricing) {
-    logger.warn(`Unknown model pricing: ${model}, using Opus as fallback`);
-    return calculateCost(inputTokens, outputTokens, 'claude-3-opus-20240229');
-  }
-
-  const inputCost = (inputTokens / 1_000_000) * modelPricing.input;
-  const outputCost = (outputTokens / 1_000_000) * modelPricing.output;
-
-  return parseFloat((inputCost + outputCost).toFixed(6));
-}
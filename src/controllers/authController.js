@@ -1,4 +1,5 @@
 import authService from '../services/authService.js';
+import apiKeyService from '../services/apiKeyService.js';
 import supabaseDataService from '../services/supabaseDataService.js';
 import logger from '../utils/logger.js';
 
@@ -86,15 +87,24 @@ const authController = {
 
   /**
    * Generate API key
+   * Keys can only be created from a user session, never with another API key.
    */
   async generateApiKey(req, res) {
     try {
-      const { customerId } = req.body;
+      const customerId = req.auth.customerId;
+      const { name, scopes, expiresAt } = req.body;
 
-      if (!customerId) {
-        return res.status(400).json({
+      if (req.auth.method === 'api-key') {
+        return res.status(403).json({
           success: false,
-          error: 'Customer ID required'
+          error: 'API keys cannot be used to manage API keys'
+        });
+      }
+
+      if (req.body.customerId && req.body.customerId !== customerId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Cannot generate API keys for another customer'
         });
       }
 
@@ -107,17 +117,22 @@ const authController = {
         });
       }
 
-      const apiKey = authService.generateApiKey(customerId);
+      const key = await apiKeyService.createKey(customerId, { name, scopes, expiresAt });
 
-      logger.info(`Generated API key for customer ${customerId}`);
+      logger.info(`Generated API key ${key.id} for customer ${customerId}`);
 
       res.status(200).json({
         success: true,
         data: {
-          apiKey,
-          customerId,
-          generatedAt: new Date().toISOString(),
-          usage: 'Include in X-API-Key header or apiKey query parameter'
+          apiKey: key.apiKey,
+          id: key.id,
+          name: key.name,
+          prefix: key.prefix,
+          scopes: key.scopes,
+          expiresAt: key.expiresAt,
+          createdAt: key.createdAt,
+          usage: 'Include in X-API-Key header or apiKey query parameter',
+          warning: 'Store this key securely - it will not be shown again'
         }
       });
     } catch (error) {
@@ -126,6 +141,59 @@ const authController = {
     }
   },
 
+  /**
+   * List the authenticated customer's API keys (without secrets)
+   */
+  async listApiKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listKeys(req.auth.customerId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          keys,
+          count: keys.length
+        }
+      });
+    } catch (error) {
+      logger.error(`Error listing API keys: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke one of the authenticated customer's API keys
+   */
+  async revokeApiKey(req, res) {
+    try {
+      if (req.auth.method === 'api-key') {
+        return res.status(403).json({
+          success: false,
+          error: 'API keys cannot be used to manage API keys'
+        });
+      }
+
+      const key = await apiKeyService.revokeKey(req.auth.customerId, req.params.keyId);
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      logger.info(`Revoked API key ${key.id} for customer ${req.auth.customerId}`);
+
+      res.status(200).json({
+        success: true,
+        data: key
+      });
+    } catch (error) {
+      logger.error(`Error revoking API key: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Get customer permissions
    */
@@ -218,6 +286,8 @@ const authController = {
             refreshToken: 'POST /api/auth/refresh',
             verifyToken: 'GET /api/auth/verify',
             generateApiKey: 'POST /api/auth/api-key',
+            listApiKeys: 'GET /api/auth/api-keys',
+            revokeApiKey: 'DELETE /api/auth/api-keys/:keyId',
             permissions: 'GET /api/auth/permissions',
             validate: 'GET /api/auth/validate'
           },
@@ -7,6 +7,8 @@
 
 import supabase from '../services/supabaseService.js';
 import emailService from '../services/emailService.js';
+import lifecycleEmailService from '../services/lifecycleEmailService.js';
+import betaApplicationService from '../services/betaApplicationService.js';
 import logger from '../utils/logger.js';
 
 const betaSignupController = {
@@ -90,26 +92,39 @@ const betaSignupController = {
 
       logger.info(`New beta signup: ${email} from ${company}`);
 
+      // Score and decide the application; the review band (or a scoring
+      // failure) leaves it pending for an admin
+      let status = 'pending';
+      try {
+        ({ status } = await betaApplicationService.processApplication(newSignup));
+      } catch (scoringError) {
+        logger.error(`Error scoring beta signup ${newSignup.id}:`, scoringError);
+      }
+
       // Get updated spots remaining
       const spotsRemaining = await getSpotsRemainingCount();
 
-      // Send confirmation email (async, don't block response)
-      emailService.sendBetaConfirmationEmail(email, fullName)
-        .then(result => {
-          if (result.success) {
-            logger.info(`Confirmation email sent to ${email}`);
-          } else {
-            logger.warn(`Failed to send confirmation email to ${email}: ${result.error}`);
-          }
-        })
-        .catch(err => {
-          logger.error(`Error sending confirmation email to ${email}:`, err);
-        });
+      // Decided applications already got their decision email
+      if (status === 'pending') {
+        // Send confirmation email (async, don't block response)
+        emailService.sendBetaConfirmationEmail(email, fullName)
+          .then(result => {
+            if (result.success) {
+              logger.info(`Confirmation email sent to ${email}`);
+            } else {
+              logger.warn(`Failed to send confirmation email to ${email}: ${result.error}`);
+            }
+          })
+          .catch(err => {
+            logger.error(`Error sending confirmation email to ${email}:`, err);
+          });
+      }
 
       return res.status(201).json({
         success: true,
         message: 'Application submitted successfully',
         signupId: newSignup.id,
+        status,
         spotsRemaining: spotsRemaining
       });
     } catch (error) {
@@ -145,9 +160,117 @@ const betaSignupController = {
         timestamp: new Date().toISOString()
       });
     }
+  },
+
+  /**
+   * Confirmation page for the unsubscribe link in lifecycle emails
+   * GET /api/beta-signup/unsubscribe?token=...
+   *
+   * Only renders a form that POSTs the token - link scanners and mail
+   * previews follow GET links, so opening the link must not unsubscribe.
+   */
+  async showUnsubscribePage(req, res) {
+    const token = req.query.token;
+
+    if (!lifecycleEmailService.verifyUnsubscribeToken(token)) {
+      return res.status(400).type('html').send(renderUnsubscribePage({
+        title: 'Invalid unsubscribe link',
+        message: 'This link is invalid or incomplete. Use the unsubscribe link from the latest email you received.'
+      }));
+    }
+
+    return res.status(200).type('html').send(renderUnsubscribePage({
+      title: 'Unsubscribe from Andru emails?',
+      message: "You won't receive the rest of the beta onboarding emails.",
+      token
+    }));
+  },
+
+  /**
+   * Unsubscribe from lifecycle emails with the signed token in the email link
+   * POST /api/beta-signup/unsubscribe?token=...
+   *
+   * Submitted by the confirmation page (token in the body, HTML response) and
+   * by mail clients' one-click unsubscribe (RFC 8058: token in the URL, body
+   * List-Unsubscribe=One-Click).
+   */
+  async unsubscribeFromEmails(req, res) {
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    try {
+      const result = await lifecycleEmailService.unsubscribe(req.body?.token || req.query.token);
+
+      if (wantsHtml) {
+        return res.status(200).type('html').send(renderUnsubscribePage({
+          title: "You're unsubscribed",
+          message: "You won't receive any more beta onboarding emails from Andru."
+        }));
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          email: result.email,
+          unsubscribed: true
+        }
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error unsubscribing from lifecycle emails:', error);
+      }
+
+      if (wantsHtml) {
+        return res.status(error.statusCode || 500).type('html').send(renderUnsubscribePage({
+          title: error.statusCode ? error.message : 'Failed to unsubscribe',
+          message: 'Please try again later, or reply to any of our emails and we will unsubscribe you.'
+        }));
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to unsubscribe',
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 };
 
+/**
+ * Unsubscribe page with a confirmation form when a verified token is given.
+ * Titles and messages are fixed strings; the token is only rendered after
+ * verification (UUID and base64url signature).
+ */
+function renderUnsubscribePage({ title, message, token = null }) {
+  const form = token
+    ? `
+    <form method="POST">
+      <input type="hidden" name="token" value="${token}">
+      <button type="submit" style="background: #111827; color: #ffffff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+    </form>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 80px auto; padding: 0 20px; text-align: center; color: #111827;">
+  <h1 style="font-size: 24px;">${title}</h1>
+  <p style="color: #4b5563;">${message}</p>${form}
+</body>
+</html>`;
+}
+
 /**
  * Helper function to validate signup data
  */
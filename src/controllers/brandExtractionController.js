@@ -2,77 +2,39 @@
  * Brand Extraction Controller
  *
  * API endpoints for extracting brand assets (logos, colors) from company websites.
- * Uses Playwright/Puppeteer MCP for browser automation.
+ * Uses the pooled headless browser (lib/browserPool.js) for browser automation.
  *
  * @module controllers/brandExtractionController
  */
 
 import brandExtractionService from '../services/brandExtractionService.js';
+import { createBrowserSession } from '../lib/browserPool.js';
+import { assertPublicUrl } from '../lib/urlGuard.js';
 import supabaseDataService from '../services/supabaseDataService.js';
 import logger from '../utils/logger.js';
 
+const BRAND_KIT_FORMATS = ['json', 'css', 'tokens'];
+
 /**
- * MCP Browser Wrapper
- * Abstracts Playwright/Puppeteer MCP tools
+ * Load a customer's stored brand assets
+ * brandAssets is null when none were stored or they can't be parsed
  */
-class MCPBrowserWrapper {
-  constructor(mcpToolName = 'puppeteer') {
-    this.toolName = mcpToolName;
-  }
-
-  /**
-   * Get MCP tool functions based on available tools
-   * Note: This will be called with actual MCP tools from the environment
-   */
-  async navigate(url, mcpInvoke) {
-    // Try Puppeteer first (more likely to be available)
-    try {
-      return await mcpInvoke('mcp__puppeteer__puppeteer_navigate', { url });
-    } catch (error) {
-      // Fallback to Playwright if available
-      try {
-        return await mcpInvoke('mcp__playwright__playwright_navigate', { url });
-      } catch (fallbackError) {
-        throw new Error('No browser automation MCP available (tried Puppeteer and Playwright)');
-      }
-    }
+async function loadStoredBrandAssets(customerId) {
+  const customer = await supabaseDataService.getCustomerById(customerId);
+  if (!customer?.brand_assets) {
+    return { customer, brandAssets: null };
   }
 
-  async screenshot(mcpInvoke) {
-    try {
-      return await mcpInvoke('mcp__puppeteer__puppeteer_screenshot', {});
-    } catch (error) {
-      try {
-        return await mcpInvoke('mcp__playwright__playwright_screenshot', {});
-      } catch (fallbackError) {
-        throw new Error('Screenshot failed: No MCP available');
-      }
-    }
-  }
-
-  async evaluate(script, mcpInvoke) {
-    try {
-      return await mcpInvoke('mcp__puppeteer__puppeteer_evaluate', { script });
-    } catch (error) {
-      try {
-        return await mcpInvoke('mcp__playwright__playwright_evaluate', { script });
-      } catch (fallbackError) {
-        throw new Error('Evaluate failed: No MCP available');
-      }
-    }
-  }
-
-  async close(mcpInvoke) {
-    try {
-      await mcpInvoke('mcp__puppeteer__puppeteer_close', {});
-    } catch (error) {
-      try {
-        await mcpInvoke('mcp__playwright__playwright_close', {});
-      } catch (fallbackError) {
-        // Ignore close errors
-        logger.warn('[MCPBrowser] Close failed (may already be closed)');
-      }
-    }
+  try {
+    const brandAssets = typeof customer.brand_assets === 'string'
+      ? JSON.parse(customer.brand_assets)
+      : customer.brand_assets;
+    return { customer, brandAssets };
+  } catch (parseError) {
+    logger.warn('[BrandExtractionController] Failed to parse brand assets', {
+      error: parseError.message
+    });
+    return { customer, brandAssets: null };
   }
 }
 
@@ -125,15 +87,33 @@ export const extractBrandAssets = async (req, res, next) => {
       });
     }
 
-    // TODO: Create MCP wrapper that will be injected with actual MCP tools
-    // For now, we'll use fallback (no browser automation)
-    // In production, this would be:
-    // const mcpWrapper = new MCPBrowserWrapper();
-    // const brandAssets = await brandExtractionService.extractBrandAssets(websiteUrl, mcpWrapper);
+    // Only public http(s) sites (no internal services or cloud metadata)
+    try {
+      await assertPublicUrl(brandExtractionService.normalizeUrl(websiteUrl));
+    } catch (urlError) {
+      logger.warn('[BrandExtractionController] Rejected website URL', { userId, websiteUrl, error: urlError.message });
+      return res.status(400).json({
+        success: false,
+        error: 'websiteUrl must be a public http(s) website'
+      });
+    }
 
-    // For now, return fallback
-    logger.warn('[BrandExtractionController] MCP tools not available, using fallback');
-    const brandAssets = await brandExtractionService.extractBrandAssets(websiteUrl, null);
+    // Browser session from the shared pool (fallback assets if no browser can start)
+    let browser = null;
+    try {
+      browser = await createBrowserSession();
+    } catch (browserError) {
+      logger.error('[BrandExtractionController] Browser unavailable, using fallback', {
+        error: browserError.message
+      });
+    }
+
+    let brandAssets;
+    try {
+      brandAssets = await brandExtractionService.extractBrandAssets(websiteUrl, browser);
+    } finally {
+      await browser?.close();
+    }
 
     // Optionally store with customer
     if (customerId && customerId === userId) {
@@ -201,8 +181,7 @@ export const getBrandAssets = async (req, res, next) => {
       });
     }
 
-    // Get customer data
-    const customer = await supabaseDataService.getCustomerById(customerId);
+    const { customer, brandAssets } = await loadStoredBrandAssets(customerId);
 
     if (!customer) {
       return res.status(404).json({
@@ -211,18 +190,6 @@ export const getBrandAssets = async (req, res, next) => {
       });
     }
 
-    // Parse brand assets
-    let brandAssets = null;
-    if (customer.brand_assets) {
-      try {
-        brandAssets = JSON.parse(customer.brand_assets);
-      } catch (parseError) {
-        logger.warn('[BrandExtractionController] Failed to parse brand assets', {
-          error: parseError.message
-        });
-      }
-    }
-
     if (!brandAssets) {
       return res.status(404).json({
         success: false,
@@ -246,7 +213,95 @@ export const getBrandAssets = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the brand kit for a customer (color roles, contrast checks, exports)
+ * GET /api/brand-extraction/:customerId/kit?format=json|css|tokens
+ *
+ * - json (default): { success, brandKit, updatedAt }
+ * - css: CSS custom properties file (--brand-primary, ...)
+ * - tokens: design-token JSON file
+ */
+export const getBrandKit = async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const format = req.query.format || 'json';
+    const userId = req.user?.id;
+
+    logger.info('[BrandExtractionController] Get brand kit', {
+      userId,
+      customerId,
+      format
+    });
+
+    // Validate authentication
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    // Security: Only allow users to access their own brand kit
+    if (customerId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    if (!BRAND_KIT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${BRAND_KIT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { customer, brandAssets } = await loadStoredBrandAssets(customerId);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    if (!brandAssets) {
+      return res.status(404).json({
+        success: false,
+        error: 'No brand assets found for this customer'
+      });
+    }
+
+    const brandKit = brandExtractionService.buildBrandKit(brandAssets);
+
+    if (format === 'css') {
+      res.set('Content-Disposition', 'attachment; filename="brand-kit.css"');
+      return res.type('text/css').send(brandExtractionService.toCssVariables(brandKit));
+    }
+
+    if (format === 'tokens') {
+      res.set('Content-Disposition', 'attachment; filename="brand-tokens.json"');
+      return res.status(200).json(brandExtractionService.toDesignTokens(brandKit));
+    }
+
+    res.status(200).json({
+      success: true,
+      brandKit,
+      updatedAt: customer.brand_assets_updated_at || null
+    });
+
+  } catch (error) {
+    logger.error('[BrandExtractionController] Get brand kit failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    next(error);
+  }
+};
+
 export default {
   extractBrandAssets,
-  getBrandAssets
+  getBrandAssets,
+  getBrandKit
 };
@@ -1,16 +1,19 @@
 import supabaseDataService from '../services/supabaseDataService.js';
+import businessCaseTemplateService, { getIndustryMultiplier } from '../services/businessCaseTemplateService.js';
 // import airtableService from '../services/airtableService.js'; // REMOVED - migration complete
 import logger from '../utils/logger.js';
 
 const businessCaseController = {
   // Generate business case
-  async generateBusinessCase(req, res) {
+  async generateBusinessCase(req, res, next) {
     try {
       const {
         customerId,
         type: caseType,
         requirements,
-        context
+        context,
+        templateId,
+        templateVersion
       } = req.body;
 
       // Extract fields from nested structure
@@ -32,45 +35,16 @@ const businessCaseController = {
         });
       }
 
-      // Business case templates based on type
-      const businessCaseTemplates = {
-        pilot: {
-          duration: '3-6 months',
-          investmentRange: '$25,000-$75,000',
-          sections: [
-            'Executive Summary',
-            'Problem Statement', 
-            'Proposed Solution',
-            'Success Metrics',
-            'Investment & ROI',
-            'Next Steps'
-          ],
-          keyPoints: [
-            'Low-risk evaluation period',
-            'Measurable success criteria',
-            'Clear path to full implementation'
-          ]
-        },
-        full_implementation: {
-          duration: '6-18 months',
-          investmentRange: '$100,000-$500,000',
-          sections: [
-            'Strategic Alignment',
-            'Current State Analysis',
-            'Solution Architecture',
-            'Financial Projections',
-            'Risk Assessment',
-            'Implementation Timeline'
-          ],
-          keyPoints: [
-            'Comprehensive transformation',
-            'Long-term value creation',
-            'Competitive advantage'
-          ]
-        }
-      };
-
-      const template = businessCaseTemplates[normalizedCaseType];
+      // Sections, phases, risks and ROI assumptions come from the template
+      const template = await businessCaseTemplateService.resolveTemplate(req.auth?.customerId, {
+        type: normalizedCaseType === 'pilot' ? 'pilot' : 'full',
+        templateId,
+        templateVersion
+      });
+      const { content } = template;
+      const assumptions = content.roiAssumptions;
+      const industryAdjustment = getIndustryMultiplier(assumptions, industry);
+      const expectedROI = calculateExpectedROI(assumptions, industryAdjustment.multiplier);
 
       // ROI calculation framework
       const roiCalculation = {
@@ -112,7 +86,7 @@ const businessCaseController = {
       // Generate business case structure (matching test expectations)
       const executiveSummaryText = `${customer.customerName} seeks to optimize revenue intelligence processes in the ${industry} market. ` +
         `This ${normalizedCaseType === 'pilot' ? 'pilot program' : 'full implementation'} proposal outlines an investment of $${budget.toLocaleString()} over ${timeline} ` +
-        `to implement the H&S Revenue Intelligence Platform with an expected ROI of ${calculateExpectedROI(budget, normalizedCaseType)}.`;
+        `to implement the H&S Revenue Intelligence Platform with an expected ROI of ${expectedROI}.`;
 
       const problemStatementText = `${customer.customerName} faces challenges in revenue intelligence processes including: ${
         currentChallenges && currentChallenges.length > 0
@@ -135,14 +109,15 @@ const businessCaseController = {
         investment: {
           totalCost: budget,
           timeline: timeline,
-          breakdown: {
-            platformLicense: Math.floor(budget * 0.4),
-            implementation: Math.floor(budget * 0.3),
-            training: Math.floor(budget * 0.15),
-            support: Math.floor(budget * 0.15)
-          },
-          expectedROI: calculateExpectedROI(budget, normalizedCaseType),
-          paybackPeriod: calculatePaybackPeriod(budget, normalizedCaseType)
+          breakdown: calculateInvestmentBreakdown(budget, assumptions),
+          expectedROI,
+          projectedBenefits: calculateProjectedBenefits(budget, assumptions, industryAdjustment.multiplier),
+          paybackPeriod: assumptions.paybackPeriod,
+          assumptions: {
+            benefitMultiplier: assumptions.benefitMultiplier,
+            industry: industryAdjustment.industryKey,
+            industryMultiplier: industryAdjustment.multiplier
+          }
         },
         expectedOutcomes: [
           `Revenue increase through improved sales intelligence`,
@@ -152,12 +127,20 @@ const businessCaseController = {
           `Scalable foundation for future growth`
         ],
         successMetrics: successMetrics,
+        sections: content.sections,
+        keyPoints: content.keyPoints,
+        implementationPhases: generateImplementationPhases(content),
         riskAssessment: {
-          technicalRisks: generateRiskMitigation(normalizedCaseType, companySize),
+          technicalRisks: generateRiskMitigation(content, companySize),
           mitigation: `Comprehensive risk mitigation strategy including phased rollout, dedicated support team, and continuous monitoring`,
-          overallRiskLevel: normalizedCaseType === 'pilot' ? 'Low' : 'Medium'
+          overallRiskLevel: content.overallRiskLevel
+        },
+        nextSteps: [...content.nextSteps],
+        template: {
+          id: template.id,
+          name: template.name,
+          version: template.version
         },
-        nextSteps: generateNextSteps(normalizedCaseType),
         generatedAt: new Date().toISOString()
       };
 
@@ -180,7 +163,7 @@ const businessCaseController = {
             `Limited AI/ML capabilities for predictive insights`,
             `Inefficient cross-functional collaboration`
           ],
-          opportunityCost: `Estimated annual opportunity cost: $${Math.floor(budget * 2).toLocaleString()} in lost revenue and operational inefficiencies`
+          opportunityCost: `Estimated annual opportunity cost: $${Math.floor(budget * (assumptions.opportunityCostMultiplier ?? 2)).toLocaleString()} in lost revenue and operational inefficiencies`
         };
 
         businessCase.solutionArchitecture = {
@@ -215,10 +198,12 @@ const businessCaseController = {
         companySize,
         budget,
         timeline,
+        templateId: template.id,
+        templateVersion: template.version,
         completedAt: new Date().toISOString()
       });
 
-      logger.info(`Business case generated for customer ${customerId}, type: ${caseType}, budget: $${budget}`);
+      logger.info(`Business case generated for customer ${customerId}, type: ${caseType}, budget: $${budget}, template: ${template.id} v${template.version}`);
 
       res.status(200).json({
         success: true,
@@ -227,13 +212,14 @@ const businessCaseController = {
           metadata: {
             generatedAt: businessCase.generatedAt,
             customerId: businessCase.customerId,
-            version: '1.0'
+            version: '1.0',
+            template: businessCase.template
           }
         }
       });
     } catch (error) {
       logger.error('Error generating business case:', error);
-      throw error;
+      next(error);
     }
   },
 
@@ -428,55 +414,15 @@ const businessCaseController = {
     }
   },
 
-  // Get available templates
-  async getTemplates(req, res) {
+  // Get available templates: system templates and the user's own
+  async getTemplates(req, res, next) {
     try {
       const { type } = req.query;
-      
-      let templates = [
-        {
-          name: 'Pilot Program Proposal',
-          type: 'pilot',
-          duration: '3-6 months',
-          investment: '$25,000-$75,000',
-          sections: [
-            'Executive Summary',
-            'Problem Statement',
-            'Proposed Solution',
-            'Success Metrics',
-            'Investment & ROI',
-            'Next Steps'
-          ],
-          keyPoints: [
-            'Low-risk evaluation period',
-            'Measurable success criteria',
-            'Clear path to full implementation'
-          ]
-        },
-        {
-          name: 'Full Implementation Business Case',
-          type: 'full',
-          duration: '6-18 months',
-          investment: '$100,000-$500,000',
-          sections: [
-            'Strategic Alignment',
-            'Current State Analysis',
-            'Solution Architecture',
-            'Financial Projections',
-            'Risk Assessment',
-            'Implementation Timeline'
-          ],
-          keyPoints: [
-            'Comprehensive transformation',
-            'Long-term value creation',
-            'Competitive advantage'
-          ]
-        }
-      ];
+      const normalizedType = type === 'full_implementation' ? 'full' : type;
 
-      if (type) {
-        templates = templates.filter(t => t.type === type);
-      }
+      const templates = await businessCaseTemplateService.listTemplates(req.auth?.customerId, {
+        type: normalizedType
+      });
 
       res.status(200).json({
         success: true,
@@ -484,7 +430,80 @@ const businessCaseController = {
       });
     } catch (error) {
       logger.error(`Error getting business case templates:`, error);
-      throw error;
+      next(error);
+    }
+  },
+
+  // Get a template with its content and version history
+  async getTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+      const version = req.query.version ? Number.parseInt(req.query.version, 10) : undefined;
+
+      const template = await businessCaseTemplateService.getTemplate(req.auth.customerId, templateId, { version });
+
+      res.status(200).json({
+        success: true,
+        data: { template }
+      });
+    } catch (error) {
+      logger.error(`Error getting business case template ${req.params.templateId}:`, error);
+      next(error);
+    }
+  },
+
+  // Clone a system or own template into a new template owned by the user
+  async cloneTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      const template = await businessCaseTemplateService.cloneTemplate(req.auth.customerId, templateId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: { template }
+      });
+    } catch (error) {
+      logger.error(`Error cloning business case template ${req.params.templateId}:`, error);
+      next(error);
+    }
+  },
+
+  // Edit one of the user's templates (content changes add a version)
+  async updateTemplate(req, res, next) {
+    try {
+      const { templateId } = req.params;
+
+      // isDefault is ignored for user templates (only system templates can be defaults)
+      const template = await businessCaseTemplateService.updateTemplate(templateId, req.body, {
+        ownerUserId: req.auth.customerId,
+        updatedBy: req.auth.customerId
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { template }
+      });
+    } catch (error) {
+      logger.error(`Error updating business case template ${req.params.templateId}:`, error);
+      next(error);
+    }
+  },
+
+  // Archive one of the user's templates
+  async deleteTemplate(req, res, next) {
+    try {
+      await businessCaseTemplateService.archiveTemplate(req.params.templateId, {
+        ownerUserId: req.auth.customerId
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Template deleted'
+      });
+    } catch (error) {
+      logger.error(`Error deleting business case template ${req.params.templateId}:`, error);
+      next(error);
     }
   },
 
@@ -660,47 +679,23 @@ const businessCaseController = {
 };
 
 // Helper functions
-function calculateExpectedROI(budget, caseType) {
-  const roiMultipliers = {
-    pilot: 1.5,
-    full_implementation: 2.5
-  };
-  return `${Math.round((roiMultipliers[caseType] - 1) * 100)}% - ${Math.round((roiMultipliers[caseType] * 1.5 - 1) * 100)}%`;
+function calculateExpectedROI(assumptions, industryMultiplier = 1) {
+  const multiplier = assumptions.benefitMultiplier * industryMultiplier;
+  return `${Math.round((multiplier - 1) * 100)}% - ${Math.round((multiplier * assumptions.upsideFactor - 1) * 100)}%`;
 }
 
-function calculateProjectedBenefits(budget, caseType, industry) {
-  const industryMultipliers = {
-    technology: 1.2,
-    finance: 1.1,
-    healthcare: 1.0,
-    manufacturing: 0.9,
-    retail: 0.8
-  };
-  
-  const multiplier = industryMultipliers[industry] || 1.0;
-  const baseBenefit = caseType === 'pilot' ? budget * 1.5 : budget * 2.5;
-  
-  return Math.round(baseBenefit * multiplier);
+function calculateProjectedBenefits(budget, assumptions, industryMultiplier = 1) {
+  return Math.round(budget * assumptions.benefitMultiplier * industryMultiplier);
 }
 
-function calculatePaybackPeriod(budget, caseType) {
-  return caseType === 'pilot' ? '6-9 months' : '12-18 months';
+function calculateInvestmentBreakdown(budget, assumptions) {
+  return Object.fromEntries(
+    Object.entries(assumptions.investmentBreakdown).map(([item, share]) => [item, Math.floor(budget * share)])
+  );
 }
 
-function generateImplementationPhases(caseType, timeline) {
-  if (caseType === 'pilot') {
-    return [
-      { phase: 'Setup & Configuration', duration: '2-4 weeks', activities: ['System setup', 'Data integration', 'User training'] },
-      { phase: 'Pilot Execution', duration: '8-16 weeks', activities: ['User onboarding', 'Process optimization', 'Performance monitoring'] },
-      { phase: 'Evaluation & Next Steps', duration: '2-4 weeks', activities: ['Results analysis', 'ROI assessment', 'Expansion planning'] }
-    ];
-  } else {
-    return [
-      { phase: 'Foundation', duration: '4-8 weeks', activities: ['Infrastructure setup', 'System integration', 'Team preparation'] },
-      { phase: 'Implementation', duration: `${Math.floor(timeline * 0.6)} weeks`, activities: ['Rollout execution', 'User adoption', 'Process optimization'] },
-      { phase: 'Optimization', duration: `${Math.floor(timeline * 0.3)} weeks`, activities: ['Performance tuning', 'Advanced features', 'Scale preparation'] }
-    ];
-  }
+function generateImplementationPhases(content) {
+  return content.phases.map(phase => ({ ...phase, activities: [...phase.activities] }));
 }
 
 function generateMilestones(caseType, timeline) {
@@ -718,18 +713,12 @@ function generateMilestones(caseType, timeline) {
   return milestones;
 }
 
-function generateRiskMitigation(caseType, companySize) {
-  const baseRisks = [
-    { risk: 'User adoption challenges', mitigation: 'Comprehensive training and change management' },
-    { risk: 'Technical integration issues', mitigation: 'Thorough testing and phased rollout' },
-    { risk: 'Resource allocation conflicts', mitigation: 'Clear project governance and stakeholder alignment' }
-  ];
-  
-  if (companySize === 'enterprise') {
-    baseRisks.push({ risk: 'Complex approval processes', mitigation: 'Executive sponsorship and streamlined decision-making' });
-  }
-  
-  return baseRisks;
+function generateRiskMitigation(content, companySize) {
+  const size = String(companySize || '').toLowerCase();
+
+  return content.risks
+    .filter(({ companySizes }) => !companySizes || companySizes.includes(size))
+    .map(({ risk, mitigation }) => ({ risk, mitigation }));
 }
 
 function generateMeasurementPlan(caseType, timeline) {
@@ -740,22 +729,4 @@ function generateMeasurementPlan(caseType, timeline) {
   };
 }
 
-function generateNextSteps(caseType) {
-  if (caseType === 'pilot') {
-    return [
-      'Finalize pilot scope and success criteria',
-      'Prepare pilot environment and user accounts',
-      'Schedule kickoff meeting and training sessions',
-      'Establish reporting and feedback mechanisms'
-    ];
-  } else {
-    return [
-      'Secure executive approval and resource allocation',
-      'Finalize technical requirements and integration plan',
-      'Establish project governance and communication plan',
-      'Begin vendor evaluation and contract negotiation'
-    ];
-  }
-}
-
 export default businessCaseController;
\ No newline at end of file
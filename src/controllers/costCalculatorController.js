@@ -1,111 +1,53 @@
 import supabaseDataService from '../services/supabaseDataService.js';
 // import airtableService from '../services/airtableService.js'; // REMOVED - migration complete
 import aiService from '../services/aiService.js';
+import { AIBudgetExceededError } from '../services/anthropicGatewayService.js';
 import makeService from '../services/makeService.js';
+import costOfInactionService, { INPUT_NAMES } from '../services/costOfInactionService.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Calculator inputs from a request body (drops customerId, scenario and options)
+ */
+const pickCostInputs = (source) => Object.fromEntries(
+  INPUT_NAMES.map(name => [name, source[name]])
+);
+
 const costCalculatorController = {
   // Calculate cost of inaction
   async calculateCost(req, res) {
     try {
       const {
         customerId,
-        potentialDeals,
-        averageDealSize,
-        conversionRate,
-        delayMonths,
-        currentOperatingCost,
-        inefficiencyRate,
-        employeeCount,
-        averageSalary,
-        marketShare,
-        scenario = 'realistic'
+        scenario = 'realistic',
+        investment,
+        ranges,
+        sensitivity,
+        monteCarlo
       } = req.body;
 
-      logger.info(`Calculating cost for customer ${customerId} with scenario ${scenario}`);
-
-      // Scenario multipliers
-      const scenarioMultipliers = {
-        conservative: 0.8,
-        realistic: 1.0,
-        aggressive: 1.3
-      };
-
-      const multiplier = scenarioMultipliers[scenario];
-
-      // Calculate different cost categories
-      const calculations = {
-        lostRevenue: {
-          formula: 'potentialDeals * averageDealSize * conversionRate * (delayMonths / 12)',
-          value: potentialDeals * averageDealSize * conversionRate * (delayMonths / 12) * multiplier,
-          description: 'Revenue lost due to delayed sales cycles'
-        },
-        operationalInefficiencies: {
-          formula: 'currentOperatingCost * inefficiencyRate * (delayMonths / 12)',
-          value: currentOperatingCost * inefficiencyRate * (delayMonths / 12) * multiplier,
-          description: 'Costs from maintaining inefficient processes'
-        },
-        competitiveDisadvantage: {
-          formula: 'marketShare * (potentialDeals * averageDealSize) * 0.08 * (delayMonths / 12)',
-          value: marketShare * (potentialDeals * averageDealSize) * 0.08 * (delayMonths / 12) * multiplier,
-          description: 'Market position erosion to competitors'
-        },
-        productivityLosses: {
-          formula: 'employeeCount * averageSalary * 0.05 * (delayMonths / 12)',
-          value: employeeCount * averageSalary * 0.05 * (delayMonths / 12) * multiplier,
-          description: 'Employee time wasted on manual processes'
-        }
-      };
-
-      // Calculate total cost
-      const totalCost = Object.values(calculations).reduce((sum, calc) => sum + calc.value, 0);
+      logger.info(`Calculating cost for customer ${customerId} with scenario ${scenario.name || scenario}`);
 
-      // Calculate potential ROI scenarios
-      const roiScenarios = {
-        conservative: {
-          investment: 25000,
-          benefits: totalCost * 0.6,
-          roi: ((totalCost * 0.6 - 25000) / 25000 * 100),
-          paybackMonths: 25000 / (totalCost * 0.6 / 12)
-        },
-        realistic: {
-          investment: 50000,
-          benefits: totalCost * 0.8,
-          roi: ((totalCost * 0.8 - 50000) / 50000 * 100),
-          paybackMonths: 50000 / (totalCost * 0.8 / 12)
-        },
-        aggressive: {
-          investment: 100000,
-          benefits: totalCost * 1.0,
-          roi: ((totalCost * 1.0 - 100000) / 100000 * 100),
-          paybackMonths: 100000 / (totalCost * 1.0 / 12)
-        }
-      };
-
-      // Calculate summary metrics
-      const monthlyCost = totalCost / 12;
-      const dailyCost = totalCost / 365;
-
-      // Add percentage breakdown
-      const categoriesWithPercentage = {};
-      for (const [key, calc] of Object.entries(calculations)) {
-        categoriesWithPercentage[key] = {
-          ...calc,
-          percentage: (calc.value / totalCost) * 100
-        };
-      }
+      const analysis = costOfInactionService.analyze(pickCostInputs(req.body), {
+        scenario,
+        investment,
+        ranges,
+        sensitivity,
+        monteCarlo
+      });
+      const { totalCost } = analysis.summary;
 
       const result = {
         customerId,
-        scenario,
+        scenario: analysis.scenario,
+        multiplier: analysis.multiplier,
         inputs: req.body,
-        summary: {
-          totalCost,
-          monthlyCost,
-          dailyCost
-        },
-        categories: categoriesWithPercentage,
-        roiScenarios,
+        summary: analysis.summary,
+        categories: analysis.categories,
+        roi: analysis.roi,
+        roiScenarios: analysis.roiScenarios,
+        ...(analysis.sensitivity && { sensitivity: analysis.sensitivity }),
+        ...(analysis.simulation && { simulation: analysis.simulation }),
         generatedAt: new Date().toISOString()
       };
 
@@ -119,7 +61,7 @@ const costCalculatorController = {
       // Create user progress record
       await supabaseDataService.updateUserProgress(customerId, 'cost_calculator', {
         calculationType: 'cost_of_inaction',
-        scenario,
+        scenario: analysis.scenario,
         totalCost,
         completedAt: new Date().toISOString()
       });
@@ -259,42 +201,28 @@ const costCalculatorController = {
     }
   },
 
-  // Compare cost scenarios
+  // Compare cost scenarios (built-in names or user-defined scenarios)
   async compareCostScenarios(req, res) {
     try {
-      const { customerId, baseInputs, scenarios } = req.body;
-
-      const comparisons = [];
-      const scenarioMultipliers = {
-        conservative: 0.8,
-        realistic: 1.0,
-        aggressive: 1.3
-      };
-
-      for (const scenario of scenarios) {
-        if (!scenarioMultipliers[scenario.toLowerCase()]) {
-          return res.status(400).json({
-            success: false,
-            error: 'Validation Error',
-            details: `Invalid scenario: ${scenario}`
-          });
-        }
-
-        const multiplier = scenarioMultipliers[scenario.toLowerCase()];
-        
-        // Calculate for this scenario
-        const totalCost = (
-          (baseInputs.potentialDeals || 0) * (baseInputs.averageDealSize || 0) * 
-          (baseInputs.conversionRate || 0.15) * ((baseInputs.delayMonths || 0) / 12)
-        ) * multiplier;
-
-        comparisons.push({
-          scenario,
-          totalCost,
-          multiplier,
-          inputs: { ...baseInputs, scenario }
-        });
-      }
+      const { customerId, baseInputs, scenarios, investment, ranges, monteCarlo } = req.body;
+      const inputs = pickCostInputs(baseInputs);
+
+      const comparisons = scenarios.map((scenario) => {
+        const calculation = costOfInactionService.calculate(inputs, scenario, { investment });
+
+        return {
+          scenario: calculation.scenario,
+          totalCost: calculation.summary.totalCost,
+          multiplier: calculation.multiplier,
+          inputs: calculation.inputs,
+          summary: calculation.summary,
+          categories: calculation.categories,
+          roi: calculation.roi,
+          ...(monteCarlo && {
+            simulation: costOfInactionService.simulate(inputs, ranges, { scenario, ...monteCarlo })
+          })
+        };
+      });
 
       res.status(200).json({
         success: true,
@@ -327,37 +255,20 @@ const costCalculatorController = {
       }
 
       // First perform standard calculation
-      const {
-        potentialDeals, averageDealSize, conversionRate, delayMonths,
-        currentOperatingCost, inefficiencyRate, employeeCount,
-        averageSalary, marketShare, scenario = 'realistic'
-      } = inputData;
-
-      // Standard cost calculation
-      const lostRevenue = potentialDeals * averageDealSize * conversionRate * (delayMonths / 12);
-      const operationalCost = currentOperatingCost * inefficiencyRate * (delayMonths / 12);
-      const productivityLoss = employeeCount * averageSalary * 0.05 * (delayMonths / 12);
-      const competitiveLoss = averageDealSize * potentialDeals * marketShare * 0.1 * (delayMonths / 12);
-
-      const scenarioMultipliers = {
-        conservative: 0.8,
-        realistic: 1.0,
-        aggressive: 1.3
-      };
-
-      const multiplier = scenarioMultipliers[scenario];
-      const baseTotalCost = (lostRevenue + operationalCost + productivityLoss + competitiveLoss) * multiplier;
+      const { scenario = 'realistic' } = inputData;
+      const calculation = costOfInactionService.calculate(pickCostInputs(inputData), scenario);
+      const { categories } = calculation;
 
       const standardCalculation = {
-        totalCost: Math.round(baseTotalCost),
+        totalCost: Math.round(calculation.summary.totalCost),
         breakdown: {
-          lostRevenue: Math.round(lostRevenue * multiplier),
-          operationalCost: Math.round(operationalCost * multiplier),
-          productivityLoss: Math.round(productivityLoss * multiplier),
-          competitiveLoss: Math.round(competitiveLoss * multiplier)
+          lostRevenue: Math.round(categories.lostRevenue.value),
+          operationalCost: Math.round(categories.operationalInefficiencies.value),
+          productivityLoss: Math.round(categories.productivityLosses.value),
+          competitiveLoss: Math.round(categories.competitiveDisadvantage.value)
         },
-        scenario,
-        multiplier
+        scenario: calculation.scenario,
+        multiplier: calculation.multiplier
       };
 
       // Generate AI insights
@@ -417,6 +328,15 @@ const costCalculatorController = {
 
     } catch (error) {
       logger.error(`Error in AI-enhanced cost calculation: ${error.message}`);
+
+    if (error instanceof AIBudgetExceededError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        budget: error.budget
+      });
+    }
       res.status(500).json({
         success: false,
         error: 'AI-enhanced cost calculation failed',
@@ -1,5 +1,6 @@
 import supabaseDataService from '../services/supabaseDataService.js';
 import aiService from '../services/aiService.js';
+import { AIBudgetExceededError } from '../services/anthropicGatewayService.js';
 import makeService from '../services/makeService.js';
 import logger from '../utils/logger.js';
 
@@ -239,6 +240,15 @@ const customerController = {
 
     } catch (error) {
       logger.error(`Error generating AI ICP for customer ${req.params.customerId}:`, error);
+
+    if (error instanceof AIBudgetExceededError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        budget: error.budget
+      });
+    }
       res.status(500).json({
         success: false,
         error: 'ICP generation failed',
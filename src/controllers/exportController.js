@@ -1,4 +1,6 @@
 import supabaseDataService from '../services/supabaseDataService.js';
+import exportRenderingService from '../services/exportRenderingService.js';
+import exportStorageService from '../services/exportStorageService.js';
 // import airtableService from '../services/airtableService.js'; // REMOVED - migration complete
 import logger from '../utils/logger.js';
 
@@ -496,19 +498,21 @@ const exportController = {
       }
 
       // Generate export based on format
+      // (handlers are passed unbound to express, so reference the controller directly)
+      const userId = req.auth?.userId || req.auth?.customerId || null;
       let exportResult;
       switch (format.toLowerCase()) {
         case 'pdf':
-          exportResult = await this.generatePDFExport(resource);
+          exportResult = await exportController.generatePDFExport(resource, userId);
           break;
         case 'docx':
-          exportResult = await this.generateWordExport(resource);
+          exportResult = await exportController.generateWordExport(resource, userId);
           break;
         case 'json':
-          exportResult = await this.generateJSONExport(resource);
+          exportResult = await exportController.generateJSONExport(resource, userId);
           break;
         case 'csv':
-          exportResult = await this.generateCSVExport(resource);
+          exportResult = await exportController.generateCSVExport(resource, userId);
           break;
         default:
           return res.status(400).json({
@@ -518,7 +522,7 @@ const exportController = {
       }
 
       // Track export in database
-      await this.trackExport(resourceId, customerId, format, exportResult);
+      await exportController.trackExport(resourceId, userId, format, exportResult);
 
       res.json({
         success: true,
@@ -653,52 +657,78 @@ const exportController = {
     }
   },
 
+  // Download a rendered export via its signed URL
+  async downloadExport(req, res) {
+    try {
+      const { exportId } = req.params;
+      const { expires, signature } = req.query;
+
+      const verification = exportStorageService.verifySignature(exportId, expires, signature);
+      if (!verification.valid) {
+        return res.status(403).json({
+          success: false,
+          error: verification.reason
+        });
+      }
+
+      const exportFile = await exportStorageService.getExportFile(exportId);
+      if (!exportFile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found'
+        });
+      }
+
+      const { record, buffer } = exportFile;
+
+      res.setHeader('Content-Type', record.content_type);
+      res.setHeader('Content-Length', buffer.length);
+      res.setHeader('Content-Disposition', `attachment; filename="${record.file_name}"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.status(200).send(buffer);
+    } catch (error) {
+      logger.error('Export download error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download export',
+        details: error.message
+      });
+    }
+  },
+
   // Helper methods for resource export
-  async generatePDFExport(resource) {
-    // Mock implementation - would use Puppeteer or similar
-    const exportId = `pdf_${resource.id}_${Date.now()}`;
-    return {
-      exportId,
-      downloadUrl: `${process.env.BACKEND_URL}/api/exports/${exportId}`,
-      fileSize: 1024 * 1024, // 1MB mock
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-    };
+  async generatePDFExport(resource, userId) {
+    return exportController.renderAndStoreExport(resource, 'pdf', userId);
   },
 
-  async generateWordExport(resource) {
-    // Mock implementation - would use docx library
-    const exportId = `docx_${resource.id}_${Date.now()}`;
-    return {
-      exportId,
-      downloadUrl: `${process.env.BACKEND_URL}/api/exports/${exportId}`,
-      fileSize: 512 * 1024, // 512KB mock
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-    };
+  async generateWordExport(resource, userId) {
+    return exportController.renderAndStoreExport(resource, 'docx', userId);
   },
 
-  async generateJSONExport(resource) {
-    // Mock implementation
-    const exportId = `json_${resource.id}_${Date.now()}`;
-    return {
-      exportId,
-      downloadUrl: `${process.env.BACKEND_URL}/api/exports/${exportId}`,
-      fileSize: 256 * 1024, // 256KB mock
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-    };
+  async generateJSONExport(resource, userId) {
+    return exportController.renderAndStoreExport(resource, 'json', userId);
+  },
+
+  async generateCSVExport(resource, userId) {
+    return exportController.renderAndStoreExport(resource, 'csv', userId);
   },
 
-  async generateCSVExport(resource) {
-    // Mock implementation
-    const exportId = `csv_${resource.id}_${Date.now()}`;
-    return {
+  async renderAndStoreExport(resource, format, userId) {
+    const { buffer, contentType, extension } = await exportRenderingService.render(resource, format);
+    const exportId = exportStorageService.createExportId(format, resource.id);
+
+    return exportStorageService.saveExport({
       exportId,
-      downloadUrl: `${process.env.BACKEND_URL}/api/exports/${exportId}`,
-      fileSize: 128 * 1024, // 128KB mock
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-    };
+      buffer,
+      contentType,
+      fileName: `${sanitizeFileName(resource.title || 'resource')}.${extension}`,
+      format,
+      resourceId: resource.id,
+      userId
+    });
   },
 
-  async trackExport(resourceId, customerId, format, exportResult) {
+  async trackExport(resourceId, userId, format, exportResult) {
     // Track export in database
     const { createClient } = await import('@supabase/supabase-js');
     const supabase = createClient(
@@ -706,14 +736,10 @@ const exportController = {
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
 
-    // For now, we'll use a mock user_id since we don't have auth integration yet
-    // In production, this would come from the authenticated user
-    const mockUserId = '00000000-0000-0000-0000-000000000001';
-
     await supabase
       .from('export_history')
       .insert({
-        user_id: mockUserId,
+        user_id: userId,
         export_type: 'custom', // Using 'custom' since 'resource' is not in the allowed values
         export_format: format,
         file_name: `resource_${resourceId}_${Date.now()}.${format}`,
@@ -770,6 +796,15 @@ const exportController = {
   }
 };
 
+// Helper function to make a resource title safe for Content-Disposition
+function sanitizeFileName(name) {
+  return String(name)
+    .replace(/[^a-zA-Z0-9 _.-]/g, '')
+    .trim()
+    .replace(/\s+/g, '_')
+    .substring(0, 100) || 'resource';
+}
+
 // Helper function to convert data to CSV format
 function convertToCSV(exportData) {
   const rows = [];
@@ -15,10 +15,15 @@ import {
   getPersonaQueue,
   getRatingQueue,
   getBatchRatingQueue,
-  getICPQueue,
+  getQueueForJobId,
   getJobStatus,
-  getQueueStats
+  getQueueStats,
+  cancelJob,
+  retryFailedJob,
+  JobStateError
 } from '../lib/queue.js';
+import { getJobEventBus, TERMINAL_EVENTS } from '../lib/jobEvents.js';
+import { openEventStream } from '../utils/sse.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -375,6 +380,8 @@ export const submitIcpJob = async (req, res, next) => {
  *     queueName: string,
  *     status: string (waiting|active|completed|failed),
  *     progress: number (0-100),
+ *     stage: string (last reported stage, or null),
+ *     partial: object (last reported partial result, or null),
  *     result: object (if completed),
  *     failedReason: string (if failed),
  *     ...
@@ -397,22 +404,9 @@ export const getJobStatusEndpoint = async (req, res, next) => {
     }
 
     // Determine which queue to check based on jobId prefix
-    let queue;
-    let queueType;
-
-    if (jobId.startsWith('persona-')) {
-      queue = getPersonaQueue();
-      queueType = 'persona-generation';
-    } else if (jobId.startsWith('rating-')) {
-      queue = getRatingQueue();
-      queueType = 'company-rating';
-    } else if (jobId.startsWith('batch-')) {
-      queue = getBatchRatingQueue();
-      queueType = 'batch-rating';
-    } else if (jobId.startsWith('icp-')) {
-      queue = getICPQueue();
-      queueType = 'icp-generation';
-    } else {
+    const queue = getQueueForJobId(jobId);
+
+    if (!queue) {
       return res.status(400).json({
         success: false,
         error: 'Invalid jobId format'
@@ -458,6 +452,8 @@ export const getJobStatusEndpoint = async (req, res, next) => {
         queueName: jobStatus.queueName,
         status: jobStatus.status,
         progress: jobStatus.progress,
+        stage: jobStatus.stage,
+        partial: jobStatus.partial,
         data: jobStatus.data,
         result: jobStatus.result,
         failedReason: jobStatus.failedReason,
@@ -476,6 +472,294 @@ export const getJobStatusEndpoint = async (req, res, next) => {
   }
 };
 
+/**
+ * Look up a job and verify it belongs to the current user
+ *
+ * Sends the 400/404/403 response itself and returns null when the
+ * request can't continue.
+ */
+async function findOwnedJob(req, res) {
+  const { jobId } = req.params;
+  const userId = req.user?.id;
+
+  if (!userId) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+    return null;
+  }
+
+  const queue = getQueueForJobId(jobId);
+
+  if (!queue) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid jobId format'
+    });
+    return null;
+  }
+
+  const jobStatus = await getJobStatus(queue, jobId);
+
+  if (!jobStatus) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      details: 'Job may have expired or never existed'
+    });
+    return null;
+  }
+
+  if (jobStatus.data?.customerId !== userId) {
+    logger.warn('[JobController] Unauthorized job access attempt', {
+      jobId,
+      userId,
+      jobUserId: jobStatus.data?.customerId
+    });
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      details: 'You do not have access to this job'
+    });
+    return null;
+  }
+
+  return { queue, jobId, userId, jobStatus };
+}
+
+/**
+ * Cancel a job
+ * DELETE /api/jobs/:jobId
+ *
+ * Waiting/delayed jobs are removed immediately. Active jobs are flagged and
+ * stop at the worker's next checkpoint - before the AI call or browser
+ * session and before results are saved (batch ratings stop between
+ * companies). A job cancelled in time completes with result.cancelled.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   jobId: string,
+ *   status: 'cancelled' | 'cancelling'
+ * }
+ */
+export const cancelJobEndpoint = async (req, res, next) => {
+  try {
+    const owned = await findOwnedJob(req, res);
+    if (!owned) return;
+
+    const result = await cancelJob(owned.queue, owned.jobId);
+
+    logger.info('[JobController] Job cancelled', {
+      jobId: owned.jobId,
+      userId: owned.userId,
+      status: result.status
+    });
+
+    res.status(result.status === 'cancelled' ? 200 : 202).json({
+      success: true,
+      jobId: result.jobId,
+      status: result.status,
+      message: result.status === 'cancelled'
+        ? 'Job cancelled.'
+        : 'Job is running - it will stop at the next checkpoint.'
+    });
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        status: error.state
+      });
+    }
+    logger.error('[JobController] Failed to cancel job', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Retry a failed job
+ * POST /api/jobs/:jobId/retry
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   jobId: string,
+ *   status: 'waiting'
+ * }
+ */
+export const retryJobEndpoint = async (req, res, next) => {
+  try {
+    const owned = await findOwnedJob(req, res);
+    if (!owned) return;
+
+    const result = await retryFailedJob(owned.queue, owned.jobId);
+
+    logger.info('[JobController] Job retried', { jobId: owned.jobId, userId: owned.userId });
+
+    res.status(202).json({
+      success: true,
+      jobId: result.jobId,
+      status: result.status,
+      message: 'Job re-queued. Use jobId to check status.',
+      statusEndpoint: `/api/jobs/${result.jobId}`
+    });
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        status: error.state
+      });
+    }
+    logger.error('[JobController] Failed to retry job', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Shape a bus event for clients (drops internal fields)
+ */
+function toClientEvent(event) {
+  const { customerId, ...clientEvent } = event;
+  return clientEvent;
+}
+
+/**
+ * Stream progress events for a single job
+ * GET /api/jobs/:jobId/events
+ *
+ * Server-Sent Events. The first event is a `snapshot` with the current job
+ * status; then `active`, `progress`, `retrying` and finally one of
+ * `completed`, `failed` or `cancelled`, after which the stream closes.
+ * EventSource clients can pass the token as ?access_token=.
+ *
+ * Event data (progress):
+ * {
+ *   type: 'progress',
+ *   jobId: string,
+ *   queueName: string,
+ *   progress: number (0-100),
+ *   stage: string | null,
+ *   partial: object | null,
+ *   timestamp: number
+ * }
+ */
+export const streamJobEvents = async (req, res, next) => {
+  try {
+    const owned = await findOwnedJob(req, res);
+    if (!owned) return;
+
+    const { queue, jobId, userId } = owned;
+
+    // Subscribe before reading the snapshot so no event is missed in between;
+    // events are held until the snapshot has been sent
+    let pending = [];
+    const unsubscribe = getJobEventBus().subscribe({ jobId }, (event) => {
+      if (pending) {
+        pending.push(event);
+      } else {
+        forward(event);
+      }
+    });
+
+    const stream = openEventStream(req, res, () => {
+      unsubscribe();
+      logger.info('[JobController] Job event stream closed', { jobId, userId });
+    });
+
+    function forward(event) {
+      stream.send(event.type, toClientEvent(event));
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        stream.end();
+      }
+    }
+
+    logger.info('[JobController] Job event stream opened', { jobId, userId });
+
+    const jobStatus = await getJobStatus(queue, jobId);
+
+    if (!jobStatus) {
+      forward({ type: 'cancelled', jobId, queueName: queue.name, timestamp: Date.now() });
+      return;
+    }
+
+    stream.send('snapshot', {
+      type: 'snapshot',
+      jobId,
+      queueName: jobStatus.queueName,
+      status: jobStatus.status,
+      progress: jobStatus.progress,
+      stage: jobStatus.stage,
+      partial: jobStatus.partial,
+      timestamp: Date.now()
+    });
+
+    // Job already finished - send the terminal event and close
+    if (jobStatus.status === 'completed' || jobStatus.status === 'failed') {
+      forward({
+        type: jobStatus.status,
+        jobId,
+        queueName: jobStatus.queueName,
+        result: jobStatus.result ?? null,
+        failedReason: jobStatus.failedReason,
+        attemptsMade: jobStatus.attemptsMade,
+        timestamp: jobStatus.finishedOn || Date.now()
+      });
+      return;
+    }
+
+    const buffered = pending;
+    pending = null;
+    buffered.forEach(forward);
+  } catch (error) {
+    logger.error('[JobController] Failed to stream job events', {
+      error: error.message,
+      stack: error.stack
+    });
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+/**
+ * Stream progress events for all of the current user's jobs
+ * GET /api/jobs/events
+ *
+ * Server-Sent Events with the same event types as /api/jobs/:jobId/events.
+ * The stream stays open until the client disconnects.
+ */
+export const streamUserJobEvents = (req, res) => {
+  const userId = req.user?.id;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  const unsubscribe = getJobEventBus().subscribe({ customerId: userId }, (event) => {
+    stream.send(event.type, toClientEvent(event));
+  });
+
+  const stream = openEventStream(req, res, () => {
+    unsubscribe();
+    logger.info('[JobController] User job event stream closed', { userId });
+  });
+
+  logger.info('[JobController] User job event stream opened', { userId });
+};
+
 /**
  * Get all jobs for current user
  * GET /api/jobs/current-user
@@ -537,5 +821,9 @@ export default {
   submitRatingJob,
   submitBatchRatingJob,
   getJobStatusEndpoint,
+  cancelJobEndpoint,
+  retryJobEndpoint,
+  streamJobEvents,
+  streamUserJobEvents,
   getCurrentUserJobs
 };
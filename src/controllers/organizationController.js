@@ -0,0 +1,375 @@
+/**
+ * Organization Controller
+ *
+ * Team workspaces: organizations, members and roles, invitations, and
+ * sharing generated resources, ICP frameworks and prospect lists with the
+ * team. Org-scoped handlers run after requireOrganizationRole, which sets
+ * req.organization and req.membership.
+ *
+ * @module controllers/organizationController
+ */
+
+import organizationService from '../services/organizationService.js';
+
+/**
+ * Accepting or declining needs the signed-in user's email (not available
+ * with API keys)
+ * @private
+ */
+function invitationUser(req, res) {
+  const email = req.auth.email || req.user?.email;
+
+  if (!email) {
+    res.status(403).json({
+      success: false,
+      error: 'Sign in with your account (not an API key) to respond to invitations'
+    });
+    return null;
+  }
+
+  return { id: req.auth.customerId, email };
+}
+
+/**
+ * List the organizations the caller belongs to
+ * GET /api/organizations
+ */
+export const getOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await organizationService.listOrganizations(req.auth.customerId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organizations,
+        count: organizations.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an organization (the caller becomes its owner)
+ * POST /api/organizations
+ *
+ * Body: { name, slug?, description? }
+ */
+export const createOrganization = async (req, res, next) => {
+  try {
+    const organization = await organizationService.createOrganization(
+      { id: req.auth.customerId, email: req.auth.email || req.user?.email },
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an organization with its members
+ * GET /api/organizations/:orgId
+ */
+export const getOrganization = async (req, res, next) => {
+  try {
+    const members = await organizationService.listMembers(req.organization.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organization: organizationService.toPublic(req.organization, req.membership.role),
+        members
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename an organization or change its description (owner only)
+ * PATCH /api/organizations/:orgId
+ */
+export const updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await organizationService.updateOrganization(req.organization.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role (admin+)
+ * PATCH /api/organizations/:orgId/members/:userId
+ *
+ * Body: { role: 'admin' | 'manager' | 'member' }
+ */
+export const updateOrganizationMember = async (req, res, next) => {
+  try {
+    const member = await organizationService.updateMemberRole(
+      req.organization.id,
+      req.membership,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member (admin+), or leave the organization (own user ID)
+ * DELETE /api/organizations/:orgId/members/:userId
+ */
+export const removeOrganizationMember = async (req, res, next) => {
+  try {
+    await organizationService.removeMember(req.organization.id, req.membership, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: req.params.userId === req.membership.id ? 'You left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List invitations (manager+)
+ * GET /api/organizations/:orgId/invitations?status=pending
+ */
+export const getOrganizationInvitations = async (req, res, next) => {
+  try {
+    const invitations = await organizationService.listInvitations(req.organization.id, {
+      status: req.query.status
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        count: invitations.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone by email (manager+)
+ * POST /api/organizations/:orgId/invitations
+ *
+ * Body: { email, role? }
+ * The response includes the invitation link; it is not shown again.
+ */
+export const createOrganizationInvitation = async (req, res, next) => {
+  try {
+    const result = await organizationService.createInvitation(req.organization, req.membership, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: result.emailSent
+        ? 'Invitation sent'
+        : 'Invitation created, but the email could not be sent - share the link directly'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation (manager+)
+ * DELETE /api/organizations/:orgId/invitations/:invitationId
+ */
+export const revokeOrganizationInvitation = async (req, res, next) => {
+  try {
+    const revoked = await organizationService.revokeInvitation(req.organization.id, req.params.invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation
+ * POST /api/organizations/invitations/accept
+ *
+ * Body: { token }
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const user = invitationUser(req, res);
+    if (!user) return;
+
+    const organization = await organizationService.acceptInvitation(user, req.body.token);
+
+    res.status(200).json({
+      success: true,
+      data: { organization },
+      message: `You joined ${organization.name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an invitation
+ * POST /api/organizations/invitations/decline
+ *
+ * Body: { token }
+ */
+export const declineInvitation = async (req, res, next) => {
+  try {
+    const user = invitationUser(req, res);
+    if (!user) return;
+
+    await organizationService.declineInvitation(user, req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List items shared with the organization
+ * GET /api/organizations/:orgId/shared?type=generated_resource|icp_framework|prospect_list
+ */
+export const getSharedItems = async (req, res, next) => {
+  try {
+    const items = await organizationService.listSharedItems(req.organization.id, {
+      itemType: req.query.type
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items,
+        count: items.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the full content of a shared item
+ * GET /api/organizations/:orgId/shared/:itemType/:itemId
+ */
+export const getSharedItem = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.params;
+    const share = await organizationService.getSharedItem(req.organization.id, itemType, itemId);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: share
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Share one of your items with the organization
+ * POST /api/organizations/:orgId/shared
+ *
+ * Body: { itemType, itemId }
+ */
+export const shareItem = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.body;
+    const share = await organizationService.shareItem(req.organization.id, req.membership.id, itemType, itemId);
+
+    res.status(201).json({
+      success: true,
+      data: share
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop sharing an item (whoever shared it, or an admin)
+ * DELETE /api/organizations/:orgId/shared/:itemType/:itemId
+ */
+export const unshareItem = async (req, res, next) => {
+  try {
+    const { itemType, itemId } = req.params;
+    const removed = await organizationService.unshareItem(req.organization.id, req.membership, itemType, itemId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Item is no longer shared'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationInvitations,
+  createOrganizationInvitation,
+  revokeOrganizationInvitation,
+  acceptInvitation,
+  declineInvitation,
+  getSharedItems,
+  getSharedItem,
+  shareItem,
+  unshareItem
+};
@@ -5,7 +5,8 @@
  * Key characteristics:
  * - REQUIRES authentication (req.user from verifyToken middleware)
  * - Uses Claude API with web search ($10 per 1,000 searches)
- * - Finds 5-7 real companies matching Andru's "Revenue Desert" ICP
+ * - Finds real companies matching the user's saved ICP (resource library) and filters
+ * - Skips companies the user already rated
  * - Saves discovery results to database for user reference
  * - Rate limited: 5 requests per 24 hours per user
  *
@@ -13,6 +14,7 @@
  */
 
 import prospectDiscoveryService from '../services/prospectDiscoveryService.js';
+import { AIBudgetExceededError } from '../services/anthropicGatewayService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -26,13 +28,15 @@ import logger from '../utils/logger.js';
  *   coreCapability: string (required) - Core capability/pure signal from ICP
  *   industry: string (optional) - Industry context
  *   targetMarket: string (optional) - Target market context
+ *   filters: object (optional) - industries, companySizes, geographies, fundingStages, exclude
+ *   count: number (optional) - Number of prospects to find (default 6, max 20)
  * }
  *
  * Response:
  * {
  *   success: true,
  *   data: {
- *     prospects: [...], // 5-7 companies with evidence + confidence scores
+ *     prospects: [...], // Up to `count` companies with evidence + confidence scores
  *     searchSummary: {...} // Search metadata
  *   },
  *   metadata: {
@@ -67,7 +71,9 @@ export const discoverProspects = async (req, res, next) => {
       refinedProductDescription,
       coreCapability,
       industry,
-      targetMarket
+      targetMarket,
+      filters,
+      count
     } = req.body;
 
     logger.info('[Prospect Discovery] Generation request', {
@@ -77,7 +83,9 @@ export const discoverProspects = async (req, res, next) => {
       hasDescription: !!refinedProductDescription,
       hasCoreCapability: !!coreCapability,
       industry: industry || 'not specified',
-      targetMarket: targetMarket || 'not specified'
+      targetMarket: targetMarket || 'not specified',
+      filters,
+      count
     });
 
     // Validate required fields
@@ -132,7 +140,7 @@ export const discoverProspects = async (req, res, next) => {
 
     logger.info(`[Prospect Discovery] Starting discovery for ${companyName} (user: ${userId})`);
 
-    const result = await prospectDiscoveryService.discoverProspects(userICPData, userId);
+    const result = await prospectDiscoveryService.discoverProspects(userICPData, userId, { filters, count });
 
     if (!result.success) {
       logger.error(`[Prospect Discovery] Service failed for user ${userId}:`, result.error);
@@ -175,6 +183,15 @@ export const discoverProspects = async (req, res, next) => {
       stack: error.stack
     });
 
+    if (error instanceof AIBudgetExceededError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        budget: error.budget
+      });
+    }
+
     // Return 500 Internal Server Error
     res.status(500).json({
       success: false,
@@ -0,0 +1,270 @@
+/**
+ * Prospect List Controller
+ *
+ * CRUD, CSV import and CSV export for saved prospect lists. New entries are
+ * queued for ICP rating automatically (see prospectListService).
+ *
+ * @module controllers/prospectListController
+ */
+
+import prospectListService from '../services/prospectListService.js';
+import logger from '../utils/logger.js';
+
+const MAX_IMPORT_ROWS = 1000;
+
+function listNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Prospect list not found'
+  });
+}
+
+/**
+ * List the user's prospect lists
+ * GET /api/prospect-lists
+ */
+export const getProspectLists = async (req, res, next) => {
+  try {
+    const lists = await prospectListService.listLists(req.auth.customerId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lists,
+        count: lists.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a prospect list, optionally with initial entries
+ * POST /api/prospect-lists
+ *
+ * Body: { name, description?, source?, entries?: [{ companyName, companyUrl | website, notes?, discoveryData? }] }
+ * Discovered prospects can be posted as entries unchanged (website → companyUrl).
+ */
+export const createProspectList = async (req, res, next) => {
+  try {
+    const userId = req.auth.customerId;
+    const result = await prospectListService.createList(userId, req.body);
+
+    logger.info('[ProspectListController] List created', {
+      userId,
+      listId: result.list.id,
+      entries: result.entries.length,
+      skipped: result.skipped.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a prospect list with its entries
+ * GET /api/prospect-lists/:listId?sort=rating|fit_level|name|added
+ */
+export const getProspectList = async (req, res, next) => {
+  try {
+    const result = await prospectListService.getList(req.auth.customerId, req.params.listId, {
+      sort: req.query.sort
+    });
+
+    if (!result) {
+      return listNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a prospect list or change its description
+ * PATCH /api/prospect-lists/:listId
+ */
+export const updateProspectList = async (req, res, next) => {
+  try {
+    const list = await prospectListService.updateList(req.auth.customerId, req.params.listId, req.body);
+
+    if (!list) {
+      return listNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { list }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a prospect list and its entries
+ * DELETE /api/prospect-lists/:listId
+ */
+export const deleteProspectList = async (req, res, next) => {
+  try {
+    const deleted = await prospectListService.deleteList(req.auth.customerId, req.params.listId);
+
+    if (!deleted) {
+      return listNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prospect list deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add companies to a prospect list (each new one is queued for rating)
+ * POST /api/prospect-lists/:listId/entries
+ *
+ * Body: { source?, entries: [{ companyName, companyUrl | website, notes?, discoveryData? }] }
+ */
+export const addProspectListEntries = async (req, res, next) => {
+  try {
+    const { entries, source } = req.body;
+    const result = await prospectListService.addEntries(req.auth.customerId, req.params.listId, entries, source);
+
+    if (!result) {
+      return listNotFound(res);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a company from a prospect list
+ * DELETE /api/prospect-lists/:listId/entries/:entryId
+ */
+export const removeProspectListEntry = async (req, res, next) => {
+  try {
+    const { listId, entryId } = req.params;
+    const removed = await prospectListService.removeEntry(req.auth.customerId, listId, entryId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prospect list entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prospect list entry removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import companies from CSV (text/csv body, or JSON { csv })
+ * POST /api/prospect-lists/:listId/import
+ *
+ * Needs a header row with a company_url/website/url/domain column;
+ * company_name and notes columns are optional.
+ */
+export const importProspectListCSV = async (req, res, next) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csv || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV content is required (text/csv body or JSON { csv })'
+      });
+    }
+
+    const entries = prospectListService.parseImportCSV(csv);
+
+    if (entries.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `CSV import is limited to ${MAX_IMPORT_ROWS} rows (got ${entries.length})`
+      });
+    }
+
+    const result = await prospectListService.addEntries(req.auth.customerId, req.params.listId, entries, 'csv');
+
+    if (!result) {
+      return listNotFound(res);
+    }
+
+    logger.info('[ProspectListController] CSV imported', {
+      userId: req.auth.customerId,
+      listId: req.params.listId,
+      rows: entries.length,
+      added: result.entries.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        rows: entries.length,
+        ...result
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export a prospect list as CSV
+ * GET /api/prospect-lists/:listId/export?sort=rating|fit_level|name|added
+ */
+export const exportProspectListCSV = async (req, res, next) => {
+  try {
+    const result = await prospectListService.exportCSV(req.auth.customerId, req.params.listId, {
+      sort: req.query.sort
+    });
+
+    if (!result) {
+      return listNotFound(res);
+    }
+
+    const filename = result.list.name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'prospect-list';
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.status(200).send(result.csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getProspectLists,
+  createProspectList,
+  getProspectList,
+  updateProspectList,
+  deleteProspectList,
+  addProspectListEntries,
+  removeProspectListEntry,
+  importProspectListCSV,
+  exportProspectListCSV
+};
@@ -0,0 +1,519 @@
+/**
+ * Browser Pool Module
+ *
+ * Puppeteer-backed headless browser adapter for website extraction (brand
+ * assets, product details) and PDF exports. Sessions implement the browser
+ * wrapper interface the extraction services expect:
+ * - navigate(url)      - load a page (throws on HTTP errors and timeouts)
+ * - evaluate(script)   - run a script in the page and return its result
+ * - screenshot()       - base64 PNG of the viewport (null on failure)
+ * - pdf(html, options) - print an HTML document to PDF
+ * - close()            - end the session (idempotent)
+ *
+ * Browsers are pooled: each session gets its own incognito context in a
+ * pooled browser, so launches are amortized while cookies and storage never
+ * leak between sessions. Browsers are retired after maxUsesPerBrowser
+ * sessions and closed after idleTimeoutMs without use.
+ *
+ * Trackers, fonts and media are blocked by default - extraction only needs
+ * the DOM, styles and images. Navigation and every page request (redirects,
+ * subresources) are limited to public http(s) hosts (see lib/urlGuard.js), so
+ * user-supplied URLs can't reach internal services or cloud metadata.
+ *
+ * @module lib/browserPool
+ */
+
+import puppeteer from 'puppeteer';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { assertPublicUrl, isPublicHost } from './urlGuard.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu'
+];
+
+/**
+ * Resource types aborted unless overridden per session
+ */
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = ['media', 'font'];
+
+/**
+ * Request URLs aborted unless overridden per session (analytics, ads, chat widgets)
+ */
+export const DEFAULT_BLOCKED_URL_PATTERNS = [
+  /google-analytics\.com/,
+  /googletagmanager\.com/,
+  /doubleclick\.net/,
+  /connect\.facebook\.net/,
+  /hotjar\.com/,
+  /cdn\.segment\.com/,
+  /widget\.intercom\.io/,
+  /js\.driftt\.com/
+];
+
+/**
+ * Reject after timeoutMs with a descriptive error
+ * @private
+ */
+function withTimeout(promise, timeoutMs, action) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${action} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check a request against blocked-resource rules
+ *
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Puppeteer resource type (document, image, font, ...)
+ * @param {Object} rules - { resourceTypes, urlPatterns }
+ * @returns {boolean} True if the request should be aborted
+ */
+export function isBlockedRequest(url, resourceType, rules) {
+  if (rules.resourceTypes.includes(resourceType)) {
+    return true;
+  }
+  return rules.urlPatterns.some(pattern => pattern.test(url));
+}
+
+/**
+ * One page in an isolated browser context
+ */
+export class BrowserSession {
+  constructor(pool, entry, context, page, options) {
+    this.pool = pool;
+    this.entry = entry;
+    this.context = context;
+    this.page = page;
+    this.options = options;
+    this.blockedRequests = 0;
+    this.allowedHosts = new Map();
+    this.closed = false;
+  }
+
+  /**
+   * Navigate to a URL and wait for the network to settle
+   *
+   * @param {string} url - http(s) URL on a public host
+   * @throws {Error} On non-http(s) or non-public URLs, HTTP error statuses and timeouts
+   */
+  async navigate(url) {
+    this.assertOpen();
+
+    const { protocol } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Refusing to navigate to ${protocol} URL`);
+    }
+    if (!this.options.allowPrivateNetwork) {
+      await assertPublicUrl(url, { lookup: this.options.lookup });
+    }
+
+    const response = await this.page.goto(url, {
+      waitUntil: this.options.waitUntil,
+      timeout: this.options.navigationTimeoutMs
+    });
+
+    if (response && response.status() >= 400) {
+      throw new Error(`Navigation to ${url} failed with HTTP ${response.status()}`);
+    }
+  }
+
+  /**
+   * Evaluate a script (expression string or function) in the page
+   *
+   * @param {string|Function} script
+   * @returns {Promise<any>} Serializable result
+   */
+  async evaluate(script) {
+    this.assertOpen();
+    return withTimeout(this.page.evaluate(script), this.options.evaluateTimeoutMs, 'Script evaluation');
+  }
+
+  /**
+   * Capture the viewport (optional for callers, so failures return null)
+   *
+   * @returns {Promise<string|null>} Base64 encoded PNG
+   */
+  async screenshot() {
+    this.assertOpen();
+    try {
+      return await withTimeout(
+        this.page.screenshot({ type: 'png', fullPage: false, encoding: 'base64' }),
+        this.options.evaluateTimeoutMs,
+        'Screenshot'
+      );
+    } catch (error) {
+      logger.warn('[BrowserPool] Screenshot failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Load an HTML document into the page and print it to PDF
+   *
+   * @param {string} html - Complete HTML document
+   * @param {Object} [options] - page.pdf() options (format, margin, ...)
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async pdf(html, options = {}) {
+    this.assertOpen();
+
+    await this.page.setContent(html, {
+      waitUntil: 'load',
+      timeout: this.options.navigationTimeoutMs
+    });
+
+    const pdf = await withTimeout(this.page.pdf(options), this.options.navigationTimeoutMs, 'PDF rendering');
+    return Buffer.from(pdf);
+  }
+
+  /**
+   * Close the context and return the browser to the pool
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    try {
+      await this.context.close();
+    } catch (error) {
+      logger.warn('[BrowserPool] Context close failed (browser may have crashed)', { error: error.message });
+    }
+    this.pool.release(this.entry);
+  }
+
+  /**
+   * Whether a page request may leave the browser (cached per host)
+   * @private
+   */
+  async isAllowedRequest(url) {
+    if (this.options.allowPrivateNetwork) {
+      return true;
+    }
+
+    const { protocol, hostname } = new URL(url);
+    if (protocol === 'data:' || protocol === 'blob:') {
+      return true;
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return false;
+    }
+
+    if (!this.allowedHosts.has(hostname)) {
+      this.allowedHosts.set(hostname, isPublicHost(hostname, { lookup: this.options.lookup }));
+    }
+    return this.allowedHosts.get(hostname);
+  }
+
+  /**
+   * @private
+   */
+  assertOpen() {
+    if (this.closed) {
+      throw new Error('Browser session is closed');
+    }
+  }
+}
+
+/**
+ * Pool of headless browsers
+ */
+export class BrowserPool {
+  /**
+   * @param {Object} [options] - Defaults from config.browser
+   * @param {number} [options.maxBrowsers] - Browsers running at once (one session each)
+   * @param {number} [options.maxUsesPerBrowser] - Sessions before a browser is replaced
+   * @param {number} [options.idleTimeoutMs] - Close browsers unused this long
+   * @param {number} [options.acquireTimeoutMs] - Wait for a free browser this long
+   * @param {number} [options.navigationTimeoutMs]
+   * @param {number} [options.evaluateTimeoutMs]
+   * @param {Object} [options.launchOptions] - Extra puppeteer.launch options
+   * @param {Function} [options.launchBrowser] - Replaces puppeteer.launch (tests)
+   * @param {Function} [options.lookup] - Replaces dns.promises.lookup (tests)
+   * @param {boolean} [options.allowPrivateNetwork=false] - Skip the public host
+   *   check (tests serving local fixtures)
+   */
+  constructor(options = {}) {
+    this.options = { ...config.browser, ...options };
+    this.entries = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Open a session on a pooled browser
+   *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.blockResourceTypes] - Replaces DEFAULT_BLOCKED_RESOURCE_TYPES
+   * @param {Array<RegExp>} [options.blockUrlPatterns] - Replaces DEFAULT_BLOCKED_URL_PATTERNS
+   * @param {string} [options.waitUntil='networkidle2'] - Navigation completion event
+   * @param {Object} [options.viewport] - Defaults to 1920x1080
+   * @returns {Promise<BrowserSession>}
+   */
+  async openSession(options = {}) {
+    const sessionOptions = {
+      waitUntil: options.waitUntil || 'networkidle2',
+      navigationTimeoutMs: options.navigationTimeoutMs || this.options.navigationTimeoutMs,
+      evaluateTimeoutMs: options.evaluateTimeoutMs || this.options.evaluateTimeoutMs,
+      allowPrivateNetwork: this.options.allowPrivateNetwork === true,
+      lookup: this.options.lookup
+    };
+    const rules = {
+      resourceTypes: options.blockResourceTypes || DEFAULT_BLOCKED_RESOURCE_TYPES,
+      urlPatterns: options.blockUrlPatterns || DEFAULT_BLOCKED_URL_PATTERNS
+    };
+
+    const entry = await this.acquire();
+    let context;
+
+    try {
+      context = await entry.browser.createBrowserContext();
+      const page = await context.newPage();
+      const session = new BrowserSession(this, entry, context, page, sessionOptions);
+
+      page.setDefaultTimeout(sessionOptions.navigationTimeoutMs);
+      await page.setViewport(options.viewport || { width: 1920, height: 1080 });
+      await page.setUserAgent(USER_AGENT);
+
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) {
+          return;
+        }
+        if (isBlockedRequest(request.url(), request.resourceType(), rules)) {
+          session.blockedRequests++;
+          request.abort('blockedbyclient').catch(() => {});
+          return;
+        }
+
+        // Redirects and subresources can point anywhere, not just the navigated URL
+        session.isAllowedRequest(request.url())
+          .catch(() => false)
+          .then((allowed) => {
+            if (allowed) {
+              return request.continue();
+            }
+            session.blockedRequests++;
+            logger.warn('[BrowserPool] Blocked request to a non-public address', { url: request.url() });
+            return request.abort('addressunreachable');
+          })
+          .catch(() => {});
+      });
+
+      return session;
+    } catch (error) {
+      await context?.close().catch(() => {});
+      this.release(entry);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a free browser (launching one if under maxBrowsers)
+   * @private
+   */
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timedOut: false };
+      waiter.timer = setTimeout(() => {
+        waiter.timedOut = true;
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`No browser available within ${this.options.acquireTimeoutMs}ms`));
+      }, this.options.acquireTimeoutMs);
+
+      this.waiters.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand idle (or newly launched) browsers to waiting sessions
+   * @private
+   */
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const idle = this.entries.find(entry => !entry.busy && entry.browser.connected);
+
+      if (idle) {
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        clearTimeout(idle.idleTimer);
+        idle.busy = true;
+        waiter.resolve(idle);
+        continue;
+      }
+
+      if (this.entries.length + this.launching < this.options.maxBrowsers) {
+        const waiter = this.waiters.shift();
+        this.launch().then(
+          (entry) => {
+            clearTimeout(waiter.timer);
+            if (waiter.timedOut) {
+              this.release(entry, { countUse: false });
+            } else {
+              waiter.resolve(entry);
+            }
+          },
+          (error) => {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+          }
+        );
+        continue;
+      }
+
+      break;
+    }
+  }
+
+  /**
+   * Launch a browser and add it to the pool (busy)
+   * @private
+   */
+  async launch() {
+    this.launching++;
+    try {
+      const launchBrowser = this.options.launchBrowser || (launchOptions => puppeteer.launch(launchOptions));
+      const browser = await launchBrowser({
+        headless: true,
+        args: LAUNCH_ARGS,
+        ...this.options.launchOptions
+      });
+      const entry = { browser, busy: true, uses: 0, idleTimer: null };
+
+      browser.on('disconnected', () => {
+        clearTimeout(entry.idleTimer);
+        this.entries = this.entries.filter(e => e !== entry);
+        this.dispatch();
+      });
+
+      this.entries.push(entry);
+      logger.info('[BrowserPool] Browser launched', { browsers: this.entries.length });
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * Return a browser to the pool, retiring it when worn out or disconnected
+   * @private
+   */
+  release(entry, { countUse = true } = {}) {
+    if (countUse) {
+      entry.uses++;
+    }
+    entry.busy = false;
+
+    if (this.closed || !entry.browser.connected || entry.uses >= this.options.maxUsesPerBrowser) {
+      this.retire(entry);
+    } else {
+      entry.idleTimer = setTimeout(() => this.retire(entry), this.options.idleTimeoutMs);
+      entry.idleTimer.unref();
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * @private
+   */
+  retire(entry) {
+    clearTimeout(entry.idleTimer);
+    this.entries = this.entries.filter(e => e !== entry);
+    entry.browser.close().catch((error) => {
+      logger.warn('[BrowserPool] Browser close failed', { error: error.message });
+    });
+  }
+
+  /**
+   * Pool statistics
+   */
+  getStats() {
+    return {
+      browsers: this.entries.length,
+      busy: this.entries.filter(entry => entry.busy).length,
+      launching: this.launching,
+      waiting: this.waiters.length
+    };
+  }
+
+  /**
+   * Close all browsers and reject waiting sessions
+   */
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(async (entry) => {
+      clearTimeout(entry.idleTimer);
+      await entry.browser.close().catch(() => {});
+    }));
+  }
+}
+
+/**
+ * Shared pool (initialized lazily)
+ */
+let pool = null;
+
+/**
+ * Get the shared browser pool
+ *
+ * @returns {BrowserPool}
+ */
+export function getBrowserPool() {
+  if (!pool) {
+    pool = new BrowserPool();
+  }
+  return pool;
+}
+
+/**
+ * Open a session on the shared pool
+ *
+ * @param {Object} [options] - See BrowserPool#openSession
+ * @returns {Promise<BrowserSession>}
+ */
+export function createBrowserSession(options = {}) {
+  return getBrowserPool().openSession(options);
+}
+
+/**
+ * Close the shared pool (graceful shutdown)
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeBrowserPool() {
+  if (pool) {
+    await pool.close();
+    pool = null;
+  }
+}
+
+export default {
+  BrowserPool,
+  BrowserSession,
+  isBlockedRequest,
+  getBrowserPool,
+  createBrowserSession,
+  closeBrowserPool,
+};
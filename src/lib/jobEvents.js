@@ -0,0 +1,221 @@
+/**
+ * Job Events Module
+ *
+ * Normalizes job lifecycle events from both queue backends into a single
+ * process-wide stream, used by the SSE endpoints in jobController:
+ * - SimpleQueue: listens to the queue's own EventEmitter events
+ * - BullMQ: one QueueEvents connection per queue (Redis streams)
+ *
+ * Every event is emitted on the bus as 'job-event' with the shape:
+ * {
+ *   type: 'active' | 'progress' | 'retrying' | 'completed' | 'failed' | 'cancelled',
+ *   jobId, queueName, customerId,
+ *   progress, stage, partial,        // progress events
+ *   result,                          // completed
+ *   failedReason, attemptsMade,      // failed / retrying
+ *   timestamp
+ * }
+ *
+ * @module lib/jobEvents
+ */
+
+import { EventEmitter } from 'events';
+import { QueueEvents } from 'bullmq';
+import { SimpleQueue } from './simpleQueue.js';
+import { getAllQueues, getQueueForJobId, normalizeProgress } from './queue.js';
+import { getQueueConnectionOptions } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Job owner lookups cached for BullMQ events (which only carry the job ID)
+const OWNER_CACHE_SIZE = 1000;
+
+/**
+ * Events after which a job produces no further events
+ */
+export const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Process-wide job event bus
+ */
+class JobEventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+    this.attached = false;
+    this.queueEvents = [];
+    this.owners = new Map();
+  }
+
+  /**
+   * Attach to all queues (idempotent)
+   */
+  attach() {
+    if (this.attached) {
+      return this;
+    }
+    this.attached = true;
+
+    for (const queue of Object.values(getAllQueues())) {
+      if (queue instanceof SimpleQueue) {
+        this.attachSimpleQueue(queue);
+      } else {
+        this.attachBullQueue(queue);
+      }
+    }
+
+    logger.info('[JobEvents] Listening for job events', { queues: this.queueEvents.length || 'local' });
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  attachSimpleQueue(queue) {
+    const publish = (type, job, extra = {}) => this.publish({
+      type,
+      jobId: job.id,
+      queueName: queue.name,
+      customerId: job.data?.customerId || null,
+      ...extra
+    });
+
+    queue.on('active', (job) => publish('active', job));
+    queue.on('progress', (job, progress) => publish('progress', job, normalizeProgress(progress)));
+    queue.on('completed', (job, result) => publish('completed', job, { result: result ?? null }));
+    queue.on('failed', (job, error) => publish(job.state === 'failed' ? 'failed' : 'retrying', job, {
+      failedReason: error?.message || job.failedReason,
+      attemptsMade: job.attemptsMade
+    }));
+    queue.on('removed', (job) => publish('cancelled', job));
+  }
+
+  /**
+   * @private
+   */
+  attachBullQueue(queue) {
+    const queueEvents = new QueueEvents(queue.name, getQueueConnectionOptions());
+    this.queueEvents.push(queueEvents);
+
+    const publish = async (type, jobId, extra = {}) => {
+      try {
+        this.publish({
+          type,
+          jobId,
+          queueName: queue.name,
+          customerId: await this.resolveOwner(queue, jobId),
+          ...extra
+        });
+      } catch (error) {
+        logger.warn('[JobEvents] Failed to publish BullMQ event', { jobId, type, error: error.message });
+      }
+    };
+
+    queueEvents.on('active', ({ jobId }) => publish('active', jobId));
+    queueEvents.on('progress', ({ jobId, data }) => publish('progress', jobId, normalizeProgress(data)));
+    queueEvents.on('completed', ({ jobId, returnvalue }) => publish('completed', jobId, { result: returnvalue ?? null }));
+    queueEvents.on('failed', async ({ jobId, failedReason }) => {
+      // 'failed' fires for every attempt - the job only stays failed after the last one
+      const job = await queue.getJob(jobId);
+      const finalFailure = !job || (await job.getState()) === 'failed';
+      publish(finalFailure ? 'failed' : 'retrying', jobId, { failedReason, attemptsMade: job?.attemptsMade });
+    });
+    queueEvents.on('removed', ({ jobId }) => publish('cancelled', jobId));
+    queueEvents.on('error', (error) => {
+      logger.warn('[JobEvents] QueueEvents error', { queue: queue.name, error: error.message });
+    });
+  }
+
+  /**
+   * Find the customer a BullMQ job belongs to
+   * @private
+   */
+  async resolveOwner(queue, jobId) {
+    if (this.owners.has(jobId)) {
+      return this.owners.get(jobId);
+    }
+
+    const job = await (getQueueForJobId(jobId) || queue).getJob(jobId);
+    const owner = job?.data?.customerId || null;
+
+    if (this.owners.size >= OWNER_CACHE_SIZE) {
+      this.owners.delete(this.owners.keys().next().value);
+    }
+    this.owners.set(jobId, owner);
+    return owner;
+  }
+
+  /**
+   * Emit a normalized event
+   * @param {Object} event
+   */
+  publish(event) {
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      this.owners.delete(event.jobId);
+    }
+    this.emit('job-event', { ...event, timestamp: Date.now() });
+  }
+
+  /**
+   * Subscribe to events matching a filter
+   *
+   * @param {Object} filter - { jobId } and/or { customerId }
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(filter, listener) {
+    const handler = (event) => {
+      if (filter.jobId && event.jobId !== filter.jobId) return;
+      if (filter.customerId && event.customerId !== filter.customerId) return;
+      listener(event);
+    };
+
+    this.on('job-event', handler);
+    return () => this.off('job-event', handler);
+  }
+
+  /**
+   * Close BullMQ QueueEvents connections
+   */
+  async close() {
+    await Promise.all(this.queueEvents.map(queueEvents => queueEvents.close()));
+    this.queueEvents = [];
+    this.attached = false;
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Bus instance (initialized lazily)
+ */
+let bus = null;
+
+/**
+ * Get the shared job event bus, attached to all queues
+ *
+ * @returns {JobEventBus}
+ */
+export function getJobEventBus() {
+  if (!bus) {
+    bus = new JobEventBus();
+  }
+  return bus.attach();
+}
+
+/**
+ * Close the job event bus (graceful shutdown)
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeJobEvents() {
+  if (bus) {
+    await bus.close();
+    bus = null;
+  }
+}
+
+export default {
+  TERMINAL_EVENTS,
+  getJobEventBus,
+  closeJobEvents,
+};
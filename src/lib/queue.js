@@ -2,24 +2,26 @@
  * Job Queue Module
  *
  * Centralizes BullMQ queue initialization and management.
- * Provides queues for async operations (AI generation, company rating, batch processing).
+ * Provides queues for async operations (AI generation, company rating, batch processing,
+ * scheduled lifecycle emails).
  *
  * @module lib/queue
  */
 
 import { Queue } from 'bullmq';
 import { SimpleQueue } from './simpleQueue.js';
-import { getQueueConnectionOptions, isRedisConfigured } from '../config/redis.js';
+import { getLocalQueueDataDir, getQueueConnectionOptions, isRedisConfigured } from '../config/redis.js';
 
 /**
  * Queue configuration
  */
-const QUEUE_NAMES = {
+export const QUEUE_NAMES = {
   PERSONA_GENERATION: 'persona-generation',
   COMPANY_RATING: 'company-rating',
   BATCH_RATING: 'batch-rating',
   ICP_GENERATION: 'icp-generation',
   PRODUCT_EXTRACTION: 'product-extraction',
+  LIFECYCLE_EMAIL: 'lifecycle-email',
 };
 
 /**
@@ -48,9 +50,10 @@ let ratingQueue = null;
 let batchRatingQueue = null;
 let icpQueue = null;
 let productExtractionQueue = null;
+let lifecycleEmailQueue = null;
 
 /**
- * Initialize a queue (BullMQ with Redis or SimpleQueue in-memory)
+ * Initialize a queue (BullMQ with Redis or SimpleQueue with a local journal)
  *
  * @param {string} name - Queue name
  * @param {Object} options - Additional queue options
@@ -61,8 +64,16 @@ function createQueue(name, options = {}) {
 
   // Use SimpleQueue if Redis is not configured
   if (!isRedisConfigured()) {
-    console.log(`[Queue] Using in-memory SimpleQueue for: ${name}`);
-    const queue = new SimpleQueue(name, options);
+    const dataDir = getLocalQueueDataDir();
+    console.log(`[Queue] Using SimpleQueue for: ${name} (${dataDir ? `persisted to ${dataDir}` : 'in-memory'})`);
+    const queue = new SimpleQueue(name, {
+      ...options,
+      dataDir,
+      defaultJobOptions: {
+        ...DEFAULT_JOB_OPTIONS,
+        ...options.defaultJobOptions,
+      },
+    });
 
     // Event listeners for monitoring
     queue.on('error', (error) => {
@@ -73,7 +84,7 @@ function createQueue(name, options = {}) {
       console.log(`[Queue:${name}] Job ${jobId} is waiting`);
     });
 
-    console.log(`[Queue] Queue initialized (in-memory): ${name}`);
+    console.log(`[Queue] Queue initialized (local): ${name}`);
     return queue;
   }
 
@@ -204,6 +215,26 @@ export function getProductExtractionQueue() {
   return productExtractionQueue;
 }
 
+/**
+ * Get or create the lifecycle email queue
+ *
+ * @returns {Queue} Lifecycle email queue
+ */
+export function getLifecycleEmailQueue() {
+  if (!lifecycleEmailQueue) {
+    lifecycleEmailQueue = createQueue(QUEUE_NAMES.LIFECYCLE_EMAIL, {
+      defaultJobOptions: {
+        attempts: 5, // Ride out email provider outages
+        backoff: {
+          type: 'exponential',
+          delay: 60000, // Start with 1 minute delay
+        },
+      },
+    });
+  }
+  return lifecycleEmailQueue;
+}
+
 /**
  * Add a job to the persona generation queue
  *
@@ -254,6 +285,7 @@ export async function addPersonaGenerationJob(data, options = {}) {
  * @param {string} data.customerId - User ID
  * @param {string} data.companyUrl - Company URL to rate
  * @param {string} [data.icpFrameworkId] - ICP framework ID (optional)
+ * @param {string} [data.prospectListEntryId] - Prospect list entry that receives the rating (optional)
  * @param {Object} [options] - Additional job options
  * @returns {Promise<Object>} Job object with id
  */
@@ -269,6 +301,7 @@ export async function addCompanyRatingJob(data, options = {}) {
     customerId: data.customerId,
     companyUrl: data.companyUrl,
     icpFrameworkId: data.icpFrameworkId || null,
+    prospectListEntryId: data.prospectListEntryId || null,
     submittedAt: new Date().toISOString(),
   };
 
@@ -389,6 +422,7 @@ export async function addICPGenerationJob(data, options = {}) {
  * @param {string} data.customerId - User ID
  * @param {string} data.email - User email address
  * @param {string} data.domain - Company domain to extract from
+ * @param {boolean} [data.crawl] - Crawl pricing/product/customers/about pages too
  * @param {Object} [options] - Additional job options
  * @returns {Promise<Object>} Job object with id
  */
@@ -407,6 +441,11 @@ export async function addProductExtractionJob(data, options = {}) {
     submittedAt: new Date().toISOString(),
   };
 
+  // Crawl beyond the home page (worker falls back to config when unset)
+  if (data.crawl !== undefined) {
+    jobData.crawl = data.crawl;
+  }
+
   const jobOptions = {
     jobId: `product-extraction-${data.customerId}-${Date.now()}`,
     ...options,
@@ -423,6 +462,94 @@ export async function addProductExtractionJob(data, options = {}) {
   };
 }
 
+/**
+ * Schedule a lifecycle email step
+ *
+ * Each step has one job ID. Scheduling a step again (when a paused sequence
+ * resumes) replaces its earlier job unless that job is running.
+ *
+ * @param {Object} data - Job data
+ * @param {string} data.enrollmentId - email_sequence_enrollments ID
+ * @param {string} data.stepKey - Sequence step
+ * @param {Object} [options] - Additional job options (delay until the step is due)
+ * @returns {Promise<Object>} Job object with id
+ */
+export async function addLifecycleEmailJob(data, options = {}) {
+  const queue = getLifecycleEmailQueue();
+
+  // Validate required fields
+  if (!data.enrollmentId || !data.stepKey) {
+    throw new Error('Missing required fields: enrollmentId, stepKey');
+  }
+
+  const jobId = `lifecycle-email-${data.enrollmentId}-${data.stepKey}`;
+
+  const existing = await queue.getJob(jobId);
+  if (existing && (await existing.getState()) !== 'active') {
+    await existing.remove();
+  }
+
+  const jobData = {
+    enrollmentId: data.enrollmentId,
+    stepKey: data.stepKey,
+    submittedAt: new Date().toISOString(),
+  };
+
+  const jobOptions = {
+    jobId,
+    ...options,
+  };
+
+  console.log(`[Queue] Scheduling lifecycle email ${data.stepKey} for enrollment: ${data.enrollmentId}`);
+
+  const job = await queue.add('send-lifecycle-email', jobData, jobOptions);
+
+  return {
+    jobId: job.id,
+    queueName: QUEUE_NAMES.LIFECYCLE_EMAIL,
+    status: 'queued',
+  };
+}
+
+/**
+ * Normalize job progress to { progress, stage, partial }
+ *
+ * Workers report either a number (0-100) or the object written by
+ * reportJobProgress.
+ *
+ * @param {number|Object} value - Raw job.progress value
+ * @returns {Object} { progress, stage, partial }
+ */
+export function normalizeProgress(value) {
+  if (value && typeof value === 'object') {
+    return {
+      progress: value.percent ?? 0,
+      stage: value.stage ?? null,
+      partial: value.partial ?? null,
+    };
+  }
+  return { progress: value || 0, stage: null, partial: null };
+}
+
+/**
+ * Report job progress with a stage name and optional partial result
+ *
+ * Streamed to clients by the job SSE endpoints; getJobStatus still exposes
+ * `progress` as a number for polling clients.
+ *
+ * @param {Object} job - Job being processed
+ * @param {number} percent - Progress 0-100
+ * @param {string} [stage] - Machine-readable stage name (e.g. 'calling_ai')
+ * @param {*} [partial] - Partial result to show while the job runs
+ * @returns {Promise<void>}
+ */
+export async function reportJobProgress(job, percent, stage = null, partial = null) {
+  if (!job?.updateProgress) {
+    return;
+  }
+  await job.updateProgress({ percent, stage, partial });
+}
+
 /**
  * Get job status by ID
  *
@@ -438,13 +565,15 @@ export async function getJobStatus(queue, jobId) {
   }
 
   const state = await job.getState();
-  const progress = job.progress || 0;
+  const { progress, stage, partial } = normalizeProgress(job.progress);
 
   return {
     jobId: job.id,
     queueName: queue.name,
     status: state, // waiting, active, completed, failed, delayed
     progress, // 0-100
+    stage, // Last reported stage name (or null)
+    partial, // Last reported partial result (or null)
     data: job.data,
     result: job.returnvalue || null,
     failedReason: job.failedReason || null,
@@ -481,6 +610,270 @@ export async function getQueueStats(queue) {
   };
 }
 
+/**
+ * Error for job operations that don't apply to the job's current state
+ */
+export class JobStateError extends Error {
+  constructor(message, state) {
+    super(message);
+    this.name = 'JobStateError';
+    this.state = state;
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Get all queues keyed by queue name
+ *
+ * @returns {Object<string, Queue>} Queue instances
+ */
+export function getAllQueues() {
+  return {
+    [QUEUE_NAMES.PERSONA_GENERATION]: getPersonaQueue(),
+    [QUEUE_NAMES.COMPANY_RATING]: getRatingQueue(),
+    [QUEUE_NAMES.BATCH_RATING]: getBatchRatingQueue(),
+    [QUEUE_NAMES.ICP_GENERATION]: getICPQueue(),
+    [QUEUE_NAMES.PRODUCT_EXTRACTION]: getProductExtractionQueue(),
+    [QUEUE_NAMES.LIFECYCLE_EMAIL]: getLifecycleEmailQueue(),
+  };
+}
+
+/**
+ * Resolve the queue a job belongs to from its ID prefix (see the add*Job helpers)
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Queue|null} Queue instance or null for unknown prefixes
+ */
+export function getQueueForJobId(jobId) {
+  const prefixes = [
+    ['product-extraction-', getProductExtractionQueue],
+    ['lifecycle-email-', getLifecycleEmailQueue],
+    ['persona-', getPersonaQueue],
+    ['rating-', getRatingQueue],
+    ['batch-', getBatchRatingQueue],
+    ['icp-', getICPQueue],
+  ];
+
+  const match = prefixes.find(([prefix]) => jobId.startsWith(prefix));
+  return match ? match[1]() : null;
+}
+
+/**
+ * Cancel a job
+ *
+ * Waiting and delayed jobs are removed. Active jobs are flagged with
+ * data.cancelRequested - workers stop at their next checkpoint (see
+ * isJobCancelled) and the job is not retried.
+ *
+ * @param {Queue} queue - Queue instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} { jobId, status: 'cancelled'|'cancelling' } or null if not found
+ * @throws {JobStateError} If the job already finished
+ */
+export async function cancelJob(queue, jobId) {
+  const job = await queue.getJob(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+
+  if (state === 'completed' || state === 'failed') {
+    throw new JobStateError(`Job already ${state}`, state);
+  }
+
+  if (state === 'active') {
+    await job.updateData({
+      ...job.data,
+      cancelRequested: true,
+      cancelRequestedAt: new Date().toISOString(),
+    });
+    console.log(`[Queue] Cancellation requested for active job ${jobId}`);
+    return { jobId, status: 'cancelling' };
+  }
+
+  await job.remove();
+  console.log(`[Queue] Cancelled ${state} job ${jobId}`);
+  return { jobId, status: 'cancelled' };
+}
+
+/**
+ * Check whether cancellation was requested for a running job
+ *
+ * Re-reads the job so the flag set by another process (BullMQ) is seen.
+ * Workers check before each expensive step and before saving results, and
+ * return { cancelled: true } when it is set.
+ *
+ * @param {Object|null} job - Job being processed (null when run inline)
+ * @returns {Promise<boolean>} True if the worker should stop
+ */
+export async function isJobCancelled(job) {
+  if (!job) {
+    return false;
+  }
+  if (job.data?.cancelRequested) {
+    return true;
+  }
+
+  const queue = getQueueForJobId(job.id);
+  const latest = queue ? await queue.getJob(job.id) : null;
+  return !!latest?.data?.cancelRequested;
+}
+
+/**
+ * Retry a failed job
+ *
+ * @param {Queue} queue - Queue instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} { jobId, status: 'waiting' } or null if not found
+ * @throws {JobStateError} If the job is not in the failed state
+ */
+export async function retryFailedJob(queue, jobId) {
+  const job = await queue.getJob(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+
+  if (state !== 'failed') {
+    throw new JobStateError(`Only failed jobs can be retried (job is ${state})`, state);
+  }
+
+  if (job.data?.cancelRequested) {
+    const { cancelRequested, cancelRequestedAt, ...data } = job.data;
+    await job.updateData(data);
+  }
+
+  await job.retry('failed');
+  console.log(`[Queue] Retrying failed job ${jobId}`);
+  return { jobId, status: 'waiting' };
+}
+
+/**
+ * Select queues for dead-letter operations
+ * @private
+ */
+function selectQueues(queueName) {
+  const queues = getAllQueues();
+
+  if (!queueName) {
+    return Object.values(queues);
+  }
+  if (!queues[queueName]) {
+    throw new Error(`Unknown queue: ${queueName}`);
+  }
+  return [queues[queueName]];
+}
+
+/**
+ * List failed jobs kept by removeOnFail (the dead-letter set)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.queueName] - Limit to one queue (default: all queues)
+ * @param {number} [options.limit=50] - Max jobs per queue (newest first)
+ * @returns {Promise<Object>} { jobs, counts } where counts is failed jobs per queue
+ */
+export async function getDeadLetterJobs({ queueName = null, limit = 50 } = {}) {
+  const queues = selectQueues(queueName);
+
+  const perQueue = await Promise.all(queues.map(async (queue) => {
+    const [jobs, failed] = await Promise.all([
+      queue.getJobs(['failed'], 0, limit - 1),
+      queue.getFailedCount(),
+    ]);
+    return { queue, jobs, failed };
+  }));
+
+  return {
+    counts: Object.fromEntries(perQueue.map(({ queue, failed }) => [queue.name, failed])),
+    jobs: perQueue.flatMap(({ queue, jobs }) => jobs.filter(Boolean).map(job => ({
+      jobId: job.id,
+      queueName: queue.name,
+      name: job.name,
+      customerId: job.data?.customerId || null,
+      failedReason: job.failedReason || null,
+      attemptsMade: job.attemptsMade,
+      timestamp: job.timestamp,
+      finishedOn: job.finishedOn,
+    }))),
+  };
+}
+
+/**
+ * Retry dead-letter jobs in bulk
+ *
+ * @param {Object} [options]
+ * @param {string} [options.queueName] - Limit to one queue (default: all queues)
+ * @param {string[]} [options.jobIds] - Specific jobs (default: every failed job)
+ * @returns {Promise<Object>} { retried, skipped } counts
+ */
+export async function retryDeadLetterJobs({ queueName = null, jobIds = null } = {}) {
+  if (jobIds?.length) {
+    let retried = 0;
+    const skipped = [];
+
+    for (const jobId of jobIds) {
+      const queue = getQueueForJobId(jobId);
+      try {
+        const result = queue && (!queueName || queue.name === queueName)
+          ? await retryFailedJob(queue, jobId)
+          : null;
+        if (result) {
+          retried++;
+        } else {
+          skipped.push({ jobId, reason: 'not found' });
+        }
+      } catch (error) {
+        skipped.push({ jobId, reason: error.message });
+      }
+    }
+    return { retried, skipped };
+  }
+
+  let retried = 0;
+  for (const queue of selectQueues(queueName)) {
+    const failed = await queue.getFailedCount();
+    await queue.retryJobs({ state: 'failed' });
+    retried += failed;
+  }
+  return { retried, skipped: [] };
+}
+
+/**
+ * Permanently remove dead-letter jobs
+ *
+ * @param {Object} [options]
+ * @param {string} [options.queueName] - Limit to one queue (default: all queues)
+ * @param {string[]} [options.jobIds] - Specific jobs (default: every failed job)
+ * @param {number} [options.olderThanMs=0] - Only jobs that failed at least this long ago
+ * @returns {Promise<Object>} { purged } count
+ */
+export async function purgeDeadLetterJobs({ queueName = null, jobIds = null, olderThanMs = 0 } = {}) {
+  let purged = 0;
+
+  if (jobIds?.length) {
+    for (const jobId of jobIds) {
+      const queue = getQueueForJobId(jobId);
+      const job = queue && (!queueName || queue.name === queueName) ? await queue.getJob(jobId) : null;
+
+      if (job && (await job.getState()) === 'failed' && Date.now() - (job.finishedOn || 0) >= olderThanMs) {
+        await job.remove();
+        purged++;
+      }
+    }
+    return { purged };
+  }
+
+  for (const queue of selectQueues(queueName)) {
+    const removed = await queue.clean(olderThanMs, 0, 'failed');
+    purged += removed.length;
+  }
+  return { purged };
+}
+
 /**
  * Close all queue connections gracefully
  *
@@ -506,6 +899,9 @@ export async function closeQueues() {
   if (productExtractionQueue) {
     promises.push(productExtractionQueue.close());
   }
+  if (lifecycleEmailQueue) {
+    promises.push(lifecycleEmailQueue.close());
+  }
 
   await Promise.all(promises);
 
@@ -524,13 +920,15 @@ export async function checkQueueHealth() {
     const batchRatingQueueInstance = getBatchRatingQueue();
     const icpQueueInstance = getICPQueue();
     const productExtractionQueueInstance = getProductExtractionQueue();
+    const lifecycleEmailQueueInstance = getLifecycleEmailQueue();
 
-    const [personaStats, ratingStats, batchStats, icpStats, productExtractionStats] = await Promise.all([
+    const [personaStats, ratingStats, batchStats, icpStats, productExtractionStats, lifecycleEmailStats] = await Promise.all([
       getQueueStats(personaQueueInstance),
       getQueueStats(ratingQueueInstance),
       getQueueStats(batchRatingQueueInstance),
       getQueueStats(icpQueueInstance),
       getQueueStats(productExtractionQueueInstance),
+      getQueueStats(lifecycleEmailQueueInstance),
     ]);
 
     return {
@@ -541,6 +939,7 @@ export async function checkQueueHealth() {
         batchRating: batchStats,
         icpGeneration: icpStats,
         productExtraction: productExtractionStats,
+        lifecycleEmail: lifecycleEmailStats,
       },
     };
   } catch (error) {
@@ -559,13 +958,25 @@ export default {
   getBatchRatingQueue,
   getICPQueue,
   getProductExtractionQueue,
+  getLifecycleEmailQueue,
   addPersonaGenerationJob,
   addCompanyRatingJob,
   addBatchRatingJob,
   addICPGenerationJob,
   addProductExtractionJob,
+  addLifecycleEmailJob,
   getJobStatus,
   getQueueStats,
+  normalizeProgress,
+  reportJobProgress,
+  getAllQueues,
+  getQueueForJobId,
+  cancelJob,
+  isJobCancelled,
+  retryFailedJob,
+  getDeadLetterJobs,
+  retryDeadLetterJobs,
+  purgeDeadLetterJobs,
   closeQueues,
   checkQueueHealth,
 };
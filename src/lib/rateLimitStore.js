@@ -0,0 +1,290 @@
+/**
+ * Rate Limit Store Module
+ *
+ * Shared sliding-window counters for tierRateLimit and customerRateLimit.
+ * Uses Redis when REDIS_URL is configured so limits hold across instances
+ * and restarts; otherwise (or while Redis is unreachable) falls back to a
+ * process-local in-memory store.
+ *
+ * Every store implements:
+ * - consume(key, { limit, windowMs }) - record a hit if under the limit
+ * - peek(key, { limit, windowMs })    - read the window without recording
+ * - reset(key)                         - clear a key
+ *
+ * Both return { allowed, count, remaining, resetTime } where resetTime is
+ * the epoch ms at which the oldest hit leaves the window (null when empty).
+ *
+ * @module lib/rateLimitStore
+ */
+
+import { randomUUID } from 'crypto';
+import Redis from 'ioredis';
+import { getConnectionConfig, isRedisConfigured } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const KEY_PREFIX = 'ratelimit:';
+
+/**
+ * Build the result object shared by all stores
+ * @private
+ */
+function buildResult(allowed, count, limit, oldestHit, windowMs) {
+  return {
+    allowed,
+    count,
+    remaining: Math.max(0, limit - count),
+    resetTime: oldestHit ? oldestHit + windowMs : null
+  };
+}
+
+/**
+ * In-memory sliding window log (single instance only)
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.type = 'memory';
+    this.maxWindowMs = 0;
+    this.consumeCount = 0;
+  }
+
+  /**
+   * Drop hits that left the window and return what remains
+   * @private
+   */
+  getWindow(key, windowMs, now) {
+    const windowStart = now - windowMs;
+    const hits = (this.hits.get(key) || []).filter(timestamp => timestamp > windowStart);
+
+    if (hits.length === 0) {
+      this.hits.delete(key);
+    } else {
+      this.hits.set(key, hits);
+    }
+    return hits;
+  }
+
+  async consume(key, { limit, windowMs }) {
+    const now = Date.now();
+
+    // Sweep keys nobody has touched since their hits expired
+    this.maxWindowMs = Math.max(this.maxWindowMs, windowMs);
+    if (++this.consumeCount % 1000 === 0) {
+      this.cleanup(this.maxWindowMs);
+    }
+
+    const hits = this.getWindow(key, windowMs, now);
+
+    if (hits.length >= limit) {
+      return buildResult(false, hits.length, limit, hits[0], windowMs);
+    }
+
+    hits.push(now);
+    this.hits.set(key, hits);
+    return buildResult(true, hits.length, limit, hits[0], windowMs);
+  }
+
+  async peek(key, { limit, windowMs }) {
+    const hits = this.getWindow(key, windowMs, Date.now());
+    return buildResult(hits.length < limit, hits.length, limit, hits[0], windowMs);
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Remove keys whose hits have all expired
+   * @param {number} maxWindowMs - Longest window in use
+   */
+  cleanup(maxWindowMs) {
+    const now = Date.now();
+    for (const key of this.hits.keys()) {
+      this.getWindow(key, maxWindowMs, now);
+    }
+  }
+}
+
+/**
+ * Sliding window log in a Redis sorted set.
+ *
+ * Trim, count, conditional add and expiry run in one Lua script, so
+ * concurrent requests on different instances can't both take the last
+ * slot. Timestamps come from the Redis server clock, so every instance
+ * sees the same window.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local consume = ARGV[3] == '1'
+local member = ARGV[4]
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+
+if count < limit then
+  allowed = 1
+  if consume then
+    redis.call('ZADD', key, now, member)
+    count = count + 1
+  end
+end
+
+if count > 0 then
+  redis.call('PEXPIRE', key, window)
+end
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+local oldestScore = 0
+if oldest[2] then
+  oldestScore = tonumber(oldest[2])
+end
+
+return { allowed, count, oldestScore }
+`;
+
+export class RedisRateLimitStore {
+  /**
+   * @param {Object} client - ioredis client
+   */
+  constructor(client) {
+    this.client = client;
+    this.type = 'redis';
+    this.client.defineCommand('slidingWindowHit', {
+      numberOfKeys: 1,
+      lua: SLIDING_WINDOW_SCRIPT
+    });
+  }
+
+  /**
+   * @private
+   */
+  async run(key, { limit, windowMs }, consume) {
+    const [allowed, count, oldest] = await this.client.slidingWindowHit(
+      KEY_PREFIX + key,
+      windowMs,
+      limit,
+      consume ? '1' : '0',
+      randomUUID()
+    );
+    return buildResult(allowed === 1, count, limit, oldest || null, windowMs);
+  }
+
+  async consume(key, options) {
+    return this.run(key, options, true);
+  }
+
+  async peek(key, options) {
+    return this.run(key, options, false);
+  }
+
+  async reset(key) {
+    await this.client.del(KEY_PREFIX + key);
+  }
+}
+
+/**
+ * Wraps a primary store and serves from memory while the primary is failing
+ */
+export class FallbackRateLimitStore {
+  constructor(primary, fallback = new MemoryRateLimitStore()) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.type = primary.type;
+    this.degraded = false;
+  }
+
+  /**
+   * @private
+   */
+  async call(method, ...args) {
+    try {
+      const result = await this.primary[method](...args);
+      if (this.degraded) {
+        logger.info('[RateLimitStore] Redis store recovered');
+        this.degraded = false;
+      }
+      return result;
+    } catch (error) {
+      if (!this.degraded) {
+        logger.error('[RateLimitStore] Redis store unavailable - using in-memory counters', {
+          error: error.message
+        });
+        this.degraded = true;
+      }
+      return this.fallback[method](...args);
+    }
+  }
+
+  consume(key, options) {
+    return this.call('consume', key, options);
+  }
+
+  peek(key, options) {
+    return this.call('peek', key, options);
+  }
+
+  reset(key) {
+    return this.call('reset', key);
+  }
+}
+
+/**
+ * Store instance (initialized lazily)
+ */
+let store = null;
+
+/**
+ * Create the ioredis client for rate limiting
+ * @private
+ */
+function createRedisClient() {
+  const { url, ...options } = getConnectionConfig();
+  const client = url ? new Redis(url, options) : new Redis(options);
+
+  client.on('error', (error) => {
+    logger.warn('[RateLimitStore] Redis connection error', { error: error.message });
+  });
+
+  return client;
+}
+
+/**
+ * Get the shared rate limit store
+ *
+ * @returns {MemoryRateLimitStore|FallbackRateLimitStore} Store instance
+ */
+export function getRateLimitStore() {
+  if (!store) {
+    if (isRedisConfigured()) {
+      store = new FallbackRateLimitStore(new RedisRateLimitStore(createRedisClient()));
+      logger.info('[RateLimitStore] Using Redis-backed rate limiting');
+    } else {
+      store = new MemoryRateLimitStore();
+      logger.info('[RateLimitStore] Using in-memory rate limiting (set REDIS_URL for multi-instance limits)');
+    }
+  }
+  return store;
+}
+
+/**
+ * Replace the shared store (tests, custom backends)
+ *
+ * @param {Object|null} newStore - Store implementing consume/peek/reset (null resets to default)
+ */
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+export default {
+  getRateLimitStore,
+  setRateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  FallbackRateLimitStore
+};
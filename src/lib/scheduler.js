@@ -0,0 +1,431 @@
+/**
+ * Scheduler Module
+ *
+ * Runs the platform's maintenance tasks:
+ * - ai-cost-rollup: aggregates ai_usage_metrics into ai_cost_daily_summary
+ * - context-cache-cleanup: removes expired context_aggregation_cache rows
+ * - data-retention: prunes old public_page_visits, tool_usage_tracking and
+ *   scheduled_task_runs rows (config.scheduler.retention)
+ * - usage-metering: reports metered AI usage to Stripe every hour
+ *   (config.metering, a no-op while metering is disabled)
+ *
+ * With Redis every task is a BullMQ job scheduler on the scheduled-tasks
+ * queue, so each run happens once across all instances. Without Redis
+ * (SimpleQueue has no repeatable jobs) tasks run on in-process timers -
+ * set SCHEDULER_ENABLED=false on every instance but one.
+ *
+ * Every run is recorded in scheduled_task_runs for the admin status endpoint.
+ *
+ * @module lib/scheduler
+ */
+
+import os from 'os';
+import { Queue, Worker } from 'bullmq';
+import config from '../config/index.js';
+import { getQueueConnectionOptions, isRedisConfigured } from '../config/redis.js';
+import supabase from '../services/supabaseService.js';
+import aiCostTrackingService from '../services/aiCostTrackingService.js';
+import contextCacheService from '../services/ContextCacheService.js';
+import usageMeteringService from '../services/usageMeteringService.js';
+import logger from '../utils/logger.js';
+
+export const SCHEDULER_QUEUE_NAME = 'scheduled-tasks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Completed days re-aggregated on every rollup, so one missed run is caught up
+const ROLLUP_DAYS = 2;
+
+/**
+ * Tables pruned by data-retention: age column and config.scheduler.retention key
+ */
+const RETENTION_POLICIES = [
+  { table: 'public_page_visits', column: 'created_at', setting: 'pageVisitsDays' },
+  { table: 'tool_usage_tracking', column: 'used_at', setting: 'toolUsageDays' },
+  { table: 'scheduled_task_runs', column: 'started_at', setting: 'taskRunsDays' }
+];
+
+/**
+ * Aggregate the last completed UTC days into ai_cost_daily_summary
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{dates: string[]}>}
+ * @throws {Error} When an aggregation fails
+ */
+export async function rollUpDailyCosts(now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const dates = [];
+
+  for (let daysAgo = ROLLUP_DAYS; daysAgo >= 1; daysAgo--) {
+    const date = new Date(today - daysAgo * DAY_MS);
+    const result = await aiCostTrackingService.aggregateCostsForDate(date);
+
+    if (!result.success) {
+      throw new Error(`Cost rollup failed for ${date.toISOString().split('T')[0]}: ${result.error}`);
+    }
+    dates.push(date.toISOString().split('T')[0]);
+  }
+
+  return { dates };
+}
+
+/**
+ * Remove expired context cache entries
+ * @returns {Promise<{removed: number, maxAgeHours: number}>}
+ */
+export async function cleanUpContextCache() {
+  const maxAgeHours = config.scheduler.contextCacheMaxAgeHours;
+  const removed = await contextCacheService.cleanupExpiredCache(maxAgeHours * 60 * 60 * 1000);
+
+  return { removed, maxAgeHours };
+}
+
+/**
+ * Delete rows older than each table's retention period (0 days = keep forever)
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object<string, {removed: number, olderThan: string}|{skipped: true}>>}
+ * @throws {Error} Listing every table that could not be pruned
+ */
+export async function pruneExpiredData(now = new Date()) {
+  const results = {};
+  const failures = [];
+
+  for (const { table, column, setting } of RETENTION_POLICIES) {
+    const days = config.scheduler.retention[setting];
+
+    if (!(days > 0)) {
+      results[table] = { skipped: true };
+      continue;
+    }
+
+    const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+    const { count, error } = await supabase
+      .from(table)
+      .delete({ count: 'exact' })
+      .lt(column, cutoff);
+
+    if (error) {
+      failures.push(`${table}: ${error.message}`);
+      continue;
+    }
+
+    results[table] = { removed: count || 0, olderThan: cutoff };
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Retention failed for ${failures.join('; ')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Scheduled tasks, each run once a day at hour:minute UTC, or every hour at
+ * :minute when hour is omitted
+ */
+export const SCHEDULED_TASKS = {
+  'ai-cost-rollup': {
+    description: 'Aggregate AI usage into ai_cost_daily_summary',
+    hour: 0,
+    minute: 15,
+    run: rollUpDailyCosts
+  },
+  'context-cache-cleanup': {
+    description: 'Remove expired context aggregation cache entries',
+    hour: 1,
+    minute: 0,
+    run: cleanUpContextCache
+  },
+  'data-retention': {
+    description: 'Prune page visits, tool usage and task runs past their retention period',
+    hour: 3,
+    minute: 0,
+    run: pruneExpiredData
+  },
+  'usage-metering': {
+    description: 'Report metered AI usage to Stripe',
+    minute: 45,
+    run: () => usageMeteringService.reportUsage()
+  }
+};
+
+/**
+ * Cron pattern for a task (BullMQ job scheduler, UTC)
+ * @param {Object} task
+ * @returns {string}
+ */
+export function getCronPattern(task) {
+  return `${task.minute} ${task.hour ?? '*'} * * *`;
+}
+
+/**
+ * Next time a task is due
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getNextRunTime(task, now = new Date()) {
+  const hourly = task.hour === undefined;
+  const next = new Date(Date.UTC(
+    now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hourly ? now.getUTCHours() : task.hour, task.minute
+  ));
+
+  if (next <= now) {
+    if (hourly) {
+      next.setUTCHours(next.getUTCHours() + 1);
+    } else {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+  }
+  return next;
+}
+
+/**
+ * Scheduler state for this process
+ */
+const state = {
+  backend: null, // 'bullmq' | 'timers' while started
+  queue: null,
+  worker: null,
+  timers: new Map(), // task name -> Timeout
+  running: new Set(), // task names currently running here
+  lastRuns: new Map() // task name -> run, fallback when run history can't be read
+};
+
+/**
+ * Store a run in scheduled_task_runs (non-fatal on failure)
+ * @private
+ */
+async function recordRun(run) {
+  const { error } = await supabase
+    .from('scheduled_task_runs')
+    .insert({
+      task_name: run.task,
+      status: run.status,
+      started_at: run.startedAt,
+      finished_at: run.finishedAt,
+      duration_ms: run.durationMs,
+      result: run.result,
+      error_message: run.error,
+      instance: os.hostname()
+    });
+
+  if (error) {
+    logger.warn('[Scheduler] Failed to record task run', { task: run.task, error: error.message });
+  }
+}
+
+/**
+ * Run a scheduled task now and record the outcome
+ *
+ * @param {string} name - Key of SCHEDULED_TASKS
+ * @returns {Promise<Object|null>} { task, status, startedAt, finishedAt, durationMs, result, error },
+ *   or null when the task is already running in this process
+ */
+export async function runTask(name) {
+  const task = SCHEDULED_TASKS[name];
+  if (!task) {
+    throw new Error(`Unknown scheduled task: ${name}`);
+  }
+
+  if (state.running.has(name)) {
+    logger.warn('[Scheduler] Task still running, skipping this run', { task: name });
+    return null;
+  }
+
+  state.running.add(name);
+  const startedAt = new Date();
+  let run;
+
+  try {
+    const result = await task.run();
+    run = { task: name, status: 'success', result, error: null };
+    logger.info('[Scheduler] Task completed', { task: name, result });
+  } catch (error) {
+    run = { task: name, status: 'failed', result: null, error: error.message };
+    logger.error('[Scheduler] Task failed', { task: name, error: error.message });
+  } finally {
+    state.running.delete(name);
+  }
+
+  const finishedAt = new Date();
+  Object.assign(run, {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt
+  });
+
+  state.lastRuns.set(name, run);
+  await recordRun(run);
+
+  return run;
+}
+
+/**
+ * Arm the timer for a task's next run (timer backend)
+ * @private
+ */
+function scheduleTimer(name) {
+  const delay = getNextRunTime(SCHEDULED_TASKS[name]).getTime() - Date.now();
+
+  const timer = setTimeout(async () => {
+    await runTask(name);
+    if (state.backend === 'timers') {
+      scheduleTimer(name);
+    }
+  }, delay);
+
+  // Don't keep the process alive just for maintenance
+  timer.unref();
+  state.timers.set(name, timer);
+}
+
+/**
+ * Start the scheduler (no-op when disabled or already started)
+ *
+ * @returns {Promise<string|null>} Backend in use ('bullmq' or 'timers'), or null when disabled
+ */
+export async function startScheduler() {
+  if (!config.scheduler.enabled) {
+    logger.info('[Scheduler] Disabled (SCHEDULER_ENABLED=false)');
+    return null;
+  }
+
+  if (state.backend) {
+    return state.backend;
+  }
+
+  if (isRedisConfigured()) {
+    const connectionOptions = getQueueConnectionOptions();
+
+    state.queue = new Queue(SCHEDULER_QUEUE_NAME, {
+      ...connectionOptions,
+      defaultJobOptions: {
+        attempts: 1, // The next scheduled run is the retry
+        removeOnComplete: { count: 50 },
+        removeOnFail: { count: 50 }
+      }
+    });
+
+    // Upserts are idempotent, so every instance can register the schedulers
+    for (const [name, task] of Object.entries(SCHEDULED_TASKS)) {
+      await state.queue.upsertJobScheduler(
+        name,
+        { pattern: getCronPattern(task), tz: 'UTC' },
+        { name, data: {} }
+      );
+    }
+
+    state.worker = new Worker(SCHEDULER_QUEUE_NAME, async (job) => {
+      const run = await runTask(job.name);
+      if (run?.status === 'failed') {
+        throw new Error(run.error);
+      }
+      return run?.result ?? null;
+    }, { ...connectionOptions, concurrency: 1 });
+
+    state.worker.on('error', (error) => {
+      logger.error('[Scheduler] Worker error', { error: error.message });
+    });
+
+    state.backend = 'bullmq';
+  } else {
+    for (const name of Object.keys(SCHEDULED_TASKS)) {
+      scheduleTimer(name);
+    }
+    state.backend = 'timers';
+  }
+
+  logger.info('[Scheduler] Started', { backend: state.backend, tasks: Object.keys(SCHEDULED_TASKS) });
+  return state.backend;
+}
+
+/**
+ * Stop the scheduler (BullMQ job schedulers stay registered in Redis)
+ * @returns {Promise<void>}
+ */
+export async function stopScheduler() {
+  for (const timer of state.timers.values()) {
+    clearTimeout(timer);
+  }
+  state.timers.clear();
+
+  await Promise.all([state.worker?.close(), state.queue?.close()]);
+
+  state.worker = null;
+  state.queue = null;
+  state.backend = null;
+}
+
+/**
+ * Latest recorded run of a task
+ * @private
+ */
+async function getLastRun(name) {
+  const { data, error } = await supabase
+    .from('scheduled_task_runs')
+    .select('task_name, status, started_at, finished_at, duration_ms, result, error_message, instance')
+    .eq('task_name', name)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logger.warn('[Scheduler] Failed to read run history', { task: name, error: error.message });
+    return state.lastRuns.get(name) || null;
+  }
+
+  const row = data?.[0];
+  if (!row) {
+    return null;
+  }
+
+  return {
+    task: row.task_name,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    result: row.result,
+    error: row.error_message,
+    instance: row.instance
+  };
+}
+
+/**
+ * Schedule, next run and last run outcome of every task
+ *
+ * @returns {Promise<{enabled: boolean, backend: string|null, tasks: Array}>}
+ */
+export async function getSchedulerStatus() {
+  const now = new Date();
+
+  const tasks = await Promise.all(Object.entries(SCHEDULED_TASKS).map(async ([name, task]) => ({
+    name,
+    description: task.description,
+    schedule: `${getCronPattern(task)} (UTC)`,
+    nextRunAt: config.scheduler.enabled ? getNextRunTime(task, now).toISOString() : null,
+    running: state.running.has(name),
+    lastRun: await getLastRun(name)
+  })));
+
+  return {
+    enabled: config.scheduler.enabled,
+    backend: state.backend,
+    tasks
+  };
+}
+
+export default {
+  SCHEDULER_QUEUE_NAME,
+  SCHEDULED_TASKS,
+  rollUpDailyCosts,
+  cleanUpContextCache,
+  pruneExpiredData,
+  getCronPattern,
+  getNextRunTime,
+  runTask,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus
+};
@@ -1,48 +1,155 @@
 /**
- * Simple In-Memory Job Queue
+ * Simple Local Job Queue
  *
- * Lightweight in-memory queue implementation for development without Redis.
- * Provides same API as BullMQ for easy migration to BullMQ+Redis in production.
+ * Lightweight queue for development and self-hosted deployments without Redis.
+ * Provides the subset of the BullMQ API used by lib/queue.js and the workers,
+ * so switching to BullMQ+Redis only requires setting REDIS_URL.
+ *
+ * FEATURES:
+ * - Persistence: every job change is appended to <dataDir>/<queue>.jsonl and
+ *   replayed on startup; jobs that were active when the process died are
+ *   moved back to waiting (or failed once they stall twice, like BullMQ)
+ * - Retries: `attempts` with fixed or exponential `backoff`
+ * - Delays and priorities (`delay`, `priority` - lower number runs first,
+ *   jobs without a priority run before prioritized ones, as in BullMQ)
+ * - Retention: `removeOnComplete` / `removeOnFail` (true, count or { age, count })
  *
  * LIMITATIONS:
- * - Jobs lost on server restart (no persistence)
- * - Single-process only (no distributed workers)
- * - No advanced features (priority, repeat, rate limiting)
+ * - Single-process only (no distributed workers, one process per data directory)
+ * - No repeatable jobs or rate limiting
  *
- * FOR PRODUCTION: Replace with BullMQ + Redis for persistence and scalability.
+ * FOR PRODUCTION: Use BullMQ + Redis for multi-instance scalability.
  *
  * @module lib/simpleQueue
  */
 
 import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+// Rewrite the journal once it holds this many more lines than live jobs
+const COMPACT_THRESHOLD = 1000;
+
+// Stalled (crashed while active) this many times => failed, matches BullMQ maxStalledCount
+const MAX_STALLED_COUNT = 1;
+
+/**
+ * Compute the retry delay for an attempt
+ *
+ * @param {number|Object} backoff - Delay in ms or { type: 'fixed'|'exponential', delay }
+ * @param {number} attemptsMade - Attempts made so far (>= 1)
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(backoff, attemptsMade) {
+  if (!backoff) {
+    return 0;
+  }
+  if (typeof backoff === 'number') {
+    return backoff;
+  }
+  if (backoff.type === 'exponential') {
+    return Math.round(Math.pow(2, attemptsMade - 1) * (backoff.delay || 0));
+  }
+  return backoff.delay || 0;
+}
 
 /**
  * Simple Job class
  */
 class SimpleJob {
-  constructor(id, queueName, jobType, data, options = {}) {
+  constructor(id, queueName, jobType, data, options = {}, queue = null) {
     this.id = id;
     this.queueName = queueName;
     this.jobType = jobType;
+    this.name = jobType; // BullMQ name for the job type
     this.data = data;
     this.options = options;
+    this.opts = options; // BullMQ alias
 
     this.state = 'waiting'; // waiting, active, completed, failed, delayed
     this.progress = 0;
     this.returnvalue = null;
     this.failedReason = null;
+    this.stacktrace = [];
     this.attemptsMade = 0;
+    this.stalledCounter = 0;
     this.timestamp = Date.now();
+    this.delayUntil = null;
     this.processedOn = null;
     this.finishedOn = null;
+    this.seq = 0;
+
+    Object.defineProperty(this, 'queue', { value: queue, writable: true, enumerable: false });
   }
 
   async getState() {
     return this.state;
   }
 
-  updateProgress(progress) {
+  async updateProgress(progress) {
     this.progress = progress;
+    this.queue?._save(this);
+    this.queue?.emit('progress', this, progress);
+  }
+
+  /**
+   * Replace the job's data (BullMQ updateData)
+   */
+  async updateData(data) {
+    this.data = data;
+    this.queue?._save(this);
+  }
+
+  isCompleted() {
+    return Promise.resolve(this.state === 'completed');
+  }
+
+  isFailed() {
+    return Promise.resolve(this.state === 'failed');
+  }
+
+  /**
+   * Move a failed (or completed) job back to waiting
+   */
+  async retry(state = 'failed') {
+    return this.queue._retryJob(this, state);
+  }
+
+  /**
+   * Remove the job (active jobs can't be removed)
+   */
+  async remove() {
+    return this.queue._removeJob(this);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      queueName: this.queueName,
+      jobType: this.jobType,
+      data: this.data,
+      options: this.options,
+      state: this.state,
+      progress: this.progress,
+      returnvalue: this.returnvalue,
+      failedReason: this.failedReason,
+      stacktrace: this.stacktrace,
+      attemptsMade: this.attemptsMade,
+      stalledCounter: this.stalledCounter,
+      timestamp: this.timestamp,
+      delayUntil: this.delayUntil,
+      processedOn: this.processedOn,
+      finishedOn: this.finishedOn,
+      seq: this.seq
+    };
+  }
+
+  static fromJSON(record, queue) {
+    const job = new SimpleJob(record.id, record.queueName, record.jobType, record.data, record.options, queue);
+    Object.assign(job, record);
+    job.opts = job.options;
+    job.name = job.jobType;
+    return job;
   }
 }
 
@@ -50,35 +157,67 @@ class SimpleJob {
  * Simple Queue class
  */
 export class SimpleQueue extends EventEmitter {
+  /**
+   * @param {string} name - Queue name
+   * @param {Object} [options]
+   * @param {Object} [options.defaultJobOptions] - Merged into every job's options
+   * @param {string|null} [options.dataDir] - Journal directory (null = in-memory only)
+   * @param {number} [options.concurrency=1] - Jobs processed in parallel
+   */
   constructor(name, options = {}) {
     super();
     this.name = name;
     this.options = options;
+    this.defaultJobOptions = options.defaultJobOptions || {};
+    this.concurrency = options.concurrency || 1;
     this.jobs = new Map(); // jobId -> SimpleJob
-    this.waitingJobs = []; // Array of job IDs in waiting state
     this.activeJobs = new Set(); // Set of job IDs currently processing
-    this.completedJobs = []; // Array of completed job IDs
-    this.failedJobs = []; // Array of failed job IDs
     this.processor = null; // Job processor function
-
-    console.log(`[SimpleQueue] Initialized queue: ${name} (in-memory)`);
+    this.closed = false;
+    this.delayTimer = null;
+    this.seq = 0;
+
+    this.journalPath = options.dataDir ? path.join(options.dataDir, `${name}.jsonl`) : null;
+    this.journalLines = 0;
+
+    if (this.journalPath) {
+      this._load();
+      console.log(`[SimpleQueue] Initialized queue: ${name} (persistent: ${this.journalPath}, ${this.jobs.size} jobs restored)`);
+    } else {
+      console.log(`[SimpleQueue] Initialized queue: ${name} (in-memory)`);
+    }
   }
 
   /**
    * Add a job to the queue
+   *
+   * Adding a jobId that already exists returns the existing job (as BullMQ does).
    */
   async add(jobType, data, options = {}) {
-    const jobId = options.jobId || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const jobOptions = { ...this.defaultJobOptions, ...options };
+    const jobId = jobOptions.jobId || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    const job = new SimpleJob(jobId, this.name, jobType, data, options);
-    this.jobs.set(jobId, job);
-    this.waitingJobs.push(jobId);
+    if (this.jobs.has(jobId)) {
+      return this.jobs.get(jobId);
+    }
 
-    this.emit('waiting', jobId);
+    const job = new SimpleJob(jobId, this.name, jobType, data, jobOptions, this);
+    job.seq = ++this.seq;
 
-    // Auto-process if processor is registered
-    if (this.processor) {
-      setImmediate(() => this._processNext());
+    if (jobOptions.delay > 0) {
+      job.state = 'delayed';
+      job.delayUntil = job.timestamp + jobOptions.delay;
+    }
+
+    this.jobs.set(jobId, job);
+    this._save(job);
+
+    if (job.state === 'delayed') {
+      this.emit('delayed', jobId);
+      this._scheduleDelayed();
+    } else {
+      this.emit('waiting', jobId);
+      this._kick();
     }
 
     return job;
@@ -90,57 +229,357 @@ export class SimpleQueue extends EventEmitter {
   process(processorFn) {
     this.processor = processorFn;
 
-    // Start processing any waiting jobs
-    setImmediate(() => this._processNext());
+    // Start processing any waiting (or recovered) jobs
+    this._scheduleDelayed();
+    this._kick();
+  }
+
+  /**
+   * Schedule processing on the next tick
+   * @private
+   */
+  _kick() {
+    if (this.processor && !this.closed) {
+      setImmediate(() => this._processNext());
+    }
+  }
+
+  /**
+   * Pick the next waiting job: unprioritized first, then lowest priority number, FIFO within each
+   * @private
+   */
+  _nextWaitingJob() {
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (job.state !== 'waiting') continue;
+      if (!next || this._compareJobs(job, next) < 0) {
+        next = job;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * @private
+   */
+  _compareJobs(a, b) {
+    const priorityA = a.options.priority || 0;
+    const priorityB = b.options.priority || 0;
+    if (priorityA !== priorityB) {
+      return priorityA - priorityB;
+    }
+    return a.seq - b.seq;
   }
 
   /**
    * Process next job in queue
    */
   async _processNext() {
-    if (this.waitingJobs.length === 0 || !this.processor) {
+    if (!this.processor || this.closed || this.activeJobs.size >= this.concurrency) {
       return;
     }
 
-    const jobId = this.waitingJobs.shift();
-    const job = this.jobs.get(jobId);
-
+    const job = this._nextWaitingJob();
     if (!job) {
       return;
     }
 
     job.state = 'active';
     job.processedOn = Date.now();
-    this.activeJobs.add(jobId);
+    this.activeJobs.add(job.id);
+    this._save(job);
+    this.emit('active', job);
+
+    // Fill remaining concurrency slots
+    this._kick();
 
     try {
       const result = await this.processor(job);
 
+      job.attemptsMade++;
       job.state = 'completed';
-      job.returnvalue = result;
+      job.returnvalue = result === undefined ? null : result;
       job.finishedOn = Date.now();
-      this.activeJobs.delete(jobId);
-      this.completedJobs.push(jobId);
+      this.activeJobs.delete(job.id);
+      this._save(job);
 
       this.emit('completed', job, result);
+      this._applyRetention('completed', job.options.removeOnComplete);
     } catch (error) {
-      job.state = 'failed';
-      job.failedReason = error.message;
-      job.finishedOn = Date.now();
       job.attemptsMade++;
-      this.activeJobs.delete(jobId);
-      this.failedJobs.push(jobId);
+      job.failedReason = error.message;
+      job.stacktrace = [...job.stacktrace, error.stack].filter(Boolean).slice(-5);
+      this.activeJobs.delete(job.id);
+
+      // Cancelled jobs are never retried
+      const attempts = job.data?.cancelRequested ? 0 : (job.options.attempts || 1);
+      if (job.attemptsMade < attempts && this.jobs.has(job.id)) {
+        const delay = getBackoffDelay(job.options.backoff, job.attemptsMade);
+        job.state = delay > 0 ? 'delayed' : 'waiting';
+        job.delayUntil = delay > 0 ? Date.now() + delay : null;
+        this._save(job);
+
+        console.warn(`[SimpleQueue:${this.name}] Job ${job.id} failed (attempt ${job.attemptsMade}/${attempts}), retrying in ${delay}ms:`, error.message);
+        this.emit('failed', job, error);
+        this._scheduleDelayed();
+      } else {
+        job.state = 'failed';
+        job.finishedOn = Date.now();
+        this._save(job);
+
+        this.emit('failed', job, error);
+        this.emit('error', error);
+
+        console.error(`[SimpleQueue:${this.name}] Job ${job.id} failed:`, error.message);
+        this._applyRetention('failed', job.options.removeOnFail);
+      }
+    }
 
-      this.emit('failed', job, error);
-      this.emit('error', error);
+    // Process next job
+    this._kick();
+  }
 
-      console.error(`[SimpleQueue:${this.name}] Job ${jobId} failed:`, error.message);
+  /**
+   * Promote delayed jobs that are due and arm a timer for the next one
+   * @private
+   */
+  _scheduleDelayed() {
+    if (this.delayTimer) {
+      clearTimeout(this.delayTimer);
+      this.delayTimer = null;
+    }
+    if (this.closed) {
+      return;
     }
 
-    // Process next job
-    setImmediate(() => this._processNext());
+    const now = Date.now();
+    let nextDue = null;
+
+    for (const job of this.jobs.values()) {
+      if (job.state !== 'delayed') continue;
+
+      if (job.delayUntil <= now) {
+        job.state = 'waiting';
+        job.delayUntil = null;
+        this._save(job);
+        this.emit('waiting', job.id);
+      } else if (nextDue === null || job.delayUntil < nextDue) {
+        nextDue = job.delayUntil;
+      }
+    }
+
+    if (nextDue !== null) {
+      this.delayTimer = setTimeout(() => this._scheduleDelayed(), nextDue - now);
+      this.delayTimer.unref?.();
+    }
+
+    this._kick();
+  }
+
+  /**
+   * Enforce removeOnComplete / removeOnFail for a finished state
+   * @private
+   */
+  _applyRetention(state, retention) {
+    if (!retention) {
+      return;
+    }
+
+    const finished = [...this.jobs.values()]
+      .filter(job => job.state === state)
+      .sort((a, b) => b.finishedOn - a.finishedOn || b.seq - a.seq); // newest first
+
+    let keep;
+    if (retention === true) {
+      keep = () => false;
+    } else if (typeof retention === 'number') {
+      keep = (job, index) => index < retention;
+    } else {
+      const maxAgeMs = retention.age ? retention.age * 1000 : Infinity;
+      const maxCount = retention.count ?? Infinity;
+      const now = Date.now();
+      keep = (job, index) => index < maxCount && now - job.finishedOn <= maxAgeMs;
+    }
+
+    finished.forEach((job, index) => {
+      if (!keep(job, index)) {
+        this.jobs.delete(job.id);
+        this._append({ op: 'remove', id: job.id });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _retryJob(job, state = 'failed') {
+    if (job.state !== state) {
+      throw new Error(`Job ${job.id} is not in the ${state} state`);
+    }
+
+    job.state = 'waiting';
+    job.attemptsMade = 0;
+    job.failedReason = null;
+    job.returnvalue = null;
+    job.finishedOn = null;
+    job.processedOn = null;
+    job.seq = ++this.seq;
+    this.jobs.set(job.id, job);
+    this._save(job);
+
+    this.emit('waiting', job.id);
+    this._kick();
+  }
+
+  /**
+   * @private
+   */
+  async _removeJob(job) {
+    if (job.state === 'active') {
+      throw new Error(`Job ${job.id} is active and cannot be removed`);
+    }
+
+    this.jobs.delete(job.id);
+    this._append({ op: 'remove', id: job.id });
+    this.emit('removed', job);
+  }
+
+  /**
+   * Move failed (or completed) jobs back to waiting (BullMQ retryJobs)
+   *
+   * @param {Object} [options]
+   * @param {string} [options.state='failed']
+   * @param {number} [options.count] - Max jobs to retry (default: all)
+   * @returns {Promise<number>} Jobs retried
+   */
+  async retryJobs({ state = 'failed', count } = {}) {
+    const jobs = [...this.jobs.values()].filter(job => job.state === state).slice(0, count || undefined);
+    for (const job of jobs) {
+      await this._retryJob(job, state);
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Remove finished jobs older than a grace period (BullMQ clean)
+   *
+   * @param {number} grace - Keep jobs finished within this many ms
+   * @param {number} [limit=0] - Max jobs to remove (0 = no limit)
+   * @param {string} [type='completed'] - State to clean
+   * @returns {Promise<string[]>} Removed job IDs
+   */
+  async clean(grace, limit = 0, type = 'completed') {
+    const cutoff = Date.now() - grace;
+    const jobs = [...this.jobs.values()]
+      .filter(job => job.state === type && (job.finishedOn || job.timestamp) <= cutoff)
+      .slice(0, limit > 0 ? limit : undefined);
+
+    for (const job of jobs) {
+      await this._removeJob(job);
+    }
+    return jobs.map(job => job.id);
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  /**
+   * Append a job snapshot to the journal
+   * @private
+   */
+  _save(job) {
+    if (this.jobs.has(job.id)) {
+      this._append({ op: 'put', job: job.toJSON() });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _append(record) {
+    if (!this.journalPath) {
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.journalPath, JSON.stringify(record) + '\n');
+      this.journalLines++;
+
+      if (this.journalLines > this.jobs.size + COMPACT_THRESHOLD) {
+        this._compact();
+      }
+    } catch (error) {
+      console.error(`[SimpleQueue:${this.name}] Failed to write journal:`, error.message);
+    }
   }
 
+  /**
+   * Rewrite the journal with one line per live job
+   * @private
+   */
+  _compact() {
+    const tmpPath = `${this.journalPath}.tmp`;
+    const lines = [...this.jobs.values()].map(job => JSON.stringify({ op: 'put', job: job.toJSON() }) + '\n');
+
+    fs.writeFileSync(tmpPath, lines.join(''));
+    fs.renameSync(tmpPath, this.journalPath);
+    this.journalLines = lines.length;
+  }
+
+  /**
+   * Replay the journal and recover jobs interrupted mid-processing
+   * @private
+   */
+  _load() {
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+
+    if (!fs.existsSync(this.journalPath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.journalPath, 'utf-8').split('\n').filter(Boolean);
+
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        console.warn(`[SimpleQueue:${this.name}] Skipping corrupt journal line`);
+        continue;
+      }
+
+      if (record.op === 'remove') {
+        this.jobs.delete(record.id);
+      } else if (record.op === 'put') {
+        this.jobs.set(record.job.id, SimpleJob.fromJSON(record.job, this));
+        this.seq = Math.max(this.seq, record.job.seq || 0);
+      }
+    }
+
+    for (const job of this.jobs.values()) {
+      if (job.state !== 'active') continue;
+
+      job.stalledCounter++;
+      if (job.stalledCounter > MAX_STALLED_COUNT) {
+        job.state = 'failed';
+        job.failedReason = 'job stalled more than allowable limit';
+        job.finishedOn = Date.now();
+        console.error(`[SimpleQueue:${this.name}] Job ${job.id} stalled too many times - marked failed`);
+      } else {
+        job.state = 'waiting';
+        console.warn(`[SimpleQueue:${this.name}] Recovered stalled job ${job.id}`);
+      }
+    }
+
+    this._compact();
+  }
+
+  // ============================================
+  // BULLMQ-COMPATIBLE QUERIES
+  // ============================================
+
   /**
    * Get job by ID
    */
@@ -148,11 +587,43 @@ export class SimpleQueue extends EventEmitter {
     return this.jobs.get(jobId) || null;
   }
 
+  /**
+   * Get jobs in the given states (newest first, like BullMQ)
+   *
+   * @param {string|string[]} [types] - States to include (default: all)
+   * @param {number} [start=0]
+   * @param {number} [end=-1] - Inclusive end index, -1 for all
+   * @returns {Promise<SimpleJob[]>}
+   */
+  async getJobs(types = ['waiting', 'active', 'completed', 'failed', 'delayed'], start = 0, end = -1) {
+    const states = new Set(Array.isArray(types) ? types : [types]);
+    const jobs = [...this.jobs.values()]
+      .filter(job => states.has(job.state))
+      .sort((a, b) => b.timestamp - a.timestamp || b.seq - a.seq);
+
+    return jobs.slice(start, end === -1 ? undefined : end + 1);
+  }
+
+  /**
+   * Get counts per state
+   */
+  async getJobCounts(...types) {
+    const states = types.length > 0 ? types : ['waiting', 'active', 'completed', 'failed', 'delayed'];
+    const counts = Object.fromEntries(states.map(state => [state, 0]));
+
+    for (const job of this.jobs.values()) {
+      if (job.state in counts) {
+        counts[job.state]++;
+      }
+    }
+    return counts;
+  }
+
   /**
    * Get queue statistics
    */
   async getWaitingCount() {
-    return this.waitingJobs.length;
+    return (await this.getJobCounts('waiting')).waiting;
   }
 
   async getActiveCount() {
@@ -160,22 +631,27 @@ export class SimpleQueue extends EventEmitter {
   }
 
   async getCompletedCount() {
-    return this.completedJobs.length;
+    return (await this.getJobCounts('completed')).completed;
   }
 
   async getFailedCount() {
-    return this.failedJobs.length;
+    return (await this.getJobCounts('failed')).failed;
   }
 
   async getDelayedCount() {
-    return 0; // Not implemented in simple queue
+    return (await this.getJobCounts('delayed')).delayed;
   }
 
   /**
-   * Close queue (no-op for in-memory)
+   * Close queue - stops picking up jobs; state is already on disk
    */
   async close() {
     console.log(`[SimpleQueue] Closing queue: ${this.name}`);
+    this.closed = true;
+    if (this.delayTimer) {
+      clearTimeout(this.delayTimer);
+      this.delayTimer = null;
+    }
     this.removeAllListeners();
   }
 }
@@ -215,4 +691,5 @@ export class SimpleWorker extends EventEmitter {
 export default {
   SimpleQueue,
   SimpleWorker,
+  getBackoffDelay,
 };
@@ -0,0 +1,74 @@
+/**
+ * Slack Notifier Module
+ *
+ * Posts operational alerts (AI budget warnings, ...) to a Slack incoming
+ * webhook. Configure SLACK_ALERTS_WEBHOOK_URL; without it messages are only
+ * logged. Never throws - alerting must not break the code path that raised it.
+ *
+ * @module lib/slackNotifier
+ */
+
+import logger from '../utils/logger.js';
+
+const SLACK_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a Slack webhook is configured
+ * @returns {boolean}
+ */
+export function isSlackConfigured() {
+  return !!process.env.SLACK_ALERTS_WEBHOOK_URL;
+}
+
+/**
+ * Post a message to the alerts channel
+ *
+ * @param {Object} message
+ * @param {string} message.text - Plain text (also the notification preview)
+ * @param {Object<string, string|number>} [message.fields] - Key/value details shown below the text
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendSlackMessage({ text, fields = {} }) {
+  const webhookUrl = process.env.SLACK_ALERTS_WEBHOOK_URL;
+
+  if (!webhookUrl) {
+    logger.info('[SlackNotifier] Webhook not configured, alert logged only', { text, fields });
+    return { success: false, error: 'Slack webhook not configured' };
+  }
+
+  const entries = Object.entries(fields);
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text } }];
+
+  if (entries.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: entries.slice(0, 10).map(([label, value]) => ({
+        type: 'mrkdwn',
+        text: `*${label}*\n${value}`
+      }))
+    });
+  }
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, blocks }),
+      signal: AbortSignal.timeout(SLACK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack webhook responded ${response.status}`);
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('[SlackNotifier] Failed to post alert', { error: error.message, text });
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  isSlackConfigured,
+  sendSlackMessage
+};
@@ -0,0 +1,56 @@
+/**
+ * Stripe Client Module
+ *
+ * Shared Stripe SDK instance for payment routes and webhook processing.
+ * `stripe` is null when STRIPE_SECRET_KEY is not set, so the server can
+ * start without payments configured.
+ *
+ * STRIPE_API_BASE points the SDK at stripe-mock or a local fake Stripe
+ * server (e.g. http://localhost:12111) instead of api.stripe.com.
+ *
+ * @module lib/stripeClient
+ */
+
+import Stripe from 'stripe';
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE;
+
+export const STRIPE_API_VERSION = '2024-10-28.acacia';
+
+/**
+ * SDK host options for an API base URL override
+ * @param {string} [apiBase] - e.g. http://localhost:12111
+ * @returns {Object} host, port and protocol, or {} for api.stripe.com
+ */
+export function apiBaseOptions(apiBase) {
+  if (!apiBase) {
+    return {};
+  }
+
+  const url = new URL(apiBase);
+  const protocol = url.protocol.replace(':', '');
+
+  return {
+    host: url.hostname,
+    port: url.port || (protocol === 'http' ? 80 : 443),
+    protocol
+  };
+}
+
+export const stripe = STRIPE_SECRET_KEY
+  ? new Stripe(STRIPE_SECRET_KEY, {
+    apiVersion: STRIPE_API_VERSION,
+    ...apiBaseOptions(STRIPE_API_BASE)
+  })
+  : null;
+
+/**
+ * Whether a Stripe secret key is configured
+ * @returns {boolean}
+ */
+export function isStripeConfigured() {
+  return stripe !== null;
+}
+
+export default stripe;
@@ -0,0 +1,166 @@
+/**
+ * URL Guard Module
+ *
+ * Keeps server-side fetches of user-supplied URLs (website extraction in
+ * lib/browserPool.js) on the public internet. Only http and https URLs are
+ * allowed, and the host is resolved so names pointing at private, loopback,
+ * link-local or cloud metadata (169.254.169.254) addresses are refused too.
+ *
+ * @module lib/urlGuard
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * IPv4 ranges that are not publicly routable
+ */
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+];
+
+/**
+ * @private
+ */
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * @private
+ */
+function isPrivateIPv4(ip) {
+  const value = ipv4ToNumber(ip);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+  });
+}
+
+/**
+ * @private
+ */
+function isPrivateIPv6(ip) {
+  const address = ip.toLowerCase();
+
+  // IPv4-mapped (::ffff:10.0.0.1) and IPv4-compatible forms
+  const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  if (address === '::' || address === '::1') {
+    return true;
+  }
+
+  const firstGroup = parseInt(address.split(':')[0] || '0', 16);
+  return (
+    (firstGroup & 0xfe00) === 0xfc00 || // unique local fc00::/7
+    (firstGroup & 0xffc0) === 0xfe80 || // link-local fe80::/10
+    (firstGroup & 0xff00) === 0xff00 // multicast ff00::/8
+  );
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise
+ * not publicly routable
+ *
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses (and anything that isn't an IP)
+ */
+export function isPrivateAddress(ip) {
+  switch (net.isIP(ip)) {
+    case 4:
+      return isPrivateIPv4(ip);
+    case 6:
+      return isPrivateIPv6(ip);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Resolve a hostname and check every address it resolves to
+ *
+ * @param {string} hostname - Host name or IP literal (IPv6 with or without brackets)
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - Replaces dns.promises.lookup (tests)
+ * @returns {Promise<boolean>} True if the host only resolves to public addresses
+ */
+export async function isPublicHost(hostname, { lookup = dns.promises.lookup } = {}) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host)) {
+    return !isPrivateAddress(host);
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return false;
+  }
+
+  return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+}
+
+/**
+ * Throw unless a URL is http(s) and its host resolves to public addresses only
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - Replaces dns.promises.lookup (tests)
+ * @returns {Promise<URL>} The parsed URL
+ * @throws {Error} statusCode 400 for invalid, non-http(s) or non-public URLs
+ */
+export async function assertPublicUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw urlError(`Invalid URL: ${url}`);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw urlError(`Refusing to navigate to ${parsed.protocol} URL`);
+  }
+
+  if (!(await isPublicHost(parsed.hostname, options))) {
+    throw urlError(`Refusing to navigate to ${parsed.hostname}: not a public address`);
+  }
+
+  return parsed;
+}
+
+/**
+ * @private
+ */
+function urlError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+export default {
+  isPrivateAddress,
+  isPublicHost,
+  assertPublicUrl
+};
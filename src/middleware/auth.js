@@ -1,11 +1,30 @@
 import authService from '../services/authService.js';
+import apiKeyService from '../services/apiKeyService.js';
 import { authenticateSupabaseJWT } from './supabaseAuth.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
+import { getRateLimitStore } from '../lib/rateLimitStore.js';
+
+// Read-only requests need the 'read' scope; everything else needs 'write'
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * 403 response for an API key without the required scope
+ * @private
+ */
+const insufficientScope = (res, scope, scopes) => res.status(403).json({
+  success: false,
+  error: 'Insufficient API key scope',
+  required: scope,
+  scopes: scopes || []
+});
 
 /**
  * API Key Authentication Middleware
- * Validates API keys for external integrations
+ * Validates database-backed API keys for external integrations.
+ * The key's scopes are attached to req.auth. GET/HEAD/OPTIONS requests need
+ * the 'read' scope and all other methods the 'write' scope; export routes
+ * also require 'export' (requireApiKeyScope).
  */
 export const authenticateApiKey = async (req, res, next) => {
   try {
@@ -19,7 +38,7 @@ export const authenticateApiKey = async (req, res, next) => {
       });
     }
 
-    const validation = authService.validateApiKey(apiKey);
+    const validation = await apiKeyService.verifyKey(apiKey);
 
     if (!validation.valid) {
       return res.status(401).json({
@@ -32,10 +51,19 @@ export const authenticateApiKey = async (req, res, next) => {
     // Add customer info to request
     req.auth = {
       customerId: validation.customerId,
+      userId: validation.customerId,
       method: 'api-key',
+      apiKeyId: validation.keyId,
+      scopes: validation.scopes,
       generatedAt: validation.generatedAt
     };
 
+    const requiredScope = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    if (!validation.scopes?.includes(requiredScope)) {
+      logger.warn(`API key ${validation.keyId} lacks the ${requiredScope} scope for ${req.method} ${req.originalUrl}`);
+      return insufficientScope(res, requiredScope, validation.scopes);
+    }
+
     logger.info(`API key authenticated for customer ${validation.customerId}`);
     next();
   } catch (error) {
@@ -79,7 +107,8 @@ export const authenticateMulti = async (req, res, next) => {
 
 /**
  * Permission Check Middleware Factory
- * Creates middleware that checks for specific permissions
+ * Creates middleware that checks for specific permissions.
+ * API key requests also need the permission in the key's scopes.
  */
 export const requirePermission = (permission) => {
   return async (req, res, next) => {
@@ -101,6 +130,10 @@ export const requirePermission = (permission) => {
         });
       }
 
+      if (req.auth.method === 'api-key' && !req.auth.scopes?.includes(permission)) {
+        return insufficientScope(res, permission, req.auth.scopes);
+      }
+
       next();
     } catch (error) {
       logger.error(`Permission check error: ${error.message}`);
@@ -112,6 +145,20 @@ export const requirePermission = (permission) => {
   };
 };
 
+/**
+ * API Key Scope Middleware Factory
+ * Requires an API key request to carry the given scope. Supabase JWT
+ * requests are not scoped and pass through.
+ */
+export const requireApiKeyScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth?.method === 'api-key' && !req.auth.scopes?.includes(scope)) {
+      return insufficientScope(res, scope, req.auth.scopes);
+    }
+    next();
+  };
+};
+
 /**
  * Customer Context Middleware
  * Ensures the authenticated customer matches the requested customer
@@ -228,12 +275,14 @@ export const optionalAuth = async (req, res, next) => {
         };
       }
     } else if (apiKey) {
-      const validation = authService.validateApiKey(apiKey);
+      const validation = await apiKeyService.verifyKey(apiKey);
 
       if (validation.valid) {
         req.auth = {
           customerId: validation.customerId,
-          method: 'api-key'
+          method: 'api-key',
+          apiKeyId: validation.keyId,
+          scopes: validation.scopes
         };
       }
     }
@@ -249,56 +298,51 @@ export const optionalAuth = async (req, res, next) => {
 /**
  * Rate Limiting by Customer ID
  * Enhanced rate limiting that tracks by customer
+ * Counters live in the shared rate limit store (Redis when configured),
+ * so the limit holds across instances and restarts.
  * Bypassed in test environment to prevent test interference
+ *
+ * @param {number} maxRequests - Requests allowed per window
+ * @param {number} windowMs - Sliding window length
+ * @param {string} [scope] - Counter name (defaults to the matched route)
  */
-export const customerRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
+export const customerRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000, scope = null) => {
   // Bypass rate limiting in test environment
   if (process.env.NODE_ENV === 'test') {
     return (req, res, next) => next();
   }
 
-  const requestCounts = new Map();
-
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const customerId = req.auth?.customerId || req.ip;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-    
-    // Clean old entries
-    for (const [key, data] of requestCounts) {
-      if (data.resetTime < now) {
-        requestCounts.delete(key);
-      }
-    }
-    
-    // Get or create customer record
-    let customerData = requestCounts.get(customerId);
-    if (!customerData || customerData.resetTime < now) {
-      customerData = {
-        count: 0,
-        resetTime: now + windowMs
-      };
-      requestCounts.set(customerId, customerData);
+    const routeScope = scope || `${req.method}:${req.baseUrl}${req.route?.path || ''}`;
+    const key = `customer_limit:${routeScope}:${maxRequests}:${windowMs}:${customerId}`;
+
+    let usage;
+    try {
+      usage = await getRateLimitStore().consume(key, { limit: maxRequests, windowMs });
+    } catch (error) {
+      // Fail open - rate limiting must not take the API down
+      logger.error(`Customer rate limit error: ${error.message}`);
+      return next();
     }
-    
+
+    const resetTime = new Date(usage.resetTime || Date.now() + windowMs).toISOString();
+
     // Check limit
-    if (customerData.count >= maxRequests) {
+    if (!usage.allowed) {
       return res.status(429).json({
         success: false,
         error: 'Rate limit exceeded',
         details: `Maximum ${maxRequests} requests per ${windowMs / 1000} seconds`,
-        resetTime: new Date(customerData.resetTime).toISOString()
+        resetTime
       });
     }
-    
-    // Increment count
-    customerData.count++;
-    
+
     // Add headers
     res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', maxRequests - customerData.count);
-    res.setHeader('X-RateLimit-Reset', new Date(customerData.resetTime).toISOString());
-    
+    res.setHeader('X-RateLimit-Remaining', usage.remaining);
+    res.setHeader('X-RateLimit-Reset', resetTime);
+
     next();
   };
 };
@@ -308,6 +352,7 @@ export default {
   authenticateApiKey,
   authenticateMulti,
   requirePermission,
+  requireApiKeyScope,
   requireCustomerContext,
   optionalAuth,            // DEPRECATED - only used in 2 test endpoints, will be removed
   optionalSupabaseAuth,    // NEW - modern Supabase-based optional auth
@@ -92,6 +92,14 @@ const errorHandler = (err, req, res, next) => {
     errorResponse.details = err;
   }
 
+  // Machine-readable code and details for application errors (e.g. AI_BUDGET_EXCEEDED)
+  if (err.statusCode && err.code) {
+    errorResponse.code = err.code;
+  }
+  if (err.budget) {
+    errorResponse.budget = err.budget;
+  }
+
   // Include request ID if available
   if (req.id) {
     errorResponse.requestId = req.id;
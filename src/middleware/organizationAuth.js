@@ -0,0 +1,81 @@
+import organizationService from '../services/organizationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Organization Access Control Middleware
+ *
+ * Org-scoped routes (/api/organizations/:orgId/...) are authorized by the
+ * caller's membership role instead of requireCustomerContext's
+ * "own data only" check. Runs after authenticateMulti.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Require an active membership in req.params.orgId with at least `minimumRole`
+ * (owner > admin > manager > member).
+ *
+ * Sets req.organization (organization row) and req.membership ({ id, email, role }).
+ * Non-members get 404 so organization IDs can't be probed.
+ *
+ * @param {string} [minimumRole='member']
+ */
+export const requireOrganizationRole = (minimumRole = 'member') => {
+  return async (req, res, next) => {
+    const { orgId } = req.params;
+    const userId = req.auth?.customerId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!UUID_PATTERN.test(orgId || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    try {
+      const membership = await organizationService.getMembership(orgId, userId);
+
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          error: 'Organization not found'
+        });
+      }
+
+      if (!organizationService.hasRole(membership.role, minimumRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient organization role',
+          required: minimumRole,
+          role: membership.role
+        });
+      }
+
+      req.organization = membership.organization;
+      req.membership = {
+        id: userId,
+        email: req.auth.email || req.user?.email || null,
+        role: membership.role
+      };
+
+      next();
+    } catch (error) {
+      logger.error(`Organization access check error: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: 'Organization service error'
+      });
+    }
+  };
+};
+
+export default {
+  requireOrganizationRole
+};
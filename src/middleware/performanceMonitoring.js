@@ -322,6 +322,8 @@ export const getPerformanceMetrics = (minutes = 60) => {
  * @param {number} options.delayMs - Delay between retries in milliseconds (default: 1000)
  * @param {number} options.backoffMultiplier - Exponential backoff multiplier (default: 2)
  * @param {string} options.operationName - Name for logging purposes
+ * @param {Function} [options.shouldRetry] - Predicate deciding whether an error is retryable
+ *   (default: everything except 400/401/403)
  * @returns {Promise} Result of the operation
  *
  * @example
@@ -335,7 +337,8 @@ export const retryOperation = async (operation, options = {}) => {
     maxRetries = 3,
     delayMs = 1000,
     backoffMultiplier = 2,
-    operationName = 'operation'
+    operationName = 'operation',
+    shouldRetry = (error) => ![400, 401, 403].includes(error.statusCode)
   } = options;
 
   let lastError;
@@ -377,10 +380,10 @@ export const retryOperation = async (operation, options = {}) => {
       });
 
       // Don't retry on certain errors (e.g., validation errors)
-      if (error.statusCode === 400 || error.statusCode === 401 || error.statusCode === 403) {
+      if (!shouldRetry(error)) {
         logger.error('retry_aborted_non_retryable', {
           operation: operationName,
-          statusCode: error.statusCode,
+          statusCode: error.statusCode ?? error.status,
           error: error.message
         });
         throw error;
@@ -255,7 +255,22 @@ export const optionalSupabaseAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Accept the access token as a query parameter
+ * EventSource can't set an Authorization header, so SSE endpoints accept
+ * ?access_token=<jwt>. Use before authenticateSupabaseJWT, on streaming routes only.
+ */
+export const acceptQueryToken = (req, res, next) => {
+  const token = req.query.access_token;
+
+  if (!req.headers.authorization && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
 export default {
   authenticateSupabaseJWT,
-  optionalSupabaseAuth
+  optionalSupabaseAuth,
+  acceptQueryToken
 };
@@ -10,15 +10,16 @@
  * Each AI call costs ~$0.15-0.20, so this protects against cost runaway
  * while still allowing users to experience the product.
  *
+ * Counters live in the shared rate limit store (lib/rateLimitStore.js):
+ * Redis sliding windows when REDIS_URL is set, in-memory otherwise.
+ *
  * @module middleware/tierRateLimit
  */
 
 import logger from '../utils/logger.js';
 import { createClient } from '@supabase/supabase-js';
 import config from '../config/index.js';
-
-// In-memory store for rate limiting (use Redis in production for multi-instance)
-const rateLimitStore = new Map();
+import { getRateLimitStore } from '../lib/rateLimitStore.js';
 
 // Tier configuration
 const TIER_LIMITS = {
@@ -61,7 +62,7 @@ const TIER_LIMITS = {
  * @param {string|null} userId - User ID (null for anonymous)
  * @returns {Promise<string>} - Tier: 'anonymous', 'free', 'trial', or 'paid'
  */
-async function getUserTier(userId) {
+export async function getUserTier(userId) {
   if (!userId) {
     return 'anonymous';
   }
@@ -123,18 +124,6 @@ function getRateLimitKey(userId, ip, endpoint) {
   return `tier_limit:${endpoint}:${identifier}`;
 }
 
-/**
- * Clean expired entries from the store
- */
-function cleanExpiredEntries() {
-  const now = Date.now();
-  for (const [key, data] of rateLimitStore) {
-    if (data.resetTime < now) {
-      rateLimitStore.delete(key);
-    }
-  }
-}
-
 /**
  * Track AI call usage and update database for analytics
  * @param {string|null} userId - User ID
@@ -219,34 +208,25 @@ export const tierRateLimit = (endpointName, options = {}) => {
       const key = getRateLimitKey(userId, ip, endpointName);
       const now = Date.now();
 
-      // Clean expired entries periodically
-      if (Math.random() < 0.1) { // 10% chance to clean on each request
-        cleanExpiredEntries();
-      }
-
-      // Get or create usage record
-      let usage = rateLimitStore.get(key);
-      if (!usage || usage.resetTime < now) {
-        usage = {
-          count: 0,
-          resetTime: now + tierConfig.windowMs,
-          tier: tier
-        };
-        rateLimitStore.set(key, usage);
-      }
+      // Atomically record the call if the tier still has room in its window
+      const usage = await getRateLimitStore().consume(key, {
+        limit: tierConfig.maxCalls,
+        windowMs: tierConfig.windowMs
+      });
+      const resetTime = usage.resetTime || now + tierConfig.windowMs;
 
       // Add tier info to request for downstream use
       req.tierInfo = {
         tier,
         limit: tierConfig.maxCalls,
-        remaining: Math.max(0, tierConfig.maxCalls - usage.count),
-        resetTime: usage.resetTime,
+        remaining: usage.remaining,
+        resetTime,
         windowDescription: tierConfig.windowDescription
       };
 
       // Check if limit exceeded
-      if (usage.count >= tierConfig.maxCalls) {
-        const resetIn = Math.ceil((usage.resetTime - now) / 1000 / 60); // minutes
+      if (!usage.allowed) {
+        const resetIn = Math.ceil((resetTime - now) / 1000 / 60); // minutes
 
         logger.warn(`[Tier Rate Limit] ${tier} user hit limit on ${endpointName}`, {
           userId: userId || 'anonymous',
@@ -264,7 +244,7 @@ export const tierRateLimit = (endpointName, options = {}) => {
           limit: tierConfig.maxCalls,
           used: usage.count,
           resetIn: `${resetIn} minutes`,
-          resetTime: new Date(usage.resetTime).toISOString(),
+          resetTime: new Date(resetTime).toISOString(),
           // Upgrade prompt (for non-paid users)
           upgrade: tierConfig.upgradeMessage ? {
             message: tierConfig.upgradeMessage,
@@ -274,18 +254,14 @@ export const tierRateLimit = (endpointName, options = {}) => {
         });
       }
 
-      // Increment usage
-      usage.count++;
-      rateLimitStore.set(key, usage);
-
       // Track usage in database (async, non-blocking)
       trackAIUsage(userId, tier, endpointName);
 
       // Add rate limit headers
       res.setHeader('X-RateLimit-Tier', tier);
       res.setHeader('X-RateLimit-Limit', tierConfig.maxCalls);
-      res.setHeader('X-RateLimit-Remaining', tierConfig.maxCalls - usage.count);
-      res.setHeader('X-RateLimit-Reset', new Date(usage.resetTime).toISOString());
+      res.setHeader('X-RateLimit-Remaining', usage.remaining);
+      res.setHeader('X-RateLimit-Reset', new Date(resetTime).toISOString());
 
       logger.info(`[Tier Rate Limit] ${tier} user: ${usage.count}/${tierConfig.maxCalls} on ${endpointName}`, {
         userId: userId || 'anonymous',
@@ -314,26 +290,19 @@ export const getUsageInfo = async (userId, ip, endpoint) => {
   const tier = await getUserTier(userId);
   const tierConfig = TIER_LIMITS[tier];
   const key = getRateLimitKey(userId, ip, endpoint);
-  const usage = rateLimitStore.get(key);
-  const now = Date.now();
-
-  if (!usage || usage.resetTime < now) {
-    return {
-      tier,
-      limit: tierConfig.maxCalls,
-      used: 0,
-      remaining: tierConfig.maxCalls,
-      resetTime: null,
-      windowDescription: tierConfig.windowDescription
-    };
-  }
+
+  // Read-only lookup against the shared store, so every instance reports the same numbers
+  const usage = await getRateLimitStore().peek(key, {
+    limit: tierConfig.maxCalls,
+    windowMs: tierConfig.windowMs
+  });
 
   return {
     tier,
     limit: tierConfig.maxCalls,
     used: usage.count,
-    remaining: Math.max(0, tierConfig.maxCalls - usage.count),
-    resetTime: new Date(usage.resetTime).toISOString(),
+    remaining: usage.remaining,
+    resetTime: usage.resetTime ? new Date(usage.resetTime).toISOString() : null,
     windowDescription: tierConfig.windowDescription
   };
 };
@@ -341,5 +310,6 @@ export const getUsageInfo = async (userId, ip, endpoint) => {
 export default {
   tierRateLimit,
   getUsageInfo,
+  getUserTier,
   TIER_LIMITS
 };
@@ -1,4 +1,7 @@
 import Joi from 'joi';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { COST_INPUTS, SCENARIO_NAMES } from '../services/costOfInactionService.js';
+import { TEMPLATE_TYPES } from '../services/businessCaseTemplateService.js';
 
 // Customer ID validation schema
 // Updated for Supabase migration - only accepts UUID format
@@ -13,6 +16,50 @@ const customerIdSchema = Joi.string()
     'any.required': 'Customer ID is required'
   });
 
+// Cost of inaction analysis options (see services/costOfInactionService.js)
+const costInputRangeSchemas = Object.fromEntries(
+  Object.entries(COST_INPUTS).map(([name, bounds]) => [
+    name,
+    Joi.object({
+      min: Joi.number().min(bounds.min).max(bounds.max).required(),
+      max: Joi.number().min(Joi.ref('min')).max(bounds.max).required()
+        .messages({ 'number.min': `${name} range max must be greater than or equal to min` }),
+      mostLikely: Joi.number().min(Joi.ref('min')).max(Joi.ref('max'))
+        .messages({
+          'number.min': `${name} mostLikely must be within the range`,
+          'number.max': `${name} mostLikely must be within the range`
+        })
+    })
+  ])
+);
+
+const costInputOverrideSchemas = Object.fromEntries(
+  Object.entries(COST_INPUTS).map(([name, bounds]) => [name, Joi.number().min(bounds.min).max(bounds.max)])
+);
+
+// User-defined scenario: adjusts the base inputs and/or the overall multiplier
+const customCostScenarioSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  multiplier: Joi.number().min(0).max(10),
+  inputs: Joi.object(costInputOverrideSchemas),
+  investment: Joi.number().min(0).max(100000000),
+  benefitRate: Joi.number().min(0).max(5)
+});
+
+const costScenarioSchema = Joi.alternatives().try(
+  Joi.string().valid(...SCENARIO_NAMES),
+  customCostScenarioSchema
+);
+
+const costAnalysisFields = {
+  investment: Joi.number().min(0).max(100000000),
+  ranges: Joi.object(costInputRangeSchemas),
+  monteCarlo: Joi.object({
+    iterations: Joi.number().integer().min(100).max(10000).default(1000),
+    seed: Joi.number().integer().min(0).max(4294967295).default(42)
+  })
+};
+
 // Cost calculation validation schema
 const costCalculationSchema = Joi.object({
   customerId: customerIdSchema,
@@ -25,7 +72,9 @@ const costCalculationSchema = Joi.object({
   employeeCount: Joi.number().min(1).max(100000).required(),
   averageSalary: Joi.number().min(0).max(1000000).required(),
   marketShare: Joi.number().min(0).max(1).required(),
-  scenario: Joi.string().valid('conservative', 'realistic', 'aggressive').default('realistic')
+  scenario: costScenarioSchema.default('realistic'),
+  sensitivity: Joi.boolean().default(false),
+  ...costAnalysisFields
 });
 
 // Cost calculation save validation schema (for saving already-calculated results)
@@ -48,9 +97,11 @@ const costCalculationCompareSchema = Joi.object({
     averageSalary: Joi.number().min(0).max(1000000).required(),
     marketShare: Joi.number().min(0).max(1).required()
   }).required(),
-  scenarios: Joi.array().items(
-    Joi.string().valid('conservative', 'realistic', 'aggressive')
-  ).min(1).max(3).required()
+  scenarios: Joi.array().items(costScenarioSchema).min(1).max(10)
+    .unique((a, b) => (a.name || a) === (b.name || b))
+    .required()
+    .messages({ 'array.unique': 'Scenario names must be unique' }),
+  ...costAnalysisFields
 });
 
 // Authentication validation schemas
@@ -63,7 +114,19 @@ const authSchemas = {
   }),
 
   generateApiKey: Joi.object({
-    customerId: customerIdSchema
+    customerId: customerIdSchema.optional(),
+    name: Joi.string().trim().min(1).max(100).default('Default key'),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().optional(),
+    expiresAt: Joi.date().iso().greater('now').optional().messages({
+      'date.greater': 'expiresAt must be in the future'
+    })
+  }),
+
+  apiKeyId: Joi.object({
+    keyId: Joi.string().uuid().required().messages({
+      'string.guid': 'API key ID must be a valid UUID',
+      'any.required': 'API key ID is required'
+    })
   }),
 
   customerId: Joi.object({
@@ -85,7 +148,76 @@ const businessCaseSchema = Joi.object({
     industry: Joi.string().min(2).max(100).required(),
     companySize: Joi.string().min(2).max(100).required(),
     currentChallenges: Joi.array().items(Joi.string().min(5).max(500)).min(1).max(20).optional()
-  }).required()
+  }).required(),
+  templateId: Joi.string().max(64).optional(), // Default: the default template for the type
+  templateVersion: Joi.number().integer().min(1).optional() // Default: latest version
+});
+
+// Business case template content (see services/businessCaseTemplateService.js)
+const templateStringList = (max) => Joi.array().items(Joi.string().trim().min(1).max(500)).min(1).max(max);
+
+const templateContentFields = {
+  duration: Joi.string().trim().min(1).max(100),
+  investmentRange: Joi.string().trim().min(1).max(100),
+  sections: templateStringList(20),
+  keyPoints: templateStringList(20),
+  phases: Joi.array().items(Joi.object({
+    phase: Joi.string().trim().min(1).max(200).required(),
+    duration: Joi.string().trim().min(1).max(100).required(),
+    activities: templateStringList(20).required()
+  })).min(1).max(12),
+  risks: Joi.array().items(Joi.object({
+    risk: Joi.string().trim().min(1).max(500).required(),
+    mitigation: Joi.string().trim().min(1).max(1000).required(),
+    companySizes: Joi.array().items(Joi.string().trim().lowercase().max(100)).min(1) // Only for these company sizes
+  })).max(30),
+  overallRiskLevel: Joi.string().valid('Low', 'Medium', 'High'),
+  nextSteps: templateStringList(20),
+  roiAssumptions: Joi.object({
+    benefitMultiplier: Joi.number().min(0).max(100),
+    upsideFactor: Joi.number().min(1).max(10),
+    paybackPeriod: Joi.string().trim().min(1).max(100),
+    opportunityCostMultiplier: Joi.number().min(0).max(100),
+    investmentBreakdown: Joi.object().pattern(Joi.string().max(50), Joi.number().min(0).max(1)).min(1)
+      .custom((breakdown, helpers) => {
+        const total = Object.values(breakdown).reduce((sum, share) => sum + share, 0);
+        return Math.abs(total - 1) > 0.001 ? helpers.error('any.invalid') : breakdown;
+      })
+      .messages({ 'any.invalid': 'investmentBreakdown shares must add up to 1' }),
+    industryMultipliers: Joi.object().pattern(Joi.string().min(1).max(100), Joi.number().min(0).max(10)),
+    defaultIndustryMultiplier: Joi.number().min(0).max(10)
+  })
+};
+
+const requiredTemplateContentSchema = Joi.object(templateContentFields).fork(
+  ['duration', 'investmentRange', 'sections', 'keyPoints', 'phases', 'risks', 'overallRiskLevel', 'nextSteps', 'roiAssumptions'],
+  field => field.required()
+).fork(
+  ['roiAssumptions.benefitMultiplier', 'roiAssumptions.upsideFactor', 'roiAssumptions.paybackPeriod',
+    'roiAssumptions.investmentBreakdown', 'roiAssumptions.industryMultipliers'],
+  field => field.required()
+);
+
+const businessCaseTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  type: Joi.string().valid(...TEMPLATE_TYPES).required(),
+  description: Joi.string().trim().max(1000).allow('', null),
+  isDefault: Joi.boolean().default(false),
+  content: requiredTemplateContentSchema.required()
+});
+
+// Content keys replace the current version's; roiAssumptions keys replace one level down
+const businessCaseTemplateUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(1000).allow('', null),
+  isDefault: Joi.boolean(),
+  content: Joi.object(templateContentFields).min(1),
+  changeNote: Joi.string().trim().max(500).allow('', null)
+}).min(1);
+
+const businessCaseTemplateCloneSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  version: Joi.number().integer().min(1)
 });
 
 // Export format validation schema (simple - just format validation)
@@ -162,6 +294,9 @@ export {
   costCalculationCompareSchema,
   businessCaseSchema,
   businessCaseExportSchema,
+  businessCaseTemplateSchema,
+  businessCaseTemplateUpdateSchema,
+  businessCaseTemplateCloneSchema,
   exportFormatSchema,
   comprehensiveExportSchema,
   paramSchemas,
@@ -2,7 +2,23 @@ import express from 'express';
 import { authenticateSupabaseJWT } from '../middleware/supabaseAuth.js';
 import logger from '../utils/logger.js';
 import supabase from '../services/supabaseService.js';
+import Joi from 'joi';
 import aiCostTrackingService from '../services/aiCostTrackingService.js';
+import aiBudgetService, { CAP_SCOPES, CAP_PLANS } from '../services/aiBudgetService.js';
+import validate from '../middleware/validate.js';
+import {
+  QUEUE_NAMES,
+  getDeadLetterJobs,
+  retryDeadLetterJobs,
+  purgeDeadLetterJobs
+} from '../lib/queue.js';
+import { getSchedulerStatus } from '../lib/scheduler.js';
+import stripeWebhookService, { WEBHOOK_EVENT_STATUSES } from '../services/stripeWebhookService.js';
+import businessCaseTemplateService from '../services/businessCaseTemplateService.js';
+import usageMeteringService from '../services/usageMeteringService.js';
+import lifecycleEmailService, { ENROLLMENT_STATUSES } from '../services/lifecycleEmailService.js';
+import betaApplicationService from '../services/betaApplicationService.js';
+import { businessCaseTemplateSchema, businessCaseTemplateUpdateSchema } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -1500,4 +1516,1171 @@ router.get('/costs/top-users', authenticateSupabaseJWT, requireAdmin, async (req
   }
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const budgetCapSchema = Joi.object({
+  dailyLimitUsd: Joi.number().min(0).precision(2).allow(null).default(null),
+  monthlyLimitUsd: Joi.number().min(0).precision(2).allow(null).default(null),
+  warningThresholds: Joi.array().items(Joi.number().integer().min(1).max(99)).max(10),
+  hardCap: Joi.boolean().default(true),
+  notes: Joi.string().trim().max(500).allow('', null)
+}).or('dailyLimitUsd', 'monthlyLimitUsd');
+
+/**
+ * Validate :scopeType/:scopeId for budget cap endpoints
+ * Returns true, or false after sending a 400
+ */
+const validateCapScope = ({ scopeType, scopeId }, res) => {
+  if (!CAP_SCOPES.includes(scopeType)) {
+    res.status(400).json({
+      success: false,
+      error: 'Unknown cap scope',
+      validScopes: CAP_SCOPES
+    });
+    return false;
+  }
+  if (scopeType === 'plan' ? !CAP_PLANS.includes(scopeId) : !UUID_PATTERN.test(scopeId)) {
+    res.status(400).json({
+      success: false,
+      error: scopeType === 'plan' ? `Plan must be one of: ${CAP_PLANS.join(', ')}` : `Invalid ${scopeType} ID`
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * GET /api/admin/costs/caps
+ * List configured AI budget caps
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - scopeType: user, plan or organization (optional)
+ *
+ * Response: Array of caps { id, scopeType, scopeId, dailyLimitUsd, monthlyLimitUsd, warningThresholds, hardCap, notes, updatedBy }
+ */
+router.get('/costs/caps', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const { scopeType } = req.query;
+
+    if (scopeType && !CAP_SCOPES.includes(scopeType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown cap scope',
+        validScopes: CAP_SCOPES
+      });
+    }
+
+    const caps = await aiBudgetService.listCaps({ scopeType });
+
+    return res.json({
+      success: true,
+      data: caps
+    });
+
+  } catch (error) {
+    logger.error('Error fetching AI budget caps', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch budget caps'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/costs/caps/:scopeType/:scopeId
+ * Create or replace an AI budget cap
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Params:
+ * - scopeType: user, plan or organization
+ * - scopeId: User ID, plan (free, trial, paid) or organization ID
+ *
+ * Body:
+ * - dailyLimitUsd / monthlyLimitUsd: USD limit, null = none (at least one required)
+ * - warningThresholds: Percentages that trigger alerts (default: [50, 80, 90])
+ * - hardCap: Block AI calls at the limit (default: true; false = alerts only)
+ * - notes: Optional
+ *
+ * Response: The saved cap
+ */
+router.put('/costs/caps/:scopeType/:scopeId', authenticateSupabaseJWT, requireAdmin, validate(budgetCapSchema), async (req, res) => {
+  try {
+    if (!validateCapScope(req.params, res)) return;
+
+    const { scopeType, scopeId } = req.params;
+    const cap = await aiBudgetService.setCap(scopeType, scopeId, {
+      ...req.body,
+      notes: req.body.notes || null
+    }, req.user.email);
+
+    logger.info('Admin: AI budget cap saved', {
+      scopeType,
+      scopeId,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: cap
+    });
+
+  } catch (error) {
+    logger.error('Error saving AI budget cap', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save budget cap'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/costs/caps/:scopeType/:scopeId
+ * Remove an AI budget cap
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: { message }
+ */
+router.delete('/costs/caps/:scopeType/:scopeId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    if (!validateCapScope(req.params, res)) return;
+
+    const { scopeType, scopeId } = req.params;
+    const removed = await aiBudgetService.deleteCap(scopeType, scopeId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Budget cap not found'
+      });
+    }
+
+    logger.info('Admin: AI budget cap removed', {
+      scopeType,
+      scopeId,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      message: 'Budget cap removed'
+    });
+
+  } catch (error) {
+    logger.error('Error removing AI budget cap', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove budget cap'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/costs/caps/status/:userId
+ * Caps that apply to a user (own or plan cap, organization caps) with current spend
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: { userId, plan, caps: [{ ...cap, periods: { daily|monthly: { limitUsd, spentUsd, percentUsed, exceeded, resetsAt } } }] }
+ */
+router.get('/costs/caps/status/:userId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const status = await aiBudgetService.getStatus(req.params.userId);
+
+    return res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error fetching AI budget status', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch budget status'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/costs/alerts
+ * AI budget alerts sent (soft-limit warnings and limits reached)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - since: Start date for filtering (YYYY-MM-DD, optional)
+ * - scopeType: user, plan or organization (optional)
+ * - limit: Max alerts, newest first (default: 100, max: 500)
+ *
+ * Response: Array of alerts { capId, scopeType, scopeId, userId, period, periodStart, threshold, spentUsd, limitUsd, channels, createdAt }
+ */
+router.get('/costs/alerts', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const { since, scopeType } = req.query;
+    const sinceDate = since ? new Date(since) : null;
+
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    if (scopeType && !CAP_SCOPES.includes(scopeType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown cap scope',
+        validScopes: CAP_SCOPES
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const alerts = await aiBudgetService.listAlerts({ since: sinceDate, scopeType, limit });
+
+    return res.json({
+      success: true,
+      data: alerts
+    });
+
+  } catch (error) {
+    logger.error('Error fetching AI budget alerts', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch budget alerts'
+    });
+  }
+});
+
+/**
+ * Validate the optional queue filter for dead-letter endpoints
+ * Returns the queue name (or null for all queues), or undefined after sending a 400
+ */
+const parseQueueFilter = (queueName, res) => {
+  if (!queueName) {
+    return null;
+  }
+  if (!Object.values(QUEUE_NAMES).includes(queueName)) {
+    res.status(400).json({
+      success: false,
+      error: 'Unknown queue',
+      validQueues: Object.values(QUEUE_NAMES)
+    });
+    return undefined;
+  }
+  return queueName;
+};
+
+/**
+ * GET /api/admin/jobs/dead-letter
+ * List failed jobs kept by removeOnFail (7 days) across all job queues
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - queue: Limit to one queue (persona-generation, company-rating, batch-rating, icp-generation, product-extraction, lifecycle-email)
+ * - limit: Max jobs per queue, newest first (default: 50, max: 500)
+ *
+ * Response: { jobs: [{ jobId, queueName, name, customerId, failedReason, attemptsMade, finishedOn }], counts: { [queue]: failed } }
+ */
+router.get('/jobs/dead-letter', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const queueName = parseQueueFilter(req.query.queue, res);
+    if (queueName === undefined) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    logger.info('Admin: Fetching dead-letter jobs', {
+      queue: queueName || 'all',
+      limit,
+      adminEmail: req.user.email
+    });
+
+    const result = await getDeadLetterJobs({ queueName, limit });
+
+    return res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error fetching dead-letter jobs', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dead-letter jobs'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/dead-letter/retry
+ * Re-queue failed jobs
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body:
+ * - queue: Limit to one queue (optional)
+ * - jobIds: Specific job IDs (optional - default: every failed job)
+ *
+ * Response: { retried, skipped: [{ jobId, reason }] }
+ */
+router.post('/jobs/dead-letter/retry', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const queueName = parseQueueFilter(req.body?.queue, res);
+    if (queueName === undefined) return;
+
+    const jobIds = Array.isArray(req.body?.jobIds) ? req.body.jobIds : null;
+
+    const result = await retryDeadLetterJobs({ queueName, jobIds });
+
+    logger.info('Admin: Dead-letter jobs retried', {
+      queue: queueName || 'all',
+      requested: jobIds?.length || 'all',
+      retried: result.retried,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error retrying dead-letter jobs', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retry dead-letter jobs'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/jobs/dead-letter
+ * Permanently remove failed jobs
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body:
+ * - queue: Limit to one queue (optional)
+ * - jobIds: Specific job IDs (optional - default: every failed job)
+ * - olderThanHours: Only jobs that failed at least this long ago (optional)
+ *
+ * Response: { purged }
+ */
+router.delete('/jobs/dead-letter', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const queueName = parseQueueFilter(req.body?.queue, res);
+    if (queueName === undefined) return;
+
+    const jobIds = Array.isArray(req.body?.jobIds) ? req.body.jobIds : null;
+    const olderThanMs = Math.max(parseFloat(req.body?.olderThanHours) || 0, 0) * 3600 * 1000;
+
+    const result = await purgeDeadLetterJobs({ queueName, jobIds, olderThanMs });
+
+    logger.info('Admin: Dead-letter jobs purged', {
+      queue: queueName || 'all',
+      requested: jobIds?.length || 'all',
+      olderThanMs,
+      purged: result.purged,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error purging dead-letter jobs', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to purge dead-letter jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/scheduler/status
+ * Scheduled tasks (cost rollup, cache cleanup, data retention, usage metering)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: { enabled, backend, tasks: [{ name, description, schedule, nextRunAt, running,
+ *   lastRun: { status, startedAt, finishedAt, durationMs, result, error, instance } | null }] }
+ */
+router.get('/scheduler/status', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const status = await getSchedulerStatus();
+
+    return res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error fetching scheduler status', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scheduler status'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/stripe/events
+ * Stripe webhook event ledger, newest first
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - status: processing, processed, skipped or failed (optional)
+ * - type: Stripe event type, e.g. checkout.session.completed (optional)
+ * - limit: Max events (default: 50, max: 200)
+ *
+ * Response: Array of events { id, type, objectId, stripeCreatedAt, status, attempts, result, error, ... }
+ */
+router.get('/webhooks/stripe/events', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown event status',
+        validStatuses: WEBHOOK_EVENT_STATUSES
+      });
+    }
+
+    const events = await stripeWebhookService.listEvents({ status, type, limit });
+
+    return res.json({
+      success: true,
+      data: events
+    });
+
+  } catch (error) {
+    logger.error('Error fetching Stripe webhook events', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook events'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/stripe/events/:eventId
+ * One ledger entry, including the stored Stripe payload
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ */
+router.get('/webhooks/stripe/events/:eventId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const event = await stripeWebhookService.getEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: event
+    });
+
+  } catch (error) {
+    logger.error('Error fetching Stripe webhook event', {
+      error: error.message,
+      stack: error.stack,
+      eventId: req.params.eventId,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook event'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/stripe/events/:eventId/replay
+ * Run a failed event's handler again from the stored payload
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: The ledger entry after the replay (status processed, skipped or failed)
+ * Errors: 404 unknown event, 409 event is not failed or is being processed
+ */
+router.post('/webhooks/stripe/events/:eventId/replay', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const event = await stripeWebhookService.replayEvent(req.params.eventId, req.user.email);
+
+    logger.info('Admin: Stripe webhook event replayed', {
+      eventId: event.id,
+      type: event.type,
+      status: event.status,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: event
+    });
+
+  } catch (error) {
+    logger.error('Error replaying Stripe webhook event', {
+      error: error.message,
+      stack: error.stack,
+      eventId: req.params.eventId,
+      adminEmail: req.user.email
+    });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook event'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/metering/reconciliation
+ * Compare AI usage reported to Stripe with recorded usage, per user and billing period
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - userId: Limit to one user (optional)
+ * - since: Periods ending after this date (ISO 8601, default: 35 days ago)
+ *
+ * Response: { periods: [{ userId, periodStart, periodEnd, recordedQuantity, reportedQuantity,
+ *   stripeQuantity, difference, failedReports, status }], summary }
+ * status: matched, unreported, over_reported or stripe_mismatch (stripeQuantity needs STRIPE_METER_ID)
+ */
+router.get('/metering/reconciliation', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO 8601 date'
+      });
+    }
+
+    const reconciliation = await usageMeteringService.reconcile({ userId, since });
+
+    return res.json({
+      success: true,
+      data: reconciliation
+    });
+
+  } catch (error) {
+    logger.error('Error reconciling metered usage', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile metered usage'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/email-sequences
+ * Lifecycle email sequence enrollments, newest first
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - email: Enrollments of one user (optional)
+ * - status: active, paused, completed, unsubscribed or converted (optional)
+ * - limit: Max enrollments (default: 50, max: 200)
+ *
+ * Response: Array of enrollments { id, sequence, email, status, enrolledAt, pausedAt, ... }
+ */
+router.get('/email-sequences', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const { email, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (status && !ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown enrollment status',
+        validStatuses: ENROLLMENT_STATUSES
+      });
+    }
+
+    const enrollments = await lifecycleEmailService.listEnrollments({ email, status, limit });
+
+    return res.json({
+      success: true,
+      data: enrollments
+    });
+
+  } catch (error) {
+    logger.error('Error fetching email sequence enrollments', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email sequences'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/email-sequences/:enrollmentId
+ * One enrollment with each step's due date and outcome
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: Enrollment with steps [{ key, offsetDays, dueAt, status, processedAt, skipReason, error }]
+ * step status: scheduled, sent, skipped or failed
+ */
+router.get('/email-sequences/:enrollmentId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const enrollment = await lifecycleEmailService.getEnrollment(req.params.enrollmentId);
+
+    return res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error fetching email sequence enrollment', {
+      error: error.message,
+      stack: error.stack,
+      enrollmentId: req.params.enrollmentId,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email sequence'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-sequences/:enrollmentId/pause
+ * Hold a user's remaining lifecycle emails
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Errors: 404 unknown enrollment, 409 sequence is not active
+ */
+router.post('/email-sequences/:enrollmentId/pause', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const enrollment = await lifecycleEmailService.pause(req.params.enrollmentId, { pausedBy: req.user.email });
+
+    logger.info('Admin: Email sequence paused', {
+      enrollmentId: enrollment.id,
+      email: enrollment.email,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error pausing email sequence', {
+      error: error.message,
+      stack: error.stack,
+      enrollmentId: req.params.enrollmentId,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to pause email sequence'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/email-sequences/:enrollmentId/resume
+ * Resume a paused sequence; remaining steps are pushed back by the time spent paused
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: Enrollment with the rescheduled steps
+ * Errors: 404 unknown enrollment, 409 sequence is not paused
+ */
+router.post('/email-sequences/:enrollmentId/resume', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const enrollment = await lifecycleEmailService.resume(req.params.enrollmentId);
+
+    logger.info('Admin: Email sequence resumed', {
+      enrollmentId: enrollment.id,
+      email: enrollment.email,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error resuming email sequence', {
+      error: error.message,
+      stack: error.stack,
+      enrollmentId: req.params.enrollmentId,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to resume email sequence'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/beta-applications/review-queue
+ * Beta applications waiting for an admin decision (the review score band), oldest first
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - limit: Max applications (default: 50, max: 200)
+ *
+ * Response: Array of applications { id, fullName, email, company, jobTitle, score, scoreBreakdown, submittedAt, ... }
+ */
+router.get('/beta-applications/review-queue', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const applications = await betaApplicationService.listReviewQueue({ limit });
+
+    return res.json({
+      success: true,
+      data: applications
+    });
+
+  } catch (error) {
+    logger.error('Error fetching beta application review queue', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/beta-applications/:signupId
+ * One beta application with its decision history (audit log, newest first)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: Application with decisions [{ decision, score, decidedBy, notes, emailSent, emailError, createdAt }]
+ */
+router.get('/beta-applications/:signupId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const application = await betaApplicationService.getApplication(req.params.signupId);
+
+    return res.json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error fetching beta application', {
+      error: error.message,
+      stack: error.stack,
+      signupId: req.params.signupId,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch beta application'
+    });
+  }
+});
+
+const betaDecisionSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).allow('', null)
+});
+
+/**
+ * Handler deciding a pending beta application (approve, waitlist, reject)
+ */
+const decideBetaApplication = (decision) => async (req, res) => {
+  try {
+    const application = await betaApplicationService.decide(req.params.signupId, decision, {
+      adminEmail: req.user.email,
+      notes: req.body?.notes || null
+    });
+
+    logger.info('Admin: Beta application decided', {
+      signupId: application.id,
+      decision,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error deciding beta application', {
+      error: error.message,
+      stack: error.stack,
+      signupId: req.params.signupId,
+      decision,
+      adminEmail: req.user.email
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to decide beta application'
+    });
+  }
+};
+
+/**
+ * POST /api/admin/beta-applications/:signupId/approve
+ * Approve a pending application: approval email and beta onboarding email sequence
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body: { notes } (optional, kept in the audit log)
+ * Response: Application with decisions
+ * Errors: 404 unknown application, 409 application is not pending
+ */
+router.post('/beta-applications/:signupId/approve', authenticateSupabaseJWT, requireAdmin, validate(betaDecisionSchema), decideBetaApplication('approved'));
+
+/**
+ * POST /api/admin/beta-applications/:signupId/waitlist
+ * Waitlist a pending application (waitlist email)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body: { notes } (optional, kept in the audit log)
+ * Errors: 404 unknown application, 409 application is not pending
+ */
+router.post('/beta-applications/:signupId/waitlist', authenticateSupabaseJWT, requireAdmin, validate(betaDecisionSchema), decideBetaApplication('waitlist'));
+
+/**
+ * POST /api/admin/beta-applications/:signupId/reject
+ * Reject a pending application (rejection email)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body: { notes } (optional, kept in the audit log)
+ * Errors: 404 unknown application, 409 application is not pending
+ */
+router.post('/beta-applications/:signupId/reject', authenticateSupabaseJWT, requireAdmin, validate(betaDecisionSchema), decideBetaApplication('rejected'));
+
+/**
+ * Send a template service error (statusCode set) or a generic 500
+ */
+const sendTemplateError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * GET /api/admin/business-case-templates
+ * List system business case templates (built-ins included until replaced by a default)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Query params:
+ * - type: pilot or full (optional)
+ *
+ * Response: Array of templates { id, name, type, owner, isDefault, builtIn, version, ... }
+ */
+router.get('/business-case-templates', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    const templates = await businessCaseTemplateService.listTemplates(null, { type: req.query.type });
+
+    return res.json({
+      success: true,
+      data: templates
+    });
+
+  } catch (error) {
+    logger.error('Error fetching business case templates', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return sendTemplateError(res, error, 'Failed to fetch business case templates');
+  }
+});
+
+/**
+ * POST /api/admin/business-case-templates
+ * Create a system business case template (version 1)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body:
+ * - name, type (pilot or full), description (optional)
+ * - isDefault: Use for business cases of this type that don't pick a template (default: false)
+ * - content: { duration, investmentRange, sections, keyPoints, phases, risks, overallRiskLevel,
+ *   nextSteps, roiAssumptions: { benefitMultiplier, upsideFactor, paybackPeriod,
+ *   opportunityCostMultiplier?, investmentBreakdown, industryMultipliers, defaultIndustryMultiplier? } }
+ *
+ * Response: The template with its content
+ */
+router.post('/business-case-templates', authenticateSupabaseJWT, requireAdmin, validate(businessCaseTemplateSchema), async (req, res) => {
+  try {
+    const template = await businessCaseTemplateService.createTemplate(req.body, {
+      ownerUserId: null,
+      createdBy: req.user.email
+    });
+
+    logger.info('Admin: business case template created', {
+      templateId: template.id,
+      type: template.type,
+      adminEmail: req.user.email
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Error creating business case template', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return sendTemplateError(res, error, 'Failed to create business case template');
+  }
+});
+
+/**
+ * PUT /api/admin/business-case-templates/:templateId
+ * Edit a system template. Content changes add a version; business cases
+ * generated earlier keep pointing at the version they used.
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Body (at least one): name, description, isDefault, content (partial), changeNote
+ *
+ * Response: The template at its latest version, with version history
+ */
+router.put('/business-case-templates/:templateId', authenticateSupabaseJWT, requireAdmin, validate(businessCaseTemplateUpdateSchema), async (req, res) => {
+  try {
+    const template = await businessCaseTemplateService.updateTemplate(req.params.templateId, req.body, {
+      ownerUserId: null,
+      updatedBy: req.user.email
+    });
+
+    logger.info('Admin: business case template updated', {
+      templateId: template.id,
+      version: template.version,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Error updating business case template', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return sendTemplateError(res, error, 'Failed to update business case template');
+  }
+});
+
+/**
+ * DELETE /api/admin/business-case-templates/:templateId
+ * Archive a system template (versions are kept for existing business cases)
+ *
+ * Authentication: Required (Supabase JWT)
+ * Authorization: Admin only (geter@humusnshore.org)
+ *
+ * Response: { message }
+ */
+router.delete('/business-case-templates/:templateId', authenticateSupabaseJWT, requireAdmin, async (req, res) => {
+  try {
+    await businessCaseTemplateService.archiveTemplate(req.params.templateId, { ownerUserId: null });
+
+    logger.info('Admin: business case template archived', {
+      templateId: req.params.templateId,
+      adminEmail: req.user.email
+    });
+
+    return res.json({
+      success: true,
+      message: 'Template archived'
+    });
+
+  } catch (error) {
+    logger.error('Error archiving business case template', {
+      error: error.message,
+      stack: error.stack,
+      adminEmail: req.user.email
+    });
+
+    return sendTemplateError(res, error, 'Failed to archive business case template');
+  }
+});
+
 export default router;
@@ -21,13 +21,27 @@ router.get('/verify',
   authController.verifyToken
 );
 
-// Generate API key
+// Generate API key (requires auth)
 router.post('/api-key',
+  authenticateMulti,
   customerRateLimit(3, 60 * 60 * 1000), // 3 requests per hour
   validate(authSchemas.generateApiKey),
   authController.generateApiKey
 );
 
+// List API keys (requires auth)
+router.get('/api-keys',
+  authenticateMulti,
+  authController.listApiKeys
+);
+
+// Revoke API key (requires auth)
+router.delete('/api-keys/:keyId',
+  authenticateMulti,
+  validate(authSchemas.apiKeyId, 'params'),
+  authController.revokeApiKey
+);
+
 // Get customer permissions (requires auth)
 router.get('/permissions',
   authenticateMulti,
@@ -7,7 +7,7 @@
  */
 
 import express from 'express';
-import { extractBrandAssets, getBrandAssets } from '../controllers/brandExtractionController.js';
+import { extractBrandAssets, getBrandAssets, getBrandKit } from '../controllers/brandExtractionController.js';
 import { authenticateMulti, customerRateLimit } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -38,4 +38,17 @@ router.get(
   getBrandAssets
 );
 
+/**
+ * Get the brand kit for a customer (JSON, CSS custom properties or design tokens)
+ * GET /api/brand-extraction/:customerId/kit?format=json|css|tokens
+ *
+ * Rate limit: 60 per minute (read-only)
+ */
+router.get(
+  '/:customerId/kit',
+  customerRateLimit(60, 60 * 1000), // 60 per minute
+  authenticateMulti,
+  getBrandKit
+);
+
 export default router;
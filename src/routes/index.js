@@ -20,13 +20,15 @@ import brandExtractionRoutes from './brandExtractionRoutes.js';
 import productExtractionRoutes from './productExtractionRoutes.js';
 import demoRoutes from './demoRoutes.js';
 import prospectDiscoveryRoutes from './prospectDiscoveryRoutes.js';
+import prospectListRoutes from './prospectListRoutes.js';
+import organizationRoutes from './organizationRoutes.js';
 import leadingIndicatorsRoutes from './leadingIndicators.js';
 import dependencyValidationRoutes from './dependencyValidationRoutes.js';
 import contextAggregationRoutes from './contextAggregationRoutes.js';
 import resourceRoutes from './resourceRoutes.js';
-import { validate, paramSchemas, costCalculationSchema, costCalculationSaveSchema, costCalculationCompareSchema, businessCaseSchema, businessCaseExportSchema, exportFormatSchema, comprehensiveExportSchema } from '../middleware/validation.js';
+import { validate, paramSchemas, costCalculationSchema, costCalculationSaveSchema, costCalculationCompareSchema, businessCaseSchema, businessCaseExportSchema, businessCaseTemplateUpdateSchema, businessCaseTemplateCloneSchema, exportFormatSchema, comprehensiveExportSchema } from '../middleware/validation.js';
 import { strictRateLimiter } from '../middleware/security.js';
-import { authenticateMulti, requireCustomerContext, customerRateLimit } from '../middleware/auth.js';
+import { authenticateMulti, requireApiKeyScope, requireCustomerContext, customerRateLimit } from '../middleware/auth.js';
 import { performanceMonitoring, getMetricsEndpoint } from '../middleware/performanceMonitoring.js';
 import { tierRateLimit, getUsageInfo } from '../middleware/tierRateLimit.js';
 
@@ -70,12 +72,23 @@ router.get('/api/beta-signup/spots-remaining',
   betaSignupController.getSpotsRemaining
 );
 
+// Lifecycle email unsubscribe links (signed token, no login) - GET only
+// shows a confirmation page, POST unsubscribes (form or one-click)
+router.get('/api/beta-signup/unsubscribe', betaSignupController.showUnsubscribePage);
+router.post('/api/beta-signup/unsubscribe', betaSignupController.unsubscribeFromEmails);
+
 // Demo routes (public - no authentication required)
 router.use('/api/demo', demoRoutes);
 
 // Prospect Discovery routes (requires auth - finds real companies matching user's ICP)
 router.use('/api/prospect-discovery', prospectDiscoveryRoutes);
 
+// Prospect List routes (requires auth - saved prospect lists with automatic ICP rating)
+router.use('/api/prospect-lists', prospectListRoutes);
+
+// Organization routes (requires auth - team workspaces, invitations and shared items)
+router.use('/api/organizations', organizationRoutes);
+
 // Leading Indicators routes (requires auth - predictive dashboard-v3)
 router.use('/api/leading-indicators', leadingIndicatorsRoutes);
 
@@ -247,6 +260,7 @@ router.post('/api/business-case/save',
 router.post('/api/business-case/export',
   customerRateLimit(5, 15 * 60 * 1000), // 5 requests per 15 minutes
   authenticateMulti,
+  requireApiKeyScope('export'),
   validate(businessCaseExportSchema),
   businessCaseController.exportBusinessCase
 );
@@ -257,6 +271,32 @@ router.get('/api/business-case/templates',
   businessCaseController.getTemplates
 );
 
+router.get('/api/business-case/templates/:templateId',
+  customerRateLimit(50, 15 * 60 * 1000), // 50 requests per 15 minutes
+  authenticateMulti,
+  businessCaseController.getTemplate
+);
+
+router.post('/api/business-case/templates/:templateId/clone',
+  customerRateLimit(20, 15 * 60 * 1000), // 20 requests per 15 minutes
+  authenticateMulti,
+  validate(businessCaseTemplateCloneSchema),
+  businessCaseController.cloneTemplate
+);
+
+router.put('/api/business-case/templates/:templateId',
+  customerRateLimit(30, 15 * 60 * 1000), // 30 requests per 15 minutes
+  authenticateMulti,
+  validate(businessCaseTemplateUpdateSchema),
+  businessCaseController.updateTemplate
+);
+
+router.delete('/api/business-case/templates/:templateId',
+  customerRateLimit(20, 15 * 60 * 1000), // 20 requests per 15 minutes
+  authenticateMulti,
+  businessCaseController.deleteTemplate
+);
+
 router.get('/api/business-case/:customerId/history',
   customerRateLimit(25, 15 * 60 * 1000), // 25 requests per 15 minutes
   authenticateMulti,
@@ -269,6 +309,7 @@ router.get('/api/business-case/:customerId/history',
 router.post('/api/export/icp',
   customerRateLimit(10, 15 * 60 * 1000), // 10 requests per 15 minutes
   authenticateMulti,
+  requireApiKeyScope('export'),
   validate(exportFormatSchema),
   exportController.exportICP
 );
@@ -276,18 +317,21 @@ router.post('/api/export/icp',
 router.post('/api/export/cost-calculator',
   customerRateLimit(10, 15 * 60 * 1000), // 10 requests per 15 minutes
   authenticateMulti,
+  requireApiKeyScope('export'),
   exportController.exportCostCalculator
 );
 
 router.post('/api/export/business-case',
   customerRateLimit(10, 15 * 60 * 1000), // 10 requests per 15 minutes
   authenticateMulti,
+  requireApiKeyScope('export'),
   exportController.exportBusinessCase
 );
 
 router.post('/api/export/comprehensive',
   customerRateLimit(5, 15 * 60 * 1000), // 5 requests per 15 minutes (more resource intensive)
   authenticateMulti,
+  requireApiKeyScope('export'),
   validate(comprehensiveExportSchema),
   exportController.exportComprehensive
 );
@@ -316,9 +360,16 @@ router.get('/api/export/history/:customerId',
 router.post('/api/resources/export',
   customerRateLimit(30, 15 * 60 * 1000), // 30 requests per 15 minutes
   authenticateMulti,
+  requireApiKeyScope('export'),
   exportController.exportResource
 );
 
+// Export download (signed URL from /api/resources/export - no auth header needed)
+router.get('/api/exports/:exportId',
+  customerRateLimit(100, 15 * 60 * 1000), // 100 requests per 15 minutes
+  exportController.downloadExport
+);
+
 router.get('/api/resources/:id/content',
   customerRateLimit(50, 15 * 60 * 1000), // 50 requests per 15 minutes
   authenticateMulti,
@@ -405,18 +456,22 @@ router.get('/api/docs', (req, res) => {
           'GET /api/customers': 'Get all customers (admin only)'
         },
         costCalculator: {
-          'POST /api/cost-calculator/calculate': 'Calculate cost of inaction',
+          'POST /api/cost-calculator/calculate': 'Calculate cost of inaction (optional custom scenario, sensitivity and Monte Carlo bands)',
           'POST /api/cost-calculator/calculate-ai': 'AI-enhanced cost calculation with insights',
           'POST /api/cost-calculator/save': 'Save cost calculation',
           'GET /api/cost-calculator/history/:customerId': 'Get cost calculation history',
-          'POST /api/cost-calculator/compare': 'Compare multiple cost scenarios'
+          'POST /api/cost-calculator/compare': 'Compare built-in and user-defined cost scenarios'
         },
         businessCase: {
           'POST /api/business-case/generate': 'Generate business case',
           'POST /api/business-case/customize': 'Customize existing business case',
           'POST /api/business-case/save': 'Save business case',
           'POST /api/business-case/export': 'Export business case',
-          'GET /api/business-case/templates': 'Get available templates',
+          'GET /api/business-case/templates': 'Get system and own templates (?type=pilot|full)',
+          'GET /api/business-case/templates/:templateId': 'Get a template with content and versions (?version=N)',
+          'POST /api/business-case/templates/:templateId/clone': 'Clone a template into your own',
+          'PUT /api/business-case/templates/:templateId': 'Edit your template (content edits add a version)',
+          'DELETE /api/business-case/templates/:templateId': 'Delete your template',
           'GET /api/business-case/:customerId/history': 'Get business case history'
         },
         export: {
@@ -426,7 +481,9 @@ router.get('/api/docs', (req, res) => {
           'POST /api/export/comprehensive': 'Export comprehensive report',
           'GET /api/export/status/:exportId': 'Get export status',
           'DELETE /api/export/:exportId': 'Delete export',
-          'GET /api/export/history/:customerId': 'Get export history'
+          'GET /api/export/history/:customerId': 'Get export history',
+          'POST /api/resources/export': 'Render a resource as PDF, DOCX, JSON or CSV',
+          'GET /api/exports/:exportId': 'Download a rendered export (signed URL)'
         },
         webhooks: {
           'POST /api/webhooks/incoming': 'Handle incoming webhook from Make.com',
@@ -441,6 +498,8 @@ router.get('/api/docs', (req, res) => {
           'GET /api/auth/verify': 'Verify JWT token',
           'POST /api/auth/customer-token': 'Generate customer access token',
           'POST /api/auth/api-key': 'Generate API key',
+          'GET /api/auth/api-keys': 'List API keys',
+          'DELETE /api/auth/api-keys/:keyId': 'Revoke API key',
           'GET /api/auth/permissions': 'Get customer permissions',
           'GET /api/auth/status': 'Authentication service status'
         },
@@ -457,6 +516,23 @@ router.get('/api/docs', (req, res) => {
           'POST /api/ai/generate-personas': 'Generate 3-5 buyer personas using Claude AI',
           'GET /api/personas/current-user': 'Get all saved personas for authenticated user'
         },
+        organizations: {
+          'GET /api/organizations': 'List your organizations',
+          'POST /api/organizations': 'Create an organization (you become owner)',
+          'GET /api/organizations/:orgId': 'Get organization with members',
+          'PATCH /api/organizations/:orgId': 'Update organization (owner)',
+          'PATCH /api/organizations/:orgId/members/:userId': 'Change member role (admin)',
+          'DELETE /api/organizations/:orgId/members/:userId': 'Remove member (admin) or leave',
+          'GET /api/organizations/:orgId/invitations': 'List invitations (manager)',
+          'POST /api/organizations/:orgId/invitations': 'Invite by email (manager)',
+          'DELETE /api/organizations/:orgId/invitations/:invitationId': 'Revoke invitation (manager)',
+          'POST /api/organizations/invitations/accept': 'Accept invitation with token',
+          'POST /api/organizations/invitations/decline': 'Decline invitation with token',
+          'GET /api/organizations/:orgId/shared': 'List shared resources, ICP frameworks and prospect lists',
+          'GET /api/organizations/:orgId/shared/:itemType/:itemId': 'Get shared item content',
+          'POST /api/organizations/:orgId/shared': 'Share one of your items with the organization',
+          'DELETE /api/organizations/:orgId/shared/:itemType/:itemId': 'Stop sharing an item'
+        },
         progress: {
           'GET /api/progress/:customerId': 'Get customer progress dashboard',
           'POST /api/progress/:customerId/track': 'Track customer action/event',
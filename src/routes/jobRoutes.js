@@ -13,9 +13,13 @@ import {
   submitBatchRatingJob,
   submitIcpJob,
   getJobStatusEndpoint,
+  cancelJobEndpoint,
+  retryJobEndpoint,
+  streamJobEvents,
+  streamUserJobEvents,
   getCurrentUserJobs
 } from '../controllers/jobController.js';
-import { authenticateSupabaseJWT } from '../middleware/supabaseAuth.js';
+import { authenticateSupabaseJWT, acceptQueryToken } from '../middleware/supabaseAuth.js';
 import { customerRateLimit } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -64,6 +68,16 @@ router.post(
  * Job status endpoints
  */
 
+// Stream progress events for all of the current user's jobs (Server-Sent Events)
+// GET /api/jobs/events
+router.get(
+  '/events',
+  customerRateLimit(30, 15 * 60 * 1000), // 30 connections per 15 minutes
+  acceptQueryToken,
+  authenticateSupabaseJWT,
+  streamUserJobEvents
+);
+
 // Get specific job status
 // GET /api/jobs/:jobId
 router.get(
@@ -73,6 +87,38 @@ router.get(
   getJobStatusEndpoint
 );
 
+// Stream progress events for a job (Server-Sent Events)
+// GET /api/jobs/:jobId/events
+router.get(
+  '/:jobId/events',
+  customerRateLimit(30, 15 * 60 * 1000), // 30 connections per 15 minutes
+  acceptQueryToken,
+  authenticateSupabaseJWT,
+  streamJobEvents
+);
+
+/**
+ * Job management endpoints
+ */
+
+// Cancel a job (removes queued jobs, stops running ones at the next checkpoint)
+// DELETE /api/jobs/:jobId
+router.delete(
+  '/:jobId',
+  customerRateLimit(30, 15 * 60 * 1000), // 30 per 15 minutes
+  authenticateSupabaseJWT,
+  cancelJobEndpoint
+);
+
+// Retry a failed job
+// POST /api/jobs/:jobId/retry
+router.post(
+  '/:jobId/retry',
+  customerRateLimit(10, 60 * 60 * 1000), // 10 per hour (re-runs AI work)
+  authenticateSupabaseJWT,
+  retryJobEndpoint
+);
+
 // Get all jobs for current user
 // GET /api/jobs/current-user
 router.get(
@@ -0,0 +1,231 @@
+/**
+ * Organization Routes
+ *
+ * Team workspaces: organizations, members and roles, invitations, and
+ * org-scoped sharing of generated resources, ICP frameworks and prospect lists.
+ *
+ * @module routes/organizationRoutes
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationInvitations,
+  createOrganizationInvitation,
+  revokeOrganizationInvitation,
+  acceptInvitation,
+  declineInvitation,
+  getSharedItems,
+  getSharedItem,
+  shareItem,
+  unshareItem
+} from '../controllers/organizationController.js';
+import { authenticateMulti, customerRateLimit } from '../middleware/auth.js';
+import { requireOrganizationRole } from '../middleware/organizationAuth.js';
+import validate from '../middleware/validate.js';
+import { SHARED_ITEM_TYPES } from '../services/organizationService.js';
+
+const router = express.Router();
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+// Validation schemas
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).min(2).max(48)
+    .messages({ 'string.pattern.base': 'slug must contain only lowercase letters, numbers, and hyphens' }),
+  description: Joi.string().trim().max(500).allow('')
+});
+
+const updateOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('')
+}).min(1);
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid('admin', 'manager', 'member').required()
+});
+
+const invitationSchema = Joi.object({
+  email: Joi.string().trim().email().required(),
+  role: Joi.string().valid('admin', 'manager', 'member').default('member')
+});
+
+const invitationTokenSchema = Joi.object({
+  token: Joi.string().trim().min(20).max(200).required()
+});
+
+const shareItemSchema = Joi.object({
+  itemType: Joi.string().valid(...SHARED_ITEM_TYPES).required(),
+  itemId: Joi.string().guid().required()
+});
+
+/**
+ * Rejects unknown shared item types (?type= and :itemType) before they reach the service
+ */
+function validateItemType(req, res, next) {
+  const itemType = req.params.itemType || req.query.type;
+
+  if (itemType && !SHARED_ITEM_TYPES.includes(itemType)) {
+    return res.status(400).json({
+      success: false,
+      error: `itemType must be one of: ${SHARED_ITEM_TYPES.join(', ')}`
+    });
+  }
+  next();
+}
+
+/**
+ * Rejects unknown ?status values on the invitation list
+ */
+function validateInvitationStatus(req, res, next) {
+  if (req.query.status && !INVITATION_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${INVITATION_STATUSES.join(', ')}`
+    });
+  }
+  next();
+}
+
+// Routes - the caller's organizations
+router.get(
+  '/',
+  customerRateLimit(60, 60 * 1000), // 60 per minute
+  authenticateMulti,
+  getOrganizations
+);
+
+router.post(
+  '/',
+  customerRateLimit(10, 60 * 60 * 1000), // 10 per hour
+  authenticateMulti,
+  validate(createOrganizationSchema),
+  createOrganization
+);
+
+// Invitations addressed to the caller (token from the invitation email)
+router.post(
+  '/invitations/accept',
+  customerRateLimit(20, 60 * 60 * 1000), // 20 per hour
+  authenticateMulti,
+  validate(invitationTokenSchema),
+  acceptInvitation
+);
+
+router.post(
+  '/invitations/decline',
+  customerRateLimit(20, 60 * 60 * 1000),
+  authenticateMulti,
+  validate(invitationTokenSchema),
+  declineInvitation
+);
+
+// Organization
+router.get(
+  '/:orgId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  getOrganization
+);
+
+router.patch(
+  '/:orgId',
+  customerRateLimit(30, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('owner'),
+  validate(updateOrganizationSchema),
+  updateOrganization
+);
+
+// Members
+router.patch(
+  '/:orgId/members/:userId',
+  customerRateLimit(30, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('admin'),
+  validate(updateMemberSchema),
+  updateOrganizationMember
+);
+
+// Any member may remove themselves; removing others is checked in the service
+router.delete(
+  '/:orgId/members/:userId',
+  customerRateLimit(30, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  removeOrganizationMember
+);
+
+// Invitations
+router.get(
+  '/:orgId/invitations',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('manager'),
+  validateInvitationStatus,
+  getOrganizationInvitations
+);
+
+router.post(
+  '/:orgId/invitations',
+  customerRateLimit(30, 60 * 60 * 1000), // 30 per hour (sends email)
+  authenticateMulti,
+  requireOrganizationRole('manager'),
+  validate(invitationSchema),
+  createOrganizationInvitation
+);
+
+router.delete(
+  '/:orgId/invitations/:invitationId',
+  customerRateLimit(30, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('manager'),
+  revokeOrganizationInvitation
+);
+
+// Shared items
+router.get(
+  '/:orgId/shared',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  validateItemType,
+  getSharedItems
+);
+
+router.get(
+  '/:orgId/shared/:itemType/:itemId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  validateItemType,
+  getSharedItem
+);
+
+router.post(
+  '/:orgId/shared',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  validate(shareItemSchema),
+  shareItem
+);
+
+router.delete(
+  '/:orgId/shared/:itemType/:itemId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  requireOrganizationRole('member'),
+  validateItemType,
+  unshareItem
+);
+
+export default router;
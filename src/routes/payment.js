@@ -1,26 +1,18 @@
 import express from 'express';
-import Stripe from 'stripe';
+import Joi from 'joi';
 import { authenticateSupabaseJWT } from '../middleware/supabaseAuth.js';
 import logger from '../utils/logger.js';
 import supabaseDataService from '../services/supabaseDataService.js';
-import supabase from '../services/supabaseService.js';
+import stripeWebhookService from '../services/stripeWebhookService.js';
+import billingService from '../services/billingService.js';
+import usageMeteringService from '../services/usageMeteringService.js';
+import validate from '../middleware/validate.js';
+// Stripe is null when STRIPE_SECRET_KEY is not set, so the server can start without it
+import { stripe } from '../lib/stripeClient.js';
 
 const router = express.Router();
 
-// Initialize Stripe only if API key is provided
-// This allows the server to start even if Stripe is not configured
-const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
-const stripe = STRIPE_SECRET_KEY
-  ? new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2024-10-28.acacia' })
-  : null;
-
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
-
-// Founding Member Pricing Configuration (December 1, 2025 Launch)
-const FOUNDING_MEMBER_EARLY_ACCESS_PRICE = 497; // Monthly during early access period
-const FOUNDING_MEMBER_FOREVER_LOCK_PRICE = 750; // Monthly after full platform launch
-const PLATFORM_ACCESS_GRANT_DATE = new Date('2025-12-01T00:00:00Z'); // December 1, 2025
 
 // Middleware to check if Stripe is configured
 const requireStripe = (req, res, next) => {
@@ -34,6 +26,39 @@ const requireStripe = (req, res, next) => {
   next();
 };
 
+// Billing portal validation schemas
+const planChangePreviewSchema = Joi.object({
+  plan: Joi.string().trim().max(50).required()
+});
+
+const planChangeSchema = Joi.object({
+  plan: Joi.string().trim().max(50).required(),
+  // Unix timestamp returned by preview-plan-change
+  prorationDate: Joi.number().integer().positive()
+});
+
+/**
+ * Send a billing service error (statusCode set), a Stripe error or a generic 500
+ */
+const sendBillingError = (res, error, fallbackMessage) => {
+  if (error.type === 'StripeCardError') {
+    return res.status(402).json({ success: false, error: error.message });
+  }
+
+  // Stripe errors carry Stripe's status code, which is not the client's fault
+  if (error.type?.startsWith('Stripe')) {
+    logger.error(fallbackMessage, { error: error.message, type: error.type, requestId: error.requestId });
+    return res.status(502).json({ success: false, error: fallbackMessage });
+  }
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+
+  logger.error(fallbackMessage, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: fallbackMessage });
+};
+
 /**
  * ==================== DEPRECATED CODE - ARCHIVED 2025-11-10 ====================
  *
@@ -49,7 +74,7 @@ const requireStripe = (req, res, next) => {
  * NEW PRICING:
  * - Direct Stripe link: https://buy.stripe.com/6oU9AVgJn4y78iqdU6bsc0n
  * - $497/month early access → $750/month forever lock
- * - Webhook handler: handleCheckoutCompleted() (lines 275-405)
+ * - Webhook handler: handleCheckoutCompleted() in services/stripeWebhookService.js
  *
  * PRESERVED FOR:
  * - Historical reference
@@ -144,6 +169,10 @@ router.post('/create-subscription', requireStripe, authenticateSupabaseJWT, asyn
  * POST /api/payment/webhook
  * Handle Stripe webhook events
  * Processes: checkout.session.completed, customer.subscription.*, invoice.*
+ *
+ * Every event is recorded in the stripe_webhook_events ledger; redeliveries
+ * of handled events are acknowledged without running handlers again (see
+ * services/stripeWebhookService.js).
  */
 router.post('/webhook', requireStripe, async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -160,48 +189,14 @@ router.post('/webhook', requireStripe, async (req, res) => {
   logger.info('Webhook received', { type: event.type, eventId: event.id });
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        await handleCheckoutCompleted(session);
-        break;
-      }
-
-      case 'customer.subscription.created': {
-        const subscription = event.data.object;
-        await handleSubscriptionCreated(subscription);
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        await handleSubscriptionUpdated(subscription);
-        break;
-      }
-
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        await handleSubscriptionDeleted(subscription);
-        break;
-      }
+    const outcome = await stripeWebhookService.handleEvent(event);
 
-      case 'invoice.payment_succeeded': {
-        const invoice = event.data.object;
-        await handlePaymentSucceeded(invoice);
-        break;
-      }
-
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        await handlePaymentFailed(invoice);
-        break;
-      }
-
-      default:
-        logger.info('Unhandled webhook event type', { type: event.type });
+    if (outcome.status === 'in_progress') {
+      // Non-2xx so Stripe retries once the running attempt has finished
+      return res.status(409).json({ error: 'Event is already being processed' });
     }
 
-    res.json({ received: true });
+    res.json({ received: true, status: outcome.status });
   } catch (error) {
     logger.error('Error processing webhook', { error: error.message, stack: error.stack, eventType: event.type });
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -214,7 +209,7 @@ router.post('/webhook', requireStripe, async (req, res) => {
  */
 router.get('/subscription-status', requireStripe, authenticateSupabaseJWT, async (req, res) => {
   try {
-    const userId = req.auth?.id;
+    const userId = req.auth?.userId;
     const userEmail = req.auth?.email;
 
     if (!userId || !userEmail) {
@@ -245,7 +240,7 @@ router.get('/subscription-status', requireStripe, authenticateSupabaseJWT, async
  */
 router.post('/cancel-subscription', requireStripe, authenticateSupabaseJWT, async (req, res) => {
   try {
-    const userId = req.auth?.id;
+    const userId = req.auth?.userId;
     const userEmail = req.auth?.email;
 
     if (!userId || !userEmail) {
@@ -276,311 +271,125 @@ router.post('/cancel-subscription', requireStripe, authenticateSupabaseJWT, asyn
   }
 });
 
-// ==================== Webhook Handlers ====================
+// ==================== Self-Serve Billing Portal ====================
+// Stripe customer and subscription are resolved by services/billingService.js
 
 /**
- * Handle Stripe checkout completion for founding member waitlist
+ * POST /api/payment/preview-plan-change
+ * Preview the prorated invoice for switching to another plan
  *
- * NEW FLOW (Payment-First Architecture):
- * 1. Extract customer email from Stripe session
- * 2. Find assessment by email (if exists)
- * 3. Create Supabase auth user
- * 4. Link assessment to new user
- * 5. Create user_milestone: 'waitlist_paid'
- * 6. Send magic link email for first login
+ * Body: { plan } - plan key from STRIPE_PLAN_PRICES
+ * Returns the prorationDate to pass to change-plan so the charge matches the preview
  */
-async function handleCheckoutCompleted(session) {
+router.post('/preview-plan-change', requireStripe, authenticateSupabaseJWT, validate(planChangePreviewSchema), async (req, res) => {
   try {
-    // Extract customer email from Stripe session
-    const customerEmail = session.customer_details?.email;
-    const stripeCustomerId = session.customer;
-    const stripeSubscriptionId = session.subscription;
-
-    if (!customerEmail) {
-      logger.error('No customer email in checkout session', { sessionId: session.id });
-      return;
-    }
-
-    logger.info('Processing founding member payment', {
-      email: customerEmail,
-      sessionId: session.id
-    });
-
-    // Step 1: Find assessment by email (using assessment_sessions table)
-    const { data: assessmentSessions, error: assessmentError } = await supabase
-      .from('assessment_sessions')
-      .select('*')
-      .eq('user_email', customerEmail)
-      .order('created_at', { ascending: false })
-      .limit(1);
-
-    if (assessmentError) {
-      logger.error('Error fetching assessment', { error: assessmentError, email: customerEmail });
-      // Continue - user may not have taken assessment yet
-    }
-
-    const assessmentSession = assessmentSessions?.[0];
-
-    // Step 2: Create Supabase auth user
-    const { data: authUser, error: authError } = await supabase.auth.admin.createUser({
-      email: customerEmail,
-      email_confirm: true, // Auto-confirm email
-      user_metadata: {
-        is_founding_member: true,
-        payment_date: new Date().toISOString(),
-        stripe_customer_id: stripeCustomerId,
-        assessment_session_id: assessmentSession?.session_id,
-      }
-    });
-
-    if (authError) {
-      logger.error('Error creating Supabase user', { error: authError, email: customerEmail });
-      throw authError;
-    }
-
-    logger.info('Supabase auth user created', { userId: authUser.user.id, email: customerEmail });
-
-    // Step 3: Link assessment to user (if exists)
-    if (assessmentSession) {
-      const { error: updateError } = await supabase
-        .from('assessment_sessions')
-        .update({
-          user_id: authUser.user.id,
-          status: 'linked',
-          updated_at: new Date().toISOString()
-        })
-        .eq('session_id', assessmentSession.session_id);
-
-      if (updateError) {
-        logger.error('Error linking assessment to user', { error: updateError });
-      } else {
-        logger.info('Assessment linked to user', {
-          userId: authUser.user.id,
-          sessionId: assessmentSession.session_id
-        });
-      }
-    }
-
-    // Step 4: Calculate founding member number (sequential)
-    const { data: existingMembers, error: countError } = await supabase
-      .from('user_milestones')
-      .select('id', { count: 'exact' })
-      .eq('is_founding_member', true)
-      .eq('milestone_type', 'waitlist_paid');
-
-    if (countError) {
-      logger.error('Error counting existing founding members', { error: countError });
-    }
-
-    const foundingMemberNumber = (existingMembers?.length || 0) + 1;
-
-    logger.info('Assigning founding member number', {
-      number: foundingMemberNumber,
-      userId: authUser.user.id,
-      email: customerEmail
-    });
-
-    // Step 5: Create user_milestone: 'waitlist_paid'
-    const { error: milestoneError } = await supabase
-      .from('user_milestones')
-      .insert({
-        user_id: authUser.user.id,
-        milestone_type: 'waitlist_paid',
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        is_founding_member: true,
-        has_early_access: false, // Access granted on December 1, 2025
-        access_granted_date: PLATFORM_ACCESS_GRANT_DATE.toISOString(),
-        forever_lock_price: FOUNDING_MEMBER_FOREVER_LOCK_PRICE,
-        stripe_customer_id: stripeCustomerId,
-        stripe_subscription_id: stripeSubscriptionId,
-        metadata: {
-          payment_session_id: session.id,
-          payment_amount: session.amount_total / 100, // Convert from cents
-          payment_currency: session.currency,
-          early_access_price: FOUNDING_MEMBER_EARLY_ACCESS_PRICE,
-          founding_member_number: foundingMemberNumber, // Sequential number
-        }
-      });
-
-    if (milestoneError) {
-      logger.error('Error creating milestone', { error: milestoneError });
-      throw milestoneError;
-    }
-
-    logger.info('Milestone created: waitlist_paid', {
-      userId: authUser.user.id,
-      foundingMemberNumber
-    });
-
-    // Step 6: Send magic link email (Supabase handles this automatically)
-    const { error: magicLinkError } = await supabase.auth.admin.generateLink({
-      type: 'magiclink',
-      email: customerEmail,
-      options: {
-        redirectTo: `${FRONTEND_URL}/founding-members/welcome`
-      }
-    });
-
-    if (magicLinkError) {
-      logger.error('Error generating magic link', { error: magicLinkError });
-      // Don't throw - user can still login via Google OAuth
-    } else {
-      logger.info('Magic link sent', { email: customerEmail });
-    }
-
-    logger.info('Founding member onboarding complete', {
-      userId: authUser.user.id,
-      email: customerEmail,
-      accessGrantDate: PLATFORM_ACCESS_GRANT_DATE
-    });
+    const preview = await billingService.previewPlanChange(req.auth.userId, req.auth.email, req.body);
 
+    res.json({ success: true, data: preview });
   } catch (error) {
-    logger.error('Error in handleCheckoutCompleted', {
-      error: error.message,
-      stack: error.stack,
-      sessionId: session.id
-    });
-    throw error;
-  }
-}
-
-async function handleSubscriptionCreated(subscription) {
-  const customerId = subscription.metadata?.customer_id;
-
-  if (!customerId) {
-    logger.warn('Missing customer_id in subscription metadata', { subscriptionId: subscription.id });
-    return;
+    return sendBillingError(res, error, 'Failed to preview plan change');
   }
+});
 
-  const trialEnd = subscription.trial_end ? new Date(subscription.trial_end * 1000) : null;
-
-  await supabaseDataService.updateCustomer(customerId, {
-    stripe_subscription_id: subscription.id,
-    subscription_status: subscription.status === 'trialing' ? 'trial' : 'active',
-    trial_end_date: trialEnd,
-    subscription_start_date: new Date(subscription.created * 1000),
-    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
-  });
-
-  logger.info('Subscription created', { customerId, subscriptionId: subscription.id });
-}
-
-async function handleSubscriptionUpdated(subscription) {
-  const customerId = subscription.metadata?.customer_id;
-
-  if (!customerId) {
-    // Try to find customer by stripe_subscription_id
-    const customer = await supabaseDataService.getCustomerByStripeSubscriptionId(subscription.id);
-    if (!customer) {
-      logger.warn('Could not find customer for subscription', { subscriptionId: subscription.id });
-      return;
-    }
-    customerId = customer.customer_id;
-  }
+/**
+ * POST /api/payment/change-plan
+ * Switch plans, prorating the current billing period
+ *
+ * Body: { plan, prorationDate? }
+ */
+router.post('/change-plan', requireStripe, authenticateSupabaseJWT, validate(planChangeSchema), async (req, res) => {
+  try {
+    const subscription = await billingService.changePlan(req.auth.userId, req.auth.email, req.body);
 
-  // Map Stripe status to our subscription_status
-  let subscriptionStatus;
-  switch (subscription.status) {
-    case 'trialing':
-      subscriptionStatus = 'trial';
-      break;
-    case 'active':
-      subscriptionStatus = 'active';
-      break;
-    case 'past_due':
-      subscriptionStatus = 'past_due';
-      break;
-    case 'canceled':
-    case 'unpaid':
-      subscriptionStatus = 'cancelled';
-      break;
-    default:
-      subscriptionStatus = 'none';
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to change plan');
   }
+});
 
-  await supabaseDataService.updateCustomer(customerId, {
-    subscription_status: subscriptionStatus,
-    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
-    subscription_cancel_date: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
-  });
-
-  logger.info('Subscription updated', { customerId, subscriptionId: subscription.id, status: subscriptionStatus });
-}
-
-async function handleSubscriptionDeleted(subscription) {
-  const customerId = subscription.metadata?.customer_id;
+/**
+ * POST /api/payment/resume-subscription
+ * Undo a cancellation scheduled for the end of the billing period
+ */
+router.post('/resume-subscription', requireStripe, authenticateSupabaseJWT, async (req, res) => {
+  try {
+    const subscription = await billingService.resumeSubscription(req.auth.userId, req.auth.email);
 
-  if (!customerId) {
-    const customer = await supabaseDataService.getCustomerByStripeSubscriptionId(subscription.id);
-    if (!customer) {
-      logger.warn('Could not find customer for deleted subscription', { subscriptionId: subscription.id });
-      return;
-    }
-    customerId = customer.customer_id;
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to resume subscription');
   }
+});
 
-  await supabaseDataService.updateCustomer(customerId, {
-    subscription_status: 'cancelled',
-    subscription_cancel_date: new Date(),
-  });
-
-  logger.info('Subscription deleted', { customerId, subscriptionId: subscription.id });
-}
+/**
+ * GET /api/payment/invoices
+ * List invoices, newest first
+ *
+ * Query: limit (1-100, default 10), startingAfter (invoice id of the last item of the previous page)
+ */
+router.get('/invoices', requireStripe, authenticateSupabaseJWT, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    const startingAfter = typeof req.query.startingAfter === 'string' ? req.query.startingAfter : undefined;
 
-async function handlePaymentSucceeded(invoice) {
-  const subscriptionId = invoice.subscription;
+    const invoices = await billingService.listInvoices(req.auth.userId, req.auth.email, { limit, startingAfter });
 
-  if (!subscriptionId) {
-    return; // Not a subscription invoice
+    res.json({ success: true, data: invoices });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to fetch invoices');
   }
+});
 
-  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-  const customerId = subscription.metadata?.customer_id;
+/**
+ * GET /api/payment/invoices/:invoiceId/download
+ * PDF download and hosted invoice page URLs for a finalized invoice
+ */
+router.get('/invoices/:invoiceId/download', requireStripe, authenticateSupabaseJWT, async (req, res) => {
+  try {
+    const invoice = await billingService.getInvoiceDownload(req.auth.userId, req.auth.email, req.params.invoiceId);
 
-  if (!customerId) {
-    const customer = await supabaseDataService.getCustomerByStripeSubscriptionId(subscriptionId);
-    if (!customer) {
-      logger.warn('Could not find customer for payment', { subscriptionId });
-      return;
-    }
-    customerId = customer.customer_id;
+    res.json({
+      success: true,
+      data: {
+        id: invoice.id,
+        number: invoice.number,
+        downloadUrl: invoice.invoicePdf,
+        hostedInvoiceUrl: invoice.hostedInvoiceUrl
+      }
+    });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to fetch invoice');
   }
+});
 
-  // Update subscription status (trial → active after first payment)
-  await supabaseDataService.updateCustomer(customerId, {
-    subscription_status: 'active',
-    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
-  });
-
-  logger.info('Payment succeeded', { customerId, subscriptionId, invoiceId: invoice.id });
-}
-
-async function handlePaymentFailed(invoice) {
-  const subscriptionId = invoice.subscription;
+/**
+ * POST /api/payment/portal-session
+ * Stripe customer portal session for payment methods and billing details
+ * Returns to STRIPE_PORTAL_RETURN_URL when the customer is done
+ */
+router.post('/portal-session', requireStripe, authenticateSupabaseJWT, async (req, res) => {
+  try {
+    const session = await billingService.createPortalSession(req.auth.userId, req.auth.email);
 
-  if (!subscriptionId) {
-    return;
+    res.json({ success: true, data: session });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to create billing portal session');
   }
+});
 
-  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-  const customerId = subscription.metadata?.customer_id;
+/**
+ * GET /api/payment/usage
+ * Running AI usage for the current billing period (calendar month when not metered)
+ * Includes the billed quantity and how much of it has been reported to Stripe
+ */
+router.get('/usage', authenticateSupabaseJWT, async (req, res) => {
+  try {
+    const usage = await usageMeteringService.getCurrentUsage(req.auth.userId);
 
-  if (!customerId) {
-    const customer = await supabaseDataService.getCustomerByStripeSubscriptionId(subscriptionId);
-    if (!customer) {
-      logger.warn('Could not find customer for failed payment', { subscriptionId });
-      return;
-    }
-    customerId = customer.customer_id;
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    return sendBillingError(res, error, 'Failed to fetch usage');
   }
-
-  // Mark as past_due
-  await supabaseDataService.updateCustomer(customerId, {
-    subscription_status: 'past_due',
-  });
-
-  logger.warn('Payment failed', { customerId, subscriptionId, invoiceId: invoice.id });
-}
+});
 
 export default router;
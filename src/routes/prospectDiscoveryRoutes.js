@@ -5,7 +5,7 @@
  * Key characteristics:
  * - REQUIRES authentication (authenticated ICP tool only)
  * - Uses Claude API with web search capability ($10 per 1,000 searches)
- * - Finds 5-7 real companies matching Andru's "Revenue Desert" ICP
+ * - Finds real companies matching the user's saved ICP, personas and negative personas
  * - Returns prospects with evidence links and confidence scores
  * - Saves discovery results to database for user reference
  *
@@ -14,8 +14,16 @@
 
 import express from 'express';
 import rateLimit from 'express-rate-limit';
+import Joi from 'joi';
 import { discoverProspects } from '../controllers/prospectDiscoveryController.js';
 import { authenticateMulti } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import {
+  COMPANY_SIZE_BANDS,
+  FUNDING_STAGES,
+  DEFAULT_PROSPECT_COUNT,
+  MAX_PROSPECT_COUNT
+} from '../services/prospectDiscoveryService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -61,6 +69,23 @@ const prospectDiscoveryRateLimiter = rateLimit({
   }
 });
 
+// Required fields and lengths are checked in the controller (detailed error messages)
+const discoverProspectsSchema = Joi.object({
+  companyName: Joi.string().allow(''),
+  refinedProductDescription: Joi.string().allow(''),
+  coreCapability: Joi.string().allow(''),
+  industry: Joi.string().allow('', null),
+  targetMarket: Joi.string().allow('', null),
+  filters: Joi.object({
+    industries: Joi.array().items(Joi.string().trim().min(2).max(100)).max(10),
+    companySizes: Joi.array().items(Joi.string().valid(...COMPANY_SIZE_BANDS)).max(COMPANY_SIZE_BANDS.length),
+    geographies: Joi.array().items(Joi.string().trim().min(2).max(100)).max(10),
+    fundingStages: Joi.array().items(Joi.string().valid(...FUNDING_STAGES)).max(FUNDING_STAGES.length),
+    exclude: Joi.array().items(Joi.string().trim().min(2).max(200)).max(500)
+  }).default({}),
+  count: Joi.number().integer().min(1).max(MAX_PROSPECT_COUNT).default(DEFAULT_PROSPECT_COUNT)
+});
+
 /**
  * POST /api/prospect-discovery/generate
  *
@@ -76,8 +101,20 @@ const prospectDiscoveryRateLimiter = rateLimit({
  *   coreCapability: string (required) - Core capability/pure signal from ICP
  *   industry: string (optional) - Industry context
  *   targetMarket: string (optional) - Target market context
+ *   filters: {                       (optional - hard constraints on every prospect)
+ *     industries: string[],
+ *     companySizes: string[],        ('1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5000+')
+ *     geographies: string[],
+ *     fundingStages: string[],       ('bootstrapped', 'pre-seed', 'seed', 'series-a', 'series-b', 'series-c+', 'growth', 'public')
+ *     exclude: string[]              (company names or domains)
+ *   },
+ *   count: number (optional, 1-20, default 6) - Number of prospects to find
  * }
  *
+ * The ICP analysis, buyer personas and negative personas saved in the user's
+ * resource library drive the search; companies the user already rated are
+ * never returned.
+ *
  * Response (200 OK):
  * {
  *   success: true,
@@ -108,7 +145,10 @@ const prospectDiscoveryRateLimiter = rateLimit({
  *     generatedAt: "2025-11-17T...",
  *     model: "claude-3-5-haiku-20241022",
  *     source: "prospect_discovery",
- *     duration: 18500
+ *     duration: 18500,
+ *     requestedCount: 6,
+ *     icpSources: { icpAnalysis: true, personas: true, negativePersonas: false, ... },
+ *     excludedAlreadyKnown: ["Acme"] // Returned by the model but already rated/excluded
  *   }
  * }
  *
@@ -123,6 +163,7 @@ router.post(
   '/generate',
   authenticateMulti, // Require authentication (JWT or API key)
   prospectDiscoveryRateLimiter, // Apply rate limiting
+  validate(discoverProspectsSchema),
   discoverProspects
 );
 
@@ -0,0 +1,141 @@
+/**
+ * Prospect List Routes
+ *
+ * Saved prospect lists: CRUD, entries, CSV import/export.
+ * Every company added to a list is queued for ICP rating.
+ *
+ * @module routes/prospectListRoutes
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import {
+  getProspectLists,
+  createProspectList,
+  getProspectList,
+  updateProspectList,
+  deleteProspectList,
+  addProspectListEntries,
+  removeProspectListEntry,
+  importProspectListCSV,
+  exportProspectListCSV
+} from '../controllers/prospectListController.js';
+import { authenticateMulti, customerRateLimit } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { ENTRY_SOURCES, ENTRY_SORTS } from '../services/prospectListService.js';
+
+const router = express.Router();
+
+const MAX_ENTRIES_PER_REQUEST = 500;
+
+// Validation schemas
+const entrySchema = Joi.object({
+  companyName: Joi.string().trim().max(200).allow('', null),
+  companyUrl: Joi.string().trim().max(500),
+  website: Joi.string().trim().max(500),
+  notes: Joi.string().max(2000).allow('', null),
+  discoveryData: Joi.object().unknown(true)
+}).or('companyUrl', 'website').unknown(true);
+
+const createListSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('', null),
+  source: Joi.string().valid(...ENTRY_SOURCES).default('manual'),
+  entries: Joi.array().items(entrySchema).max(MAX_ENTRIES_PER_REQUEST).default([])
+});
+
+const updateListSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('', null)
+}).min(1);
+
+const addEntriesSchema = Joi.object({
+  source: Joi.string().valid(...ENTRY_SOURCES).default('manual'),
+  entries: Joi.array().items(entrySchema).min(1).max(MAX_ENTRIES_PER_REQUEST).required()
+});
+
+/**
+ * Rejects unknown ?sort values before they reach the service
+ */
+function validateSort(req, res, next) {
+  if (req.query.sort && !ENTRY_SORTS.includes(req.query.sort)) {
+    return res.status(400).json({
+      success: false,
+      error: `sort must be one of: ${ENTRY_SORTS.join(', ')}`
+    });
+  }
+  next();
+}
+
+// Routes
+router.get(
+  '/',
+  customerRateLimit(60, 60 * 1000), // 60 per minute
+  authenticateMulti,
+  getProspectLists
+);
+
+router.post(
+  '/',
+  customerRateLimit(30, 60 * 60 * 1000), // 30 per hour (entries are rated by AI)
+  authenticateMulti,
+  validate(createListSchema),
+  createProspectList
+);
+
+router.get(
+  '/:listId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  validateSort,
+  getProspectList
+);
+
+router.patch(
+  '/:listId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  validate(updateListSchema),
+  updateProspectList
+);
+
+router.delete(
+  '/:listId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  deleteProspectList
+);
+
+router.post(
+  '/:listId/entries',
+  customerRateLimit(30, 60 * 60 * 1000), // 30 per hour (entries are rated by AI)
+  authenticateMulti,
+  validate(addEntriesSchema),
+  addProspectListEntries
+);
+
+router.delete(
+  '/:listId/entries/:entryId',
+  customerRateLimit(60, 60 * 1000),
+  authenticateMulti,
+  removeProspectListEntry
+);
+
+// CSV import: text/csv body (JSON { csv } also accepted)
+router.post(
+  '/:listId/import',
+  customerRateLimit(10, 60 * 60 * 1000), // 10 per hour
+  authenticateMulti,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importProspectListCSV
+);
+
+router.get(
+  '/:listId/export',
+  customerRateLimit(30, 60 * 1000),
+  authenticateMulti,
+  validateSort,
+  exportProspectListCSV
+);
+
+export default router;
@@ -10,6 +10,7 @@ import { authenticateSupabaseJWT } from '../middleware/supabaseAuth.js';
 import { customerRateLimit } from '../middleware/auth.js';
 import { tierRateLimit } from '../middleware/tierRateLimit.js';
 import logger from '../utils/logger.js';
+import { openEventStream } from '../utils/sse.js';
 import {
   STRATEGIC_ASSETS,
   getAssetsByTier,
@@ -101,6 +102,83 @@ router.post('/generate',
     }
 });
 
+/**
+ * POST /api/resources/generate/stream
+ * Generate a resource, streaming progress as Server-Sent Events
+ *
+ * Keeps the connection busy for long generations (heartbeat every 15s), so
+ * proxies don't time out. Generation stops before the next prompt if the
+ * client disconnects.
+ *
+ * Request body:
+ * {
+ *   resourceId: string (UUID from resources table) OR assetId: string (for backward compatibility)
+ * }
+ *
+ * Events:
+ * - stage: { stage, progress, promptId | guideId }  (building_context, generating_strategic,
+ *   generating_implementation, validating, prompt_complete, saving)
+ * - delta: { promptId, text, progress }  (token deltas as they arrive)
+ * - complete: generation result (same shape as POST /api/resources/generate)
+ * - error: { error }
+ */
+router.post('/generate/stream',
+  tierRateLimit('resource_generation'), // Shares the /generate allowance
+  authenticateSupabaseJWT,
+  async (req, res) => {
+    const { resourceId: providedResourceId, assetId } = req.body;
+    const resourceId = providedResourceId || assetId;
+    const userId = req.user.id;
+
+    if (!resourceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'resourceId or assetId is required'
+      });
+    }
+
+    logger.info(`🎯 Streaming resource generation request: ${resourceId} for user ${userId}`);
+
+    const abortController = new AbortController();
+    const stream = openEventStream(req, res, () => abortController.abort());
+
+    const onProgress = (progressData) => {
+      if (progressData.stage === 'streaming') {
+        if (progressData.chunk) {
+          stream.send('delta', {
+            promptId: progressData.promptId,
+            text: progressData.chunk,
+            progress: progressData.progress
+          });
+        }
+        return;
+      }
+      // 'complete' is sent with the result below
+      if (progressData.stage !== 'complete') {
+        stream.send('stage', progressData);
+      }
+    };
+
+    try {
+      const result = await resourceGenerationService.generateResource(
+        userId,
+        resourceId,
+        { streaming: true, onProgress, signal: abortController.signal }
+      );
+
+      stream.send('complete', result);
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info(`Streaming resource generation stopped: client disconnected (${resourceId})`);
+      } else {
+        logger.error(`❌ Streaming resource generation failed: ${error.message}`);
+        stream.send('error', { error: error.message });
+      }
+    } finally {
+      stream.end();
+    }
+});
+
 /**
  * POST /api/resources/generate-batch
  * Generate multiple assets in sequence (for tier unlock)
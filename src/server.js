@@ -26,6 +26,7 @@ import {
   sentryErrorHandler,
 } from './middleware/sentryMiddleware.js';
 import { startAllWorkers } from './workers/index.js';
+import { startScheduler } from './lib/scheduler.js';
 
 // Create Express application
 const app = express();
@@ -131,6 +132,11 @@ if (config.server.nodeEnv !== 'test') {
     } catch (error) {
       logger.error('❌ Failed to start workers:', error);
     }
+
+    // Daily cost rollup, cache cleanup and data retention
+    startScheduler().catch((error) => {
+      logger.error('❌ Failed to start scheduler:', error);
+    });
   });
 }
 
@@ -17,6 +17,8 @@
 
 import supabase from './supabaseService.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { calculateCost } from '../config/model-pricing.js';
 import contextCacheService from './ContextCacheService.js';
 import {
   CONTEXT_TIER_CONFIGS,
@@ -448,8 +450,8 @@ class ContextAggregationService {
     try {
       const context = await this.aggregateContext(userId, targetResourceId);
 
-      // Estimate cost: $3 per 1M input tokens (Claude 3.5 Sonnet pricing)
-      const estimatedCost = (context.totalTokens / 1_000_000) * 3;
+      // Input cost of the context at the resource generation model's price
+      const estimatedCost = calculateCost({ inputTokens: context.totalTokens }, config.ai.resourceModel);
 
       // Get savings vs non-optimized
       const userResources = await this._getUserGeneratedResources(userId);
@@ -0,0 +1,632 @@
+/**
+ * AI Budget Service
+ *
+ * Configurable daily and monthly AI spend caps (ai_budget_caps) with
+ * soft-limit alerts (ai_budget_alerts). Checked by anthropicGatewayService
+ * before every call, on top of the env-configured default budgets.
+ *
+ * Which caps apply to a user:
+ * - their own user cap, or else the cap for their plan (free, trial, paid),
+ *   measured against their own spend
+ * - the cap of every organization they are an active member of, measured
+ *   against the pooled spend of all active members
+ *
+ * Crossing a warning threshold sends one alert (email + Slack) per cap,
+ * period and threshold; reaching 100% of a hard cap refuses further calls
+ * until the period resets (UTC day / UTC month). Spend is summed from
+ * ai_usage_metrics in the database (aiCostTrackingService.getSpendSince, so
+ * heavy spenders are not capped at PostgREST's max rows) and is cached for
+ * config.ai.budgetCacheTtlMs. Lookups that fail allow the call - caps must
+ * never take AI features down on their own.
+ *
+ * @module services/aiBudgetService
+ */
+
+import supabase from './supabaseService.js';
+import aiCostTrackingService from './aiCostTrackingService.js';
+import emailService from './emailService.js';
+import { getUserTier } from '../middleware/tierRateLimit.js';
+import { sendSlackMessage, isSlackConfigured } from '../lib/slackNotifier.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+export const CAP_SCOPES = ['user', 'plan', 'organization'];
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+export const DEFAULT_WARNING_THRESHOLDS = [50, 80, 90];
+
+// Plans a plan cap can target (see tierRateLimit getUserTier)
+export const CAP_PLANS = ['free', 'trial', 'paid'];
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Start of the current period and when it resets, in UTC
+ * @private
+ */
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'monthly') {
+    return {
+      start: new Date(Date.UTC(year, month, 1)),
+      resetsAt: new Date(Date.UTC(year, month + 1, 1))
+    };
+  }
+
+  const day = now.getUTCDate();
+  return {
+    start: new Date(Date.UTC(year, month, day)),
+    resetsAt: new Date(Date.UTC(year, month, day + 1))
+  };
+}
+
+/**
+ * NUMERIC columns come back as strings; NULL means no limit
+ * @private
+ */
+function limitFor(cap, period) {
+  const value = cap[`${period}_limit_usd`];
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Highest alert threshold (percent) the spend has crossed, or null
+ * @private
+ */
+function crossedThreshold(cap, spentUsd, limitUsd) {
+  const percent = limitUsd > 0 ? (spentUsd / limitUsd) * 100 : 100;
+  const thresholds = [...(cap.warning_thresholds || DEFAULT_WARNING_THRESHOLDS), 100]
+    .filter(threshold => percent >= threshold);
+
+  return thresholds.length > 0 ? Math.max(...thresholds) : null;
+}
+
+/**
+ * API shape of a cap row
+ * @private
+ */
+function toPublicCap(cap) {
+  return {
+    id: cap.id,
+    scopeType: cap.scope_type,
+    scopeId: cap.scope_id,
+    dailyLimitUsd: limitFor(cap, 'daily'),
+    monthlyLimitUsd: limitFor(cap, 'monthly'),
+    warningThresholds: cap.warning_thresholds,
+    hardCap: cap.hard_cap,
+    notes: cap.notes,
+    updatedBy: cap.updated_by,
+    createdAt: cap.created_at,
+    updatedAt: cap.updated_at
+  };
+}
+
+class AIBudgetService {
+  constructor() {
+    this.capsCache = null; // { caps: Map<'scope_type:scope_id', row>, fetchedAt }
+    this.tierCache = new Map(); // userId -> { tier, fetchedAt }
+    this.membershipCache = new Map(); // userId -> { organizationIds, fetchedAt }
+    this.memberCache = new Map(); // organizationId -> { userIds, fetchedAt }
+    this.spendCache = new Map(); // 'period:start:userIds' -> { amount, userIds, fetchedAt }
+    this.alertsSent = new Map(); // alert key -> period reset time (ms)
+  }
+
+  get cacheTtlMs() {
+    return config.ai.budgetCacheTtlMs;
+  }
+
+  /**
+   * List caps, optionally for one scope type
+   * @param {Object} [options]
+   * @param {string} [options.scopeType]
+   * @returns {Promise<Array>}
+   */
+  async listCaps({ scopeType } = {}) {
+    let query = supabase
+      .from('ai_budget_caps')
+      .select('*')
+      .order('scope_type', { ascending: true })
+      .order('scope_id', { ascending: true });
+
+    if (scopeType) {
+      query = query.eq('scope_type', scopeType);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(toPublicCap);
+  }
+
+  /**
+   * Create or replace the cap for a scope
+   *
+   * @param {string} scopeType - user, plan or organization
+   * @param {string} scopeId - User ID, plan name or organization ID
+   * @param {Object} settings
+   * @param {number|null} [settings.dailyLimitUsd] - null = no daily limit
+   * @param {number|null} [settings.monthlyLimitUsd] - null = no monthly limit
+   * @param {number[]} [settings.warningThresholds] - Percent of the limit
+   * @param {boolean} [settings.hardCap=true] - false = alerts only
+   * @param {string} [settings.notes]
+   * @param {string} [updatedBy] - Admin email
+   * @returns {Promise<Object>} The saved cap
+   */
+  async setCap(scopeType, scopeId, settings, updatedBy = null) {
+    const {
+      dailyLimitUsd = null,
+      monthlyLimitUsd = null,
+      warningThresholds = DEFAULT_WARNING_THRESHOLDS,
+      hardCap = true,
+      notes = null
+    } = settings;
+
+    const { data, error } = await supabase
+      .from('ai_budget_caps')
+      .upsert({
+        scope_type: scopeType,
+        scope_id: scopeId,
+        daily_limit_usd: dailyLimitUsd,
+        monthly_limit_usd: monthlyLimitUsd,
+        warning_thresholds: [...new Set(warningThresholds)].sort((a, b) => a - b),
+        hard_cap: hardCap,
+        notes,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'scope_type,scope_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    this.capsCache = null;
+    logger.info('[AIBudget] Cap saved', { scopeType, scopeId, dailyLimitUsd, monthlyLimitUsd, hardCap, updatedBy });
+
+    return toPublicCap(data);
+  }
+
+  /**
+   * Remove the cap for a scope
+   * @returns {Promise<boolean>} false when no cap existed
+   */
+  async deleteCap(scopeType, scopeId) {
+    const { data, error } = await supabase
+      .from('ai_budget_caps')
+      .delete()
+      .eq('scope_type', scopeType)
+      .eq('scope_id', scopeId)
+      .select('id');
+
+    if (error) throw error;
+
+    this.capsCache = null;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Alerts sent, newest first
+   * @param {Object} [options]
+   * @param {Date} [options.since]
+   * @param {string} [options.scopeType]
+   * @param {number} [options.limit=100]
+   * @returns {Promise<Array>}
+   */
+  async listAlerts({ since, scopeType, limit = 100 } = {}) {
+    let query = supabase
+      .from('ai_budget_alerts')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (since) query = query.gte('created_at', since.toISOString());
+    if (scopeType) query = query.eq('scope_type', scopeType);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(alert => ({
+      id: alert.id,
+      capId: alert.cap_id,
+      scopeType: alert.scope_type,
+      scopeId: alert.scope_id,
+      userId: alert.user_id,
+      period: alert.period,
+      periodStart: alert.period_start,
+      threshold: alert.threshold,
+      spentUsd: parseFloat(alert.spent_usd),
+      limitUsd: parseFloat(alert.limit_usd),
+      channels: alert.channels,
+      createdAt: alert.created_at
+    }));
+  }
+
+  /**
+   * Every cap that applies to a user, with current spend (admin review)
+   * @param {string} userId
+   * @returns {Promise<{userId: string, plan: string, caps: Array}>}
+   */
+  async getStatus(userId) {
+    const plan = await this.getPlan(userId);
+    const applicable = await this.resolveCaps(userId, plan);
+
+    const caps = [];
+    for (const { cap, userIds } of applicable) {
+      const periods = {};
+
+      for (const period of BUDGET_PERIODS) {
+        const limitUsd = limitFor(cap, period);
+        if (limitUsd === null) continue;
+
+        const { start, resetsAt } = periodBounds(period);
+        const spentUsd = await this.getSpend(period, start, userIds);
+
+        periods[period] = {
+          limitUsd,
+          spentUsd,
+          percentUsed: spentUsd === null || limitUsd === 0 ? null : Math.round((spentUsd / limitUsd) * 1000) / 10,
+          exceeded: spentUsd !== null && spentUsd >= limitUsd,
+          resetsAt: resetsAt.toISOString()
+        };
+      }
+
+      caps.push({ ...toPublicCap(cap), periods });
+    }
+
+    return { userId, plan, caps };
+  }
+
+  /**
+   * Check every cap that applies to a user
+   *
+   * Sends threshold alerts as a side effect (not awaited). Returns the first
+   * hard cap that is used up instead of throwing, so the gateway can raise
+   * AIBudgetExceededError.
+   *
+   * @param {string|null} userId
+   * @param {string} [operation]
+   * @returns {Promise<{allowed: boolean, exceeded?: {scope: string, scopeId: string, period: string, spentUsd: number, limitUsd: number, resetsAt: string}}>}
+   */
+  async checkBudget(userId, operation = 'anthropicCall') {
+    if (!userId) {
+      return { allowed: true };
+    }
+
+    let applicable;
+    try {
+      applicable = await this.resolveCaps(userId);
+    } catch (error) {
+      logger.warn('[AIBudget] Cap check skipped - cap lookup failed', { userId, error: error.message });
+      return { allowed: true };
+    }
+
+    let exceeded = null;
+
+    for (const { cap, userIds } of applicable) {
+      for (const period of BUDGET_PERIODS) {
+        const limitUsd = limitFor(cap, period);
+        if (limitUsd === null) continue;
+
+        const { start, resetsAt } = periodBounds(period);
+        const spentUsd = await this.getSpend(period, start, userIds);
+        if (spentUsd === null) continue;
+
+        const threshold = crossedThreshold(cap, spentUsd, limitUsd);
+        if (threshold !== null) {
+          this.sendAlert({ cap, userId, period, start, resetsAt, threshold, spentUsd, limitUsd })
+            .catch(error => logger.error('[AIBudget] Failed to send alert', { capId: cap.id, error: error.message }));
+        }
+
+        if (!exceeded && cap.hard_cap && spentUsd >= limitUsd) {
+          exceeded = {
+            scope: cap.scope_type,
+            scopeId: cap.scope_id,
+            period,
+            spentUsd,
+            limitUsd,
+            resetsAt: resetsAt.toISOString()
+          };
+        }
+      }
+    }
+
+    if (exceeded) {
+      logger.warn('[AIBudget] AI budget cap reached', { operation, userId, ...exceeded });
+      return { allowed: false, exceeded };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Add a just-completed call to cached spend so caps react before the next refresh
+   * @param {string|null} userId
+   * @param {number} cost - USD
+   */
+  recordSpend(userId, cost) {
+    if (!userId || !cost) return;
+
+    for (const cached of this.spendCache.values()) {
+      if (cached.userIds.includes(userId)) {
+        cached.amount += cost;
+      }
+    }
+  }
+
+  /**
+   * Caps that apply to a user: user cap (or plan cap), then organization caps
+   * @private
+   * @returns {Promise<Array<{cap: Object, userIds: string[]}>>}
+   */
+  async resolveCaps(userId, plan = null) {
+    const caps = await this.loadCaps();
+    if (caps.size === 0) {
+      return [];
+    }
+
+    const applicable = [];
+    const personalCap = caps.get(`user:${userId}`)
+      || caps.get(`plan:${plan || await this.getPlan(userId)}`);
+
+    if (personalCap) {
+      applicable.push({ cap: personalCap, userIds: [userId] });
+    }
+
+    const hasOrganizationCaps = [...caps.values()].some(cap => cap.scope_type === 'organization');
+    if (hasOrganizationCaps) {
+      for (const organizationId of await this.getOrganizationIds(userId)) {
+        const cap = caps.get(`organization:${organizationId}`);
+        if (cap) {
+          applicable.push({ cap, userIds: await this.getMemberIds(organizationId) });
+        }
+      }
+    }
+
+    return applicable;
+  }
+
+  /**
+   * All caps keyed by 'scope_type:scope_id' (cached)
+   * @private
+   */
+  async loadCaps() {
+    if (this.capsCache && Date.now() - this.capsCache.fetchedAt < this.cacheTtlMs) {
+      return this.capsCache.caps;
+    }
+
+    const { data, error } = await supabase.from('ai_budget_caps').select('*');
+    if (error) throw error;
+
+    const caps = new Map((data || []).map(cap => [`${cap.scope_type}:${cap.scope_id}`, cap]));
+    this.capsCache = { caps, fetchedAt: Date.now() };
+    return caps;
+  }
+
+  /**
+   * The user's plan for plan caps (cached)
+   * @private
+   */
+  async getPlan(userId) {
+    const cached = this.tierCache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.tier;
+    }
+
+    const tier = await getUserTier(userId);
+    this.tierCache.set(userId, { tier, fetchedAt: Date.now() });
+    return tier;
+  }
+
+  /**
+   * Organizations the user is an active member of (cached)
+   * @private
+   */
+  async getOrganizationIds(userId) {
+    const cached = this.membershipCache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.organizationIds;
+    }
+
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('organization_id')
+      .eq('user_id', userId)
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const organizationIds = (data || []).map(row => row.organization_id);
+    this.membershipCache.set(userId, { organizationIds, fetchedAt: Date.now() });
+    return organizationIds;
+  }
+
+  /**
+   * Active members whose spend counts toward an organization cap (cached)
+   * @private
+   */
+  async getMemberIds(organizationId) {
+    const cached = this.memberCache.get(organizationId);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.userIds;
+    }
+
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('user_id')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const userIds = (data || []).map(row => row.user_id);
+    this.memberCache.set(organizationId, { userIds, fetchedAt: Date.now() });
+    return userIds;
+  }
+
+  /**
+   * Spend of one or more users since the period start (cached)
+   * @private
+   * @returns {Promise<number|null>} USD spent, or null if unknown
+   */
+  async getSpend(period, start, userIds) {
+    const key = `${period}:${start.getTime()}:${userIds.join(',')}`;
+    const cached = this.spendCache.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+      return cached.amount;
+    }
+
+    const result = await aiCostTrackingService.getSpendSince(start, userIds.length === 1 ? userIds[0] : userIds);
+    if (!result.success) {
+      logger.warn('[AIBudget] Cap check skipped - spend lookup failed', { period, userIds, error: result.error });
+      return null;
+    }
+
+    // Entries from earlier periods are never read again
+    for (const [cachedKey, entry] of this.spendCache) {
+      if (entry.period === period && entry.start < start.getTime()) {
+        this.spendCache.delete(cachedKey);
+      }
+    }
+
+    const amount = result.data.total_cost_usd;
+    this.spendCache.set(key, { amount, userIds, period, start: start.getTime(), fetchedAt: Date.now() });
+    return amount;
+  }
+
+  /**
+   * Record and deliver a threshold alert, once per cap, period and threshold
+   *
+   * Plan and user caps alert the user whose spend crossed the threshold;
+   * organization caps alert the organization's owners and admins. The
+   * ai_budget_alerts unique index keeps multiple API instances from sending
+   * the same alert twice.
+   *
+   * @private
+   */
+  async sendAlert({ cap, userId, period, start, resetsAt, threshold, spentUsd, limitUsd }) {
+    const isOrganization = cap.scope_type === 'organization';
+    const periodStart = start.toISOString().split('T')[0];
+    const alertKey = [cap.id, isOrganization ? '' : userId, period, periodStart, threshold].join(':');
+
+    if (this.alertsSent.has(alertKey)) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, expiresAt] of this.alertsSent) {
+      if (expiresAt <= now) this.alertsSent.delete(key);
+    }
+    this.alertsSent.set(alertKey, resetsAt.getTime());
+
+    const { data: alert, error } = await supabase
+      .from('ai_budget_alerts')
+      .insert({
+        cap_id: cap.id,
+        scope_type: cap.scope_type,
+        scope_id: cap.scope_id,
+        user_id: isOrganization ? null : userId,
+        period,
+        period_start: periodStart,
+        threshold,
+        spent_usd: spentUsd,
+        limit_usd: limitUsd
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return; // Already sent by this or another instance
+      }
+      throw error;
+    }
+
+    const { subject, recipients } = await this.getAlertRecipients(cap, userId);
+    const details = {
+      subject,
+      period,
+      threshold,
+      spentUsd,
+      limitUsd,
+      hardCap: cap.hard_cap,
+      resetsAt: resetsAt.toISOString()
+    };
+    const channels = [];
+
+    let emailed = false;
+    for (const email of recipients) {
+      const result = await emailService.sendAIBudgetAlertEmail(email, details);
+      emailed = emailed || result.success;
+    }
+    if (emailed) channels.push('email');
+
+    if (isSlackConfigured()) {
+      const result = await sendSlackMessage({
+        text: threshold >= 100
+          ? `:no_entry: AI ${period} budget ${cap.hard_cap ? 'reached - AI calls blocked' : 'reached (warn only)'} for ${subject}`
+          : `:warning: ${threshold}% of the AI ${period} budget used for ${subject}`,
+        fields: {
+          Scope: `${cap.scope_type}: ${cap.scope_id}`,
+          User: userId,
+          Spent: `$${spentUsd.toFixed(2)}`,
+          Limit: `$${limitUsd.toFixed(2)}`,
+          Resets: details.resetsAt
+        }
+      });
+      if (result.success) channels.push('slack');
+    }
+
+    await supabase
+      .from('ai_budget_alerts')
+      .update({ channels })
+      .eq('id', alert.id);
+
+    logger.info('[AIBudget] Budget alert sent', {
+      capId: cap.id,
+      scopeType: cap.scope_type,
+      scopeId: cap.scope_id,
+      userId,
+      period,
+      threshold,
+      channels
+    });
+  }
+
+  /**
+   * Who is told about an alert, and how the budget is described to them
+   * @private
+   */
+  async getAlertRecipients(cap, userId) {
+    if (cap.scope_type === 'organization') {
+      const { data, error } = await supabase
+        .from('user_organizations')
+        .select('email, organizations(name)')
+        .eq('organization_id', cap.scope_id)
+        .eq('is_active', true)
+        .in('role', ['owner', 'admin']);
+
+      if (error) throw error;
+
+      return {
+        subject: data?.[0]?.organizations?.name || 'your organization',
+        recipients: [...new Set((data || []).map(row => row.email).filter(Boolean))]
+      };
+    }
+
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    if (error) {
+      logger.warn('[AIBudget] Could not look up alert recipient', { userId, error: error.message });
+    }
+
+    return {
+      subject: 'your account',
+      recipients: data?.user?.email ? [data.user.email] : []
+    };
+  }
+}
+
+// Export singleton instance
+export default new AIBudgetService();
@@ -256,6 +256,52 @@ class AICostTrackingService {
     }
   }
 
+  /**
+   * Get AI spend since a point in time (used for budget enforcement)
+   *
+   * Summed in the database (get_ai_spend_since) - a row select is capped at
+   * PostgREST's max rows and would undercount the heaviest spenders.
+   *
+   * @param {Date} since - Start of the window
+   * @param {string|string[]} [userId] - Limit to one user, or to a group such as
+   *   an organization's members (omit for platform-wide spend)
+   * @returns {Promise<Object>} Total cost and call count
+   */
+  async getSpendSince(since, userId = null) {
+    try {
+      const userIds = Array.isArray(userId) ? userId : (userId ? [userId] : null);
+
+      const { data, error } = await supabase
+        .rpc('get_ai_spend_since', {
+          p_since: since.toISOString(),
+          p_user_ids: userIds
+        });
+
+      if (error) {
+        logger.error('[AICostTracking] Failed to get spend', {
+          error: error.message,
+          userId
+        });
+        return { success: false, error: error.message };
+      }
+
+      const totals = data?.[0];
+
+      return {
+        success: true,
+        data: {
+          total_cost_usd: parseFloat(parseFloat(totals?.total_cost_usd || 0).toFixed(6)),
+          total_calls: Number(totals?.total_calls || 0)
+        }
+      };
+    } catch (error) {
+      logger.error('[AICostTracking] Unexpected error getting spend', {
+        error: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Aggregate costs for a specific date
    *
@@ -1,10 +1,21 @@
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { recordAIMetric, retryOperation } from '../middleware/performanceMonitoring.js';
+import { calculateCost as calculateModelCost } from '../config/model-pricing.js';
+import anthropicGateway, { isRetryableError } from './anthropicGatewayService.js';
+
+/**
+ * Whether a failed generation should return the static fallback: only
+ * transient upstream failures (rate limits, overload, 5xx, network). Budget,
+ * authentication, configuration and validation errors are rethrown so the
+ * caller can report them.
+ * @private
+ */
+function shouldUseFallback(error) {
+  return isRetryableError(error);
+}
 
 class AIService {
   constructor() {
-    this.anthropicApiKey = process.env.ANTHROPIC_API_KEY;
     this.openaiApiKey = process.env.OPENAI_API_KEY;
   }
 
@@ -17,46 +28,25 @@ class AIService {
     try {
       const prompt = this.buildICPPrompt(customerData, businessContext);
 
-      // Wrap API call with retry logic (max 3 retries)
-      const aiResponse = await retryOperation(
-        () => this.callAnthropicAPI(prompt, {
-          model: 'claude-3-opus-20240229',
-          max_tokens: 2000,
-          temperature: 0.7
-        }),
-        {
-          maxRetries: 3,
-          delayMs: 1000,
-          operationName: 'generateICP'
-        }
-      );
+      // Gateway handles retries, model fallback, budget checks and metrics
+      const aiResponse = await this.callAnthropicAPI(prompt, {
+        model: 'claude-3-opus-20240229',
+        max_tokens: 2000,
+        temperature: 0.7,
+        operation: 'generateICP',
+        userId: customerData.customerId
+      });
 
       const icpAnalysis = this.parseICPResponse(aiResponse.text);
 
       logger.info(`Generated ICP analysis for customer ${customerData.customerId}`);
 
-      // Calculate estimated cost
-      const estimatedCost = this.calculateCost(aiResponse.usage, aiResponse.model);
-
-      // Record successful AI call metric with token usage
-      recordAIMetric({
-        operation: 'generateICP',
-        duration: Date.now() - startTime,
-        success: true,
-        customerId: customerData.customerId,
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: aiResponse.model
-      });
-
       return {
         success: true,
         data: icpAnalysis,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-opus-20240229',
+          model: aiResponse.model,
           confidence: this.calculateConfidence(icpAnalysis),
           source: 'ai_generated',
           duration: Date.now() - startTime
@@ -65,14 +55,9 @@ class AIService {
     } catch (error) {
       logger.error(`Failed to generate ICP analysis: ${error.message}`);
 
-      // Record failed AI call metric
-      recordAIMetric({
-        operation: 'generateICP',
-        duration: Date.now() - startTime,
-        success: false,
-        error: error.message,
-        customerId: customerData.customerId
-      });
+      if (!shouldUseFallback(error)) {
+        throw error;
+      }
 
       return {
         success: false,
@@ -97,37 +82,33 @@ class AIService {
 
       logger.info(`Starting streaming ICP generation for customer ${customerData.customerId}`);
 
-      // Wrap streaming API call with retry logic
-      const aiResponse = await retryOperation(
-        () => this.callAnthropicAPIStreaming(
-          prompt,
-          {
-            model: 'claude-3-opus-20240229',
-            max_tokens: 2000,
-            temperature: 0.7
-          },
-          (progress, chunk) => {
-            // Map streaming progress to user-friendly stages
-            let stage = 'Andru is thinking...';
-            if (progress < 30) {
-              stage = 'Analyzing your product...';
-            } else if (progress < 60) {
-              stage = 'Identifying customer segments...';
-            } else if (progress < 90) {
-              stage = 'Crafting buyer personas...';
-            } else {
-              stage = 'Finalizing analysis...';
-            }
-
-            if (onProgress) {
-              onProgress(progress, stage);
-            }
-          }
-        ),
+      // Gateway handles retries (fewer for streaming - it's more expensive), fallback and metrics
+      const aiResponse = await this.callAnthropicAPIStreaming(
+        prompt,
         {
-          maxRetries: 2, // Fewer retries for streaming (it's more expensive)
-          delayMs: 1500,
-          operationName: 'generateICPStreaming'
+          model: 'claude-3-opus-20240229',
+          max_tokens: 2000,
+          temperature: 0.7,
+          operation: 'generateICPStreaming',
+          userId: customerData.customerId,
+          maxRetries: 2
+        },
+        (progress, chunk) => {
+          // Map streaming progress to user-friendly stages
+          let stage = 'Andru is thinking...';
+          if (progress < 30) {
+            stage = 'Analyzing your product...';
+          } else if (progress < 60) {
+            stage = 'Identifying customer segments...';
+          } else if (progress < 90) {
+            stage = 'Crafting buyer personas...';
+          } else {
+            stage = 'Finalizing analysis...';
+          }
+
+          if (onProgress) {
+            onProgress(progress, stage);
+          }
         }
       );
 
@@ -135,28 +116,12 @@ class AIService {
 
       logger.info(`Streaming ICP generation completed for customer ${customerData.customerId}`);
 
-      // Calculate estimated cost
-      const estimatedCost = this.calculateCost(aiResponse.usage, aiResponse.model);
-
-      // Record successful streaming AI call metric with token usage
-      recordAIMetric({
-        operation: 'generateICPStreaming',
-        duration: Date.now() - startTime,
-        success: true,
-        customerId: customerData.customerId,
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: aiResponse.model
-      });
-
       return {
         success: true,
         data: icpAnalysis,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-opus-20240229',
+          model: aiResponse.model,
           confidence: this.calculateConfidence(icpAnalysis),
           source: 'ai_generated',
           streaming: true,
@@ -166,14 +131,9 @@ class AIService {
     } catch (error) {
       logger.error(`Failed to generate streaming ICP analysis: ${error.message}`);
 
-      // Record failed AI call metric
-      recordAIMetric({
-        operation: 'generateICPStreaming',
-        duration: Date.now() - startTime,
-        success: false,
-        error: error.message,
-        customerId: customerData.customerId
-      });
+      if (!shouldUseFallback(error)) {
+        throw error;
+      }
 
       return {
         success: false,
@@ -192,46 +152,25 @@ class AIService {
     try {
       const prompt = this.buildCostCalculationPrompt(customerData, inputData);
 
-      // Wrap API call with retry logic
-      const aiResponse = await retryOperation(
-        () => this.callAnthropicAPI(prompt, {
-          model: 'claude-3-opus-20240229',
-          max_tokens: 1500,
-          temperature: 0.5
-        }),
-        {
-          maxRetries: 3,
-          delayMs: 1000,
-          operationName: 'generateCostCalculation'
-        }
-      );
+      // Gateway handles retries, model fallback, budget checks and metrics
+      const aiResponse = await this.callAnthropicAPI(prompt, {
+        model: 'claude-3-opus-20240229',
+        max_tokens: 1500,
+        temperature: 0.5,
+        operation: 'generateCostCalculation',
+        userId: customerData.customerId
+      });
 
       const costAnalysis = this.parseCostCalculationResponse(aiResponse.text, inputData);
 
       logger.info(`Generated cost calculation for customer ${customerData.customerId}`);
 
-      // Calculate estimated cost
-      const estimatedCost = this.calculateCost(aiResponse.usage, aiResponse.model);
-
-      // Record successful AI call metric with token usage
-      recordAIMetric({
-        operation: 'generateCostCalculation',
-        duration: Date.now() - startTime,
-        success: true,
-        customerId: customerData.customerId,
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: aiResponse.model
-      });
-
       return {
         success: true,
         data: costAnalysis,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-opus-20240229',
+          model: aiResponse.model,
           confidence: this.calculateConfidence(costAnalysis),
           source: 'ai_generated',
           duration: Date.now() - startTime
@@ -240,14 +179,9 @@ class AIService {
     } catch (error) {
       logger.error(`Failed to generate cost calculation: ${error.message}`);
 
-      // Record failed AI call metric
-      recordAIMetric({
-        operation: 'generateCostCalculation',
-        duration: Date.now() - startTime,
-        success: false,
-        error: error.message,
-        customerId: customerData.customerId
-      });
+      if (!shouldUseFallback(error)) {
+        throw error;
+      }
 
       return {
         success: false,
@@ -266,46 +200,25 @@ class AIService {
     try {
       const prompt = this.buildBusinessCasePrompt(customerData, requirements);
 
-      // Wrap API call with retry logic
-      const aiResponse = await retryOperation(
-        () => this.callAnthropicAPI(prompt, {
-          model: 'claude-3-opus-20240229',
-          max_tokens: 3000,
-          temperature: 0.6
-        }),
-        {
-          maxRetries: 3,
-          delayMs: 1000,
-          operationName: 'generateBusinessCase'
-        }
-      );
+      // Gateway handles retries, model fallback, budget checks and metrics
+      const aiResponse = await this.callAnthropicAPI(prompt, {
+        model: 'claude-3-opus-20240229',
+        max_tokens: 3000,
+        temperature: 0.6,
+        operation: 'generateBusinessCase',
+        userId: customerData.customerId
+      });
 
       const businessCase = this.parseBusinessCaseResponse(aiResponse.text);
 
       logger.info(`Generated business case for customer ${customerData.customerId}`);
 
-      // Calculate estimated cost
-      const estimatedCost = this.calculateCost(aiResponse.usage, aiResponse.model);
-
-      // Record successful AI call metric with token usage
-      recordAIMetric({
-        operation: 'generateBusinessCase',
-        duration: Date.now() - startTime,
-        success: true,
-        customerId: customerData.customerId,
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: aiResponse.model
-      });
-
       return {
         success: true,
         data: businessCase,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-opus-20240229',
+          model: aiResponse.model,
           confidence: this.calculateConfidence(businessCase),
           source: 'ai_generated',
           duration: Date.now() - startTime
@@ -314,14 +227,9 @@ class AIService {
     } catch (error) {
       logger.error(`Failed to generate business case: ${error.message}`);
 
-      // Record failed AI call metric
-      recordAIMetric({
-        operation: 'generateBusinessCase',
-        duration: Date.now() - startTime,
-        success: false,
-        error: error.message,
-        customerId: customerData.customerId
-      });
+      if (!shouldUseFallback(error)) {
+        throw error;
+      }
 
       return {
         success: false,
@@ -497,176 +405,62 @@ Format as JSON:
   }
 
   /**
-   * Call Anthropic Claude API
+   * Call Anthropic Claude API through the shared gateway
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - API options (model, max_tokens, temperature) plus
+   *   gateway options (operation, userId, maxRetries, fallbackModel)
+   * @returns {Promise<Object>} { text, usage, model, estimatedCost }
    */
   async callAnthropicAPI(prompt, options = {}) {
-    if (!this.anthropicApiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
-
     const modelToUse = options.model || 'claude-3-opus-20240229';
     logger.info(`🤖 Calling Anthropic API with model: ${modelToUse}`);
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': this.anthropicApiKey,
-        'Anthropic-Version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: modelToUse,
-        max_tokens: options.max_tokens || 2000,
-        temperature: options.temperature || 0.7,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
+    return anthropicGateway.createMessage({
+      ...options,
+      prompt,
+      model: modelToUse,
+      max_tokens: options.max_tokens || 2000,
+      temperature: options.temperature || 0.7,
+      operation: options.operation || 'callAnthropicAPI'
     });
-
-    if (!response.ok) {
-      throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-
-    // Extract token usage data from response
-    const usage = result.usage || {};
-    const responseText = result.content[0].text;
-
-    // Return both text and usage data
-    return {
-      text: responseText,
-      usage: {
-        inputTokens: usage.input_tokens || 0,
-        outputTokens: usage.output_tokens || 0,
-        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
-      },
-      model: modelToUse
-    };
   }
 
   /**
    * Call Anthropic Claude API with streaming
    * @param {string} prompt - The prompt to send
-   * @param {Object} options - API options
+   * @param {Object} options - API options (see callAnthropicAPI)
    * @param {Function} onProgress - Callback for progress updates (progress, chunk)
-   * @returns {Promise<string>} Complete response text
+   * @returns {Promise<Object>} { text, usage, model, estimatedCost }
    */
   async callAnthropicAPIStreaming(prompt, options = {}, onProgress = null) {
-    if (!this.anthropicApiKey) {
-      throw new Error('Anthropic API key not configured');
-    }
-
     const modelToUse = options.model || 'claude-3-opus-20240229';
     logger.info(`🤖 Calling Anthropic API (streaming) with model: ${modelToUse}`);
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': this.anthropicApiKey,
-        'Anthropic-Version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: modelToUse,
-        max_tokens: options.max_tokens || 2000,
-        temperature: options.temperature || 0.7,
-        stream: true, // Enable streaming
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
-    }
-
-    // Process the streaming response
-    let fullText = '';
-    let bytesReceived = 0;
-    let inputTokens = 0;
-    let outputTokens = 0;
-    const estimatedTotalBytes = (options.max_tokens || 2000) * 4; // Rough estimate: 4 bytes per token
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) break;
-
-        bytesReceived += value.length;
-        const chunk = decoder.decode(value, { stream: true });
-
-        // Parse SSE (Server-Sent Events) format
-        const lines = chunk.split('\n');
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-
-            // Skip control messages
-            if (data === '[DONE]' || !data.trim()) continue;
-
-            try {
-              const parsed = JSON.parse(data);
-
-              // Handle content_block_delta events (text chunks)
-              if (parsed.type === 'content_block_delta' && parsed.delta?.text) {
-                fullText += parsed.delta.text;
-
-                // Notify progress callback if provided
-                if (onProgress) {
-                  const progress = Math.min(95, Math.round((bytesReceived / estimatedTotalBytes) * 100));
-                  onProgress(progress, parsed.delta.text);
-                }
-              }
-
-              // Capture usage data from message_delta event
-              if (parsed.type === 'message_delta' && parsed.usage) {
-                outputTokens = parsed.usage.output_tokens || 0;
-              }
-
-              // Capture usage data from message_start event
-              if (parsed.type === 'message_start' && parsed.message?.usage) {
-                inputTokens = parsed.message.usage.input_tokens || 0;
-              }
-            } catch (e) {
-              // Skip unparseable lines
-            }
-          }
+    const estimatedTotalChars = (options.max_tokens || 2000) * 4; // Rough estimate: 4 characters per token
+
+    const result = await anthropicGateway.createMessage({
+      ...options,
+      prompt,
+      model: modelToUse,
+      max_tokens: options.max_tokens || 2000,
+      temperature: options.temperature || 0.7,
+      operation: options.operation || 'callAnthropicAPIStreaming',
+      onText: (delta, snapshot) => {
+        if (onProgress) {
+          const progress = Math.min(95, Math.round((snapshot.length / estimatedTotalChars) * 100));
+          onProgress(progress, delta);
         }
       }
+    });
 
-      // Final progress update
-      if (onProgress) {
-        onProgress(100, '');
-      }
+    // Final progress update
+    if (onProgress) {
+      onProgress(100, '');
+    }
 
-      logger.info(`🤖 Streaming complete: ${fullText.length} characters received`);
+    logger.info(`🤖 Streaming complete: ${result.text.length} characters received`);
 
-      // Return text and usage data
-      return {
-        text: fullText,
-        usage: {
-          inputTokens: inputTokens,
-          outputTokens: outputTokens,
-          totalTokens: inputTokens + outputTokens
-        },
-        model: modelToUse
-      };
-    } finally {
-      reader.releaseLock();
-    }
+    return result;
   }
 
   /**
@@ -789,25 +583,10 @@ Format as JSON:
 
   /**
    * Calculate cost of API call based on token usage
-   * Pricing as of November 2025
+   * Prices come from the central registry in config/model-pricing.js
    */
   calculateCost(usage, model) {
-    const { inputTokens, outputTokens } = usage;
-
-    // Pricing per 1M tokens (in dollars)
-    const pricing = {
-      'claude-3-opus-20240229': { input: 15, output: 75 },
-      'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-      'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-    };
-
-    const modelPricing = pricing[model] || pricing['claude-3-opus-20240229'];
-
-    const inputCost = (inputTokens / 1000000) * modelPricing.input;
-    const outputCost = (outputTokens / 1000000) * modelPricing.output;
-    const totalCost = inputCost + outputCost;
-
-    return parseFloat(totalCost.toFixed(6)); // Return cost in dollars (6 decimal precision)
+    return calculateModelCost(usage, model);
   }
 
   /**
@@ -0,0 +1,425 @@
+/**
+ * Anthropic Gateway Service
+ *
+ * Single entry point for every Claude call in the platform. Services,
+ * controllers and workers describe *what* they want (prompt, model,
+ * operation name, user) and the gateway handles *how*:
+ *
+ * - Daily budget enforcement (per user and platform-wide) before the call,
+ *   plus the admin-configured caps in aiBudgetService
+ * - Timeouts and retryOperation backoff on 408/409/429/5xx/connection errors
+ * - Fallback to a secondary model when the primary model is overloaded (529)
+ * - Cost calculation via config/model-pricing.js
+ * - One recordAIMetric call per request (success or failure)
+ *
+ * @module services/anthropicGatewayService
+ */
+
+import Anthropic, { APIConnectionError } from '@anthropic-ai/sdk';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { recordAIMetric, retryOperation } from '../middleware/performanceMonitoring.js';
+import { calculateCost } from '../config/model-pricing.js';
+import aiCostTrackingService from './aiCostTrackingService.js';
+import aiBudgetService from './aiBudgetService.js';
+
+/**
+ * Raised when a call is refused because an AI budget is used up
+ */
+export class AIBudgetExceededError extends Error {
+  /**
+   * @param {'user'|'plan'|'organization'|'platform'} scope - Which budget was exhausted
+   * @param {number} spentUsd - Spend so far this period
+   * @param {number} budgetUsd - Configured budget for the period
+   * @param {Object} [options]
+   * @param {'daily'|'monthly'} [options.period='daily']
+   * @param {string} [options.resetsAt] - ISO timestamp the period resets
+   */
+  constructor(scope, spentUsd, budgetUsd, { period = 'daily', resetsAt = null } = {}) {
+    super(budgetMessage(scope, period));
+    this.name = 'AIBudgetExceededError';
+    this.code = 'AI_BUDGET_EXCEEDED';
+    this.scope = scope;
+    this.period = period;
+    this.spentUsd = spentUsd;
+    this.budgetUsd = budgetUsd;
+    // Picked up by middleware/errorHandler.js
+    this.statusCode = scope === 'platform' ? 503 : 402;
+    this.budget = scope === 'platform'
+      ? undefined
+      : { scope, period, limitUsd: budgetUsd, spentUsd, resetsAt };
+  }
+}
+
+/**
+ * User-facing message for an exhausted budget
+ * @private
+ */
+function budgetMessage(scope, period) {
+  if (scope === 'platform') {
+    return 'AI features are temporarily unavailable. Please try again later.';
+  }
+
+  const retry = period === 'monthly' ? 'next month' : 'tomorrow';
+  const owner = scope === 'organization' ? 'your organization' : 'this account';
+  const limit = period === 'monthly' ? 'Monthly' : 'Daily';
+
+  return `${limit} AI usage limit reached for ${owner}. Please try again ${retry}.`;
+}
+
+/**
+ * Whether the API reported that the model is overloaded
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isOverloadedError(error) {
+  return error?.status === 529 || error?.error?.error?.type === 'overloaded_error';
+}
+
+/**
+ * Whether an error is worth retrying (transient API or network failure)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof AIBudgetExceededError) {
+    return false;
+  }
+  if (error instanceof APIConnectionError) {
+    return true;
+  }
+  return [408, 409, 429].includes(error?.status) || error?.status >= 500;
+}
+
+/**
+ * Start of the current UTC day
+ * @private
+ */
+function startOfUTCDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+class AnthropicGatewayService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.client] - Pre-built Anthropic client (tests)
+   * @param {Object} [options.settings] - Overrides for config.ai
+   * @param {Object} [options.budgetService] - Cap checks (defaults to aiBudgetService)
+   */
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.settings = { ...config.ai, ...options.settings };
+    this.budgetService = options.budgetService || aiBudgetService;
+    this.spendCache = new Map();
+  }
+
+  /**
+   * Lazily create the SDK client. SDK retries are disabled because the
+   * gateway owns retry/fallback behaviour.
+   * @private
+   */
+  getClient() {
+    if (!this.client) {
+      if (!process.env.ANTHROPIC_API_KEY) {
+        throw new Error('Anthropic API key not configured');
+      }
+
+      this.client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        maxRetries: 0,
+        timeout: this.settings.requestTimeoutMs
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a message to Claude
+   *
+   * @param {Object} request
+   * @param {string} request.operation - Operation name for metrics (e.g. 'generateICP')
+   * @param {string} request.model - Primary model
+   * @param {string} [request.prompt] - Single user prompt (shorthand for messages)
+   * @param {Array} [request.messages] - Full message list
+   * @param {string} [request.system] - System prompt
+   * @param {number} [request.max_tokens=2000]
+   * @param {number} [request.temperature]
+   * @param {Array} [request.tools] - Tool definitions (e.g. web search)
+   * @param {string|null} [request.userId] - User the call is billed to
+   * @param {string|null} [request.fallbackModel] - Model used on overload (null disables)
+   * @param {number} [request.maxRetries] - Retries per model
+   * @param {number} [request.timeoutMs] - Per-attempt timeout
+   * @param {Function} [request.onText] - Streams text deltas: (delta, snapshot) => void.
+   *   Once a delta has been emitted a failure is thrown as is - retrying or
+   *   falling back would stream a second response after the partial one.
+   * @param {Object} [request.metadata] - Extra metadata stored with the metric
+   * @returns {Promise<Object>} { text, content, usage, model, estimatedCost, stopReason, fallbackUsed, retryCount }
+   * @throws {AIBudgetExceededError} When a budget or cap is exhausted
+   */
+  async createMessage(request) {
+    const {
+      operation = 'anthropicCall',
+      model,
+      userId = null,
+      fallbackModel = this.settings.fallbackModel,
+      maxRetries = this.settings.maxRetries,
+      timeoutMs = this.settings.requestTimeoutMs,
+      onText = null,
+      metadata = {}
+    } = request;
+
+    if (!model) {
+      throw new Error('Anthropic gateway requires a model');
+    }
+
+    await this.checkBudget(userId, operation);
+
+    const models = fallbackModel && fallbackModel !== model ? [model, fallbackModel] : [model];
+    const startTime = Date.now();
+    let attempts = 0;
+    let lastError;
+
+    // Deltas already delivered to the caller cannot be taken back
+    let streamed = false;
+    const handleText = onText && ((delta, snapshot) => {
+      streamed = true;
+      onText(delta, snapshot);
+    });
+
+    for (let index = 0; index < models.length; index++) {
+      const modelToUse = models[index];
+      const hasFallback = index < models.length - 1;
+
+      try {
+        const message = await retryOperation(
+          () => {
+            attempts++;
+            return this.send(request, modelToUse, timeoutMs, handleText);
+          },
+          {
+            maxRetries,
+            delayMs: this.settings.retryDelayMs,
+            operationName: operation,
+            // Overload on a model with a fallback goes straight to the fallback
+            shouldRetry: (error) => !streamed && isRetryableError(error) && !(hasFallback && isOverloadedError(error))
+          }
+        );
+
+        return this.handleSuccess(message, {
+          operation,
+          userId,
+          requestedModel: model,
+          model: modelToUse,
+          startTime,
+          retryCount: attempts - 1,
+          metadata
+        });
+      } catch (error) {
+        lastError = error;
+
+        if (streamed) {
+          logger.warn('[AnthropicGateway] Stream failed after output was sent, not retrying', {
+            operation,
+            model: modelToUse,
+            error: error.message
+          });
+          break;
+        }
+
+        if (hasFallback && isOverloadedError(error)) {
+          logger.warn('[AnthropicGateway] Model overloaded, switching to fallback', {
+            operation,
+            model: modelToUse,
+            fallbackModel: models[index + 1]
+          });
+          continue;
+        }
+        break;
+      }
+    }
+
+    recordAIMetric({
+      operation,
+      duration: Date.now() - startTime,
+      success: false,
+      error: lastError.message,
+      customerId: userId,
+      model,
+      retryCount: Math.max(attempts - 1, 0),
+      metadata: { ...metadata, status: lastError.status }
+    });
+
+    throw lastError;
+  }
+
+  /**
+   * Perform a single API request (streaming when onText is provided)
+   * @private
+   */
+  async send(request, model, timeoutMs, onText) {
+    const body = {
+      model,
+      max_tokens: request.max_tokens || 2000,
+      messages: request.messages || [{ role: 'user', content: request.prompt }]
+    };
+
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (request.system) body.system = request.system;
+    if (request.tools) body.tools = request.tools;
+
+    const client = this.getClient();
+
+    if (onText) {
+      const stream = client.messages.stream(body, { timeout: timeoutMs });
+      stream.on('text', onText);
+      return stream.finalMessage();
+    }
+
+    return client.messages.create(body, { timeout: timeoutMs });
+  }
+
+  /**
+   * Normalize the API response, price it and record the metric
+   * @private
+   */
+  handleSuccess(message, context) {
+    const rawUsage = message.usage || {};
+    const usage = {
+      inputTokens: rawUsage.input_tokens || 0,
+      outputTokens: rawUsage.output_tokens || 0,
+      cacheCreationInputTokens: rawUsage.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: rawUsage.cache_read_input_tokens || 0,
+      totalTokens: (rawUsage.input_tokens || 0) + (rawUsage.output_tokens || 0)
+    };
+    const estimatedCost = calculateCost(usage, context.model);
+    const fallbackUsed = context.model !== context.requestedModel;
+
+    recordAIMetric({
+      operation: context.operation,
+      duration: Date.now() - context.startTime,
+      success: true,
+      customerId: context.userId,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.totalTokens,
+      estimatedCost,
+      model: context.model,
+      retryCount: context.retryCount,
+      metadata: fallbackUsed
+        ? { ...context.metadata, requestedModel: context.requestedModel, fallbackUsed }
+        : context.metadata
+    });
+
+    this.addSpend(context.userId, estimatedCost);
+    this.budgetService.recordSpend(context.userId, estimatedCost);
+
+    const text = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      content: message.content || [],
+      usage,
+      model: context.model,
+      estimatedCost,
+      stopReason: message.stop_reason,
+      fallbackUsed,
+      retryCount: context.retryCount
+    };
+  }
+
+  /**
+   * Refuse the call when the user's or the platform's daily budget, or a
+   * user/plan/organization cap from aiBudgetService, is used up
+   *
+   * Spend lookups are cached for budgetCacheTtlMs; if the lookup fails the
+   * call is allowed (budgets must never take AI features down on their own).
+   *
+   * @param {string|null} userId
+   * @param {string} [operation]
+   * @throws {AIBudgetExceededError}
+   */
+  async checkBudget(userId, operation = 'anthropicCall') {
+    const { dailyUserBudgetUsd, dailyPlatformBudgetUsd } = this.settings;
+
+    if (dailyPlatformBudgetUsd > 0) {
+      const spent = await this.getDailySpend(null);
+      if (spent !== null && spent >= dailyPlatformBudgetUsd) {
+        logger.warn('[AnthropicGateway] Platform daily AI budget exhausted', {
+          operation, spent, budget: dailyPlatformBudgetUsd
+        });
+        throw new AIBudgetExceededError('platform', spent, dailyPlatformBudgetUsd);
+      }
+    }
+
+    if (userId && dailyUserBudgetUsd > 0) {
+      const spent = await this.getDailySpend(userId);
+      if (spent !== null && spent >= dailyUserBudgetUsd) {
+        logger.warn('[AnthropicGateway] User daily AI budget exhausted', {
+          operation, userId, spent, budget: dailyUserBudgetUsd
+        });
+        throw new AIBudgetExceededError('user', spent, dailyUserBudgetUsd, {
+          resetsAt: new Date(startOfUTCDay().getTime() + 24 * 60 * 60 * 1000).toISOString()
+        });
+      }
+    }
+
+    const { allowed, exceeded } = await this.budgetService.checkBudget(userId, operation);
+    if (!allowed) {
+      throw new AIBudgetExceededError(exceeded.scope, exceeded.spentUsd, exceeded.limitUsd, {
+        period: exceeded.period,
+        resetsAt: exceeded.resetsAt
+      });
+    }
+  }
+
+  /**
+   * Today's spend for a user (or the platform when userId is null)
+   * @private
+   * @returns {Promise<number|null>} USD spent, or null if unknown
+   */
+  async getDailySpend(userId) {
+    const key = userId || '__platform__';
+    const dayStart = startOfUTCDay();
+    const cached = this.spendCache.get(key);
+
+    if (cached
+      && cached.day === dayStart.getTime()
+      && Date.now() - cached.fetchedAt < this.settings.budgetCacheTtlMs) {
+      return cached.amount;
+    }
+
+    const result = await aiCostTrackingService.getSpendSince(dayStart, userId);
+    if (!result.success) {
+      logger.warn('[AnthropicGateway] Budget check skipped - spend lookup failed', {
+        userId, error: result.error
+      });
+      return null;
+    }
+
+    const amount = result.data.total_cost_usd;
+    this.spendCache.set(key, { amount, day: dayStart.getTime(), fetchedAt: Date.now() });
+    return amount;
+  }
+
+  /**
+   * Add a just-completed call to cached spend so budgets react before the next refresh
+   * @private
+   */
+  addSpend(userId, cost) {
+    const keys = userId ? [userId, '__platform__'] : ['__platform__'];
+    for (const key of keys) {
+      const cached = this.spendCache.get(key);
+      if (cached) {
+        cached.amount += cost;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const anthropicGateway = new AnthropicGatewayService();
+export { AnthropicGatewayService };
+export default anthropicGateway;
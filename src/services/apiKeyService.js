@@ -0,0 +1,249 @@
+/**
+ * API Key Service
+ *
+ * Database-backed API keys for external integrations. Keys are stored as
+ * SHA-256 hashes together with a name, scopes, last-used timestamp,
+ * optional expiry and a revoked flag. The plaintext key is only available
+ * from createKey().
+ *
+ * Key format: hsp_<8 hex prefix>_<43 char base64url secret>
+ *
+ * Legacy stateless HMAC keys (hsp_<base64>.<signature>) are deprecated but
+ * still accepted, with a logged warning, so existing integrations can rotate.
+ * Set ENABLE_LEGACY_API_KEYS=false to reject them.
+ *
+ * @module services/apiKeyService
+ */
+
+import crypto from 'crypto';
+import supabase from './supabaseService.js';
+import authService from './authService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Scopes an API key can carry - mirrors the permissions used by requirePermission()
+ */
+export const API_KEY_SCOPES = ['read', 'write', 'export', 'premium'];
+
+/**
+ * Scopes granted when none are requested
+ */
+export const DEFAULT_API_KEY_SCOPES = ['read', 'write'];
+
+// Don't write last_used_at more than once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const KEY_PATTERN = /^hsp_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * SHA-256 hex digest of an API key
+ * @param {string} apiKey
+ * @returns {string}
+ */
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Shape a database row for API responses (never includes the hash)
+ * @private
+ */
+function toPublicKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revoked: row.revoked,
+    revokedAt: row.revoked_at
+  };
+}
+
+class ApiKeyService {
+  /**
+   * Create a new API key
+   *
+   * @param {string} userId - Owner (Supabase user / customer ID)
+   * @param {Object} options
+   * @param {string} options.name - Human-readable name (e.g. 'HubSpot sync')
+   * @param {string[]} [options.scopes] - Subset of API_KEY_SCOPES
+   * @param {Date|string|null} [options.expiresAt] - Optional expiry
+   * @returns {Promise<Object>} Public key record plus the plaintext `apiKey` (only time it is returned)
+   */
+  async createKey(userId, { name, scopes = DEFAULT_API_KEY_SCOPES, expiresAt = null }) {
+    const prefix = `hsp_${crypto.randomBytes(4).toString('hex')}`;
+    const apiKey = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_id: userId,
+        name,
+        key_hash: hashApiKey(apiKey),
+        key_prefix: prefix,
+        scopes: [...new Set(scopes)],
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[ApiKeyService] Failed to create API key', { userId, error: error.message });
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+
+    logger.info('[ApiKeyService] API key created', { userId, keyId: data.id, scopes: data.scopes });
+
+    return { ...toPublicKey(data), apiKey };
+  }
+
+  /**
+   * List a user's API keys (newest first)
+   *
+   * @param {string} userId
+   * @returns {Promise<Object[]>} Public key records
+   */
+  async listKeys(userId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[ApiKeyService] Failed to list API keys', { userId, error: error.message });
+      throw new Error(`Failed to list API keys: ${error.message}`);
+    }
+
+    return (data || []).map(toPublicKey);
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   *
+   * @param {string} userId
+   * @param {string} keyId
+   * @returns {Promise<Object|null>} Revoked key, or null if the user has no such key
+   */
+  async revokeKey(userId, keyId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked: true, revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[ApiKeyService] Failed to revoke API key', { userId, keyId, error: error.message });
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+
+    if (data) {
+      logger.info('[ApiKeyService] API key revoked', { userId, keyId });
+    }
+
+    return data ? toPublicKey(data) : null;
+  }
+
+  /**
+   * Verify an API key presented by a client
+   *
+   * @param {string} apiKey
+   * @returns {Promise<Object>} { valid, customerId, keyId, scopes, name } or { valid: false, reason }
+   */
+  async verifyKey(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith('hsp_')) {
+      return { valid: false, reason: 'Invalid API key format' };
+    }
+
+    if (!KEY_PATTERN.test(apiKey)) {
+      return this.verifyLegacyKey(apiKey);
+    }
+
+    const { data: key, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', hashApiKey(apiKey))
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[ApiKeyService] API key lookup failed', { error: error.message });
+      throw new Error(`API key lookup failed: ${error.message}`);
+    }
+
+    if (!key) {
+      return { valid: false, reason: 'Unknown API key' };
+    }
+
+    if (key.revoked) {
+      return { valid: false, reason: 'API key revoked' };
+    }
+
+    if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) {
+      return { valid: false, reason: 'API key expired' };
+    }
+
+    this.touchKey(key);
+
+    return {
+      valid: true,
+      customerId: key.user_id,
+      keyId: key.id,
+      name: key.name,
+      scopes: key.scopes || [],
+      generatedAt: key.created_at
+    };
+  }
+
+  /**
+   * Accept stateless HMAC keys issued before keys were stored, unless disabled
+   * @private
+   */
+  verifyLegacyKey(apiKey) {
+    if (!config.security.enableLegacyApiKeys) {
+      return { valid: false, reason: 'Legacy API keys are no longer accepted - create a new key' };
+    }
+
+    const validation = authService.validateApiKey(apiKey);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    logger.warn('[ApiKeyService] Deprecated legacy API key used - it stops working once ENABLE_LEGACY_API_KEYS=false', {
+      customerId: validation.customerId
+    });
+
+    // Legacy keys were never scoped - they act with the customer's full permissions
+    return { ...validation, keyId: null, scopes: API_KEY_SCOPES, legacy: true };
+  }
+
+  /**
+   * Record last use (non-blocking, throttled)
+   * @private
+   */
+  touchKey(key) {
+    const lastUsed = key.last_used_at ? new Date(key.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', key.id)
+      .then(({ error }) => {
+        if (error) {
+          logger.warn('[ApiKeyService] Failed to update last_used_at', { keyId: key.id, error: error.message });
+        }
+      });
+  }
+}
+
+// Export singleton instance
+export const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -141,19 +141,10 @@ class AuthService {
   }
 
   /**
-   * Generate API key for external integrations
-   */
-  generateApiKey(customerId) {
-    const timestamp = Date.now();
-    const random = crypto.randomBytes(16).toString('hex');
-    const payload = `${customerId}:${timestamp}:${random}`;
-    const signature = crypto.createHmac('sha256', this.jwtSecret).update(payload).digest('hex');
-    
-    return `hsp_${Buffer.from(payload).toString('base64')}.${signature}`;
-  }
-
-  /**
-   * Validate API key
+   * Validate legacy stateless API key (hsp_<base64>.<signature>)
+   *
+   * New keys are database-backed - see services/apiKeyService.js. This is
+   * only used until ENABLE_LEGACY_API_KEYS=false.
    */
   validateApiKey(apiKey) {
     try {
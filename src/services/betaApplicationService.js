@@ -0,0 +1,403 @@
+/**
+ * Beta Application Service
+ *
+ * Scores founding member beta applications when they are submitted and
+ * decides them (config.betaApplications thresholds):
+ * - high scores are approved and enrolled in the beta onboarding emails
+ * - the middle band stays pending in the admin review queue, where an admin
+ *   approves, waitlists or rejects it
+ * - lower scores are waitlisted or rejected
+ *
+ * Every decision sends the matching emailService message and is written to
+ * the beta_application_decisions audit log.
+ *
+ * @module services/betaApplicationService
+ */
+
+import supabase from './supabaseService.js';
+import emailService from './emailService.js';
+import lifecycleEmailService from './lifecycleEmailService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+export const DECISIONS = ['approved', 'waitlist', 'rejected'];
+
+const DECISION_EMAILS = {
+  approved: 'sendBetaApprovalEmail',
+  waitlist: 'sendBetaWaitlistEmail',
+  rejected: 'sendBetaRejectionEmail'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @private
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Score a beta application (100 points total)
+ *
+ * Job Title Fit (30 points):
+ * - Founder/CEO/Co-Founder: 30
+ * - VP/Director/Head of: 25
+ * - Manager/Lead: 15
+ * - Individual Contributor: 10
+ * - Student/Intern: 5
+ *
+ * Company Legitimacy (25 points):
+ * - Company name: 25
+ * - Minimal info (short name or a domain): 10
+ * - Missing or spam indicators: 0
+ *
+ * Product Description Quality (25 points):
+ * - Over 100 characters with B2B keywords (SaaS, B2B, enterprise, platform): 25
+ * - Over 50 characters: 20
+ * - Over 20 characters: 10
+ *
+ * Referral Source (15 points):
+ * - Personal referral/friend: 15
+ * - ProductHunt/Twitter/LinkedIn: 12
+ * - Google search: 8
+ * - Other: 5
+ *
+ * LinkedIn Profile (5 points bonus):
+ * - linkedin.com profile URL: +5
+ *
+ * @param {Object} application - beta_signups row
+ * @returns {{score: number, breakdown: Object}}
+ */
+export function calculateScore(application) {
+  let score = 0;
+  const breakdown = {};
+
+  // 1. Job Title Fit (30 points)
+  const jobTitle = application.job_title?.toLowerCase() || '';
+  if (jobTitle.includes('founder') || jobTitle.includes('ceo') || jobTitle.includes('co-founder')) {
+    breakdown.jobTitle = 30;
+  } else if (jobTitle.includes('vp') || jobTitle.includes('director') || jobTitle.includes('head of')) {
+    breakdown.jobTitle = 25;
+  } else if (jobTitle.includes('manager') || jobTitle.includes('lead')) {
+    breakdown.jobTitle = 15;
+  } else if (jobTitle.includes('student') || jobTitle.includes('intern')) {
+    breakdown.jobTitle = 5;
+  } else {
+    breakdown.jobTitle = 10; // Individual contributor
+  }
+  score += breakdown.jobTitle;
+
+  // 2. Company Legitimacy (25 points)
+  const company = application.company?.toLowerCase() || '';
+  const spamIndicators = ['test', 'asdf', 'none', 'n/a', 'example.com'];
+  const hasSpam = spamIndicators.some(indicator => company.includes(indicator));
+
+  if (hasSpam) {
+    breakdown.company = 0;
+  } else if (company.length > 3 && !company.includes('.')) {
+    breakdown.company = 25; // Real company name
+  } else if (company.length > 0) {
+    breakdown.company = 10; // Minimal info
+  } else {
+    breakdown.company = 0;
+  }
+  score += breakdown.company;
+
+  // 3. Product Description Quality (25 points)
+  const productDesc = application.product_description?.toLowerCase() || '';
+  const productLength = productDesc.length;
+  const hasB2BKeywords = productDesc.includes('saas') ||
+                         productDesc.includes('b2b') ||
+                         productDesc.includes('enterprise') ||
+                         productDesc.includes('platform');
+
+  if (productLength > 100 && hasB2BKeywords) {
+    breakdown.product = 25;
+  } else if (productLength > 50) {
+    breakdown.product = 20;
+  } else if (productLength > 20) {
+    breakdown.product = 10;
+  } else {
+    breakdown.product = 0;
+  }
+  score += breakdown.product;
+
+  // 4. Referral Source (15 points)
+  const source = application.referral_source?.toLowerCase() || '';
+  if (source.includes('personal') || source.includes('referral') || source.includes('friend')) {
+    breakdown.source = 15;
+  } else if (source.includes('producthunt') || source.includes('twitter') || source.includes('linkedin')) {
+    breakdown.source = 12;
+  } else if (source.includes('google') || source.includes('search')) {
+    breakdown.source = 8;
+  } else {
+    breakdown.source = 5;
+  }
+  score += breakdown.source;
+
+  // 5. LinkedIn Profile Bonus (5 points)
+  if (application.linkedin_profile && application.linkedin_profile.includes('linkedin.com')) {
+    breakdown.linkedin = 5;
+    score += 5;
+  } else {
+    breakdown.linkedin = 0;
+  }
+
+  return { score, breakdown };
+}
+
+/**
+ * Automatic decision for a score: approved, review, waitlist or rejected
+ *
+ * @param {number} score
+ * @returns {string}
+ */
+export function getDecision(score) {
+  const { autoApproveScore, reviewScore, waitlistScore } = config.betaApplications;
+
+  if (score >= autoApproveScore) return 'approved';
+  if (score >= reviewScore) return 'review';
+  if (score >= waitlistScore) return 'waitlist';
+  return 'rejected';
+}
+
+/**
+ * API shape of an application
+ * @private
+ */
+function formatApplication(row) {
+  return {
+    id: row.id,
+    fullName: row.full_name,
+    email: row.email,
+    company: row.company,
+    jobTitle: row.job_title,
+    productDescription: row.product_description,
+    referralSource: row.referral_source,
+    linkedinProfile: row.linkedin_profile,
+    status: row.status,
+    score: row.score ?? null,
+    scoreBreakdown: row.score_breakdown || null,
+    submittedAt: row.created_at,
+    processedAt: row.processed_at || null,
+    reviewedBy: row.reviewed_by || null
+  };
+}
+
+/**
+ * API shape of an audit entry
+ * @private
+ */
+function formatDecision(row) {
+  return {
+    id: row.id,
+    decision: row.decision,
+    score: row.score,
+    decidedBy: row.decided_by,
+    notes: row.notes,
+    emailSent: row.email_sent,
+    emailError: row.email_error,
+    createdAt: row.created_at
+  };
+}
+
+class BetaApplicationService {
+  /**
+   * Score a new application and decide it unless it falls in the review band
+   *
+   * @param {Object} signup - beta_signups row
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { status, score, breakdown, decision }
+   */
+  async processApplication(signup, now = new Date()) {
+    const { score, breakdown } = calculateScore(signup);
+    const decision = getDecision(score);
+    const status = decision === 'review' ? 'pending' : decision;
+
+    const { error } = await supabase
+      .from('beta_signups')
+      .update({
+        status,
+        score,
+        score_breakdown: breakdown,
+        processed_at: decision === 'review' ? null : now.toISOString()
+      })
+      .eq('id', signup.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info('[BetaApplications] Application scored', { signupId: signup.id, score, decision });
+
+    await this.applyDecision({ ...signup, score }, decision, { decidedBy: 'system' });
+
+    return { status, score, breakdown, decision };
+  }
+
+  /**
+   * Pending applications awaiting an admin decision, oldest first
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listReviewQueue({ limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from('beta_signups')
+      .select('*')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(formatApplication);
+  }
+
+  /**
+   * Get an application with its decision history
+   *
+   * @param {string} signupId
+   * @returns {Promise<Object>} Application with decisions (newest first)
+   */
+  async getApplication(signupId) {
+    const signup = await this.getSignup(signupId);
+
+    const { data, error } = await supabase
+      .from('beta_application_decisions')
+      .select('*')
+      .eq('beta_signup_id', signupId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return { ...formatApplication(signup), decisions: (data || []).map(formatDecision) };
+  }
+
+  /**
+   * Decide a pending application from the review queue
+   *
+   * @param {string} signupId
+   * @param {string} decision - approved, waitlist or rejected
+   * @param {Object} options
+   * @param {string} options.adminEmail
+   * @param {string} [options.notes]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Application with decisions
+   */
+  async decide(signupId, decision, { adminEmail, notes = null, now = new Date() }) {
+    if (!DECISIONS.includes(decision)) {
+      throw httpError(400, `Unknown decision: ${decision}`);
+    }
+
+    const signup = await this.getSignup(signupId);
+    if (signup.status !== 'pending') {
+      throw httpError(409, `Application is already ${signup.status}`);
+    }
+
+    // Only the first of two concurrent decisions updates the row
+    const { data: updated, error } = await supabase
+      .from('beta_signups')
+      .update({
+        status: decision,
+        processed_at: now.toISOString(),
+        reviewed_by: adminEmail
+      })
+      .eq('id', signupId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!updated) {
+      throw httpError(409, 'Application was decided by someone else');
+    }
+
+    logger.info('[BetaApplications] Application decided by admin', { signupId, decision, adminEmail });
+
+    await this.applyDecision(updated, decision, { decidedBy: adminEmail, notes });
+
+    return this.getApplication(signupId);
+  }
+
+  /**
+   * Send the decision email, enroll approvals in the onboarding sequence and
+   * write the audit entry. Email failures are recorded, not thrown.
+   * @private
+   */
+  async applyDecision(signup, decision, { decidedBy, notes = null }) {
+    let emailResult = null;
+
+    if (DECISION_EMAILS[decision]) {
+      try {
+        emailResult = await emailService[DECISION_EMAILS[decision]](signup.email, signup.full_name);
+      } catch (emailError) {
+        emailResult = { success: false, error: emailError.message };
+      }
+
+      if (!emailResult.success) {
+        logger.warn('[BetaApplications] Decision email failed', { signupId: signup.id, decision, error: emailResult.error });
+      }
+    }
+
+    if (decision === 'approved') {
+      try {
+        await lifecycleEmailService.enroll({ email: signup.email, fullName: signup.full_name, betaSignupId: signup.id });
+      } catch (enrollError) {
+        logger.error('[BetaApplications] Email sequence enrollment failed', { signupId: signup.id, error: enrollError.message });
+      }
+    }
+
+    const { error } = await supabase
+      .from('beta_application_decisions')
+      .insert({
+        beta_signup_id: signup.id,
+        email: signup.email,
+        decision,
+        score: signup.score ?? null,
+        decided_by: decidedBy,
+        notes,
+        email_sent: emailResult?.success === true,
+        email_error: emailResult?.success === false ? emailResult.error : null
+      });
+
+    if (error) {
+      logger.error('[BetaApplications] Failed to write decision audit entry', { signupId: signup.id, decision, error: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getSignup(signupId) {
+    if (!UUID_PATTERN.test(signupId)) {
+      throw httpError(404, 'Beta application not found');
+    }
+
+    const { data, error } = await supabase
+      .from('beta_signups')
+      .select('*')
+      .eq('id', signupId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!data) {
+      throw httpError(404, 'Beta application not found');
+    }
+    return data;
+  }
+}
+
+export default new BetaApplicationService();
@@ -0,0 +1,395 @@
+/**
+ * Billing Service
+ *
+ * Self-serve subscription management on top of Stripe:
+ * - plan changes between the plans in config.billing.plans, with a proration
+ *   preview whose proration date is passed back when the change is applied so
+ *   the customer is charged exactly what they were shown
+ * - resuming a subscription scheduled to cancel at period end
+ * - invoice history and PDF download links
+ * - Stripe customer portal sessions (payment methods, billing details)
+ *
+ * The Stripe customer is found on the customer record (customer_assets), or
+ * on the founding member payment milestone for payment-first signups.
+ *
+ * @module services/billingService
+ */
+
+import supabase from './supabaseService.js';
+import supabaseDataService from './supabaseDataService.js';
+import { stripe } from '../lib/stripeClient.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp * 1000).toISOString() : null);
+
+/**
+ * Plan key for a Stripe price id, or null for prices outside the catalog
+ * @private
+ */
+function findPlanKey(priceId) {
+  const entry = Object.entries(config.billing.plans).find(([, planPriceId]) => planPriceId === priceId);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * The subscription's licensed plan item (metered usage items are billed separately)
+ * @private
+ */
+function findPlanItem(subscription) {
+  return subscription.items?.data?.find(item => item.price?.recurring?.usage_type !== 'metered') || null;
+}
+
+/**
+ * The plan item, required for plan changes
+ * @private
+ */
+function getPlanItem(subscription) {
+  const item = findPlanItem(subscription);
+  if (!item) {
+    throw httpError(409, 'Subscription has no plan');
+  }
+  return item;
+}
+
+/**
+ * Format a Stripe subscription for API responses
+ * @private
+ */
+function formatSubscription(subscription) {
+  const item = findPlanItem(subscription);
+  const priceId = item?.price?.id || null;
+
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    plan: findPlanKey(priceId),
+    priceId,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    cancelAt: toDate(subscription.cancel_at),
+    currentPeriodEnd: toDate(subscription.current_period_end)
+  };
+}
+
+/**
+ * Format a Stripe invoice for API responses
+ * @private
+ */
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    currency: invoice.currency,
+    amountDue: invoice.amount_due,
+    amountPaid: invoice.amount_paid,
+    total: invoice.total,
+    createdAt: toDate(invoice.created),
+    periodStart: toDate(invoice.period_start),
+    periodEnd: toDate(invoice.period_end),
+    hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+    invoicePdf: invoice.invoice_pdf || null
+  };
+}
+
+/**
+ * Stripe ids recorded on a founding member's payment milestone
+ * @private
+ */
+async function findMilestoneAccount(userId) {
+  const { data: milestones, error } = await supabase
+    .from('user_milestones')
+    .select('stripe_customer_id, stripe_subscription_id')
+    .eq('user_id', userId)
+    .eq('milestone_type', 'waitlist_paid')
+    .order('completed_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const milestone = milestones?.[0];
+  if (!milestone?.stripe_customer_id) {
+    return null;
+  }
+
+  return {
+    stripeCustomerId: milestone.stripe_customer_id,
+    stripeSubscriptionId: milestone.stripe_subscription_id || null
+  };
+}
+
+class BillingService {
+  /**
+   * Stripe customer and subscription for a user
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email (customer record lookup)
+   * @returns {Promise<{stripeCustomerId: string, stripeSubscriptionId: string|null}>}
+   */
+  async getBillingAccount(userId, email) {
+    const customer = await supabaseDataService.getCustomerByEmail(email);
+
+    if (customer?.stripe_customer_id) {
+      return {
+        stripeCustomerId: customer.stripe_customer_id,
+        stripeSubscriptionId: customer.stripe_subscription_id || null
+      };
+    }
+
+    // Payment-first signups: the checkout webhook records Stripe ids on the milestone
+    const account = await findMilestoneAccount(userId);
+    if (!account) {
+      throw httpError(404, 'No billing account found');
+    }
+
+    return account;
+  }
+
+  /**
+   * Stripe customer and subscription for a user, without their email
+   * (background jobs). The customer record is keyed by the user id.
+   * @param {string} userId - Supabase user id
+   * @returns {Promise<{stripeCustomerId: string, stripeSubscriptionId: string|null}|null>}
+   */
+  async findBillingAccountByUserId(userId) {
+    const { data: customer, error } = await supabase
+      .from('customer_assets')
+      .select('stripe_customer_id, stripe_subscription_id')
+      .eq('customer_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (customer?.stripe_customer_id) {
+      return {
+        stripeCustomerId: customer.stripe_customer_id,
+        stripeSubscriptionId: customer.stripe_subscription_id || null
+      };
+    }
+
+    return findMilestoneAccount(userId);
+  }
+
+  /**
+   * Preview the invoice amounts of switching plans
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @param {Object} options
+   * @param {string} options.plan - Plan key from config.billing.plans
+   * @returns {Promise<Object>} Preview with the prorationDate to apply it with
+   */
+  async previewPlanChange(userId, email, { plan }) {
+    const { account, subscription, item, priceId } = await this.preparePlanChange(userId, email, plan);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const invoice = await stripe.invoices.createPreview({
+      customer: account.stripeCustomerId,
+      subscription: subscription.id,
+      subscription_details: {
+        items: [{ id: item.id, price: priceId }],
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate
+      }
+    });
+
+    const lines = invoice.lines?.data || [];
+    const prorationLines = lines.filter(line => line.proration);
+
+    return {
+      subscription: formatSubscription(subscription),
+      plan,
+      priceId,
+      prorationDate,
+      currency: invoice.currency,
+      prorationAmount: prorationLines.reduce((sum, line) => sum + line.amount, 0),
+      amountDue: invoice.amount_due,
+      nextPaymentAttempt: toDate(invoice.next_payment_attempt),
+      lines: lines.map(line => ({
+        description: line.description,
+        amount: line.amount,
+        proration: Boolean(line.proration),
+        periodStart: toDate(line.period?.start),
+        periodEnd: toDate(line.period?.end)
+      }))
+    };
+  }
+
+  /**
+   * Switch the subscription to another plan, prorating the current period
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @param {Object} options
+   * @param {string} options.plan - Plan key from config.billing.plans
+   * @param {number} [options.prorationDate] - From the preview, so amounts match it
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async changePlan(userId, email, { plan, prorationDate }) {
+    const { subscription, item, priceId } = await this.preparePlanChange(userId, email, plan);
+
+    if (prorationDate && prorationDate > Math.floor(Date.now() / 1000)) {
+      throw httpError(400, 'prorationDate cannot be in the future');
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price: priceId }],
+      proration_behavior: 'create_prorations',
+      ...(prorationDate && { proration_date: prorationDate })
+    });
+
+    logger.info('[Billing] Plan changed', {
+      userId,
+      subscriptionId: subscription.id,
+      fromPriceId: item.price?.id,
+      toPriceId: priceId
+    });
+
+    return formatSubscription(updated);
+  }
+
+  /**
+   * Undo a cancellation scheduled for the end of the billing period
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async resumeSubscription(userId, email) {
+    const { subscription } = await this.getSubscription(userId, email);
+
+    if (!subscription.cancel_at_period_end) {
+      throw httpError(409, 'Subscription is not scheduled to cancel');
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+
+    logger.info('[Billing] Subscription resumed', { userId, subscriptionId: subscription.id });
+
+    return formatSubscription(updated);
+  }
+
+  /**
+   * Invoices for the user's Stripe customer, newest first
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @param {string} [options.startingAfter] - Invoice id to page after
+   * @returns {Promise<{invoices: Object[], hasMore: boolean}>}
+   */
+  async listInvoices(userId, email, { limit = 10, startingAfter } = {}) {
+    const account = await this.getBillingAccount(userId, email);
+
+    const invoices = await stripe.invoices.list({
+      customer: account.stripeCustomerId,
+      limit,
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+
+    return {
+      invoices: invoices.data.map(formatInvoice),
+      hasMore: invoices.has_more
+    };
+  }
+
+  /**
+   * Download links for one of the user's invoices
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @param {string} invoiceId - Stripe invoice id
+   * @returns {Promise<Object>} Invoice with its PDF and hosted page URLs
+   */
+  async getInvoiceDownload(userId, email, invoiceId) {
+    const account = await this.getBillingAccount(userId, email);
+
+    let invoice;
+    try {
+      invoice = await stripe.invoices.retrieve(invoiceId);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw httpError(404, 'Invoice not found');
+      }
+      throw error;
+    }
+
+    // Don't reveal other customers' invoices
+    if (invoice.customer !== account.stripeCustomerId) {
+      throw httpError(404, 'Invoice not found');
+    }
+
+    if (!invoice.invoice_pdf) {
+      throw httpError(409, 'Invoice has not been finalized');
+    }
+
+    return formatInvoice(invoice);
+  }
+
+  /**
+   * Stripe customer portal session (payment methods, billing details)
+   * @param {string} userId - Supabase user id
+   * @param {string} email - User email
+   * @returns {Promise<{url: string}>}
+   */
+  async createPortalSession(userId, email) {
+    const account = await this.getBillingAccount(userId, email);
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: account.stripeCustomerId,
+      return_url: config.billing.portalReturnUrl
+    });
+
+    return { url: session.url };
+  }
+
+  /**
+   * The user's current Stripe subscription
+   * @private
+   */
+  async getSubscription(userId, email) {
+    const account = await this.getBillingAccount(userId, email);
+
+    if (!account.stripeSubscriptionId) {
+      throw httpError(404, 'No active subscription found');
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(account.stripeSubscriptionId);
+
+    if (subscription.status === 'canceled' || subscription.status === 'incomplete_expired') {
+      throw httpError(409, 'Subscription has ended');
+    }
+
+    return { account, subscription };
+  }
+
+  /**
+   * Checks shared by plan change previews and changes
+   * @private
+   */
+  async preparePlanChange(userId, email, plan) {
+    const priceId = config.billing.plans[plan];
+    if (!priceId) {
+      throw httpError(400, `Unknown plan: ${plan}`);
+    }
+
+    const { account, subscription } = await this.getSubscription(userId, email);
+    const item = getPlanItem(subscription);
+
+    if (item.price?.id === priceId) {
+      throw httpError(409, 'Subscription is already on this plan');
+    }
+
+    return { account, subscription, item, priceId };
+  }
+}
+
+// Create singleton instance
+const billingService = new BillingService();
+
+export default billingService;
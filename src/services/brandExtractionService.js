@@ -1,8 +1,9 @@
 /**
  * Brand Asset Extraction Service
  *
- * Extracts company logos and brand colors from websites using Playwright MCP.
- * Used to create branded PDF exports with customer logos and colors.
+ * Extracts company logos and brand colors from websites using a headless browser.
+ * Used to create branded PDF exports with customer logos and colors, and builds
+ * the brand kit (color roles, contrast checks, CSS/design-token exports).
  *
  * @module services/brandExtractionService
  */
@@ -192,7 +193,8 @@ class BrandExtractionService {
    * Extract brand assets from a company website
    *
    * @param {string} websiteUrl - Company website URL
-   * @param {Object} mcpTools - MCP tool functions (playwright)
+   * @param {Object} mcpTools - Browser session (lib/browserPool.js) or any
+   *   object with navigate, screenshot and evaluate methods
    * @returns {Promise<Object>} Extracted brand assets
    */
   async extractBrandAssets(websiteUrl, mcpTools = null) {
@@ -472,6 +474,168 @@ class BrandExtractionService {
     return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
   }
 
+  /**
+   * Parse a hex color (#RGB or #RRGGBB)
+   * Returns [r, g, b] where values are 0-255, or null if not a hex color
+   */
+  hexToRgb(hexColor) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hexColor || '').trim());
+    if (!match) return null;
+
+    const hex = match[1].length === 3
+      ? match[1].split('').map(char => char + char).join('')
+      : match[1];
+
+    return [
+      parseInt(hex.substring(0, 2), 16),
+      parseInt(hex.substring(2, 4), 16),
+      parseInt(hex.substring(4, 6), 16)
+    ];
+  }
+
+  /**
+   * Convert RGB (0-255) to uppercase #RRGGBB
+   */
+  rgbToHex(r, g, b) {
+    return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase()}`;
+  }
+
+  /**
+   * WCAG 2.x relative luminance of a hex color (0 = black, 1 = white)
+   */
+  getRelativeLuminance(hexColor) {
+    const [r, g, b] = this.hexToRgb(hexColor).map(value => {
+      const channel = value / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * WCAG 2.x contrast ratio between two hex colors (1 to 21)
+   */
+  getContrastRatio(foreground, background) {
+    const lighter = Math.max(this.getRelativeLuminance(foreground), this.getRelativeLuminance(background));
+    const darker = Math.min(this.getRelativeLuminance(foreground), this.getRelativeLuminance(background));
+
+    return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+  }
+
+  /**
+   * Build a brand kit from extracted brand assets
+   *
+   * Assigns the extracted colors to roles (primary, secondary, accent,
+   * background, text), deriving any role the site didn't provide, and checks
+   * WCAG contrast for the pairs exports actually render:
+   * - text, primary, secondary and accent on the background
+   * - onPrimary (white or text, whichever reads better) on primary buttons
+   */
+  buildBrandKit(brandAssets) {
+    const colors = (brandAssets?.colors || [])
+      .map(color => this.normalizeColor(String(color)))
+      .filter(color => this.hexToRgb(color))
+      .map(color => this.rgbToHex(...this.hexToRgb(color)))
+      .filter((color, index, arr) => arr.indexOf(color) === index);
+
+    const hsl = color => this.rgbToHsl(...this.hexToRgb(color));
+    const isNeutral = color => {
+      const [, s, l] = hsl(color);
+      return s < 0.15 || l < 0.2 || l > 0.92;
+    };
+    const hueDistance = (a, b) => {
+      const distance = Math.abs(hsl(a)[0] - hsl(b)[0]);
+      return Math.min(distance, 360 - distance);
+    };
+
+    const brandColors = colors.filter(color => !isNeutral(color));
+    const neutrals = colors.filter(isNeutral);
+
+    const primary = brandColors[0] || colors[0] || '#4F46E5';
+    const secondary = brandColors[1] || this.generateLighterShade(primary);
+
+    // Accent: remaining brand color furthest from primary on the color wheel,
+    // otherwise the complementary hue of primary
+    const accentCandidates = brandColors.slice(2).sort((a, b) => hueDistance(b, primary) - hueDistance(a, primary));
+    let accent = accentCandidates[0];
+    if (!accent) {
+      const [h, s, l] = hsl(primary);
+      accent = this.rgbToHex(...this.hslToRgb((h + 180) % 360, s, l));
+    }
+
+    const background = neutrals.find(color => hsl(color)[2] > 0.92) || '#FFFFFF';
+    const text = neutrals.find(color => hsl(color)[2] < 0.25 && this.getContrastRatio(color, background) >= 4.5) || '#111827';
+    const onPrimary = this.getContrastRatio('#FFFFFF', primary) >= this.getContrastRatio(text, primary) ? '#FFFFFF' : text;
+
+    const roles = { primary, secondary, accent, background, text, onPrimary };
+
+    const contrast = [
+      ['text', 'background'],
+      ['primary', 'background'],
+      ['secondary', 'background'],
+      ['accent', 'background'],
+      ['onPrimary', 'primary']
+    ].map(([foreground, backgroundRole]) => {
+      const ratio = this.getContrastRatio(roles[foreground], roles[backgroundRole]);
+      return {
+        foreground,
+        background: backgroundRole,
+        ratio,
+        aa: ratio >= 4.5,
+        aaLarge: ratio >= 3,
+        aaa: ratio >= 7
+      };
+    });
+
+    return {
+      colors: roles,
+      contrast,
+      warnings: contrast
+        .filter(check => !check.aaLarge)
+        .map(check => `${check.foreground} on ${check.background} has contrast ${check.ratio}:1 (below WCAG AA for large text)`),
+      logo: brandAssets?.logos?.[0]?.src || null,
+      sourceUrl: brandAssets?.sourceUrl || null,
+      fallback: !!brandAssets?.fallback
+    };
+  }
+
+  /**
+   * Export a brand kit as CSS custom properties
+   */
+  toCssVariables(brandKit) {
+    const lines = Object.entries(brandKit.colors)
+      .map(([role, color]) => `  --brand-${this.toKebabCase(role)}: ${color};`);
+
+    if (brandKit.logo) {
+      lines.push(`  --brand-logo-url: url("${brandKit.logo.replace(/["\\]/g, '\\$&')}");`);
+    }
+
+    return `:root {\n${lines.join('\n')}\n}\n`;
+  }
+
+  /**
+   * Export a brand kit as design tokens (W3C Design Tokens format)
+   */
+  toDesignTokens(brandKit) {
+    const color = Object.fromEntries(
+      Object.entries(brandKit.colors).map(([role, value]) => [this.toKebabCase(role), { $value: value, $type: 'color' }])
+    );
+
+    return {
+      brand: {
+        color,
+        ...(brandKit.logo && { logo: { $value: brandKit.logo, $description: 'Primary logo URL' } })
+      }
+    };
+  }
+
+  /**
+   * onPrimary → on-primary
+   */
+  toKebabCase(value) {
+    return value.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+  }
+
   /**
    * Get fallback brand assets when extraction fails
    */
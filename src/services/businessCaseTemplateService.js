@@ -0,0 +1,726 @@
+/**
+ * Business Case Template Service
+ *
+ * Versioned templates that drive business case generation: sections, key
+ * points, default implementation phases, risks, next steps and the ROI
+ * assumptions (benefit multiplier, payback period, investment breakdown and
+ * industry multipliers).
+ *
+ * - System templates (owner_user_id NULL) are managed by admins.
+ * - Users clone system or own templates and edit their copies.
+ * - Content is immutable per version: every content edit adds a version, and
+ *   generated business cases record the version they used.
+ * - The built-in pilot/full templates below are the default for their type
+ *   until an admin marks a system template as default.
+ *
+ * @module services/businessCaseTemplateService
+ */
+
+import supabase from './supabaseService.js';
+import logger from '../utils/logger.js';
+
+export const TEMPLATE_TYPES = ['pilot', 'full'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Industry multipliers applied to projected benefits, keyed by normalized
+ * industry name (see normalizeIndustry)
+ */
+export const DEFAULT_INDUSTRY_MULTIPLIERS = {
+  technology: 1.2,
+  software: 1.2,
+  saas: 1.2,
+  cybersecurity: 1.2,
+  fintech: 1.15,
+  finance: 1.1,
+  financial_services: 1.1,
+  banking: 1.1,
+  insurance: 1.05,
+  telecommunications: 1.05,
+  healthcare: 1.0,
+  life_sciences: 1.0,
+  biotech: 1.0,
+  professional_services: 1.0,
+  media: 0.95,
+  manufacturing: 0.9,
+  logistics: 0.9,
+  energy: 0.9,
+  ecommerce: 0.9,
+  construction: 0.85,
+  education: 0.85,
+  real_estate: 0.85,
+  retail: 0.8,
+  hospitality: 0.8,
+  government: 0.8,
+  nonprofit: 0.75
+};
+
+const DEFAULT_INVESTMENT_BREAKDOWN = {
+  platformLicense: 0.4,
+  implementation: 0.3,
+  training: 0.15,
+  support: 0.15
+};
+
+const BASE_RISKS = [
+  { risk: 'User adoption challenges', mitigation: 'Comprehensive training and change management' },
+  { risk: 'Technical integration issues', mitigation: 'Thorough testing and phased rollout' },
+  { risk: 'Resource allocation conflicts', mitigation: 'Clear project governance and stakeholder alignment' },
+  { risk: 'Complex approval processes', mitigation: 'Executive sponsorship and streamlined decision-making', companySizes: ['enterprise'] }
+];
+
+/**
+ * Templates shipped with the platform (version 1, read-only; clone to edit)
+ */
+export const BUILT_IN_TEMPLATES = {
+  'builtin-pilot': {
+    id: 'builtin-pilot',
+    name: 'Pilot Program Proposal',
+    type: 'pilot',
+    description: 'Low-risk evaluation with measurable success criteria',
+    version: 1,
+    content: {
+      duration: '3-6 months',
+      investmentRange: '$25,000-$75,000',
+      sections: [
+        'Executive Summary',
+        'Problem Statement',
+        'Proposed Solution',
+        'Success Metrics',
+        'Investment & ROI',
+        'Next Steps'
+      ],
+      keyPoints: [
+        'Low-risk evaluation period',
+        'Measurable success criteria',
+        'Clear path to full implementation'
+      ],
+      phases: [
+        { phase: 'Setup & Configuration', duration: '2-4 weeks', activities: ['System setup', 'Data integration', 'User training'] },
+        { phase: 'Pilot Execution', duration: '8-16 weeks', activities: ['User onboarding', 'Process optimization', 'Performance monitoring'] },
+        { phase: 'Evaluation & Next Steps', duration: '2-4 weeks', activities: ['Results analysis', 'ROI assessment', 'Expansion planning'] }
+      ],
+      risks: BASE_RISKS,
+      overallRiskLevel: 'Low',
+      nextSteps: [
+        'Finalize pilot scope and success criteria',
+        'Prepare pilot environment and user accounts',
+        'Schedule kickoff meeting and training sessions',
+        'Establish reporting and feedback mechanisms'
+      ],
+      roiAssumptions: {
+        benefitMultiplier: 1.5,
+        upsideFactor: 1.5,
+        paybackPeriod: '6-9 months',
+        opportunityCostMultiplier: 2,
+        investmentBreakdown: DEFAULT_INVESTMENT_BREAKDOWN,
+        industryMultipliers: DEFAULT_INDUSTRY_MULTIPLIERS,
+        defaultIndustryMultiplier: 1.0
+      }
+    }
+  },
+  'builtin-full': {
+    id: 'builtin-full',
+    name: 'Full Implementation Business Case',
+    type: 'full',
+    description: 'Organization-wide transformation with long-term value creation',
+    version: 1,
+    content: {
+      duration: '6-18 months',
+      investmentRange: '$100,000-$500,000',
+      sections: [
+        'Strategic Alignment',
+        'Current State Analysis',
+        'Solution Architecture',
+        'Financial Projections',
+        'Risk Assessment',
+        'Implementation Timeline'
+      ],
+      keyPoints: [
+        'Comprehensive transformation',
+        'Long-term value creation',
+        'Competitive advantage'
+      ],
+      phases: [
+        { phase: 'Foundation', duration: '4-8 weeks', activities: ['Infrastructure setup', 'System integration', 'Team preparation'] },
+        { phase: 'Implementation', duration: '3-9 months', activities: ['Rollout execution', 'User adoption', 'Process optimization'] },
+        { phase: 'Optimization', duration: '2-6 months', activities: ['Performance tuning', 'Advanced features', 'Scale preparation'] }
+      ],
+      risks: BASE_RISKS,
+      overallRiskLevel: 'Medium',
+      nextSteps: [
+        'Secure executive approval and resource allocation',
+        'Finalize technical requirements and integration plan',
+        'Establish project governance and communication plan',
+        'Begin vendor evaluation and contract negotiation'
+      ],
+      roiAssumptions: {
+        benefitMultiplier: 2.5,
+        upsideFactor: 1.5,
+        paybackPeriod: '12-18 months',
+        opportunityCostMultiplier: 2,
+        investmentBreakdown: DEFAULT_INVESTMENT_BREAKDOWN,
+        industryMultipliers: DEFAULT_INDUSTRY_MULTIPLIERS,
+        defaultIndustryMultiplier: 1.0
+      }
+    }
+  }
+};
+
+/**
+ * Normalize an industry name to a multiplier key: "Financial Services" ->
+ * "financial_services", "B2B SaaS" -> "b2b_saas"
+ *
+ * @param {string} industry
+ * @returns {string}
+ */
+export function normalizeIndustry(industry) {
+  return String(industry || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Multiplier for an industry: exact key, else the longest key contained as
+ * whole words ("healthcare_it" -> healthcare), else the template default
+ *
+ * @param {Object} roiAssumptions - Template ROI assumptions
+ * @param {string} industry
+ * @returns {{industryKey: string|null, multiplier: number}}
+ */
+export function getIndustryMultiplier(roiAssumptions, industry) {
+  const multipliers = roiAssumptions.industryMultipliers || {};
+  const normalized = normalizeIndustry(industry);
+
+  if (multipliers[normalized] !== undefined) {
+    return { industryKey: normalized, multiplier: multipliers[normalized] };
+  }
+
+  const words = `_${normalized}_`;
+  const partial = Object.keys(multipliers)
+    .filter(key => words.includes(`_${key}_`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (partial) {
+    return { industryKey: partial, multiplier: multipliers[partial] };
+  }
+
+  return { industryKey: null, multiplier: roiAssumptions.defaultIndustryMultiplier ?? 1.0 };
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize industry multiplier keys so lookups match normalizeIndustry()
+ * @private
+ */
+function normalizeContent(content) {
+  const multipliers = content.roiAssumptions?.industryMultipliers;
+  if (!multipliers) {
+    return content;
+  }
+
+  return {
+    ...content,
+    roiAssumptions: {
+      ...content.roiAssumptions,
+      industryMultipliers: Object.fromEntries(
+        Object.entries(multipliers).map(([industry, value]) => [normalizeIndustry(industry), value])
+      )
+    }
+  };
+}
+
+/**
+ * Apply a partial content update: top-level keys replace, roiAssumptions
+ * keys replace one level down (an industryMultipliers update replaces the table)
+ * @private
+ */
+function mergeContent(current, changes = {}) {
+  return normalizeContent({
+    ...current,
+    ...changes,
+    roiAssumptions: { ...current.roiAssumptions, ...changes.roiAssumptions }
+  });
+}
+
+/**
+ * Shape a template (and one of its versions) for API responses
+ * @private
+ */
+function toPublicTemplate(row, versionRow) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.case_type,
+    description: row.description,
+    owner: row.owner_user_id ? 'user' : 'system',
+    isDefault: row.is_default,
+    builtIn: false,
+    version: versionRow?.version ?? row.latest_version,
+    latestVersion: row.latest_version,
+    clonedFrom: row.cloned_from_template_id
+      ? { templateId: row.cloned_from_template_id, version: row.cloned_from_version }
+      : null,
+    content: versionRow?.content ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shape a built-in template like a stored one
+ * @private
+ */
+function toPublicBuiltIn(template, isDefault) {
+  return {
+    id: template.id,
+    name: template.name,
+    type: template.type,
+    description: template.description,
+    owner: 'system',
+    isDefault,
+    builtIn: true,
+    version: template.version,
+    latestVersion: template.version,
+    clonedFrom: null,
+    content: template.content,
+    createdAt: null,
+    updatedAt: null
+  };
+}
+
+/**
+ * Listing entry: template metadata plus the headline content fields
+ * @private
+ */
+function toSummary(template) {
+  const { content, ...rest } = template;
+  return {
+    ...rest,
+    duration: content?.duration,
+    investment: content?.investmentRange,
+    sections: content?.sections || [],
+    keyPoints: content?.keyPoints || []
+  };
+}
+
+class BusinessCaseTemplateService {
+  /**
+   * System templates (built-ins included until replaced by a default) and
+   * the user's own templates, latest versions
+   *
+   * @param {string|null} userId - null lists system templates only
+   * @param {Object} [options]
+   * @param {string} [options.type] - pilot or full
+   * @returns {Promise<Array>}
+   */
+  async listTemplates(userId, { type } = {}) {
+    if (type && !TEMPLATE_TYPES.includes(type)) {
+      return [];
+    }
+
+    let query = supabase
+      .from('business_case_templates')
+      .select('*, business_case_template_versions(version, content)')
+      .is('archived_at', null)
+      .order('created_at', { ascending: true });
+
+    query = userId
+      ? query.or(`owner_user_id.is.null,owner_user_id.eq.${userId}`)
+      : query.is('owner_user_id', null);
+
+    if (type) {
+      query = query.eq('case_type', type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to list templates', { userId, error: error.message });
+      throw new Error(`Failed to list business case templates: ${error.message}`);
+    }
+
+    const stored = (data || []).map(row => toPublicTemplate(
+      row,
+      row.business_case_template_versions?.find(version => version.version === row.latest_version)
+    ));
+
+    const defaultTypes = new Set(stored.filter(template => template.isDefault).map(template => template.type));
+    const builtIns = Object.values(BUILT_IN_TEMPLATES)
+      .filter(template => (!type || template.type === type) && !defaultTypes.has(template.type))
+      .map(template => toPublicBuiltIn(template, true));
+
+    return [...builtIns, ...stored].map(toSummary);
+  }
+
+  /**
+   * A template visible to the user, with the requested (default: latest)
+   * version's content and the version history
+   *
+   * @param {string|null} userId - null = system templates only (admin)
+   * @param {string} templateId - Template UUID or built-in id
+   * @param {Object} [options]
+   * @param {number} [options.version]
+   * @returns {Promise<Object>}
+   * @throws {Error} 404 when the template or version doesn't exist
+   */
+  async getTemplate(userId, templateId, { version } = {}) {
+    const builtIn = BUILT_IN_TEMPLATES[templateId];
+    if (builtIn) {
+      if (version && version !== builtIn.version) {
+        throw httpError(404, `Template version ${version} not found`);
+      }
+      const isDefault = !(await this.findDefault(builtIn.type));
+      return {
+        ...toPublicBuiltIn(builtIn, isDefault),
+        versions: [{ version: builtIn.version, changeNote: null, createdBy: null, createdAt: null }]
+      };
+    }
+
+    const row = await this.findTemplate(userId, templateId);
+    const { data: versions, error } = await supabase
+      .from('business_case_template_versions')
+      .select('version, content, change_note, created_by, created_at')
+      .eq('template_id', templateId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to load template versions', { templateId, error: error.message });
+      throw new Error(`Failed to load template versions: ${error.message}`);
+    }
+
+    const wanted = version || row.latest_version;
+    const versionRow = versions.find(entry => entry.version === wanted);
+    if (!versionRow) {
+      throw httpError(404, `Template version ${wanted} not found`);
+    }
+
+    return {
+      ...toPublicTemplate(row, versionRow),
+      versions: versions.map(entry => ({
+        version: entry.version,
+        changeNote: entry.change_note,
+        createdBy: entry.created_by,
+        createdAt: entry.created_at
+      }))
+    };
+  }
+
+  /**
+   * Template to generate a business case from: the chosen template (and
+   * version), else the default system template for the type, else the built-in
+   *
+   * @param {string|null} userId
+   * @param {Object} options
+   * @param {string} options.type - pilot or full
+   * @param {string} [options.templateId]
+   * @param {number} [options.templateVersion]
+   * @returns {Promise<{id: string, name: string, type: string, version: number, builtIn: boolean, content: Object}>}
+   * @throws {Error} 404 for unknown templates/versions, 400 when the template type doesn't match
+   */
+  async resolveTemplate(userId, { type, templateId, templateVersion }) {
+    let template;
+
+    if (templateId) {
+      template = await this.getTemplate(userId, templateId, { version: templateVersion });
+      if (template.type !== type) {
+        throw httpError(400, `Template "${template.name}" is a ${template.type} template, not ${type}`);
+      }
+    } else {
+      const defaultRow = await this.findDefault(type);
+      template = defaultRow
+        ? await this.getTemplate(null, defaultRow.id)
+        : toPublicBuiltIn(BUILT_IN_TEMPLATES[`builtin-${type}`], true);
+    }
+
+    return {
+      id: template.id,
+      name: template.name,
+      type: template.type,
+      version: template.version,
+      builtIn: template.builtIn,
+      content: template.content
+    };
+  }
+
+  /**
+   * Create a template at version 1
+   *
+   * @param {Object} template - { name, type, description?, content, isDefault? }
+   * @param {Object} options
+   * @param {string|null} options.ownerUserId - null = system template
+   * @param {string} options.createdBy - Admin email or user id
+   * @returns {Promise<Object>} The template with its content
+   */
+  async createTemplate({ name, type, description = null, content, isDefault = false }, { ownerUserId, createdBy }) {
+    if (isDefault) {
+      await this.clearDefault(type);
+    }
+
+    const { data: row, error } = await supabase
+      .from('business_case_templates')
+      .insert({
+        owner_user_id: ownerUserId,
+        name,
+        description,
+        case_type: type,
+        is_default: Boolean(isDefault),
+        latest_version: 1,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to create template', { name, error: error.message });
+      throw new Error(`Failed to create business case template: ${error.message}`);
+    }
+
+    const versionRow = await this.insertVersion(row.id, 1, normalizeContent(content), { createdBy, changeNote: 'Created' });
+
+    logger.info('[BusinessCaseTemplateService] Template created', { templateId: row.id, type, ownerUserId });
+    return toPublicTemplate(row, versionRow);
+  }
+
+  /**
+   * Copy a template the user can see into a new template they own
+   *
+   * @param {string} userId
+   * @param {string} templateId - Template UUID or built-in id
+   * @param {Object} [options]
+   * @param {string} [options.name] - Default: "<source name> (copy)"
+   * @param {number} [options.version] - Source version (default: latest)
+   * @returns {Promise<Object>}
+   */
+  async cloneTemplate(userId, templateId, { name, version } = {}) {
+    const source = await this.getTemplate(userId, templateId, { version });
+
+    const { data: row, error } = await supabase
+      .from('business_case_templates')
+      .insert({
+        owner_user_id: userId,
+        name: name || `${source.name} (copy)`,
+        description: source.description,
+        case_type: source.type,
+        latest_version: 1,
+        cloned_from_template_id: source.id,
+        cloned_from_version: source.version,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to clone template', { userId, templateId, error: error.message });
+      throw new Error(`Failed to clone business case template: ${error.message}`);
+    }
+
+    const versionRow = await this.insertVersion(row.id, 1, source.content, {
+      createdBy: userId,
+      changeNote: `Cloned from ${source.name} v${source.version}`
+    });
+
+    logger.info('[BusinessCaseTemplateService] Template cloned', { userId, templateId, newTemplateId: row.id });
+    return toPublicTemplate(row, versionRow);
+  }
+
+  /**
+   * Edit a template. Content changes add a version; name, description and
+   * default flag are updated in place.
+   *
+   * @param {string} templateId
+   * @param {Object} changes - { name?, description?, isDefault?, content?, changeNote? }
+   * @param {Object} options
+   * @param {string|null} options.ownerUserId - Owner the template must have (null = system)
+   * @param {string} options.updatedBy
+   * @returns {Promise<Object>} The template at its latest version
+   * @throws {Error} 404 when not found, 409 when another edit created the same version first
+   */
+  async updateTemplate(templateId, { name, description, isDefault, content, changeNote = null }, { ownerUserId, updatedBy }) {
+    const row = await this.findOwnedTemplate(templateId, ownerUserId);
+    const updates = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+
+    if (isDefault !== undefined && ownerUserId === null) {
+      if (isDefault && !row.is_default) {
+        await this.clearDefault(row.case_type);
+      }
+      updates.is_default = isDefault;
+    }
+
+    if (content) {
+      const current = await this.getTemplate(ownerUserId, templateId);
+      const version = row.latest_version + 1;
+
+      await this.insertVersion(templateId, version, mergeContent(current.content, content), { createdBy: updatedBy, changeNote });
+      updates.latest_version = version;
+    }
+
+    const { error } = await supabase
+      .from('business_case_templates')
+      .update(updates)
+      .eq('id', templateId);
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to update template', { templateId, error: error.message });
+      throw new Error(`Failed to update business case template: ${error.message}`);
+    }
+
+    logger.info('[BusinessCaseTemplateService] Template updated', {
+      templateId,
+      version: updates.latest_version || row.latest_version,
+      updatedBy
+    });
+
+    return this.getTemplate(ownerUserId, templateId);
+  }
+
+  /**
+   * Archive a template. Versions are kept so existing business cases can
+   * still be traced to their template.
+   *
+   * @param {string} templateId
+   * @param {Object} options
+   * @param {string|null} options.ownerUserId - Owner the template must have (null = system)
+   * @returns {Promise<void>}
+   */
+  async archiveTemplate(templateId, { ownerUserId }) {
+    await this.findOwnedTemplate(templateId, ownerUserId);
+
+    const { error } = await supabase
+      .from('business_case_templates')
+      .update({ archived_at: new Date().toISOString(), is_default: false })
+      .eq('id', templateId);
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to archive template', { templateId, error: error.message });
+      throw new Error(`Failed to archive business case template: ${error.message}`);
+    }
+
+    logger.info('[BusinessCaseTemplateService] Template archived', { templateId, ownerUserId });
+  }
+
+  /**
+   * Active template visible to the user (system or own)
+   * @private
+   */
+  async findTemplate(userId, templateId) {
+    if (!UUID_PATTERN.test(templateId)) {
+      throw httpError(404, 'Business case template not found');
+    }
+
+    const { data, error } = await supabase
+      .from('business_case_templates')
+      .select('*')
+      .eq('id', templateId)
+      .is('archived_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to load template', { templateId, error: error.message });
+      throw new Error(`Failed to load business case template: ${error.message}`);
+    }
+
+    if (!data || (data.owner_user_id && data.owner_user_id !== userId)) {
+      throw httpError(404, 'Business case template not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Active template with exactly this owner (null = system)
+   * @private
+   */
+  async findOwnedTemplate(templateId, ownerUserId) {
+    if (BUILT_IN_TEMPLATES[templateId]) {
+      throw httpError(400, 'Built-in templates are read-only; clone the template to edit it');
+    }
+
+    const row = await this.findTemplate(ownerUserId, templateId);
+    if ((row.owner_user_id || null) !== ownerUserId) {
+      throw httpError(404, 'Business case template not found');
+    }
+
+    return row;
+  }
+
+  /**
+   * Active default system template for a type
+   * @private
+   */
+  async findDefault(type) {
+    const { data, error } = await supabase
+      .from('business_case_templates')
+      .select('id, latest_version')
+      .eq('case_type', type)
+      .eq('is_default', true)
+      .is('owner_user_id', null)
+      .is('archived_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to load default template', { type, error: error.message });
+      throw new Error(`Failed to load default business case template: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Unset the current default system template for a type
+   * @private
+   */
+  async clearDefault(type) {
+    const { error } = await supabase
+      .from('business_case_templates')
+      .update({ is_default: false })
+      .eq('case_type', type)
+      .eq('is_default', true);
+
+    if (error) {
+      throw new Error(`Failed to clear default business case template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a template version
+   * @private
+   */
+  async insertVersion(templateId, version, content, { createdBy, changeNote }) {
+    const { data, error } = await supabase
+      .from('business_case_template_versions')
+      .insert({
+        template_id: templateId,
+        version,
+        content,
+        change_note: changeNote,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      throw httpError(409, 'Template was edited concurrently; reload and try again');
+    }
+
+    if (error) {
+      logger.error('[BusinessCaseTemplateService] Failed to save template version', { templateId, version, error: error.message });
+      throw new Error(`Failed to save business case template version: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default new BusinessCaseTemplateService();
@@ -0,0 +1,390 @@
+/**
+ * Cost of Inaction Service
+ *
+ * Single calculation engine behind the cost calculator endpoints
+ * (calculate, calculate-ai and compare), so every endpoint prices the same
+ * inputs the same way.
+ *
+ * FEATURES:
+ * - Four cost categories (lost revenue, operational inefficiencies,
+ *   competitive disadvantage, productivity losses) and ROI per scenario
+ * - Built-in scenarios (conservative / realistic / aggressive) and
+ *   user-defined ones: multiplier, input overrides, investment, benefit rate
+ * - Per-input ranges ({ min, max, mostLikely }); inputs without a range vary
+ *   by ±20% (rates capped at 1)
+ * - One-way sensitivity (tornado): total at each input's low and high value,
+ *   sorted by swing
+ * - Monte Carlo percentile bands (P10/P50/P90) from triangular distributions
+ *   over the ranges, drawn from a seeded RNG so runs are reproducible
+ *
+ * @module services/costOfInactionService
+ */
+
+/**
+ * Calculator inputs and their valid bounds
+ */
+export const COST_INPUTS = {
+  potentialDeals: { min: 0, max: 10000 },
+  averageDealSize: { min: 0, max: 10000000 },
+  conversionRate: { min: 0, max: 1 },
+  delayMonths: { min: 0, max: 24 },
+  currentOperatingCost: { min: 0, max: 100000000 },
+  inefficiencyRate: { min: 0, max: 1 },
+  employeeCount: { min: 1, max: 100000 },
+  averageSalary: { min: 0, max: 1000000 },
+  marketShare: { min: 0, max: 1 }
+};
+
+export const INPUT_NAMES = Object.keys(COST_INPUTS);
+
+/**
+ * Built-in scenarios: cost multiplier, investment and the share of the cost
+ * of inaction recovered as benefits
+ */
+export const BUILT_IN_SCENARIOS = {
+  conservative: { multiplier: 0.8, investment: 25000, benefitRate: 0.6 },
+  realistic: { multiplier: 1.0, investment: 50000, benefitRate: 0.8 },
+  aggressive: { multiplier: 1.3, investment: 100000, benefitRate: 1.0 }
+};
+
+export const SCENARIO_NAMES = Object.keys(BUILT_IN_SCENARIOS);
+
+// Variation applied to inputs without an explicit range
+const DEFAULT_RANGE_PCT = 0.2;
+
+const DEFAULT_ITERATIONS = 1000;
+const DEFAULT_SEED = 42;
+
+/**
+ * Cost categories: formula, description and calculation (before the scenario multiplier)
+ */
+const CATEGORIES = {
+  lostRevenue: {
+    formula: 'potentialDeals * averageDealSize * conversionRate * (delayMonths / 12)',
+    description: 'Revenue lost due to delayed sales cycles',
+    calculate: (i) => i.potentialDeals * i.averageDealSize * i.conversionRate * (i.delayMonths / 12)
+  },
+  operationalInefficiencies: {
+    formula: 'currentOperatingCost * inefficiencyRate * (delayMonths / 12)',
+    description: 'Costs from maintaining inefficient processes',
+    calculate: (i) => i.currentOperatingCost * i.inefficiencyRate * (i.delayMonths / 12)
+  },
+  competitiveDisadvantage: {
+    formula: 'marketShare * (potentialDeals * averageDealSize) * 0.08 * (delayMonths / 12)',
+    description: 'Market position erosion to competitors',
+    calculate: (i) => i.marketShare * (i.potentialDeals * i.averageDealSize) * 0.08 * (i.delayMonths / 12)
+  },
+  productivityLosses: {
+    formula: 'employeeCount * averageSalary * 0.05 * (delayMonths / 12)',
+    description: 'Employee time wasted on manual processes',
+    calculate: (i) => i.employeeCount * i.averageSalary * 0.05 * (i.delayMonths / 12)
+  }
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample a triangular distribution
+ * @private
+ */
+function sampleTriangular(random, { min, max, mostLikely }) {
+  if (max <= min) {
+    return min;
+  }
+
+  const u = random();
+  const split = (mostLikely - min) / (max - min);
+
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mostLikely - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mostLikely));
+}
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ * @private
+ */
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max);
+
+class CostOfInactionService {
+  /**
+   * Resolve a scenario name or definition
+   *
+   * @param {string|Object} scenario - Built-in name, or { name, multiplier?, inputs?, investment?, benefitRate? }
+   * @returns {{name: string, multiplier: number, inputs: Object, investment: number, benefitRate: number, custom: boolean}}
+   * @throws {Error} For unknown built-in names
+   */
+  resolveScenario(scenario = 'realistic') {
+    if (typeof scenario === 'string') {
+      const builtIn = BUILT_IN_SCENARIOS[scenario.toLowerCase()];
+      if (!builtIn) {
+        const error = new Error(`Invalid scenario: ${scenario}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return { name: scenario.toLowerCase(), inputs: {}, custom: false, ...builtIn };
+    }
+
+    const base = BUILT_IN_SCENARIOS.realistic;
+    return {
+      name: scenario.name,
+      multiplier: scenario.multiplier ?? base.multiplier,
+      inputs: scenario.inputs || {},
+      investment: scenario.investment ?? base.investment,
+      benefitRate: scenario.benefitRate ?? base.benefitRate,
+      custom: true
+    };
+  }
+
+  /**
+   * Cost of inaction for one scenario
+   *
+   * @param {Object} inputs - Values for every COST_INPUTS key
+   * @param {string|Object} [scenario='realistic']
+   * @param {Object} [options]
+   * @param {number} [options.investment] - Overrides the scenario's investment for ROI
+   * @returns {{scenario: string, inputs: Object, multiplier: number, summary: Object, categories: Object, roi: Object}}
+   */
+  calculate(inputs, scenario = 'realistic', options = {}) {
+    const resolved = this.resolveScenario(scenario);
+    const effectiveInputs = { ...inputs, ...resolved.inputs };
+    const totalCost = this.totalCost(effectiveInputs, resolved.multiplier);
+
+    const categories = {};
+    for (const [key, category] of Object.entries(CATEGORIES)) {
+      const value = category.calculate(effectiveInputs) * resolved.multiplier;
+      categories[key] = {
+        formula: category.formula,
+        value,
+        description: category.description,
+        percentage: totalCost > 0 ? (value / totalCost) * 100 : 0
+      };
+    }
+
+    return {
+      scenario: resolved.name,
+      inputs: effectiveInputs,
+      multiplier: resolved.multiplier,
+      summary: {
+        totalCost,
+        monthlyCost: totalCost / 12,
+        dailyCost: totalCost / 365
+      },
+      categories,
+      roi: this.roi(totalCost, {
+        investment: options.investment ?? resolved.investment,
+        benefitRate: resolved.benefitRate
+      })
+    };
+  }
+
+  /**
+   * Total cost of inaction (all categories, scenario multiplier applied)
+   * @param {Object} inputs
+   * @param {number} [multiplier=1]
+   * @returns {number}
+   */
+  totalCost(inputs, multiplier = 1) {
+    return Object.values(CATEGORIES)
+      .reduce((sum, category) => sum + category.calculate(inputs), 0) * multiplier;
+  }
+
+  /**
+   * ROI of acting now
+   *
+   * @param {number} totalCost - Cost of inaction
+   * @param {{investment: number, benefitRate: number}} profile
+   * @returns {{investment: number, benefits: number, roi: number|null, paybackMonths: number|null}}
+   */
+  roi(totalCost, { investment, benefitRate }) {
+    const benefits = totalCost * benefitRate;
+
+    return {
+      investment,
+      benefits,
+      roi: investment > 0 ? ((benefits - investment) / investment) * 100 : null,
+      paybackMonths: benefits > 0 ? investment / (benefits / 12) : null
+    };
+  }
+
+  /**
+   * ROI of a cost of inaction under each built-in scenario's investment profile
+   *
+   * @param {number} totalCost
+   * @param {number} [investment] - Replaces the built-in investments when provided
+   * @returns {Object<string, Object>} Keyed by built-in scenario name
+   */
+  roiScenarios(totalCost, investment) {
+    const scenarios = {};
+    for (const [name, profile] of Object.entries(BUILT_IN_SCENARIOS)) {
+      scenarios[name] = this.roi(totalCost, {
+        investment: investment ?? profile.investment,
+        benefitRate: profile.benefitRate
+      });
+    }
+    return scenarios;
+  }
+
+  /**
+   * Low / most likely / high value of every input
+   *
+   * @param {Object} inputs - Base values (used as mostLikely unless given)
+   * @param {Object<string, {min: number, max: number, mostLikely?: number}>} [ranges]
+   * @returns {Object<string, {min: number, max: number, mostLikely: number, source: 'user'|'default'}>}
+   */
+  resolveRanges(inputs, ranges = {}) {
+    const resolved = {};
+
+    for (const [name, bounds] of Object.entries(COST_INPUTS)) {
+      const base = inputs[name];
+      const range = ranges[name];
+
+      if (range) {
+        resolved[name] = {
+          min: range.min,
+          max: range.max,
+          mostLikely: clamp(range.mostLikely ?? base, range),
+          source: 'user'
+        };
+      } else {
+        resolved[name] = {
+          min: clamp(base * (1 - DEFAULT_RANGE_PCT), bounds),
+          max: clamp(base * (1 + DEFAULT_RANGE_PCT), bounds),
+          mostLikely: base,
+          source: 'default'
+        };
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * One-way sensitivity: move one input at a time to the ends of its range
+   *
+   * @param {Object} inputs
+   * @param {Object} [ranges] - See resolveRanges
+   * @param {string|Object} [scenario='realistic']
+   * @returns {{baseTotal: number, inputs: Array<{input: string, low: Object, high: Object, swing: number}>}}
+   *   Inputs sorted by swing, largest first (tornado order)
+   */
+  sensitivity(inputs, ranges = {}, scenario = 'realistic') {
+    const resolved = this.resolveScenario(scenario);
+    const base = { ...inputs, ...resolved.inputs };
+    const baseTotal = this.totalCost(base, resolved.multiplier);
+
+    const rows = Object.entries(this.resolveRanges(base, ranges)).map(([name, range]) => {
+      const lowTotal = this.totalCost({ ...base, [name]: range.min }, resolved.multiplier);
+      const highTotal = this.totalCost({ ...base, [name]: range.max }, resolved.multiplier);
+
+      return {
+        input: name,
+        low: { value: range.min, totalCost: lowTotal, change: lowTotal - baseTotal },
+        high: { value: range.max, totalCost: highTotal, change: highTotal - baseTotal },
+        swing: Math.abs(highTotal - lowTotal),
+        rangeSource: range.source
+      };
+    });
+
+    rows.sort((a, b) => b.swing - a.swing || a.input.localeCompare(b.input));
+
+    return { baseTotal, inputs: rows };
+  }
+
+  /**
+   * Monte Carlo simulation of the total cost
+   *
+   * Every input is drawn from a triangular distribution over its range.
+   * The same inputs, ranges and seed always produce the same result.
+   *
+   * @param {Object} inputs
+   * @param {Object} [ranges] - See resolveRanges
+   * @param {Object} [options]
+   * @param {string|Object} [options.scenario='realistic']
+   * @param {number} [options.iterations=1000]
+   * @param {number} [options.seed=42]
+   * @returns {{iterations: number, seed: number, p10: number, p50: number, p90: number, mean: number, min: number, max: number}}
+   */
+  simulate(inputs, ranges = {}, { scenario = 'realistic', iterations = DEFAULT_ITERATIONS, seed = DEFAULT_SEED } = {}) {
+    const resolved = this.resolveScenario(scenario);
+    const base = { ...inputs, ...resolved.inputs };
+    const inputRanges = Object.entries(this.resolveRanges(base, ranges));
+    const random = createSeededRandom(seed);
+    const totals = new Float64Array(iterations);
+
+    for (let i = 0; i < iterations; i++) {
+      const sample = {};
+      for (const [name, range] of inputRanges) {
+        sample[name] = sampleTriangular(random, range);
+      }
+      totals[i] = this.totalCost(sample, resolved.multiplier);
+    }
+
+    totals.sort();
+    const sum = totals.reduce((acc, value) => acc + value, 0);
+
+    return {
+      iterations,
+      seed,
+      p10: percentile(totals, 0.1),
+      p50: percentile(totals, 0.5),
+      p90: percentile(totals, 0.9),
+      mean: sum / iterations,
+      min: totals[0],
+      max: totals[iterations - 1]
+    };
+  }
+
+  /**
+   * Calculation plus the optional sensitivity and Monte Carlo analyses
+   *
+   * @param {Object} inputs
+   * @param {Object} [options]
+   * @param {string|Object} [options.scenario='realistic']
+   * @param {number} [options.investment]
+   * @param {Object} [options.ranges]
+   * @param {boolean} [options.sensitivity=false] - Include the tornado analysis
+   * @param {{iterations?: number, seed?: number}|null} [options.monteCarlo] - Include percentile bands
+   * @returns {Object} calculate() result plus roiScenarios, and sensitivity / simulation when requested
+   */
+  analyze(inputs, { scenario = 'realistic', investment, ranges = {}, sensitivity = false, monteCarlo = null } = {}) {
+    const result = this.calculate(inputs, scenario, { investment });
+    result.roiScenarios = this.roiScenarios(result.summary.totalCost, investment);
+
+    if (sensitivity) {
+      result.sensitivity = this.sensitivity(inputs, ranges, scenario);
+    }
+    if (monteCarlo) {
+      result.simulation = this.simulate(inputs, ranges, { scenario, ...monteCarlo });
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+export default new CostOfInactionService();
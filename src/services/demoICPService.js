@@ -1,18 +1,11 @@
-import Anthropic from '@anthropic-ai/sdk';
 import logger from '../utils/logger.js';
-import { recordAIMetric } from '../middleware/performanceMonitoring.js';
+import anthropicGateway from './anthropicGatewayService.js';
 
 /**
  * Lightweight ICP generation service for public demo page
- * Now includes token tracking for cost monitoring
+ * Token tracking and cost monitoring happen in the Anthropic gateway
  */
 class DemoICPService {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-  }
-
   /**
    * Generate demo ICP personas using narrative format
    * @param {string} productName - Product name
@@ -45,32 +38,12 @@ class DemoICPService {
       const duration = Date.now() - startTime;
       logger.info(`✅ Generated ${personasData.personas.length} personas in ${duration}ms`);
 
-      // Calculate cost
-      const estimatedCost = this.calculateCost(
-        aiResponse.usage.inputTokens,
-        aiResponse.usage.outputTokens,
-        'claude-3-5-haiku-20241022'
-      );
-
-      // Record AI metric with token tracking (no user ID for public demo)
-      recordAIMetric({
-        operation: 'demoICPGeneration',
-        duration,
-        success: true,
-        customerId: null, // Public demo - no user ID
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: 'claude-3-5-haiku-20241022'
-      });
-
       return {
         success: true,
         data: personasData,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-5-haiku-20241022',
+          model: aiResponse.model,
           duration,
           source: 'demo_generation'
         }
@@ -196,33 +169,17 @@ Generate the complete intelligence extraction now (Steps 1A, 1B, and EXACTLY 2 p
   }
 
   /**
-   * Call Anthropic Claude API using SDK
+   * Call Anthropic Claude API through the shared gateway
    */
   async callAnthropicAPI(prompt, options = {}) {
-    const modelToUse = options.model || 'claude-3-5-haiku-20241022';
-
-    const response = await this.anthropic.messages.create({
-      model: modelToUse,
+    return anthropicGateway.createMessage({
+      prompt,
+      model: options.model || 'claude-3-5-haiku-20241022',
       max_tokens: options.max_tokens || 3000,
       temperature: options.temperature || 0.8,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
+      operation: 'demoICPGeneration',
+      userId: null // Public demo - counts toward the platform budget only
     });
-
-    // Return text and usage data
-    return {
-      text: response.content[0].text,
-      usage: {
-        inputTokens: response.usage.input_tokens || 0,
-        outputTokens: response.usage.output_tokens || 0,
-        totalTokens: (response.usage.input_tokens || 0) + (response.usage.output_tokens || 0)
-      },
-      model: modelToUse
-    };
   }
 
   /**
@@ -357,32 +314,6 @@ Generate the complete intelligence extraction now (Steps 1A, 1B, and EXACTLY 2 p
       ]
     };
   }
-
-  /**
-   * Calculate cost in USD based on token usage
-   * Model pricing per 1M tokens:
-   * - Claude 3 Opus: $15 input / $75 output
-   * - Claude 3.5 Sonnet: $3 input / $15 output
-   * - Claude 3.5 Haiku: $0.25 input / $1.25 output
-   */
-  calculateCost(inputTokens, outputTokens, model) {
-    const pricing = {
-      'claude-3-opus-20240229': { input: 15, output: 75 },
-      'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-      'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-    };
-
-    const modelPricing = pricing[model];
-    if (!modelPricing) {
-      logger.warn(`Unknown model pricing: ${model}, using Haiku as fallback`);
-      return this.calculateCost(inputTokens, outputTokens, 'claude-3-5-haiku-20241022');
-    }
-
-    const inputCost = (inputTokens / 1_000_000) * modelPricing.input;
-    const outputCost = (outputTokens / 1_000_000) * modelPricing.output;
-
-    return parseFloat((inputCost + outputCost).toFixed(6));
-  }
 }
 
 export default new DemoICPService();
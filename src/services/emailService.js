@@ -8,6 +8,18 @@
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
 
+/**
+ * Escape user-supplied text (organization names, emails) for HTML templates
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 class EmailService {
   constructor() {
     this.isDevelopment = config.server.nodeEnv !== 'production';
@@ -103,9 +115,11 @@ class EmailService {
    * Send Week 1 check-in email
    * @param {string} email - Recipient email address
    * @param {string} fullName - Recipient full name
+   * @param {Object} [options]
+   * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe footer (lifecycle sequences)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendWeek1CheckIn(email, fullName) {
+  async sendWeek1CheckIn(email, fullName, options = {}) {
     const subject = "How's your first week with Andru? 🚀";
     const htmlBody = this._getWeek1CheckInHTML(fullName);
     const textBody = this._getWeek1CheckInText(fullName);
@@ -113,8 +127,7 @@ class EmailService {
     return this._sendEmail({
       to: email,
       subject,
-      html: htmlBody,
-      text: textBody
+      ...this._withUnsubscribeFooter({ html: htmlBody, text: textBody }, options.unsubscribeUrl)
     });
   }
 
@@ -122,9 +135,11 @@ class EmailService {
    * Send Week 2 NPS survey email
    * @param {string} email - Recipient email address
    * @param {string} fullName - Recipient full name
+   * @param {Object} [options]
+   * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe footer (lifecycle sequences)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendWeek2NPSSurvey(email, fullName) {
+  async sendWeek2NPSSurvey(email, fullName, options = {}) {
     const subject = "Quick question: Would you recommend Andru?";
     const htmlBody = this._getWeek2NPSSurveyHTML(fullName);
     const textBody = this._getWeek2NPSSurveyText(fullName);
@@ -132,8 +147,7 @@ class EmailService {
     return this._sendEmail({
       to: email,
       subject,
-      html: htmlBody,
-      text: textBody
+      ...this._withUnsubscribeFooter({ html: htmlBody, text: textBody }, options.unsubscribeUrl)
     });
   }
 
@@ -141,9 +155,11 @@ class EmailService {
    * Send Week 4 wins sharing email
    * @param {string} email - Recipient email address
    * @param {string} fullName - Recipient full name
+   * @param {Object} [options]
+   * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe footer (lifecycle sequences)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendWeek4WinsSharing(email, fullName) {
+  async sendWeek4WinsSharing(email, fullName, options = {}) {
     const subject = "Share your Andru wins! 🎉";
     const htmlBody = this._getWeek4WinsSharingHTML(fullName);
     const textBody = this._getWeek4WinsSharingText(fullName);
@@ -151,8 +167,7 @@ class EmailService {
     return this._sendEmail({
       to: email,
       subject,
-      html: htmlBody,
-      text: textBody
+      ...this._withUnsubscribeFooter({ html: htmlBody, text: textBody }, options.unsubscribeUrl)
     });
   }
 
@@ -160,13 +175,38 @@ class EmailService {
    * Send Week 8 founding member offer email
    * @param {string} email - Recipient email address
    * @param {string} fullName - Recipient full name
+   * @param {Object} [options]
+   * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe footer (lifecycle sequences)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendWeek8FoundingOffer(email, fullName) {
+  async sendWeek8FoundingOffer(email, fullName, options = {}) {
     const subject = "Lock in your $149/month lifetime pricing 🔐";
     const htmlBody = this._getWeek8FoundingOfferHTML(fullName);
     const textBody = this._getWeek8FoundingOfferText(fullName);
 
+    return this._sendEmail({
+      to: email,
+      subject,
+      ...this._withUnsubscribeFooter({ html: htmlBody, text: textBody }, options.unsubscribeUrl)
+    });
+  }
+
+  /**
+   * Send organization invitation email
+   * @param {string} email - Invitee email address
+   * @param {Object} invitation
+   * @param {string} invitation.organizationName
+   * @param {string} invitation.inviterEmail - Who sent the invitation
+   * @param {string} invitation.role - Role the invitee will get
+   * @param {string} invitation.acceptUrl - Link with the single-use invitation token
+   * @param {string} invitation.expiresAt - ISO timestamp
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendTeamInvitationEmail(email, invitation) {
+    const subject = `You're invited to join ${invitation.organizationName} on Andru`;
+    const htmlBody = this._getTeamInvitationHTML(invitation);
+    const textBody = this._getTeamInvitationText(invitation);
+
     return this._sendEmail({
       to: email,
       subject,
@@ -175,11 +215,37 @@ class EmailService {
     });
   }
 
+  /**
+   * Send AI budget warning / limit reached email
+   * @param {string} email - Recipient email address
+   * @param {Object} alert
+   * @param {string} alert.subject - Whose budget, e.g. 'your account' or 'Acme Sales'
+   * @param {string} alert.period - 'daily' or 'monthly'
+   * @param {number} alert.threshold - Percent of the limit crossed (100 = reached)
+   * @param {number} alert.spentUsd
+   * @param {number} alert.limitUsd
+   * @param {boolean} alert.hardCap - Whether AI features stop at the limit
+   * @param {string} alert.resetsAt - ISO timestamp the period resets
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendAIBudgetAlertEmail(email, alert) {
+    const subject = alert.threshold >= 100
+      ? `AI usage limit reached for ${alert.subject}`
+      : `${alert.threshold}% of the ${alert.period} AI budget used for ${alert.subject}`;
+
+    return this._sendEmail({
+      to: email,
+      subject,
+      html: this._getAIBudgetAlertHTML(alert),
+      text: this._getAIBudgetAlertText(alert)
+    });
+  }
+
   /**
    * Internal method to send email
    * @private
    */
-  async _sendEmail({ to, subject, html, text }) {
+  async _sendEmail({ to, subject, html, text, headers = {} }) {
     try {
       // Development mode - log email instead of sending
       if (this.isDevelopment) {
@@ -188,6 +254,9 @@ class EmailService {
         logger.info(`From: ${this.fromEmail}`);
         logger.info(`Reply-To: ${this.replyToEmail}`);
         logger.info(`Subject: ${subject}`);
+        for (const [name, value] of Object.entries(headers)) {
+          logger.info(`${name}: ${value}`);
+        }
         logger.info('---');
         logger.info(text);
         logger.info('===============================================\n');
@@ -211,7 +280,8 @@ class EmailService {
         replyTo: this.replyToEmail,
         subject,
         text,
-        html
+        html,
+        headers
       };
 
       const [response] = await sgMail.send(msg);
@@ -533,6 +603,32 @@ https://andru.ai
     `.trim();
   }
 
+  /**
+   * Append an unsubscribe link to HTML and plain text bodies, and add the
+   * List-Unsubscribe headers for mail clients' one-click unsubscribe (RFC 8058)
+   * @private
+   */
+  _withUnsubscribeFooter({ html, text }, unsubscribeUrl) {
+    if (!unsubscribeUrl) {
+      return { html, text };
+    }
+
+    const footer = `
+  <p style="margin: 20px 0 0 0; text-align: center; color: #9ca3af; font-size: 12px;">
+    Don't want these emails? <a href="${escapeHTML(unsubscribeUrl)}" style="color: #9ca3af;">Unsubscribe</a>
+  </p>
+</body>`;
+
+    return {
+      html: html.replace('</body>', footer.trim()),
+      text: `${text}\n\nDon't want these emails? Unsubscribe: ${unsubscribeUrl}`,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
   /**
    * Get Week 1 check-in email HTML template
    * @private
@@ -851,6 +947,140 @@ Questions? Reply to this email or jump into Slack anytime.
 
 Thank you for being a founding member and helping us build Andru!
 
+— Andru Team
+https://andru.ai
+    `.trim();
+  }
+
+  /**
+   * Get organization invitation email HTML template
+   * @private
+   */
+  _getTeamInvitationHTML({ organizationName, inviterEmail, role, acceptUrl, expiresAt }) {
+    const expires = new Date(expiresAt).toDateString();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Join ${escapeHTML(organizationName)} on Andru</title>
+</head>
+<body style="font-family: 'Red Hat Display', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, #3b82f6 0%, #8b5cf6 100%); padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 30px;">
+    <h1 style="color: white; margin: 0; font-size: 28px;">You're invited to ${escapeHTML(organizationName)}</h1>
+  </div>
+
+  <div style="background: #f9fafb; padding: 25px; border-radius: 8px; margin-bottom: 20px;">
+    <p style="margin: 0 0 15px 0;"><strong>${escapeHTML(inviterEmail)}</strong> invited you to join their team on Andru as a <strong>${escapeHTML(role)}</strong>.</p>
+    <p style="margin: 0;">You'll get the ICPs, resources and prospect lists your team shares — no need to generate them again.</p>
+  </div>
+
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="${escapeHTML(acceptUrl)}" style="background: #3b82f6; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Accept invitation</a>
+  </div>
+
+  <p style="margin: 25px 0 15px 0; font-size: 14px; color: #6b7280;">This invitation expires on ${expires}. If you weren't expecting it, you can ignore this email.</p>
+
+  <div style="border-top: 2px solid #e5e7eb; padding-top: 20px; margin-top: 30px; text-align: center; color: #6b7280; font-size: 14px;">
+    <p style="margin: 5px 0;">— Andru Team</p>
+    <p style="margin: 5px 0;"><a href="https://andru.ai" style="color: #3b82f6; text-decoration: none;">andru.ai</a></p>
+  </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Get organization invitation email plain text template
+   * @private
+   */
+  _getTeamInvitationText({ organizationName, inviterEmail, role, acceptUrl, expiresAt }) {
+    return `
+Hi,
+
+${inviterEmail} invited you to join ${organizationName} on Andru as a ${role}.
+
+You'll get the ICPs, resources and prospect lists your team shares — no need to generate them again.
+
+Accept the invitation: ${acceptUrl}
+
+This invitation expires on ${new Date(expiresAt).toDateString()}. If you weren't expecting it, you can ignore this email.
+
+— Andru Team
+https://andru.ai
+    `.trim();
+  }
+
+  /**
+   * What happens at the limit, for AI budget alert emails
+   * @private
+   */
+  _getAIBudgetAlertSummary({ subject, period, threshold, spentUsd, limitUsd, hardCap, resetsAt }) {
+    const resets = new Date(resetsAt).toUTCString();
+    const usage = `$${Number(spentUsd).toFixed(2)} of the $${Number(limitUsd).toFixed(2)} ${period} AI budget for ${subject} has been used (${threshold >= 100 ? 'limit reached' : `${threshold}%+`}).`;
+    const consequence = threshold >= 100
+      ? (hardCap
+        ? `AI features are paused until the budget resets on ${resets}.`
+        : 'This budget is set to warn only, so AI features keep working.')
+      : (hardCap
+        ? `AI features will pause when the limit is reached. The budget resets on ${resets}.`
+        : `The budget resets on ${resets}.`);
+
+    return { usage, consequence };
+  }
+
+  /**
+   * Get AI budget alert email HTML template
+   * @private
+   */
+  _getAIBudgetAlertHTML(alert) {
+    const { usage, consequence } = this._getAIBudgetAlertSummary(alert);
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI budget alert</title>
+</head>
+<body style="font-family: 'Red Hat Display', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: ${alert.threshold >= 100 ? '#dc2626' : '#f59e0b'}; padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 30px;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">${alert.threshold >= 100 ? 'AI usage limit reached' : 'AI budget warning'}</h1>
+  </div>
+
+  <div style="background: #f9fafb; padding: 25px; border-radius: 8px; margin-bottom: 20px;">
+    <p style="margin: 0 0 15px 0;">${escapeHTML(usage)}</p>
+    <p style="margin: 0;">${escapeHTML(consequence)}</p>
+  </div>
+
+  <p style="margin: 25px 0 15px 0;">Need a higher limit? Just reply to this email.</p>
+
+  <div style="border-top: 2px solid #e5e7eb; padding-top: 20px; margin-top: 30px; text-align: center; color: #6b7280; font-size: 14px;">
+    <p style="margin: 5px 0;">— Andru Team</p>
+    <p style="margin: 5px 0;"><a href="https://andru.ai" style="color: #3b82f6; text-decoration: none;">andru.ai</a></p>
+  </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Get AI budget alert email plain text template
+   * @private
+   */
+  _getAIBudgetAlertText(alert) {
+    const { usage, consequence } = this._getAIBudgetAlertSummary(alert);
+
+    return `
+${usage}
+
+${consequence}
+
+Need a higher limit? Just reply to this email.
+
 — Andru Team
 https://andru.ai
     `.trim();
@@ -0,0 +1,446 @@
+/**
+ * Export Rendering Service
+ *
+ * Renders generated resource content into downloadable files:
+ * - PDF via headless Chrome (a shared browser pool session prints an HTML layout)
+ * - DOCX via the docx library
+ * - JSON (pretty-printed resource payload)
+ * - CSV (flattened Category/Field/Value rows)
+ *
+ * PDF and DOCX share one intermediate document model (title + sections of
+ * blocks) so both formats present the same layout.
+ *
+ * @module services/exportRenderingService
+ */
+
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import { createBrowserSession } from '../lib/browserPool.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Content types and file extensions for each supported export format
+ */
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// Keys that carry bookkeeping rather than user-facing content
+const SKIPPED_CONTENT_KEYS = ['resourceId', 'generatedAt', 'format'];
+
+/**
+ * Turn a camelCase / snake_case key into a readable heading
+ *
+ * @param {string} key - Object key
+ * @returns {string} Human readable label
+ */
+function humanizeKey(key) {
+  return String(key)
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^./, c => c.toUpperCase());
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert an arbitrary content value into a flat list of layout blocks
+ *
+ * @param {*} value - Content value (string, array, object, primitive)
+ * @param {number} depth - Nesting depth (controls subheadings)
+ * @returns {Array<{type: string, text: string}>} Layout blocks
+ */
+function valueToBlocks(value, depth = 0) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  if (typeof value === 'string') {
+    return value
+      .split(/\n{2,}/)
+      .map(text => text.trim())
+      .filter(Boolean)
+      .map(text => ({ type: 'paragraph', text }));
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (item !== null && typeof item === 'object') {
+        return valueToBlocks(item, depth + 1);
+      }
+      return [{ type: 'bullet', text: String(item) }];
+    });
+  }
+
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([key]) => !SKIPPED_CONTENT_KEYS.includes(key))
+      .flatMap(([key, nested]) => {
+        if (nested !== null && typeof nested === 'object') {
+          return [
+            { type: 'subheading', text: humanizeKey(key), level: Math.min(depth + 1, 3) },
+            ...valueToBlocks(nested, depth + 1)
+          ];
+        }
+        if (nested === null || nested === undefined || nested === '') {
+          return [];
+        }
+        return [{ type: 'field', label: humanizeKey(key), text: String(nested) }];
+      });
+  }
+
+  return [{ type: 'paragraph', text: String(value) }];
+}
+
+/**
+ * Flatten nested objects into [path, value] pairs for CSV output
+ *
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @returns {Array<Array>} Flattened [key, value] pairs
+ */
+function flattenObject(obj, prefix = '') {
+  const flattened = [];
+
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    const newKey = prefix ? `${prefix}.${key}` : key;
+
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      flattened.push(...flattenObject(value, newKey));
+    } else if (Array.isArray(value)) {
+      const scalar = value.every(item => item === null || typeof item !== 'object');
+      if (scalar) {
+        flattened.push([newKey, value.join('; ')]);
+      } else {
+        value.forEach((item, index) => {
+          const itemKey = `${newKey}[${index}]`;
+          if (item === null || typeof item !== 'object') {
+            flattened.push([itemKey, item]);
+          } else {
+            flattened.push(...flattenObject(item, itemKey));
+          }
+        });
+      }
+    } else {
+      flattened.push([newKey, value]);
+    }
+  });
+
+  return flattened;
+}
+
+function toCSVCell(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+class ExportRenderingService {
+  /**
+   * Build the intermediate document model shared by PDF and DOCX output
+   *
+   * Mirrors the title/sections layout of exportController's
+   * generatePDFStructure so resource exports look like the other reports.
+   *
+   * @param {Object} resource - Resource row (title, description, content, metadata)
+   * @returns {Object} Document model { title, subtitle, generatedAt, sections }
+   */
+  buildDocument(resource) {
+    let content = resource.content;
+
+    if (typeof content === 'string') {
+      try {
+        content = JSON.parse(content);
+      } catch (error) {
+        // Markdown / plain text content is rendered as-is
+      }
+    }
+
+    const sections = [];
+
+    if (content && typeof content === 'object' && !Array.isArray(content)) {
+      // Markdown payloads from parseResourceOutput keep the text under `content`
+      if (typeof content.content === 'string' && Object.keys(content).every(k => k === 'content' || SKIPPED_CONTENT_KEYS.includes(k))) {
+        sections.push({ title: 'Content', blocks: valueToBlocks(content.content) });
+      } else {
+        for (const [key, value] of Object.entries(content)) {
+          if (SKIPPED_CONTENT_KEYS.includes(key)) continue;
+          const blocks = valueToBlocks(value);
+          if (blocks.length > 0) {
+            sections.push({ title: humanizeKey(key), blocks });
+          }
+        }
+      }
+    } else {
+      const blocks = valueToBlocks(content);
+      if (blocks.length > 0) {
+        sections.push({ title: 'Content', blocks });
+      }
+    }
+
+    return {
+      title: resource.title || resource.name || 'Resource Export',
+      subtitle: resource.description || '',
+      generatedAt: new Date().toISOString(),
+      sections
+    };
+  }
+
+  /**
+   * Render the document model as a standalone HTML page (used for PDF)
+   *
+   * @param {Object} document - Document model from buildDocument
+   * @returns {string} HTML markup
+   */
+  renderHTML(document) {
+    const renderBlocks = (blocks) => {
+      const html = [];
+      let bullets = [];
+
+      const flushBullets = () => {
+        if (bullets.length > 0) {
+          html.push(`<ul>${bullets.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`);
+          bullets = [];
+        }
+      };
+
+      for (const block of blocks) {
+        if (block.type === 'bullet') {
+          bullets.push(block.text);
+          continue;
+        }
+
+        flushBullets();
+
+        switch (block.type) {
+          case 'subheading':
+            html.push(`<h${block.level + 2}>${escapeHtml(block.text)}</h${block.level + 2}>`);
+            break;
+          case 'field':
+            html.push(`<p><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.text)}</p>`);
+            break;
+          default:
+            html.push(`<p>${escapeHtml(block.text)}</p>`);
+        }
+      }
+
+      flushBullets();
+      return html.join('\n');
+    };
+
+    const sectionsHtml = document.sections.map(section => `
+      <section>
+        <h2>${escapeHtml(section.title)}</h2>
+        ${renderBlocks(section.blocks)}
+      </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1f2937; font-size: 11pt; line-height: 1.5; }
+    h1 { font-size: 22pt; margin-bottom: 4px; }
+    h2 { font-size: 15pt; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 24px; }
+    h3, h4, h5 { margin-bottom: 4px; }
+    ul { margin: 2px 0; padding-left: 20px; }
+    .subtitle { color: #4b5563; margin-top: 0; }
+    .generated { color: #9ca3af; font-size: 9pt; }
+    section { page-break-inside: auto; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.title)}</h1>
+  ${document.subtitle ? `<p class="subtitle">${escapeHtml(document.subtitle)}</p>` : ''}
+  <p class="generated">Generated ${escapeHtml(new Date(document.generatedAt).toLocaleDateString('en-US'))}</p>
+  ${sectionsHtml}
+</body>
+</html>`;
+  }
+
+  /**
+   * Render a resource as a PDF using headless Chrome
+   *
+   * @param {Object} resource - Resource row
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderPDF(resource) {
+    const html = this.renderHTML(this.buildDocument(resource));
+
+    const session = await createBrowserSession();
+
+    try {
+      return await session.pdf(html, {
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20mm', bottom: '20mm', left: '18mm', right: '18mm' }
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Render a resource as a Word document
+   *
+   * @param {Object} resource - Resource row
+   * @returns {Promise<Buffer>} DOCX bytes
+   */
+  async renderDOCX(resource) {
+    const document = this.buildDocument(resource);
+    const headingLevels = [HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+    const children = [
+      new Paragraph({ text: document.title, heading: HeadingLevel.TITLE }),
+      ...(document.subtitle ? [new Paragraph({ text: document.subtitle })] : []),
+      new Paragraph({
+        children: [new TextRun({ text: `Generated ${new Date(document.generatedAt).toLocaleDateString('en-US')}`, italics: true })]
+      })
+    ];
+
+    for (const section of document.sections) {
+      children.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }));
+
+      for (const block of section.blocks) {
+        switch (block.type) {
+          case 'subheading':
+            children.push(new Paragraph({ text: block.text, heading: headingLevels[block.level - 1] }));
+            break;
+          case 'bullet':
+            children.push(new Paragraph({ text: block.text, bullet: { level: 0 } }));
+            break;
+          case 'field':
+            children.push(new Paragraph({
+              children: [new TextRun({ text: `${block.label}: `, bold: true }), new TextRun(block.text)]
+            }));
+            break;
+          default:
+            children.push(new Paragraph({ text: block.text }));
+        }
+      }
+    }
+
+    const doc = new Document({
+      title: document.title,
+      creator: 'H&S Revenue Intelligence Platform',
+      sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  /**
+   * Render a resource as pretty-printed JSON
+   *
+   * @param {Object} resource - Resource row
+   * @returns {Buffer} JSON bytes
+   */
+  renderJSON(resource) {
+    const payload = {
+      id: resource.id,
+      title: resource.title,
+      description: resource.description,
+      tier: resource.tier,
+      category: resource.category,
+      content: resource.content,
+      metadata: resource.metadata,
+      exportedAt: new Date().toISOString()
+    };
+
+    return Buffer.from(JSON.stringify(payload, null, 2), 'utf-8');
+  }
+
+  /**
+   * Render a resource as CSV (Category, Field, Value)
+   *
+   * @param {Object} resource - Resource row
+   * @returns {Buffer} CSV bytes
+   */
+  renderCSV(resource) {
+    const rows = [['Category', 'Field', 'Value']];
+
+    rows.push(['Resource', 'ID', resource.id]);
+    rows.push(['Resource', 'Title', resource.title]);
+    if (resource.description) rows.push(['Resource', 'Description', resource.description]);
+
+    let content = resource.content;
+    if (typeof content === 'string') {
+      try {
+        content = JSON.parse(content);
+      } catch (error) {
+        content = { content };
+      }
+    }
+
+    if (content && typeof content === 'object') {
+      flattenObject(content).forEach(([key, value]) => {
+        const [category, ...rest] = key.split('.');
+        rows.push([humanizeKey(category.replace(/\[\d+\]$/, '')), rest.length ? rest.join('.') : key, value]);
+      });
+    }
+
+    return Buffer.from(rows.map(row => row.map(toCSVCell).join(',')).join('\n'), 'utf-8');
+  }
+
+  /**
+   * Render a resource in the requested format
+   *
+   * @param {Object} resource - Resource row
+   * @param {string} format - One of pdf, docx, json, csv
+   * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+   */
+  async render(resource, format) {
+    const normalized = String(format).toLowerCase();
+    const formatInfo = EXPORT_FORMATS[normalized];
+
+    if (!formatInfo) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const startTime = Date.now();
+    let buffer;
+
+    switch (normalized) {
+      case 'pdf':
+        buffer = await this.renderPDF(resource);
+        break;
+      case 'docx':
+        buffer = await this.renderDOCX(resource);
+        break;
+      case 'json':
+        buffer = this.renderJSON(resource);
+        break;
+      case 'csv':
+        buffer = this.renderCSV(resource);
+        break;
+    }
+
+    logger.info('[ExportRendering] Rendered export', {
+      resourceId: resource.id,
+      format: normalized,
+      bytes: buffer.length,
+      durationMs: Date.now() - startTime
+    });
+
+    return { buffer, ...formatInfo };
+  }
+}
+
+// Export singleton instance
+export const exportRenderingService = new ExportRenderingService();
+
+export default exportRenderingService;
@@ -0,0 +1,223 @@
+/**
+ * Export Storage Service
+ *
+ * Persists rendered export files and serves them back for download:
+ * - File bytes live in a Supabase Storage bucket (shared across instances)
+ * - Export metadata lives in the resource_exports table
+ * - Download URLs are HMAC-signed with an expiry so they work from a plain
+ *   browser link (no Authorization header required)
+ *
+ * @module services/exportStorageService
+ */
+
+import crypto from 'crypto';
+import supabase from './supabaseService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const EXPORTS_BUCKET = process.env.EXPORTS_BUCKET || 'resource-exports';
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+
+class ExportStorageService {
+  /**
+   * Build a unique export ID (format prefix keeps IDs readable in logs)
+   *
+   * @param {string} format - Export format
+   * @param {string} resourceId - Resource ID
+   * @returns {string} Export ID
+   */
+  createExportId(format, resourceId) {
+    return `${format}_${resourceId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Sign an export ID + expiry so the download link can't be forged or reused after expiry
+   *
+   * @param {string} exportId - Export ID
+   * @param {number} expiresAtMs - Expiry timestamp in milliseconds
+   * @returns {string} Hex HMAC signature
+   */
+  sign(exportId, expiresAtMs) {
+    return crypto
+      .createHmac('sha256', config.jwt.secret)
+      .update(`${exportId}:${expiresAtMs}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a download link signature
+   *
+   * @param {string} exportId - Export ID
+   * @param {string|number} expires - Expiry timestamp from the query string
+   * @param {string} signature - Signature from the query string
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verifySignature(exportId, expires, signature) {
+    const expiresAtMs = parseInt(expires);
+
+    if (!expiresAtMs || !signature) {
+      return { valid: false, reason: 'Missing download signature' };
+    }
+
+    if (Date.now() > expiresAtMs) {
+      return { valid: false, reason: 'Download link expired' };
+    }
+
+    const expected = Buffer.from(this.sign(exportId, expiresAtMs));
+    const provided = Buffer.from(String(signature));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false, reason: 'Invalid download signature' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Build the signed download URL for an export
+   *
+   * @param {string} exportId - Export ID
+   * @param {number} expiresAtMs - Expiry timestamp in milliseconds
+   * @returns {string} Absolute download URL
+   */
+  buildDownloadUrl(exportId, expiresAtMs) {
+    const baseUrl = process.env.BACKEND_URL || config.server.apiBaseUrl;
+    const signature = this.sign(exportId, expiresAtMs);
+    return `${baseUrl}/api/exports/${encodeURIComponent(exportId)}?expires=${expiresAtMs}&signature=${signature}`;
+  }
+
+  /**
+   * Upload a rendered export and record its metadata
+   *
+   * @param {Object} params
+   * @param {string} params.exportId - Export ID
+   * @param {Buffer} params.buffer - File bytes
+   * @param {string} params.contentType - MIME type
+   * @param {string} params.fileName - Download file name
+   * @param {string} params.format - Export format
+   * @param {string} params.resourceId - Source resource ID
+   * @param {string} [params.userId] - Requesting user ID
+   * @returns {Promise<Object>} { exportId, downloadUrl, fileSize, expiresAt }
+   */
+  async saveExport({ exportId, buffer, contentType, fileName, format, resourceId, userId = null }) {
+    const storagePath = `${userId || 'anonymous'}/${exportId}/${fileName}`;
+    const expiresAtMs = Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000;
+    const expiresAt = new Date(expiresAtMs).toISOString();
+
+    const { error: uploadError } = await supabase.storage
+      .from(EXPORTS_BUCKET)
+      .upload(storagePath, buffer, { contentType, upsert: false });
+
+    if (uploadError) {
+      logger.error('[ExportStorage] Upload failed', { exportId, error: uploadError.message });
+      throw new Error(`Failed to store export file: ${uploadError.message}`);
+    }
+
+    const { error: insertError } = await supabase
+      .from('resource_exports')
+      .insert({
+        export_id: exportId,
+        user_id: userId,
+        resource_id: resourceId,
+        format,
+        file_name: fileName,
+        content_type: contentType,
+        file_size: buffer.length,
+        storage_path: storagePath,
+        expires_at: expiresAt
+      });
+
+    if (insertError) {
+      logger.error('[ExportStorage] Metadata insert failed', { exportId, error: insertError.message });
+      // Don't leave an orphaned file behind
+      await supabase.storage.from(EXPORTS_BUCKET).remove([storagePath]);
+      throw new Error(`Failed to record export: ${insertError.message}`);
+    }
+
+    logger.info('[ExportStorage] Export stored', { exportId, format, bytes: buffer.length });
+
+    return {
+      exportId,
+      downloadUrl: this.buildDownloadUrl(exportId, expiresAtMs),
+      fileSize: buffer.length,
+      expiresAt
+    };
+  }
+
+  /**
+   * Look up export metadata
+   *
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} resource_exports row or null
+   */
+  async getExportRecord(exportId) {
+    const { data, error } = await supabase
+      .from('resource_exports')
+      .select('*')
+      .eq('export_id', exportId)
+      .single();
+
+    if (error || !data) {
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch an export's file bytes
+   *
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} { record, buffer } or null when missing/expired
+   */
+  async getExportFile(exportId) {
+    const record = await this.getExportRecord(exportId);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.expires_at && new Date(record.expires_at).getTime() < Date.now()) {
+      logger.info('[ExportStorage] Export expired', { exportId });
+      return null;
+    }
+
+    const { data, error } = await supabase.storage
+      .from(EXPORTS_BUCKET)
+      .download(record.storage_path);
+
+    if (error || !data) {
+      logger.error('[ExportStorage] Download failed', { exportId, error: error?.message });
+      return null;
+    }
+
+    const buffer = Buffer.from(await data.arrayBuffer());
+
+    return { record, buffer };
+  }
+
+  /**
+   * Delete an export file and its metadata
+   *
+   * @param {string} exportId - Export ID
+   * @returns {Promise<boolean>} True if an export was deleted
+   */
+  async deleteExport(exportId) {
+    const record = await this.getExportRecord(exportId);
+
+    if (!record) {
+      return false;
+    }
+
+    await supabase.storage.from(EXPORTS_BUCKET).remove([record.storage_path]);
+    await supabase.from('resource_exports').delete().eq('export_id', exportId);
+
+    logger.info('[ExportStorage] Export deleted', { exportId });
+    return true;
+  }
+}
+
+// Export singleton instance
+export const exportStorageService = new ExportStorageService();
+
+export default exportStorageService;
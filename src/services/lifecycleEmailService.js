@@ -0,0 +1,531 @@
+/**
+ * Lifecycle Email Service
+ *
+ * Scheduled email sequences for beta users. Approved applicants are enrolled
+ * in the beta onboarding sequence; each step is a delayed job on the
+ * lifecycle-email queue that runs at the step's offset from enrollment
+ * (workers/lifecycleEmailWorker.js).
+ *
+ * When a step runs it is:
+ * - skipped if the user unsubscribed or converted to a paid subscription
+ * - deferred while an admin has paused the sequence; resuming pushes the
+ *   pending steps back by the time spent paused
+ * - otherwise sent with a signed unsubscribe link
+ *
+ * Every outcome is recorded once per step in email_sequence_sends, so a job
+ * that runs twice never sends twice.
+ *
+ * @module services/lifecycleEmailService
+ */
+
+import crypto from 'crypto';
+import supabase from './supabaseService.js';
+import emailService from './emailService.js';
+import { addLifecycleEmailJob } from '../lib/queue.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Sequences and their steps - `send` is the emailService method for the step
+ */
+export const SEQUENCES = {
+  beta_onboarding: {
+    name: 'Beta onboarding',
+    steps: [
+      { key: 'week1_check_in', offsetDays: 7, send: 'sendWeek1CheckIn' },
+      { key: 'week2_nps_survey', offsetDays: 14, send: 'sendWeek2NPSSurvey' },
+      { key: 'week4_wins_sharing', offsetDays: 28, send: 'sendWeek4WinsSharing' },
+      { key: 'week8_founding_offer', offsetDays: 56, send: 'sendWeek8FoundingOffer' }
+    ]
+  }
+};
+
+export const ENROLLMENT_STATUSES = ['active', 'paused', 'completed', 'unsubscribed', 'converted'];
+
+// customer_assets.subscription_status values that count as converted
+const CONVERTED_SUBSCRIPTION_STATUSES = ['active', 'trial', 'past_due'];
+
+/**
+ * @private
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Signature of an enrollment ID for unsubscribe links
+ * @private
+ */
+function sign(enrollmentId) {
+  return crypto
+    .createHmac('sha256', config.lifecycleEmails.unsubscribeSecret)
+    .update(enrollmentId)
+    .digest('base64url');
+}
+
+/**
+ * When a step is due, allowing for time spent paused
+ * @private
+ */
+function getStepDueAt(enrollment, step) {
+  return new Date(
+    new Date(enrollment.enrolled_at).getTime()
+    + step.offsetDays * DAY_MS
+    + (enrollment.paused_seconds || 0) * 1000
+  );
+}
+
+/**
+ * API shape of an enrollment, with the schedule of each step when sends are given
+ * @private
+ */
+function formatEnrollment(row, sends = null) {
+  const enrollment = {
+    id: row.id,
+    sequence: row.sequence_key,
+    email: row.email,
+    fullName: row.full_name,
+    betaSignupId: row.beta_signup_id,
+    status: row.status,
+    enrolledAt: row.enrolled_at,
+    pausedAt: row.paused_at,
+    pausedBy: row.paused_by,
+    unsubscribedAt: row.unsubscribed_at,
+    convertedAt: row.converted_at,
+    completedAt: row.completed_at
+  };
+
+  if (sends) {
+    const sendsByStep = new Map(sends.map(send => [send.step_key, send]));
+
+    enrollment.steps = SEQUENCES[row.sequence_key].steps.map(step => {
+      const send = sendsByStep.get(step.key);
+      return {
+        key: step.key,
+        offsetDays: step.offsetDays,
+        dueAt: getStepDueAt(row, step).toISOString(),
+        status: send?.status || 'scheduled',
+        processedAt: send?.processed_at || null,
+        messageId: send?.message_id || null,
+        skipReason: send?.skip_reason || null,
+        error: send?.error_message || null
+      };
+    });
+  }
+
+  return enrollment;
+}
+
+/**
+ * Whether the user behind an email has a paid subscription
+ * @private
+ */
+async function hasConverted(email) {
+  const { data, error } = await supabase
+    .from('customer_assets')
+    .select('subscription_status')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return CONVERTED_SUBSCRIPTION_STATUSES.includes(data?.subscription_status);
+}
+
+class LifecycleEmailService {
+  /**
+   * Enroll a user in a sequence and schedule its steps
+   *
+   * Enrolling an email twice in the same sequence returns the existing enrollment.
+   *
+   * @param {Object} params
+   * @param {string} params.email
+   * @param {string} params.fullName
+   * @param {string} [params.betaSignupId] - Approved beta_signups row
+   * @param {string} [params.sequence='beta_onboarding']
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { enrollment, created }
+   */
+  async enroll({ email, fullName, betaSignupId = null, sequence = 'beta_onboarding' }, now = new Date()) {
+    if (!SEQUENCES[sequence]) {
+      throw httpError(400, `Unknown email sequence: ${sequence}`);
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const { data, error } = await supabase
+      .from('email_sequence_enrollments')
+      .insert({
+        sequence_key: sequence,
+        email: normalizedEmail,
+        full_name: fullName,
+        beta_signup_id: betaSignupId,
+        status: 'active',
+        enrolled_at: now.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      const { data: existing, error: fetchError } = await supabase
+        .from('email_sequence_enrollments')
+        .select('*')
+        .eq('sequence_key', sequence)
+        .eq('email', normalizedEmail)
+        .single();
+
+      if (fetchError) {
+        throw fetchError;
+      }
+      return { enrollment: formatEnrollment(existing), created: false };
+    }
+    if (error) {
+      throw error;
+    }
+
+    await this.scheduleSteps(data, [], now);
+
+    logger.info('[LifecycleEmails] Enrolled user in sequence', { enrollmentId: data.id, sequence, email: normalizedEmail });
+    return { enrollment: formatEnrollment(data), created: true };
+  }
+
+  /**
+   * Run a sequence step (lifecycle-email worker)
+   *
+   * @param {Object} params
+   * @param {string} params.enrollmentId
+   * @param {string} params.stepKey
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { status: 'sent'|'skipped'|'deferred'|'ignored', ... }
+   * @throws {Error} When the email could not be sent (the job is retried)
+   */
+  async processStep({ enrollmentId, stepKey }, now = new Date()) {
+    const enrollment = await this.findEnrollment(enrollmentId);
+    if (!enrollment) {
+      return { status: 'ignored', reason: 'Enrollment not found' };
+    }
+
+    const steps = SEQUENCES[enrollment.sequence_key]?.steps || [];
+    const step = steps.find(candidate => candidate.key === stepKey);
+    if (!step) {
+      return { status: 'ignored', reason: `Unknown step: ${stepKey}` };
+    }
+
+    const { data: previous, error } = await supabase
+      .from('email_sequence_sends')
+      .select('status')
+      .eq('enrollment_id', enrollmentId)
+      .eq('step_key', stepKey)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (previous && previous.status !== 'failed') {
+      return { status: previous.status, duplicate: true };
+    }
+
+    // Rescheduled on resume
+    if (enrollment.status === 'paused') {
+      return { status: 'deferred', reason: 'Sequence paused' };
+    }
+
+    let skipReason = null;
+    if (enrollment.status === 'unsubscribed') {
+      skipReason = 'unsubscribed';
+    } else if (enrollment.status === 'converted' || await hasConverted(enrollment.email)) {
+      skipReason = 'converted';
+      if (enrollment.status !== 'converted') {
+        await this.updateEnrollment(enrollmentId, { status: 'converted', converted_at: now.toISOString() });
+      }
+    }
+
+    if (skipReason) {
+      await this.recordSend(enrollmentId, stepKey, { status: 'skipped', skip_reason: skipReason }, now);
+      logger.info('[LifecycleEmails] Skipped step', { enrollmentId, stepKey, reason: skipReason });
+      return { status: 'skipped', reason: skipReason };
+    }
+
+    const result = await emailService[step.send](enrollment.email, enrollment.full_name, {
+      unsubscribeUrl: this.getUnsubscribeUrl(enrollmentId)
+    });
+
+    if (!result.success) {
+      await this.recordSend(enrollmentId, stepKey, { status: 'failed', error_message: result.error }, now);
+      throw new Error(`Failed to send ${stepKey}: ${result.error}`);
+    }
+
+    await this.recordSend(enrollmentId, stepKey, { status: 'sent', message_id: result.messageId || null }, now);
+
+    if (step === steps.at(-1)) {
+      await this.updateEnrollment(enrollmentId, { status: 'completed', completed_at: now.toISOString() });
+    }
+
+    logger.info('[LifecycleEmails] Sent step', { enrollmentId, stepKey, messageId: result.messageId });
+    return { status: 'sent', messageId: result.messageId || null };
+  }
+
+  /**
+   * Pause a sequence - steps that come due are held until it resumes
+   *
+   * @param {string} enrollmentId
+   * @param {Object} [options]
+   * @param {string} [options.pausedBy] - Admin email
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Enrollment
+   */
+  async pause(enrollmentId, { pausedBy = null, now = new Date() } = {}) {
+    const enrollment = await this.getEnrollmentRow(enrollmentId);
+
+    if (enrollment.status !== 'active') {
+      throw httpError(409, `Sequence is ${enrollment.status}`);
+    }
+
+    const updated = await this.updateEnrollment(enrollmentId, {
+      status: 'paused',
+      paused_at: now.toISOString(),
+      paused_by: pausedBy
+    });
+
+    logger.info('[LifecycleEmails] Paused sequence', { enrollmentId, pausedBy });
+    return formatEnrollment(updated);
+  }
+
+  /**
+   * Resume a paused sequence, pushing pending steps back by the time spent paused
+   *
+   * @param {string} enrollmentId
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Enrollment with steps
+   */
+  async resume(enrollmentId, now = new Date()) {
+    const enrollment = await this.getEnrollmentRow(enrollmentId);
+
+    if (enrollment.status !== 'paused') {
+      throw httpError(409, `Sequence is ${enrollment.status}`);
+    }
+
+    const pausedSeconds = Math.max(0, Math.round((now.getTime() - new Date(enrollment.paused_at).getTime()) / 1000));
+    const updated = await this.updateEnrollment(enrollmentId, {
+      status: 'active',
+      paused_at: null,
+      paused_by: null,
+      paused_seconds: (enrollment.paused_seconds || 0) + pausedSeconds
+    });
+
+    const sends = await this.getSends(enrollmentId);
+    await this.scheduleSteps(updated, sends.filter(send => send.status !== 'failed').map(send => send.step_key), now);
+
+    logger.info('[LifecycleEmails] Resumed sequence', { enrollmentId, pausedSeconds });
+    return formatEnrollment(updated, sends);
+  }
+
+  /**
+   * Unsubscribe with the token from an email link - remaining steps are skipped
+   *
+   * @param {string} token
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { email, sequence }
+   */
+  async unsubscribe(token, now = new Date()) {
+    const enrollmentId = this.verifyUnsubscribeToken(token);
+    if (!enrollmentId) {
+      throw httpError(400, 'Invalid unsubscribe link');
+    }
+
+    const enrollment = await this.getEnrollmentRow(enrollmentId);
+
+    if (enrollment.status !== 'unsubscribed') {
+      await this.updateEnrollment(enrollmentId, { status: 'unsubscribed', unsubscribed_at: now.toISOString() });
+      logger.info('[LifecycleEmails] Unsubscribed', { enrollmentId, previousStatus: enrollment.status });
+    }
+
+    return { email: enrollment.email, sequence: enrollment.sequence_key };
+  }
+
+  /**
+   * Get an enrollment with the status of each step
+   *
+   * @param {string} enrollmentId
+   * @returns {Promise<Object>}
+   */
+  async getEnrollment(enrollmentId) {
+    const enrollment = await this.getEnrollmentRow(enrollmentId);
+    const sends = await this.getSends(enrollmentId);
+    return formatEnrollment(enrollment, sends);
+  }
+
+  /**
+   * List enrollments, newest first
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.email]
+   * @param {string} [filters.status]
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listEnrollments({ email = null, status = null, limit = 50 } = {}) {
+    let query = supabase
+      .from('email_sequence_enrollments')
+      .select('*')
+      .order('enrolled_at', { ascending: false })
+      .limit(limit);
+
+    if (email) {
+      query = query.eq('email', email.toLowerCase().trim());
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(row => formatEnrollment(row));
+  }
+
+  /**
+   * Unsubscribe link for an enrollment
+   *
+   * @param {string} enrollmentId
+   * @returns {string}
+   */
+  getUnsubscribeUrl(enrollmentId) {
+    const token = `${enrollmentId}.${sign(enrollmentId)}`;
+    return `${config.lifecycleEmails.unsubscribeUrl}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Enrollment ID of a valid unsubscribe token, else null
+   *
+   * @param {string} token
+   * @returns {string|null}
+   */
+  verifyUnsubscribeToken(token) {
+    const [enrollmentId, signature] = String(token || '').split('.');
+    if (!UUID_PATTERN.test(enrollmentId || '') || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(enrollmentId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return enrollmentId;
+  }
+
+  /**
+   * Queue every step not in skipStepKeys at its due time (overdue steps run now)
+   * @private
+   */
+  async scheduleSteps(enrollment, skipStepKeys, now) {
+    for (const step of SEQUENCES[enrollment.sequence_key].steps) {
+      if (skipStepKeys.includes(step.key)) {
+        continue;
+      }
+
+      await addLifecycleEmailJob(
+        { enrollmentId: enrollment.id, stepKey: step.key },
+        { delay: Math.max(0, getStepDueAt(enrollment, step).getTime() - now.getTime()) }
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async findEnrollment(enrollmentId) {
+    if (!UUID_PATTERN.test(enrollmentId)) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('email_sequence_enrollments')
+      .select('*')
+      .eq('id', enrollmentId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  async getEnrollmentRow(enrollmentId) {
+    const enrollment = await this.findEnrollment(enrollmentId);
+    if (!enrollment) {
+      throw httpError(404, 'Email sequence enrollment not found');
+    }
+    return enrollment;
+  }
+
+  /**
+   * @private
+   */
+  async getSends(enrollmentId) {
+    const { data, error } = await supabase
+      .from('email_sequence_sends')
+      .select('*')
+      .eq('enrollment_id', enrollmentId);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  /**
+   * @private
+   */
+  async updateEnrollment(enrollmentId, fields) {
+    const { data, error } = await supabase
+      .from('email_sequence_enrollments')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', enrollmentId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Record the outcome of a step (a retry overwrites a failed attempt)
+   * @private
+   */
+  async recordSend(enrollmentId, stepKey, fields, now) {
+    const { error } = await supabase
+      .from('email_sequence_sends')
+      .upsert({
+        enrollment_id: enrollmentId,
+        step_key: stepKey,
+        message_id: null,
+        skip_reason: null,
+        error_message: null,
+        ...fields,
+        processed_at: now.toISOString()
+      }, { onConflict: 'enrollment_id,step_key' });
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+export default new LifecycleEmailService();
@@ -0,0 +1,1002 @@
+/**
+ * Organization Service
+ *
+ * Team workspaces for the Express API: organizations, membership roles,
+ * email invitations and org-scoped sharing. Uses the same tables as the
+ * Next.js handlers (organizations, user_organizations, team_invitations).
+ *
+ * Roles, highest first: owner > admin > manager > member.
+ * - member: read everything shared with the organization, share own items
+ * - manager: + invite people (up to their own role)
+ * - admin: + change roles, remove members, unshare anyone's items
+ * - owner: + edit the organization, grant admin
+ *
+ * Invitation tokens are returned once from createInvitation() (and emailed);
+ * only their SHA-256 hash is stored.
+ *
+ * Sharing never copies data: a share points at the member's own generated
+ * resource, ICP framework or prospect list, which stays owned (and editable)
+ * by them. Every active member can read shared items.
+ *
+ * @module services/organizationService
+ */
+
+import crypto from 'crypto';
+import supabase from './supabaseService.js';
+import prospectListService from './prospectListService.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'manager', 'member'];
+
+const ROLE_RANK = { owner: 4, admin: 3, manager: 2, member: 1 };
+
+// Stored in user_organizations.permissions for the Next.js handlers
+const ROLE_PERMISSIONS = {
+  owner: ['read', 'write', 'delete', 'export', 'user.invite', 'user.manage', 'user.roles', 'org.manage'],
+  admin: ['read', 'write', 'delete', 'export', 'user.invite', 'user.manage', 'user.roles'],
+  manager: ['read', 'write', 'export', 'user.invite'],
+  member: ['read', 'write', 'export']
+};
+
+const PLAN_MEMBER_LIMITS = { basic: 5, professional: 25, enterprise: 100 };
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://platform.andru-ai.com';
+
+/**
+ * What can be shared, where it lives and which columns make up the summary
+ * shown in shared item listings
+ */
+const SHARED_ITEM_SOURCES = {
+  generated_resource: {
+    table: 'generated_resources',
+    summary: 'id, user_id, resource_id, generation_version, generation_completed_at, resources(name, resource_code, tier)',
+    detail: '*, resources(name, resource_code, tier)'
+  },
+  icp_framework: {
+    table: 'icp_frameworks',
+    summary: '*',
+    detail: '*'
+  },
+  prospect_list: {
+    table: 'prospect_lists',
+    summary: 'id, user_id, name, description, created_at, updated_at',
+    detail: null // Loaded with entries through prospectListService
+  }
+};
+
+export const SHARED_ITEM_TYPES = Object.keys(SHARED_ITEM_SOURCES);
+
+/**
+ * Error carrying an HTTP status for errorHandler
+ * @private
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * "Acme Sales Team!" → "acme-sales-team"
+ * @private
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+}
+
+/**
+ * SHA-256 hex digest of an invitation token
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Shape an organization row for API responses
+ * @private
+ */
+function toPublicOrganization(row, role = undefined) {
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    description: row.description,
+    plan: row.plan,
+    maxMembers: row.max_members,
+    ownerId: row.owner_id,
+    ...(role ? { role } : {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shape a membership row for API responses
+ * @private
+ */
+function toPublicMember(row) {
+  return {
+    userId: row.user_id,
+    email: row.email,
+    role: row.role,
+    invitedBy: row.invited_by,
+    joinedAt: row.joined_at
+  };
+}
+
+/**
+ * Shape an invitation row for API responses (never includes the token hash)
+ * @private
+ */
+function toPublicInvitation(row) {
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    email: row.email,
+    role: row.role,
+    status: row.status,
+    invitedBy: row.invited_by,
+    expiresAt: row.expires_at,
+    acceptedAt: row.accepted_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Shape a share row (plus the shared item's summary) for API responses
+ * @private
+ */
+function toPublicShare(row, item = null) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    itemId: row.item_id,
+    sharedBy: row.shared_by,
+    sharedAt: row.created_at,
+    item
+  };
+}
+
+class OrganizationService {
+  /**
+   * True if `role` is at least `minimumRole`
+   *
+   * @param {string} role
+   * @param {string} minimumRole
+   * @returns {boolean}
+   */
+  hasRole(role, minimumRole) {
+    return (ROLE_RANK[role] || 0) >= (ROLE_RANK[minimumRole] || Infinity);
+  }
+
+  /**
+   * Shape an organization row (e.g. req.organization) for API responses
+   *
+   * @param {Object} row
+   * @param {string} [role] - The caller's role, included when given
+   * @returns {Object}
+   */
+  toPublic(row, role) {
+    return toPublicOrganization(row, role);
+  }
+
+  /**
+   * Organizations the user is an active member of
+   *
+   * @param {string} userId
+   * @returns {Promise<Object[]>} Organizations with the user's `role`
+   */
+  async listOrganizations(userId) {
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('role, joined_at, organizations(*)')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .order('joined_at', { ascending: true });
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to list organizations', { userId, error: error.message });
+      throw new Error(`Failed to list organizations: ${error.message}`);
+    }
+
+    return (data || [])
+      .filter(row => row.organizations?.is_active)
+      .map(row => toPublicOrganization(row.organizations, row.role));
+  }
+
+  /**
+   * Create an organization with the caller as owner
+   *
+   * @param {Object} owner
+   * @param {string} owner.id - User ID
+   * @param {string} [owner.email]
+   * @param {Object} organization
+   * @param {string} organization.name
+   * @param {string} [organization.slug] - Derived from the name when omitted
+   * @param {string} [organization.description]
+   * @returns {Promise<Object>} Organization with role 'owner'
+   */
+  async createOrganization(owner, { name, slug, description = '' }) {
+    const finalSlug = slug || slugify(name);
+
+    if (!finalSlug) {
+      throw httpError(400, 'Organization slug could not be derived from the name; provide one');
+    }
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .insert({
+        name,
+        slug: finalSlug,
+        description,
+        owner_id: owner.id,
+        plan: 'basic',
+        max_members: PLAN_MEMBER_LIMITS.basic,
+        settings: {},
+        is_active: true
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw httpError(409, `Organization slug "${finalSlug}" is already taken`);
+      }
+      logger.error('[OrganizationService] Failed to create organization', { userId: owner.id, error: error.message });
+      throw new Error(`Failed to create organization: ${error.message}`);
+    }
+
+    const { error: memberError } = await supabase
+      .from('user_organizations')
+      .insert({
+        user_id: owner.id,
+        organization_id: organization.id,
+        email: owner.email || null,
+        role: 'owner',
+        permissions: ROLE_PERMISSIONS.owner,
+        invited_by: owner.id,
+        is_active: true
+      });
+
+    if (memberError) {
+      // Don't leave an organization nobody can manage
+      await supabase.from('organizations').delete().eq('id', organization.id);
+      logger.error('[OrganizationService] Failed to add organization owner', {
+        userId: owner.id,
+        organizationId: organization.id,
+        error: memberError.message
+      });
+      throw new Error(`Failed to create organization membership: ${memberError.message}`);
+    }
+
+    logger.info('[OrganizationService] Organization created', { userId: owner.id, organizationId: organization.id });
+
+    return toPublicOrganization(organization, 'owner');
+  }
+
+  /**
+   * The user's active membership in an organization
+   *
+   * @param {string} organizationId
+   * @param {string} userId
+   * @returns {Promise<Object|null>} { role, organization } or null if not a member
+   */
+  async getMembership(organizationId, userId) {
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('*, organizations(*)')
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to load membership', { organizationId, userId, error: error.message });
+      throw new Error(`Failed to load organization membership: ${error.message}`);
+    }
+
+    if (!data || !data.organizations?.is_active) return null;
+
+    return { role: data.role, organization: data.organizations };
+  }
+
+  /**
+   * Active members, oldest first
+   *
+   * @param {string} organizationId
+   * @returns {Promise<Object[]>}
+   */
+  async listMembers(organizationId) {
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true)
+      .order('joined_at', { ascending: true });
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to list members', { organizationId, error: error.message });
+      throw new Error(`Failed to list organization members: ${error.message}`);
+    }
+
+    return (data || []).map(toPublicMember);
+  }
+
+  /**
+   * Rename an organization or change its description
+   *
+   * @returns {Promise<Object>} Updated organization
+   */
+  async updateOrganization(organizationId, { name, description }) {
+    const changes = { updated_at: new Date().toISOString() };
+    if (name !== undefined) changes.name = name;
+    if (description !== undefined) changes.description = description;
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .update(changes)
+      .eq('id', organizationId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to update organization', { organizationId, error: error.message });
+      throw new Error(`Failed to update organization: ${error.message}`);
+    }
+
+    return toPublicOrganization(data);
+  }
+
+  /**
+   * Change a member's role
+   *
+   * Admins can move members between manager and member; only the owner can
+   * grant or revoke admin. The owner role itself can't be assigned or changed.
+   *
+   * @param {string} organizationId
+   * @param {Object} actor - { id, role } of the caller
+   * @param {string} memberUserId
+   * @param {string} role - admin, manager or member
+   * @returns {Promise<Object>} Updated member
+   */
+  async updateMemberRole(organizationId, actor, memberUserId, role) {
+    const member = await this.findMember(organizationId, memberUserId);
+
+    if (!member) {
+      throw httpError(404, 'Member not found');
+    }
+
+    if (member.role === 'owner' || role === 'owner') {
+      throw httpError(403, 'The owner role cannot be changed');
+    }
+
+    if ((member.role === 'admin' || role === 'admin') && actor.role !== 'owner') {
+      throw httpError(403, 'Only the owner can grant or revoke admin');
+    }
+
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .update({ role, permissions: ROLE_PERMISSIONS[role] })
+      .eq('organization_id', organizationId)
+      .eq('user_id', memberUserId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to update member role', { organizationId, memberUserId, error: error.message });
+      throw new Error(`Failed to update member role: ${error.message}`);
+    }
+
+    logger.info('[OrganizationService] Member role changed', {
+      organizationId,
+      memberUserId,
+      from: member.role,
+      to: role,
+      by: actor.id
+    });
+
+    return toPublicMember(data);
+  }
+
+  /**
+   * Remove a member (or leave, when memberUserId is the caller)
+   *
+   * Admins can remove managers and members, the owner can remove anyone but
+   * themselves. Items the member shared with the organization are unshared.
+   *
+   * @param {string} organizationId
+   * @param {Object} actor - { id, role } of the caller
+   * @param {string} memberUserId
+   * @returns {Promise<void>}
+   */
+  async removeMember(organizationId, actor, memberUserId) {
+    const member = await this.findMember(organizationId, memberUserId);
+
+    if (!member) {
+      throw httpError(404, 'Member not found');
+    }
+
+    if (member.role === 'owner') {
+      throw httpError(403, 'The owner cannot leave or be removed from the organization');
+    }
+
+    const leaving = memberUserId === actor.id;
+    if (!leaving && !(this.hasRole(actor.role, 'admin') && ROLE_RANK[actor.role] > ROLE_RANK[member.role])) {
+      throw httpError(403, 'Insufficient role to remove this member');
+    }
+
+    const { error } = await supabase
+      .from('user_organizations')
+      .update({ is_active: false })
+      .eq('organization_id', organizationId)
+      .eq('user_id', memberUserId);
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to remove member', { organizationId, memberUserId, error: error.message });
+      throw new Error(`Failed to remove member: ${error.message}`);
+    }
+
+    const { error: shareError } = await supabase
+      .from('organization_shared_items')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('shared_by', memberUserId);
+
+    if (shareError) {
+      logger.warn('[OrganizationService] Failed to unshare items of removed member', {
+        organizationId,
+        memberUserId,
+        error: shareError.message
+      });
+    }
+
+    logger.info('[OrganizationService] Member removed', { organizationId, memberUserId, by: actor.id, leaving });
+  }
+
+  /**
+   * Invite someone by email
+   *
+   * The invitee gets an email with a single-use token; the token is also
+   * returned here (once) so it can be delivered another way.
+   *
+   * @param {Object} organization - Organization row (from getMembership)
+   * @param {Object} actor - { id, email, role } of the caller
+   * @param {Object} invitation
+   * @param {string} invitation.email
+   * @param {string} [invitation.role] - Up to the caller's own role (never
+   *   owner); like role changes, only the owner can invite an admin
+   * @returns {Promise<Object>} { invitation, token, acceptUrl, emailSent }
+   */
+  async createInvitation(organization, actor, { email, role = 'member' }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (role === 'owner' || ROLE_RANK[role] > ROLE_RANK[actor.role]) {
+      throw httpError(403, `A ${actor.role} cannot invite someone as ${role}`);
+    }
+
+    if (role === 'admin' && actor.role !== 'owner') {
+      throw httpError(403, 'Only the owner can grant or revoke admin');
+    }
+
+    const memberCount = await this.countMembers(organization.id);
+    if (memberCount >= organization.max_members) {
+      throw httpError(409, `Organization has reached its limit of ${organization.max_members} members`);
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('team_invitations')
+      .select('id')
+      .eq('organization_id', organization.id)
+      .eq('email', normalizedEmail)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (existingError) {
+      throw new Error(`Failed to check existing invitations: ${existingError.message}`);
+    }
+
+    if (existing) {
+      throw httpError(409, 'A pending invitation already exists for this email');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .insert({
+        organization_id: organization.id,
+        email: normalizedEmail,
+        role,
+        permissions: ROLE_PERMISSIONS[role],
+        invited_by: actor.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString(),
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to create invitation', { organizationId: organization.id, error: error.message });
+      throw new Error(`Failed to create invitation: ${error.message}`);
+    }
+
+    const acceptUrl = `${FRONTEND_URL}/invitations/accept?token=${token}`;
+
+    // The invitation stands even if the email can't be sent - the caller has the link
+    const emailResult = await emailService.sendTeamInvitationEmail(normalizedEmail, {
+      organizationName: organization.name,
+      inviterEmail: actor.email || 'A teammate',
+      role,
+      acceptUrl,
+      expiresAt: data.expires_at
+    }).catch(emailError => ({ success: false, error: emailError.message }));
+
+    logger.info('[OrganizationService] Invitation created', {
+      organizationId: organization.id,
+      invitationId: data.id,
+      role,
+      by: actor.id,
+      emailSent: emailResult.success
+    });
+
+    return {
+      invitation: toPublicInvitation(data),
+      token,
+      acceptUrl,
+      emailSent: emailResult.success
+    };
+  }
+
+  /**
+   * An organization's invitations, newest first
+   *
+   * @param {string} organizationId
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only this status (default: all)
+   * @returns {Promise<Object[]>}
+   */
+  async listInvitations(organizationId, { status } = {}) {
+    let query = supabase
+      .from('team_invitations')
+      .select('*')
+      .eq('organization_id', organizationId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to list invitations', { organizationId, error: error.message });
+      throw new Error(`Failed to list invitations: ${error.message}`);
+    }
+
+    return (data || []).map(toPublicInvitation);
+  }
+
+  /**
+   * Revoke a pending invitation
+   *
+   * @returns {Promise<boolean>} false if there is no such pending invitation
+   */
+  async revokeInvitation(organizationId, invitationId) {
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .update({ status: 'revoked' })
+      .eq('id', invitationId)
+      .eq('organization_id', organizationId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to revoke invitation', { organizationId, invitationId, error: error.message });
+      throw new Error(`Failed to revoke invitation: ${error.message}`);
+    }
+
+    return !!data?.length;
+  }
+
+  /**
+   * Accept an invitation with its token
+   *
+   * The signed-in user's email must match the invited email.
+   *
+   * @param {Object} user - { id, email } of the signed-in user
+   * @param {string} token - Token from the invitation email
+   * @returns {Promise<Object>} The organization joined, with the new role
+   */
+  async acceptInvitation(user, token) {
+    const invitation = await this.findPendingInvitation(user, token);
+
+    const { data: organization, error: orgError } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', invitation.organization_id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (orgError) {
+      throw new Error(`Failed to load organization: ${orgError.message}`);
+    }
+
+    if (!organization) {
+      throw httpError(404, 'Organization no longer exists');
+    }
+
+    const existing = await this.findMember(organization.id, user.id);
+    if (existing) {
+      throw httpError(409, 'You are already a member of this organization');
+    }
+
+    const memberCount = await this.countMembers(organization.id);
+    if (memberCount >= organization.max_members) {
+      throw httpError(409, `Organization has reached its limit of ${organization.max_members} members`);
+    }
+
+    // Upsert: people who left (is_active = false) can be invited back
+    const { error } = await supabase
+      .from('user_organizations')
+      .upsert({
+        user_id: user.id,
+        organization_id: organization.id,
+        email: invitation.email,
+        role: invitation.role,
+        permissions: ROLE_PERMISSIONS[invitation.role] || invitation.permissions,
+        invited_by: invitation.invited_by,
+        is_active: true,
+        joined_at: new Date().toISOString()
+      }, { onConflict: 'user_id,organization_id' });
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to add member', { organizationId: organization.id, userId: user.id, error: error.message });
+      throw new Error(`Failed to join organization: ${error.message}`);
+    }
+
+    await this.setInvitationStatus(invitation.id, { status: 'accepted', accepted_at: new Date().toISOString() });
+
+    logger.info('[OrganizationService] Invitation accepted', {
+      organizationId: organization.id,
+      invitationId: invitation.id,
+      userId: user.id
+    });
+
+    return toPublicOrganization(organization, invitation.role);
+  }
+
+  /**
+   * Decline an invitation with its token
+   *
+   * @param {Object} user - { id, email } of the signed-in user
+   * @param {string} token
+   * @returns {Promise<void>}
+   */
+  async declineInvitation(user, token) {
+    const invitation = await this.findPendingInvitation(user, token);
+    await this.setInvitationStatus(invitation.id, { status: 'declined' });
+
+    logger.info('[OrganizationService] Invitation declined', { invitationId: invitation.id, userId: user.id });
+  }
+
+  /**
+   * Share one of the user's items with an organization (idempotent)
+   *
+   * @param {string} organizationId
+   * @param {string} userId - Must own the item
+   * @param {string} itemType - One of SHARED_ITEM_TYPES
+   * @param {string} itemId
+   * @returns {Promise<Object>} The share, with the item summary
+   */
+  async shareItem(organizationId, userId, itemType, itemId) {
+    const source = SHARED_ITEM_SOURCES[itemType];
+
+    const { data: item, error: itemError } = await supabase
+      .from(source.table)
+      .select(source.summary)
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (itemError) {
+      throw new Error(`Failed to load ${itemType}: ${itemError.message}`);
+    }
+
+    if (!item) {
+      throw httpError(404, `You have no ${itemType.replace('_', ' ')} with this ID`);
+    }
+
+    const { data, error } = await supabase
+      .from('organization_shared_items')
+      .upsert({
+        organization_id: organizationId,
+        item_type: itemType,
+        item_id: itemId,
+        shared_by: userId
+      }, { onConflict: 'organization_id,item_type,item_id', ignoreDuplicates: false })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to share item', { organizationId, itemType, itemId, error: error.message });
+      throw new Error(`Failed to share item: ${error.message}`);
+    }
+
+    logger.info('[OrganizationService] Item shared', { organizationId, itemType, itemId, userId });
+
+    return toPublicShare(data, item);
+  }
+
+  /**
+   * Stop sharing an item (whoever shared it, or an admin)
+   *
+   * @param {string} organizationId
+   * @param {Object} actor - { id, role } of the caller
+   * @param {string} itemType
+   * @param {string} itemId
+   * @returns {Promise<boolean>} false if the item isn't shared with the organization
+   */
+  async unshareItem(organizationId, actor, itemType, itemId) {
+    const share = await this.findShare(organizationId, itemType, itemId);
+    if (!share) return false;
+
+    if (share.shared_by !== actor.id && !this.hasRole(actor.role, 'admin')) {
+      throw httpError(403, 'Only the member who shared this item or an admin can unshare it');
+    }
+
+    const { error } = await supabase
+      .from('organization_shared_items')
+      .delete()
+      .eq('id', share.id);
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to unshare item', { organizationId, itemType, itemId, error: error.message });
+      throw new Error(`Failed to unshare item: ${error.message}`);
+    }
+
+    logger.info('[OrganizationService] Item unshared', { organizationId, itemType, itemId, by: actor.id });
+    return true;
+  }
+
+  /**
+   * Items shared with an organization, newest first, with summaries
+   *
+   * Shares whose item has since been deleted are left out.
+   *
+   * @param {string} organizationId
+   * @param {Object} [options]
+   * @param {string} [options.itemType] - Only this type
+   * @returns {Promise<Object[]>}
+   */
+  async listSharedItems(organizationId, { itemType } = {}) {
+    let query = supabase
+      .from('organization_shared_items')
+      .select('*')
+      .eq('organization_id', organizationId);
+
+    if (itemType) {
+      query = query.eq('item_type', itemType);
+    }
+
+    const { data: shares, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to list shared items', { organizationId, error: error.message });
+      throw new Error(`Failed to list shared items: ${error.message}`);
+    }
+
+    const items = {};
+    for (const type of SHARED_ITEM_TYPES) {
+      const ids = (shares || []).filter(share => share.item_type === type).map(share => share.item_id);
+      if (ids.length === 0) continue;
+
+      const source = SHARED_ITEM_SOURCES[type];
+      const { data, error: itemsError } = await supabase
+        .from(source.table)
+        .select(source.summary)
+        .in('id', ids);
+
+      if (itemsError) {
+        throw new Error(`Failed to load shared ${type} items: ${itemsError.message}`);
+      }
+
+      for (const item of data || []) {
+        items[`${type}:${item.id}`] = item;
+      }
+    }
+
+    return (shares || [])
+      .filter(share => items[`${share.item_type}:${share.item_id}`])
+      .map(share => toPublicShare(share, items[`${share.item_type}:${share.item_id}`]));
+  }
+
+  /**
+   * Full content of an item shared with an organization
+   *
+   * @param {string} organizationId
+   * @param {string} itemType
+   * @param {string} itemId
+   * @returns {Promise<Object|null>} The share with the full item, or null if not shared
+   */
+  async getSharedItem(organizationId, itemType, itemId) {
+    const share = await this.findShare(organizationId, itemType, itemId);
+    if (!share) return null;
+
+    let item;
+    if (itemType === 'prospect_list') {
+      item = await prospectListService.getList(share.shared_by, itemId);
+    } else {
+      const source = SHARED_ITEM_SOURCES[itemType];
+      const { data, error } = await supabase
+        .from(source.table)
+        .select(source.detail)
+        .eq('id', itemId)
+        .eq('user_id', share.shared_by)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to load shared ${itemType}: ${error.message}`);
+      }
+      item = data;
+    }
+
+    return item ? toPublicShare(share, item) : null;
+  }
+
+  /**
+   * Whether an item was shared with any organization the user is an active
+   * member of (e.g. rating companies against a teammate's ICP framework)
+   *
+   * @param {string} userId
+   * @param {string} itemType
+   * @param {string} itemId
+   * @returns {Promise<boolean>}
+   */
+  async canAccessSharedItem(userId, itemType, itemId) {
+    const { data: shares, error } = await supabase
+      .from('organization_shared_items')
+      .select('organization_id')
+      .eq('item_type', itemType)
+      .eq('item_id', itemId);
+
+    if (error) {
+      throw new Error(`Failed to check shared access: ${error.message}`);
+    }
+
+    if (!shares?.length) return false;
+
+    const { data: memberships, error: memberError } = await supabase
+      .from('user_organizations')
+      .select('organization_id')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .in('organization_id', shares.map(share => share.organization_id));
+
+    if (memberError) {
+      throw new Error(`Failed to check shared access: ${memberError.message}`);
+    }
+
+    return (memberships || []).length > 0;
+  }
+
+  /**
+   * Membership row of a user in an organization (active only)
+   * @private
+   */
+  async findMember(organizationId, userId) {
+    const { data, error } = await supabase
+      .from('user_organizations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load organization member: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Number of active members
+   * @private
+   */
+  async countMembers(organizationId) {
+    const { count, error } = await supabase
+      .from('user_organizations')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to count organization members: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Share row of an item in an organization
+   * @private
+   */
+  async findShare(organizationId, itemType, itemId) {
+    const { data, error } = await supabase
+      .from('organization_shared_items')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('item_type', itemType)
+      .eq('item_id', itemId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load shared item: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Look up a pending invitation by token for the signed-in user
+   * Marks it expired (410) when past its expiry.
+   * @private
+   */
+  async findPendingInvitation(user, token) {
+    const { data: invitation, error } = await supabase
+      .from('team_invitations')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load invitation: ${error.message}`);
+    }
+
+    if (!invitation) {
+      throw httpError(404, 'Invitation not found');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw httpError(409, `Invitation is no longer pending (${invitation.status})`);
+    }
+
+    if (new Date(invitation.expires_at) < new Date()) {
+      await this.setInvitationStatus(invitation.id, { status: 'expired' });
+      throw httpError(410, 'Invitation has expired');
+    }
+
+    if (invitation.email !== String(user.email || '').toLowerCase()) {
+      throw httpError(403, 'This invitation was sent to a different email address');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * @private
+   */
+  async setInvitationStatus(invitationId, changes) {
+    const { error } = await supabase
+      .from('team_invitations')
+      .update(changes)
+      .eq('id', invitationId);
+
+    if (error) {
+      logger.error('[OrganizationService] Failed to update invitation', { invitationId, error: error.message });
+      throw new Error(`Failed to update invitation: ${error.message}`);
+    }
+  }
+}
+
+export default new OrganizationService();
@@ -5,6 +5,9 @@
  * 1. Playwright MCP for browser automation (navigation, scraping)
  * 2. Claude AI for intelligent extraction and structuring
  *
+ * In crawl mode, pricing/product/customers/about pages are read after the
+ * home page, and the page snapshots are returned with the result.
+ *
  * Triggered on user signup to pre-fill product details form.
  *
  * @module services/productExtractionService
@@ -13,29 +16,58 @@
 import aiService from './aiService.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Pages followed in crawl mode, in priority order
+ * Matched against the link path first, then the link text.
+ */
+export const CRAWL_PAGE_TYPES = [
+  { type: 'pricing', pattern: /pricing|plans/i },
+  { type: 'product', pattern: /product|features|platform|solutions?/i },
+  { type: 'customers', pattern: /customers|case-stud(y|ies)|testimonials/i },
+  { type: 'about', pattern: /about|company/i }
+];
+
+// Characters of visible text kept per page (home page gets more room)
+const HOME_PAGE_TEXT_LIMIT = 5000;
+const CRAWLED_PAGE_TEXT_LIMIT = 3000;
+
+// Fields the AI must cite a source page for
+const CITED_FIELDS = ['productName', 'description', 'distinguishingFeature', 'businessModel'];
+
 /**
  * Extract product details from a company domain
  *
+ * In crawl mode, follows up to maxPages - 1 same-domain links (pricing,
+ * product, customers, about) after the home page. Every page read is
+ * returned as a snapshot in `pages`, and `sources` maps each field to the
+ * URL of the page it came from.
+ *
  * @param {string} domain - Company domain (e.g., 'greptile.com')
  * @param {Object} mcpWrapper - MCP browser wrapper (Playwright or Puppeteer)
+ * @param {Object} [options]
+ * @param {boolean} [options.crawl=false] - Follow links beyond the home page
+ * @param {number} [options.maxPages=5] - Pages read in crawl mode (including the home page)
  * @returns {Promise<Object>} Product details or fallback object
  *
  * @example
- * const result = await extractProductDetailsFromDomain('greptile.com', mcpWrapper);
+ * const result = await extractProductDetailsFromDomain('greptile.com', mcpWrapper, { crawl: true });
  * // {
  * //   productName: "Greptile",
  * //   description: "AI-powered code search and navigation",
  * //   distinguishingFeature: "Natural language code search across repositories",
- * //   businessModel: "B2B SaaS",
+ * //   businessModel: "b2b-subscription",
+ * //   sources: { productName: "https://greptile.com", businessModel: "https://greptile.com/pricing", ... },
+ * //   pages: [{ url, pageType, title, metaDescription, headings, text, capturedAt }, ...],
  * //   sourceUrl: "https://greptile.com",
  * //   extractedAt: "2025-11-01T...",
  * //   fallback: false
  * // }
  */
-export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
+export async function extractProductDetailsFromDomain(domain, mcpWrapper, options = {}) {
   const startTime = Date.now();
+  const { crawl = false, maxPages = 5 } = options;
 
-  logger.info('[ProductExtraction] Starting extraction', { domain });
+  logger.info('[ProductExtraction] Starting extraction', { domain, crawl });
 
   try {
     // Validate inputs
@@ -63,68 +95,58 @@ export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
     // Step 2: Extract page content
     logger.info('[ProductExtraction] Extracting page content');
 
-    // Get visible text from page (first 5000 chars to stay within token limits)
-    const pageText = await mcpWrapper.evaluate(`
-      (() => {
-        // Get main content, excluding nav/footer
-        const main = document.querySelector('main') || document.body;
-        return main.innerText.substring(0, 5000);
-      })()
-    `);
-
-    // Get meta description
-    const metaDescription = await mcpWrapper.evaluate(`
-      (() => {
-        const meta = document.querySelector('meta[name="description"]');
-        return meta ? meta.content : '';
-      })()
-    `);
-
-    // Get page title
-    const pageTitle = await mcpWrapper.evaluate(`
-      document.title
-    `);
-
-    // Get h1 headings (often contain product name)
-    const headings = await mcpWrapper.evaluate(`
-      (() => {
-        const h1s = Array.from(document.querySelectorAll('h1'));
-        return h1s.map(h => h.innerText).slice(0, 3).join(' | ');
-      })()
-    `);
-
-    // Step 3: Take screenshot for visual analysis (optional, not used yet)
-    // const screenshot = await mcpWrapper.screenshot();
+    const pages = [await capturePageSnapshot(mcpWrapper, url, 'home', HOME_PAGE_TEXT_LIMIT)];
+
+    // Step 3: Crawl mode - follow a bounded set of same-domain links
+    if (crawl && maxPages > 1) {
+      const links = await mcpWrapper.evaluate(`
+        Array.from(document.querySelectorAll('a[href]')).map(a => ({
+          href: a.href,
+          text: (a.innerText || '').trim().substring(0, 100)
+        }))
+      `);
+      const targets = selectCrawlTargets(links, url, maxPages - 1);
+
+      for (const target of targets) {
+        try {
+          await mcpWrapper.navigate(target.url);
+          pages.push(await capturePageSnapshot(mcpWrapper, target.url, target.pageType, CRAWLED_PAGE_TEXT_LIMIT));
+        } catch (error) {
+          // A missing page shouldn't lose what the other pages said
+          logger.warn('[ProductExtraction] Skipping page that failed to load', {
+            url: target.url,
+            error: error.message
+          });
+        }
+      }
+    }
 
     // Step 4: Close browser to free resources
     await mcpWrapper.close();
 
     logger.info('[ProductExtraction] Page content extracted', {
-      pageTextLength: pageText?.length || 0,
-      metaDescriptionLength: metaDescription?.length || 0,
-      pageTitle
+      pageCount: pages.length,
+      pageTypes: pages.map(page => page.pageType),
+      pageTextLength: pages.reduce((sum, page) => sum + page.text.length, 0)
     });
 
     // Step 5: Use Claude AI to extract structured product information
-    const aiPrompt = buildExtractionPrompt(url, {
-      pageTitle,
-      metaDescription,
-      headings,
-      pageText
-    });
+    const aiPrompt = buildExtractionPrompt(url, pages);
 
     logger.info('[ProductExtraction] Calling Claude AI for structured extraction');
 
     const aiResponse = await aiService.callAnthropicAPI(aiPrompt, {
       max_tokens: 1000,
-      temperature: 0.3 // Lower temperature for factual extraction
+      temperature: 0.3, // Lower temperature for factual extraction
+      operation: 'extractProductDetails'
     });
+    const responseText = aiResponse?.text || '';
 
     // Parse AI response
     let extracted;
     try {
       // Extract JSON from AI response (handles both pure JSON and text with JSON)
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
       if (!jsonMatch) {
         throw new Error('No JSON found in AI response');
       }
@@ -133,7 +155,7 @@ export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
     } catch (parseError) {
       logger.error('[ProductExtraction] Failed to parse AI response', {
         error: parseError.message,
-        response: aiResponse?.substring(0, 500)
+        response: responseText.substring(0, 500)
       });
       throw new Error('AI response parsing failed');
     }
@@ -159,6 +181,8 @@ export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
       description: extracted.description || '',
       distinguishingFeature: extracted.distinguishingFeature || '',
       businessModel: businessModel,
+      sources: normalizeSources(extracted.sources, pages),
+      pages,
       sourceUrl: url,
       extractedAt: new Date().toISOString(),
       fallback: false,
@@ -168,6 +192,7 @@ export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
     logger.info('[ProductExtraction] Extraction successful', {
       domain,
       productName: result.productName,
+      pageCount: pages.length,
       extractionTimeMs: result.extractionTimeMs
     });
 
@@ -193,23 +218,143 @@ export async function extractProductDetailsFromDomain(domain, mcpWrapper) {
   }
 }
 
+/**
+ * Capture the current page as a snapshot
+ *
+ * @param {Object} mcpWrapper - Browser wrapper already navigated to the page
+ * @param {string} url - Page URL
+ * @param {string} pageType - 'home' or one of CRAWL_PAGE_TYPES
+ * @param {number} textLimit - Characters of visible text to keep
+ * @returns {Promise<Object>} { url, pageType, title, metaDescription, headings, text, capturedAt }
+ */
+async function capturePageSnapshot(mcpWrapper, url, pageType, textLimit) {
+  // Get visible text from page (truncated to stay within token limits)
+  const pageText = await mcpWrapper.evaluate(`
+    (() => {
+      // Get main content, excluding nav/footer
+      const main = document.querySelector('main') || document.body;
+      return main.innerText.substring(0, ${textLimit});
+    })()
+  `);
+
+  // Get meta description
+  const metaDescription = await mcpWrapper.evaluate(`
+    (() => {
+      const meta = document.querySelector('meta[name="description"]');
+      return meta ? meta.content : '';
+    })()
+  `);
+
+  // Get page title
+  const pageTitle = await mcpWrapper.evaluate(`
+    document.title
+  `);
+
+  // Get h1 headings (often contain product name)
+  const headings = await mcpWrapper.evaluate(`
+    (() => {
+      const h1s = Array.from(document.querySelectorAll('h1'));
+      return h1s.map(h => h.innerText).slice(0, 3).join(' | ');
+    })()
+  `);
+
+  return {
+    url,
+    pageType,
+    title: pageTitle || '',
+    metaDescription: metaDescription || '',
+    headings: headings || '',
+    text: pageText || '',
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Pick the same-domain links worth crawling
+ *
+ * At most one page per type, in CRAWL_PAGE_TYPES priority order.
+ *
+ * @param {Array<Object>} links - [{ href, text }] from the home page
+ * @param {string} homeUrl - Home page URL
+ * @param {number} limit - Maximum pages to return
+ * @returns {Array<Object>} [{ url, pageType }]
+ */
+export function selectCrawlTargets(links, homeUrl, limit) {
+  const home = new URL(homeUrl);
+  const bareHost = (hostname) => hostname.replace(/^www\./, '');
+  const candidates = new Map();
+
+  for (const link of Array.isArray(links) ? links : []) {
+    let linkUrl;
+    try {
+      linkUrl = new URL(link.href, home);
+    } catch {
+      continue;
+    }
+
+    if (!['http:', 'https:'].includes(linkUrl.protocol) || bareHost(linkUrl.hostname) !== bareHost(home.hostname)) {
+      continue;
+    }
+
+    linkUrl.hash = '';
+    linkUrl.search = '';
+    const path = linkUrl.pathname.replace(/\/$/, '');
+    if (!path) {
+      continue; // Home page
+    }
+
+    const match = CRAWL_PAGE_TYPES.find(({ pattern }) => pattern.test(path))
+      || CRAWL_PAGE_TYPES.find(({ pattern }) => pattern.test(link.text || ''));
+
+    // First link of each type wins (nav links come first on most sites)
+    if (match && !candidates.has(match.type)) {
+      candidates.set(match.type, `${linkUrl.origin}${path}`);
+    }
+  }
+
+  return CRAWL_PAGE_TYPES
+    .filter(({ type }) => candidates.has(type))
+    .map(({ type }) => ({ url: candidates.get(type), pageType: type }))
+    .slice(0, Math.max(limit, 0));
+}
+
+/**
+ * Keep only citations that point at pages we actually read
+ *
+ * @param {Object} sources - { field: url } from the AI response
+ * @param {Array<Object>} pages - Page snapshots
+ * @returns {Object} { field: url|null } for every cited field
+ */
+function normalizeSources(sources, pages) {
+  const urls = pages.map(page => page.url);
+
+  return Object.fromEntries(CITED_FIELDS.map(field => {
+    const cited = sources?.[field];
+    return [field, urls.includes(cited) ? cited : null];
+  }));
+}
+
 /**
  * Build AI prompt for product information extraction
  *
  * @param {string} url - Company website URL
- * @param {Object} content - Extracted page content
+ * @param {Array<Object>} pages - Page snapshots (home page first)
  * @returns {string} Formatted prompt for Claude
  */
-function buildExtractionPrompt(url, content) {
+function buildExtractionPrompt(url, pages) {
+  const pageSections = pages.map((page, index) => `--- Page ${index + 1} (${page.pageType}): ${page.url} ---
+Page Title: ${page.title}
+Meta Description: ${page.metaDescription}
+Main Headings: ${page.headings}
+
+Page Content:
+${page.text}`).join('\n\n');
+
   return `You are analyzing a company website to extract product information for a B2B SaaS ICP analysis tool.
 
 Website URL: ${url}
-Page Title: ${content.pageTitle}
-Meta Description: ${content.metaDescription}
-Main Headings: ${content.headings}
 
-Page Content:
-${content.pageText}
+${pageSections}
 
 Extract the following information and return ONLY valid JSON (no markdown, no explanation):
 
@@ -217,7 +362,13 @@ Extract the following information and return ONLY valid JSON (no markdown, no ex
   "productName": "Exact product or company name (not tagline)",
   "description": "1-2 sentence description of what the product does",
   "distinguishingFeature": "What makes this product unique or different from competitors",
-  "businessModel": "b2b-subscription OR b2b-one-time"
+  "businessModel": "b2b-subscription OR b2b-one-time",
+  "sources": {
+    "productName": "URL of the page this came from",
+    "description": "URL of the page this came from",
+    "distinguishingFeature": "URL of the page this came from",
+    "businessModel": "URL of the page this came from"
+  }
 }
 
 Rules:
@@ -230,8 +381,9 @@ Rules:
 7. For businessModel: You MUST choose EXACTLY one of these values:
    - "b2b-subscription" - for recurring subscription products (SaaS, monthly/annual billing)
    - "b2b-one-time" - for one-time purchase products (perpetual licenses, one-time fees)
-   Default to "b2b-subscription" for most SaaS products
-8. Return ONLY the JSON object, nothing else
+   Default to "b2b-subscription" for most SaaS products; prefer the pricing page when there is one
+8. For sources: Cite the exact URL (from the "--- Page" lines above) of the page each field is based on; use null if a field is "Unknown"
+9. Return ONLY the JSON object, nothing else
 
 JSON:`;
 }
@@ -329,6 +481,7 @@ export function createMCPWrapper() {
 
 export default {
   extractProductDetailsFromDomain,
+  selectCrawlTargets,
   validateProductDetails,
   createMCPWrapper
 };
@@ -1,23 +1,66 @@
-import Anthropic from '@anthropic-ai/sdk';
 import logger from '../utils/logger.js';
-import { recordAIMetric, retryOperation } from '../middleware/performanceMonitoring.js';
+import anthropicGateway, { AIBudgetExceededError } from './anthropicGatewayService.js';
+import resourceGenerationService from './resourceGenerationService.js';
+import supabase from './supabaseService.js';
+
+export const DEFAULT_PROSPECT_COUNT = 6;
+export const MAX_PROSPECT_COUNT = 20;
+
+export const COMPANY_SIZE_BANDS = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5000+'];
+export const FUNDING_STAGES = ['bootstrapped', 'pre-seed', 'seed', 'series-a', 'series-b', 'series-c+', 'growth', 'public'];
+
+// Resource library prompts that describe who to target (and who not to)
+const DISCOVERY_CONTEXT_PROMPTS = [
+  'icp-analysis',
+  'target-buyer-personas',
+  'negative-buyer-personas',
+  'non-ideal-customer-profile'
+];
+
+const MAX_SECTION_CHARS = 4000;
+const MAX_EXCLUSIONS_IN_PROMPT = 150;
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}...` : text;
+}
+
+/**
+ * "https://www.Acme.io/pricing" → "acme.io" (null if it doesn't look like a domain)
+ */
+export function normalizeDomain(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0];
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+/**
+ * "Acme, Inc." → "acme"
+ */
+function normalizeCompanyName(value) {
+  const name = String(value || '').toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\b(inc|llc|ltd|gmbh|corp|corporation|co|company|limited)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return name || null;
+}
 
 /**
  * Prospect Discovery Service
- * Uses Claude AI + Web Search to find 5-7 real companies matching Andru's "Revenue Desert" ICP
+ * Uses Claude AI + Web Search to find real companies matching the user's own ICP
  *
- * Input: User's generated ICP details (company name, refined description, core capability)
- * Output: 5-7 real companies with evidence links, confidence scores (1-10)
+ * Input: User's product details, plus the ICP analysis, buyer personas and
+ * negative personas saved in their resource library, and optional filters
+ * Output: Up to `count` real companies with evidence links, confidence scores (1-10),
+ * excluding companies the user already rated (company_ratings)
  *
  * Authentication: Required (authenticated ICP tool only)
  */
 class ProspectDiscoveryService {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-  }
-
   /**
    * Discover prospects matching user's ICP using Claude + web search
    * @param {Object} userICPData - User's generated ICP details
@@ -27,10 +70,16 @@ class ProspectDiscoveryService {
    * @param {string} userICPData.industry - Optional industry context
    * @param {string} userICPData.targetMarket - Optional target market context
    * @param {string} userId - User ID for tracking
+   * @param {Object} [options]
+   * @param {Object} [options.filters] - industries, companySizes, geographies, fundingStages, exclude
+   * @param {number} [options.count] - Number of prospects to find (default 6, max 20)
    * @returns {Promise<Object>} Discovery results with prospects array
+   * @throws {AIBudgetExceededError} When an AI budget or cap is exhausted
    */
-  async discoverProspects(userICPData, userId) {
+  async discoverProspects(userICPData, userId, options = {}) {
     const startTime = Date.now();
+    const filters = options.filters || {};
+    const count = Math.min(Math.max(parseInt(options.count, 10) || DEFAULT_PROSPECT_COUNT, 1), MAX_PROSPECT_COUNT);
 
     try {
       // Validate inputs
@@ -38,49 +87,51 @@ class ProspectDiscoveryService {
         throw new Error('Company name and refined product description are required');
       }
 
-      const prompt = this.buildProspectDiscoveryPrompt(userICPData);
-
-      logger.info(`🔍 Starting prospect discovery for ${userICPData.companyName} (user: ${userId})`);
+      const [context, ratedCompanies] = await Promise.all([
+        this.loadDiscoveryContext(userId),
+        this.getRatedCompanies(userId)
+      ]);
+
+      const knownCompanies = [
+        ...ratedCompanies.flatMap(company => [company.companyUrl, company.companyName]),
+        ...(filters.exclude || [])
+      ].filter(Boolean);
+      const excludedCompanies = [...new Set([
+        ...ratedCompanies.map(company => company.companyName || company.companyUrl),
+        ...(filters.exclude || [])
+      ].filter(Boolean))];
+
+      const prompt = this.buildProspectDiscoveryPrompt(userICPData, { context, filters, excludedCompanies, count });
+
+      logger.info(`🔍 Starting prospect discovery for ${userICPData.companyName} (user: ${userId})`, {
+        count,
+        savedICP: !!context.icpAnalysis,
+        savedPersonas: !!context.personas,
+        savedNegativePersonas: !!(context.negativePersonas || context.nonIdealCustomerProfile),
+        excludedCompanies: excludedCompanies.length
+      });
 
-      // Call Claude API with web search enabled + retry logic
-      const aiResponse = await retryOperation(
-        () => this.callAnthropicAPIWithWebSearch(prompt, {
-          model: 'claude-3-5-haiku-20241022', // Fast + cost-efficient
-          max_tokens: 4000,
-          temperature: 0.6,
-          max_searches: 10 // Allow multiple searches for comprehensive discovery
-        }),
-        {
-          maxRetries: 3,
-          delayMs: 1000,
-          operationName: 'prospectDiscovery'
-        }
-      );
+      // Call Claude API with web search enabled (gateway handles retries and metrics)
+      const aiResponse = await this.callAnthropicAPIWithWebSearch(prompt, {
+        model: 'claude-3-5-haiku-20241022', // Fast + cost-efficient
+        max_tokens: Math.min(4000 + Math.max(count - 7, 0) * 500, 8000),
+        temperature: 0.6,
+        max_searches: Math.min(Math.max(10, count * 2), 20), // Allow multiple searches for comprehensive discovery
+        userId
+      });
 
       const prospects = this.parseProspectsResponse(aiResponse.text);
 
+      // The prompt lists known companies, but the model can still return them
+      const { prospects: newProspects, removed } = this.removeKnownCompanies(prospects.prospects, knownCompanies);
+      prospects.prospects = newProspects.slice(0, count);
+      if (prospects.searchSummary) {
+        prospects.searchSummary.totalProspectsIdentified = prospects.prospects.length;
+      }
+
       const duration = Date.now() - startTime;
-      logger.info(`✅ Discovered ${prospects.prospects.length} prospects in ${duration}ms`);
-
-      // Calculate cost
-      const estimatedCost = this.calculateCost(
-        aiResponse.usage.inputTokens,
-        aiResponse.usage.outputTokens,
-        'claude-3-5-haiku-20241022'
-      );
-
-      // Record successful AI call metric with token tracking
-      recordAIMetric({
-        operation: 'prospectDiscovery',
-        duration,
-        success: true,
-        customerId: userId,
-        resultsCount: prospects.prospects.length,
-        inputTokens: aiResponse.usage.inputTokens,
-        outputTokens: aiResponse.usage.outputTokens,
-        totalTokens: aiResponse.usage.totalTokens,
-        estimatedCost: estimatedCost,
-        model: 'claude-3-5-haiku-20241022'
+      logger.info(`✅ Discovered ${prospects.prospects.length} prospects in ${duration}ms`, {
+        removedKnown: removed.length
       });
 
       return {
@@ -88,24 +139,29 @@ class ProspectDiscoveryService {
         data: prospects,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-3-5-haiku-20241022',
+          model: aiResponse.model,
           source: 'prospect_discovery',
           duration,
-          searchQueriesUsed: prospects.searchSummary?.queriesUsed || 'N/A'
+          searchQueriesUsed: prospects.searchSummary?.queriesUsed || 'N/A',
+          requestedCount: count,
+          filters,
+          icpSources: {
+            icpAnalysis: !!context.icpAnalysis,
+            personas: !!context.personas,
+            negativePersonas: !!context.negativePersonas,
+            nonIdealCustomerProfile: !!context.nonIdealCustomerProfile
+          },
+          excludedAlreadyKnown: removed.map(prospect => prospect.companyName)
         }
       };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error(`❌ Prospect discovery failed: ${error.message} (${duration}ms)`);
 
-      // Record failed AI call metric
-      recordAIMetric({
-        operation: 'prospectDiscovery',
-        duration,
-        success: false,
-        error: error.message,
-        customerId: userId
-      });
+      // Exhausted budgets are reported to the user, not papered over
+      if (error instanceof AIBudgetExceededError) {
+        throw error;
+      }
 
       return {
         success: false,
@@ -115,13 +171,65 @@ class ProspectDiscoveryService {
     }
   }
 
+  /**
+   * Load the saved ICP analysis, buyer personas and negative personas from
+   * the user's resource library (latest active generation of each prompt)
+   */
+  async loadDiscoveryContext(userId) {
+    try {
+      const outputs = await resourceGenerationService.getLatestPromptOutputs(userId, DISCOVERY_CONTEXT_PROMPTS);
+
+      return {
+        icpAnalysis: outputs['icp-analysis'] || null,
+        personas: outputs['target-buyer-personas'] || null,
+        negativePersonas: outputs['negative-buyer-personas'] || null,
+        nonIdealCustomerProfile: outputs['non-ideal-customer-profile'] || null
+      };
+    } catch (error) {
+      // Discovery still works from the request's product details alone
+      logger.warn(`Could not load resource library for prospect discovery: ${error.message}`, { userId });
+      return { icpAnalysis: null, personas: null, negativePersonas: null, nonIdealCustomerProfile: null };
+    }
+  }
+
+  /**
+   * Companies the user already rated (company_ratings)
+   * @returns {Promise<Array<{companyName: string, companyUrl: string}>>}
+   */
+  async getRatedCompanies(userId) {
+    const { data, error } = await supabase
+      .from('company_ratings')
+      .select('company_name, company_url')
+      .eq('user_id', userId);
+
+    if (error) {
+      logger.warn(`Could not load rated companies for prospect discovery: ${error.message}`, { userId });
+      return [];
+    }
+
+    return (data || []).map(row => ({ companyName: row.company_name, companyUrl: row.company_url }));
+  }
+
   /**
    * Build the prospect discovery prompt with web search instructions
+   *
+   * @param {Object} userICPData - Product details from the request
+   * @param {Object} [options]
+   * @param {Object} [options.context] - Saved resource library outputs (loadDiscoveryContext)
+   * @param {Object} [options.filters] - industries, companySizes, geographies, fundingStages, exclude
+   * @param {string[]} [options.excludedCompanies] - Names/domains not to return (rated + excluded)
+   * @param {number} [options.count] - Number of prospects to find
    */
-  buildProspectDiscoveryPrompt(userICPData) {
+  buildProspectDiscoveryPrompt(userICPData, options = {}) {
     const { companyName, refinedProductDescription, coreCapability, industry, targetMarket } = userICPData;
+    const { context = {}, filters = {}, excludedCompanies = [], count = DEFAULT_PROSPECT_COUNT } = options;
 
-    return `You are an expert B2B sales prospecting analyst with deep web research capabilities. Your task is to identify 5-7 real companies that match Andru's "Revenue Desert" ICP profile.
+    const icpSection = this.formatICPSection(context.icpAnalysis, context.personas);
+    const negativeSection = this.formatNegativeSection(context.negativePersonas, context.nonIdealCustomerProfile, context.icpAnalysis);
+    const filterSection = this.formatFilterSection(filters);
+    const shownExclusions = excludedCompanies.slice(0, MAX_EXCLUSIONS_IN_PROMPT);
+
+    return `You are an expert B2B sales prospecting analyst with deep web research capabilities. Your task is to identify ${count} real companies that match the Ideal Customer Profile (ICP) of the company below.
 
 ## CONTEXT: The Company You're Finding Prospects For
 
@@ -131,69 +239,36 @@ class ProspectDiscoveryService {
 ${industry ? `**Industry**: ${industry}` : ''}
 ${targetMarket ? `**Target Market**: ${targetMarket}` : ''}
 
-## MISSION
-
-Find 5-7 technical B2B SaaS companies currently in the "Revenue Desert" - post-PMF technical founders struggling with enterprise sales translation despite having superior products. These companies would benefit from Andru's buyer intelligence platform.
-
-## CRITICAL SEARCH CRITERIA
-
-### Primary Observable Signals (Search for these):
-
-1. **Recent Enterprise Sales Leadership Hiring (6-12 months ago)**
-   - Search: "VP Enterprise Sales" OR "Head of Enterprise" OR "CRO" LinkedIn job changes at technical B2B SaaS companies
-   - Look for: LinkedIn announcements, job postings, "We're excited to welcome [Name]" posts
-   - Target companies: Seed to Series B, technical infrastructure/developer tools
-
-2. **Technical Founder CEO Background**
-   - Search: Company founders with PhD, ex-FAANG engineer, technical research backgrounds
-   - Look for: LinkedIn profiles showing "Software Engineer at Google/Meta/Amazon" → "Founder/CEO"
-   - Avoid: Business/sales background founders
-
-3. **Funding Timeline Indicators (Last raise 12-24 months ago)**
-   - Search: "[Company name] Series A" OR "seed funding" on Crunchbase, TechCrunch
-   - Look for: Funding dates in 2023-2024 range (implying 6-18 months runway now)
-   - Target stage: $3M-$15M raised total
-
-4. **High Engineering-to-Sales Ratio**
-   - Search: Company LinkedIn page → "See all employees"
-   - Look for: 70%+ engineering/product roles, <10% sales roles
-   - Count: 15-50+ total employees with heavy technical skew
-
-5. **Public Pain Signals**
-   - Search: Founder LinkedIn posts about "enterprise sales," "moving upmarket," "selling to CFOs"
-   - Look for: Job postings mentioning "complex technical products," "enterprise sales cycles"
-   - Search: G2/Capterra reviews mentioning "hard to explain ROI" or "technically great but..."
+## IDEAL CUSTOMER PROFILE
 
-6. **Product Category (Technical Infrastructure)**
-   - Target: Developer tools, data infrastructure, security/compliance, API platforms, DevOps tools, ML infrastructure
-   - Avoid: Business software (CRM, marketing, HR tools), consumer products
+${icpSection || `No saved ICP analysis is available. Infer the ideal customer from the product description and core capability above: companies that feel the problem ${companyName} solves most acutely and can buy it.`}
+${negativeSection ? `\n## WHO NOT TO TARGET (Negative Personas / Non-Ideal Customers)\n\n${negativeSection}\n` : ''}${filterSection ? `\n## HARD FILTERS (every prospect MUST match all of these)\n\n${filterSection}\n` : ''}
+## MISSION
 
-### Geographic Focus:
-- Headquartered in: US (prioritize SF Bay Area, Seattle, NYC, Boston) or Canada
-- English-language primary market
+Find ${count} real companies that fit this ICP${filterSection ? ' and every hard filter' : ''}. These companies should have a visible, current need for ${companyName}'s core capability.
 
 ## SEARCH METHODOLOGY
 
 ### Phase 1: Identify Candidates
 
-Use web search to find companies matching these patterns:
-1. "VP Enterprise Sales" hired 2024 at developer tools companies
-2. Series A funding 2023-2024 in technical B2B SaaS
-3. Technical founders from FAANG backgrounds
-4. Y Combinator technical infrastructure companies
-5. LinkedIn founder posts about enterprise sales challenges
+Use web search to find companies showing the ICP's firmographics and buying signals, for example:
+1. Recent hires, funding rounds, launches or expansions that create the need described above
+2. Job postings, founder/executive posts or reviews describing the pains the ICP has
+3. Industry lists, directories and news matching the ICP's industries and geographies
 
 ### Phase 2: Validate Each Candidate
 
 For each potential company, verify:
-1. Founder background (technical vs business)
-2. Recent enterprise sales hire
-3. Funding stage and timeline
-4. Team composition (eng/sales ratio)
-5. Pain signals (posts, job descriptions, reviews)
-6. Company size (15-75 employees)
-7. Revenue indicators (enterprise customer mentions)
-
+1. Firmographics (industry, size, stage, geography) match the ICP${filterSection ? ' and the hard filters' : ''}
+2. At least two observable signals that they have the pains or buying signals above
+3. None of the negative-persona or non-ideal-customer red flags apply
+4. The evidence is recent (last 12 months where possible) and has a source URL
+${shownExclusions.length > 0 ? `
+## ALREADY KNOWN - DO NOT RETURN
+
+The user has already rated or excluded these companies. Do not include them (or their subsidiaries/rebrands):
+${shownExclusions.map(name => `- ${name}`).join('\n')}
+` : ''}
 ## OUTPUT FORMAT
 
 Return ONLY valid JSON in this exact structure:
@@ -205,28 +280,25 @@ Return ONLY valid JSON in this exact structure:
       "website": "techflow.ai",
       "headquarters": "San Francisco, CA",
       "productCategory": "ML Infrastructure / Developer Tools",
-      "estimatedStage": "$2-4M ARR, Series A, 14 months post-funding",
+      "estimatedStage": "Series A, ~45 employees",
       "icpFitEvidence": [
-        "Hired Michael Torres as VP Enterprise Sales 7 months ago (LinkedIn: [URL]) - 15 years at Oracle",
-        "Founder Dr. Lisa Chen: PhD ML Stanford, 9 years at Google Brain (LinkedIn: [URL])",
-        "Raised $10M Series A Sept 2024 (Crunchbase: [URL]) - ~13 months runway",
-        "Team: 42 employees - 34 Eng (81%), 4 Sales (10%) per LinkedIn",
-        "Founder posted 'Struggling to translate ML into CFO ROI' 6 weeks ago"
+        "Hired a VP Enterprise Sales 7 months ago (LinkedIn: [URL])",
+        "Raised $10M Series A Sept 2024 (Crunchbase: [URL])",
+        "Job posting mentions the exact pain the ICP describes (Careers page: [URL])"
       ],
       "confidenceRating": 9,
-      "ratingJustification": "All five critical signals present with strong evidence. Recent enterprise hire, clear technical founder, appropriate funding timeline, massive eng/sales ratio imbalance, and explicit public pain signal.",
+      "ratingJustification": "Firmographics match the ICP and three recent buying signals are verified with sources.",
       "evidenceLinks": {
         "linkedinCompany": "linkedin.com/company/techflow-ai",
-        "founderLinkedIn": "linkedin.com/in/dr-lisa-chen",
         "fundingData": "crunchbase.com/organization/techflow-ai",
-        "painSignal": "linkedin.com/posts/dr-lisa-chen/enterprise-challenges"
+        "painSignal": "techflow.ai/careers/enterprise-ae"
       }
     }
   ],
   "searchSummary": {
-    "totalProspectsIdentified": 6,
+    "totalProspectsIdentified": ${count},
     "averageConfidenceRating": 8.2,
-    "strongestSignalPatterns": "Most companies found through recent enterprise sales hires on LinkedIn",
+    "strongestSignalPatterns": "Most companies found through recent funding and hiring signals",
     "searchChallengesEncountered": "Difficult to verify exact revenue stage - used employee count as proxy",
     "queriesUsed": 8
   }
@@ -234,64 +306,134 @@ Return ONLY valid JSON in this exact structure:
 
 ## CONFIDENCE RATING CRITERIA
 
-**9-10/10 - EXCELLENT FIT (4-5+ strong signals)**
-- ✅ Recent enterprise sales hire verified (6-12 months)
-- ✅ Technical founder with clear engineering background
-- ✅ Funding 12-24 months ago verified
-- ✅ High eng/sales ratio verified (70%+)
-- ✅ Public pain signals visible
-
-**7-8/10 - STRONG FIT (3-4 signals)**
-- ✅ 3-4 of above signals verified
-- Some signals inferred but not directly confirmed
-- Minor deviation from ideal
-
-**5-6/10 - MODERATE FIT (2-3 signals)**
-- ✅ 2-3 signals verified
-- Missing key signals
-- May require additional qualification
-
-**Below 5/10 - WEAK FIT**
-- Only 1-2 signals present
-- Don't include in final output unless struggling to find 5 companies
-
-## ANTI-PATTERNS TO AVOID
-
-❌ **DO NOT include**:
-- Companies with non-technical founders (MBA, sales background)
-- Companies selling business software (CRM, marketing, HR)
-- Pre-product or pre-revenue companies (too early)
-- $10M+ ARR companies (past desert stage)
-- Companies with 100+ employees (too large)
-- Companies that raised funding in last 6 months (too early to be in crisis)
-- Companies with proven enterprise playbook
+**9-10/10 - EXCELLENT FIT**: Firmographics match and 3+ buying signals verified with sources, no red flags
+**7-8/10 - STRONG FIT**: Firmographics match and 2 signals verified; some signals inferred
+**5-6/10 - MODERATE FIT**: Partial firmographic match or only 1 verified signal
+**Below 5/10 - WEAK FIT**: Don't include unless struggling to find enough companies
 
 ## DELIVERABLE
 
-Provide exactly 5-7 companies matching this profile, ranked by confidence score (highest first).
+Provide up to ${count} companies matching this profile, ranked by confidence score (highest first).
 
-If you can only find 3-4 strong matches, that's acceptable - quality over quantity. Better to deliver 4 companies with 8-10/10 confidence than 7 companies with 4-6/10 confidence.
+Quality over quantity: fewer companies with 8-10/10 confidence are better than ${count} companies with 4-6/10 confidence.
 
 Begin your comprehensive web search and prospect discovery now. Return ONLY the JSON output with no additional commentary.`;
   }
 
   /**
-   * Call Anthropic Claude API with web search enabled using SDK
+   * ICP firmographics, pains, buying signals and buyer personas for the prompt
+   */
+  formatICPSection(icpAnalysis, personas) {
+    const lines = [];
+
+    if (icpAnalysis && typeof icpAnalysis === 'object') {
+      const { firmographics, psychographics, technographics, behavioral_indicators: behavior, summary } = icpAnalysis;
+
+      if (summary?.executive_summary) lines.push(`**Summary**: ${summary.executive_summary}`);
+      if (firmographics) {
+        lines.push('**Firmographics**:');
+        lines.push(...Object.entries(firmographics)
+          .filter(([, value]) => value && (!Array.isArray(value) || value.length > 0))
+          .map(([key, value]) => `- ${key.replace(/_/g, ' ')}: ${Array.isArray(value) ? value.join(', ') : value}`));
+      }
+      if (psychographics?.pain_points?.length) lines.push(`**Pain Points**: ${psychographics.pain_points.join('; ')}`);
+      if (behavior?.buying_signals?.length) lines.push(`**Buying Signals**: ${behavior.buying_signals.join('; ')}`);
+      if (technographics?.tech_stack?.length) lines.push(`**Tech Stack**: ${technographics.tech_stack.join(', ')}`);
+    } else if (typeof icpAnalysis === 'string') {
+      lines.push(truncate(icpAnalysis, MAX_SECTION_CHARS));
+    }
+
+    const buyerPersonas = personas?.personas || [];
+    if (buyerPersonas.length > 0) {
+      lines.push('**Buyer Personas** (the people who buy - look for companies that employ them):');
+      lines.push(...buyerPersonas.map(persona => {
+        const pains = persona.psychographics?.primary_pain_points?.slice(0, 2).join('; ');
+        const role = persona.title_role || persona.persona_name;
+        return `- ${role}${persona.seniority_level ? ` (${persona.seniority_level})` : ''}${pains ? `: ${pains}` : ''}`;
+      }));
+    }
+
+    return truncate(lines.join('\n'), MAX_SECTION_CHARS);
+  }
+
+  /**
+   * Negative persona and non-ideal customer red flags for the prompt
+   */
+  formatNegativeSection(negativePersonas, nonIdealCustomerProfile, icpAnalysis) {
+    const lines = [];
+
+    const { red_flags: redFlags = [], disqualifying_factors: disqualifiers = [] } = icpAnalysis?.negative_indicators || {};
+    if (redFlags.length || disqualifiers.length) {
+      lines.push(`- ICP red flags: ${[...disqualifiers, ...redFlags].join('; ')}`);
+    }
+
+    for (const persona of negativePersonas?.negative_personas || []) {
+      const flags = persona.warning_signs?.firmographic_red_flags || [];
+      lines.push(`- ${persona.persona_archetype || persona.persona_name}${flags.length ? `: ${flags.join('; ')}` : ''}`);
+    }
+
+    if (nonIdealCustomerProfile?.executive_summary) {
+      lines.push(`- ${nonIdealCustomerProfile.executive_summary}`);
+    }
+    if (nonIdealCustomerProfile?.disqualifying_firmographics) {
+      lines.push(`- Disqualifying firmographics: ${JSON.stringify(nonIdealCustomerProfile.disqualifying_firmographics)}`);
+    }
+
+    return truncate(lines.join('\n'), MAX_SECTION_CHARS);
+  }
+
+  /**
+   * Explicit request filters for the prompt
+   */
+  formatFilterSection(filters = {}) {
+    const lines = [];
+
+    if (filters.industries?.length) lines.push(`- Industry: ${filters.industries.join(' OR ')}`);
+    if (filters.companySizes?.length) lines.push(`- Company size (employees): ${filters.companySizes.join(' OR ')}`);
+    if (filters.geographies?.length) lines.push(`- Headquarters: ${filters.geographies.join(' OR ')}`);
+    if (filters.fundingStages?.length) lines.push(`- Funding stage: ${filters.fundingStages.join(' OR ')}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Drop prospects the user already rated or excluded (matched by domain or name)
+   * @returns {{prospects: Object[], removed: Object[]}}
+   */
+  removeKnownCompanies(prospects, knownCompanies) {
+    const knownKeys = new Set();
+    for (const company of knownCompanies) {
+      const domain = normalizeDomain(company);
+      if (domain) knownKeys.add(domain);
+      const name = normalizeCompanyName(company);
+      if (name) knownKeys.add(name);
+    }
+
+    const kept = [];
+    const removed = [];
+    for (const prospect of prospects) {
+      const domain = normalizeDomain(prospect.website);
+      const name = normalizeCompanyName(prospect.companyName);
+      const known = (domain && knownKeys.has(domain)) || (name && knownKeys.has(name));
+      (known ? removed : kept).push(prospect);
+    }
+
+    return { prospects: kept, removed };
+  }
+
+  /**
+   * Call Anthropic Claude API with web search enabled through the shared gateway
    */
   async callAnthropicAPIWithWebSearch(prompt, options = {}) {
     const modelToUse = options.model || 'claude-3-5-haiku-20241022';
     logger.info(`🤖 Calling Anthropic API with web search: ${modelToUse}`);
 
-    const response = await this.anthropic.messages.create({
+    // Text blocks are joined by the gateway (web search results are embedded)
+    return anthropicGateway.createMessage({
+      prompt,
       model: modelToUse,
       max_tokens: options.max_tokens || 4000,
       temperature: options.temperature || 0.6,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
       // Enable web search tool
       tools: [
         {
@@ -299,27 +441,11 @@ Begin your comprehensive web search and prospect discovery now. Return ONLY the
           name: 'web_search',
           max_uses: options.max_searches || 10
         }
-      ]
+      ],
+      operation: 'prospectDiscovery',
+      userId: options.userId || null,
+      metadata: { webSearch: true }
     });
-
-    // Extract text content from response (web search results are embedded)
-    let fullText = '';
-    for (const content of response.content) {
-      if (content.type === 'text') {
-        fullText += content.text;
-      }
-    }
-
-    // Return text and usage data
-    return {
-      text: fullText,
-      usage: {
-        inputTokens: response.usage.input_tokens || 0,
-        outputTokens: response.usage.output_tokens || 0,
-        totalTokens: (response.usage.input_tokens || 0) + (response.usage.output_tokens || 0)
-      },
-      model: modelToUse
-    };
   }
 
   /**
@@ -400,32 +526,6 @@ Begin your comprehensive web search and prospect discovery now. Return ONLY the
       }
     };
   }
-
-  /**
-   * Calculate cost in USD based on token usage
-   * Model pricing per 1M tokens:
-   * - Claude 3 Opus: $15 input / $75 output
-   * - Claude 3.5 Sonnet: $3 input / $15 output
-   * - Claude 3.5 Haiku: $0.25 input / $1.25 output
-   */
-  calculateCost(inputTokens, outputTokens, model) {
-    const pricing = {
-      'claude-3-opus-20240229': { input: 15, output: 75 },
-      'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-      'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-    };
-
-    const modelPricing = pricing[model];
-    if (!modelPricing) {
-      logger.warn(`Unknown model pricing: ${model}, using Haiku as fallback`);
-      return this.calculateCost(inputTokens, outputTokens, 'claude-3-5-haiku-20241022');
-    }
-
-    const inputCost = (inputTokens / 1_000_000) * modelPricing.input;
-    const outputCost = (outputTokens / 1_000_000) * modelPricing.output;
-
-    return parseFloat((inputCost + outputCost).toFixed(6));
-  }
 }
 
 export default new ProspectDiscoveryService();
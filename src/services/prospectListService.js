@@ -0,0 +1,554 @@
+/**
+ * Prospect List Service
+ *
+ * Named lists of prospect companies saved from prospect discovery, added by
+ * hand or imported from CSV. Every new entry is queued for ICP rating through
+ * addCompanyRatingJob; the rating worker writes the score and fit level back
+ * with recordRating()/recordRatingFailure().
+ *
+ * @module services/prospectListService
+ */
+
+import supabase from './supabaseService.js';
+import { normalizeDomain } from './prospectDiscoveryService.js';
+import { addCompanyRatingJob } from '../lib/queue.js';
+import logger from '../utils/logger.js';
+
+export const ENTRY_SOURCES = ['discovery', 'manual', 'csv'];
+
+// Best fit first when scores tie (fitLevel values from the rating prompt)
+const FIT_LEVEL_RANK = { excellent: 4, good: 3, fair: 2, poor: 1 };
+
+export const ENTRY_SORTS = ['rating', 'fit_level', 'name', 'added'];
+
+export const CSV_COLUMNS = ['company_name', 'company_url', 'rating_score', 'fit_level', 'rating_status', 'source', 'notes', 'added_at'];
+
+// Header aliases accepted on import
+const CSV_IMPORT_HEADERS = {
+  companyName: ['company_name', 'company', 'name', 'companyname'],
+  companyUrl: ['company_url', 'website', 'url', 'domain', 'companyurl'],
+  notes: ['notes', 'note', 'comments']
+};
+
+/**
+ * Shape a list row for API responses
+ * @private
+ */
+function toPublicList(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    entryCount: row.entryCount ?? row.prospect_list_entries?.[0]?.count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shape an entry row for API responses
+ * @private
+ */
+function toPublicEntry(row) {
+  return {
+    id: row.id,
+    companyName: row.company_name,
+    companyUrl: row.company_url,
+    notes: row.notes,
+    source: row.source,
+    discoveryData: row.discovery_data,
+    ratingStatus: row.rating_status,
+    ratingJobId: row.rating_job_id,
+    ratingScore: row.rating_score === null || row.rating_score === undefined ? null : Number(row.rating_score),
+    fitLevel: row.fit_level,
+    ratingError: row.rating_error,
+    ratedAt: row.rated_at,
+    addedAt: row.created_at
+  };
+}
+
+/**
+ * Sort entries: rating (score, then fit level), fit_level (fit level, then
+ * score), name or added (oldest first). Unrated entries go last.
+ * @private
+ */
+function sortEntries(entries, sort = 'rating') {
+  const score = entry => (entry.ratingScore === null ? -1 : entry.ratingScore);
+  const fit = entry => FIT_LEVEL_RANK[String(entry.fitLevel || '').toLowerCase()] || 0;
+
+  const comparators = {
+    rating: (a, b) => score(b) - score(a) || fit(b) - fit(a),
+    fit_level: (a, b) => fit(b) - fit(a) || score(b) - score(a),
+    name: (a, b) => a.companyName.localeCompare(b.companyName),
+    added: (a, b) => new Date(a.addedAt) - new Date(b.addedAt)
+  };
+
+  return [...entries].sort(comparators[sort] || comparators.rating);
+}
+
+/**
+ * Quote a CSV cell; cells that would start a spreadsheet formula are prefixed with '
+ * @private
+ */
+function toCSVCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, , or ; separated) into rows of cells
+ * @private
+ */
+function parseCSV(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+class ProspectListService {
+  /**
+   * List a user's prospect lists (newest first) with entry counts
+   *
+   * @param {string} userId
+   * @returns {Promise<Object[]>}
+   */
+  async listLists(userId) {
+    const { data, error } = await supabase
+      .from('prospect_lists')
+      .select('*, prospect_list_entries(count)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to list prospect lists', { userId, error: error.message });
+      throw new Error(`Failed to list prospect lists: ${error.message}`);
+    }
+
+    return (data || []).map(toPublicList);
+  }
+
+  /**
+   * Create a list, optionally with initial entries (queued for rating)
+   *
+   * @param {string} userId
+   * @param {Object} list
+   * @param {string} list.name
+   * @param {string} [list.description]
+   * @param {Object[]} [list.entries] - See addEntries()
+   * @param {string} [list.source] - Source of the initial entries
+   * @returns {Promise<Object>} { list, entries, skipped }
+   */
+  async createList(userId, { name, description = null, entries = [], source = 'manual' }) {
+    const { data, error } = await supabase
+      .from('prospect_lists')
+      .insert({ user_id: userId, name, description })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        const conflict = new Error(`A prospect list named "${name}" already exists`);
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      logger.error('[ProspectListService] Failed to create prospect list', { userId, error: error.message });
+      throw new Error(`Failed to create prospect list: ${error.message}`);
+    }
+
+    logger.info('[ProspectListService] Prospect list created', { userId, listId: data.id });
+
+    const added = entries.length > 0
+      ? await this.addEntries(userId, data.id, entries, source)
+      : { entries: [], skipped: [] };
+
+    return { list: toPublicList({ ...data, entryCount: added.entries.length }), ...added };
+  }
+
+  /**
+   * Get one of a user's lists with its entries
+   *
+   * @param {string} userId
+   * @param {string} listId
+   * @param {Object} [options]
+   * @param {string} [options.sort] - One of ENTRY_SORTS (default 'rating')
+   * @returns {Promise<Object|null>} { list, entries }, or null if the user has no such list
+   */
+  async getList(userId, listId, { sort = 'rating' } = {}) {
+    const list = await this.findList(userId, listId);
+    if (!list) return null;
+
+    const { data, error } = await supabase
+      .from('prospect_list_entries')
+      .select('*')
+      .eq('list_id', listId)
+      .eq('user_id', userId);
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to load prospect list entries', { userId, listId, error: error.message });
+      throw new Error(`Failed to load prospect list entries: ${error.message}`);
+    }
+
+    const entries = sortEntries((data || []).map(toPublicEntry), sort);
+
+    return { list: toPublicList({ ...list, entryCount: entries.length }), entries };
+  }
+
+  /**
+   * Rename a list or change its description
+   *
+   * @returns {Promise<Object|null>} Updated list, or null if the user has no such list
+   */
+  async updateList(userId, listId, { name, description }) {
+    const changes = { updated_at: new Date().toISOString() };
+    if (name !== undefined) changes.name = name;
+    if (description !== undefined) changes.description = description;
+
+    const { data, error } = await supabase
+      .from('prospect_lists')
+      .update(changes)
+      .eq('id', listId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        const conflict = new Error(`A prospect list named "${name}" already exists`);
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      logger.error('[ProspectListService] Failed to update prospect list', { userId, listId, error: error.message });
+      throw new Error(`Failed to update prospect list: ${error.message}`);
+    }
+
+    return data ? toPublicList(data) : null;
+  }
+
+  /**
+   * Delete a list and its entries
+   *
+   * @returns {Promise<boolean>} false if the user has no such list
+   */
+  async deleteList(userId, listId) {
+    const { data, error } = await supabase
+      .from('prospect_lists')
+      .delete()
+      .eq('id', listId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to delete prospect list', { userId, listId, error: error.message });
+      throw new Error(`Failed to delete prospect list: ${error.message}`);
+    }
+
+    if (data?.length) {
+      logger.info('[ProspectListService] Prospect list deleted', { userId, listId });
+    }
+
+    return !!data?.length;
+  }
+
+  /**
+   * Add companies to a list and queue each new one for ICP rating
+   *
+   * Companies already in the list (same domain) or without a usable domain
+   * are skipped.
+   *
+   * @param {string} userId
+   * @param {string} listId
+   * @param {Object[]} entries - { companyName, companyUrl | website, notes, discoveryData }
+   * @param {string} [source] - One of ENTRY_SOURCES
+   * @returns {Promise<Object|null>} { entries, skipped }, or null if the user has no such list
+   */
+  async addEntries(userId, listId, entries, source = 'manual') {
+    const list = await this.findList(userId, listId);
+    if (!list) return null;
+
+    const { data: existing, error: existingError } = await supabase
+      .from('prospect_list_entries')
+      .select('company_url')
+      .eq('list_id', listId);
+
+    if (existingError) {
+      logger.error('[ProspectListService] Failed to load prospect list entries', { userId, listId, error: existingError.message });
+      throw new Error(`Failed to load prospect list entries: ${existingError.message}`);
+    }
+
+    const seen = new Set((existing || []).map(row => row.company_url));
+    const rows = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      const companyUrl = normalizeDomain(entry.companyUrl || entry.website);
+      if (!companyUrl) {
+        skipped.push({ companyName: entry.companyName || null, reason: 'No valid website/domain' });
+        continue;
+      }
+      if (seen.has(companyUrl)) {
+        skipped.push({ companyName: entry.companyName || companyUrl, companyUrl, reason: 'Already in list' });
+        continue;
+      }
+      seen.add(companyUrl);
+
+      rows.push({
+        list_id: listId,
+        user_id: userId,
+        company_name: entry.companyName || companyUrl,
+        company_url: companyUrl,
+        notes: entry.notes || null,
+        source,
+        discovery_data: entry.discoveryData || null
+      });
+    }
+
+    if (rows.length === 0) {
+      return { entries: [], skipped };
+    }
+
+    const { data: inserted, error } = await supabase
+      .from('prospect_list_entries')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to add prospect list entries', { userId, listId, error: error.message });
+      throw new Error(`Failed to add prospect list entries: ${error.message}`);
+    }
+
+    const queued = [];
+    for (const row of inserted) {
+      queued.push(await this.queueRating(userId, row));
+    }
+
+    logger.info('[ProspectListService] Entries added to prospect list', {
+      userId,
+      listId,
+      added: queued.length,
+      skipped: skipped.length,
+      source
+    });
+
+    return { entries: queued.map(toPublicEntry), skipped };
+  }
+
+  /**
+   * Remove a company from a list
+   *
+   * @returns {Promise<boolean>} false if the user has no such entry in the list
+   */
+  async removeEntry(userId, listId, entryId) {
+    const { data, error } = await supabase
+      .from('prospect_list_entries')
+      .delete()
+      .eq('id', entryId)
+      .eq('list_id', listId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to remove prospect list entry', { userId, listId, entryId, error: error.message });
+      throw new Error(`Failed to remove prospect list entry: ${error.message}`);
+    }
+
+    return !!data?.length;
+  }
+
+  /**
+   * Queue an entry for ICP rating and mark it queued
+   * A queue failure leaves the entry 'pending' rather than failing the add.
+   *
+   * @param {string} userId
+   * @param {Object} row - prospect_list_entries row
+   * @returns {Promise<Object>} Updated row
+   */
+  async queueRating(userId, row) {
+    let job;
+    try {
+      job = await addCompanyRatingJob(
+        { customerId: userId, companyUrl: row.company_url, prospectListEntryId: row.id },
+        { jobId: `rating-${userId}-${row.id}-${Date.now()}` }
+      );
+    } catch (error) {
+      logger.error('[ProspectListService] Failed to queue rating', { userId, entryId: row.id, error: error.message });
+      return row;
+    }
+
+    const { data, error } = await supabase
+      .from('prospect_list_entries')
+      .update({ rating_status: 'queued', rating_job_id: job.jobId, rating_error: null, updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.warn('[ProspectListService] Failed to mark entry queued', { entryId: row.id, error: error.message });
+      return { ...row, rating_status: 'queued', rating_job_id: job.jobId };
+    }
+
+    return data;
+  }
+
+  /**
+   * Copy a finished company rating onto its list entry (rating worker)
+   *
+   * @param {string} entryId
+   * @param {Object} result - rateSingleCompany() result
+   */
+  async recordRating(entryId, result) {
+    const { error } = await supabase
+      .from('prospect_list_entries')
+      .update({
+        rating_status: 'rated',
+        rating_id: result.savedId || null,
+        rating_score: result.rating?.score ?? null,
+        fit_level: result.rating?.fitLevel || null,
+        rating_error: null,
+        rated_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', entryId);
+
+    // Logged only: the rating itself is saved, retrying the job would rate the company twice
+    if (error) {
+      logger.error('[ProspectListService] Failed to record rating', { entryId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark a list entry's rating as failed after its last attempt (rating worker)
+   *
+   * @param {string} entryId
+   * @param {string} message - Failure reason
+   */
+  async recordRatingFailure(entryId, message) {
+    const { error } = await supabase
+      .from('prospect_list_entries')
+      .update({ rating_status: 'failed', rating_error: message, updated_at: new Date().toISOString() })
+      .eq('id', entryId);
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to record rating failure', { entryId, error: error.message });
+    }
+  }
+
+  /**
+   * Export a list as CSV (CSV_COLUMNS, sorted like getList)
+   *
+   * @returns {Promise<Object|null>} { list, csv }, or null if the user has no such list
+   */
+  async exportCSV(userId, listId, options = {}) {
+    const result = await this.getList(userId, listId, options);
+    if (!result) return null;
+
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...result.entries.map(entry => [
+        entry.companyName,
+        entry.companyUrl,
+        entry.ratingScore ?? '',
+        entry.fitLevel || '',
+        entry.ratingStatus,
+        entry.source,
+        entry.notes || '',
+        entry.addedAt || ''
+      ].map(toCSVCell).join(','))
+    ];
+
+    return { list: result.list, csv: `${lines.join('\r\n')}\r\n` };
+  }
+
+  /**
+   * Parse an uploaded CSV into entries for addEntries()
+   *
+   * Needs a header row with a website/domain column (company_url, website,
+   * url or domain); company name and notes columns are optional.
+   *
+   * @param {string} text - CSV text
+   * @returns {Object[]} { companyName, companyUrl, notes }
+   */
+  parseImportCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    const columns = (header || []).map(cell => cell.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const indexOf = field => columns.findIndex(column => CSV_IMPORT_HEADERS[field].includes(column));
+
+    const urlIndex = indexOf('companyUrl');
+    if (urlIndex === -1) {
+      const error = new Error('CSV must have a header row with a company_url, website, url or domain column');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const nameIndex = indexOf('companyName');
+    const notesIndex = indexOf('notes');
+
+    return rows.map(cells => ({
+      companyName: nameIndex === -1 ? null : cells[nameIndex]?.trim() || null,
+      companyUrl: cells[urlIndex]?.trim() || null,
+      notes: notesIndex === -1 ? null : cells[notesIndex]?.trim() || null
+    }));
+  }
+
+  /**
+   * Find one of a user's lists
+   * @private
+   */
+  async findList(userId, listId) {
+    const { data, error } = await supabase
+      .from('prospect_lists')
+      .select('*')
+      .eq('id', listId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('[ProspectListService] Failed to load prospect list', { userId, listId, error: error.message });
+      throw new Error(`Failed to load prospect list: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default new ProspectListService();
@@ -8,6 +8,7 @@
  * - Load prompts from disk
  * - Inject user context + previous resource outputs (cumulative intelligence)
  * - Generate using Claude AI with streaming support
+ * - Validate outputs against RESOURCE_CONTENT_SCHEMAS and re-prompt for missing sections
  * - Store generated resources with metadata
  * - Track dependencies and generation costs
  */
@@ -16,12 +17,19 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import aiService from './aiService.js';
+import { anthropicGateway } from './anthropicGatewayService.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { calculateCost } from '../config/model-pricing.js';
+import { getResourceContentSchema, validateResourceContent } from '../config/resource-content-schemas.js';
 import { pool } from '../config/database.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Re-prompts for missing/invalid sections before a resource is saved anyway
+const MAX_REPAIR_ATTEMPTS = 2;
+
 class ResourceGenerationService {
   constructor() {
     this.promptsBasePath = path.join(__dirname, '../../../dev/resource-library/resource-prompts');
@@ -51,10 +59,17 @@ class ResourceGenerationService {
   /**
    * Generate a complete resource (strategic framework + implementation guides)
    * This is the main entry point for resource generation
+   *
+   * Options:
+   * - streaming: stream token deltas for every prompt through onProgress
+   *   ({ stage: 'streaming', promptId, progress, chunk })
+   * - onProgress: receives stage events (building_context, generating_strategic,
+   *   generating_implementation, validating, prompt_complete, saving, complete)
+   * - signal: AbortSignal - generation stops before the next prompt once aborted
    */
   async generateResource(userId, resourceId, options = {}) {
     const startTime = Date.now();
-    const { streaming = false, onProgress = null } = options;
+    const { streaming = false, onProgress = null, signal = null } = options;
     const client = await pool.connect();
 
     try {
@@ -98,12 +113,14 @@ class ResourceGenerationService {
 
       for (let i = 0; i < strategicPrompts.length; i++) {
         const promptId = strategicPrompts[i];
+        const progressRange = [10 + ((i / strategicPrompts.length) * 40), 10 + (((i + 1) / strategicPrompts.length) * 40)];
+        this.throwIfAborted(signal);
 
         if (onProgress) {
           onProgress({
             stage: 'generating_strategic',
             promptId,
-            progress: 10 + ((i / strategicPrompts.length) * 40)
+            progress: progressRange[0]
           });
         }
 
@@ -114,8 +131,9 @@ class ResourceGenerationService {
           promptId,
           resource.tier,
           cumulativeContext,
-          streaming && i === 0, // Only stream first strategic prompt
-          onProgress
+          streaming,
+          onProgress,
+          progressRange
         );
 
         strategicOutputs.push(output);
@@ -129,12 +147,14 @@ class ResourceGenerationService {
 
       for (let i = 0; i < implementationGuides.length; i++) {
         const guideId = implementationGuides[i];
+        const progressRange = [50 + ((i / implementationGuides.length) * 40), 50 + (((i + 1) / implementationGuides.length) * 40)];
+        this.throwIfAborted(signal);
 
         if (onProgress) {
           onProgress({
             stage: 'generating_implementation',
             guideId,
-            progress: 50 + ((i / implementationGuides.length) * 40)
+            progress: progressRange[0]
           });
         }
 
@@ -151,8 +171,9 @@ class ResourceGenerationService {
           guideId,
           'implementation',
           implContext,
-          false, // No streaming for implementation guides
-          onProgress
+          streaming,
+          onProgress,
+          progressRange
         );
 
         implementationOutputs.push(output);
@@ -160,13 +181,20 @@ class ResourceGenerationService {
         totalOutputTokens += output.metadata.tokens.outputTokens;
       }
 
-      // 6. Calculate total cost
-      const estimatedCost = aiService.calculateCost(
-        { inputTokens: totalInputTokens, outputTokens: totalOutputTokens },
-        'claude-sonnet-4-20250514'
+      // 6. Calculate total cost (each prompt is priced by the gateway at the model actually used)
+      const estimatedCost = parseFloat(
+        this.calculateTotalCost(strategicOutputs, implementationOutputs).toFixed(6)
       );
 
+      const validationReport = this.buildValidationReport([...strategicOutputs, ...implementationOutputs]);
+      if (!validationReport.valid) {
+        logger.warn(`  ⚠️ Saving ${resource.resource_code} with schema validation errors`, {
+          prompts: validationReport.prompts.filter(p => p.valid === false).map(p => p.promptId)
+        });
+      }
+
       // 7. Store generated resource in database
+      this.throwIfAborted(signal);
       if (onProgress) {
         onProgress({ stage: 'saving', progress: 95 });
       }
@@ -207,8 +235,9 @@ class ResourceGenerationService {
           generation_duration_seconds,
           context_resources_used,
           context_token_count,
+          validation_report,
           is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, true)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, true)
         RETURNING id
       `, [
         userId,
@@ -217,7 +246,7 @@ class ResourceGenerationService {
         JSON.stringify(strategicOutputs),
         JSON.stringify(implementationOutputs),
         nextVersion,
-        'claude-sonnet-4-20250514',
+        config.ai.resourceModel,
         totalInputTokens,
         totalOutputTokens,
         estimatedCost,
@@ -225,7 +254,8 @@ class ResourceGenerationService {
         new Date(),
         generationDuration,
         cumulativeContext.usedResourceCodes || [],
-        cumulativeContext.contextTokenEstimate
+        cumulativeContext.contextTokenEstimate,
+        JSON.stringify(validationReport)
       ]);
 
       const generatedId = insertResult.rows[0].id;
@@ -263,7 +293,8 @@ class ResourceGenerationService {
           totalOutputTokens,
           estimatedCostUSD: estimatedCost,
           cumulativeContextResources: cumulativeContext.resourceCount || 0,
-          model: 'claude-sonnet-4-20250514'
+          model: config.ai.resourceModel,
+          validation: validationReport
         }
       };
 
@@ -275,10 +306,23 @@ class ResourceGenerationService {
     }
   }
 
+  /**
+   * Stop a generation whose client has gone away (checked between prompts)
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new Error('Resource generation cancelled');
+    }
+  }
+
   /**
    * Generate a single prompt (strategic or implementation guide)
+   *
+   * @param {Array<number>} progressRange - [start, end] overall progress covered by this prompt
    */
-  async generateSinglePrompt(userId, promptId, tier, cumulativeContext, streaming = false, onProgress = null) {
+  async generateSinglePrompt(userId, promptId, tier, cumulativeContext, streaming = false, onProgress = null, progressRange = [10, 50]) {
+    const [progressStart, progressEnd] = progressRange;
     const startTime = Date.now();
 
     try {
@@ -288,53 +332,81 @@ class ResourceGenerationService {
       // 2. Inject cumulative context into prompt
       const executablePrompt = this.injectCumulativeContext(promptTemplate, cumulativeContext);
 
-      // 3. Call AI service
+      // 3. Call AI service (gateway handles retries, fallback, budget checks and metrics)
+      const gatewayOptions = {
+        model: config.ai.resourceModel,
+        max_tokens: 4000,
+        temperature: 0.7,
+        operation: 'generateResourcePrompt',
+        userId,
+        metadata: { promptId, tier }
+      };
+
       let aiResponse;
       if (streaming) {
         aiResponse = await aiService.callAnthropicAPIStreaming(
           executablePrompt,
-          {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 4000,
-            temperature: 0.7
-          },
+          gatewayOptions,
           (progress, chunk) => {
             if (onProgress) {
               onProgress({
                 stage: 'streaming',
                 promptId,
-                progress: 10 + (progress * 0.4), // Map 0-100 to 10-50
+                progress: progressStart + ((progress / 100) * (progressEnd - progressStart)),
                 chunk
               });
             }
           }
         );
       } else {
-        aiResponse = await aiService.callAnthropicAPI(
-          executablePrompt,
-          {
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 4000,
-            temperature: 0.7
-          }
-        );
+        aiResponse = await aiService.callAnthropicAPI(executablePrompt, gatewayOptions);
       }
 
       // 4. Parse and structure the output
       const parsedContent = this.parseResourceOutput(aiResponse.text, promptId);
 
-      return {
+      // 5. Validate against the content schema, re-prompting for missing sections
+      if (onProgress) {
+        onProgress({ stage: 'validating', promptId, progress: progressEnd });
+      }
+      const { content, validation, repairResponses } = await this.validateAndRepairOutput(
+        userId,
+        promptId,
+        parsedContent,
+        { prompt: executablePrompt, responseText: aiResponse.text, model: gatewayOptions.model }
+      );
+
+      const responses = [aiResponse, ...repairResponses];
+
+      const output = {
         promptId,
         tier,
-        content: parsedContent,
+        content,
+        validation,
         metadata: {
           generatedAt: new Date().toISOString(),
-          model: 'claude-sonnet-4-20250514',
-          tokens: aiResponse.usage,
+          model: aiResponse.model,
+          tokens: {
+            inputTokens: responses.reduce((sum, r) => sum + (r.usage?.inputTokens || 0), 0),
+            outputTokens: responses.reduce((sum, r) => sum + (r.usage?.outputTokens || 0), 0)
+          },
+          cost: responses.reduce((sum, r) => sum + (r.estimatedCost || 0), 0),
           generationTimeMs: Date.now() - startTime
         }
       };
 
+      if (onProgress) {
+        onProgress({
+          stage: 'prompt_complete',
+          promptId,
+          progress: progressEnd,
+          tokens: output.metadata.tokens,
+          valid: validation.valid
+        });
+      }
+
+      return output;
+
     } catch (error) {
       logger.error(`Prompt generation failed: ${promptId}`, error);
       throw error;
@@ -554,6 +626,127 @@ seamless continuity and exponentially deeper personalization.
     }
   }
 
+  /**
+   * Validate parsed output against its RESOURCE_CONTENT_SCHEMAS entry and
+   * ask the model to fill in only the missing/invalid sections.
+   *
+   * Prompts without a schema (most implementation guides) pass through unchecked.
+   *
+   * @returns {Promise<Object>} { content, validation, repairResponses }
+   */
+  async validateAndRepairOutput(userId, promptId, content, { prompt, responseText, model }) {
+    if (!getResourceContentSchema(promptId)) {
+      return {
+        content,
+        validation: { promptId, schemaFound: false, valid: null },
+        repairResponses: []
+      };
+    }
+
+    let result = validateResourceContent(promptId, content);
+    const initialErrors = result.errors;
+    const repairResponses = [];
+    let repairedContent = content;
+
+    for (let attempt = 1; !result.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      logger.warn(`  🔧 ${promptId} failed schema validation - repair attempt ${attempt}`, {
+        sections: result.invalidSections,
+        errors: result.errors.slice(0, 10)
+      });
+
+      try {
+        const response = await anthropicGateway.createMessage({
+          operation: 'repairResourceOutput',
+          model,
+          max_tokens: 4000,
+          temperature: 0.3,
+          userId,
+          metadata: { promptId, attempt, sections: result.invalidSections },
+          messages: [
+            { role: 'user', content: prompt },
+            { role: 'assistant', content: responseText || '(empty response)' },
+            { role: 'user', content: this.buildRepairPrompt(promptId, result) }
+          ]
+        });
+        repairResponses.push(response);
+
+        const patch = this.parseResourceOutput(response.text, promptId);
+        repairedContent = this.mergeRepairedSections(repairedContent, patch, result.invalidSections);
+      } catch (error) {
+        logger.error(`  ❌ Repair attempt ${attempt} for ${promptId} failed: ${error.message}`);
+        break;
+      }
+
+      result = validateResourceContent(promptId, repairedContent);
+    }
+
+    return {
+      content: repairedContent,
+      validation: {
+        promptId,
+        schemaFound: true,
+        valid: result.valid,
+        repaired: repairResponses.length > 0 && result.valid,
+        repairAttempts: repairResponses.length,
+        initialErrors,
+        errors: result.errors
+      },
+      repairResponses
+    };
+  }
+
+  /**
+   * Build a re-prompt asking only for the sections that failed validation
+   */
+  buildRepairPrompt(promptId, validationResult) {
+    const { schema, invalidSections, errors } = validationResult;
+    const expectedStructure = Object.fromEntries(
+      invalidSections.map(section => [section, schema.structure?.[section] ?? 'string'])
+    );
+
+    return `Your response for "${schema.resourceName}" did not match the required structure:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY a JSON object containing these top-level sections: ${invalidSections.join(', ')}.
+Each section must be complete (it replaces the previous version) and follow this structure, with the types shown:
+
+\`\`\`json
+${JSON.stringify(expectedStructure, null, 2)}
+\`\`\`
+
+Do not repeat any other sections. Keep the content consistent with your previous response.`;
+  }
+
+  /**
+   * Merge repaired sections into the original content (other sections untouched)
+   */
+  mergeRepairedSections(content, patch, sections) {
+    const base = content && typeof content === 'object' ? { ...content } : {};
+    if (!patch || typeof patch !== 'object') {
+      return base;
+    }
+
+    for (const section of sections) {
+      if (patch[section] !== undefined) {
+        base[section] = patch[section];
+      }
+    }
+    return base;
+  }
+
+  /**
+   * Combine per-prompt validation results into the report stored with the resource
+   */
+  buildValidationReport(outputs) {
+    const prompts = outputs.map(output => output.validation || { promptId: output.promptId, schemaFound: false, valid: null });
+
+    return {
+      valid: prompts.every(p => p.valid !== false),
+      checkedAt: new Date().toISOString(),
+      prompts
+    };
+  }
+
   /**
    * Validate dependencies before generation
    */
@@ -704,6 +897,41 @@ seamless continuity and exponentially deeper personalization.
     }
   }
 
+  /**
+   * Get the latest generated content of specific prompts across the user's
+   * active resources, e.g. { 'icp-analysis': {...} }
+   * Prompts the user hasn't generated yet are left out.
+   */
+  async getLatestPromptOutputs(userId, promptIds) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT strategic_content, implementation_content
+        FROM generated_resources
+        WHERE user_id = $1
+          AND is_active = true
+        ORDER BY generation_completed_at DESC
+      `, [userId]);
+
+      const outputs = {};
+      for (const row of result.rows) {
+        for (const output of [...(row.strategic_content || []), ...(row.implementation_content || [])]) {
+          if (promptIds.includes(output?.promptId) && !(output.promptId in outputs)) {
+            outputs[output.promptId] = output.content;
+          }
+        }
+      }
+
+      return outputs;
+    } catch (error) {
+      logger.error(`Failed to get prompt outputs: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Batch generate multiple resources
    */
@@ -735,11 +963,8 @@ seamless continuity and exponentially deeper personalization.
   /**
    * Calculate AI generation cost
    */
-  calculateCost(usage) {
-    // Claude Sonnet 4 pricing: $3/M input tokens, $15/M output tokens
-    const inputCost = (usage.inputTokens / 1000000) * 3;
-    const outputCost = (usage.outputTokens / 1000000) * 15;
-    return inputCost + outputCost;
+  calculateCost(usage, model = config.ai.resourceModel) {
+    return calculateCost(usage, model);
   }
 
   /**
@@ -0,0 +1,697 @@
+/**
+ * Stripe Webhook Service
+ *
+ * Idempotent processing of verified Stripe webhook events. Every event is
+ * recorded in the stripe_webhook_events ledger before its handler runs:
+ * - redeliveries of processed or skipped events are acknowledged without
+ *   running the handler again
+ * - failed events are re-run when Stripe retries them, or replayed by an admin
+ * - an event another instance is still processing is reported as in progress
+ *   (Stripe retries it later); attempts stuck longer than PROCESSING_LOCK_MS
+ *   are taken over
+ * - customer.subscription.* events older (by Stripe's event timestamp) than
+ *   one already applied to the same subscription are skipped as stale
+ *
+ * @module services/stripeWebhookService
+ */
+
+import supabase from './supabaseService.js';
+import supabaseDataService from './supabaseDataService.js';
+import { stripe } from '../lib/stripeClient.js';
+import logger from '../utils/logger.js';
+
+export const WEBHOOK_EVENT_STATUSES = ['processing', 'processed', 'skipped', 'failed'];
+
+// An attempt still "processing" after this long is assumed dead
+const PROCESSING_LOCK_MS = 10 * 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Founding Member Pricing Configuration (December 1, 2025 Launch)
+const FOUNDING_MEMBER_EARLY_ACCESS_PRICE = 497; // Monthly during early access period
+const FOUNDING_MEMBER_FOREVER_LOCK_PRICE = 750; // Monthly after full platform launch
+const PLATFORM_ACCESS_GRANT_DATE = new Date('2025-12-01T00:00:00Z'); // December 1, 2025
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ==================== Event Handlers ====================
+// Each returns a JSON-serializable outcome stored in the ledger.
+
+/**
+ * Find a Supabase auth user by email (listUsers has no email filter)
+ * @private
+ */
+async function findAuthUserByEmail(email) {
+  const perPage = 1000;
+
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage });
+    if (error) {
+      throw error;
+    }
+
+    const users = data?.users || [];
+    const match = users.find(user => user.email?.toLowerCase() === email.toLowerCase());
+    if (match || users.length < perPage) {
+      return match || null;
+    }
+  }
+}
+
+/**
+ * Handle Stripe checkout completion for founding member waitlist
+ *
+ * NEW FLOW (Payment-First Architecture):
+ * 1. Extract customer email from Stripe session
+ * 2. Find assessment by email (if exists)
+ * 3. Create Supabase auth user (or reuse it when a failed attempt created it)
+ * 4. Link assessment to new user
+ * 5. Create user_milestone: 'waitlist_paid'
+ * 6. Send magic link email for first login
+ */
+async function handleCheckoutCompleted(session) {
+  try {
+    // Extract customer email from Stripe session
+    const customerEmail = session.customer_details?.email;
+    const stripeCustomerId = session.customer;
+    const stripeSubscriptionId = session.subscription;
+
+    if (!customerEmail) {
+      logger.error('No customer email in checkout session', { sessionId: session.id });
+      return { skipped: 'No customer email in checkout session' };
+    }
+
+    // A session is onboarded once, even if its event arrives under another id
+    const { data: existingMilestones, error: existingError } = await supabase
+      .from('user_milestones')
+      .select('user_id')
+      .eq('milestone_type', 'waitlist_paid')
+      .eq('metadata->>payment_session_id', session.id)
+      .limit(1);
+
+    if (existingError) {
+      throw new Error(`Failed to check existing onboarding: ${existingError.message}`);
+    }
+
+    if (existingMilestones?.length > 0) {
+      logger.info('Checkout session already onboarded', { sessionId: session.id, userId: existingMilestones[0].user_id });
+      return { skipped: 'Checkout session already onboarded', userId: existingMilestones[0].user_id };
+    }
+
+    logger.info('Processing founding member payment', {
+      email: customerEmail,
+      sessionId: session.id
+    });
+
+    // Step 1: Find assessment by email (using assessment_sessions table)
+    const { data: assessmentSessions, error: assessmentError } = await supabase
+      .from('assessment_sessions')
+      .select('*')
+      .eq('user_email', customerEmail)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (assessmentError) {
+      logger.error('Error fetching assessment', { error: assessmentError, email: customerEmail });
+      // Continue - user may not have taken assessment yet
+    }
+
+    const assessmentSession = assessmentSessions?.[0];
+
+    // Step 2: Create Supabase auth user
+    let authUser;
+    const { data: createdUser, error: authError } = await supabase.auth.admin.createUser({
+      email: customerEmail,
+      email_confirm: true, // Auto-confirm email
+      user_metadata: {
+        is_founding_member: true,
+        payment_date: new Date().toISOString(),
+        stripe_customer_id: stripeCustomerId,
+        assessment_session_id: assessmentSession?.session_id,
+      }
+    });
+
+    if (authError?.code === 'email_exists' || authError?.status === 422) {
+      // Created by an earlier attempt that failed later on
+      authUser = await findAuthUserByEmail(customerEmail);
+      if (!authUser) {
+        throw authError;
+      }
+      logger.info('Reusing existing Supabase auth user', { userId: authUser.id, email: customerEmail });
+    } else if (authError) {
+      logger.error('Error creating Supabase user', { error: authError, email: customerEmail });
+      throw authError;
+    } else {
+      authUser = createdUser.user;
+      logger.info('Supabase auth user created', { userId: authUser.id, email: customerEmail });
+    }
+
+    // Step 3: Link assessment to user (if exists)
+    if (assessmentSession) {
+      const { error: updateError } = await supabase
+        .from('assessment_sessions')
+        .update({
+          user_id: authUser.id,
+          status: 'linked',
+          updated_at: new Date().toISOString()
+        })
+        .eq('session_id', assessmentSession.session_id);
+
+      if (updateError) {
+        logger.error('Error linking assessment to user', { error: updateError });
+      } else {
+        logger.info('Assessment linked to user', {
+          userId: authUser.id,
+          sessionId: assessmentSession.session_id
+        });
+      }
+    }
+
+    // Step 4: Calculate founding member number (sequential)
+    const { data: existingMembers, error: countError } = await supabase
+      .from('user_milestones')
+      .select('id', { count: 'exact' })
+      .eq('is_founding_member', true)
+      .eq('milestone_type', 'waitlist_paid');
+
+    if (countError) {
+      logger.error('Error counting existing founding members', { error: countError });
+    }
+
+    const foundingMemberNumber = (existingMembers?.length || 0) + 1;
+
+    logger.info('Assigning founding member number', {
+      number: foundingMemberNumber,
+      userId: authUser.id,
+      email: customerEmail
+    });
+
+    // Step 5: Create user_milestone: 'waitlist_paid'
+    const { error: milestoneError } = await supabase
+      .from('user_milestones')
+      .insert({
+        user_id: authUser.id,
+        milestone_type: 'waitlist_paid',
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        is_founding_member: true,
+        has_early_access: false, // Access granted on December 1, 2025
+        access_granted_date: PLATFORM_ACCESS_GRANT_DATE.toISOString(),
+        forever_lock_price: FOUNDING_MEMBER_FOREVER_LOCK_PRICE,
+        stripe_customer_id: stripeCustomerId,
+        stripe_subscription_id: stripeSubscriptionId,
+        metadata: {
+          payment_session_id: session.id,
+          payment_amount: session.amount_total / 100, // Convert from cents
+          payment_currency: session.currency,
+          early_access_price: FOUNDING_MEMBER_EARLY_ACCESS_PRICE,
+          founding_member_number: foundingMemberNumber, // Sequential number
+        }
+      });
+
+    if (milestoneError) {
+      logger.error('Error creating milestone', { error: milestoneError });
+      throw milestoneError;
+    }
+
+    logger.info('Milestone created: waitlist_paid', {
+      userId: authUser.id,
+      foundingMemberNumber
+    });
+
+    // Step 6: Send magic link email (Supabase handles this automatically)
+    const { error: magicLinkError } = await supabase.auth.admin.generateLink({
+      type: 'magiclink',
+      email: customerEmail,
+      options: {
+        redirectTo: `${FRONTEND_URL}/founding-members/welcome`
+      }
+    });
+
+    if (magicLinkError) {
+      logger.error('Error generating magic link', { error: magicLinkError });
+      // Don't throw - user can still login via Google OAuth
+    } else {
+      logger.info('Magic link sent', { email: customerEmail });
+    }
+
+    logger.info('Founding member onboarding complete', {
+      userId: authUser.id,
+      email: customerEmail,
+      accessGrantDate: PLATFORM_ACCESS_GRANT_DATE
+    });
+
+    return { userId: authUser.id, foundingMemberNumber, magicLinkSent: !magicLinkError };
+
+  } catch (error) {
+    logger.error('Error in handleCheckoutCompleted', {
+      error: error.message,
+      stack: error.stack,
+      sessionId: session.id
+    });
+    throw error;
+  }
+}
+
+/**
+ * Customer id for a subscription: metadata, else the customer record
+ * @private
+ */
+async function findSubscriptionCustomerId(subscription) {
+  if (subscription.metadata?.customer_id) {
+    return subscription.metadata.customer_id;
+  }
+
+  const customer = await supabaseDataService.getCustomerByStripeSubscriptionId(subscription.id);
+  return customer?.customer_id || null;
+}
+
+async function handleSubscriptionCreated(subscription) {
+  const customerId = subscription.metadata?.customer_id;
+
+  if (!customerId) {
+    logger.warn('Missing customer_id in subscription metadata', { subscriptionId: subscription.id });
+    return { skipped: 'Missing customer_id in subscription metadata' };
+  }
+
+  const trialEnd = subscription.trial_end ? new Date(subscription.trial_end * 1000) : null;
+  const subscriptionStatus = subscription.status === 'trialing' ? 'trial' : 'active';
+
+  await supabaseDataService.updateCustomer(customerId, {
+    stripe_subscription_id: subscription.id,
+    subscription_status: subscriptionStatus,
+    trial_end_date: trialEnd,
+    subscription_start_date: new Date(subscription.created * 1000),
+    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
+  });
+
+  logger.info('Subscription created', { customerId, subscriptionId: subscription.id });
+  return { customerId, subscriptionStatus };
+}
+
+async function handleSubscriptionUpdated(subscription) {
+  const customerId = await findSubscriptionCustomerId(subscription);
+
+  if (!customerId) {
+    logger.warn('Could not find customer for subscription', { subscriptionId: subscription.id });
+    return { skipped: 'Customer not found for subscription' };
+  }
+
+  // Map Stripe status to our subscription_status
+  let subscriptionStatus;
+  switch (subscription.status) {
+    case 'trialing':
+      subscriptionStatus = 'trial';
+      break;
+    case 'active':
+      subscriptionStatus = 'active';
+      break;
+    case 'past_due':
+      subscriptionStatus = 'past_due';
+      break;
+    case 'canceled':
+    case 'unpaid':
+      subscriptionStatus = 'cancelled';
+      break;
+    default:
+      subscriptionStatus = 'none';
+  }
+
+  await supabaseDataService.updateCustomer(customerId, {
+    subscription_status: subscriptionStatus,
+    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
+    subscription_cancel_date: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
+  });
+
+  logger.info('Subscription updated', { customerId, subscriptionId: subscription.id, status: subscriptionStatus });
+  return { customerId, subscriptionStatus };
+}
+
+async function handleSubscriptionDeleted(subscription) {
+  const customerId = await findSubscriptionCustomerId(subscription);
+
+  if (!customerId) {
+    logger.warn('Could not find customer for deleted subscription', { subscriptionId: subscription.id });
+    return { skipped: 'Customer not found for subscription' };
+  }
+
+  await supabaseDataService.updateCustomer(customerId, {
+    subscription_status: 'cancelled',
+    subscription_cancel_date: new Date(),
+  });
+
+  logger.info('Subscription deleted', { customerId, subscriptionId: subscription.id });
+  return { customerId, subscriptionStatus: 'cancelled' };
+}
+
+async function handlePaymentSucceeded(invoice) {
+  const subscriptionId = invoice.subscription;
+
+  if (!subscriptionId) {
+    return { skipped: 'Not a subscription invoice' };
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const customerId = await findSubscriptionCustomerId(subscription);
+
+  if (!customerId) {
+    logger.warn('Could not find customer for payment', { subscriptionId });
+    return { skipped: 'Customer not found for subscription' };
+  }
+
+  // Update subscription status (trial → active after first payment)
+  await supabaseDataService.updateCustomer(customerId, {
+    subscription_status: 'active',
+    subscription_current_period_end: new Date(subscription.current_period_end * 1000),
+  });
+
+  logger.info('Payment succeeded', { customerId, subscriptionId, invoiceId: invoice.id });
+  return { customerId, subscriptionStatus: 'active' };
+}
+
+async function handlePaymentFailed(invoice) {
+  const subscriptionId = invoice.subscription;
+
+  if (!subscriptionId) {
+    return { skipped: 'Not a subscription invoice' };
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const customerId = await findSubscriptionCustomerId(subscription);
+
+  if (!customerId) {
+    logger.warn('Could not find customer for failed payment', { subscriptionId });
+    return { skipped: 'Customer not found for subscription' };
+  }
+
+  // Mark as past_due
+  await supabaseDataService.updateCustomer(customerId, {
+    subscription_status: 'past_due',
+  });
+
+  logger.warn('Payment failed', { customerId, subscriptionId, invoiceId: invoice.id });
+  return { customerId, subscriptionStatus: 'past_due' };
+}
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed
+};
+
+export const HANDLED_EVENT_TYPES = Object.keys(EVENT_HANDLERS);
+
+const isSubscriptionEvent = (type) => type.startsWith('customer.subscription.');
+
+/**
+ * Shape a ledger row for API responses
+ * @private
+ */
+function toPublicEvent(row, { includePayload = false } = {}) {
+  return {
+    id: row.id,
+    type: row.type,
+    objectId: row.object_id,
+    livemode: row.livemode,
+    stripeCreatedAt: row.stripe_created_at,
+    status: row.status,
+    attempts: row.attempts,
+    result: row.result,
+    error: row.error_message,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    lastReplayedAt: row.last_replayed_at,
+    lastReplayedBy: row.last_replayed_by,
+    ...(includePayload ? { payload: row.payload } : {})
+  };
+}
+
+class StripeWebhookService {
+  /**
+   * Record and process a verified webhook event
+   *
+   * @param {Object} event - Stripe event from stripe.webhooks.constructEvent
+   * @returns {Promise<{status: string, result?: Object}>} status is processed,
+   *   skipped, duplicate (already handled) or in_progress (another attempt is running)
+   * @throws {Error} When the handler fails (recorded as failed)
+   */
+  async handleEvent(event) {
+    const claim = await this.claimEvent(event);
+
+    if (!claim.claimed) {
+      logger.info('[StripeWebhookService] Duplicate event ignored', { eventId: event.id, type: event.type, status: claim.status });
+      return { status: claim.status === 'processing' ? 'in_progress' : 'duplicate' };
+    }
+
+    return this.processEvent(event);
+  }
+
+  /**
+   * Run a failed event's handler again from its stored payload
+   *
+   * @param {string} eventId
+   * @param {string} replayedBy - Admin email
+   * @returns {Promise<Object>} The ledger entry after the replay
+   * @throws {Error} 404 when unknown, 409 when the event is not failed
+   */
+  async replayEvent(eventId, replayedBy) {
+    const row = await this.findEvent(eventId);
+    if (!row) {
+      throw httpError(404, 'Webhook event not found');
+    }
+
+    if (row.status !== 'failed') {
+      throw httpError(409, `Only failed events can be replayed (event is ${row.status})`);
+    }
+
+    const now = new Date().toISOString();
+    const { data: claimed, error } = await supabase
+      .from('stripe_webhook_events')
+      .update({
+        status: 'processing',
+        attempts: row.attempts + 1,
+        locked_at: now,
+        last_replayed_at: now,
+        last_replayed_by: replayedBy,
+        updated_at: now
+      })
+      .eq('id', eventId)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to claim webhook event: ${error.message}`);
+    }
+
+    if (!claimed?.length) {
+      throw httpError(409, 'Event is already being processed');
+    }
+
+    logger.info('[StripeWebhookService] Replaying event', { eventId, type: row.type, replayedBy });
+
+    // Failures are recorded in the ledger and returned with the entry
+    await this.processEvent(row.payload).catch(() => {});
+
+    return toPublicEvent(await this.findEvent(eventId));
+  }
+
+  /**
+   * Ledger entries, newest first
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @param {string} [filters.type]
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<Array>}
+   */
+  async listEvents({ status, type, limit = 50 } = {}) {
+    let query = supabase
+      .from('stripe_webhook_events')
+      .select('id, type, object_id, livemode, stripe_created_at, status, attempts, result, error_message, received_at, processed_at, last_replayed_at, last_replayed_by')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to list webhook events: ${error.message}`);
+    }
+
+    return (data || []).map(row => toPublicEvent(row));
+  }
+
+  /**
+   * One ledger entry with its payload
+   *
+   * @param {string} eventId
+   * @returns {Promise<Object|null>}
+   */
+  async getEvent(eventId) {
+    const row = await this.findEvent(eventId);
+    return row ? toPublicEvent(row, { includePayload: true }) : null;
+  }
+
+  /**
+   * Run the event's handler and record the outcome
+   * @private
+   */
+  async processEvent(event) {
+    const handler = EVENT_HANDLERS[event.type];
+
+    if (!handler) {
+      logger.info('Unhandled webhook event type', { type: event.type });
+      return this.finishEvent(event.id, 'skipped', { skipped: 'Unhandled event type' });
+    }
+
+    try {
+      // Failed lookups are recorded like handler failures, so Stripe's retry can claim the event
+      if (isSubscriptionEvent(event.type)) {
+        const newer = await this.findNewerSubscriptionEvent(event);
+        if (newer) {
+          logger.info('[StripeWebhookService] Stale subscription event skipped', {
+            eventId: event.id,
+            subscriptionId: event.data.object.id,
+            supersededBy: newer.id
+          });
+          return this.finishEvent(event.id, 'skipped', { skipped: 'Stale event', supersededBy: newer.id });
+        }
+      }
+
+      const result = (await handler(event.data.object)) || {};
+      const status = result.skipped ? 'skipped' : 'processed';
+      return this.finishEvent(event.id, status, result);
+    } catch (error) {
+      logger.error('Error processing webhook', { error: error.message, stack: error.stack, eventType: event.type, eventId: event.id });
+      await this.finishEvent(event.id, 'failed', null, error.message || String(error));
+      throw error;
+    }
+  }
+
+  /**
+   * Insert the ledger row, or take over a failed or abandoned attempt
+   * @private
+   * @returns {Promise<{claimed: boolean, status?: string}>}
+   */
+  async claimEvent(event) {
+    const { error } = await supabase
+      .from('stripe_webhook_events')
+      .insert({
+        id: event.id,
+        type: event.type,
+        object_id: event.data?.object?.id || null,
+        livemode: Boolean(event.livemode),
+        stripe_created_at: new Date(event.created * 1000).toISOString(),
+        payload: event,
+        status: 'processing',
+        attempts: 1
+      });
+
+    if (!error) {
+      return { claimed: true };
+    }
+
+    if (error.code !== '23505') {
+      throw new Error(`Failed to record webhook event: ${error.message}`);
+    }
+
+    // Seen before: retry only failed or abandoned attempts
+    const existing = await this.findEvent(event.id);
+    const abandoned = existing?.status === 'processing' &&
+      new Date(existing.locked_at).getTime() < Date.now() - PROCESSING_LOCK_MS;
+
+    if (!existing || !(existing.status === 'failed' || abandoned)) {
+      return { claimed: false, status: existing?.status };
+    }
+
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('stripe_webhook_events')
+      .update({ status: 'processing', attempts: existing.attempts + 1, locked_at: now, updated_at: now })
+      .eq('id', event.id)
+      .eq('status', existing.status)
+      .eq('attempts', existing.attempts) // Another instance may have claimed it first
+      .select('id');
+
+    if (claimError) {
+      throw new Error(`Failed to claim webhook event: ${claimError.message}`);
+    }
+
+    return claimed?.length ? { claimed: true } : { claimed: false, status: 'processing' };
+  }
+
+  /**
+   * Record a handler outcome
+   * @private
+   */
+  async finishEvent(eventId, status, result, errorMessage = null) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('stripe_webhook_events')
+      .update({
+        status,
+        result,
+        error_message: errorMessage,
+        processed_at: status === 'failed' ? null : now,
+        updated_at: now
+      })
+      .eq('id', eventId);
+
+    if (error) {
+      logger.error('[StripeWebhookService] Failed to record event outcome', { eventId, status, error: error.message });
+    }
+
+    return { status, result };
+  }
+
+  /**
+   * A processed subscription event for the same subscription that Stripe
+   * created after this one
+   * @private
+   */
+  async findNewerSubscriptionEvent(event) {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .select('id, stripe_created_at')
+      .eq('object_id', event.data.object.id)
+      .eq('status', 'processed')
+      .like('type', 'customer.subscription.%')
+      .gt('stripe_created_at', new Date(event.created * 1000).toISOString())
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check event order: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Ledger row by Stripe event id
+   * @private
+   */
+  async findEvent(eventId) {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load webhook event: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+export default new StripeWebhookService();
@@ -0,0 +1,584 @@
+/**
+ * Usage Metering Service
+ *
+ * Optional usage-based billing of AI generations (config.metering). Paid
+ * subscriptions stay unlimited in TIER_LIMITS; subscriptions that include a
+ * metered Stripe price are billed for what they use:
+ * - usage recorded in ai_usage_metrics is aggregated per subscription billing
+ *   period, as successful generations or as blocks of tokens
+ * - the scheduled usage-metering task reports the increase since the last
+ *   report as a Stripe billing meter event (the successor of usage records on
+ *   metered prices), and settles the previous period after a renewal
+ * - every report is kept in ai_usage_meter_reports; reconciliation compares
+ *   what was reported with what was recorded, and with Stripe's meter totals
+ * - users can query their running usage for the current period
+ *
+ * Meter event identifiers are derived from the period's cumulative quantity,
+ * so a retried report is de-duplicated by Stripe instead of billed twice. A
+ * report that was never marked reported (Stripe may still have accepted it) is
+ * re-sent with its identifier before any new usage of the period is reported.
+ *
+ * @module services/usageMeteringService
+ */
+
+import supabase from './supabaseService.js';
+import billingService from './billingService.js';
+import { stripe } from '../lib/stripeClient.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe rejects meter events with timestamps older than 35 days
+const REPORTING_WINDOW_DAYS = 35;
+
+// PostgREST's default max rows per response
+const PAGE_SIZE = 1000;
+
+// Subscriptions whose usage is still billed
+const BILLABLE_STATUSES = ['active', 'trialing', 'past_due'];
+
+const toIso = (timestamp) => new Date(timestamp * 1000).toISOString();
+const toUnix = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Billed quantity for usage totals in the configured unit
+ *
+ * @param {{generations: number, tokens: number}} totals
+ * @returns {number}
+ */
+export function getBillableQuantity(totals) {
+  if (config.metering.unit === 'tokens') {
+    return Math.ceil(totals.tokens / config.metering.tokenBlockSize);
+  }
+  return totals.generations;
+}
+
+/**
+ * Successful AI usage of a user in [start, end), aggregated in the database
+ * (get_ai_usage_totals) so heavy users are not capped at PostgREST's max rows
+ * @private
+ */
+async function getUsageTotals(userId, start, end) {
+  const { data, error } = await supabase.rpc('get_ai_usage_totals', {
+    p_user_id: userId,
+    p_start: start,
+    p_end: end
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const totals = data?.[0];
+
+  return {
+    generations: Number(totals?.generations || 0),
+    tokens: Number(totals?.tokens || 0),
+    estimatedCostUsd: parseFloat(parseFloat(totals?.estimated_cost_usd || 0).toFixed(6))
+  };
+}
+
+/**
+ * Every row of a query, read in pages of PAGE_SIZE (PostgREST caps a single
+ * response at 1000 rows). The query must have a stable order.
+ * @private
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Quantity already reported to Stripe for a period
+ * @private
+ */
+async function getReportedQuantity(userId, periodStart) {
+  const { data, error } = await supabase
+    .from('ai_usage_meter_reports')
+    .select('quantity, cumulative_quantity, reported_at')
+    .eq('user_id', userId)
+    .eq('period_start', periodStart)
+    .eq('status', 'reported');
+
+  if (error) {
+    throw error;
+  }
+
+  const rows = data || [];
+  return {
+    quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+    cumulativeQuantity: Math.max(0, ...rows.map(row => row.cumulative_quantity || 0)),
+    lastReportedAt: rows.map(row => row.reported_at).sort().at(-1) || null
+  };
+}
+
+/**
+ * Start of the billing period before the subscription's current one: one
+ * price interval earlier, on the billing anchor's day of the month (Stripe
+ * moves anchors past the end of a shorter month to its last day)
+ * @private
+ */
+function getPreviousPeriodStart(subscription, recurring) {
+  const start = new Date(subscription.current_period_start * 1000);
+  const count = recurring?.interval_count || 1;
+
+  if (recurring?.interval === 'day' || recurring?.interval === 'week') {
+    return new Date(start.getTime() - count * (recurring.interval === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  const anchorDay = new Date((subscription.billing_cycle_anchor || subscription.current_period_start) * 1000).getUTCDate();
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() - count * (recurring?.interval === 'year' ? 12 : 1);
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchorDay, daysInMonth),
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds()
+  ));
+}
+
+/**
+ * The metered item, current billing period and the start of the previous
+ * period (null in the first period) of a user's subscription, or null when
+ * the user has no billable metered subscription
+ * @private
+ */
+async function findMeteredSubscription(account) {
+  if (!stripe || !account?.stripeSubscriptionId) {
+    return null;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(account.stripeSubscriptionId);
+  const item = subscription.items?.data?.find(subscriptionItem => subscriptionItem.price?.recurring?.usage_type === 'metered');
+
+  if (!item || !BILLABLE_STATUSES.includes(subscription.status)) {
+    return null;
+  }
+
+  // Usage is billed from when the subscription started or the metered price was added
+  const meteredSince = Math.max(subscription.start_date || 0, item.created || 0);
+  const previousPeriodStart = subscription.current_period_start > meteredSince
+    ? new Date(Math.max(getPreviousPeriodStart(subscription, item.price.recurring).getTime(), meteredSince * 1000)).toISOString()
+    : null;
+
+  return {
+    stripeCustomerId: account.stripeCustomerId,
+    subscriptionItemId: item.id,
+    periodStart: toIso(subscription.current_period_start),
+    periodEnd: toIso(subscription.current_period_end),
+    previousPeriodStart
+  };
+}
+
+/**
+ * The period before the current one, while it can still be reported
+ * @private
+ */
+function getPreviousPeriod(metered, now) {
+  if (!metered.previousPeriodStart || now.getTime() - new Date(metered.periodStart).getTime() > REPORTING_WINDOW_DAYS * DAY_MS) {
+    return null;
+  }
+
+  return {
+    stripeCustomerId: metered.stripeCustomerId,
+    subscriptionItemId: metered.subscriptionItemId,
+    periodStart: metered.previousPeriodStart,
+    periodEnd: metered.periodStart
+  };
+}
+
+/**
+ * Current calendar month (UTC), the usage period of unmetered users
+ * @private
+ */
+function getCalendarMonth(now) {
+  return {
+    periodStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    periodEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+class UsageMeteringService {
+  /**
+   * Report unreported usage of every metered subscriber to Stripe
+   * (scheduled usage-metering task)
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { users, reports, quantity } or { skipped }
+   * @throws {Error} Listing every user whose usage could not be reported
+   */
+  async reportUsage(now = new Date()) {
+    if (!config.metering.enabled) {
+      return { skipped: 'Metering disabled' };
+    }
+    if (!stripe) {
+      return { skipped: 'Stripe not configured' };
+    }
+
+    // Users with usage that can still be reported
+    const since = new Date(now.getTime() - REPORTING_WINDOW_DAYS * DAY_MS).toISOString();
+    const users = await fetchAllRows(() => supabase.rpc('get_ai_usage_users', { p_since: since }));
+
+    const userIds = users.map(row => row.user_id);
+    const summary = { users: 0, reports: 0, quantity: 0 };
+    const failures = [];
+
+    for (const userId of userIds) {
+      try {
+        const reports = await this.reportUserUsage(userId, now);
+        if (reports === null) {
+          continue;
+        }
+
+        summary.users++;
+        for (const report of reports) {
+          summary.reports++;
+          summary.quantity += report.quantity;
+        }
+      } catch (reportError) {
+        logger.error('[UsageMetering] Failed to report usage', { userId, error: reportError.message });
+        failures.push(`${userId}: ${reportError.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Usage reporting failed for ${failures.join('; ')}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Report a user's unreported usage for the current period, and for the
+   * previous period, whose last usage may have come after the final run
+   * before the renewal
+   *
+   * @param {string} userId - Supabase user id
+   * @param {Date} [now]
+   * @returns {Promise<Object[]|null>} Reports made, or null when the user is not metered
+   */
+  async reportUserUsage(userId, now = new Date()) {
+    const account = await billingService.findBillingAccountByUserId(userId);
+    const metered = await findMeteredSubscription(account);
+
+    if (!metered) {
+      return null;
+    }
+
+    const reports = [];
+    const previous = getPreviousPeriod(metered, now);
+
+    for (const period of [previous, metered]) {
+      if (!period) {
+        continue;
+      }
+
+      reports.push(...await this.reportPeriod(userId, period, now));
+    }
+
+    return reports;
+  }
+
+  /**
+   * Running usage for the current billing period (calendar month when unmetered)
+   *
+   * @param {string} userId - Supabase user id
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Usage, billed quantity and what has been reported so far
+   */
+  async getCurrentUsage(userId, now = new Date()) {
+    const metered = config.metering.enabled
+      ? await findMeteredSubscription(await billingService.findBillingAccountByUserId(userId))
+      : null;
+    const { periodStart, periodEnd } = metered || getCalendarMonth(now);
+
+    const usage = await getUsageTotals(userId, periodStart, periodEnd);
+    const quantity = getBillableQuantity(usage);
+    const reported = metered
+      ? await getReportedQuantity(userId, periodStart)
+      : { quantity: 0, lastReportedAt: null };
+
+    return {
+      metered: Boolean(metered),
+      unit: config.metering.unit,
+      ...(config.metering.unit === 'tokens' && { tokenBlockSize: config.metering.tokenBlockSize }),
+      period: { start: periodStart, end: periodEnd },
+      usage,
+      quantity,
+      reportedQuantity: reported.quantity,
+      unreportedQuantity: Math.max(quantity - reported.quantity, 0),
+      lastReportedAt: reported.lastReportedAt
+    };
+  }
+
+  /**
+   * Compare reported usage with recorded usage (and Stripe's meter totals when
+   * config.metering.meterId is set) for every period with reports
+   *
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Limit to one user
+   * @param {Date} [options.since] - Periods ending after (default: 35 days ago)
+   * @returns {Promise<{periods: Object[], summary: Object}>}
+   */
+  async reconcile({ userId, since } = {}) {
+    const periodsSince = since || new Date(Date.now() - REPORTING_WINDOW_DAYS * DAY_MS);
+
+    const data = await fetchAllRows(() => {
+      let query = supabase
+        .from('ai_usage_meter_reports')
+        .select('user_id, stripe_customer_id, period_start, period_end, quantity, status')
+        .gte('period_end', periodsSince.toISOString())
+        .order('period_start', { ascending: false })
+        .order('id', { ascending: true });
+
+      if (userId) {
+        query = query.eq('user_id', userId);
+      }
+
+      return query;
+    });
+
+    // One entry per user and period
+    const periods = new Map();
+    for (const row of data) {
+      const key = `${row.user_id}:${new Date(row.period_start).toISOString()}`;
+      if (!periods.has(key)) {
+        periods.set(key, {
+          userId: row.user_id,
+          stripeCustomerId: row.stripe_customer_id,
+          periodStart: new Date(row.period_start).toISOString(),
+          periodEnd: new Date(row.period_end).toISOString(),
+          reportedQuantity: 0,
+          failedReports: 0
+        });
+      }
+
+      const period = periods.get(key);
+      if (row.status === 'reported') {
+        period.reportedQuantity += row.quantity;
+      } else if (row.status === 'failed') {
+        period.failedReports++;
+      }
+    }
+
+    const summary = { matched: 0, unreported: 0, overReported: 0, stripeMismatch: 0 };
+    const results = [];
+
+    for (const period of periods.values()) {
+      const usage = await getUsageTotals(period.userId, period.periodStart, period.periodEnd);
+      const recordedQuantity = getBillableQuantity(usage);
+      const stripeQuantity = await this.getStripeQuantity(period);
+
+      let status = 'matched';
+      if (recordedQuantity > period.reportedQuantity) {
+        status = 'unreported';
+        summary.unreported++;
+      } else if (recordedQuantity < period.reportedQuantity) {
+        status = 'over_reported';
+        summary.overReported++;
+      } else if (stripeQuantity !== null && stripeQuantity !== period.reportedQuantity) {
+        status = 'stripe_mismatch';
+        summary.stripeMismatch++;
+      } else {
+        summary.matched++;
+      }
+
+      results.push({
+        ...period,
+        recordedQuantity,
+        stripeQuantity,
+        difference: recordedQuantity - period.reportedQuantity,
+        status
+      });
+    }
+
+    return { periods: results, summary };
+  }
+
+  /**
+   * Report the increase in a period's recorded usage since its last report
+   * @private
+   * @returns {Promise<Object[]>} Reports sent (a re-sent report, then the new one)
+   */
+  async reportPeriod(userId, period, now) {
+    const reports = [];
+    const reported = await getReportedQuantity(userId, period.periodStart);
+
+    // Stripe may have accepted a report that was never marked reported (the
+    // update failed, or the request failed after Stripe received it). Re-send
+    // it with its identifier before reporting anything new, so its usage is
+    // de-duplicated instead of billed again as part of a new increase.
+    const unsettled = await this.findUnsettledReport(userId, period.periodStart, reported.cumulativeQuantity);
+    if (unsettled) {
+      await this.sendMeterEvent(unsettled.id, unsettled.identifier, period, unsettled.quantity, now);
+      reported.quantity += unsettled.quantity;
+      reports.push({ periodStart: period.periodStart, quantity: unsettled.quantity, cumulativeQuantity: unsettled.cumulative_quantity });
+
+      logger.info('[UsageMetering] Unsettled report re-sent', { userId, periodStart: period.periodStart, identifier: unsettled.identifier });
+    }
+
+    const usage = await getUsageTotals(userId, period.periodStart, period.periodEnd);
+    const cumulativeQuantity = getBillableQuantity(usage);
+    const quantity = cumulativeQuantity - reported.quantity;
+
+    if (quantity <= 0) {
+      if (quantity < 0) {
+        logger.warn('[UsageMetering] Reported usage exceeds recorded usage', {
+          userId,
+          periodStart: period.periodStart,
+          reported: reported.quantity,
+          recorded: cumulativeQuantity
+        });
+      }
+      return reports;
+    }
+
+    const identifier = `usage_${userId}_${toUnix(period.periodStart)}_${cumulativeQuantity}`;
+
+    const { data: report, error } = await supabase
+      .from('ai_usage_meter_reports')
+      .insert({
+        user_id: userId,
+        stripe_customer_id: period.stripeCustomerId,
+        stripe_subscription_item_id: period.subscriptionItemId,
+        period_start: period.periodStart,
+        period_end: period.periodEnd,
+        unit: config.metering.unit,
+        quantity,
+        cumulative_quantity: cumulativeQuantity,
+        identifier,
+        status: 'pending'
+      })
+      .select('id')
+      .single();
+
+    // 23505: an earlier attempt for the same cumulative quantity is retried with its identifier
+    if (error && error.code !== '23505') {
+      throw error;
+    }
+
+    await this.sendMeterEvent(report?.id, identifier, period, quantity, now);
+
+    logger.info('[UsageMetering] Usage reported', { userId, periodStart: period.periodStart, quantity, cumulativeQuantity });
+
+    reports.push({ periodStart: period.periodStart, quantity, cumulativeQuantity });
+    return reports;
+  }
+
+  /**
+   * The period's latest pending or failed report above what was reported.
+   * New reports are only made once it is settled, so there is at most one.
+   * @private
+   */
+  async findUnsettledReport(userId, periodStart, reportedCumulativeQuantity) {
+    const { data, error } = await supabase
+      .from('ai_usage_meter_reports')
+      .select('id, quantity, cumulative_quantity, identifier')
+      .eq('user_id', userId)
+      .eq('period_start', periodStart)
+      .in('status', ['pending', 'failed'])
+      .gt('cumulative_quantity', reportedCumulativeQuantity)
+      .order('cumulative_quantity', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Send a report's meter event and record the outcome on the report
+   * @private
+   */
+  async sendMeterEvent(reportId, identifier, period, quantity, now) {
+    try {
+      await stripe.billing.meterEvents.create({
+        event_name: config.metering.meterEventName,
+        identifier,
+        // Usage of an ended period is reported at its last second
+        timestamp: Math.min(toUnix(now), toUnix(period.periodEnd) - 1),
+        payload: {
+          stripe_customer_id: period.stripeCustomerId,
+          value: String(quantity)
+        }
+      });
+    } catch (stripeError) {
+      await this.updateReport(reportId, identifier, { status: 'failed', error_message: stripeError.message });
+      throw stripeError;
+    }
+
+    const updated = await this.updateReport(reportId, identifier, {
+      status: 'reported',
+      error_message: null,
+      reported_at: now.toISOString()
+    });
+
+    // Left unsettled, the report is re-sent by the next run before anything new
+    if (!updated) {
+      throw new Error(`Meter event ${identifier} was sent but its report could not be marked reported`);
+    }
+  }
+
+  /**
+   * Update a report by id, or by identifier when retrying an earlier attempt
+   * @private
+   * @returns {Promise<boolean>} False if the update failed (logged)
+   */
+  async updateReport(reportId, identifier, fields) {
+    const query = supabase
+      .from('ai_usage_meter_reports')
+      .update({ ...fields, updated_at: new Date().toISOString() });
+
+    const { error } = reportId ? await query.eq('id', reportId) : await query.eq('identifier', identifier);
+
+    if (error) {
+      logger.error('[UsageMetering] Failed to update report', { identifier, error: error.message });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Stripe's meter total for a period, or null without a meter id
+   * @private
+   */
+  async getStripeQuantity(period) {
+    if (!stripe || !config.metering.meterId) {
+      return null;
+    }
+
+    // Summary bounds must be whole minutes
+    const summaries = await stripe.billing.meters.listEventSummaries(config.metering.meterId, {
+      customer: period.stripeCustomerId,
+      start_time: Math.floor(toUnix(period.periodStart) / 60) * 60,
+      end_time: Math.ceil(toUnix(period.periodEnd) / 60) * 60,
+      limit: 100
+    });
+
+    return summaries.data.reduce((sum, summary) => sum + summary.aggregated_value, 0);
+  }
+}
+
+// Create singleton instance
+const usageMeteringService = new UsageMeteringService();
+
+export default usageMeteringService;
@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * Used by the job progress streams and streaming resource generation.
+ */
+
+// Comment line sent to keep proxies from closing idle event streams
+const SSE_HEARTBEAT_MS = 15000;
+
+// EventSource reconnect delay sent to clients
+const SSE_RETRY_MS = 5000;
+
+/**
+ * Switch the response to a Server-Sent Events stream
+ *
+ * Sends a heartbeat comment every 15s and calls onClose once when the client
+ * disconnects or the stream is ended.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} [onClose] - Called once when the stream closes
+ * @returns {Object} { send(event, data), end(), isClosed() }
+ */
+export function openEventStream(req, res, onClose = () => {}) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+  // 'close' on the response fires on client disconnect (the request's 'close'
+  // fires as soon as a POST body has been read)
+  res.on('close', close);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      close();
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+export default {
+  openEventStream,
+};
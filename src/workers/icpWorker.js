@@ -9,7 +9,7 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { SimpleWorker } from '../lib/simpleQueue.js';
-import { getICPQueue } from '../lib/queue.js';
+import { getICPQueue, isJobCancelled, reportJobProgress } from '../lib/queue.js';
 import aiService from '../services/aiService.js';
 import supabaseDataService from '../services/supabaseDataService.js';
 import logger from '../utils/logger.js';
@@ -43,7 +43,7 @@ async function processICPGeneration(jobData, job = null) {
   try {
     // Initial progress: Job started
     if (job) {
-      job.updateProgress(10);
+      await reportJobProgress(job, 10, 'started');
       logger.info('[ICPWorker] Progress: 10% - Job started');
     }
 
@@ -55,7 +55,7 @@ async function processICPGeneration(jobData, job = null) {
     }
 
     if (job) {
-      job.updateProgress(20);
+      await reportJobProgress(job, 20, 'customer_loaded');
       logger.info('[ICPWorker] Progress: 20% - Customer data retrieved');
     }
 
@@ -66,6 +66,12 @@ async function processICPGeneration(jobData, job = null) {
       productInfo: productInfo || null
     };
 
+    // Stop before the AI call if the user cancelled (DELETE /api/jobs/:jobId)
+    if (await isJobCancelled(job)) {
+      logger.info('[ICPWorker] Job cancelled before generation', { jobId: job.id, customerId });
+      return { success: false, cancelled: true };
+    }
+
     logger.info('[ICPWorker] Calling AI service for streaming ICP generation');
 
     // Generate ICP using AI with streaming
@@ -76,7 +82,7 @@ async function processICPGeneration(jobData, job = null) {
         // Map AI progress (0-100) to job progress (20-90)
         const jobProgress = 20 + Math.round(progress * 0.7);
         if (job) {
-          job.updateProgress(jobProgress);
+          reportJobProgress(job, jobProgress, 'generating', { message: stage }).catch(() => {});
           logger.info(`[ICPWorker] Progress: ${jobProgress}% - ${stage}`);
         }
       }
@@ -90,8 +96,14 @@ async function processICPGeneration(jobData, job = null) {
       throw new Error(`Failed to generate ICP analysis: ${aiResult.error || 'Unknown error'}`);
     }
 
+    // A job cancelled during generation is not saved
+    if (await isJobCancelled(job)) {
+      logger.info('[ICPWorker] Job cancelled, ICP not saved', { jobId: job.id, customerId });
+      return { success: false, cancelled: true };
+    }
+
     if (job) {
-      job.updateProgress(92);
+      await reportJobProgress(job, 92, 'saving');
       logger.info('[ICPWorker] Progress: 92% - Saving to database');
     }
 
@@ -112,7 +124,7 @@ async function processICPGeneration(jobData, job = null) {
     logger.info('[ICPWorker] ICP content saved to customer record');
 
     if (job) {
-      job.updateProgress(95);
+      await reportJobProgress(job, 95, 'saving_product');
       logger.info('[ICPWorker] Progress: 95% - Saving product details');
     }
 
@@ -143,7 +155,7 @@ async function processICPGeneration(jobData, job = null) {
     }
 
     if (job) {
-      job.updateProgress(100);
+      await reportJobProgress(job, 100, 'completed');
       logger.info('[ICPWorker] Progress: 100% - Complete');
     }
 
@@ -2,7 +2,8 @@
  * Workers Index
  *
  * Central management for all background workers.
- * Starts and manages persona generation, company rating, batch rating, and ICP generation workers.
+ * Starts and manages persona generation, company rating, batch rating, ICP generation,
+ * product extraction and lifecycle email workers.
  *
  * @module workers
  */
@@ -11,6 +12,7 @@ import { startPersonaWorker } from './personaWorker.js';
 import { startRatingWorker, startBatchRatingWorker } from './ratingWorker.js';
 import { startICPWorker } from './icpWorker.js';
 import { startProductExtractionWorker } from './productExtractionWorker.js';
+import { startLifecycleEmailWorker } from './lifecycleEmailWorker.js';
 import logger from '../utils/logger.js';
 
 // Store worker instances
@@ -19,7 +21,8 @@ let workers = {
   ratingWorker: null,
   batchRatingWorker: null,
   icpWorker: null,
-  productExtractionWorker: null
+  productExtractionWorker: null,
+  lifecycleEmailWorker: null
 };
 
 /**
@@ -54,6 +57,10 @@ export function startAllWorkers() {
     workers.productExtractionWorker = startProductExtractionWorker();
     logger.info('[Workers] ✅ Product extraction worker started');
 
+    // Start lifecycle email worker
+    workers.lifecycleEmailWorker = startLifecycleEmailWorker();
+    logger.info('[Workers] ✅ Lifecycle email worker started');
+
     logger.info('[Workers] All workers started successfully');
 
     return workers;
@@ -98,6 +105,10 @@ export async function stopAllWorkers() {
     stopPromises.push(workers.productExtractionWorker.close());
   }
 
+  if (workers.lifecycleEmailWorker) {
+    stopPromises.push(workers.lifecycleEmailWorker.close());
+  }
+
   await Promise.all(stopPromises);
 
   workers = {
@@ -105,7 +116,8 @@ export async function stopAllWorkers() {
     ratingWorker: null,
     batchRatingWorker: null,
     icpWorker: null,
-    productExtractionWorker: null
+    productExtractionWorker: null,
+    lifecycleEmailWorker: null
   };
 
   logger.info('[Workers] All workers stopped');
@@ -137,6 +149,10 @@ export function getWorkerStatus() {
     productExtractionWorker: {
       running: workers.productExtractionWorker?.running || false,
       queueName: 'product-extraction'
+    },
+    lifecycleEmailWorker: {
+      running: workers.lifecycleEmailWorker?.running || false,
+      queueName: 'lifecycle-email'
     }
   };
 }
@@ -0,0 +1,74 @@
+/**
+ * Lifecycle Email Worker
+ *
+ * Runs scheduled lifecycle email steps from the queue (see
+ * services/lifecycleEmailService.js). Jobs are delayed until their step is
+ * due; a failed send throws so the queue retries it with backoff.
+ *
+ * @module workers/lifecycleEmailWorker
+ */
+
+import { SimpleWorker } from '../lib/simpleQueue.js';
+import { getLifecycleEmailQueue } from '../lib/queue.js';
+import lifecycleEmailService from '../services/lifecycleEmailService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Job processor function for SimpleQueue/BullMQ
+ *
+ * @param {Object} job - Job object from queue
+ * @returns {Promise<Object>} Step outcome
+ */
+async function processJob(job) {
+  const { id: jobId, data } = job;
+
+  logger.info('[LifecycleEmailWorker] Starting job', {
+    jobId,
+    enrollmentId: data.enrollmentId,
+    stepKey: data.stepKey
+  });
+
+  const result = await lifecycleEmailService.processStep({
+    enrollmentId: data.enrollmentId,
+    stepKey: data.stepKey
+  });
+
+  logger.info('[LifecycleEmailWorker] Job completed', { jobId, ...result });
+
+  return result;
+}
+
+/**
+ * Initialize and start the lifecycle email worker
+ *
+ * @returns {SimpleWorker} Worker instance
+ */
+export function startLifecycleEmailWorker() {
+  logger.info('[LifecycleEmailWorker] Initializing worker');
+
+  const queue = getLifecycleEmailQueue();
+
+  // Register processor with the queue
+  queue.process(processJob);
+
+  // Create worker instance for management
+  const worker = new SimpleWorker('lifecycle-email', processJob);
+
+  queue.on('failed', (job, error) => {
+    logger.error('[LifecycleEmailWorker] Job failed', {
+      jobId: job.id,
+      error: error.message,
+      attemptsMade: job.attemptsMade
+    });
+  });
+
+  worker.run();
+
+  logger.info('[LifecycleEmailWorker] Worker started and ready for jobs');
+
+  return worker;
+}
+
+export default {
+  startLifecycleEmailWorker,
+};
@@ -7,17 +7,11 @@
  * @module workers/personaWorker
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
 import { SimpleWorker } from '../lib/simpleQueue.js';
-import { getPersonaQueue } from '../lib/queue.js';
+import { getPersonaQueue, isJobCancelled, reportJobProgress } from '../lib/queue.js';
 import logger from '../utils/logger.js';
-import { recordAIMetric } from '../middleware/performanceMonitoring.js';
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import anthropicGateway from '../services/anthropicGatewayService.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -33,9 +27,10 @@ const supabase = createClient(
  * @param {string} jobData.companyContext - Company description
  * @param {string} jobData.industry - Industry/vertical
  * @param {string} jobData.targetMarket - Target market (optional)
+ * @param {Object} [job] - Job instance for progress updates
  * @returns {Promise<Object>} Result with personas and metadata
  */
-async function processPersonaGeneration(jobData) {
+async function processPersonaGeneration(jobData, job = null) {
   const { customerId, companyContext, industry, targetMarket } = jobData;
 
   logger.info('[PersonaWorker] Processing job', {
@@ -115,46 +110,31 @@ Return ONLY valid JSON (no markdown, no code blocks, no explanations).
   ]
 }`;
 
+  // Stop before the AI call if the user cancelled (DELETE /api/jobs/:jobId)
+  if (await isJobCancelled(job)) {
+    logger.info('[PersonaWorker] Job cancelled before generation', { jobId: job.id });
+    return { success: false, cancelled: true };
+  }
+
   logger.info('[PersonaWorker] Calling Claude API');
+  await reportJobProgress(job, 20, 'calling_ai');
   const startTime = Date.now();
 
   // ===== ANTHROPIC API CALL =====
-  const response = await anthropic.messages.create({
+  const response = await anthropicGateway.createMessage({
+    prompt,
     model: 'claude-3-5-sonnet-20241022',
     max_tokens: 4096,
     temperature: 0.7,
-    messages: [{
-      role: 'user',
-      content: prompt
-    }]
+    operation: 'generatePersonas_worker',
+    userId: customerId
   });
 
   const apiDuration = Date.now() - startTime;
   logger.info(`[PersonaWorker] Claude API responded in ${apiDuration}ms`);
 
-  // ===== EXTRACT TOKEN USAGE =====
-  const usage = response.usage;
-  const estimatedCost = calculateCost(
-    usage.input_tokens,
-    usage.output_tokens,
-    'claude-3-5-sonnet-20241022'
-  );
-
-  // Record AI metric with token tracking
-  recordAIMetric({
-    operation: 'generatePersonas_worker',
-    duration: apiDuration,
-    success: true,
-    customerId: jobData.userId,
-    inputTokens: usage.input_tokens,
-    outputTokens: usage.output_tokens,
-    totalTokens: usage.input_tokens + usage.output_tokens,
-    estimatedCost: estimatedCost,
-    model: 'claude-3-5-sonnet-20241022'
-  });
-
   // ===== PARSE AI RESPONSE =====
-  const responseText = response.content[0].text;
+  const responseText = response.text;
 
   let parsedResponse;
   try {
@@ -176,6 +156,7 @@ Return ONLY valid JSON (no markdown, no code blocks, no explanations).
   }
 
   const personas = parsedResponse.personas;
+  await reportJobProgress(job, 80, 'saving', { personaCount: personas.length });
 
   // Validate persona count
   if (personas.length < 3 || personas.length > 5) {
@@ -184,6 +165,12 @@ Return ONLY valid JSON (no markdown, no code blocks, no explanations).
 
   logger.info(`[PersonaWorker] Generated ${personas.length} personas`);
 
+  // A job cancelled during generation is not saved
+  if (await isJobCancelled(job)) {
+    logger.info('[PersonaWorker] Job cancelled, personas not saved', { jobId: job.id });
+    return { success: false, cancelled: true };
+  }
+
   // ===== DATABASE SAVE =====
   const { data, error } = await supabase
     .from('buyer_personas')
@@ -210,6 +197,8 @@ Return ONLY valid JSON (no markdown, no code blocks, no explanations).
     personaCount: personas.length
   });
 
+  await reportJobProgress(job, 100, 'completed');
+
   // ===== RETURN RESULT =====
   return {
     success: true,
@@ -237,7 +226,7 @@ async function processJob(job) {
   logger.info('[PersonaWorker] Starting job', { jobId, customerId: data.customerId });
 
   try {
-    const result = await processPersonaGeneration(data);
+    const result = await processPersonaGeneration(data, job);
     logger.info('[PersonaWorker] Job completed successfully', { jobId });
     return result;
   } catch (error) {
@@ -293,30 +282,3 @@ export default {
   startPersonaWorker,
   processPersonaGeneration,
 };
-
-/**
- * Calculate cost in USD based on token usage
- * Model pricing per 1M tokens:
- * - Claude 3 Opus: $15 input / $75 output
- * - Claude 3.5 Sonnet: $3 input / $15 output
- * - Claude 3.5 Haiku: $0.25 input / $1.25 output
- */
-function calculateCost(inputTokens, outputTokens, model) {
-  const pricing = {
-    'claude-3-opus-20240229': { input: 15, output: 75 },
-    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-    'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-  };
-
-  const modelPricing = pricing[model];
-  if (!modelPricing) {
-    logger.warn(`Unknown model pricing: ${model}, using Sonnet as fallback`);
-    return calculateCost(inputTokens, outputTokens, 'claude-3-5-sonnet-20241022');
-  }
-
-  const inputCost = (inputTokens / 1_000_000) * modelPricing.input;
-  const outputCost = (outputTokens / 1_000_000) * modelPricing.output;
-
-  return parseFloat((inputCost + outputCost).toFixed(6));
-}
-
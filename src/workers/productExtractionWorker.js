@@ -8,11 +8,12 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import puppeteer from 'puppeteer';
 import { SimpleWorker } from '../lib/simpleQueue.js';
-import { getProductExtractionQueue } from '../lib/queue.js';
+import { createBrowserSession } from '../lib/browserPool.js';
+import { getProductExtractionQueue, isJobCancelled, reportJobProgress } from '../lib/queue.js';
 import { extractProductDetailsFromDomain } from '../services/productExtractionService.js';
 import supabaseDataService from '../services/supabaseDataService.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
 // Initialize Supabase client
@@ -22,93 +23,56 @@ const supabase = createClient(
 );
 
 /**
- * Create browser automation wrapper using Puppeteer
+ * Create browser automation wrapper
  *
- * Launches a headless browser and provides methods to navigate, evaluate scripts,
- * take screenshots, and close the browser. Provides a consistent interface for
- * the product extraction service.
+ * Opens a session on the shared headless browser pool. Sessions provide the
+ * navigate, evaluate, screenshot and close methods the product extraction
+ * service expects; close() returns the browser to the pool.
  *
- * @returns {Promise<Object>} Browser wrapper with navigate, evaluate, screenshot, close methods
+ * @returns {Promise<BrowserSession>} Browser session
  */
 async function createMCPWrapper() {
-  logger.info('[ProductExtractionWorker] Launching Puppeteer browser');
-
-  // Launch headless browser
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu'
-    ]
-  });
-
-  const page = await browser.newPage();
-
-  // Set viewport and user agent
-  await page.setViewport({ width: 1920, height: 1080 });
-  await page.setUserAgent(
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  );
+  logger.info('[ProductExtractionWorker] Opening browser session');
+  return createBrowserSession();
+}
 
-  logger.info('[ProductExtractionWorker] Puppeteer browser launched successfully');
+/**
+ * Store the pages read during extraction (non-fatal on failure)
+ *
+ * @param {string} customerId - User ID
+ * @param {string} domain - Company domain
+ * @param {Array<Object>} pages - Page snapshots from extractProductDetailsFromDomain
+ * @returns {Promise<number>} Number of snapshots saved
+ */
+async function saveExtractionSnapshots(customerId, domain, pages) {
+  if (!pages?.length) {
+    return 0;
+  }
 
-  return {
-    async navigate(url) {
-      logger.info('[ProductExtractionWorker] Navigating to:', url);
+  const { error } = await supabase
+    .from('product_extraction_snapshots')
+    .insert(pages.map(page => ({
+      user_id: customerId,
+      domain,
+      url: page.url,
+      page_type: page.pageType,
+      title: page.title,
+      meta_description: page.metaDescription,
+      headings: page.headings,
+      page_text: page.text,
+      captured_at: page.capturedAt
+    })));
+
+  if (error) {
+    logger.warn('[ProductExtractionWorker] Failed to save page snapshots', {
+      customerId,
+      domain,
+      error: error.message
+    });
+    return 0;
+  }
 
-      try {
-        await page.goto(url, {
-          waitUntil: 'networkidle2',
-          timeout: 30000 // 30 second timeout
-        });
-        logger.info('[ProductExtractionWorker] Navigation successful');
-      } catch (error) {
-        logger.error('[ProductExtractionWorker] Navigation failed:', error);
-        throw error;
-      }
-    },
-
-    async evaluate(script) {
-      logger.info('[ProductExtractionWorker] Evaluating script in page context');
-
-      try {
-        const result = await page.evaluate(script);
-        logger.info('[ProductExtractionWorker] Script evaluation successful');
-        return result;
-      } catch (error) {
-        logger.error('[ProductExtractionWorker] Script evaluation failed:', error);
-        throw error;
-      }
-    },
-
-    async screenshot() {
-      try {
-        logger.info('[ProductExtractionWorker] Taking screenshot');
-        const screenshot = await page.screenshot({
-          fullPage: false,
-          type: 'png'
-        });
-        logger.info('[ProductExtractionWorker] Screenshot captured');
-        return screenshot;
-      } catch (error) {
-        logger.warn('[ProductExtractionWorker] Screenshot failed (optional):', error);
-        return null; // Screenshot is optional, don't throw
-      }
-    },
-
-    async close() {
-      try {
-        logger.info('[ProductExtractionWorker] Closing browser');
-        await browser.close();
-        logger.info('[ProductExtractionWorker] Browser closed successfully');
-      } catch (error) {
-        logger.warn('[ProductExtractionWorker] Browser close warning (non-fatal):', error);
-        // Don't throw - close errors are non-fatal
-      }
-    }
-  };
+  return pages.length;
 }
 
 /**
@@ -118,11 +82,13 @@ async function createMCPWrapper() {
  * @param {string} jobData.customerId - User ID
  * @param {string} jobData.email - User email address
  * @param {string} jobData.domain - Company domain to extract from
+ * @param {boolean} [jobData.crawl] - Crawl beyond the home page (defaults to config)
  * @param {Object} job - Job instance for progress updates
  * @returns {Promise<Object>} Result with product details and metadata
  */
 async function processProductExtraction(jobData, job = null) {
   const { customerId, email, domain } = jobData;
+  const crawl = jobData.crawl ?? config.productExtraction.crawlEnabled;
 
   logger.info('[ProductExtractionWorker] Processing product extraction job', {
     customerId,
@@ -133,7 +99,7 @@ async function processProductExtraction(jobData, job = null) {
   try {
     // Initial progress: Job started
     if (job) {
-      job.updateProgress(10);
+      await reportJobProgress(job, 10, 'started');
       logger.info('[ProductExtractionWorker] Progress: 10% - Job started');
     }
 
@@ -156,10 +122,16 @@ async function processProductExtraction(jobData, job = null) {
     }
 
     if (job) {
-      job.updateProgress(20);
+      await reportJobProgress(job, 20, 'customer_verified');
       logger.info('[ProductExtractionWorker] Progress: 20% - Customer verified');
     }
 
+    // Stop before opening a browser if the user cancelled (DELETE /api/jobs/:jobId)
+    if (await isJobCancelled(job)) {
+      logger.info('[ProductExtractionWorker] Job cancelled before extraction', { jobId: job.id, customerId });
+      return { success: false, cancelled: true };
+    }
+
     // Create browser automation wrapper
     let mcpWrapper = null;
 
@@ -167,20 +139,24 @@ async function processProductExtraction(jobData, job = null) {
       mcpWrapper = await createMCPWrapper();
 
       if (job) {
-        job.updateProgress(30);
+        await reportJobProgress(job, 30, 'extracting');
         logger.info('[ProductExtractionWorker] Progress: 30% - Starting extraction');
       }
 
       logger.info('[ProductExtractionWorker] Calling extraction service', {
         domain,
-        url: `https://${domain}`
+        url: `https://${domain}`,
+        crawl
       });
 
       // Extract product details from website
-      const productDetails = await extractProductDetailsFromDomain(domain, mcpWrapper);
+      const productDetails = await extractProductDetailsFromDomain(domain, mcpWrapper, {
+        crawl,
+        maxPages: config.productExtraction.maxPages
+      });
 
       if (job) {
-        job.updateProgress(80);
+        await reportJobProgress(job, 80, 'extracted');
         logger.info('[ProductExtractionWorker] Progress: 80% - Extraction complete');
       }
 
@@ -194,7 +170,7 @@ async function processProductExtraction(jobData, job = null) {
 
         // Don't save fallback data - let form remain empty
         if (job) {
-          job.updateProgress(100);
+          await reportJobProgress(job, 100, 'completed');
           logger.info('[ProductExtractionWorker] Progress: 100% - Complete (fallback)');
         }
 
@@ -209,24 +185,37 @@ async function processProductExtraction(jobData, job = null) {
         };
       }
 
+      // A job cancelled during extraction is not saved
+      if (await isJobCancelled(job)) {
+        logger.info('[ProductExtractionWorker] Job cancelled, product details not saved', { jobId: job.id, customerId });
+        return { success: false, cancelled: true };
+      }
+
       if (job) {
-        job.updateProgress(90);
+        await reportJobProgress(job, 90, 'saving');
         logger.info('[ProductExtractionWorker] Progress: 90% - Saving to database');
       }
 
-      // Save extracted product details to customer record
+      // Save extracted product details to customer record (page text lives in the snapshots table)
+      const { pages, ...details } = productDetails;
       await supabaseDataService.updateCustomer(customerId, {
-        product_details: JSON.stringify(productDetails)
+        product_details: JSON.stringify({
+          ...details,
+          pages: pages.map(({ text, ...page }) => page)
+        })
       });
 
+      const snapshotsSaved = await saveExtractionSnapshots(customerId, domain, pages);
+
       logger.info('[ProductExtractionWorker] Product details saved to customer record', {
         customerId,
         productName: productDetails.productName,
-        sourceUrl: productDetails.sourceUrl
+        sourceUrl: productDetails.sourceUrl,
+        snapshotsSaved
       });
 
       if (job) {
-        job.updateProgress(100);
+        await reportJobProgress(job, 100, 'completed');
         logger.info('[ProductExtractionWorker] Progress: 100% - Complete');
       }
 
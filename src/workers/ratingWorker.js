@@ -8,17 +8,13 @@
  * @module workers/ratingWorker
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
 import { SimpleWorker } from '../lib/simpleQueue.js';
-import { getRatingQueue, getBatchRatingQueue } from '../lib/queue.js';
+import { getRatingQueue, getBatchRatingQueue, isJobCancelled, reportJobProgress } from '../lib/queue.js';
 import logger from '../utils/logger.js';
-import { recordAIMetric } from '../middleware/performanceMonitoring.js';
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+import anthropicGateway from '../services/anthropicGatewayService.js';
+import prospectListService from '../services/prospectListService.js';
+import organizationService from '../services/organizationService.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -29,6 +25,9 @@ const supabase = createClient(
 /**
  * Helper: Get ICP framework for a user
  *
+ * A specific framework can be the user's own or one a teammate shared with
+ * one of the user's organizations.
+ *
  * @param {string} userId - User ID
  * @param {string} icpFrameworkId - Optional specific framework ID
  * @returns {Promise<Object>} ICP framework
@@ -40,13 +39,17 @@ async function getICPFramework(userId, icpFrameworkId = null) {
       .from('icp_frameworks')
       .select('*')
       .eq('id', icpFrameworkId)
-      .eq('user_id', userId)
       .single();
 
     if (error || !framework) {
       throw new Error(`ICP framework not found: ${icpFrameworkId}`);
     }
 
+    if (framework.user_id !== userId &&
+        !(await organizationService.canAccessSharedItem(userId, 'icp_framework', icpFrameworkId))) {
+      throw new Error(`ICP framework not found: ${icpFrameworkId}`);
+    }
+
     return framework;
   }
 
@@ -114,9 +117,11 @@ async function getCompanyData(userId, companyUrl) {
  * @param {string} userId - User ID
  * @param {string} companyUrl - Company URL
  * @param {string} icpFrameworkId - Optional ICP framework ID
- * @returns {Promise<Object>} Rating result
+ * @param {Object} [job] - Single rating job, checked for cancellation before
+ *   the AI call and before saving
+ * @returns {Promise<Object>} Rating result, or { success: false, cancelled: true }
  */
-async function rateSingleCompany(userId, companyUrl, icpFrameworkId = null) {
+async function rateSingleCompany(userId, companyUrl, icpFrameworkId = null, job = null) {
   logger.info('[RatingWorker] Rating company', { userId, companyUrl });
 
   // Get ICP framework
@@ -176,46 +181,29 @@ SCORING GUIDE:
 - 40-59: Fair fit (may require extra qualification)
 - 0-39: Poor fit (deprioritize or disqualify)`;
 
+  if (await isJobCancelled(job)) {
+    logger.info('[RatingWorker] Rating job cancelled before the AI call', { jobId: job.id, companyUrl });
+    return { success: false, cancelled: true };
+  }
+
   logger.info('[RatingWorker] Calling Claude API');
   const startTime = Date.now();
 
   // Call Claude API
-  const response = await anthropic.messages.create({
+  const response = await anthropicGateway.createMessage({
+    prompt,
     model: 'claude-3-5-sonnet-20241022',
     max_tokens: 2048,
     temperature: 0.5, // Lower for consistent scoring
-    messages: [{
-      role: 'user',
-      content: prompt
-    }]
+    operation: 'rateCompany_worker',
+    userId
   });
 
   const apiDuration = Date.now() - startTime;
   logger.info(`[RatingWorker] Claude API responded in ${apiDuration}ms`);
 
-  // ===== EXTRACT TOKEN USAGE =====
-  const usage = response.usage;
-  const estimatedCost = calculateCost(
-    usage.input_tokens,
-    usage.output_tokens,
-    'claude-3-5-sonnet-20241022'
-  );
-
-  // Record AI metric with token tracking
-  recordAIMetric({
-    operation: 'rateCompany_worker',
-    duration: apiDuration,
-    success: true,
-    customerId: jobData.userId,
-    inputTokens: usage.input_tokens,
-    outputTokens: usage.output_tokens,
-    totalTokens: usage.input_tokens + usage.output_tokens,
-    estimatedCost: estimatedCost,
-    model: 'claude-3-5-sonnet-20241022'
-  });
-
   // Parse AI response
-  const responseText = response.content[0].text;
+  const responseText = response.text;
 
   let ratingResult;
   try {
@@ -240,6 +228,12 @@ SCORING GUIDE:
     fitLevel: ratingResult.fitLevel
   });
 
+  // A job cancelled during the AI call is not saved
+  if (await isJobCancelled(job)) {
+    logger.info('[RatingWorker] Rating job cancelled, rating not saved', { jobId: job.id, companyUrl });
+    return { success: false, cancelled: true };
+  }
+
   // Save to database
   const { data, error } = await supabase
     .from('company_ratings')
@@ -299,12 +293,25 @@ SCORING GUIDE:
  */
 async function processSingleRating(job) {
   const { id: jobId, data } = job;
-  const { customerId, companyUrl, icpFrameworkId } = data;
+  const { customerId, companyUrl, icpFrameworkId, prospectListEntryId } = data;
 
   logger.info('[RatingWorker] Processing single rating job', { jobId, companyUrl });
 
   try {
-    const result = await rateSingleCompany(customerId, companyUrl, icpFrameworkId);
+    const result = await rateSingleCompany(customerId, companyUrl, icpFrameworkId, job);
+
+    if (result.cancelled) {
+      if (prospectListEntryId) {
+        await prospectListService.recordRatingFailure(prospectListEntryId, 'Rating cancelled');
+      }
+      return result;
+    }
+
+    // Companies added to a prospect list get their score copied onto the entry
+    if (prospectListEntryId) {
+      await prospectListService.recordRating(prospectListEntryId, result);
+    }
+
     logger.info('[RatingWorker] Single rating job completed', { jobId });
     return result;
   } catch (error) {
@@ -313,6 +320,12 @@ async function processSingleRating(job) {
       error: error.message,
       stack: error.stack
     });
+
+    const attempts = job.opts?.attempts || job.options?.attempts || 1;
+    if (prospectListEntryId && job.attemptsMade + 1 >= attempts) {
+      await prospectListService.recordRatingFailure(prospectListEntryId, error.message);
+    }
+
     throw error;
   }
 }
@@ -334,10 +347,19 @@ async function processBatchRating(job) {
 
   const results = [];
   const errors = [];
+  let cancelled = false;
 
   for (let i = 0; i < companies.length; i++) {
     const company = companies[i];
 
+    // Stop between companies if the user cancelled the batch (DELETE /api/jobs/:jobId)
+    if (await isJobCancelled(job)) {
+      logger.info('[RatingWorker] Batch rating job cancelled', { jobId, rated: i, total: companies.length });
+      cancelled = true;
+      break;
+    }
+
+    let outcome;
     try {
       logger.info(`[RatingWorker] Rating company ${i + 1}/${companies.length}`, {
         companyUrl: company.url || company
@@ -346,28 +368,32 @@ async function processBatchRating(job) {
       const companyUrl = typeof company === 'string' ? company : company.url;
       const result = await rateSingleCompany(customerId, companyUrl, icpFrameworkId);
 
-      results.push({
+      outcome = {
         companyUrl,
         success: true,
         rating: result.rating,
         savedId: result.savedId
-      });
-
-      // Update job progress
-      if (job.updateProgress) {
-        job.updateProgress(Math.round(((i + 1) / companies.length) * 100));
-      }
+      };
+      results.push(outcome);
     } catch (error) {
       logger.error(`[RatingWorker] Failed to rate company ${i + 1}`, {
         error: error.message
       });
 
-      errors.push({
+      outcome = {
         companyUrl: typeof company === 'string' ? company : company.url,
         success: false,
         error: error.message
-      });
+      };
+      errors.push(outcome);
     }
+
+    // Update job progress, streaming each company's outcome as a partial result
+    await reportJobProgress(job, Math.round(((i + 1) / companies.length) * 100), 'rating', {
+      rated: i + 1,
+      total: companies.length,
+      latest: outcome
+    });
   }
 
   logger.info('[RatingWorker] Batch rating job completed', {
@@ -378,6 +404,7 @@ async function processBatchRating(job) {
 
   return {
     success: true,
+    cancelled,
     batchResults: {
       total: companies.length,
       successful: results.length,
@@ -464,29 +491,3 @@ export default {
   startBatchRatingWorker,
   rateSingleCompany,
 };
-
-/**
- * Calculate cost in USD based on token usage
- * Model pricing per 1M tokens:
- * - Claude 3 Opus: $15 input / $75 output
- * - Claude 3.5 Sonnet: $3 input / $15 output
- * - Claude 3.5 Haiku: $0.25 input / $1.25 output
- */
-function calculateCost(inputTokens, outputTokens, model) {
-  const pricing = {
-    'claude-3-opus-20240229': { input: 15, output: 75 },
-    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-    'claude-3-5-haiku-20241022': { input: 0.25, output: 1.25 }
-  };
-
-  const modelPricing = pricing[model];
-  if (!modelPricing) {
-    logger.warn(`Unknown model pricing: ${model}, using Sonnet as fallback`);
-    return calculateCost(inputTokens, outputTokens, 'claude-3-5-sonnet-20241022');
-  }
-
-  const inputCost = (inputTokens / 1_000_000) * modelPricing.input;
-  const outputCost = (outputTokens / 1_000_000) * modelPricing.output;
-
-  return parseFloat((inputCost + outputCost).toFixed(6));
-}
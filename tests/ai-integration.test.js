@@ -1,5 +1,6 @@
-import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import request from 'supertest';
+import { InternalServerError } from '@anthropic-ai/sdk';
 import { withAuth } from './helpers/auth.js';
 
 // Create the mock BEFORE any imports that might use it
@@ -16,6 +17,7 @@ jest.unstable_mockModule('../src/services/supabaseDataService.js', () => ({
 
 // NOW import app (after mock is set up)
 const { default: app } = await import('../src/server.js');
+const { default: anthropicGateway, AIBudgetExceededError } = await import('../src/services/anthropicGatewayService.js');
 
 describe('AI Integration Tests', () => {
   const testCustomerId = '550e8400-e29b-41d4-a716-446655440001';
@@ -46,7 +48,8 @@ describe('AI Integration Tests', () => {
           triggerAutomation: false
         });
 
-      // Should either succeed with AI or fail gracefully with fallback
+      // Should either succeed with AI or fail - with the fallback ICP only
+      // when the failure was a transient upstream error
       expect([200, 500]).toContain(response.status);
 
       if (response.status === 200) {
@@ -54,7 +57,7 @@ describe('AI Integration Tests', () => {
         expect(response.body.data).toHaveProperty('icpAnalysis');
       } else {
         expect(response.body.success).toBe(false);
-        expect(response.body).toHaveProperty('fallback');
+        expect(response.body).toHaveProperty('error');
       }
     });
 
@@ -100,6 +103,76 @@ describe('AI Integration Tests', () => {
     });
   });
 
+  describe('Exhausted AI budgets', () => {
+    const costInput = {
+      customerId: testCustomerId,
+      potentialDeals: 10,
+      averageDealSize: 50000,
+      conversionRate: 0.3,
+      delayMonths: 6,
+      currentOperatingCost: 100000,
+      inefficiencyRate: 0.2,
+      employeeCount: 100,
+      averageSalary: 75000,
+      marketShare: 0.15
+    };
+
+    const budgetExceeded = () => new AIBudgetExceededError('user', 5.2, 5, { resetsAt: '2026-10-20T00:00:00.000Z' });
+
+    beforeEach(() => {
+      mockSupabaseDataService.getCustomerById.mockResolvedValue({ customerId: testCustomerId, customerName: 'Test Customer' });
+      mockSupabaseDataService.updateCustomer.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('ICP generation reports the budget as 402', async () => {
+      jest.spyOn(anthropicGateway, 'createMessage').mockRejectedValue(budgetExceeded());
+
+      const response = await request(app)
+        .post(`/api/customer/${testCustomerId}/generate-icp`)
+        .set(withAuth(testCustomerId))
+        .send({ industry: 'Technology' });
+
+      expect(response.status).toBe(402);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'AI_BUDGET_EXCEEDED',
+        budget: { scope: 'user', period: 'daily', limitUsd: 5, spentUsd: 5.2 }
+      });
+      expect(mockSupabaseDataService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('AI cost calculation reports the budget as 402 instead of falling back', async () => {
+      jest.spyOn(anthropicGateway, 'createMessage').mockRejectedValue(budgetExceeded());
+
+      const response = await request(app)
+        .post('/api/cost-calculator/calculate-ai')
+        .set(withAuth(testCustomerId))
+        .send(costInput);
+
+      expect(response.status).toBe(402);
+      expect(response.body.code).toBe('AI_BUDGET_EXCEEDED');
+      expect(mockSupabaseDataService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('AI cost calculation still falls back on upstream outages', async () => {
+      jest.spyOn(anthropicGateway, 'createMessage').mockRejectedValue(
+        new InternalServerError(500, { type: 'error', error: { message: 'boom' } }, undefined, new Headers())
+      );
+
+      const response = await request(app)
+        .post('/api/cost-calculator/calculate-ai')
+        .set(withAuth(testCustomerId))
+        .send(costInput);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ aiEnhanced: false, calculation: { source: 'standard_calculation' } });
+    });
+  });
+
   describe('Webhook Integration', () => {
     test('should get automation status', async () => {
       const response = await request(app)
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for configurable AI budget caps
+ *
+ * Supabase is a chainable stub; spend, plan lookup, email and Slack are
+ * mocked. Cap resolution, thresholds and alert de-duplication run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock({
+  auth: {
+    admin: {
+      getUserById: jest.fn(async () => ({ data: { user: { email: 'rep@acme.io' } }, error: null }))
+    }
+  }
+});
+
+const mockGetSpendSince = jest.fn();
+const mockGetUserTier = jest.fn(async () => 'paid');
+const mockSendAlertEmail = jest.fn(async () => ({ success: true }));
+const mockSendSlackMessage = jest.fn(async () => ({ success: true }));
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/aiCostTrackingService.js', () => ({
+  default: { getSpendSince: mockGetSpendSince }
+}));
+
+jest.unstable_mockModule('../src/middleware/tierRateLimit.js', () => ({
+  getUserTier: mockGetUserTier
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: { sendAIBudgetAlertEmail: mockSendAlertEmail }
+}));
+
+jest.unstable_mockModule('../src/lib/slackNotifier.js', () => ({
+  isSlackConfigured: () => true,
+  sendSlackMessage: mockSendSlackMessage
+}));
+
+const { default: aiBudgetService } = await import('../src/services/aiBudgetService.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const teammateId = '550e8400-e29b-41d4-a716-446655440002';
+const orgId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+function capRow(overrides = {}) {
+  return {
+    id: 'cap-1',
+    scope_type: 'plan',
+    scope_id: 'paid',
+    daily_limit_usd: '10.00',
+    monthly_limit_usd: null,
+    warning_thresholds: [50, 80, 90],
+    hard_cap: true,
+    ...overrides
+  };
+}
+
+const spend = (amount) => ({ success: true, data: { total_cost_usd: amount, total_calls: 1 } });
+
+// Alerts are sent without awaiting checkBudget
+const flushAlerts = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('aiBudgetService', () => {
+  beforeEach(async () => {
+    await flushAlerts(); // Let alerts from the previous test settle
+    jest.clearAllMocks();
+    results.length = 0;
+    aiBudgetService.capsCache = null;
+    aiBudgetService.tierCache.clear();
+    aiBudgetService.membershipCache.clear();
+    aiBudgetService.memberCache.clear();
+    aiBudgetService.spendCache.clear();
+    aiBudgetService.alertsSent.clear();
+  });
+
+  test('allows calls without caps and skips spend lookups', async () => {
+    results.push({ data: [], error: null });
+
+    await expect(aiBudgetService.checkBudget(userId)).resolves.toEqual({ allowed: true });
+    expect(mockGetSpendSince).not.toHaveBeenCalled();
+  });
+
+  test('a user cap replaces the plan cap', async () => {
+    results.push({
+      data: [capRow({ daily_limit_usd: '1.00' }), capRow({ id: 'cap-2', scope_type: 'user', scope_id: userId, daily_limit_usd: '50.00' })],
+      error: null
+    });
+    mockGetSpendSince.mockResolvedValue(spend(2));
+
+    await expect(aiBudgetService.checkBudget(userId)).resolves.toEqual({ allowed: true });
+    expect(mockGetSpendSince).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses calls once a hard plan cap is reached', async () => {
+    results.push({ data: [capRow()], error: null });
+    mockGetSpendSince.mockResolvedValue(spend(10.5));
+
+    const result = await aiBudgetService.checkBudget(userId, 'generateICP');
+
+    expect(mockGetUserTier).toHaveBeenCalledWith(userId);
+    expect(result).toEqual({
+      allowed: false,
+      exceeded: expect.objectContaining({ scope: 'plan', scopeId: 'paid', period: 'daily', spentUsd: 10.5, limitUsd: 10 })
+    });
+  });
+
+  test('soft caps warn but never block', async () => {
+    results.push({ data: [capRow({ hard_cap: false })], error: null });
+    mockGetSpendSince.mockResolvedValue(spend(12));
+
+    await expect(aiBudgetService.checkBudget(userId)).resolves.toEqual({ allowed: true });
+  });
+
+  test('organization caps use the pooled spend of active members', async () => {
+    results.push(
+      { data: [capRow({ scope_type: 'organization', scope_id: orgId, daily_limit_usd: null, monthly_limit_usd: '100.00' })], error: null },
+      { data: [{ organization_id: orgId }], error: null }, // user's memberships
+      { data: [{ user_id: userId }, { user_id: teammateId }], error: null } // members
+    );
+    mockGetSpendSince.mockResolvedValue(spend(100));
+
+    const result = await aiBudgetService.checkBudget(userId);
+
+    const [since, ids] = mockGetSpendSince.mock.calls[0];
+    expect(since.getUTCDate()).toBe(1);
+    expect(ids).toEqual([userId, teammateId]);
+    expect(result.exceeded).toMatchObject({ scope: 'organization', scopeId: orgId, period: 'monthly' });
+  });
+
+  test('allows the call when the spend lookup fails', async () => {
+    results.push({ data: [capRow()], error: null });
+    mockGetSpendSince.mockResolvedValue({ success: false, error: 'db down' });
+
+    await expect(aiBudgetService.checkBudget(userId)).resolves.toEqual({ allowed: true });
+  });
+
+  test('recordSpend counts calls toward cached spend', async () => {
+    results.push({ data: [capRow()], error: null });
+    mockGetSpendSince.mockResolvedValue(spend(4));
+
+    await aiBudgetService.checkBudget(userId);
+    aiBudgetService.recordSpend(userId, 6);
+
+    await expect(aiBudgetService.checkBudget(userId)).resolves.toMatchObject({ allowed: false });
+    expect(mockGetSpendSince).toHaveBeenCalledTimes(1);
+  });
+
+  describe('alerts', () => {
+    test('sends one alert for the highest threshold crossed', async () => {
+      results.push(
+        { data: [capRow()], error: null },
+        { data: { id: 'alert-1' }, error: null }, // alert insert
+        { data: null, error: null } // channels update
+      );
+      mockGetSpendSince.mockResolvedValue(spend(8.5));
+
+      await aiBudgetService.checkBudget(userId);
+      await aiBudgetService.checkBudget(userId);
+      await flushAlerts();
+
+      expect(mockQuery.insert).toHaveBeenCalledTimes(1);
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        cap_id: 'cap-1',
+        user_id: userId,
+        period: 'daily',
+        threshold: 80,
+        limit_usd: 10
+      }));
+      expect(mockSendAlertEmail).toHaveBeenCalledWith('rep@acme.io', expect.objectContaining({
+        subject: 'your account',
+        threshold: 80,
+        hardCap: true
+      }));
+      expect(mockSendSlackMessage).toHaveBeenCalledTimes(1);
+      expect(mockQuery.update).toHaveBeenCalledWith({ channels: ['email', 'slack'] });
+    });
+
+    test('alerts already recorded by another instance are not resent', async () => {
+      results.push(
+        { data: [capRow()], error: null },
+        { data: null, error: { code: '23505', message: 'duplicate key' } }
+      );
+      mockGetSpendSince.mockResolvedValue(spend(9.5));
+
+      await aiBudgetService.checkBudget(userId);
+      await flushAlerts();
+
+      expect(mockSendAlertEmail).not.toHaveBeenCalled();
+      expect(mockSendSlackMessage).not.toHaveBeenCalled();
+    });
+
+    test('organization alerts go to owners and admins', async () => {
+      results.push(
+        { data: [capRow({ scope_type: 'organization', scope_id: orgId })], error: null },
+        { data: [{ organization_id: orgId }], error: null },
+        { data: [{ user_id: userId }], error: null },
+        { data: { id: 'alert-1' }, error: null },
+        {
+          data: [
+            { email: 'owner@acme.io', organizations: { name: 'Acme Sales' } },
+            { email: 'admin@acme.io', organizations: { name: 'Acme Sales' } }
+          ],
+          error: null
+        },
+        { data: null, error: null }
+      );
+      mockGetSpendSince.mockResolvedValue(spend(5));
+
+      await aiBudgetService.checkBudget(userId);
+      await flushAlerts();
+
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({ user_id: null, threshold: 50 }));
+      expect(mockQuery.in).toHaveBeenCalledWith('role', ['owner', 'admin']);
+      expect(mockSendAlertEmail.mock.calls.map(([email]) => email)).toEqual(['owner@acme.io', 'admin@acme.io']);
+      expect(mockSendAlertEmail).toHaveBeenCalledWith('owner@acme.io', expect.objectContaining({ subject: 'Acme Sales' }));
+    });
+  });
+
+  test('setCap upserts by scope and refreshes cached caps', async () => {
+    aiBudgetService.capsCache = { caps: new Map(), fetchedAt: Date.now() };
+    results.push({ data: capRow({ warning_thresholds: [75, 90] }), error: null });
+
+    const cap = await aiBudgetService.setCap('plan', 'paid', { dailyLimitUsd: 10, warningThresholds: [90, 75] }, 'admin@andru.ai');
+
+    expect(mockQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      scope_type: 'plan',
+      scope_id: 'paid',
+      daily_limit_usd: 10,
+      monthly_limit_usd: null,
+      warning_thresholds: [75, 90],
+      hard_cap: true,
+      updated_by: 'admin@andru.ai'
+    }), { onConflict: 'scope_type,scope_id' });
+    expect(cap).toMatchObject({ scopeType: 'plan', scopeId: 'paid', dailyLimitUsd: 10, monthlyLimitUsd: null });
+    expect(aiBudgetService.capsCache).toBeNull();
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Unit tests for the Anthropic gateway
+ *
+ * The Anthropic client is a stub; cost tracking persistence and the
+ * configurable caps (aiBudgetService) are mocked.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { InternalServerError, BadRequestError, APIConnectionError } from '@anthropic-ai/sdk';
+
+const mockCostTracking = {
+  recordMetric: jest.fn(),
+  getSpendSince: jest.fn()
+};
+
+const mockBudgetService = {
+  checkBudget: jest.fn(),
+  recordSpend: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/aiCostTrackingService.js', () => ({
+  default: mockCostTracking
+}));
+
+jest.unstable_mockModule('../src/services/aiBudgetService.js', () => ({
+  default: mockBudgetService
+}));
+
+const {
+  AnthropicGatewayService,
+  AIBudgetExceededError
+} = await import('../src/services/anthropicGatewayService.js');
+
+const flushMetrics = () => new Promise(resolve => setImmediate(resolve));
+
+const overloaded = () => new InternalServerError(
+  529,
+  { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+  undefined,
+  new Headers()
+);
+
+const message = (text, usage = { input_tokens: 1000, output_tokens: 500 }) => ({
+  content: [{ type: 'text', text }],
+  usage,
+  stop_reason: 'end_turn'
+});
+
+// messages.stream stub: emits the chunks as text deltas, then fails or completes
+const textStream = (chunks, error = null) => {
+  const handlers = {};
+  return {
+    on: (event, handler) => { handlers[event] = handler; },
+    finalMessage: async () => {
+      let snapshot = '';
+      for (const chunk of chunks) {
+        snapshot += chunk;
+        handlers.text(chunk, snapshot);
+      }
+      if (error) throw error;
+      return message(snapshot);
+    }
+  };
+};
+
+function createGateway(create, settings = {}) {
+  const client = { messages: { create: jest.fn(create) } };
+  const gateway = new AnthropicGatewayService({
+    client,
+    settings: {
+      fallbackModel: 'claude-3-5-haiku-20241022',
+      maxRetries: 2,
+      retryDelayMs: 1,
+      dailyUserBudgetUsd: 0,
+      dailyPlatformBudgetUsd: 0,
+      ...settings
+    }
+  });
+  return { gateway, client };
+}
+
+describe('AnthropicGatewayService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCostTracking.recordMetric.mockResolvedValue({ success: true });
+    mockBudgetService.checkBudget.mockResolvedValue({ allowed: true });
+  });
+
+  test('returns normalized text, usage and cost and records one metric', async () => {
+    const { gateway, client } = createGateway(async () => message('hello'));
+
+    const result = await gateway.createMessage({
+      prompt: 'Hi',
+      model: 'claude-3-5-sonnet-20241022',
+      max_tokens: 100,
+      temperature: 0.5,
+      operation: 'testOperation',
+      userId: 'user-1'
+    });
+    await flushMetrics();
+
+    expect(client.messages.create).toHaveBeenCalledWith(
+      {
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 100,
+        temperature: 0.5,
+        messages: [{ role: 'user', content: 'Hi' }]
+      },
+      expect.objectContaining({ timeout: expect.any(Number) })
+    );
+    expect(result.text).toBe('hello');
+    expect(result.usage).toMatchObject({ inputTokens: 1000, outputTokens: 500, totalTokens: 1500 });
+    expect(result.estimatedCost).toBe(0.0105);
+    expect(result.fallbackUsed).toBe(false);
+
+    expect(mockCostTracking.recordMetric).toHaveBeenCalledTimes(1);
+    expect(mockCostTracking.recordMetric).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'testOperation',
+      success: true,
+      customerId: 'user-1',
+      model: 'claude-3-5-sonnet-20241022',
+      estimatedCost: 0.0105,
+      retryCount: 0
+    }));
+  });
+
+  test('retries transient errors with backoff', async () => {
+    let calls = 0;
+    const { gateway } = createGateway(async () => {
+      calls++;
+      if (calls === 1) throw new APIConnectionError({ message: 'socket hang up' });
+      return message('ok');
+    });
+
+    const result = await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022' });
+
+    expect(calls).toBe(2);
+    expect(result.retryCount).toBe(1);
+  });
+
+  test('does not retry client errors and records the failure', async () => {
+    const badRequest = new BadRequestError(400, { type: 'error', error: { message: 'bad' } }, undefined, new Headers());
+    const { gateway, client } = createGateway(async () => { throw badRequest; });
+
+    await expect(gateway.createMessage({
+      prompt: 'Hi',
+      model: 'claude-3-5-sonnet-20241022',
+      operation: 'failing'
+    })).rejects.toBe(badRequest);
+    await flushMetrics();
+
+    expect(client.messages.create).toHaveBeenCalledTimes(1);
+    expect(mockCostTracking.recordMetric).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'failing',
+      success: false,
+      model: 'claude-3-5-sonnet-20241022'
+    }));
+  });
+
+  test('falls back to the secondary model when the primary is overloaded', async () => {
+    const { gateway, client } = createGateway(async (body) => {
+      if (body.model === 'claude-3-opus-20240229') throw overloaded();
+      return message('from fallback');
+    });
+
+    const result = await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-opus-20240229' });
+    await flushMetrics();
+
+    // Overload skips the remaining primary retries
+    expect(client.messages.create.mock.calls.map(([body]) => body.model)).toEqual([
+      'claude-3-opus-20240229',
+      'claude-3-5-haiku-20241022'
+    ]);
+    expect(result.text).toBe('from fallback');
+    expect(result.model).toBe('claude-3-5-haiku-20241022');
+    expect(result.fallbackUsed).toBe(true);
+    expect(mockCostTracking.recordMetric).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-3-5-haiku-20241022',
+      metadata: expect.objectContaining({ requestedModel: 'claude-3-opus-20240229', fallbackUsed: true })
+    }));
+  });
+
+  test('retries overload when no fallback model is configured', async () => {
+    const { gateway, client } = createGateway(async () => { throw overloaded(); }, { fallbackModel: null });
+
+    await expect(gateway.createMessage({ prompt: 'Hi', model: 'claude-3-opus-20240229' }))
+      .rejects.toThrow('Overloaded');
+    expect(client.messages.create).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry or fall back once streamed text has been sent', async () => {
+    const { gateway, client } = createGateway(async () => message('unused'));
+    client.messages.stream = jest.fn(() => textStream(['Partial '], overloaded()));
+    const deltas = [];
+
+    await expect(gateway.createMessage({
+      prompt: 'Hi',
+      model: 'claude-3-opus-20240229',
+      onText: (delta) => deltas.push(delta)
+    })).rejects.toThrow('Overloaded');
+
+    expect(client.messages.stream).toHaveBeenCalledTimes(1);
+    expect(deltas).toEqual(['Partial ']);
+  });
+
+  test('retries a stream that failed before sending any text', async () => {
+    const { gateway, client } = createGateway(async () => message('unused'));
+    client.messages.stream = jest.fn()
+      .mockReturnValueOnce(textStream([], new APIConnectionError({ message: 'socket hang up' })))
+      .mockReturnValueOnce(textStream(['Hello ', 'there']));
+    const deltas = [];
+
+    const result = await gateway.createMessage({
+      prompt: 'Hi',
+      model: 'claude-3-5-haiku-20241022',
+      onText: (delta) => deltas.push(delta)
+    });
+
+    expect(client.messages.stream).toHaveBeenCalledTimes(2);
+    expect(deltas).toEqual(['Hello ', 'there']);
+    expect(result.text).toBe('Hello there');
+    expect(result.retryCount).toBe(1);
+  });
+
+  test('refuses calls once the user budget is exhausted', async () => {
+    mockCostTracking.getSpendSince.mockResolvedValue({ success: true, data: { total_cost_usd: 5.2, total_calls: 40 } });
+    const { gateway, client } = createGateway(async () => message('never'), { dailyUserBudgetUsd: 5 });
+
+    const error = await gateway.createMessage({
+      prompt: 'Hi',
+      model: 'claude-3-5-haiku-20241022',
+      userId: 'user-1'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AIBudgetExceededError);
+    expect(error.scope).toBe('user');
+    expect(error.statusCode).toBe(402);
+    expect(client.messages.create).not.toHaveBeenCalled();
+    expect(mockCostTracking.getSpendSince).toHaveBeenCalledWith(expect.any(Date), 'user-1');
+  });
+
+  test('refuses calls once the platform budget is exhausted', async () => {
+    mockCostTracking.getSpendSince.mockResolvedValue({ success: true, data: { total_cost_usd: 100, total_calls: 900 } });
+    const { gateway } = createGateway(async () => message('never'), { dailyPlatformBudgetUsd: 100 });
+
+    await expect(gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022' }))
+      .rejects.toMatchObject({ scope: 'platform', statusCode: 503 });
+  });
+
+  test('counts completed calls toward the cached spend', async () => {
+    mockCostTracking.getSpendSince.mockResolvedValue({ success: true, data: { total_cost_usd: 0.01, total_calls: 1 } });
+    const { gateway } = createGateway(
+      async () => message('ok', { input_tokens: 0, output_tokens: 1_000_000 }),
+      { dailyUserBudgetUsd: 1 }
+    );
+
+    // $1.25 of Haiku output pushes the user over the $1 budget
+    await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022', userId: 'user-1' });
+
+    await expect(gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022', userId: 'user-1' }))
+      .rejects.toBeInstanceOf(AIBudgetExceededError);
+    expect(mockCostTracking.getSpendSince).toHaveBeenCalledTimes(1);
+  });
+
+  test('allows the call when the spend lookup fails', async () => {
+    mockCostTracking.getSpendSince.mockResolvedValue({ success: false, error: 'db down' });
+    const { gateway } = createGateway(async () => message('ok'), { dailyUserBudgetUsd: 1 });
+
+    const result = await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022', userId: 'user-1' });
+    expect(result.text).toBe('ok');
+  });
+
+  test('refuses calls when a configured cap is used up', async () => {
+    mockBudgetService.checkBudget.mockResolvedValue({
+      allowed: false,
+      exceeded: {
+        scope: 'organization',
+        scopeId: 'org-1',
+        period: 'monthly',
+        spentUsd: 250.5,
+        limitUsd: 250,
+        resetsAt: '2026-11-01T00:00:00.000Z'
+      }
+    });
+    const { gateway, client } = createGateway(async () => message('never'));
+
+    const error = await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022', userId: 'user-1' })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(AIBudgetExceededError);
+    expect(error.statusCode).toBe(402);
+    expect(error.message).toBe('Monthly AI usage limit reached for your organization. Please try again next month.');
+    expect(error.budget).toEqual({
+      scope: 'organization',
+      period: 'monthly',
+      limitUsd: 250,
+      spentUsd: 250.5,
+      resetsAt: '2026-11-01T00:00:00.000Z'
+    });
+    expect(mockBudgetService.checkBudget).toHaveBeenCalledWith('user-1', 'anthropicCall');
+    expect(client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('reports completed call costs to the cap tracker', async () => {
+    const { gateway } = createGateway(async () => message('ok', { input_tokens: 0, output_tokens: 1_000_000 }));
+
+    const result = await gateway.createMessage({ prompt: 'Hi', model: 'claude-3-5-haiku-20241022', userId: 'user-1' });
+
+    expect(result.estimatedCost).toBeGreaterThan(0);
+    expect(mockBudgetService.recordSpend).toHaveBeenCalledWith('user-1', result.estimatedCost);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for database-backed API keys
+ *
+ * Supabase is replaced with a chainable stub; hashing, key checks and the
+ * scope checks in the auth middleware run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const { default: apiKeyService, hashApiKey } = await import('../src/services/apiKeyService.js');
+const { authenticateMulti, requireApiKeyScope } = await import('../src/middleware/auth.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+
+function keyRow(overrides = {}) {
+  return {
+    id: 'key-1',
+    user_id: userId,
+    name: 'CRM sync',
+    key_prefix: 'hsp_1a2b3c4d',
+    scopes: ['read'],
+    created_at: '2026-10-01T00:00:00.000Z',
+    last_used_at: null,
+    expires_at: null,
+    revoked: false,
+    revoked_at: null,
+    ...overrides
+  };
+}
+
+describe('apiKeyService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  test('createKey stores only the hash and returns the plaintext once', async () => {
+    results.push({ data: keyRow({ scopes: ['read', 'export'] }), error: null });
+
+    const key = await apiKeyService.createKey(userId, { name: 'CRM sync', scopes: ['read', 'export', 'read'] });
+
+    const inserted = mockQuery.insert.mock.calls[0][0];
+    expect(key.apiKey).toMatch(/^hsp_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+    expect(inserted.key_hash).toBe(hashApiKey(key.apiKey));
+    expect(inserted.key_prefix).toBe(key.apiKey.slice(0, 12));
+    expect(inserted.scopes).toEqual(['read', 'export']);
+    expect(JSON.stringify(inserted)).not.toContain(key.apiKey);
+    expect(key).not.toHaveProperty('key_hash');
+  });
+
+  test('verifyKey looks keys up by hash and returns their scopes', async () => {
+    const apiKey = 'hsp_1a2b3c4d_' + 'a'.repeat(43);
+    results.push({ data: keyRow(), error: null });
+
+    const result = await apiKeyService.verifyKey(apiKey);
+
+    expect(mockQuery.eq).toHaveBeenCalledWith('key_hash', hashApiKey(apiKey));
+    expect(result).toMatchObject({ valid: true, customerId: userId, keyId: 'key-1', scopes: ['read'] });
+    // last_used_at is refreshed in the background
+    expect(mockQuery.update).toHaveBeenCalledWith({ last_used_at: expect.any(String) });
+  });
+
+  test('verifyKey rejects revoked, expired and unknown keys', async () => {
+    const apiKey = 'hsp_1a2b3c4d_' + 'a'.repeat(43);
+
+    results.push({ data: keyRow({ revoked: true }), error: null });
+    expect(await apiKeyService.verifyKey(apiKey)).toEqual({ valid: false, reason: 'API key revoked' });
+
+    results.push({ data: keyRow({ expires_at: '2020-01-01T00:00:00.000Z' }), error: null });
+    expect(await apiKeyService.verifyKey(apiKey)).toEqual({ valid: false, reason: 'API key expired' });
+
+    results.push({ data: null, error: null });
+    expect(await apiKeyService.verifyKey(apiKey)).toEqual({ valid: false, reason: 'Unknown API key' });
+  });
+
+  test('verifyKey accepts legacy stateless keys until they are disabled', async () => {
+    const payload = `${userId}:${Date.now()}`;
+    const signature = crypto.createHmac('sha256', config.jwt.secret).update(payload).digest('hex');
+    const legacyKey = `hsp_${Buffer.from(payload).toString('base64')}.${signature}`;
+
+    expect(config.security.enableLegacyApiKeys).toBe(true);
+    expect(await apiKeyService.verifyKey(legacyKey)).toMatchObject({ valid: true, customerId: userId, keyId: null, legacy: true });
+
+    config.security.enableLegacyApiKeys = false;
+    try {
+      const result = await apiKeyService.verifyKey(legacyKey);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toMatch(/Legacy API keys/);
+    } finally {
+      config.security.enableLegacyApiKeys = true;
+    }
+    expect(mockQuery.from).not.toHaveBeenCalled();
+  });
+
+  test('revokeKey only touches the owner\'s key', async () => {
+    results.push({ data: keyRow({ revoked: true, revoked_at: '2026-10-19T00:00:00.000Z' }), error: null });
+
+    const key = await apiKeyService.revokeKey(userId, 'key-1');
+
+    expect(mockQuery.eq).toHaveBeenCalledWith('id', 'key-1');
+    expect(mockQuery.eq).toHaveBeenCalledWith('user_id', userId);
+    expect(key).toMatchObject({ id: 'key-1', revoked: true });
+
+    results.push({ data: null, error: null });
+    expect(await apiKeyService.revokeKey(userId, 'missing')).toBeNull();
+  });
+});
+
+describe('API key scopes', () => {
+  const apiKey = 'hsp_1a2b3c4d_' + 'a'.repeat(43);
+  const ok = (req, res) => res.json({ success: true });
+
+  const app = express();
+  app.use(express.json());
+  app.get('/api/things', authenticateMulti, ok);
+  app.post('/api/things', authenticateMulti, ok);
+  app.post('/api/export/things', authenticateMulti, requireApiKeyScope('export'), ok);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  test('a read-scoped key can read but gets 403 on a write route', async () => {
+    results.push({ data: keyRow({ scopes: ['read'] }), error: null });
+    await request(app).get('/api/things').set('X-API-Key', apiKey).expect(200);
+
+    results.length = 0;
+    results.push({ data: keyRow({ scopes: ['read'] }), error: null });
+    const response = await request(app).post('/api/things').set('X-API-Key', apiKey).send({}).expect(403);
+
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Insufficient API key scope',
+      required: 'write',
+      scopes: ['read']
+    });
+  });
+
+  test('export routes also need the export scope', async () => {
+    results.push({ data: keyRow({ scopes: ['read', 'write'] }), error: null });
+    const response = await request(app).post('/api/export/things').set('X-API-Key', apiKey).send({}).expect(403);
+    expect(response.body.required).toBe('export');
+
+    results.length = 0;
+    results.push({ data: keyRow({ scopes: ['read', 'write', 'export'] }), error: null });
+    await request(app).post('/api/export/things').set('X-API-Key', apiKey).send({}).expect(200);
+  });
+});
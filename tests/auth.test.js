@@ -13,6 +13,20 @@ jest.unstable_mockModule('../src/services/supabaseDataService.js', () => ({
   default: mockSupabaseDataService
 }));
 
+const mockApiKeyService = {
+  createKey: jest.fn(),
+  listKeys: jest.fn(),
+  revokeKey: jest.fn(),
+  verifyKey: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/services/apiKeyService.js', () => ({
+  API_KEY_SCOPES: ['read', 'write', 'export', 'premium'],
+  DEFAULT_API_KEY_SCOPES: ['read', 'write'],
+  apiKeyService: mockApiKeyService,
+  default: mockApiKeyService
+}));
+
 // NOW import app (after mock is set up)
 const { default: app } = await import('../src/server.js');
 
@@ -41,6 +55,21 @@ describe('Authentication Tests', () => {
       }
       return Promise.resolve(null);
     });
+
+    mockApiKeyService.createKey.mockImplementation((customerId, { name, scopes = ['read', 'write'], expiresAt = null }) =>
+      Promise.resolve({
+        id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+        name,
+        prefix: 'hsp_1a2b3c4d',
+        scopes,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        expiresAt,
+        revoked: false,
+        revokedAt: null,
+        apiKey: 'hsp_1a2b3c4d_' + 'x'.repeat(43)
+      })
+    );
   });
 
   describe('GET /api/auth/status', () => {
@@ -131,32 +160,125 @@ describe('Authentication Tests', () => {
     test('should generate API key for valid customer', async () => {
       const response = await request(app)
         .post('/api/auth/api-key')
+        .set(withAuth(testCustomerId))
         .send({
-          customerId: testCustomerId
+          name: 'CRM sync',
+          scopes: ['read']
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('apiKey');
-      expect(response.body.data.customerId).toBe(testCustomerId);
+      expect(response.body.data.name).toBe('CRM sync');
+      expect(response.body.data.scopes).toEqual(['read']);
       expect(response.body.data.usage).toContain('X-API-Key');
+      expect(mockApiKeyService.createKey).toHaveBeenCalledWith(
+        testCustomerId,
+        expect.objectContaining({ name: 'CRM sync', scopes: ['read'] })
+      );
     });
 
-    test('should return 404 for non-existent customer', async () => {
-      const nonExistentCustomerId = '550e8400-e29b-41d4-a716-446655449999';
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/auth/api-key')
+        .send({ name: 'CRM sync' });
 
+      expect(response.status).toBe(401);
+      expect(mockApiKeyService.createKey).not.toHaveBeenCalled();
+    });
+
+    test('should not generate API keys for another customer', async () => {
       const response = await request(app)
         .post('/api/auth/api-key')
+        .set(withAuth(testCustomerId))
         .send({
-          customerId: nonExistentCustomerId
+          customerId: otherCustomerId
         });
 
+      expect(response.status).toBe(403);
+      expect(mockApiKeyService.createKey).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for non-existent customer', async () => {
+      const nonExistentCustomerId = '550e8400-e29b-41d4-a716-446655449999';
+
+      const response = await request(app)
+        .post('/api/auth/api-key')
+        .set(withAuth(nonExistentCustomerId))
+        .send({});
+
       expect(response.status).toBe(404);
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Customer not found');
     });
   });
 
+  describe('API key management', () => {
+    const keyId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+    test('should list API keys for the authenticated customer', async () => {
+      mockApiKeyService.listKeys.mockResolvedValue([{ id: keyId, name: 'CRM sync', prefix: 'hsp_1a2b3c4d' }]);
+
+      const response = await request(app)
+        .get('/api/auth/api-keys')
+        .set(withAuth(testCustomerId));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(1);
+      expect(mockApiKeyService.listKeys).toHaveBeenCalledWith(testCustomerId);
+    });
+
+    test('should revoke an API key', async () => {
+      mockApiKeyService.revokeKey.mockResolvedValue({ id: keyId, revoked: true });
+
+      const response = await request(app)
+        .delete(`/api/auth/api-keys/${keyId}`)
+        .set(withAuth(testCustomerId));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked).toBe(true);
+      expect(mockApiKeyService.revokeKey).toHaveBeenCalledWith(testCustomerId, keyId);
+    });
+
+    test('should return 404 when revoking an unknown key', async () => {
+      mockApiKeyService.revokeKey.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/auth/api-keys/${keyId}`)
+        .set(withAuth(testCustomerId));
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should reject revoked or unknown keys on protected routes', async () => {
+      mockApiKeyService.verifyKey.mockResolvedValue({ valid: false, reason: 'API key revoked' });
+
+      const response = await request(app)
+        .get('/api/auth/validate')
+        .set('X-API-Key', 'hsp_1a2b3c4d_' + 'x'.repeat(43));
+
+      expect(response.status).toBe(401);
+      expect(response.body.details).toBe('API key revoked');
+    });
+
+    test('should not allow API keys to create more API keys', async () => {
+      mockApiKeyService.verifyKey.mockResolvedValue({
+        valid: true,
+        customerId: testCustomerId,
+        keyId,
+        scopes: ['read', 'write', 'export', 'premium']
+      });
+
+      const response = await request(app)
+        .post('/api/auth/api-key')
+        .set('X-API-Key', 'hsp_1a2b3c4d_' + 'x'.repeat(43))
+        .send({ name: 'Escalation' });
+
+      expect(response.status).toBe(403);
+      expect(mockApiKeyService.createKey).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/auth/permissions', () => {
     test('should get customer permissions with valid token', async () => {
       const response = await request(app)
@@ -293,8 +415,9 @@ describe('Authentication Tests', () => {
     test('should validate input schemas for API key generation', async () => {
       const response = await request(app)
         .post('/api/auth/api-key')
+        .set(withAuth(testCustomerId))
         .send({
-          customerId: 'INVALID'
+          scopes: ['admin']
         });
 
       expect(response.status).toBe(400);
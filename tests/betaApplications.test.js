@@ -0,0 +1,223 @@
+/**
+ * Unit tests for beta application scoring and the admin review queue
+ *
+ * Supabase is a chainable stub; emailService and the lifecycle email
+ * sequence are mocked. The rubric, thresholds, decisions and audit entries
+ * run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockEnroll = jest.fn();
+const mockEmailService = {
+  sendBetaApprovalEmail: jest.fn(),
+  sendBetaWaitlistEmail: jest.fn(),
+  sendBetaRejectionEmail: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: mockEmailService
+}));
+
+jest.unstable_mockModule('../src/services/lifecycleEmailService.js', () => ({
+  default: { enroll: mockEnroll }
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const {
+  default: betaApplicationService,
+  calculateScore,
+  getDecision
+} = await import('../src/services/betaApplicationService.js');
+
+const signupId = '550e8400-e29b-41d4-a716-446655440020';
+
+// 30 + 25 + 25 + 15 + 5
+const strongApplication = {
+  id: signupId,
+  full_name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  company: 'Analytical Engines',
+  job_title: 'Co-Founder & CEO',
+  product_description: 'A B2B SaaS platform that helps enterprise revenue teams find their ideal customers and prioritize the accounts most likely to buy.',
+  referral_source: 'Referral from a friend',
+  linkedin_profile: 'https://www.linkedin.com/in/ada',
+  status: 'pending'
+};
+
+// 15 + 25 + 10 + 12 + 0
+const reviewApplication = {
+  ...strongApplication,
+  job_title: 'Marketing Manager',
+  product_description: 'Marketing analytics for small teams.',
+  referral_source: 'Twitter',
+  linkedin_profile: null
+};
+
+const found = (row) => ({ data: row, error: null });
+const none = { data: null, error: null };
+
+describe('betaApplicationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+    Object.assign(config.betaApplications, { autoApproveScore: 80, reviewScore: 60, waitlistScore: 40 });
+    for (const send of Object.values(mockEmailService)) {
+      send.mockResolvedValue({ success: true, messageId: 'msg-1' });
+    }
+    mockEnroll.mockResolvedValue({ created: true });
+  });
+
+  describe('scoring', () => {
+    test('scores the submitted fields against the 100-point rubric', () => {
+      expect(calculateScore(strongApplication)).toEqual({
+        score: 100,
+        breakdown: { jobTitle: 30, company: 25, product: 25, source: 15, linkedin: 5 }
+      });
+      expect(calculateScore(reviewApplication).score).toBe(62);
+      expect(calculateScore({ company: 'test co', job_title: 'Student' })).toEqual({
+        score: 10,
+        breakdown: { jobTitle: 5, company: 0, product: 0, source: 5, linkedin: 0 }
+      });
+    });
+
+    test('decisions follow the configured thresholds', () => {
+      expect([100, 80, 79, 60, 59, 40, 39].map(getDecision))
+        .toEqual(['approved', 'approved', 'review', 'review', 'waitlist', 'waitlist', 'rejected']);
+
+      config.betaApplications.autoApproveScore = 90;
+      expect(getDecision(85)).toBe('review');
+    });
+  });
+
+  describe('processApplication', () => {
+    test('approves high scores, emails the applicant and enrolls them in onboarding', async () => {
+      const now = new Date('2026-10-19T12:00:00.000Z');
+
+      const result = await betaApplicationService.processApplication(strongApplication, now);
+
+      expect(result).toMatchObject({ status: 'approved', score: 100, decision: 'approved' });
+      expect(mockQuery.update).toHaveBeenCalledWith({
+        status: 'approved',
+        score: 100,
+        score_breakdown: result.breakdown,
+        processed_at: now.toISOString()
+      });
+      expect(mockEmailService.sendBetaApprovalEmail).toHaveBeenCalledWith('ada@example.com', 'Ada Lovelace');
+      expect(mockEnroll).toHaveBeenCalledWith({ email: 'ada@example.com', fullName: 'Ada Lovelace', betaSignupId: signupId });
+      expect(mockQuery.insert).toHaveBeenCalledWith({
+        beta_signup_id: signupId,
+        email: 'ada@example.com',
+        decision: 'approved',
+        score: 100,
+        decided_by: 'system',
+        notes: null,
+        email_sent: true,
+        email_error: null
+      });
+    });
+
+    test('the review band stays pending without an email', async () => {
+      const result = await betaApplicationService.processApplication(reviewApplication);
+
+      expect(result).toMatchObject({ status: 'pending', score: 62, decision: 'review' });
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', processed_at: null }));
+      expect(Object.values(mockEmailService).some(send => send.mock.calls.length > 0)).toBe(false);
+      expect(mockEnroll).not.toHaveBeenCalled();
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({ decision: 'review', email_sent: false }));
+    });
+
+    test('low scores are rejected and email failures land in the audit entry', async () => {
+      mockEmailService.sendBetaRejectionEmail.mockResolvedValue({ success: false, error: 'Email provider not configured' });
+
+      const result = await betaApplicationService.processApplication({ id: signupId, email: 'x@example.com', company: 'asdf' });
+
+      expect(result.decision).toBe('rejected');
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        decision: 'rejected',
+        email_sent: false,
+        email_error: 'Email provider not configured'
+      }));
+    });
+  });
+
+  describe('review queue', () => {
+    test('lists pending applications oldest first', async () => {
+      results.push({ data: [{ ...reviewApplication, score: 62, created_at: '2026-10-18T09:00:00.000Z' }], error: null });
+
+      const queue = await betaApplicationService.listReviewQueue({ limit: 10 });
+
+      expect(queue).toEqual([expect.objectContaining({ id: signupId, score: 62, status: 'pending', submittedAt: '2026-10-18T09:00:00.000Z' })]);
+      expect(mockQuery.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(mockQuery.order).toHaveBeenCalledWith('created_at', { ascending: true });
+    });
+
+    test('an admin decision sends the matching email and is audited', async () => {
+      const decided = { ...reviewApplication, score: 62, status: 'waitlist', reviewed_by: 'admin@andru.ai' };
+      results.push(
+        found({ ...reviewApplication, score: 62 }),
+        found(decided),
+        none, // audit entry
+        found(decided),
+        { data: [{ id: 'decision-1', decision: 'waitlist', decided_by: 'admin@andru.ai', notes: 'Not B2B yet', email_sent: true }], error: null }
+      );
+
+      const application = await betaApplicationService.decide(signupId, 'waitlist', { adminEmail: 'admin@andru.ai', notes: 'Not B2B yet' });
+
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'waitlist', reviewed_by: 'admin@andru.ai' }));
+      expect(mockQuery.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(mockEmailService.sendBetaWaitlistEmail).toHaveBeenCalledWith('ada@example.com', 'Ada Lovelace');
+      expect(mockEnroll).not.toHaveBeenCalled();
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        decision: 'waitlist',
+        score: 62,
+        decided_by: 'admin@andru.ai',
+        notes: 'Not B2B yet'
+      }));
+      expect(application).toMatchObject({
+        status: 'waitlist',
+        reviewedBy: 'admin@andru.ai',
+        decisions: [{ decision: 'waitlist', decidedBy: 'admin@andru.ai', notes: 'Not B2B yet' }]
+      });
+    });
+
+    test('approving from the queue enrolls the applicant in onboarding', async () => {
+      const decided = { ...reviewApplication, score: 62, status: 'approved' };
+      results.push(found({ ...reviewApplication, score: 62 }), found(decided), none, found(decided), { data: [], error: null });
+
+      await betaApplicationService.decide(signupId, 'approved', { adminEmail: 'admin@andru.ai' });
+
+      expect(mockEmailService.sendBetaApprovalEmail).toHaveBeenCalled();
+      expect(mockEnroll).toHaveBeenCalledWith(expect.objectContaining({ betaSignupId: signupId }));
+    });
+
+    test('decided applications cannot be decided again', async () => {
+      results.push(found({ ...strongApplication, status: 'approved' }));
+
+      await expect(betaApplicationService.decide(signupId, 'rejected', { adminEmail: 'admin@andru.ai' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Application is already approved' });
+      expect(mockQuery.update).not.toHaveBeenCalled();
+    });
+
+    test('a concurrent decision wins the race without a second email', async () => {
+      results.push(found(reviewApplication), none);
+
+      await expect(betaApplicationService.decide(signupId, 'approved', { adminEmail: 'admin@andru.ai' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(mockEmailService.sendBetaApprovalEmail).not.toHaveBeenCalled();
+    });
+
+    test('unknown applications are 404', async () => {
+      await expect(betaApplicationService.decide('not-a-uuid', 'approved', { adminEmail: 'admin@andru.ai' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(mockQuery.from).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Self-serve billing portal (/api/payment plan changes, invoices, portal)
+ *
+ * The real Stripe SDK talks to a local fake Stripe server; Supabase and the
+ * customer data service are mocked.
+ */
+
+import { describe, test, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { startFakeStripeServer } from './helpers/fakeStripeServer.js';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockGetCustomerByEmail = jest.fn();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/supabaseDataService.js', () => ({
+  default: { getCustomerByEmail: mockGetCustomerByEmail }
+}));
+
+const fakeStripe = await startFakeStripeServer();
+process.env.STRIPE_API_BASE = fakeStripe.url;
+process.env.STRIPE_PLAN_PRICES = 'monthly:price_monthly, annual:price_annual';
+process.env.STRIPE_PORTAL_RETURN_URL = 'https://app.example.com/settings/billing';
+
+// Config and the Stripe client read these on import
+const { withAuth } = await import('./helpers/auth.js');
+const { default: paymentRouter } = await import('../src/routes/payment.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/payment', paymentRouter);
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+
+const customerRecord = {
+  customer_id: userId,
+  stripe_customer_id: 'cus_1',
+  stripe_subscription_id: 'sub_1'
+};
+
+function subscription(overrides = {}) {
+  return {
+    id: 'sub_1',
+    object: 'subscription',
+    customer: 'cus_1',
+    status: 'active',
+    cancel_at_period_end: false,
+    cancel_at: null,
+    current_period_end: 1793000000,
+    items: { object: 'list', data: [{ id: 'si_1', price: { id: 'price_monthly' } }] },
+    ...overrides
+  };
+}
+
+function invoice(overrides = {}) {
+  return {
+    id: 'in_1',
+    object: 'invoice',
+    customer: 'cus_1',
+    number: 'ACME-0001',
+    status: 'paid',
+    currency: 'usd',
+    amount_due: 49700,
+    amount_paid: 49700,
+    total: 49700,
+    created: 1790000000,
+    period_start: 1790000000,
+    period_end: 1792592000,
+    hosted_invoice_url: 'https://invoice.stripe.com/i/in_1',
+    invoice_pdf: 'https://pay.stripe.com/invoice/in_1/pdf',
+    ...overrides
+  };
+}
+
+const lastRequest = (method, path) => fakeStripe.requests.filter(r => r.method === method && r.path === path).at(-1);
+
+describe('Billing portal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+    fakeStripe.reset();
+    mockGetCustomerByEmail.mockResolvedValue(customerRecord);
+  });
+
+  afterAll(() => fakeStripe.close());
+
+  describe('plan changes', () => {
+    test('previews the prorated invoice for a plan change', async () => {
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription());
+      fakeStripe.on('POST', '/v1/invoices/create_preview', {
+        object: 'invoice',
+        currency: 'usd',
+        amount_due: 412000,
+        next_payment_attempt: 1791000000,
+        lines: {
+          object: 'list',
+          data: [
+            { description: 'Unused time on Monthly', amount: -24850, proration: true, period: { start: 1790000000, end: 1791000000 } },
+            { description: 'Remaining time on Annual', amount: 436850, proration: true, period: { start: 1790000000, end: 1791000000 } }
+          ]
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/payment/preview-plan-change')
+        .set(withAuth(userId))
+        .send({ plan: 'annual' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        plan: 'annual',
+        priceId: 'price_annual',
+        currency: 'usd',
+        prorationAmount: 412000,
+        amountDue: 412000,
+        subscription: { id: 'sub_1', plan: 'monthly' }
+      });
+      expect(response.body.data.lines).toHaveLength(2);
+
+      const { params } = lastRequest('POST', '/v1/invoices/create_preview');
+      expect(params).toMatchObject({
+        customer: 'cus_1',
+        subscription: 'sub_1',
+        'subscription_details[items][0][id]': 'si_1',
+        'subscription_details[items][0][price]': 'price_annual',
+        'subscription_details[proration_behavior]': 'create_prorations',
+        'subscription_details[proration_date]': String(response.body.data.prorationDate)
+      });
+    });
+
+    test('applies the change with the previewed proration date', async () => {
+      const prorationDate = Math.floor(Date.now() / 1000) - 60;
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription());
+      fakeStripe.on('POST', '/v1/subscriptions/sub_1', subscription({
+        items: { object: 'list', data: [{ id: 'si_1', price: { id: 'price_annual' } }] }
+      }));
+
+      const response = await request(app)
+        .post('/api/payment/change-plan')
+        .set(withAuth(userId))
+        .send({ plan: 'annual', prorationDate })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: 'sub_1', plan: 'annual', priceId: 'price_annual' });
+      expect(lastRequest('POST', '/v1/subscriptions/sub_1').params).toEqual({
+        'items[0][id]': 'si_1',
+        'items[0][price]': 'price_annual',
+        proration_behavior: 'create_prorations',
+        proration_date: String(prorationDate)
+      });
+    });
+
+    test('unknown plans are rejected before calling Stripe', async () => {
+      const response = await request(app)
+        .post('/api/payment/change-plan')
+        .set(withAuth(userId))
+        .send({ plan: 'enterprise' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Unknown plan: enterprise');
+      expect(fakeStripe.requests).toHaveLength(0);
+    });
+
+    test('switching to the current plan is a conflict', async () => {
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription());
+
+      await request(app)
+        .post('/api/payment/preview-plan-change')
+        .set(withAuth(userId))
+        .send({ plan: 'monthly' })
+        .expect(409);
+    });
+
+    test('Stripe failures are reported as bad gateway errors', async () => {
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription());
+      fakeStripe.on('POST', '/v1/subscriptions/sub_1', {
+        error: { type: 'invalid_request_error', message: 'This price is archived' }
+      }, 400);
+
+      const response = await request(app)
+        .post('/api/payment/change-plan')
+        .set(withAuth(userId))
+        .send({ plan: 'annual' })
+        .expect(502);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to change plan' });
+    });
+  });
+
+  describe('resume-subscription', () => {
+    test('clears a scheduled cancellation', async () => {
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription({ cancel_at_period_end: true, cancel_at: 1793000000 }));
+      fakeStripe.on('POST', '/v1/subscriptions/sub_1', subscription());
+
+      const response = await request(app)
+        .post('/api/payment/resume-subscription')
+        .set(withAuth(userId))
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ cancelAtPeriodEnd: false, cancelAt: null });
+      expect(lastRequest('POST', '/v1/subscriptions/sub_1').params).toEqual({ cancel_at_period_end: 'false' });
+    });
+
+    test('subscriptions that are not cancelling cannot be resumed', async () => {
+      fakeStripe.on('GET', '/v1/subscriptions/sub_1', subscription());
+
+      await request(app)
+        .post('/api/payment/resume-subscription')
+        .set(withAuth(userId))
+        .expect(409);
+      expect(lastRequest('POST', '/v1/subscriptions/sub_1')).toBeUndefined();
+    });
+  });
+
+  describe('invoices', () => {
+    test('founding members without a customer record use their payment milestone', async () => {
+      mockGetCustomerByEmail.mockResolvedValue(null);
+      results.push({ data: [{ stripe_customer_id: 'cus_founder', stripe_subscription_id: 'sub_founder' }], error: null });
+      fakeStripe.on('GET', '/v1/invoices', { object: 'list', has_more: true, data: [invoice({ customer: 'cus_founder' })] });
+
+      const response = await request(app)
+        .get('/api/payment/invoices?limit=1&startingAfter=in_0')
+        .set(withAuth(userId))
+        .expect(200);
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('milestone_type', 'waitlist_paid');
+      expect(lastRequest('GET', '/v1/invoices').params).toEqual({ customer: 'cus_founder', limit: '1', starting_after: 'in_0' });
+      expect(response.body.data.hasMore).toBe(true);
+      expect(response.body.data.invoices[0]).toMatchObject({
+        id: 'in_1',
+        number: 'ACME-0001',
+        amountPaid: 49700,
+        createdAt: '2026-09-21T14:13:20.000Z',
+        invoicePdf: 'https://pay.stripe.com/invoice/in_1/pdf'
+      });
+    });
+
+    test('returns download links for the customer\'s invoice', async () => {
+      fakeStripe.on('GET', '/v1/invoices/in_1', invoice());
+
+      const response = await request(app)
+        .get('/api/payment/invoices/in_1/download')
+        .set(withAuth(userId))
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        id: 'in_1',
+        number: 'ACME-0001',
+        downloadUrl: 'https://pay.stripe.com/invoice/in_1/pdf',
+        hostedInvoiceUrl: 'https://invoice.stripe.com/i/in_1'
+      });
+    });
+
+    test('other customers\' invoices are not found', async () => {
+      fakeStripe.on('GET', '/v1/invoices/in_2', invoice({ id: 'in_2', customer: 'cus_other' }));
+
+      await request(app)
+        .get('/api/payment/invoices/in_2/download')
+        .set(withAuth(userId))
+        .expect(404);
+    });
+
+    test('users without a billing account get a 404', async () => {
+      mockGetCustomerByEmail.mockResolvedValue(null);
+      results.push({ data: [], error: null });
+
+      const response = await request(app)
+        .get('/api/payment/invoices')
+        .set(withAuth(userId))
+        .expect(404);
+
+      expect(response.body.error).toBe('No billing account found');
+      expect(fakeStripe.requests).toHaveLength(0);
+    });
+  });
+
+  test('creates a customer portal session that returns to the billing settings page', async () => {
+    fakeStripe.on('POST', '/v1/billing_portal/sessions', { id: 'bps_1', url: 'https://billing.stripe.com/p/session/bps_1' });
+
+    const response = await request(app)
+      .post('/api/payment/portal-session')
+      .set(withAuth(userId))
+      .expect(200);
+
+    expect(response.body.data).toEqual({ url: 'https://billing.stripe.com/p/session/bps_1' });
+    expect(lastRequest('POST', '/v1/billing_portal/sessions').params).toEqual({
+      customer: 'cus_1',
+      return_url: 'https://app.example.com/settings/billing'
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Brand kit: color roles, WCAG contrast checks and theme exports
+ * (GET /api/brand-extraction/:customerId/kit)
+ */
+
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import { withAuth } from './helpers/auth.js';
+import app from '../src/server.js';
+import brandExtractionService from '../src/services/brandExtractionService.js';
+import supabaseDataService from '../src/services/supabaseDataService.js';
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+
+const storedAssets = {
+  logos: [{ type: 'img', src: 'https://acme.io/logo.svg' }],
+  colors: ['rgb(249, 115, 22)', '#4f46e5', '#0EA5E9', '#F97316', '#1F2937', 'var(--unknown)'],
+  sourceUrl: 'https://acme.io',
+  extractedAt: '2026-10-01T00:00:00.000Z'
+};
+
+describe('Brand kit', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getContrastRatio', () => {
+    test('matches the WCAG reference values', () => {
+      expect(brandExtractionService.getContrastRatio('#000000', '#FFFFFF')).toBe(21);
+      expect(brandExtractionService.getContrastRatio('#fff', '#fff')).toBe(1);
+      expect(brandExtractionService.getContrastRatio('#767676', '#FFFFFF')).toBe(4.54);
+    });
+  });
+
+  describe('buildBrandKit', () => {
+    test('assigns extracted colors to roles and checks contrast', () => {
+      const kit = brandExtractionService.buildBrandKit(storedAssets);
+
+      expect(kit.colors).toEqual({
+        primary: '#F97316',
+        secondary: '#4F46E5',
+        accent: '#0EA5E9',
+        background: '#FFFFFF',
+        text: '#1F2937',
+        onPrimary: '#1F2937'
+      });
+      expect(kit.logo).toBe('https://acme.io/logo.svg');
+
+      const textCheck = kit.contrast.find(check => check.foreground === 'text');
+      expect(textCheck).toMatchObject({ background: 'background', aa: true, aaa: true });
+      expect(textCheck.ratio).toBeGreaterThan(14);
+
+      // Orange on white is too light even for large text
+      expect(kit.contrast.find(check => check.foreground === 'primary')).toMatchObject({ aa: false, aaLarge: false });
+      expect(kit.warnings).toContain('primary on background has contrast 2.8:1 (below WCAG AA for large text)');
+    });
+
+    test('derives missing roles from a single brand color', () => {
+      const kit = brandExtractionService.buildBrandKit({ colors: ['#4F46E5'], logos: [] });
+
+      expect(kit.colors.primary).toBe('#4F46E5');
+      expect(kit.colors.secondary).toBe(brandExtractionService.generateLighterShade('#4F46E5'));
+      expect(kit.colors.accent).not.toBe('#4F46E5');
+      expect(kit.colors).toMatchObject({ background: '#FFFFFF', text: '#111827', onPrimary: '#FFFFFF' });
+      expect(kit.logo).toBeNull();
+    });
+  });
+
+  describe('exports', () => {
+    test('renders CSS custom properties and design tokens', () => {
+      const kit = brandExtractionService.buildBrandKit(storedAssets);
+
+      const css = brandExtractionService.toCssVariables(kit);
+      expect(css).toContain('--brand-primary: #F97316;');
+      expect(css).toContain('--brand-on-primary: #1F2937;');
+      expect(css).toContain('--brand-logo-url: url("https://acme.io/logo.svg");');
+
+      const tokens = brandExtractionService.toDesignTokens(kit);
+      expect(tokens.brand.color.accent).toEqual({ $value: '#0EA5E9', $type: 'color' });
+      expect(tokens.brand.logo.$value).toBe('https://acme.io/logo.svg');
+    });
+  });
+
+  describe('GET /api/brand-extraction/:customerId/kit', () => {
+    const mockCustomer = (customer) => {
+      jest.spyOn(supabaseDataService, 'getCustomerById').mockResolvedValue(customer);
+    };
+
+    test('returns the brand kit as JSON', async () => {
+      mockCustomer({ brand_assets: JSON.stringify(storedAssets), brand_assets_updated_at: '2026-10-01T00:00:00.000Z' });
+
+      const res = await request(app).get(`/api/brand-extraction/${userId}/kit`).set(withAuth(userId));
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.brandKit.colors.primary).toBe('#F97316');
+      expect(res.body.updatedAt).toBe('2026-10-01T00:00:00.000Z');
+    });
+
+    test('exports CSS and design-token files', async () => {
+      mockCustomer({ brand_assets: JSON.stringify(storedAssets) });
+
+      const css = await request(app).get(`/api/brand-extraction/${userId}/kit?format=css`).set(withAuth(userId));
+      expect(css.status).toBe(200);
+      expect(css.headers['content-type']).toMatch(/text\/css/);
+      expect(css.headers['content-disposition']).toContain('brand-kit.css');
+      expect(css.text).toMatch(/^:root \{/);
+
+      const tokens = await request(app).get(`/api/brand-extraction/${userId}/kit?format=tokens`).set(withAuth(userId));
+      expect(tokens.status).toBe(200);
+      expect(tokens.headers['content-disposition']).toContain('brand-tokens.json');
+      expect(tokens.body.brand.color.primary.$value).toBe('#F97316');
+    });
+
+    test('rejects unknown formats, other customers and missing assets', async () => {
+      mockCustomer({ brand_assets: null });
+
+      const badFormat = await request(app).get(`/api/brand-extraction/${userId}/kit?format=pdf`).set(withAuth(userId));
+      expect(badFormat.status).toBe(400);
+
+      const otherCustomer = await request(app).get('/api/brand-extraction/someone-else/kit').set(withAuth(userId));
+      expect(otherCustomer.status).toBe(403);
+
+      const missing = await request(app).get(`/api/brand-extraction/${userId}/kit`).set(withAuth(userId));
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/brand-extraction', () => {
+    test('rejects URLs that are not public websites', async () => {
+      for (const websiteUrl of ['http://169.254.169.254/latest/meta-data/', 'localhost:8080', 'file:///etc/passwd']) {
+        const res = await request(app).post('/api/brand-extraction').set(withAuth(userId)).send({ websiteUrl });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ success: false, error: 'websiteUrl must be a public http(s) website' });
+      }
+    });
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * Headless browser pool
+ *
+ * Pool behaviour runs against a fake browser. The adapter itself runs against
+ * locally served fixture HTML in a real headless Chrome (installed with
+ * puppeteer); those tests are skipped when Chrome can't start on the machine.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+import { BrowserPool, isBlockedRequest, DEFAULT_BLOCKED_URL_PATTERNS } from '../src/lib/browserPool.js';
+import { isPrivateAddress, isPublicHost, assertPublicUrl } from '../src/lib/urlGuard.js';
+import brandExtractionService from '../src/services/brandExtractionService.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'brand-site');
+
+const CONTENT_TYPES = { '.html': 'text/html', '.css': 'text/css', '.svg': 'image/svg+xml' };
+
+/**
+ * Whether a real headless Chrome can be launched here
+ */
+async function canLaunchChrome() {
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    await browser.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const chromeAvailable = await canLaunchChrome();
+
+/**
+ * Fake DNS: localhost and internal.acme.io are private, everything else public
+ */
+const PRIVATE_HOSTS = { localhost: '127.0.0.1', 'internal.acme.io': '10.0.0.5' };
+const lookup = jest.fn(async (hostname) => [{ address: PRIVATE_HOSTS[hostname] || '93.184.216.34', family: 4 }]);
+
+/**
+ * Fake puppeteer browser serving { url: { status, requests: [[url, resourceType]] } }
+ */
+function createFakeLauncher(site = {}) {
+  const browsers = [];
+
+  const launchBrowser = jest.fn(async () => {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.close = jest.fn(async () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    });
+    browser.createBrowserContext = async () => {
+      const page = new EventEmitter();
+      page.aborted = [];
+      Object.assign(page, {
+        setDefaultTimeout: () => {},
+        setViewport: async () => {},
+        setUserAgent: async () => {},
+        setRequestInterception: async () => {},
+        goto: async (url) => {
+          for (const [requestUrl, resourceType] of site[url]?.requests || []) {
+            page.emit('request', {
+              url: () => requestUrl,
+              resourceType: () => resourceType,
+              isInterceptResolutionHandled: () => false,
+              abort: async () => { page.aborted.push(requestUrl); },
+              continue: async () => {}
+            });
+          }
+          await new Promise(resolve => setImmediate(resolve));
+          return { status: () => site[url]?.status ?? 404 };
+        },
+        evaluate: async () => 'Fixture',
+        screenshot: async () => 'iVBORw0KGgo=',
+        setContent: async (html) => { page.content = html; },
+        pdf: async () => new Uint8Array([0x25, 0x50, 0x44, 0x46])
+      });
+      return { newPage: async () => page, close: async () => {} };
+    };
+
+    browsers.push(browser);
+    return browser;
+  });
+
+  return { launchBrowser, browsers };
+}
+
+/**
+ * Serve tests/fixtures/brand-site on a random local port
+ */
+function serveFixtures() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const file = path.join(fixturesDir, req.url === '/' ? 'index.html' : path.normalize(req.url));
+
+    if (!file.startsWith(fixturesDir) || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('BrowserPool', () => {
+  const site = {
+    'https://acme.io/': {
+      status: 200,
+      requests: [
+        ['https://acme.io/', 'document'],
+        ['https://acme.io/fonts/acme-sans.woff2', 'font'],
+        ['https://www.googletagmanager.com/gtag/js', 'script'],
+        ['https://acme.io/logo.svg', 'image']
+      ]
+    },
+    'https://acme.io/gone': { status: 410 },
+    'https://acme.io/redirect': {
+      status: 200,
+      requests: [
+        ['https://acme.io/redirect', 'document'],
+        ['http://169.254.169.254/latest/meta-data/', 'document'],
+        ['https://internal.acme.io/admin', 'xhr'],
+        ['https://cdn.acme.io/app.css', 'stylesheet']
+      ]
+    }
+  };
+
+  test('runs sessions in pooled browsers and blocks trackers, fonts and media', async () => {
+    const { launchBrowser } = createFakeLauncher(site);
+    const pool = new BrowserPool({ maxBrowsers: 1, launchBrowser, lookup });
+
+    const session = await pool.openSession();
+    await session.navigate('https://acme.io/');
+
+    expect(await session.evaluate('document.title')).toBe('Fixture');
+    expect(session.blockedRequests).toBe(2);
+    await expect(session.navigate('https://acme.io/gone')).rejects.toThrow('failed with HTTP 410');
+    await expect(session.navigate('file:///etc/passwd')).rejects.toThrow('Refusing to navigate to file: URL');
+
+    await session.close();
+    await session.close(); // idempotent
+    await expect(session.evaluate('1 + 1')).rejects.toThrow('Browser session is closed');
+
+    await (await pool.openSession()).close();
+    expect(launchBrowser).toHaveBeenCalledTimes(1);
+    await pool.close();
+  });
+
+  test('refuses private hosts for navigation, redirects and subresources', async () => {
+    const { launchBrowser } = createFakeLauncher(site);
+    const pool = new BrowserPool({ maxBrowsers: 1, launchBrowser, lookup });
+    const session = await pool.openSession();
+
+    await expect(session.navigate('http://169.254.169.254/latest/meta-data/')).rejects.toThrow('not a public address');
+    await expect(session.navigate('http://localhost:3000/')).rejects.toThrow('not a public address');
+    await expect(session.navigate('https://internal.acme.io/')).rejects.toThrow('not a public address');
+
+    await session.navigate('https://acme.io/redirect');
+    expect(session.page.aborted).toEqual(['http://169.254.169.254/latest/meta-data/', 'https://internal.acme.io/admin']);
+    expect(session.blockedRequests).toBe(2);
+
+    await session.close();
+    await pool.close();
+  });
+
+  test('prints HTML documents to PDF', async () => {
+    const { launchBrowser } = createFakeLauncher(site);
+    const pool = new BrowserPool({ maxBrowsers: 1, launchBrowser, lookup });
+    const session = await pool.openSession();
+
+    const pdf = await session.pdf('<html><body>Report</body></html>', { format: 'A4' });
+
+    expect(session.page.content).toBe('<html><body>Report</body></html>');
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.toString()).toBe('%PDF');
+
+    await session.close();
+    await expect(session.pdf('<html></html>')).rejects.toThrow('Browser session is closed');
+    await pool.close();
+  });
+
+  test('makes extra sessions wait for a free browser, up to acquireTimeoutMs', async () => {
+    const { launchBrowser } = createFakeLauncher(site);
+    const pool = new BrowserPool({ maxBrowsers: 1, acquireTimeoutMs: 50, launchBrowser });
+
+    const first = await pool.openSession();
+    await expect(pool.openSession()).rejects.toThrow('No browser available within 50ms');
+
+    const waiting = pool.openSession();
+    expect(pool.getStats()).toMatchObject({ browsers: 1, busy: 1, waiting: 1 });
+    await first.close();
+    const second = await waiting;
+
+    expect(second.entry).toBe(first.entry);
+    await second.close();
+    await pool.close();
+  });
+
+  test('replaces browsers after maxUsesPerBrowser sessions or a crash', async () => {
+    const { launchBrowser, browsers } = createFakeLauncher(site);
+    const pool = new BrowserPool({ maxBrowsers: 1, maxUsesPerBrowser: 2, launchBrowser });
+
+    await (await pool.openSession()).close();
+    await (await pool.openSession()).close();
+    expect(browsers[0].close).toHaveBeenCalled();
+
+    const session = await pool.openSession();
+    expect(launchBrowser).toHaveBeenCalledTimes(2);
+
+    // Browser crashes mid-session
+    await browsers[1].close();
+    await session.close();
+    await (await pool.openSession()).close();
+    expect(launchBrowser).toHaveBeenCalledTimes(3);
+
+    await pool.close();
+    await expect(pool.openSession()).rejects.toThrow('Browser pool is closed');
+  });
+});
+
+(chromeAvailable ? describe : describe.skip)('BrowserPool with headless Chrome', () => {
+  let fixtures;
+  let pool;
+
+  beforeAll(async () => {
+    fixtures = await serveFixtures();
+    pool = new BrowserPool({
+      maxBrowsers: 1,
+      maxUsesPerBrowser: 10,
+      acquireTimeoutMs: 500,
+      navigationTimeoutMs: 10000,
+      evaluateTimeoutMs: 5000,
+      allowPrivateNetwork: true // fixtures are served on 127.0.0.1
+    });
+  });
+
+  afterAll(async () => {
+    await pool.close();
+    await new Promise(resolve => fixtures.server.close(resolve));
+  });
+
+  test('loads fixture pages, evaluates scripts and captures screenshots', async () => {
+    const session = await pool.openSession();
+
+    try {
+      await session.navigate(`${fixtures.baseUrl}/`);
+
+      expect(await session.evaluate('document.title')).toBe('Acme - Revenue analytics');
+      expect(await session.evaluate(() => document.querySelector('h1').innerText))
+        .toBe('Forecasts your board will believe');
+
+      const screenshot = await session.screenshot();
+      expect(Buffer.from(screenshot, 'base64').subarray(1, 4).toString()).toBe('PNG');
+
+      // The web font and the analytics script never leave the browser
+      expect(session.blockedRequests).toBeGreaterThanOrEqual(2);
+      expect(fixtures.requests).not.toContain('/fonts/acme-sans.woff2');
+    } finally {
+      await session.close();
+    }
+  });
+
+  test('rejects HTTP errors and non-http URLs', async () => {
+    const session = await pool.openSession();
+
+    try {
+      await expect(session.navigate(`${fixtures.baseUrl}/missing`)).rejects.toThrow('failed with HTTP 404');
+      await expect(session.navigate('file:///etc/passwd')).rejects.toThrow('Refusing to navigate to file: URL');
+    } finally {
+      await session.close();
+    }
+
+    await expect(session.evaluate('1 + 1')).rejects.toThrow('Browser session is closed');
+  });
+
+  test('extracts brand assets from the fixture site', async () => {
+    const session = await pool.openSession();
+
+    try {
+      const brandAssets = await brandExtractionService.extractBrandAssets(`${fixtures.baseUrl}/`, session);
+
+      expect(brandAssets.fallback).toBeUndefined();
+      expect(brandAssets.logos[0].src).toBe(`${fixtures.baseUrl}/logo.svg`);
+      expect(brandAssets.colors.map(color => color.toLowerCase())).toEqual(
+        expect.arrayContaining(['#f97316', '#4f46e5'])
+      );
+    } finally {
+      await session.close();
+    }
+  });
+});
+
+describe('isBlockedRequest', () => {
+  const rules = { resourceTypes: ['media', 'font'], urlPatterns: DEFAULT_BLOCKED_URL_PATTERNS };
+
+  test('blocks configured resource types and tracker URLs', () => {
+    expect(isBlockedRequest('https://acme.io/intro.mp4', 'media', rules)).toBe(true);
+    expect(isBlockedRequest('https://www.google-analytics.com/collect', 'xhr', rules)).toBe(true);
+    expect(isBlockedRequest('https://acme.io/logo.png', 'image', rules)).toBe(false);
+    expect(isBlockedRequest('https://acme.io/', 'document', rules)).toBe(false);
+  });
+});
+
+describe('urlGuard', () => {
+  test('flags private, loopback, link-local and reserved addresses', () => {
+    for (const ip of ['10.1.2.3', '172.31.255.255', '192.168.0.1', '127.0.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+      expect(isPrivateAddress(ip)).toBe(true);
+    }
+    for (const ip of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700:4700::1111']) {
+      expect(isPrivateAddress(ip)).toBe(false);
+    }
+    expect(isPrivateAddress('acme.io')).toBe(true);
+  });
+
+  test('checks every address a host resolves to', async () => {
+    const mixed = async () => [{ address: '93.184.216.34', family: 4 }, { address: '127.0.0.1', family: 4 }];
+    const unresolvable = async () => { throw new Error('ENOTFOUND'); };
+
+    expect(await isPublicHost('acme.io', { lookup })).toBe(true);
+    expect(await isPublicHost('acme.io', { lookup: mixed })).toBe(false);
+    expect(await isPublicHost('nowhere.invalid', { lookup: unresolvable })).toBe(false);
+    expect(await isPublicHost('[::1]')).toBe(false);
+  });
+
+  test('only allows http(s) URLs on public hosts', async () => {
+    expect((await assertPublicUrl('https://acme.io/pricing', { lookup })).hostname).toBe('acme.io');
+    expect((await assertPublicUrl('http://93.184.216.34/')).hostname).toBe('93.184.216.34');
+
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toMatchObject({ statusCode: 400, message: 'Refusing to navigate to file: URL' });
+    await expect(assertPublicUrl('gopher://acme.io/')).rejects.toThrow('Refusing to navigate to gopher: URL');
+    await expect(assertPublicUrl('not a url')).rejects.toThrow('Invalid URL');
+    // Decimal and IPv6-mapped spellings of loopback and metadata addresses
+    await expect(assertPublicUrl('http://2130706433/')).rejects.toThrow('not a public address');
+    await expect(assertPublicUrl('http://[::ffff:169.254.169.254]/')).rejects.toThrow('not a public address');
+  });
+});
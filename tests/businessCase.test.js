@@ -14,17 +14,39 @@ const mockSupabaseDataService = {
   createUserProgress: jest.fn(),
 };
 
+// Template queries resolve to the next queued result; none queued = no stored
+// templates, so the built-in templates are used
+const templateResults = [];
+const mockQuery = {
+  from: jest.fn(() => mockQuery),
+  select: jest.fn(() => mockQuery),
+  insert: jest.fn(() => mockQuery),
+  update: jest.fn(() => mockQuery),
+  eq: jest.fn(() => mockQuery),
+  is: jest.fn(() => mockQuery),
+  or: jest.fn(() => mockQuery),
+  order: jest.fn(() => mockQuery),
+  single: jest.fn(() => mockQuery),
+  maybeSingle: jest.fn(() => mockQuery),
+  then: (resolve, reject) => Promise.resolve(templateResults.shift() || { data: null, error: null }).then(resolve, reject)
+};
+
 // Mock MUST be set up BEFORE importing app
 jest.unstable_mockModule('../src/services/supabaseDataService.js', () => ({
   default: mockSupabaseDataService
 }));
 
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
 // NOW import app (after mock is configured)
 const { default: app } = await import('../src/server.js');
 
 describe('Business Case Endpoints', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    templateResults.length = 0;
   });
 
   describe('POST /api/business-case/generate', () => {
@@ -130,6 +152,105 @@ describe('Business Case Endpoints', () => {
       expect(businessCase.strategicAlignment).toBeDefined();
       expect(businessCase.currentStateAnalysis).toBeDefined();
       expect(businessCase.solutionArchitecture).toBeDefined();
+
+      // Built-in template, with the financial services multiplier applied
+      expect(businessCase.template).toEqual({ id: 'builtin-full', name: 'Full Implementation Business Case', version: 1 });
+      expect(response.body.data.metadata.template).toEqual(businessCase.template);
+      expect(businessCase.investment.assumptions).toEqual({
+        benefitMultiplier: 2.5,
+        industry: 'financial_services',
+        industryMultiplier: 1.1
+      });
+      expect(businessCase.investment.projectedBenefits).toBe(687500);
+      expect(businessCase.riskAssessment.technicalRisks.map(r => r.risk)).toContain('Complex approval processes');
+    });
+
+    test('should generate from a chosen template version and record it', async () => {
+      const customerId = '550e8400-e29b-41d4-a716-446655441003';
+      const templateId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+      mockSupabaseDataService.getCustomerById.mockResolvedValue({ customerId, customerName: 'Agri Co' });
+      mockSupabaseDataService.updateCustomer.mockResolvedValue({});
+      templateResults.push(
+        {
+          data: { id: templateId, owner_user_id: customerId, name: 'Agritech pilot', case_type: 'pilot', latest_version: 3, is_default: false },
+          error: null
+        },
+        {
+          data: [
+            {
+              version: 3,
+              content: {
+                sections: ['Executive Summary'],
+                keyPoints: ['Harvest-season rollout'],
+                phases: [{ phase: 'Pre-season setup', duration: '4 weeks', activities: ['Field data import'] }],
+                risks: [{ risk: 'Seasonal staff turnover', mitigation: 'Self-serve onboarding' }],
+                overallRiskLevel: 'Medium',
+                nextSteps: ['Pick pilot farms'],
+                roiAssumptions: {
+                  benefitMultiplier: 2,
+                  upsideFactor: 1.25,
+                  paybackPeriod: '1 season',
+                  investmentBreakdown: { platformLicense: 0.5, implementation: 0.5 },
+                  industryMultipliers: { agriculture: 1.3 },
+                  defaultIndustryMultiplier: 1
+                }
+              }
+            },
+            { version: 2, content: {} }
+          ],
+          error: null
+        }
+      );
+
+      const response = await request(app)
+        .post('/api/business-case/generate')
+        .send({
+          customerId,
+          type: 'pilot',
+          templateId,
+          templateVersion: 3,
+          requirements: { timeline: '4 months', budget: 40000, successMetrics: ['Yield data in one place'] },
+          context: { industry: 'Agriculture', companySize: 'SMB' }
+        })
+        .set(withAuth(customerId))
+        .expect(200);
+
+      const { businessCase } = response.body.data;
+      expect(businessCase.template).toEqual({ id: templateId, name: 'Agritech pilot', version: 3 });
+      expect(businessCase.investment).toMatchObject({
+        breakdown: { platformLicense: 20000, implementation: 20000 },
+        expectedROI: '160% - 225%',
+        projectedBenefits: 104000,
+        paybackPeriod: '1 season'
+      });
+      expect(businessCase.implementationPhases).toEqual([
+        { phase: 'Pre-season setup', duration: '4 weeks', activities: ['Field data import'] }
+      ]);
+      expect(businessCase.nextSteps).toEqual(['Pick pilot farms']);
+      expect(mockSupabaseDataService.updateUserProgress).toHaveBeenCalledWith(customerId, 'business_case',
+        expect.objectContaining({ templateId, templateVersion: 3 }));
+    });
+
+    test('should reject a template of another type', async () => {
+      const customerId = '550e8400-e29b-41d4-a716-446655441003';
+
+      mockSupabaseDataService.getCustomerById.mockResolvedValue({ customerId, customerName: 'Agri Co' });
+
+      const response = await request(app)
+        .post('/api/business-case/generate')
+        .send({
+          customerId,
+          type: 'full',
+          templateId: 'builtin-pilot',
+          requirements: { timeline: '12 months', budget: 200000, successMetrics: ['Revenue increase > 10%'] },
+          context: { industry: 'Retail', companySize: 'Enterprise' }
+        })
+        .set(withAuth(customerId))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(mockSupabaseDataService.updateCustomer).not.toHaveBeenCalled();
     });
 
     test('should validate business case type', async () => {
@@ -311,6 +432,90 @@ describe('Business Case Endpoints', () => {
 
       expect(response.body.data.templates).toEqual([]);
     });
+
+    test('should list the user\'s own templates with the built-ins', async () => {
+      const userId = '550e8400-e29b-41d4-a716-446655441001';
+      templateResults.push({
+        data: [{
+          id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+          owner_user_id: userId,
+          name: 'Pilot Program Proposal (copy)',
+          description: null,
+          case_type: 'pilot',
+          is_default: false,
+          latest_version: 2,
+          cloned_from_template_id: 'builtin-pilot',
+          cloned_from_version: 1,
+          business_case_template_versions: [
+            { version: 1, content: { duration: '3-6 months', investmentRange: '$25,000-$75,000', sections: ['Old'], keyPoints: [] } },
+            { version: 2, content: { duration: '90 days', investmentRange: '$30,000', sections: ['Executive Summary'], keyPoints: ['Fast'] } }
+          ]
+        }],
+        error: null
+      });
+
+      const response = await request(app)
+        .get('/api/business-case/templates?type=pilot')
+        .set(withAuth(userId))
+        .expect(200);
+
+      expect(mockQuery.or).toHaveBeenCalledWith(`owner_user_id.is.null,owner_user_id.eq.${userId}`);
+      expect(response.body.data.templates).toEqual([
+        expect.objectContaining({ id: 'builtin-pilot', builtIn: true, isDefault: true }),
+        expect.objectContaining({
+          owner: 'user',
+          version: 2,
+          duration: '90 days',
+          sections: ['Executive Summary'],
+          clonedFrom: { templateId: 'builtin-pilot', version: 1 }
+        })
+      ]);
+    });
+
+    test('should clone a built-in template', async () => {
+      const userId = '550e8400-e29b-41d4-a716-446655441001';
+      templateResults.push(
+        { data: null, error: null }, // no default system template
+        {
+          data: {
+            id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+            owner_user_id: userId,
+            name: 'My pilot',
+            case_type: 'pilot',
+            is_default: false,
+            latest_version: 1,
+            cloned_from_template_id: 'builtin-pilot',
+            cloned_from_version: 1
+          },
+          error: null
+        },
+        { data: { version: 1, content: { duration: '3-6 months' } }, error: null }
+      );
+
+      const response = await request(app)
+        .post('/api/business-case/templates/builtin-pilot/clone')
+        .send({ name: 'My pilot' })
+        .set(withAuth(userId))
+        .expect(201);
+
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        owner_user_id: userId,
+        name: 'My pilot',
+        case_type: 'pilot',
+        cloned_from_template_id: 'builtin-pilot'
+      }));
+      expect(response.body.data.template).toMatchObject({ name: 'My pilot', owner: 'user', version: 1 });
+    });
+
+    test('should not allow editing built-in templates', async () => {
+      const response = await request(app)
+        .put('/api/business-case/templates/builtin-pilot')
+        .send({ name: 'Renamed' })
+        .set(withAuth('550e8400-e29b-41d4-a716-446655441001'))
+        .expect(400);
+
+      expect(response.body.error).toMatch(/clone/);
+    });
   });
 
   describe('GET /api/business-case/:customerId/history', () => {
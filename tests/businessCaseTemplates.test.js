@@ -0,0 +1,178 @@
+/**
+ * Unit tests for versioned business case templates
+ *
+ * Supabase is a chainable stub; versioning, content merging, ownership and
+ * industry multiplier lookups run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+const {
+  default: businessCaseTemplateService,
+  BUILT_IN_TEMPLATES,
+  getIndustryMultiplier,
+  normalizeIndustry
+} = await import('../src/services/businessCaseTemplateService.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const templateId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const pilotContent = BUILT_IN_TEMPLATES['builtin-pilot'].content;
+
+function templateRow(overrides = {}) {
+  return {
+    id: templateId,
+    owner_user_id: userId,
+    name: 'My pilot',
+    description: null,
+    case_type: 'pilot',
+    is_default: false,
+    latest_version: 2,
+    cloned_from_template_id: 'builtin-pilot',
+    cloned_from_version: 1,
+    created_at: '2026-10-01T00:00:00.000Z',
+    updated_at: '2026-10-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+const versions = (...numbers) => ({
+  data: numbers.map(version => ({ version, content: pilotContent, change_note: null, created_by: userId, created_at: '2026-10-01T00:00:00.000Z' })),
+  error: null
+});
+
+describe('businessCaseTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  describe('industry multipliers', () => {
+    const assumptions = pilotContent.roiAssumptions;
+
+    test('matches normalized names, then whole-word partial matches, then the default', () => {
+      expect(normalizeIndustry('Health Care & Life Sciences')).toBe('health_care_and_life_sciences');
+      expect(getIndustryMultiplier(assumptions, 'Financial Services')).toEqual({ industryKey: 'financial_services', multiplier: 1.1 });
+      expect(getIndustryMultiplier(assumptions, 'B2B SaaS')).toEqual({ industryKey: 'saas', multiplier: 1.2 });
+      expect(getIndustryMultiplier(assumptions, 'Healthcare IT')).toEqual({ industryKey: 'healthcare', multiplier: 1.0 });
+      expect(getIndustryMultiplier(assumptions, 'Agriculture')).toEqual({ industryKey: null, multiplier: 1.0 });
+    });
+  });
+
+  test('content edits add a version with merged content', async () => {
+    results.push(
+      { data: templateRow(), error: null }, // ownership check
+      { data: templateRow(), error: null }, // current content
+      versions(2, 1),
+      { data: { version: 3 }, error: null }, // version insert
+      { data: null, error: null }, // template update
+      { data: templateRow({ latest_version: 3 }), error: null },
+      versions(3, 2, 1)
+    );
+
+    const template = await businessCaseTemplateService.updateTemplate(templateId, {
+      content: { roiAssumptions: { industryMultipliers: { 'Precision Agriculture': 1.3 } } },
+      changeNote: 'Agri rates'
+    }, { ownerUserId: userId, updatedBy: userId });
+
+    const [insertedVersion] = mockQuery.insert.mock.calls[0];
+    expect(insertedVersion).toMatchObject({ template_id: templateId, version: 3, change_note: 'Agri rates' });
+    expect(insertedVersion.content.sections).toEqual(pilotContent.sections);
+    expect(insertedVersion.content.roiAssumptions).toEqual({
+      ...pilotContent.roiAssumptions,
+      industryMultipliers: { precision_agriculture: 1.3 }
+    });
+    expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ latest_version: 3 }));
+    expect(template.versions.map(version => version.version)).toEqual([3, 2, 1]);
+  });
+
+  test('renames update in place without a new version', async () => {
+    results.push(
+      { data: templateRow(), error: null },
+      { data: null, error: null },
+      { data: templateRow({ name: 'Renamed' }), error: null },
+      versions(2, 1)
+    );
+
+    await businessCaseTemplateService.updateTemplate(templateId, { name: 'Renamed' }, { ownerUserId: userId, updatedBy: userId });
+
+    expect(mockQuery.insert).not.toHaveBeenCalled();
+    expect(mockQuery.update).toHaveBeenCalledWith(expect.not.objectContaining({ latest_version: expect.anything() }));
+  });
+
+  test('concurrent edits of the same version conflict', async () => {
+    results.push(
+      { data: templateRow(), error: null },
+      { data: templateRow(), error: null },
+      versions(2, 1),
+      { data: null, error: { code: '23505', message: 'duplicate key' } }
+    );
+
+    await expect(businessCaseTemplateService.updateTemplate(templateId, { content: { nextSteps: ['Call'] } }, {
+      ownerUserId: userId,
+      updatedBy: userId
+    })).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockQuery.update).not.toHaveBeenCalled();
+  });
+
+  test('users cannot see or edit other users\' templates', async () => {
+    results.push({ data: templateRow({ owner_user_id: '550e8400-e29b-41d4-a716-446655440002' }), error: null });
+
+    await expect(businessCaseTemplateService.getTemplate(userId, templateId)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('admins cannot edit user templates as system templates', async () => {
+    results.push({ data: templateRow(), error: null });
+
+    await expect(businessCaseTemplateService.archiveTemplate(templateId, { ownerUserId: null }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('creating a default system template replaces the previous default', async () => {
+    results.push(
+      { data: null, error: null }, // clear default
+      { data: templateRow({ owner_user_id: null, is_default: true, latest_version: 1 }), error: null },
+      { data: { version: 1, content: pilotContent }, error: null }
+    );
+
+    const template = await businessCaseTemplateService.createTemplate(
+      { name: 'Pilot 2027', type: 'pilot', content: pilotContent, isDefault: true },
+      { ownerUserId: null, createdBy: 'admin@andru.ai' }
+    );
+
+    expect(mockQuery.update).toHaveBeenCalledWith({ is_default: false });
+    expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+      owner_user_id: null,
+      case_type: 'pilot',
+      is_default: true,
+      created_by: 'admin@andru.ai'
+    }));
+    expect(template).toMatchObject({ owner: 'system', isDefault: true, version: 1 });
+  });
+
+  test('generation uses the default system template when one is set', async () => {
+    results.push(
+      { data: { id: templateId, latest_version: 4 }, error: null }, // default lookup
+      { data: templateRow({ owner_user_id: null, is_default: true, latest_version: 4, name: 'Pilot 2027' }), error: null },
+      versions(4, 3, 2, 1)
+    );
+
+    const template = await businessCaseTemplateService.resolveTemplate(userId, { type: 'pilot' });
+
+    expect(template).toMatchObject({ id: templateId, name: 'Pilot 2027', version: 4, builtIn: false });
+    expect(template.content).toEqual(pilotContent);
+  });
+
+  test('unknown template versions are 404s', async () => {
+    results.push({ data: templateRow(), error: null }, versions(2, 1));
+
+    await expect(businessCaseTemplateService.resolveTemplate(userId, { type: 'pilot', templateId, templateVersion: 7 }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Template version 7 not found' });
+  });
+});
@@ -188,6 +188,57 @@ describe('Cost Calculator Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
 
+    test('should include sensitivity and Monte Carlo output when requested', async () => {
+      const response = await request(app)
+        .post('/api/cost-calculator/calculate')
+        .set(withAuth(testCustomerId))
+        .send({
+          customerId: testCustomerId,
+          potentialDeals: 10,
+          averageDealSize: 50000,
+          conversionRate: 0.3,
+          delayMonths: 6,
+          currentOperatingCost: 100000,
+          inefficiencyRate: 0.2,
+          employeeCount: 100,
+          averageSalary: 75000,
+          marketShare: 0.15,
+          ranges: { averageSalary: { min: 50000, max: 150000 } },
+          sensitivity: true,
+          monteCarlo: { iterations: 500 }
+        })
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.sensitivity.baseTotal).toBeCloseTo(data.summary.totalCost);
+      expect(data.sensitivity.inputs[0].input).toBe('averageSalary');
+      expect(data.simulation).toMatchObject({ iterations: 500, seed: 42 });
+      expect(data.simulation.p10).toBeLessThanOrEqual(data.simulation.p50);
+      expect(data.simulation.p50).toBeLessThanOrEqual(data.simulation.p90);
+    });
+
+    test('should reject ranges with min above max', async () => {
+      const response = await request(app)
+        .post('/api/cost-calculator/calculate')
+        .set(withAuth(testCustomerId))
+        .send({
+          customerId: testCustomerId,
+          potentialDeals: 10,
+          averageDealSize: 50000,
+          conversionRate: 0.3,
+          delayMonths: 6,
+          currentOperatingCost: 100000,
+          inefficiencyRate: 0.2,
+          employeeCount: 100,
+          averageSalary: 75000,
+          marketShare: 0.15,
+          ranges: { conversionRate: { min: 0.4, max: 0.2 } }
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
     test('should handle decimal values correctly', async () => {
       const response = await request(app)
         .post('/api/cost-calculator/calculate')
@@ -456,6 +507,65 @@ describe('Cost Calculator Endpoints', () => {
       expect(response.body.data.comparisons[0].scenario).toBe('realistic');
     });
 
+    test('totals match the calculate endpoint for the same inputs', async () => {
+      const baseInputs = {
+        potentialDeals: 10,
+        averageDealSize: 50000,
+        conversionRate: 0.3,
+        delayMonths: 6,
+        currentOperatingCost: 100000,
+        inefficiencyRate: 0.2,
+        employeeCount: 100,
+        averageSalary: 75000,
+        marketShare: 0.15
+      };
+
+      const [compareResponse, calculateResponse] = await Promise.all([
+        request(app)
+          .post('/api/cost-calculator/compare')
+          .set(withAuth(testCustomerId))
+          .send({ customerId: testCustomerId, baseInputs, scenarios: ['aggressive'] })
+          .expect(200),
+        request(app)
+          .post('/api/cost-calculator/calculate')
+          .set(withAuth(testCustomerId))
+          .send({ customerId: testCustomerId, ...baseInputs, scenario: 'aggressive' })
+          .expect(200)
+      ]);
+
+      expect(compareResponse.body.data.comparisons[0].totalCost)
+        .toBeCloseTo(calculateResponse.body.data.summary.totalCost);
+    });
+
+    test('should compare user-defined scenarios with seeded percentile bands', async () => {
+      const response = await request(app)
+        .post('/api/cost-calculator/compare')
+        .set(withAuth(testCustomerId))
+        .send({
+          customerId: testCustomerId,
+          baseInputs: {
+            potentialDeals: 10,
+            averageDealSize: 50000,
+            conversionRate: 0.3,
+            delayMonths: 6,
+            currentOperatingCost: 100000,
+            inefficiencyRate: 0.2,
+            employeeCount: 100,
+            averageSalary: 75000,
+            marketShare: 0.15
+          },
+          scenarios: ['realistic', { name: 'Delay a full year', inputs: { delayMonths: 12 } }],
+          monteCarlo: { iterations: 500, seed: 3 }
+        })
+        .expect(200);
+
+      const [realistic, delayed] = response.body.data.comparisons;
+      expect(delayed.scenario).toBe('Delay a full year');
+      expect(delayed.totalCost).toBeCloseTo(realistic.totalCost * 2);
+      expect(delayed.simulation).toMatchObject({ iterations: 500, seed: 3 });
+      expect(delayed.simulation.p10).toBeLessThan(delayed.simulation.p90);
+    });
+
     test('should validate scenario names', async () => {
       const response = await request(app)
         .post('/api/cost-calculator/compare')
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the cost of inaction engine
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import costOfInactionService, { createSeededRandom } from '../src/services/costOfInactionService.js';
+
+const inputs = {
+  potentialDeals: 10,
+  averageDealSize: 50000,
+  conversionRate: 0.3,
+  delayMonths: 6,
+  currentOperatingCost: 100000,
+  inefficiencyRate: 0.2,
+  employeeCount: 100,
+  averageSalary: 75000,
+  marketShare: 0.15
+};
+
+// lostRevenue 75,000 + operational 10,000 + competitive 3,000 + productivity 187,500
+const REALISTIC_TOTAL = 275500;
+
+describe('costOfInactionService', () => {
+  describe('calculate', () => {
+    test('prices every category and applies the scenario multiplier', () => {
+      const realistic = costOfInactionService.calculate(inputs, 'realistic');
+      const aggressive = costOfInactionService.calculate(inputs, 'aggressive');
+
+      expect(realistic.summary.totalCost).toBeCloseTo(REALISTIC_TOTAL);
+      expect(realistic.categories.lostRevenue.value).toBeCloseTo(75000);
+      expect(realistic.categories.competitiveDisadvantage.value).toBeCloseTo(3000);
+      expect(aggressive.summary.totalCost).toBeCloseTo(REALISTIC_TOTAL * 1.3);
+      expect(realistic.roi).toMatchObject({ investment: 50000, benefits: REALISTIC_TOTAL * 0.8 });
+    });
+
+    test('user-defined scenarios override inputs, multiplier and ROI profile', () => {
+      const result = costOfInactionService.calculate(inputs, {
+        name: 'Q3 hiring freeze',
+        inputs: { delayMonths: 12 },
+        multiplier: 1.1,
+        investment: 30000
+      });
+
+      expect(result.scenario).toBe('Q3 hiring freeze');
+      expect(result.inputs.delayMonths).toBe(12);
+      expect(result.summary.totalCost).toBeCloseTo(REALISTIC_TOTAL * 2 * 1.1);
+      expect(result.roi.investment).toBe(30000);
+    });
+
+    test('zero cost does not divide by zero', () => {
+      const result = costOfInactionService.calculate({ ...inputs, delayMonths: 0 });
+
+      expect(result.summary.totalCost).toBe(0);
+      expect(result.categories.lostRevenue.percentage).toBe(0);
+      expect(result.roi.paybackMonths).toBeNull();
+    });
+  });
+
+  describe('sensitivity', () => {
+    test('ranks inputs by swing, largest first', () => {
+      const { baseTotal, inputs: rows } = costOfInactionService.sensitivity(inputs, {
+        averageSalary: { min: 50000, max: 150000 }
+      });
+
+      expect(baseTotal).toBeCloseTo(REALISTIC_TOTAL);
+      expect(rows).toHaveLength(9);
+      expect(rows[0]).toMatchObject({
+        input: 'averageSalary',
+        rangeSource: 'user',
+        low: { value: 50000 },
+        high: { value: 150000 }
+      });
+      // 100 employees * $100k salary spread * 5% * half a year
+      expect(rows[0].swing).toBeCloseTo(250000);
+      expect(rows[0].low.change).toBeCloseTo(-62500);
+
+      const swings = rows.map(row => row.swing);
+      expect(swings).toEqual([...swings].sort((a, b) => b - a));
+    });
+
+    test('default ranges vary inputs by 20% and cap rates at 1', () => {
+      const ranges = costOfInactionService.resolveRanges({ ...inputs, conversionRate: 0.9 });
+
+      expect(ranges.potentialDeals).toEqual({ min: 8, max: 12, mostLikely: 10, source: 'default' });
+      expect(ranges.conversionRate.max).toBe(1);
+    });
+  });
+
+  describe('simulate', () => {
+    test('the same seed reproduces the same percentile bands', () => {
+      const ranges = { conversionRate: { min: 0.1, max: 0.5, mostLikely: 0.3 } };
+
+      const first = costOfInactionService.simulate(inputs, ranges, { iterations: 2000, seed: 7 });
+      const second = costOfInactionService.simulate(inputs, ranges, { iterations: 2000, seed: 7 });
+      const other = costOfInactionService.simulate(inputs, ranges, { iterations: 2000, seed: 8 });
+
+      expect(second).toEqual(first);
+      expect(other.p50).not.toBe(first.p50);
+      expect(first.p10).toBeLessThan(first.p50);
+      expect(first.p50).toBeLessThan(first.p90);
+      expect(first.min).toBeLessThanOrEqual(first.p10);
+      expect(first.max).toBeGreaterThanOrEqual(first.p90);
+    });
+
+    test('bands are centred on the deterministic total for symmetric ranges', () => {
+      const result = costOfInactionService.simulate(inputs, {}, { iterations: 5000 });
+
+      expect(result.seed).toBe(42);
+      expect(result.p50 / REALISTIC_TOTAL).toBeGreaterThan(0.95);
+      expect(result.p50 / REALISTIC_TOTAL).toBeLessThan(1.05);
+    });
+
+    test('collapsed ranges give a single value', () => {
+      const fixed = Object.fromEntries(Object.entries(inputs).map(([name, value]) => [name, { min: value, max: value }]));
+
+      const result = costOfInactionService.simulate(inputs, fixed, { iterations: 100 });
+
+      expect(result.p10).toBeCloseTo(REALISTIC_TOTAL);
+      expect(result.p90).toBeCloseTo(REALISTIC_TOTAL);
+    });
+  });
+
+  test('createSeededRandom yields a repeatable sequence in [0, 1)', () => {
+    const a = createSeededRandom(123);
+    const b = createSeededRandom(123);
+    const values = Array.from({ length: 5 }, () => a());
+
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Unit tests for resource export rendering and storage
+ *
+ * Rendering runs for real (except PDF, which needs Chrome);
+ * Supabase Storage is mocked.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const mockStorageBucket = {
+  upload: jest.fn(),
+  download: jest.fn(),
+  remove: jest.fn()
+};
+
+const mockSupabase = {
+  from: jest.fn(() => mockSupabase),
+  insert: jest.fn(),
+  select: jest.fn(() => mockSupabase),
+  eq: jest.fn(() => mockSupabase),
+  delete: jest.fn(() => mockSupabase),
+  single: jest.fn(),
+  storage: {
+    from: jest.fn(() => mockStorageBucket)
+  }
+};
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockSupabase
+}));
+
+const { default: exportRenderingService } = await import('../src/services/exportRenderingService.js');
+const { default: exportStorageService } = await import('../src/services/exportStorageService.js');
+
+const resource = {
+  id: 'res-123',
+  title: 'ICP Analysis Framework',
+  description: 'Who buys and why',
+  tier: 'foundation',
+  category: 'icp',
+  content: {
+    resourceId: 'icp-analysis',
+    executiveSummary: 'Mid-market SaaS teams with long sales cycles.\n\nThey buy after a missed quarter.',
+    firmographics: {
+      companySize: '50-500 employees',
+      industries: ['SaaS', 'Fintech']
+    },
+    buyingSignals: ['New VP Sales hire', 'Series B funding']
+  }
+};
+
+describe('ExportRenderingService', () => {
+  test('builds sections from resource content and skips bookkeeping keys', () => {
+    const document = exportRenderingService.buildDocument(resource);
+
+    expect(document.title).toBe('ICP Analysis Framework');
+    expect(document.subtitle).toBe('Who buys and why');
+    expect(document.sections.map(s => s.title)).toEqual([
+      'Executive Summary',
+      'Firmographics',
+      'Buying Signals'
+    ]);
+
+    const summary = document.sections[0];
+    expect(summary.blocks).toHaveLength(2);
+    expect(summary.blocks[0]).toEqual({ type: 'paragraph', text: 'Mid-market SaaS teams with long sales cycles.' });
+
+    const firmographics = document.sections[1];
+    expect(firmographics.blocks).toContainEqual({ type: 'field', label: 'Company Size', text: '50-500 employees' });
+    expect(firmographics.blocks).toContainEqual({ type: 'bullet', text: 'Fintech' });
+  });
+
+  test('renders markdown resources as a single content section', () => {
+    const document = exportRenderingService.buildDocument({
+      id: 'res-md',
+      title: 'Playbook',
+      content: { resourceId: 'playbook', format: 'markdown', content: 'Step one.\n\nStep two.' }
+    });
+
+    expect(document.sections).toHaveLength(1);
+    expect(document.sections[0].title).toBe('Content');
+    expect(document.sections[0].blocks).toHaveLength(2);
+  });
+
+  test('escapes HTML in the PDF layout', () => {
+    const html = exportRenderingService.renderHTML(exportRenderingService.buildDocument({
+      id: 'res-xss',
+      title: '<script>alert(1)</script>',
+      content: { notes: ['<b>bold</b>'] }
+    }));
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('<ul><li>&lt;b&gt;bold&lt;/b&gt;</li></ul>');
+  });
+
+  test('renders a real DOCX (zip) file', async () => {
+    const { buffer, contentType, extension } = await exportRenderingService.render(resource, 'docx');
+
+    expect(extension).toBe('docx');
+    expect(contentType).toContain('wordprocessingml');
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    expect(buffer.length).toBeGreaterThan(1000);
+  });
+
+  test('renders JSON with the resource content', async () => {
+    const { buffer, contentType } = await exportRenderingService.render(resource, 'json');
+    const parsed = JSON.parse(buffer.toString('utf-8'));
+
+    expect(contentType).toBe('application/json');
+    expect(parsed.id).toBe('res-123');
+    expect(parsed.content.firmographics.industries).toEqual(['SaaS', 'Fintech']);
+  });
+
+  test('renders CSV rows with escaped values', async () => {
+    const { buffer } = await exportRenderingService.render({
+      ...resource,
+      content: { quote: 'He said "buy"', firmographics: { companySize: '50-500' } }
+    }, 'csv');
+    const lines = buffer.toString('utf-8').split('\n');
+
+    expect(lines[0]).toBe('"Category","Field","Value"');
+    expect(lines).toContain('"Quote","quote","He said ""buy"""');
+    expect(lines).toContain('"Firmographics","companySize","50-500"');
+  });
+
+  test('renders CSV rows for arrays mixing objects and nulls', async () => {
+    const { buffer } = await exportRenderingService.render({
+      ...resource,
+      content: { personas: [{ role: 'VP Sales' }, null, 'Founder'] }
+    }, 'csv');
+    const lines = buffer.toString('utf-8').split('\n');
+
+    expect(lines).toContain('"Personas","role","VP Sales"');
+    expect(lines).toContain('"Personas","personas[1]",""');
+    expect(lines).toContain('"Personas","personas[2]","Founder"');
+  });
+
+  test('rejects unsupported formats', async () => {
+    await expect(exportRenderingService.render(resource, 'xlsx')).rejects.toThrow('Unsupported export format');
+  });
+});
+
+describe('ExportStorageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('signed download URLs verify and reject tampering', () => {
+    const expiresAt = Date.now() + 60000;
+    const url = new URL(exportStorageService.buildDownloadUrl('pdf_res-123_1', expiresAt));
+
+    expect(url.pathname).toBe('/api/exports/pdf_res-123_1');
+
+    const signature = url.searchParams.get('signature');
+    expect(exportStorageService.verifySignature('pdf_res-123_1', expiresAt, signature).valid).toBe(true);
+    expect(exportStorageService.verifySignature('pdf_res-999_1', expiresAt, signature).valid).toBe(false);
+    expect(exportStorageService.verifySignature('pdf_res-123_1', expiresAt + 1, signature).valid).toBe(false);
+  });
+
+  test('expired links are rejected', () => {
+    const expiresAt = Date.now() - 1000;
+    const signature = exportStorageService.sign('pdf_res-123_1', expiresAt);
+
+    expect(exportStorageService.verifySignature('pdf_res-123_1', expiresAt, signature)).toEqual({
+      valid: false,
+      reason: 'Download link expired'
+    });
+  });
+
+  test('saveExport uploads the file and records metadata', async () => {
+    mockStorageBucket.upload.mockResolvedValue({ error: null });
+    mockSupabase.insert.mockResolvedValue({ error: null });
+
+    const buffer = Buffer.from('hello');
+    const result = await exportStorageService.saveExport({
+      exportId: 'csv_res-123_1',
+      buffer,
+      contentType: 'text/csv',
+      fileName: 'ICP.csv',
+      format: 'csv',
+      resourceId: 'res-123',
+      userId: 'user-1'
+    });
+
+    expect(mockStorageBucket.upload).toHaveBeenCalledWith(
+      'user-1/csv_res-123_1/ICP.csv',
+      buffer,
+      { contentType: 'text/csv', upsert: false }
+    );
+    expect(mockSupabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+      export_id: 'csv_res-123_1',
+      file_size: 5,
+      storage_path: 'user-1/csv_res-123_1/ICP.csv'
+    }));
+    expect(result.fileSize).toBe(5);
+    expect(result.downloadUrl).toContain('/api/exports/csv_res-123_1?expires=');
+  });
+
+  test('saveExport removes the uploaded file when metadata insert fails', async () => {
+    mockStorageBucket.upload.mockResolvedValue({ error: null });
+    mockSupabase.insert.mockResolvedValue({ error: { message: 'insert failed' } });
+
+    await expect(exportStorageService.saveExport({
+      exportId: 'csv_res-123_2',
+      buffer: Buffer.from('x'),
+      contentType: 'text/csv',
+      fileName: 'ICP.csv',
+      format: 'csv',
+      resourceId: 'res-123',
+      userId: 'user-1'
+    })).rejects.toThrow('Failed to record export');
+
+    expect(mockStorageBucket.remove).toHaveBeenCalledWith(['user-1/csv_res-123_2/ICP.csv']);
+  });
+
+  test('getExportFile returns null for expired exports', async () => {
+    mockSupabase.single.mockResolvedValue({
+      data: { export_id: 'x', storage_path: 'p', expires_at: new Date(Date.now() - 1000).toISOString() },
+      error: null
+    });
+
+    expect(await exportStorageService.getExportFile('x')).toBeNull();
+    expect(mockStorageBucket.download).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+import http from 'http';
+
+/**
+ * Test Helper: Local Fake Stripe Server
+ *
+ * Serves canned Stripe API responses over HTTP so the real Stripe SDK runs
+ * end to end. Point the SDK at it with STRIPE_API_BASE (see
+ * lib/stripeClient.js) before the client is imported. stripe-mock can be
+ * used the same way for schema-level checks.
+ */
+
+/**
+ * Start a fake Stripe API on a random local port
+ * @returns {Promise<Object>} { url, requests, on, reset, close }
+ */
+export async function startFakeStripeServer() {
+  const routes = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      // Stripe sends form-encoded params; nested keys stay flat (items[0][price])
+      const params = Object.fromEntries(new URLSearchParams(req.method === 'GET' ? url.search : body));
+      requests.push({ method: req.method, path: url.pathname, params });
+
+      const route = routes.get(`${req.method} ${url.pathname}`);
+      const status = route ? route.status : 404;
+      const payload = route
+        ? (typeof route.response === 'function' ? route.response(params) : route.response)
+        : { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${url.pathname})` } };
+
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': `req_${requests.length}` });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+
+    /**
+     * Respond to METHOD /v1/path with a body (or a function of the request params)
+     */
+    on(method, path, response, status = 200) {
+      routes.set(`${method} ${path}`, { response, status });
+    },
+
+    reset() {
+      routes.clear();
+      requests.length = 0;
+    },
+
+    close() {
+      // The SDK keeps connections alive
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+export default { startFakeStripeServer };
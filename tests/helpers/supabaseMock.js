@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Test Helper: Chainable Supabase Stub
+ *
+ * Stands in for the client exported by services/supabaseService.js. Every
+ * query builder method returns the stub, and awaiting a query resolves to
+ * the next queued { data, error } result ({ data: null, error: null } once
+ * the queue is empty).
+ */
+
+const CHAIN_METHODS = [
+  'from', 'rpc',
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'in', 'is', 'or', 'not', 'like', 'gt', 'gte', 'lt',
+  'order', 'limit', 'range', 'single', 'maybeSingle'
+];
+
+/**
+ * Create a chainable Supabase stub
+ * @param {Object} [extra] - Extra client properties (e.g. auth.admin mocks)
+ * @returns {{mockQuery: Object, results: Array<Object>}} The stub and its result queue
+ */
+export function createSupabaseMock(extra = {}) {
+  const results = [];
+  const mockQuery = {
+    ...extra,
+    then: (resolve, reject) => Promise.resolve(results.shift() || { data: null, error: null }).then(resolve, reject)
+  };
+
+  for (const method of CHAIN_METHODS) {
+    mockQuery[method] = jest.fn(() => mockQuery);
+  }
+
+  return { mockQuery, results };
+}
+
+export default {
+  createSupabaseMock
+};
@@ -0,0 +1,200 @@
+/**
+ * Job progress events and the Server-Sent Events endpoints
+ *
+ * Uses the real (in-memory) SimpleQueue backend in the test environment.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+import { withAuth, generateTestAccessToken } from './helpers/auth.js';
+import app from '../src/server.js';
+import {
+  getRatingQueue,
+  getPersonaQueue,
+  cancelJob,
+  getJobStatus,
+  reportJobProgress
+} from '../src/lib/queue.js';
+import { getJobEventBus } from '../src/lib/jobEvents.js';
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const otherUserId = '550e8400-e29b-41d4-a716-446655440002';
+
+let jobCounter = 0;
+const nextId = (prefix) => `${prefix}-${userId}-${Date.now()}-${++jobCounter}`;
+
+/**
+ * Parse an SSE body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text.split('\n\n')
+    .map(block => block.split('\n'))
+    .map(lines => ({
+      event: lines.find(line => line.startsWith('event: '))?.slice(7),
+      data: lines.find(line => line.startsWith('data: '))?.slice(6)
+    }))
+    .filter(message => message.event)
+    .map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+}
+
+/**
+ * Open an SSE connection and collect events until the server ends the stream
+ *
+ * @param {string} path - Request path
+ * @param {Function} onEvent - Called with each parsed event as it arrives
+ */
+function openStream(server, path, onEvent = () => {}) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ port, path, headers: withAuth(userId) }, (res) => {
+      let body = '';
+      let seen = 0;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        const events = parseEvents(body.slice(0, body.lastIndexOf('\n\n') + 2));
+        events.slice(seen).forEach(onEvent);
+        seen = events.length;
+      });
+      res.on('end', () => resolve({ res, events: parseEvents(body) }));
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Job events', () => {
+  let server;
+
+  beforeAll((done) => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    getRatingQueue().processor = null;
+    getPersonaQueue().processor = null;
+  });
+
+  describe('event bus', () => {
+    test('normalizes progress, retries and completion for the job owner', async () => {
+      const queue = getRatingQueue();
+      const jobId = nextId('rating');
+      const events = [];
+      const otherUserEvents = [];
+
+      const done = new Promise((resolve) => {
+        const unsubscribe = getJobEventBus().subscribe({ customerId: userId }, (event) => {
+          events.push(event);
+          if (event.type === 'completed') {
+            unsubscribe();
+            resolve();
+          }
+        });
+      });
+      const unsubscribeOther = getJobEventBus().subscribe({ customerId: otherUserId }, event => otherUserEvents.push(event));
+
+      await queue.add('rate-company', { customerId: userId }, { jobId, attempts: 2, backoff: 0 });
+      let attempt = 0;
+      queue.process(async (job) => {
+        if (++attempt === 1) throw new Error('upstream timeout');
+        await reportJobProgress(job, 50, 'rating', { score: 82 });
+        return { score: 82 };
+      });
+      await done;
+      unsubscribeOther();
+
+      expect(events.map(event => event.type)).toEqual(['active', 'retrying', 'active', 'progress', 'completed']);
+      expect(events[1]).toMatchObject({ failedReason: 'upstream timeout', attemptsMade: 1 });
+      expect(events[3]).toMatchObject({
+        jobId,
+        queueName: 'company-rating',
+        progress: 50,
+        stage: 'rating',
+        partial: { score: 82 }
+      });
+      expect(events[4].result).toEqual({ score: 82 });
+      expect(otherUserEvents).toHaveLength(0);
+
+      expect(await getJobStatus(queue, jobId)).toMatchObject({ progress: 50, stage: 'rating' });
+    });
+
+    test('reports removed jobs as cancelled', async () => {
+      const jobId = nextId('persona');
+      await getPersonaQueue().add('generate-personas', { customerId: userId }, { jobId });
+
+      const cancelled = new Promise((resolve) => {
+        const unsubscribe = getJobEventBus().subscribe({ jobId }, (event) => {
+          unsubscribe();
+          resolve(event);
+        });
+      });
+      await cancelJob(getPersonaQueue(), jobId);
+
+      expect(await cancelled).toMatchObject({ type: 'cancelled', jobId });
+    });
+  });
+
+  describe('GET /api/jobs/:jobId/events', () => {
+    test('streams a snapshot, progress and the terminal event, then closes', async () => {
+      const queue = getRatingQueue();
+      const jobId = nextId('rating');
+      await queue.add('rate-company', { customerId: userId }, { jobId });
+
+      const { res, events } = await openStream(server, `/api/jobs/${jobId}/events`, (event) => {
+        // Start processing once the client has its snapshot
+        if (event.event === 'snapshot') {
+          queue.process(async (job) => {
+            await reportJobProgress(job, 40, 'calling_ai');
+            return { score: 91 };
+          });
+        }
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(events.map(event => event.event)).toEqual(['snapshot', 'active', 'progress', 'completed']);
+      expect(events[0].data).toMatchObject({ jobId, status: 'waiting', progress: 0 });
+      expect(events[2].data).toMatchObject({ progress: 40, stage: 'calling_ai' });
+      expect(events[3].data).toMatchObject({ jobId, result: { score: 91 } });
+      expect(events[3].data).not.toHaveProperty('customerId');
+    });
+
+    test('ends immediately for jobs that already finished', async () => {
+      const queue = getRatingQueue();
+      const jobId = nextId('rating');
+      const completed = new Promise(resolve => queue.once('completed', resolve));
+      await queue.add('rate-company', { customerId: userId }, { jobId });
+      queue.process(async () => ({ score: 70 }));
+      await completed;
+
+      const { events } = await openStream(server, `/api/jobs/${jobId}/events`);
+
+      expect(events.map(event => event.event)).toEqual(['snapshot', 'completed']);
+      expect(events[1].data.result).toEqual({ score: 70 });
+    });
+
+    test('accepts the token as a query parameter', async () => {
+      const jobId = nextId('persona');
+      await getPersonaQueue().add('generate-personas', { customerId: otherUserId }, { jobId });
+
+      const response = await request(app).get(`/api/jobs/${jobId}/events?access_token=${generateTestAccessToken(userId)}`);
+
+      // Authenticated, but the job belongs to someone else
+      expect(response.status).toBe(403);
+      await (await getPersonaQueue().getJob(jobId)).remove();
+    });
+
+    test('requires authentication', async () => {
+      const response = await request(app).get(`/api/jobs/${nextId('persona')}/events`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
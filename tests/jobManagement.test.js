@@ -0,0 +1,215 @@
+/**
+ * Job cancellation, retry and dead-letter management
+ *
+ * Uses the real (in-memory) SimpleQueue backend in the test environment.
+ */
+
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+import { withAuth } from './helpers/auth.js';
+import app from '../src/server.js';
+import {
+  getRatingQueue,
+  getBatchRatingQueue,
+  getPersonaQueue,
+  cancelJob,
+  isJobCancelled,
+  getDeadLetterJobs,
+  retryDeadLetterJobs,
+  purgeDeadLetterJobs,
+  JobStateError
+} from '../src/lib/queue.js';
+import personaWorker from '../src/workers/personaWorker.js';
+import icpWorker from '../src/workers/icpWorker.js';
+import anthropicGateway from '../src/services/anthropicGatewayService.js';
+import supabaseDataService from '../src/services/supabaseDataService.js';
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const otherUserId = '550e8400-e29b-41d4-a716-446655440002';
+
+let jobCounter = 0;
+const nextId = (prefix) => `${prefix}-${userId}-${Date.now()}-${++jobCounter}`;
+
+/**
+ * Run a job through a queue with a processor that always fails
+ */
+async function addFailedJob(queue, prefix, customerId = userId) {
+  const jobId = nextId(prefix);
+  const failed = new Promise(resolve => queue.once('error', resolve));
+  await queue.add('test', { customerId }, { jobId, attempts: 1 });
+  queue.process(async () => { throw new Error('upstream timeout'); });
+  await failed;
+  queue.processor = null;
+  return jobId;
+}
+
+describe('Job management', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await purgeDeadLetterJobs();
+  });
+
+  describe('DELETE /api/jobs/:jobId', () => {
+    test('removes a queued job', async () => {
+      const jobId = nextId('persona');
+      await getPersonaQueue().add('generate-personas', { customerId: userId }, { jobId });
+
+      const response = await request(app)
+        .delete(`/api/jobs/${jobId}`)
+        .set(withAuth(userId));
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+      expect(await getPersonaQueue().getJob(jobId)).toBeNull();
+    });
+
+    test('flags an active job so the worker can stop', async () => {
+      const queue = getBatchRatingQueue();
+      const jobId = nextId('batch');
+      const job = await queue.add('rate-batch', { customerId: userId, companies: [] }, { jobId });
+      job.state = 'active';
+
+      const response = await request(app)
+        .delete(`/api/jobs/${jobId}`)
+        .set(withAuth(userId));
+
+      expect(response.status).toBe(202);
+      expect(response.body.status).toBe('cancelling');
+      expect(await isJobCancelled(job)).toBe(true);
+      await job.updateData({ customerId: userId });
+      job.state = 'waiting';
+      await job.remove();
+    });
+
+    test('does not let users cancel other users\' jobs', async () => {
+      const jobId = nextId('persona');
+      await getPersonaQueue().add('generate-personas', { customerId: otherUserId }, { jobId });
+
+      const response = await request(app)
+        .delete(`/api/jobs/${jobId}`)
+        .set(withAuth(userId));
+
+      expect(response.status).toBe(403);
+      expect(await getPersonaQueue().getJob(jobId)).not.toBeNull();
+    });
+
+    test('rejects cancelling a finished job', async () => {
+      const jobId = await addFailedJob(getRatingQueue(), 'rating');
+
+      await expect(cancelJob(getRatingQueue(), jobId)).rejects.toBeInstanceOf(JobStateError);
+
+      const response = await request(app)
+        .delete(`/api/jobs/${jobId}`)
+        .set(withAuth(userId));
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/jobs/:jobId/retry', () => {
+    test('re-queues a failed job', async () => {
+      const jobId = await addFailedJob(getRatingQueue(), 'rating');
+
+      const response = await request(app)
+        .post(`/api/jobs/${jobId}/retry`)
+        .set(withAuth(userId));
+
+      expect(response.status).toBe(202);
+      const job = await getRatingQueue().getJob(jobId);
+      expect(await job.getState()).toBe('waiting');
+      expect(job.attemptsMade).toBe(0);
+      await job.remove();
+    });
+
+    test('returns 409 for jobs that have not failed', async () => {
+      const jobId = nextId('rating');
+      await getRatingQueue().add('rate-company', { customerId: userId }, { jobId });
+
+      const response = await request(app)
+        .post(`/api/jobs/${jobId}/retry`)
+        .set(withAuth(userId));
+
+      expect(response.status).toBe(409);
+      await (await getRatingQueue().getJob(jobId)).remove();
+    });
+  });
+
+  describe('dead-letter helpers', () => {
+    test('lists failed jobs across queues with per-queue counts', async () => {
+      const ratingJob = await addFailedJob(getRatingQueue(), 'rating');
+      const personaJob = await addFailedJob(getPersonaQueue(), 'persona');
+
+      const { jobs, counts } = await getDeadLetterJobs();
+
+      expect(counts).toMatchObject({ 'company-rating': 1, 'persona-generation': 1, 'batch-rating': 0 });
+      expect(jobs.map(job => job.jobId).sort()).toEqual([ratingJob, personaJob].sort());
+      expect(jobs[0]).toMatchObject({ customerId: userId, failedReason: 'upstream timeout' });
+
+      const filtered = await getDeadLetterJobs({ queueName: 'company-rating' });
+      expect(filtered.jobs.map(job => job.jobId)).toEqual([ratingJob]);
+    });
+
+    test('bulk retries and purges', async () => {
+      const first = await addFailedJob(getRatingQueue(), 'rating');
+      await addFailedJob(getRatingQueue(), 'rating');
+      await addFailedJob(getPersonaQueue(), 'persona');
+
+      expect(await retryDeadLetterJobs({ jobIds: [first, 'rating-missing'] })).toEqual({
+        retried: 1,
+        skipped: [{ jobId: 'rating-missing', reason: 'not found' }]
+      });
+      expect(await retryDeadLetterJobs({ queueName: 'persona-generation' })).toEqual({ retried: 1, skipped: [] });
+
+      // Recent failures survive an age-limited purge
+      expect(await purgeDeadLetterJobs({ olderThanMs: 60 * 60 * 1000 })).toEqual({ purged: 0 });
+      expect(await purgeDeadLetterJobs({ queueName: 'company-rating' })).toEqual({ purged: 1 });
+      expect((await getDeadLetterJobs()).jobs).toHaveLength(0);
+    });
+  });
+
+  describe('worker cancellation checkpoints', () => {
+    const personaData = { customerId: userId, companyContext: 'Revenue recognition software', industry: 'Fintech' };
+    const runningJob = (data) => ({ id: nextId('persona'), data, updateProgress: jest.fn() });
+
+    test('a job cancelled before generation makes no AI call', async () => {
+      const createMessage = jest.spyOn(anthropicGateway, 'createMessage');
+
+      const result = await personaWorker.processPersonaGeneration(personaData, runningJob({ ...personaData, cancelRequested: true }));
+
+      expect(result).toEqual({ success: false, cancelled: true });
+      expect(createMessage).not.toHaveBeenCalled();
+      createMessage.mockRestore();
+    });
+
+    test('a job cancelled during generation is not saved', async () => {
+      const job = runningJob({ ...personaData });
+      const createMessage = jest.spyOn(anthropicGateway, 'createMessage').mockImplementation(async () => {
+        job.data.cancelRequested = true;
+        return { text: JSON.stringify({ personas: [{ title: 'Controller' }, { title: 'CFO' }, { title: 'RevOps' }] }) };
+      });
+
+      const result = await personaWorker.processPersonaGeneration(personaData, job);
+
+      expect(result).toEqual({ success: false, cancelled: true });
+      expect(job.updateProgress).not.toHaveBeenCalledWith(expect.objectContaining({ stage: 'completed' }));
+      createMessage.mockRestore();
+    });
+
+    test('ICP generation stops before the AI call', async () => {
+      const getCustomer = jest.spyOn(supabaseDataService, 'getCustomerById').mockResolvedValue({ customerId: userId });
+      const updateCustomer = jest.spyOn(supabaseDataService, 'updateCustomer');
+      const createMessage = jest.spyOn(anthropicGateway, 'createMessage');
+
+      const result = await icpWorker.processICPGeneration({ customerId: userId }, runningJob({ customerId: userId, cancelRequested: true }));
+
+      expect(result).toEqual({ success: false, cancelled: true });
+      expect(createMessage).not.toHaveBeenCalled();
+      expect(updateCustomer).not.toHaveBeenCalled();
+      [getCustomer, updateCustomer, createMessage].forEach(spy => spy.mockRestore());
+    });
+  });
+});
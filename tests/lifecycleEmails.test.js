@@ -0,0 +1,320 @@
+/**
+ * Unit tests for lifecycle email sequences
+ *
+ * Supabase is a chainable stub; emailService and the queue helper are
+ * mocked. Scheduling, skip rules, send records, pause/resume,
+ * unsubscribe tokens and the unsubscribe endpoints run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockAddLifecycleEmailJob = jest.fn();
+const mockEmailService = {
+  sendWeek1CheckIn: jest.fn(),
+  sendWeek2NPSSurvey: jest.fn(),
+  sendWeek4WinsSharing: jest.fn(),
+  sendWeek8FoundingOffer: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: mockEmailService
+}));
+
+jest.unstable_mockModule('../src/lib/queue.js', () => ({
+  addLifecycleEmailJob: mockAddLifecycleEmailJob
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const { default: lifecycleEmailService } = await import('../src/services/lifecycleEmailService.js');
+const { default: betaSignupController } = await import('../src/controllers/betaSignupController.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const enrollmentId = '550e8400-e29b-41d4-a716-446655440010';
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+const enrollmentRow = (fields = {}) => ({
+  id: enrollmentId,
+  sequence_key: 'beta_onboarding',
+  email: 'ada@example.com',
+  full_name: 'Ada Lovelace',
+  beta_signup_id: null,
+  status: 'active',
+  enrolled_at: '2026-10-12T12:00:00.000Z',
+  paused_at: null,
+  paused_by: null,
+  paused_seconds: 0,
+  ...fields
+});
+const found = (row) => ({ data: row, error: null });
+const none = { data: null, error: null };
+
+describe('lifecycleEmailService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+    for (const send of Object.values(mockEmailService)) {
+      send.mockResolvedValue({ success: true, messageId: 'msg-1' });
+    }
+  });
+
+  describe('enroll', () => {
+    test('schedules every step at its offset from enrollment', async () => {
+      results.push(found(enrollmentRow({ enrolled_at: now.toISOString() })));
+
+      const { enrollment, created } = await lifecycleEmailService.enroll(
+        { email: 'Ada@Example.com', fullName: 'Ada Lovelace', betaSignupId: 'signup-1' },
+        now
+      );
+
+      expect(created).toBe(true);
+      expect(enrollment).toMatchObject({ id: enrollmentId, sequence: 'beta_onboarding', status: 'active' });
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        sequence_key: 'beta_onboarding',
+        email: 'ada@example.com',
+        beta_signup_id: 'signup-1'
+      }));
+      expect(mockAddLifecycleEmailJob.mock.calls).toEqual([
+        [{ enrollmentId, stepKey: 'week1_check_in' }, { delay: 7 * DAY_MS }],
+        [{ enrollmentId, stepKey: 'week2_nps_survey' }, { delay: 14 * DAY_MS }],
+        [{ enrollmentId, stepKey: 'week4_wins_sharing' }, { delay: 28 * DAY_MS }],
+        [{ enrollmentId, stepKey: 'week8_founding_offer' }, { delay: 56 * DAY_MS }]
+      ]);
+    });
+
+    test('enrolling twice returns the existing enrollment without rescheduling', async () => {
+      results.push(
+        { data: null, error: { code: '23505', message: 'duplicate key value' } },
+        found(enrollmentRow())
+      );
+
+      const { enrollment, created } = await lifecycleEmailService.enroll({ email: 'ada@example.com', fullName: 'Ada' }, now);
+
+      expect(created).toBe(false);
+      expect(enrollment.id).toBe(enrollmentId);
+      expect(mockAddLifecycleEmailJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processStep', () => {
+    test('sends the step with an unsubscribe link and records it', async () => {
+      results.push(found(enrollmentRow()), none, none, none);
+
+      const result = await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week1_check_in' }, now);
+
+      expect(result).toEqual({ status: 'sent', messageId: 'msg-1' });
+      expect(mockEmailService.sendWeek1CheckIn).toHaveBeenCalledWith('ada@example.com', 'Ada Lovelace', {
+        unsubscribeUrl: expect.stringContaining(`${config.lifecycleEmails.unsubscribeUrl}?token=${enrollmentId}.`)
+      });
+      expect(mockQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        enrollment_id: enrollmentId,
+        step_key: 'week1_check_in',
+        status: 'sent',
+        message_id: 'msg-1',
+        processed_at: now.toISOString()
+      }), { onConflict: 'enrollment_id,step_key' });
+      expect(mockQuery.update).not.toHaveBeenCalled();
+    });
+
+    test('the last step completes the sequence', async () => {
+      results.push(found(enrollmentRow()), none, none, none, found(enrollmentRow({ status: 'completed' })));
+
+      await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week8_founding_offer' }, now);
+
+      expect(mockEmailService.sendWeek8FoundingOffer).toHaveBeenCalled();
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'completed', completed_at: now.toISOString() }));
+    });
+
+    test('steps after an unsubscribe are skipped and recorded', async () => {
+      results.push(found(enrollmentRow({ status: 'unsubscribed' })), none, none);
+
+      const result = await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week2_nps_survey' }, now);
+
+      expect(result).toEqual({ status: 'skipped', reason: 'unsubscribed' });
+      expect(mockEmailService.sendWeek2NPSSurvey).not.toHaveBeenCalled();
+      expect(mockQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        step_key: 'week2_nps_survey',
+        status: 'skipped',
+        skip_reason: 'unsubscribed'
+      }), { onConflict: 'enrollment_id,step_key' });
+    });
+
+    test('users with a paid subscription are marked converted and skipped', async () => {
+      results.push(
+        found(enrollmentRow()),
+        none, // no earlier send
+        found({ subscription_status: 'active' }),
+        found(enrollmentRow({ status: 'converted' })),
+        none
+      );
+
+      const result = await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week8_founding_offer' }, now);
+
+      expect(result).toEqual({ status: 'skipped', reason: 'converted' });
+      expect(mockEmailService.sendWeek8FoundingOffer).not.toHaveBeenCalled();
+      expect(mockQuery.eq).toHaveBeenCalledWith('email', 'ada@example.com');
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'converted', converted_at: now.toISOString() }));
+    });
+
+    test('a step that was already sent is not sent again', async () => {
+      results.push(found(enrollmentRow()), found({ status: 'sent' }));
+
+      const result = await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week1_check_in' }, now);
+
+      expect(result).toEqual({ status: 'sent', duplicate: true });
+      expect(mockEmailService.sendWeek1CheckIn).not.toHaveBeenCalled();
+      expect(mockQuery.upsert).not.toHaveBeenCalled();
+    });
+
+    test('paused sequences hold the step without recording it', async () => {
+      results.push(found(enrollmentRow({ status: 'paused', paused_at: '2026-10-18T00:00:00.000Z' })), none);
+
+      const result = await lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week1_check_in' }, now);
+
+      expect(result).toEqual({ status: 'deferred', reason: 'Sequence paused' });
+      expect(mockEmailService.sendWeek1CheckIn).not.toHaveBeenCalled();
+      expect(mockQuery.upsert).not.toHaveBeenCalled();
+    });
+
+    test('failed sends are recorded and thrown so the job is retried', async () => {
+      mockEmailService.sendWeek1CheckIn.mockResolvedValue({ success: false, error: 'Email provider not configured' });
+      results.push(found(enrollmentRow()), none, none, none);
+
+      await expect(lifecycleEmailService.processStep({ enrollmentId, stepKey: 'week1_check_in' }, now))
+        .rejects.toThrow('Failed to send week1_check_in: Email provider not configured');
+      expect(mockQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        error_message: 'Email provider not configured'
+      }), { onConflict: 'enrollment_id,step_key' });
+    });
+  });
+
+  describe('pause and resume', () => {
+    test('only active sequences can be paused', async () => {
+      results.push(found(enrollmentRow({ status: 'completed' })));
+
+      await expect(lifecycleEmailService.pause(enrollmentId, { pausedBy: 'admin@andru.ai', now }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Sequence is completed' });
+    });
+
+    test('pausing records who paused the sequence', async () => {
+      results.push(found(enrollmentRow()), found(enrollmentRow({ status: 'paused', paused_by: 'admin@andru.ai' })));
+
+      const enrollment = await lifecycleEmailService.pause(enrollmentId, { pausedBy: 'admin@andru.ai', now });
+
+      expect(enrollment).toMatchObject({ status: 'paused', pausedBy: 'admin@andru.ai' });
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'paused',
+        paused_at: now.toISOString(),
+        paused_by: 'admin@andru.ai'
+      }));
+    });
+
+    test('resuming pushes pending steps back by the time spent paused', async () => {
+      const pausedAt = new Date(now.getTime() - 3 * DAY_MS).toISOString();
+      results.push(
+        found(enrollmentRow({ status: 'paused', paused_at: pausedAt })),
+        found(enrollmentRow({ paused_seconds: 3 * 24 * 3600 })),
+        { data: [{ step_key: 'week1_check_in', status: 'sent', processed_at: pausedAt }], error: null }
+      );
+
+      const enrollment = await lifecycleEmailService.resume(enrollmentId, now);
+
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'active',
+        paused_at: null,
+        paused_seconds: 3 * 24 * 3600
+      }));
+      // Enrolled 7 days ago, so week 2 is due in 7 + 3 days
+      expect(mockAddLifecycleEmailJob.mock.calls.map(([data, options]) => [data.stepKey, options.delay])).toEqual([
+        ['week2_nps_survey', 10 * DAY_MS],
+        ['week4_wins_sharing', 24 * DAY_MS],
+        ['week8_founding_offer', 52 * DAY_MS]
+      ]);
+      expect(enrollment.steps[0]).toMatchObject({ key: 'week1_check_in', status: 'sent' });
+      expect(enrollment.steps[1]).toMatchObject({ status: 'scheduled', dueAt: '2026-10-29T12:00:00.000Z' });
+    });
+  });
+
+  describe('unsubscribe', () => {
+    test('a valid link unsubscribes the enrollment', async () => {
+      const token = new URL(lifecycleEmailService.getUnsubscribeUrl(enrollmentId)).searchParams.get('token');
+      results.push(found(enrollmentRow()), found(enrollmentRow({ status: 'unsubscribed' })));
+
+      await expect(lifecycleEmailService.unsubscribe(token, now)).resolves.toEqual({
+        email: 'ada@example.com',
+        sequence: 'beta_onboarding'
+      });
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'unsubscribed',
+        unsubscribed_at: now.toISOString()
+      }));
+    });
+
+    test('tampered tokens are rejected', async () => {
+      const otherId = '550e8400-e29b-41d4-a716-446655440011';
+      const signature = lifecycleEmailService.getUnsubscribeUrl(enrollmentId).split('.').at(-1);
+
+      await expect(lifecycleEmailService.unsubscribe(`${otherId}.${signature}`, now))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid unsubscribe link' });
+      await expect(lifecycleEmailService.unsubscribe('not-a-token', now)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockQuery.from).not.toHaveBeenCalled();
+    });
+
+    describe('endpoints', () => {
+      const path = '/api/beta-signup/unsubscribe';
+      const app = express();
+      app.use(express.urlencoded({ extended: true }));
+      app.get(path, betaSignupController.showUnsubscribePage);
+      app.post(path, betaSignupController.unsubscribeFromEmails);
+
+      const token = () => new URL(lifecycleEmailService.getUnsubscribeUrl(enrollmentId)).searchParams.get('token');
+
+      test('opening the link only shows a confirmation form', async () => {
+        const res = await request(app).get(path).query({ token: token() });
+
+        expect(res.status).toBe(200);
+        expect(res.type).toBe('text/html');
+        expect(res.text).toContain('<form method="POST">');
+        expect(res.text).toContain(`<input type="hidden" name="token" value="${token()}">`);
+        expect(mockQuery.from).not.toHaveBeenCalled();
+
+        const invalid = await request(app).get(path).query({ token: 'not-a-token' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.text).toContain('Invalid unsubscribe link');
+        expect(invalid.text).not.toContain('<form');
+      });
+
+      test('submitting the form unsubscribes', async () => {
+        results.push(found(enrollmentRow()), found(enrollmentRow({ status: 'unsubscribed' })));
+
+        const res = await request(app).post(path).set('Accept', 'text/html').type('form').send({ token: token() });
+
+        expect(res.status).toBe(200);
+        expect(res.text).toContain("You're unsubscribed");
+        expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'unsubscribed' }));
+      });
+
+      test('supports one-click unsubscribe from mail clients', async () => {
+        results.push(found(enrollmentRow()), found(enrollmentRow({ status: 'unsubscribed' })));
+
+        const res = await request(app)
+          .post(`${path}?token=${encodeURIComponent(token())}`)
+          .type('form')
+          .send('List-Unsubscribe=One-Click');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ success: true, data: { email: 'ada@example.com', unsubscribed: true } });
+        expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'unsubscribed' }));
+      });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the central model pricing registry
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import {
+  calculateCost,
+  getModelPricing,
+  getPriceHistory,
+  setPricingOverrides,
+  FALLBACK_PRICING_MODEL
+} from '../src/config/model-pricing.js';
+
+describe('Model pricing registry', () => {
+  afterEach(() => {
+    setPricingOverrides({});
+  });
+
+  test('prices input and output tokens per 1M', () => {
+    expect(calculateCost({ inputTokens: 1200, outputTokens: 800 }, 'claude-3-5-sonnet-20241022')).toBe(0.0156);
+    expect(calculateCost({ inputTokens: 1_000_000, outputTokens: 1_000_000 }, 'claude-3-opus-20240229')).toBe(90);
+  });
+
+  test('accepts raw Anthropic snake_case usage', () => {
+    const usage = { input_tokens: 1000, output_tokens: 500 };
+    expect(calculateCost(usage, 'claude-3-5-haiku-20241022')).toBe(0.000875);
+  });
+
+  test('prices cache writes and reads relative to the input price', () => {
+    const cost = calculateCost({
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 1_000_000,
+      cacheReadInputTokens: 1_000_000
+    }, 'claude-sonnet-4-20250514');
+
+    // 3 * 1.25 + 3 * 0.1
+    expect(cost).toBe(4.05);
+  });
+
+  test('prices Sonnet 4 at its own rate instead of the Opus fallback', () => {
+    expect(getModelPricing('claude-sonnet-4-20250514').input).toBe(3);
+  });
+
+  test('resolves unknown models to the same family before falling back', () => {
+    expect(getModelPricing('claude-3-haiku-20240307').model).toBe('claude-3-5-haiku-20241022');
+    expect(getModelPricing('gpt-4o').model).toBe(FALLBACK_PRICING_MODEL);
+  });
+
+  test('uses the price that was effective when the call happened', () => {
+    setPricingOverrides({
+      'claude-3-5-haiku-20241022': { effectiveFrom: '2024-11-04', input: 0.8, output: 4 }
+    });
+
+    expect(getPriceHistory('claude-3-5-haiku-20241022')).toHaveLength(2);
+    expect(getModelPricing('claude-3-5-haiku-20241022', '2024-11-01').input).toBe(0.25);
+    expect(getModelPricing('claude-3-5-haiku-20241022', '2025-01-01').input).toBe(0.8);
+
+    const usage = { inputTokens: 1_000_000, outputTokens: 0 };
+    expect(calculateCost(usage, 'claude-3-5-haiku-20241022', { at: '2024-11-01' })).toBe(0.25);
+    expect(calculateCost(usage, 'claude-3-5-haiku-20241022')).toBe(0.8);
+  });
+
+  test('overrides on the same date replace the built-in entry and invalid ones are ignored', () => {
+    setPricingOverrides({
+      'claude-3-opus-20240229': { effectiveFrom: '2024-02-29', input: 10, output: 50 },
+      'claude-3-5-sonnet-20241022': { input: 'free' }
+    });
+
+    expect(getPriceHistory('claude-3-opus-20240229')).toEqual([
+      { effectiveFrom: '2024-02-29', input: 10, output: 50 }
+    ]);
+    expect(getModelPricing('claude-3-5-sonnet-20241022').input).toBe(3);
+  });
+});
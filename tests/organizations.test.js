@@ -0,0 +1,306 @@
+/**
+ * Unit tests for organizations and team workspaces
+ *
+ * Supabase is replaced with a chainable stub and email with a mock; role
+ * rules, invitation tokens and sharing checks run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockSendTeamInvitationEmail = jest.fn(async () => ({ success: true, messageId: 'dev-1@localhost' }));
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: { sendTeamInvitationEmail: mockSendTeamInvitationEmail }
+}));
+
+jest.unstable_mockModule('../src/lib/queue.js', () => ({
+  addCompanyRatingJob: jest.fn()
+}));
+
+const { default: organizationService } = await import('../src/services/organizationService.js');
+const { requireOrganizationRole } = await import('../src/middleware/organizationAuth.js');
+
+const orgId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const ownerId = '550e8400-e29b-41d4-a716-446655440001';
+const memberId = '550e8400-e29b-41d4-a716-446655440002';
+
+const organization = {
+  id: orgId,
+  name: 'Acme Sales',
+  slug: 'acme-sales',
+  description: '',
+  owner_id: ownerId,
+  plan: 'basic',
+  max_members: 5,
+  is_active: true
+};
+
+function invitationRow(overrides = {}) {
+  return {
+    id: 'invite-1',
+    organization_id: orgId,
+    email: 'rep@acme.io',
+    role: 'member',
+    permissions: ['read', 'write', 'export'],
+    invited_by: ownerId,
+    status: 'pending',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    created_at: '2026-10-19T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('organizationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  describe('invitations', () => {
+    test('a manager cannot invite someone as admin', async () => {
+      await expect(organizationService.createInvitation(
+        organization,
+        { id: memberId, role: 'manager' },
+        { email: 'rep@acme.io', role: 'admin' }
+      )).rejects.toMatchObject({ statusCode: 403 });
+
+      expect(mockQuery.insert).not.toHaveBeenCalled();
+    });
+
+    test('only the owner can invite an admin', async () => {
+      await expect(organizationService.createInvitation(
+        organization,
+        { id: memberId, role: 'admin' },
+        { email: 'rep@acme.io', role: 'admin' }
+      )).rejects.toMatchObject({ statusCode: 403, message: 'Only the owner can grant or revoke admin' });
+      expect(mockQuery.insert).not.toHaveBeenCalled();
+
+      results.push(
+        { count: 2, error: null },
+        { data: null, error: null },
+        { data: invitationRow({ role: 'admin' }), error: null }
+      );
+      await organizationService.createInvitation(
+        organization,
+        { id: ownerId, email: 'owner@acme.io', role: 'owner' },
+        { email: 'rep@acme.io', role: 'admin' }
+      );
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({ role: 'admin' }));
+    });
+
+    test('full organizations reject new invitations', async () => {
+      results.push({ count: 5, error: null });
+
+      await expect(organizationService.createInvitation(
+        organization,
+        { id: ownerId, role: 'owner' },
+        { email: 'rep@acme.io' }
+      )).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('stores only the token hash and emails the accept link', async () => {
+      results.push(
+        { count: 2, error: null }, // members
+        { data: null, error: null }, // no pending invitation
+        { data: invitationRow({ role: 'manager' }), error: null }
+      );
+
+      const result = await organizationService.createInvitation(
+        organization,
+        { id: ownerId, email: 'owner@acme.io', role: 'owner' },
+        { email: ' Rep@Acme.io ', role: 'manager' }
+      );
+
+      const inserted = mockQuery.insert.mock.calls[0][0];
+      expect(inserted).toMatchObject({
+        organization_id: orgId,
+        email: 'rep@acme.io',
+        role: 'manager',
+        token_hash: crypto.createHash('sha256').update(result.token).digest('hex')
+      });
+      expect(JSON.stringify(inserted)).not.toContain(result.token);
+
+      expect(result.acceptUrl).toContain(`token=${result.token}`);
+      expect(result.invitation).not.toHaveProperty('token_hash');
+      expect(mockSendTeamInvitationEmail).toHaveBeenCalledWith('rep@acme.io', expect.objectContaining({
+        organizationName: 'Acme Sales',
+        inviterEmail: 'owner@acme.io',
+        acceptUrl: result.acceptUrl
+      }));
+      expect(result.emailSent).toBe(true);
+    });
+
+    test('only the invited email can accept', async () => {
+      results.push({ data: invitationRow(), error: null });
+
+      await expect(organizationService.acceptInvitation({ id: memberId, email: 'someone@else.io' }, 'x'.repeat(43)))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('expired invitations are marked expired and return 410', async () => {
+      results.push(
+        { data: invitationRow({ expires_at: '2026-10-01T00:00:00.000Z' }), error: null },
+        { data: null, error: null } // status update
+      );
+
+      await expect(organizationService.acceptInvitation({ id: memberId, email: 'rep@acme.io' }, 'x'.repeat(43)))
+        .rejects.toMatchObject({ statusCode: 410 });
+      expect(mockQuery.update).toHaveBeenCalledWith({ status: 'expired' });
+    });
+
+    test('accepting adds the membership with the invited role', async () => {
+      results.push(
+        { data: invitationRow({ role: 'manager' }), error: null },
+        { data: organization, error: null },
+        { data: null, error: null }, // not a member yet
+        { count: 2, error: null },
+        { data: null, error: null }, // membership upsert
+        { data: null, error: null } // invitation accepted
+      );
+
+      const joined = await organizationService.acceptInvitation({ id: memberId, email: 'Rep@acme.io' }, 'x'.repeat(43));
+
+      expect(mockQuery.eq).toHaveBeenCalledWith('token_hash', crypto.createHash('sha256').update('x'.repeat(43)).digest('hex'));
+      expect(mockQuery.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: memberId,
+        organization_id: orgId,
+        role: 'manager',
+        is_active: true
+      }), { onConflict: 'user_id,organization_id' });
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'accepted' }));
+      expect(joined).toMatchObject({ id: orgId, name: 'Acme Sales', role: 'manager' });
+    });
+  });
+
+  describe('roles', () => {
+    test('only the owner can grant admin', async () => {
+      results.push({ data: { user_id: memberId, role: 'member' }, error: null });
+
+      await expect(organizationService.updateMemberRole(orgId, { id: 'admin-1', role: 'admin' }, memberId, 'admin'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('admins cannot remove other admins', async () => {
+      results.push({ data: { user_id: memberId, role: 'admin' }, error: null });
+
+      await expect(organizationService.removeMember(orgId, { id: 'admin-1', role: 'admin' }, memberId))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('members can leave, and their shares are removed', async () => {
+      results.push(
+        { data: { user_id: memberId, role: 'member' }, error: null },
+        { data: null, error: null }, // deactivate
+        { data: null, error: null } // unshare
+      );
+
+      await organizationService.removeMember(orgId, { id: memberId, role: 'member' }, memberId);
+
+      expect(mockQuery.update).toHaveBeenCalledWith({ is_active: false });
+      expect(mockQuery.from).toHaveBeenCalledWith('organization_shared_items');
+      expect(mockQuery.eq).toHaveBeenCalledWith('shared_by', memberId);
+    });
+  });
+
+  describe('sharing', () => {
+    test('members can only share items they own', async () => {
+      results.push({ data: null, error: null });
+
+      await expect(organizationService.shareItem(orgId, memberId, 'icp_framework', 'icp-of-someone-else'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(mockQuery.eq).toHaveBeenCalledWith('user_id', memberId);
+    });
+
+    test('listSharedItems attaches summaries and drops deleted items', async () => {
+      results.push(
+        {
+          data: [
+            { id: 's1', item_type: 'prospect_list', item_id: 'list-1', shared_by: ownerId, created_at: '2026-10-19T00:00:00.000Z' },
+            { id: 's2', item_type: 'icp_framework', item_id: 'icp-gone', shared_by: ownerId, created_at: '2026-10-18T00:00:00.000Z' }
+          ],
+          error: null
+        },
+        { data: [], error: null }, // icp_frameworks (deleted)
+        { data: [{ id: 'list-1', name: 'Q4 fintech' }], error: null } // prospect_lists
+      );
+
+      const items = await organizationService.listSharedItems(orgId);
+
+      expect(items).toEqual([{
+        id: 's1',
+        itemType: 'prospect_list',
+        itemId: 'list-1',
+        sharedBy: ownerId,
+        sharedAt: '2026-10-19T00:00:00.000Z',
+        item: { id: 'list-1', name: 'Q4 fintech' }
+      }]);
+    });
+
+    test('canAccessSharedItem requires an active membership in a sharing organization', async () => {
+      results.push(
+        { data: [{ organization_id: orgId }], error: null },
+        { data: [{ organization_id: orgId }], error: null }
+      );
+      expect(await organizationService.canAccessSharedItem(memberId, 'icp_framework', 'icp-1')).toBe(true);
+
+      results.push({ data: [], error: null });
+      expect(await organizationService.canAccessSharedItem(memberId, 'icp_framework', 'icp-2')).toBe(false);
+    });
+  });
+});
+
+describe('requireOrganizationRole', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  test('hides organizations the caller is not a member of', async () => {
+    results.push({ data: null, error: null });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireOrganizationRole()({ params: { orgId }, auth: { customerId: memberId } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('rejects members below the required role', async () => {
+    results.push({ data: { role: 'member', organizations: organization }, error: null });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireOrganizationRole('manager')({ params: { orgId }, auth: { customerId: memberId } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ required: 'manager', role: 'member' }));
+  });
+
+  test('attaches the organization and membership', async () => {
+    results.push({ data: { role: 'admin', organizations: organization }, error: null });
+    const req = { params: { orgId }, auth: { customerId: memberId, email: 'rep@acme.io' } };
+    const next = jest.fn();
+
+    await requireOrganizationRole('manager')(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.organization).toBe(organization);
+    expect(req.membership).toEqual({ id: memberId, email: 'rep@acme.io', role: 'admin' });
+  });
+});
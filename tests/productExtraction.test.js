@@ -0,0 +1,143 @@
+/**
+ * Unit tests for product extraction crawl mode
+ *
+ * Uses a fake browser wrapper serving fixed pages; the AI call is stubbed.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import aiService from '../src/services/aiService.js';
+import {
+  extractProductDetailsFromDomain,
+  selectCrawlTargets
+} from '../src/services/productExtractionService.js';
+
+const SITE = {
+  'https://acme.io': {
+    title: 'Acme - Revenue analytics',
+    text: 'Acme turns CRM data into forecasts.',
+    links: [
+      { href: 'https://acme.io/#top', text: 'Home' },
+      { href: 'https://www.acme.io/pricing?ref=nav', text: 'Pricing' },
+      { href: 'https://acme.io/platform/', text: 'Platform' },
+      { href: 'https://acme.io/features', text: 'Features' },
+      { href: 'https://acme.io/stories', text: 'Customers' },
+      { href: 'https://acme.io/about', text: 'About us' },
+      { href: 'https://twitter.com/acme', text: 'Pricing news' },
+      { href: 'mailto:sales@acme.io', text: 'Contact' }
+    ]
+  },
+  'https://www.acme.io/pricing': { title: 'Pricing', text: 'Team plan $99/month, billed annually.' },
+  'https://acme.io/platform': { title: 'Platform', text: 'Forecasting, pipeline inspection.' },
+  'https://acme.io/about': { title: 'About', text: 'Founded 2019 in Berlin.' }
+};
+
+/**
+ * Fake MCP wrapper answering the extraction scripts from SITE
+ */
+function createFakeBrowser() {
+  let current = null;
+
+  return {
+    visited: [],
+    navigate: jest.fn(async function (url) {
+      if (!SITE[url]) throw new Error(`net::ERR_HTTP_RESPONSE_CODE_FAILURE ${url}`);
+      current = SITE[url];
+      this.visited.push(url);
+    }),
+    evaluate: jest.fn(async (script) => {
+      if (script.includes('a[href]')) return current.links || [];
+      if (script.includes('innerText.substring')) return current.text;
+      if (script.includes('meta[name="description"]')) return '';
+      if (script.includes('document.title')) return current.title;
+      return current.title;
+    }),
+    close: jest.fn(async () => {})
+  };
+}
+
+function aiResponse(json) {
+  return { text: JSON.stringify(json), usage: { inputTokens: 900, outputTokens: 80 }, estimatedCost: 0.001 };
+}
+
+describe('selectCrawlTargets', () => {
+  test('picks one same-domain page per type in priority order', () => {
+    const targets = selectCrawlTargets(SITE['https://acme.io'].links, 'https://acme.io', 4);
+
+    expect(targets).toEqual([
+      { url: 'https://www.acme.io/pricing', pageType: 'pricing' },
+      { url: 'https://acme.io/platform', pageType: 'product' },
+      { url: 'https://acme.io/stories', pageType: 'customers' },
+      { url: 'https://acme.io/about', pageType: 'about' }
+    ]);
+  });
+
+  test('respects the page limit and ignores malformed links', () => {
+    const links = [{ href: 'http://[bad', text: 'Pricing' }, ...SITE['https://acme.io'].links];
+
+    expect(selectCrawlTargets(links, 'https://acme.io', 2).map(target => target.pageType))
+      .toEqual(['pricing', 'product']);
+    expect(selectCrawlTargets(null, 'https://acme.io', 4)).toEqual([]);
+  });
+});
+
+describe('extractProductDetailsFromDomain', () => {
+  beforeEach(() => {
+    jest.spyOn(aiService, 'callAnthropicAPI').mockResolvedValue(aiResponse({
+      productName: 'Acme',
+      description: 'Turns CRM data into forecasts',
+      distinguishingFeature: 'Pipeline inspection',
+      businessModel: 'b2b-subscription',
+      sources: {
+        productName: 'https://acme.io',
+        description: 'https://acme.io',
+        distinguishingFeature: 'https://acme.io/platform',
+        businessModel: 'https://www.acme.io/pricing'
+      }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads only the home page unless crawl mode is on', async () => {
+    const browser = createFakeBrowser();
+
+    const result = await extractProductDetailsFromDomain('acme.io', browser);
+
+    expect(browser.visited).toEqual(['https://acme.io']);
+    expect(result.pages).toHaveLength(1);
+    // Pages that weren't read can't be cited
+    expect(result.sources).toMatchObject({ productName: 'https://acme.io', businessModel: null });
+  });
+
+  test('crawls linked pages, keeps snapshots and cites the page for each field', async () => {
+    const browser = createFakeBrowser();
+
+    const result = await extractProductDetailsFromDomain('https://www.acme.io/', browser, { crawl: true, maxPages: 5 });
+
+    // The customers page fails to load and is skipped
+    expect(browser.visited).toEqual(['https://acme.io', 'https://www.acme.io/pricing', 'https://acme.io/platform', 'https://acme.io/about']);
+    expect(browser.close).toHaveBeenCalled();
+    expect(result.fallback).toBe(false);
+    expect(result.pages.map(page => page.pageType)).toEqual(['home', 'pricing', 'product', 'about']);
+    expect(result.pages[1]).toMatchObject({
+      url: 'https://www.acme.io/pricing',
+      title: 'Pricing',
+      text: 'Team plan $99/month, billed annually.'
+    });
+    expect(result.sources.businessModel).toBe('https://www.acme.io/pricing');
+
+    const prompt = aiService.callAnthropicAPI.mock.calls[0][0];
+    expect(prompt).toContain('--- Page 2 (pricing): https://www.acme.io/pricing ---');
+    expect(prompt).toContain('Team plan $99/month');
+    expect(prompt).toContain('"sources"');
+  });
+
+  test('falls back when the home page cannot be read', async () => {
+    const result = await extractProductDetailsFromDomain('unknown.io', createFakeBrowser(), { crawl: true });
+
+    expect(result).toMatchObject({ fallback: true });
+    expect(aiService.callAnthropicAPI).not.toHaveBeenCalled();
+  });
+});
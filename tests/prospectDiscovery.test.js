@@ -0,0 +1,201 @@
+/**
+ * Prospect discovery driven by the user's saved ICP (POST /api/prospect-discovery/generate)
+ *
+ * The resource library, company_ratings lookup and web-search AI call are stubbed.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import { withAuth } from './helpers/auth.js';
+import app from '../src/server.js';
+import prospectDiscoveryService from '../src/services/prospectDiscoveryService.js';
+import resourceGenerationService from '../src/services/resourceGenerationService.js';
+import { AIBudgetExceededError } from '../src/services/anthropicGatewayService.js';
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+
+const userICPData = {
+  companyName: 'Ledgerly',
+  refinedProductDescription: 'Automated revenue recognition for usage-based SaaS finance teams',
+  coreCapability: 'Closes the books on usage revenue in hours'
+};
+
+const savedOutputs = {
+  'icp-analysis': {
+    firmographics: {
+      company_size: '200-1000 employees',
+      industries: ['Usage-based SaaS', 'Fintech'],
+      geographic_markets: ['North America']
+    },
+    psychographics: { pain_points: ['Month-end close takes 15 days'] },
+    behavioral_indicators: { buying_signals: ['Hiring a Revenue Accounting Manager'] },
+    negative_indicators: { red_flags: ['Still on seat-based pricing'], disqualifying_factors: [] }
+  },
+  'target-buyer-personas': {
+    personas: [{ persona_name: 'Controller Carla', title_role: 'Corporate Controller', seniority_level: 'Director' }]
+  },
+  'negative-buyer-personas': {
+    negative_personas: [{
+      persona_archetype: 'Spreadsheet Loyalist',
+      warning_signs: { firmographic_red_flags: ['Finance team of one'] }
+    }]
+  }
+};
+
+function aiResponse(prospects) {
+  return {
+    text: JSON.stringify({
+      prospects,
+      searchSummary: { totalProspectsIdentified: prospects.length, queriesUsed: 6 }
+    }),
+    model: 'claude-3-5-haiku-20241022'
+  };
+}
+
+function prospect(companyName, website, confidenceRating = 8) {
+  return { companyName, website, icpFitEvidence: ['Signal'], confidenceRating };
+}
+
+describe('Prospect discovery', () => {
+  beforeEach(() => {
+    jest.spyOn(resourceGenerationService, 'getLatestPromptOutputs').mockResolvedValue(savedOutputs);
+    jest.spyOn(prospectDiscoveryService, 'getRatedCompanies').mockResolvedValue([
+      { companyName: 'Metronome', companyUrl: 'https://www.metronome.com' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('discoverProspects', () => {
+    test('builds the prompt from the saved ICP, personas, negative personas and filters', async () => {
+      const callAI = jest.spyOn(prospectDiscoveryService, 'callAnthropicAPIWithWebSearch')
+        .mockResolvedValue(aiResponse([prospect('Orb', 'withorb.com')]));
+
+      await prospectDiscoveryService.discoverProspects(userICPData, userId, {
+        count: 3,
+        filters: { companySizes: ['201-500'], fundingStages: ['series-b'], geographies: ['Canada'], exclude: ['Chargebee'] }
+      });
+
+      expect(resourceGenerationService.getLatestPromptOutputs).toHaveBeenCalledWith(userId, expect.arrayContaining([
+        'icp-analysis', 'target-buyer-personas', 'negative-buyer-personas', 'non-ideal-customer-profile'
+      ]));
+
+      const prompt = callAI.mock.calls[0][0];
+      expect(prompt).not.toContain('Revenue Desert');
+      expect(prompt).toContain('identify 3 real companies');
+      expect(prompt).toContain('- industries: Usage-based SaaS, Fintech');
+      expect(prompt).toContain('Corporate Controller (Director)');
+      expect(prompt).toContain('Spreadsheet Loyalist: Finance team of one');
+      expect(prompt).toContain('ICP red flags: Still on seat-based pricing');
+      expect(prompt).toContain('- Company size (employees): 201-500');
+      expect(prompt).toContain('- Funding stage: series-b');
+      expect(prompt).toContain('- Headquarters: Canada');
+      expect(prompt).toContain('- Metronome');
+      expect(prompt).toContain('- Chargebee');
+    });
+
+    test('drops already-rated and excluded companies and caps the result at count', async () => {
+      jest.spyOn(prospectDiscoveryService, 'callAnthropicAPIWithWebSearch').mockResolvedValue(aiResponse([
+        prospect('Metronome Inc.', 'metronome.com/pricing', 10),
+        prospect('Orb', 'https://withorb.com', 9),
+        prospect('Chargebee', 'chargebee.com', 9),
+        prospect('Lago', 'getlago.com', 8),
+        prospect('Amberflo', 'amberflo.io', 7)
+      ]));
+
+      const result = await prospectDiscoveryService.discoverProspects(userICPData, userId, {
+        count: 2,
+        filters: { exclude: ['chargebee.com'] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.prospects.map(p => p.companyName)).toEqual(['Orb', 'Lago']);
+      expect(result.data.searchSummary.totalProspectsIdentified).toBe(2);
+      expect(result.metadata).toMatchObject({
+        requestedCount: 2,
+        excludedAlreadyKnown: ['Metronome Inc.', 'Chargebee'],
+        icpSources: { icpAnalysis: true, personas: true, negativePersonas: true, nonIdealCustomerProfile: false }
+      });
+    });
+
+    test('falls back to the request details when the resource library is unavailable', async () => {
+      resourceGenerationService.getLatestPromptOutputs.mockRejectedValue(new Error('connection refused'));
+      const callAI = jest.spyOn(prospectDiscoveryService, 'callAnthropicAPIWithWebSearch')
+        .mockResolvedValue(aiResponse([prospect('Orb', 'withorb.com')]));
+
+      const result = await prospectDiscoveryService.discoverProspects(userICPData, userId);
+
+      expect(result.success).toBe(true);
+      expect(callAI.mock.calls[0][0]).toContain('No saved ICP analysis is available');
+      expect(callAI.mock.calls[0][0]).toContain('identify 6 real companies');
+    });
+
+    test('exhausted AI budgets are thrown, not replaced by the fallback', async () => {
+      jest.spyOn(prospectDiscoveryService, 'callAnthropicAPIWithWebSearch')
+        .mockRejectedValue(new AIBudgetExceededError('organization', 100, 100, { period: 'monthly' }));
+
+      await expect(prospectDiscoveryService.discoverProspects(userICPData, userId))
+        .rejects.toBeInstanceOf(AIBudgetExceededError);
+    });
+  });
+
+  describe('POST /api/prospect-discovery/generate', () => {
+    test('passes filters and count to the service', async () => {
+      const discover = jest.spyOn(prospectDiscoveryService, 'discoverProspects').mockResolvedValue({
+        success: true,
+        data: { prospects: [], searchSummary: {} },
+        metadata: {}
+      });
+
+      const res = await request(app)
+        .post('/api/prospect-discovery/generate')
+        .set(withAuth(userId))
+        .send({ ...userICPData, count: 10, filters: { industries: ['Fintech'], fundingStages: ['seed'] } });
+
+      expect(res.status).toBe(200);
+      expect(discover).toHaveBeenCalledWith(
+        expect.objectContaining({ companyName: 'Ledgerly' }),
+        userId,
+        { count: 10, filters: { industries: ['Fintech'], fundingStages: ['seed'] } }
+      );
+    });
+
+    test('reports an exhausted AI budget as 402', async () => {
+      jest.spyOn(prospectDiscoveryService, 'discoverProspects')
+        .mockRejectedValue(new AIBudgetExceededError('user', 5.2, 5));
+
+      const res = await request(app)
+        .post('/api/prospect-discovery/generate')
+        .set(withAuth(userId))
+        .send(userICPData);
+
+      expect(res.status).toBe(402);
+      expect(res.body).toMatchObject({
+        success: false,
+        code: 'AI_BUDGET_EXCEEDED',
+        budget: { scope: 'user', limitUsd: 5, spentUsd: 5.2 }
+      });
+    });
+
+    test('rejects unknown size bands and out-of-range counts', async () => {
+      const discover = jest.spyOn(prospectDiscoveryService, 'discoverProspects');
+
+      const badSize = await request(app)
+        .post('/api/prospect-discovery/generate')
+        .set(withAuth(userId))
+        .send({ ...userICPData, filters: { companySizes: ['huge'] } });
+      expect(badSize.status).toBe(400);
+      expect(badSize.body.errors[0].field).toBe('filters.companySizes.0');
+
+      const badCount = await request(app)
+        .post('/api/prospect-discovery/generate')
+        .set(withAuth(userId))
+        .send({ ...userICPData, count: 50 });
+      expect(badCount.status).toBe(400);
+
+      expect(discover).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for saved prospect lists
+ *
+ * Supabase is replaced with a chainable stub and the rating queue with a mock;
+ * sorting, de-duplication and CSV handling run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockAddCompanyRatingJob = jest.fn(async (data, options) => ({
+  jobId: options.jobId,
+  queueName: 'company-rating',
+  status: 'queued'
+}));
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/lib/queue.js', () => ({
+  addCompanyRatingJob: mockAddCompanyRatingJob
+}));
+
+const { default: prospectListService } = await import('../src/services/prospectListService.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const listId = 'list-1';
+
+function listRow(overrides = {}) {
+  return {
+    id: listId,
+    user_id: userId,
+    name: 'Q4 fintech',
+    description: null,
+    created_at: '2026-10-01T00:00:00.000Z',
+    updated_at: '2026-10-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function entryRow(id, companyName, companyUrl, overrides = {}) {
+  return {
+    id,
+    list_id: listId,
+    user_id: userId,
+    company_name: companyName,
+    company_url: companyUrl,
+    notes: null,
+    source: 'manual',
+    discovery_data: null,
+    rating_status: 'pending',
+    rating_job_id: null,
+    rating_score: null,
+    fit_level: null,
+    rating_error: null,
+    rated_at: null,
+    created_at: '2026-10-02T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('prospectListService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  test('createList saves new companies once and queues each for rating', async () => {
+    results.push(
+      { data: listRow(), error: null }, // insert list
+      { data: listRow(), error: null }, // findList
+      { data: [], error: null }, // existing entries
+      {
+        data: [
+          entryRow('entry-1', 'Orb', 'withorb.com', { source: 'discovery' }),
+          entryRow('entry-2', 'Lago', 'getlago.com', { source: 'discovery' })
+        ],
+        error: null
+      }, // insert entries
+      { data: entryRow('entry-1', 'Orb', 'withorb.com', { rating_status: 'queued', rating_job_id: 'job-1' }), error: null },
+      { data: entryRow('entry-2', 'Lago', 'getlago.com', { rating_status: 'queued', rating_job_id: 'job-2' }), error: null }
+    );
+
+    const result = await prospectListService.createList(userId, {
+      name: 'Q4 fintech',
+      source: 'discovery',
+      entries: [
+        { companyName: 'Orb', website: 'https://www.withorb.com/', discoveryData: { confidenceRating: 9 } },
+        { companyName: 'Orb (dup)', companyUrl: 'withorb.com' },
+        { companyName: 'Lago', website: 'getlago.com' },
+        { companyName: 'No site' }
+      ]
+    });
+
+    const inserted = mockQuery.insert.mock.calls[1][0];
+    expect(inserted.map(row => row.company_url)).toEqual(['withorb.com', 'getlago.com']);
+    expect(inserted[0]).toMatchObject({ list_id: listId, user_id: userId, source: 'discovery', discovery_data: { confidenceRating: 9 } });
+
+    expect(mockAddCompanyRatingJob).toHaveBeenCalledTimes(2);
+    expect(mockAddCompanyRatingJob.mock.calls[0][0]).toEqual({
+      customerId: userId,
+      companyUrl: 'withorb.com',
+      prospectListEntryId: 'entry-1'
+    });
+    // Entries added in the same millisecond still get distinct job IDs
+    expect(mockAddCompanyRatingJob.mock.calls[0][1].jobId).toMatch(new RegExp(`^rating-${userId}-entry-1-`));
+    expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ rating_status: 'queued' }));
+
+    expect(result.list).toMatchObject({ id: listId, name: 'Q4 fintech', entryCount: 2 });
+    expect(result.entries.map(entry => entry.ratingStatus)).toEqual(['queued', 'queued']);
+    expect(result.skipped).toEqual([
+      { companyName: 'Orb (dup)', companyUrl: 'withorb.com', reason: 'Already in list' },
+      { companyName: 'No site', reason: 'No valid website/domain' }
+    ]);
+  });
+
+  test('createList reports duplicate list names as 409', async () => {
+    results.push({ data: null, error: { code: '23505', message: 'duplicate key value' } });
+
+    await expect(prospectListService.createList(userId, { name: 'Q4 fintech' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('getList sorts by rating score then fit level, unrated entries last', async () => {
+    results.push(
+      { data: listRow(), error: null },
+      {
+        data: [
+          entryRow('a', 'Unrated', 'unrated.io', { rating_status: 'queued' }),
+          entryRow('b', 'Good 80', 'good.io', { rating_score: '80.00', fit_level: 'Good', rating_status: 'rated' }),
+          entryRow('c', 'Excellent 80', 'excellent.io', { rating_score: '80.00', fit_level: 'Excellent', rating_status: 'rated' }),
+          entryRow('d', 'Fair 91', 'fair.io', { rating_score: '91.00', fit_level: 'Fair', rating_status: 'rated' })
+        ],
+        error: null
+      }
+    );
+
+    const { list, entries } = await prospectListService.getList(userId, listId);
+
+    expect(list.entryCount).toBe(4);
+    expect(entries.map(entry => entry.companyName)).toEqual(['Fair 91', 'Excellent 80', 'Good 80', 'Unrated']);
+    expect(entries[0].ratingScore).toBe(91);
+
+    results.push(
+      { data: listRow(), error: null },
+      {
+        data: [
+          entryRow('d', 'Fair 91', 'fair.io', { rating_score: 91, fit_level: 'Fair' }),
+          entryRow('b', 'Good 80', 'good.io', { rating_score: 80, fit_level: 'Good' })
+        ],
+        error: null
+      }
+    );
+
+    const byFit = await prospectListService.getList(userId, listId, { sort: 'fit_level' });
+    expect(byFit.entries.map(entry => entry.companyName)).toEqual(['Good 80', 'Fair 91']);
+  });
+
+  test('getList returns null for lists the user does not own', async () => {
+    results.push({ data: null, error: null });
+
+    expect(await prospectListService.getList(userId, 'someone-elses-list')).toBeNull();
+    expect(mockQuery.eq).toHaveBeenCalledWith('user_id', userId);
+  });
+
+  test('exportCSV quotes cells and neutralizes spreadsheet formulas', async () => {
+    results.push(
+      { data: listRow(), error: null },
+      {
+        data: [entryRow('a', 'Acme, "The" Company', 'acme.io', {
+          rating_score: 72.5,
+          fit_level: 'Good',
+          rating_status: 'rated',
+          notes: '=HYPERLINK("http://evil")'
+        })],
+        error: null
+      }
+    );
+
+    const { csv } = await prospectListService.exportCSV(userId, listId);
+    const [header, row] = csv.trim().split('\r\n');
+
+    expect(header).toBe('company_name,company_url,rating_score,fit_level,rating_status,source,notes,added_at');
+    expect(row).toBe('"Acme, ""The"" Company","acme.io","72.5","Good","rated","manual","\'=HYPERLINK(""http://evil"")","2026-10-02T00:00:00.000Z"');
+  });
+
+  test('parseImportCSV reads header aliases, quoted cells and ; separators', () => {
+    const entries = prospectListService.parseImportCSV(
+      '﻿Company,Website,Notes\r\n"Acme, Inc.",https://acme.io,"Met at ""SaaStr"""\r\nLago,getlago.com,\r\n\r\n'
+    );
+
+    expect(entries).toEqual([
+      { companyName: 'Acme, Inc.', companyUrl: 'https://acme.io', notes: 'Met at "SaaStr"' },
+      { companyName: 'Lago', companyUrl: 'getlago.com', notes: null }
+    ]);
+
+    expect(prospectListService.parseImportCSV('name;domain\nOrb;withorb.com')).toEqual([
+      { companyName: 'Orb', companyUrl: 'withorb.com', notes: null }
+    ]);
+
+    expect(() => prospectListService.parseImportCSV('name,industry\nOrb,Billing'))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('recordRating copies the score and fit level onto the entry', async () => {
+    results.push({ data: null, error: null });
+
+    await prospectListService.recordRating('entry-1', {
+      savedId: 'rating-9',
+      rating: { score: 84, fitLevel: 'Excellent' }
+    });
+
+    expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+      rating_status: 'rated',
+      rating_id: 'rating-9',
+      rating_score: 84,
+      fit_level: 'Excellent'
+    }));
+    expect(mockQuery.eq).toHaveBeenCalledWith('id', 'entry-1');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the shared rate limit store
+ *
+ * The Redis store is exercised against a stub client (the Lua script
+ * itself runs inside Redis); the in-memory store runs for real.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  FallbackRateLimitStore,
+  setRateLimitStore
+} from '../src/lib/rateLimitStore.js';
+import { getUsageInfo } from '../src/middleware/tierRateLimit.js';
+
+describe('MemoryRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryRateLimitStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('allows hits up to the limit and rejects the rest', async () => {
+    const options = { limit: 2, windowMs: 60000 };
+
+    expect(await store.consume('k', options)).toMatchObject({ allowed: true, count: 1, remaining: 1 });
+    expect(await store.consume('k', options)).toMatchObject({ allowed: true, count: 2, remaining: 0 });
+    expect(await store.consume('k', options)).toMatchObject({ allowed: false, count: 2, remaining: 0 });
+  });
+
+  test('slides the window instead of resetting it all at once', async () => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    const options = { limit: 2, windowMs: 60000 };
+
+    await store.consume('k', options);
+    jest.advanceTimersByTime(30000);
+    await store.consume('k', options);
+
+    // First hit expires at 60s, second still counts
+    jest.advanceTimersByTime(30001);
+    const result = await store.consume('k', options);
+
+    expect(result).toMatchObject({ allowed: true, count: 2 });
+    expect(result.resetTime).toBe(1_000_000 + 30000 + 60000);
+  });
+
+  test('peek reports usage without consuming', async () => {
+    const options = { limit: 3, windowMs: 60000 };
+    await store.consume('k', options);
+
+    expect(await store.peek('k', options)).toMatchObject({ allowed: true, count: 1, remaining: 2 });
+    expect(await store.peek('k', options)).toMatchObject({ count: 1 });
+    expect(await store.peek('other', options)).toMatchObject({ count: 0, resetTime: null });
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  test('runs the sliding window script with prefixed keys', async () => {
+    const client = {
+      defineCommand: jest.fn(),
+      slidingWindowHit: jest.fn().mockResolvedValue([1, 3, 1_000_000]),
+      del: jest.fn()
+    };
+    const store = new RedisRateLimitStore(client);
+
+    const result = await store.consume('tier_limit:icp:user-1', { limit: 5, windowMs: 60000 });
+
+    expect(client.defineCommand).toHaveBeenCalledWith('slidingWindowHit', expect.objectContaining({ numberOfKeys: 1 }));
+    expect(client.slidingWindowHit).toHaveBeenCalledWith(
+      'ratelimit:tier_limit:icp:user-1', 60000, 5, '1', expect.any(String)
+    );
+    expect(result).toEqual({ allowed: true, count: 3, remaining: 2, resetTime: 1_060_000 });
+
+    await store.peek('tier_limit:icp:user-1', { limit: 5, windowMs: 60000 });
+    expect(client.slidingWindowHit.mock.calls[1][3]).toBe('0');
+  });
+});
+
+describe('FallbackRateLimitStore', () => {
+  test('serves from memory while the primary store fails', async () => {
+    const primary = {
+      type: 'redis',
+      consume: jest.fn().mockRejectedValue(new Error('ECONNREFUSED'))
+    };
+    const store = new FallbackRateLimitStore(primary);
+
+    const result = await store.consume('k', { limit: 1, windowMs: 60000 });
+    expect(result).toMatchObject({ allowed: true, count: 1 });
+
+    primary.consume.mockResolvedValue({ allowed: true, count: 7, remaining: 3, resetTime: 1 });
+    expect(await store.consume('k', { limit: 10, windowMs: 60000 })).toMatchObject({ count: 7 });
+    expect(store.degraded).toBe(false);
+  });
+});
+
+describe('getUsageInfo', () => {
+  afterEach(() => {
+    setRateLimitStore(null);
+  });
+
+  test('reads usage from the shared store', async () => {
+    const store = new MemoryRateLimitStore();
+    setRateLimitStore(store);
+
+    // Anonymous tier: 3 calls per 24 hours, keyed by IP
+    const options = { limit: 3, windowMs: 24 * 60 * 60 * 1000 };
+    await store.consume('tier_limit:icp_generation:ip:10.0.0.1', options);
+    await store.consume('tier_limit:icp_generation:ip:10.0.0.1', options);
+
+    const usage = await getUsageInfo(null, '10.0.0.1', 'icp_generation');
+
+    expect(usage).toMatchObject({ tier: 'anonymous', limit: 3, used: 2, remaining: 1 });
+    expect(usage.resetTime).toEqual(expect.any(String));
+    expect(await getUsageInfo(null, '10.0.0.2', 'icp_generation')).toMatchObject({ used: 0, resetTime: null });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Streaming resource generation (POST /api/resources/generate/stream)
+ *
+ * The generation service is stubbed for the route tests; the per-prompt
+ * streaming test stubs only the AI call and prompt loading.
+ */
+
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import { withAuth } from './helpers/auth.js';
+import app from '../src/server.js';
+import aiService from '../src/services/aiService.js';
+import resourceGenerationService from '../src/services/resourceGenerationService.js';
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const resourceId = '8a6f0c8e-2b1d-4c55-9f3e-1d2c3b4a5e6f';
+
+/**
+ * Collect a streamed response body as text
+ */
+function collectText(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+/**
+ * Parse an SSE body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text.split('\n\n')
+    .map(block => block.split('\n'))
+    .map(lines => ({
+      event: lines.find(line => line.startsWith('event: '))?.slice(7),
+      data: lines.find(line => line.startsWith('data: '))?.slice(6)
+    }))
+    .filter(message => message.event)
+    .map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+}
+
+describe('Streaming resource generation', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/resources/generate/stream', () => {
+    test('streams stage events and token deltas, then the result', async () => {
+      let abortedDuringGeneration = null;
+      jest.spyOn(resourceGenerationService, 'generateResource').mockImplementation(async (user, id, { onProgress, signal }) => {
+        abortedDuringGeneration = signal.aborted;
+        onProgress({ stage: 'building_context', progress: 10 });
+        onProgress({ stage: 'generating_strategic', promptId: 'icp-analysis', progress: 10 });
+        onProgress({ stage: 'streaming', promptId: 'icp-analysis', progress: 20, chunk: '{"firmo' });
+        onProgress({ stage: 'streaming', promptId: 'icp-analysis', progress: 30, chunk: 'graphics"' });
+        onProgress({ stage: 'streaming', promptId: 'icp-analysis', progress: 50, chunk: '' });
+        onProgress({ stage: 'prompt_complete', promptId: 'icp-analysis', progress: 50, valid: true });
+        onProgress({ stage: 'saving', progress: 95 });
+        onProgress({ stage: 'complete', progress: 100 });
+        return { success: true, generatedId: 'gen-1', resourceCode: 'icp-analysis' };
+      });
+
+      const response = await request(app)
+        .post('/api/resources/generate/stream')
+        .set(withAuth(userId))
+        .send({ resourceId })
+        .buffer(true)
+        .parse(collectText);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      const events = parseEvents(response.body);
+      expect(events.map(event => event.event)).toEqual(
+        ['stage', 'stage', 'delta', 'delta', 'stage', 'stage', 'complete']
+      );
+      expect(events[2].data).toEqual({ promptId: 'icp-analysis', text: '{"firmo', progress: 20 });
+      expect(events[6].data).toMatchObject({ success: true, generatedId: 'gen-1' });
+
+      const [, , options] = resourceGenerationService.generateResource.mock.calls[0];
+      expect(options).toMatchObject({ streaming: true });
+      expect(abortedDuringGeneration).toBe(false);
+    });
+
+    test('sends generation failures as an error event', async () => {
+      jest.spyOn(resourceGenerationService, 'generateResource')
+        .mockRejectedValue(new Error('Resource icp-analysis is not unlocked for user'));
+
+      const response = await request(app)
+        .post('/api/resources/generate/stream')
+        .set(withAuth(userId))
+        .send({ resourceId })
+        .buffer(true)
+        .parse(collectText);
+
+      expect(parseEvents(response.body)).toEqual([
+        { event: 'error', data: { error: 'Resource icp-analysis is not unlocked for user' } }
+      ]);
+    });
+
+    test('requires a resource ID', async () => {
+      const response = await request(app)
+        .post('/api/resources/generate/stream')
+        .set(withAuth(userId))
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('resourceGenerationService', () => {
+    test('maps streamed deltas into the prompt\'s progress range', async () => {
+      const onProgress = jest.fn();
+      jest.spyOn(resourceGenerationService, 'loadPromptTemplate').mockResolvedValue('Analyze {{productName}}');
+      jest.spyOn(aiService, 'callAnthropicAPIStreaming').mockImplementation(async (prompt, options, onChunk) => {
+        onChunk(50, '# Guide');
+        onChunk(100, '');
+        return { text: '# Guide', usage: { inputTokens: 100, outputTokens: 20 }, model: options.model, estimatedCost: 0.001 };
+      });
+
+      const output = await resourceGenerationService.generateSinglePrompt(
+        userId, 'icp-crm-qualification-checklist', 'implementation', {}, true, onProgress, [50, 70]
+      );
+
+      expect(onProgress).toHaveBeenCalledWith(
+        { stage: 'streaming', promptId: 'icp-crm-qualification-checklist', progress: 60, chunk: '# Guide' }
+      );
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+        stage: 'prompt_complete',
+        progress: 70,
+        tokens: { inputTokens: 100, outputTokens: 20 }
+      }));
+      expect(output.metadata.tokens.outputTokens).toBe(20);
+    });
+
+    test('stops between prompts once the client has gone away', () => {
+      const abortController = new AbortController();
+      expect(() => resourceGenerationService.throwIfAborted(abortController.signal)).not.toThrow();
+
+      abortController.abort();
+      expect(() => resourceGenerationService.throwIfAborted(abortController.signal))
+        .toThrow('Resource generation cancelled');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for resource content schema validation and automatic repair
+ *
+ * The Anthropic gateway is stubbed; validation and merging run for real.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { validateResourceContent } from '../src/config/resource-content-schemas.js';
+import { anthropicGateway } from '../src/services/anthropicGatewayService.js';
+import resourceGenerationService from '../src/services/resourceGenerationService.js';
+
+const empathyMap = {
+  see: ['Board pressure'],
+  hear: ['We need enterprise logos'],
+  thinkAndFeel: ['I fear the board will replace me'],
+  sayAndDo: { public: ['We are on track'], private: ['Working weekends'] },
+  pains: ['Missed quota'],
+  gains: ['Promotion']
+};
+
+function personasContent(personaOverrides = {}) {
+  return {
+    personas: [
+      { persona_id: 'p1', persona_name: 'VP Sales, Dana', empathyMap, ...personaOverrides }
+    ],
+    summary: { executive_summary: 'Two buyers', primary_persona: 'p1', secondary_personas: [] }
+  };
+}
+
+function gatewayResponse(text) {
+  return {
+    text,
+    usage: { inputTokens: 1000, outputTokens: 200 },
+    model: 'claude-sonnet-4-20250514',
+    estimatedCost: 0.006
+  };
+}
+
+describe('validateResourceContent', () => {
+  test('accepts content matching the schema', () => {
+    const result = validateResourceContent('target-buyer-personas', personasContent());
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('reports missing sections, required fields and wrong types', () => {
+    const content = personasContent({ empathyMap: undefined, hiddenAmbitions: 'Become CRO' });
+    delete content.summary;
+
+    const result = validateResourceContent('target-buyer-personas', content);
+
+    expect(result.valid).toBe(false);
+    expect(result.missingSections).toEqual(['summary']);
+    expect(result.missingFields).toEqual(['personas[0].empathyMap', 'personas[0].empathyMap.thinkAndFeel']);
+    expect(result.typeErrors).toEqual([
+      { path: 'personas[0].hiddenAmbitions', expected: 'array', actual: 'string' }
+    ]);
+    expect(result.invalidSections).toEqual(['summary', 'personas']);
+  });
+
+  test('treats unparsed markdown output as missing every required section', () => {
+    const result = validateResourceContent('icp-analysis', { format: 'markdown', content: '# ICP' });
+
+    expect(result.missingSections).toEqual(
+      ['firmographics', 'psychographics', 'technographics', 'behavioral_indicators', 'summary']
+    );
+  });
+});
+
+describe('resourceGenerationService.validateAndRepairOutput', () => {
+  const context = { prompt: 'Generate personas', responseText: '{}', model: 'claude-sonnet-4-20250514' };
+
+  beforeEach(() => {
+    jest.spyOn(anthropicGateway, 'createMessage');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('re-prompts for only the invalid sections and merges the result', async () => {
+    const content = personasContent({ empathyMap: undefined });
+    anthropicGateway.createMessage.mockResolvedValue(
+      gatewayResponse(JSON.stringify({ personas: personasContent().personas, summary: { executive_summary: 'ignored' } }))
+    );
+
+    const { content: repaired, validation, repairResponses } = await resourceGenerationService.validateAndRepairOutput(
+      'user-1', 'target-buyer-personas', content, context
+    );
+
+    const request = anthropicGateway.createMessage.mock.calls[0][0];
+    expect(request.operation).toBe('repairResourceOutput');
+    expect(request.messages).toHaveLength(3);
+    expect(request.messages[2].content).toContain('Missing required field: personas[0].empathyMap');
+    expect(request.messages[2].content).toContain('top-level sections: personas.');
+
+    expect(repaired.personas[0].empathyMap).toEqual(empathyMap);
+    // Sections that were valid are not overwritten by the repair response
+    expect(repaired.summary.executive_summary).toBe('Two buyers');
+    expect(validation).toMatchObject({ valid: true, repaired: true, repairAttempts: 1, errors: [] });
+    expect(validation.initialErrors).toHaveLength(2);
+    expect(repairResponses).toHaveLength(1);
+  });
+
+  test('gives up after the maximum attempts and reports remaining errors', async () => {
+    anthropicGateway.createMessage.mockResolvedValue(gatewayResponse('Sorry, I cannot help with that.'));
+
+    const { validation } = await resourceGenerationService.validateAndRepairOutput(
+      'user-1', 'target-buyer-personas', personasContent({ empathyMap: undefined }), context
+    );
+
+    expect(anthropicGateway.createMessage).toHaveBeenCalledTimes(2);
+    expect(validation).toMatchObject({ valid: false, repaired: false, repairAttempts: 2 });
+    expect(validation.errors).toContain('Missing required field: personas[0].empathyMap');
+  });
+
+  test('skips prompts without a schema', async () => {
+    const { validation } = await resourceGenerationService.validateAndRepairOutput(
+      'user-1', 'icp-crm-qualification-checklist', { format: 'markdown', content: '...' }, context
+    );
+
+    expect(validation).toMatchObject({ schemaFound: false, valid: null });
+    expect(anthropicGateway.createMessage).not.toHaveBeenCalled();
+    expect(resourceGenerationService.buildValidationReport([{ validation }]).valid).toBe(true);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the maintenance scheduler
+ *
+ * Supabase is a chainable stub and the cost/cache services are mocked; runs
+ * use the timer backend (no Redis in tests).
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockAggregateCostsForDate = jest.fn();
+const mockCleanupExpiredCache = jest.fn();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/aiCostTrackingService.js', () => ({
+  default: { aggregateCostsForDate: mockAggregateCostsForDate }
+}));
+
+jest.unstable_mockModule('../src/services/ContextCacheService.js', () => ({
+  default: { cleanupExpiredCache: mockCleanupExpiredCache }
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const {
+  SCHEDULED_TASKS,
+  rollUpDailyCosts,
+  pruneExpiredData,
+  getCronPattern,
+  getNextRunTime,
+  runTask,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus
+} = await import('../src/lib/scheduler.js');
+
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+describe('scheduler', () => {
+  const retention = { ...config.scheduler.retention };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  afterEach(async () => {
+    Object.assign(config.scheduler.retention, retention);
+    await stopScheduler();
+  });
+
+  test('rolls up the last two completed UTC days', async () => {
+    mockAggregateCostsForDate.mockResolvedValue({ success: true });
+
+    await expect(rollUpDailyCosts(now)).resolves.toEqual({ dates: ['2026-10-17', '2026-10-18'] });
+    expect(mockAggregateCostsForDate.mock.calls.map(([date]) => date.toISOString()))
+      .toEqual(['2026-10-17T00:00:00.000Z', '2026-10-18T00:00:00.000Z']);
+  });
+
+  test('deletes nothing until a retention period is configured', async () => {
+    expect(retention).toEqual({ pageVisitsDays: 0, toolUsageDays: 0, taskRunsDays: 0 });
+
+    await expect(pruneExpiredData(now)).resolves.toEqual({
+      public_page_visits: { skipped: true },
+      tool_usage_tracking: { skipped: true },
+      scheduled_task_runs: { skipped: true }
+    });
+    expect(mockQuery.delete).not.toHaveBeenCalled();
+  });
+
+  test('prunes each table by its own age column and skips 0-day policies', async () => {
+    Object.assign(config.scheduler.retention, { pageVisitsDays: 30, toolUsageDays: 0, taskRunsDays: 90 });
+    results.push({ count: 12, error: null }, { count: 3, error: null });
+
+    const result = await pruneExpiredData(now);
+
+    expect(result).toEqual({
+      public_page_visits: { removed: 12, olderThan: '2026-09-19T12:00:00.000Z' },
+      tool_usage_tracking: { skipped: true },
+      scheduled_task_runs: { removed: 3, olderThan: '2026-07-21T12:00:00.000Z' }
+    });
+    expect(mockQuery.delete).toHaveBeenCalledWith({ count: 'exact' });
+    expect(mockQuery.lt).toHaveBeenCalledWith('created_at', '2026-09-19T12:00:00.000Z');
+    expect(mockQuery.lt).toHaveBeenCalledWith('started_at', '2026-07-21T12:00:00.000Z');
+  });
+
+  test('retention keeps pruning other tables when one fails, then reports the failure', async () => {
+    Object.assign(config.scheduler.retention, { pageVisitsDays: 30, toolUsageDays: 30, taskRunsDays: 30 });
+    results.push({ count: null, error: { message: 'permission denied' } }, { count: 1, error: null }, { count: 0, error: null });
+
+    await expect(pruneExpiredData(now)).rejects.toThrow('Retention failed for public_page_visits: permission denied');
+    expect(mockQuery.delete).toHaveBeenCalledTimes(3);
+  });
+
+  test('next run is later today or tomorrow at the task time (UTC)', () => {
+    const task = { hour: 3, minute: 0 };
+
+    expect(getNextRunTime(task, new Date('2026-10-19T02:59:00.000Z')).toISOString()).toBe('2026-10-19T03:00:00.000Z');
+    expect(getNextRunTime(task, new Date('2026-10-19T03:00:00.000Z')).toISOString()).toBe('2026-10-20T03:00:00.000Z');
+  });
+
+  test('tasks without an hour run every hour', () => {
+    const task = { minute: 45 };
+
+    expect(getCronPattern(task)).toBe('45 * * * *');
+    expect(getNextRunTime(task, new Date('2026-10-19T02:30:00.000Z')).toISOString()).toBe('2026-10-19T02:45:00.000Z');
+    expect(getNextRunTime(task, new Date('2026-10-19T23:45:00.000Z')).toISOString()).toBe('2026-10-20T00:45:00.000Z');
+  });
+
+  test('runTask records successful runs', async () => {
+    mockCleanupExpiredCache.mockResolvedValue(7);
+
+    const run = await runTask('context-cache-cleanup');
+
+    expect(run).toMatchObject({ task: 'context-cache-cleanup', status: 'success', result: { removed: 7 }, error: null });
+    expect(mockQuery.from).toHaveBeenCalledWith('scheduled_task_runs');
+    expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+      task_name: 'context-cache-cleanup',
+      status: 'success',
+      result: { removed: 7, maxAgeHours: config.scheduler.contextCacheMaxAgeHours },
+      error_message: null
+    }));
+  });
+
+  test('runTask records failures instead of throwing', async () => {
+    mockAggregateCostsForDate.mockResolvedValue({ success: false, error: 'function does not exist' });
+
+    const run = await runTask('ai-cost-rollup');
+
+    expect(run.status).toBe('failed');
+    expect(run.error).toMatch(/function does not exist/);
+    expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+  });
+
+  test('status shows the last recorded run of every task', async () => {
+    results.push(
+      {
+        data: [{
+          task_name: 'ai-cost-rollup',
+          status: 'success',
+          started_at: '2026-10-19T00:15:00.000Z',
+          finished_at: '2026-10-19T00:15:01.000Z',
+          duration_ms: 1000,
+          result: { dates: ['2026-10-17', '2026-10-18'] },
+          error_message: null,
+          instance: 'api-1'
+        }],
+        error: null
+      },
+      { data: [], error: null },
+      { data: [], error: null }
+    );
+
+    await expect(startScheduler()).resolves.toBe('timers');
+    const status = await getSchedulerStatus();
+
+    expect(status).toMatchObject({ enabled: true, backend: 'timers' });
+    expect(status.tasks.map(task => task.name)).toEqual(Object.keys(SCHEDULED_TASKS));
+    expect(status.tasks[0]).toMatchObject({
+      schedule: '15 0 * * * (UTC)',
+      lastRun: { status: 'success', durationMs: 1000, instance: 'api-1' }
+    });
+    expect(new Date(status.tasks[0].nextRunAt).getTime()).toBeGreaterThan(Date.now());
+    expect(status.tasks[1].lastRun).toBeNull();
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the local SimpleQueue backend
+ *
+ * Runs against a real journal in a temporary directory.
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SimpleQueue, getBackoffDelay } from '../src/lib/simpleQueue.js';
+import { getJobStatus, getQueueStats } from '../src/lib/queue.js';
+
+function waitFor(queue, event, count = 1) {
+  return new Promise((resolve) => {
+    const seen = [];
+    queue.on(event, (job) => {
+      seen.push(job);
+      if (seen.length === count) resolve(seen);
+    });
+  });
+}
+
+describe('SimpleQueue', () => {
+  let dataDir;
+  const queues = [];
+
+  function createQueue(options = {}) {
+    const queue = new SimpleQueue('test-queue', { dataDir, ...options });
+    queues.push(queue);
+    return queue;
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-queue-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(queues.splice(0).map(queue => queue.close()));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('computes fixed and exponential backoff', () => {
+    expect(getBackoffDelay({ type: 'exponential', delay: 2000 }, 1)).toBe(2000);
+    expect(getBackoffDelay({ type: 'exponential', delay: 2000 }, 3)).toBe(8000);
+    expect(getBackoffDelay({ type: 'fixed', delay: 500 }, 3)).toBe(500);
+    expect(getBackoffDelay(250, 2)).toBe(250);
+    expect(getBackoffDelay(undefined, 1)).toBe(0);
+  });
+
+  test('retries failed jobs up to the configured attempts', async () => {
+    const queue = createQueue({ defaultJobOptions: { attempts: 3, backoff: { type: 'exponential', delay: 5 } } });
+    const processor = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValue({ ok: true });
+
+    const completed = waitFor(queue, 'completed');
+    await queue.add('work', { n: 1 }, { jobId: 'retry-me' });
+    queue.process(processor);
+    await completed;
+
+    const status = await getJobStatus(queue, 'retry-me');
+    expect(processor).toHaveBeenCalledTimes(3);
+    expect(status).toMatchObject({ status: 'completed', attemptsMade: 3, result: { ok: true } });
+  });
+
+  test('marks jobs failed once attempts are exhausted', async () => {
+    const queue = createQueue({ defaultJobOptions: { attempts: 2 } });
+
+    const failed = waitFor(queue, 'error');
+    await queue.add('work', {}, { jobId: 'doomed' });
+    queue.process(async () => { throw new Error('boom'); });
+    await failed;
+
+    expect(await getJobStatus(queue, 'doomed')).toMatchObject({
+      status: 'failed',
+      failedReason: 'boom',
+      attemptsMade: 2
+    });
+  });
+
+  test('runs unprioritized jobs first, then by priority, and holds delayed jobs', async () => {
+    const queue = createQueue();
+    const order = [];
+
+    await queue.add('work', {}, { jobId: 'low', priority: 10 });
+    await queue.add('work', {}, { jobId: 'high', priority: 1 });
+    await queue.add('work', {}, { jobId: 'later', delay: 30 });
+    await queue.add('work', {}, { jobId: 'plain' });
+
+    expect(await getQueueStats(queue)).toMatchObject({ waiting: 3, delayed: 1 });
+
+    const done = waitFor(queue, 'completed', 4);
+    queue.process(async (job) => { order.push(job.id); });
+    await done;
+
+    expect(order).toEqual(['plain', 'high', 'low', 'later']);
+  });
+
+  test('applies removeOnComplete retention', async () => {
+    const queue = createQueue({ defaultJobOptions: { removeOnComplete: { count: 1 } } });
+
+    const done = waitFor(queue, 'completed', 2);
+    await queue.add('work', {}, { jobId: 'first' });
+    await queue.add('work', {}, { jobId: 'second' });
+    queue.process(async () => 'ok');
+    await done;
+
+    expect(await queue.getJob('first')).toBeNull();
+    expect(await queue.getJob('second')).not.toBeNull();
+  });
+
+  test('restores jobs from the journal and recovers jobs that were active', async () => {
+    const crashed = createQueue();
+    await crashed.add('work', { n: 1 }, { jobId: 'in-flight' });
+    await crashed.add('work', { n: 2 }, { jobId: 'queued', delay: 60000 });
+
+    // Processor that never finishes - simulates a crash mid-job
+    const started = waitFor(crashed, 'active');
+    crashed.process(() => new Promise(() => {}));
+    await started;
+    await crashed.close();
+
+    const restarted = createQueue();
+    expect(await restarted.getJobCounts()).toMatchObject({ waiting: 1, delayed: 1, active: 0 });
+
+    const recovered = await restarted.getJob('in-flight');
+    expect(recovered.data).toEqual({ n: 1 });
+    expect(recovered.stalledCounter).toBe(1);
+
+    const completed = waitFor(restarted, 'completed');
+    restarted.process(async (job) => job.data.n * 10);
+    await completed;
+
+    expect(await getJobStatus(restarted, 'in-flight')).toMatchObject({ status: 'completed', result: 10 });
+  });
+
+  test('fails jobs that stall repeatedly', async () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'test-queue.jsonl'),
+      JSON.stringify({
+        op: 'put',
+        job: { id: 'stuck', jobType: 'work', data: {}, options: {}, state: 'active', stalledCounter: 1, seq: 1 }
+      }) + '\n'
+    );
+
+    const queue = createQueue();
+    expect(await getJobStatus(queue, 'stuck')).toMatchObject({
+      status: 'failed',
+      failedReason: 'job stalled more than allowable limit'
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Unit tests for the Stripe webhook event ledger
+ *
+ * Supabase is a chainable stub; the customer data service and the Stripe
+ * client are mocked. Claiming, de-duplication, stale event checks and
+ * replays run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock({
+  auth: {
+    admin: {
+      createUser: jest.fn(),
+      listUsers: jest.fn(),
+      generateLink: jest.fn(async () => ({ data: {}, error: null }))
+    }
+  }
+});
+
+const mockUpdateCustomer = jest.fn(async () => ({}));
+const mockRetrieveSubscription = jest.fn();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/supabaseDataService.js', () => ({
+  default: {
+    updateCustomer: mockUpdateCustomer,
+    getCustomerByStripeSubscriptionId: jest.fn(async () => null)
+  }
+}));
+
+jest.unstable_mockModule('../src/lib/stripeClient.js', () => ({
+  stripe: { subscriptions: { retrieve: mockRetrieveSubscription } },
+  isStripeConfigured: () => true
+}));
+
+const { default: stripeWebhookService } = await import('../src/services/stripeWebhookService.js');
+
+const customerId = '550e8400-e29b-41d4-a716-446655440001';
+
+function subscriptionEvent(id, type, created, status = 'active') {
+  return {
+    id,
+    type,
+    created,
+    livemode: false,
+    data: {
+      object: {
+        id: 'sub_123',
+        status,
+        metadata: { customer_id: customerId },
+        created: 1760000000,
+        current_period_end: 1762600000,
+        canceled_at: null
+      }
+    }
+  };
+}
+
+const duplicateKey = { data: null, error: { code: '23505', message: 'duplicate key value' } };
+
+// Fields of the ledger update that records the outcome
+const outcomeUpdate = () => mockQuery.update.mock.calls.at(-1)[0];
+
+describe('stripeWebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+  });
+
+  test('records new events and their handler outcome', async () => {
+    results.push(
+      { data: null, error: null }, // ledger insert
+      { data: [], error: null }, // no newer subscription event
+      { data: null, error: null } // outcome update
+    );
+
+    const outcome = await stripeWebhookService.handleEvent(subscriptionEvent('evt_1', 'customer.subscription.updated', 1760000100));
+
+    expect(outcome).toEqual({ status: 'processed', result: { customerId, subscriptionStatus: 'active' } });
+    expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'evt_1',
+      type: 'customer.subscription.updated',
+      object_id: 'sub_123',
+      stripe_created_at: '2025-10-09T08:55:00.000Z',
+      status: 'processing'
+    }));
+    expect(mockUpdateCustomer).toHaveBeenCalledWith(customerId, expect.objectContaining({ subscription_status: 'active' }));
+    expect(outcomeUpdate()).toMatchObject({ status: 'processed', error_message: null });
+  });
+
+  test('redeliveries of processed events do not run the handler again', async () => {
+    results.push(duplicateKey, { data: { id: 'evt_1', status: 'processed', attempts: 1 }, error: null });
+
+    const outcome = await stripeWebhookService.handleEvent(subscriptionEvent('evt_1', 'customer.subscription.updated', 1760000100));
+
+    expect(outcome).toEqual({ status: 'duplicate' });
+    expect(mockUpdateCustomer).not.toHaveBeenCalled();
+    expect(mockQuery.update).not.toHaveBeenCalled();
+  });
+
+  test('an attempt in progress elsewhere is reported, not repeated', async () => {
+    results.push(duplicateKey, {
+      data: { id: 'evt_1', status: 'processing', attempts: 1, locked_at: new Date().toISOString() },
+      error: null
+    });
+
+    await expect(stripeWebhookService.handleEvent(subscriptionEvent('evt_1', 'customer.subscription.updated', 1760000100)))
+      .resolves.toEqual({ status: 'in_progress' });
+    expect(mockUpdateCustomer).not.toHaveBeenCalled();
+  });
+
+  test('Stripe retries of failed events are processed again', async () => {
+    results.push(
+      duplicateKey,
+      { data: { id: 'evt_1', status: 'failed', attempts: 1 }, error: null },
+      { data: [{ id: 'evt_1' }], error: null }, // claimed
+      { data: [], error: null },
+      { data: null, error: null }
+    );
+
+    const outcome = await stripeWebhookService.handleEvent(subscriptionEvent('evt_1', 'customer.subscription.updated', 1760000100));
+
+    expect(outcome.status).toBe('processed');
+    expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'processing', attempts: 2 }));
+    expect(mockQuery.eq).toHaveBeenCalledWith('attempts', 1);
+  });
+
+  test('subscription events older than one already applied are skipped', async () => {
+    results.push(
+      { data: null, error: null },
+      { data: [{ id: 'evt_newer', stripe_created_at: '2025-10-09T09:00:00.000Z' }], error: null },
+      { data: null, error: null }
+    );
+
+    const outcome = await stripeWebhookService.handleEvent(subscriptionEvent('evt_old', 'customer.subscription.updated', 1760000100, 'past_due'));
+
+    expect(outcome).toEqual({ status: 'skipped', result: { skipped: 'Stale event', supersededBy: 'evt_newer' } });
+    expect(mockQuery.gt).toHaveBeenCalledWith('stripe_created_at', '2025-10-09T08:55:00.000Z');
+    expect(mockUpdateCustomer).not.toHaveBeenCalled();
+  });
+
+  test('handler failures are recorded and rethrown', async () => {
+    mockRetrieveSubscription.mockRejectedValue(new Error('Stripe unavailable'));
+    results.push({ data: null, error: null }, { data: null, error: null });
+
+    await expect(stripeWebhookService.handleEvent({
+      id: 'evt_2',
+      type: 'invoice.payment_failed',
+      created: 1760000200,
+      data: { object: { id: 'in_1', subscription: 'sub_123' } }
+    })).rejects.toThrow('Stripe unavailable');
+
+    expect(outcomeUpdate()).toMatchObject({ status: 'failed', error_message: 'Stripe unavailable', processed_at: null });
+  });
+
+  test('failures checking event order are recorded so Stripe can retry', async () => {
+    results.push(
+      { data: null, error: null },
+      { data: null, error: { message: 'connection reset' } }, // newer event lookup
+      { data: null, error: null }
+    );
+
+    await expect(stripeWebhookService.handleEvent(subscriptionEvent('evt_1', 'customer.subscription.updated', 1760000100)))
+      .rejects.toThrow('Failed to check event order: connection reset');
+
+    expect(outcomeUpdate()).toMatchObject({ status: 'failed', error_message: 'Failed to check event order: connection reset' });
+    expect(mockUpdateCustomer).not.toHaveBeenCalled();
+  });
+
+  test('unhandled event types are recorded as skipped', async () => {
+    results.push({ data: null, error: null }, { data: null, error: null });
+
+    const outcome = await stripeWebhookService.handleEvent({
+      id: 'evt_3',
+      type: 'charge.refunded',
+      created: 1760000300,
+      data: { object: { id: 'ch_1' } }
+    });
+
+    expect(outcome.status).toBe('skipped');
+  });
+
+  describe('checkout.session.completed', () => {
+    const checkoutEvent = {
+      id: 'evt_checkout',
+      type: 'checkout.session.completed',
+      created: 1760000000,
+      data: {
+        object: {
+          id: 'cs_1',
+          customer: 'cus_1',
+          subscription: 'sub_123',
+          amount_total: 49700,
+          currency: 'usd',
+          customer_details: { email: 'founder@acme.io' }
+        }
+      }
+    };
+
+    test('a session that was already onboarded does not create another user', async () => {
+      results.push(
+        { data: null, error: null },
+        { data: [{ user_id: 'user-1' }], error: null }, // existing waitlist_paid milestone
+        { data: null, error: null }
+      );
+
+      const outcome = await stripeWebhookService.handleEvent(checkoutEvent);
+
+      expect(outcome).toEqual({ status: 'skipped', result: { skipped: 'Checkout session already onboarded', userId: 'user-1' } });
+      expect(mockQuery.eq).toHaveBeenCalledWith('metadata->>payment_session_id', 'cs_1');
+      expect(mockQuery.auth.admin.createUser).not.toHaveBeenCalled();
+    });
+
+    test('a retry after a partial failure reuses the auth user it created', async () => {
+      mockQuery.auth.admin.createUser.mockResolvedValue({
+        data: { user: null },
+        error: { code: 'email_exists', status: 422, message: 'A user with this email address has already been registered' }
+      });
+      mockQuery.auth.admin.listUsers.mockResolvedValue({
+        data: { users: [{ id: 'user-1', email: 'Founder@acme.io' }] },
+        error: null
+      });
+      results.push(
+        { data: null, error: null },
+        { data: [], error: null }, // not onboarded yet
+        { data: [], error: null }, // no assessment
+        { data: [{ id: 'm1' }], error: null }, // existing founding members
+        { data: null, error: null }, // milestone insert
+        { data: null, error: null }
+      );
+
+      const outcome = await stripeWebhookService.handleEvent(checkoutEvent);
+
+      expect(outcome).toEqual({ status: 'processed', result: { userId: 'user-1', foundingMemberNumber: 2, magicLinkSent: true } });
+      expect(mockQuery.insert).toHaveBeenLastCalledWith(expect.objectContaining({
+        user_id: 'user-1',
+        milestone_type: 'waitlist_paid',
+        metadata: expect.objectContaining({ payment_session_id: 'cs_1', founding_member_number: 2 })
+      }));
+    });
+  });
+
+  describe('replayEvent', () => {
+    test('re-runs a failed event from its stored payload', async () => {
+      const payload = subscriptionEvent('evt_4', 'customer.subscription.deleted', 1760000400, 'canceled');
+      results.push(
+        { data: { id: 'evt_4', type: payload.type, status: 'failed', attempts: 3, payload }, error: null },
+        { data: [{ id: 'evt_4' }], error: null }, // claimed
+        { data: [], error: null },
+        { data: null, error: null },
+        { data: { id: 'evt_4', type: payload.type, status: 'processed', attempts: 4, last_replayed_by: 'admin@andru.ai' }, error: null }
+      );
+
+      const event = await stripeWebhookService.replayEvent('evt_4', 'admin@andru.ai');
+
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'processing',
+        attempts: 4,
+        last_replayed_by: 'admin@andru.ai'
+      }));
+      expect(mockUpdateCustomer).toHaveBeenCalledWith(customerId, expect.objectContaining({ subscription_status: 'cancelled' }));
+      expect(event).toMatchObject({ id: 'evt_4', status: 'processed', attempts: 4, lastReplayedBy: 'admin@andru.ai' });
+    });
+
+    test('only failed events can be replayed', async () => {
+      results.push({ data: { id: 'evt_5', status: 'processed', attempts: 1 }, error: null });
+
+      await expect(stripeWebhookService.replayEvent('evt_5', 'admin@andru.ai')).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockQuery.update).not.toHaveBeenCalled();
+    });
+
+    test('unknown events are 404s', async () => {
+      results.push({ data: null, error: null });
+
+      await expect(stripeWebhookService.replayEvent('evt_missing', 'admin@andru.ai')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
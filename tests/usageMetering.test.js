@@ -0,0 +1,383 @@
+/**
+ * Unit tests for usage-based metering of AI generations
+ *
+ * Supabase is a chainable stub; the billing account lookup and the Stripe
+ * client are mocked. Period aggregation, incremental reporting and
+ * reconciliation run for real.
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { createSupabaseMock } from './helpers/supabaseMock.js';
+
+const { mockQuery, results } = createSupabaseMock();
+
+const mockFindBillingAccount = jest.fn();
+const mockRetrieveSubscription = jest.fn();
+const mockCreateMeterEvent = jest.fn();
+const mockListEventSummaries = jest.fn();
+
+jest.unstable_mockModule('../src/services/supabaseService.js', () => ({
+  default: mockQuery
+}));
+
+jest.unstable_mockModule('../src/services/billingService.js', () => ({
+  default: { findBillingAccountByUserId: mockFindBillingAccount }
+}));
+
+jest.unstable_mockModule('../src/lib/stripeClient.js', () => ({
+  stripe: {
+    subscriptions: { retrieve: mockRetrieveSubscription },
+    billing: {
+      meterEvents: { create: mockCreateMeterEvent },
+      meters: { listEventSummaries: mockListEventSummaries }
+    }
+  }
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const { default: usageMeteringService, getBillableQuantity } = await import('../src/services/usageMeteringService.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440001';
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+// Current period: 2026-10-01 to 2026-11-01
+const periodStart = 1790812800;
+const periodEnd = 1793491200;
+
+// In its first period unless start_date is overridden
+const meteredSubscription = {
+  id: 'sub_1',
+  status: 'active',
+  start_date: periodStart,
+  billing_cycle_anchor: periodStart,
+  current_period_start: periodStart,
+  current_period_end: periodEnd,
+  items: {
+    data: [
+      { id: 'si_plan', price: { id: 'price_monthly', recurring: { usage_type: 'licensed', interval: 'month' } } },
+      { id: 'si_usage', price: { id: 'price_ai_usage', recurring: { usage_type: 'metered', interval: 'month' } } }
+    ]
+  }
+};
+
+// get_ai_usage_totals result for `count` generations
+const usageRows = (count, tokens = 1500) => ({
+  data: [{ generations: count, tokens: count * tokens, estimated_cost_usd: (count * 0.012).toFixed(6) }],
+  error: null
+});
+// Reported rows for the period, each raising the cumulative quantity
+const reported = (...quantities) => ({
+  data: quantities.map((quantity, i) => ({
+    quantity,
+    cumulative_quantity: quantities.slice(0, i + 1).reduce((sum, value) => sum + value, 0),
+    reported_at: '2026-10-18T12:45:00.000Z'
+  })),
+  error: null
+});
+const noRows = { data: [], error: null };
+
+describe('usageMeteringService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results.length = 0;
+    Object.assign(config.metering, { enabled: true, unit: 'generations', tokenBlockSize: 1000, meterId: null });
+    mockFindBillingAccount.mockResolvedValue({ stripeCustomerId: 'cus_1', stripeSubscriptionId: 'sub_1' });
+    mockRetrieveSubscription.mockResolvedValue(meteredSubscription);
+    mockCreateMeterEvent.mockResolvedValue({ identifier: 'ok' });
+  });
+
+  test('billed quantity is generations or whole blocks of tokens', () => {
+    expect(getBillableQuantity({ generations: 4, tokens: 4200 })).toBe(4);
+
+    config.metering.unit = 'tokens';
+    expect(getBillableQuantity({ generations: 4, tokens: 4200 })).toBe(5);
+    expect(getBillableQuantity({ generations: 0, tokens: 0 })).toBe(0);
+  });
+
+  describe('reportUsage', () => {
+    test('reports the increase since the last report for the current period', async () => {
+      results.push(
+        { data: [{ user_id: userId }], error: null }, // users with usage
+        reported(3, 2),
+        noRows, // no unsettled report
+        usageRows(7),
+        { data: { id: 'report-1' }, error: null }, // pending report
+        { data: null, error: null } // marked reported
+      );
+
+      const summary = await usageMeteringService.reportUsage(now);
+
+      expect(summary).toEqual({ users: 1, reports: 1, quantity: 2 });
+      expect(mockCreateMeterEvent).toHaveBeenCalledWith({
+        event_name: config.metering.meterEventName,
+        identifier: `usage_${userId}_${periodStart}_7`,
+        timestamp: Math.floor(now.getTime() / 1000),
+        payload: { stripe_customer_id: 'cus_1', value: '2' }
+      });
+      expect(mockQuery.insert).toHaveBeenCalledWith(expect.objectContaining({
+        stripe_subscription_item_id: 'si_usage',
+        period_start: '2026-10-01T00:00:00.000Z',
+        quantity: 2,
+        cumulative_quantity: 7,
+        status: 'pending'
+      }));
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'reported' }));
+      expect(mockQuery.eq).toHaveBeenCalledWith('id', 'report-1');
+    });
+
+    test('settles the previous period after a renewal at its last second', async () => {
+      // Subscribed in August; nothing was reported before the renewal
+      mockRetrieveSubscription.mockResolvedValue({ ...meteredSubscription, start_date: Date.UTC(2026, 7, 10) / 1000 });
+      results.push(
+        { data: [{ user_id: userId }], error: null },
+        noRows, // previous period
+        noRows,
+        usageRows(2),
+        { data: { id: 'report-2' }, error: null },
+        { data: null, error: null },
+        noRows, // nothing yet this period
+        noRows,
+        noRows
+      );
+
+      const summary = await usageMeteringService.reportUsage(now);
+
+      expect(summary).toEqual({ users: 1, reports: 1, quantity: 2 });
+      expect(mockQuery.rpc).toHaveBeenCalledWith('get_ai_usage_totals', {
+        p_user_id: userId,
+        p_start: '2026-09-01T00:00:00.000Z',
+        p_end: '2026-10-01T00:00:00.000Z'
+      });
+      expect(mockCreateMeterEvent).toHaveBeenCalledTimes(1);
+      expect(mockCreateMeterEvent).toHaveBeenCalledWith(expect.objectContaining({
+        identifier: `usage_${userId}_1788220800_2`,
+        timestamp: periodStart - 1,
+        payload: { stripe_customer_id: 'cus_1', value: '2' }
+      }));
+    });
+
+    test('previous periods follow the billing anchor and start no earlier than the metered price', async () => {
+      // Anchored on Jan 31: the period before Feb 28 starts on Jan 31
+      const anchor = Date.UTC(2027, 0, 31) / 1000;
+      const february = Date.UTC(2027, 1, 28) / 1000;
+      const subscription = {
+        ...meteredSubscription,
+        start_date: Date.UTC(2026, 11, 31) / 1000,
+        billing_cycle_anchor: anchor,
+        current_period_start: february,
+        current_period_end: Date.UTC(2027, 2, 31) / 1000
+      };
+      const march = new Date('2027-03-02T12:00:00.000Z');
+      const previousTotals = () => mockQuery.rpc.mock.calls.find(([name]) => name === 'get_ai_usage_totals')[1];
+
+      mockRetrieveSubscription.mockResolvedValue(subscription);
+      results.push({ data: [{ user_id: userId }], error: null });
+      await usageMeteringService.reportUsage(march);
+      expect(previousTotals()).toMatchObject({ p_start: '2027-01-31T00:00:00.000Z', p_end: '2027-02-28T00:00:00.000Z' });
+
+      // Metered price added mid-period
+      jest.clearAllMocks();
+      const metered = { ...subscription.items.data[1], created: Date.UTC(2027, 1, 10) / 1000 };
+      mockRetrieveSubscription.mockResolvedValue({ ...subscription, items: { data: [subscription.items.data[0], metered] } });
+      results.push({ data: [{ user_id: userId }], error: null });
+      await usageMeteringService.reportUsage(march);
+      expect(previousTotals()).toMatchObject({ p_start: '2027-02-10T00:00:00.000Z' });
+    });
+
+    test('nothing is sent when all recorded usage has been reported', async () => {
+      results.push({ data: [{ user_id: userId }], error: null }, reported(5), noRows, usageRows(5));
+
+      const summary = await usageMeteringService.reportUsage(now);
+
+      expect(summary).toEqual({ users: 1, reports: 0, quantity: 0 });
+      expect(mockQuery.insert).not.toHaveBeenCalled();
+      expect(mockCreateMeterEvent).not.toHaveBeenCalled();
+    });
+
+    test('subscriptions without a metered price are not reported', async () => {
+      mockRetrieveSubscription.mockResolvedValue({ ...meteredSubscription, items: { data: [meteredSubscription.items.data[0]] } });
+      results.push({ data: [{ user_id: userId }], error: null });
+
+      await expect(usageMeteringService.reportUsage(now)).resolves.toEqual({ users: 0, reports: 0, quantity: 0 });
+      expect(mockCreateMeterEvent).not.toHaveBeenCalled();
+    });
+
+    test('retries an earlier attempt with its identifier so Stripe de-duplicates it', async () => {
+      results.push(
+        { data: [{ user_id: userId }], error: null },
+        reported(5),
+        noRows,
+        usageRows(7),
+        { data: null, error: { code: '23505', message: 'duplicate key value' } },
+        { data: null, error: null }
+      );
+
+      await usageMeteringService.reportUsage(now);
+
+      expect(mockCreateMeterEvent).toHaveBeenCalledWith(expect.objectContaining({ identifier: `usage_${userId}_${periodStart}_7` }));
+      expect(mockQuery.eq).toHaveBeenCalledWith('identifier', `usage_${userId}_${periodStart}_7`);
+    });
+
+    test('Stripe failures are recorded on the report and fail the run', async () => {
+      mockCreateMeterEvent.mockRejectedValue(new Error('No meter found for event_name'));
+      results.push(
+        { data: [{ user_id: userId }], error: null },
+        noRows,
+        noRows,
+        usageRows(3),
+        { data: { id: 'report-3' }, error: null },
+        { data: null, error: null }
+      );
+
+      await expect(usageMeteringService.reportUsage(now)).rejects.toThrow(`Usage reporting failed for ${userId}: No meter found for event_name`);
+      expect(mockQuery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'failed',
+        error_message: 'No meter found for event_name'
+      }));
+    });
+
+    test('re-sends a report Stripe accepted before reporting new usage', async () => {
+      const identifier = `usage_${userId}_${periodStart}_7`;
+
+      // Stripe accepts the meter event but the report is never marked reported
+      results.push(
+        { data: [{ user_id: userId }], error: null },
+        reported(5),
+        noRows,
+        usageRows(7),
+        { data: { id: 'report-1' }, error: null },
+        { data: null, error: { message: 'connection reset' } }
+      );
+
+      await expect(usageMeteringService.reportUsage(now))
+        .rejects.toThrow(`Meter event ${identifier} was sent but its report could not be marked reported`);
+
+      // Two more generations by the next run
+      results.push(
+        { data: [{ user_id: userId }], error: null },
+        reported(5),
+        { data: [{ id: 'report-1', quantity: 2, cumulative_quantity: 7, identifier }], error: null },
+        { data: null, error: null },
+        usageRows(9),
+        { data: { id: 'report-2' }, error: null },
+        { data: null, error: null }
+      );
+
+      const summary = await usageMeteringService.reportUsage(now);
+
+      expect(summary).toEqual({ users: 1, reports: 2, quantity: 4 });
+      expect(mockQuery.in).toHaveBeenCalledWith('status', ['pending', 'failed']);
+      expect(mockQuery.gt).toHaveBeenCalledWith('cumulative_quantity', 5);
+      expect(mockCreateMeterEvent.mock.calls.map(([event]) => [event.identifier, event.payload.value])).toEqual([
+        [identifier, '2'],
+        [identifier, '2'], // de-duplicated by Stripe
+        [`usage_${userId}_${periodStart}_9`, '2']
+      ]);
+      expect(mockQuery.insert).toHaveBeenLastCalledWith(expect.objectContaining({ quantity: 2, cumulative_quantity: 9 }));
+    });
+
+    test('does nothing while metering is disabled', async () => {
+      config.metering.enabled = false;
+
+      await expect(usageMeteringService.reportUsage(now)).resolves.toEqual({ skipped: 'Metering disabled' });
+      expect(mockQuery.from).not.toHaveBeenCalled();
+      expect(mockQuery.rpc).not.toHaveBeenCalled();
+    });
+
+    test('reads every page of users with usage', async () => {
+      mockFindBillingAccount.mockResolvedValue(null);
+      results.push(
+        { data: Array.from({ length: 1000 }, (_, i) => ({ user_id: `user-${i}` })), error: null },
+        { data: [{ user_id: 'user-1000' }], error: null }
+      );
+
+      await expect(usageMeteringService.reportUsage(now)).resolves.toEqual({ users: 0, reports: 0, quantity: 0 });
+      expect(mockQuery.rpc).toHaveBeenCalledWith('get_ai_usage_users', { p_since: '2026-09-14T12:00:00.000Z' });
+      expect(mockQuery.range.mock.calls).toEqual([[0, 999], [1000, 1999]]);
+      expect(mockFindBillingAccount).toHaveBeenCalledTimes(1001);
+      expect(mockFindBillingAccount).toHaveBeenLastCalledWith('user-1000');
+    });
+  });
+
+  describe('getCurrentUsage', () => {
+    test('returns running usage for the subscription billing period', async () => {
+      config.metering.unit = 'tokens';
+      results.push(usageRows(3, 1500), reported(4));
+
+      const usage = await usageMeteringService.getCurrentUsage(userId, now);
+
+      expect(usage).toEqual({
+        metered: true,
+        unit: 'tokens',
+        tokenBlockSize: 1000,
+        period: { start: '2026-10-01T00:00:00.000Z', end: '2026-11-01T00:00:00.000Z' },
+        usage: { generations: 3, tokens: 4500, estimatedCostUsd: 0.036 },
+        quantity: 5,
+        reportedQuantity: 4,
+        unreportedQuantity: 1,
+        lastReportedAt: '2026-10-18T12:45:00.000Z'
+      });
+      expect(mockQuery.rpc).toHaveBeenCalledWith('get_ai_usage_totals', {
+        p_user_id: userId,
+        p_start: '2026-10-01T00:00:00.000Z',
+        p_end: '2026-11-01T00:00:00.000Z'
+      });
+    });
+
+    test('unmetered users see their usage for the calendar month', async () => {
+      config.metering.enabled = false;
+      results.push(usageRows(2));
+
+      const usage = await usageMeteringService.getCurrentUsage(userId, new Date('2026-10-19T12:00:00.000Z'));
+
+      expect(usage).toMatchObject({
+        metered: false,
+        period: { start: '2026-10-01T00:00:00.000Z', end: '2026-11-01T00:00:00.000Z' },
+        quantity: 2,
+        reportedQuantity: 0
+      });
+      expect(mockFindBillingAccount).not.toHaveBeenCalled();
+    });
+  });
+
+  test('reconciliation compares reported, recorded and Stripe totals per period', async () => {
+    config.metering.meterId = 'mtr_1';
+    const report = (user, quantity, status = 'reported') => ({
+      user_id: user,
+      stripe_customer_id: `cus_${user.slice(-1)}`,
+      period_start: '2026-10-01T00:00:00+00:00',
+      period_end: '2026-11-01T00:00:00+00:00',
+      quantity,
+      status
+    });
+    const otherUserId = '550e8400-e29b-41d4-a716-446655440002';
+
+    results.push(
+      { data: [report(userId, 5), report(userId, 2), report(userId, 1, 'failed'), report(otherUserId, 4)], error: null },
+      usageRows(8), // user 1: 8 recorded, 7 reported
+      usageRows(4) // user 2: matches our reports
+    );
+    mockListEventSummaries
+      .mockResolvedValueOnce({ data: [{ aggregated_value: 7 }] })
+      .mockResolvedValueOnce({ data: [{ aggregated_value: 3 }] });
+
+    const { periods, summary } = await usageMeteringService.reconcile({ since: new Date('2026-10-01T00:00:00.000Z') });
+
+    expect(periods[0]).toMatchObject({
+      userId,
+      reportedQuantity: 7,
+      recordedQuantity: 8,
+      stripeQuantity: 7,
+      difference: 1,
+      failedReports: 1,
+      status: 'unreported'
+    });
+    expect(periods[1]).toMatchObject({ userId: otherUserId, reportedQuantity: 4, stripeQuantity: 3, status: 'stripe_mismatch' });
+    expect(summary).toEqual({ matched: 0, unreported: 1, overReported: 0, stripeMismatch: 1 });
+    expect(mockListEventSummaries).toHaveBeenCalledWith('mtr_1', expect.objectContaining({
+      customer: 'cus_1',
+      start_time: periodStart,
+      end_time: periodEnd
+    }));
+  });
+});